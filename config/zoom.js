@@ -0,0 +1,46 @@
+/**
+ * Where the Zoom API lives. Real Zoom by default; ZOOM_API_BASE_URL and
+ * ZOOM_OAUTH_URL point the whole backend somewhere else, and
+ * ZOOM_SIMULATOR=true points it at the simulator this server mounts at
+ * /zoom-simulator (see utils/zoomSimulator.js).
+ * Read on every call so tests can start a simulator after services load.
+ */
+
+const DEFAULT_API_BASE_URL = 'https://api.zoom.us/v2';
+const DEFAULT_OAUTH_URL = 'https://zoom.us/oauth/token';
+const SIMULATOR_PATH = '/zoom-simulator';
+
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+// Never in production: the simulator's control endpoints are unauthenticated
+function isSimulatorEnabled() {
+  return process.env.ZOOM_SIMULATOR === 'true' && process.env.NODE_ENV !== 'production';
+}
+
+// The simulator mounted in this process
+function simulatorUrl() {
+  return `http://127.0.0.1:${process.env.PORT || 5000}${SIMULATOR_PATH}`;
+}
+
+function zoomApiBaseUrl() {
+  if (process.env.ZOOM_API_BASE_URL) return trimSlash(process.env.ZOOM_API_BASE_URL);
+  return isSimulatorEnabled() ? `${simulatorUrl()}/v2` : DEFAULT_API_BASE_URL;
+}
+
+function zoomOAuthUrl() {
+  if (process.env.ZOOM_OAUTH_URL) return trimSlash(process.env.ZOOM_OAUTH_URL);
+  return isSimulatorEnabled() ? `${simulatorUrl()}/oauth/token` : DEFAULT_OAUTH_URL;
+}
+
+// Server-to-server OAuth token request URL for the configured account
+function zoomTokenUrl(accountId = process.env.ZOOM_ACCOUNT_ID) {
+  return `${zoomOAuthUrl()}?grant_type=account_credentials&account_id=${accountId}`;
+}
+
+module.exports = {
+  SIMULATOR_PATH,
+  isSimulatorEnabled,
+  zoomApiBaseUrl,
+  zoomOAuthUrl,
+  zoomTokenUrl,
+};
@@ -55,7 +55,7 @@ function backendValidateTimestamp(qrPayload) {
   console.log('\n🖥️  BACKEND VALIDATION');
   console.log('   ⏰ Checking if QR timestamp is still valid...');
   
-  const validation = parseAndValidateQR(JSON.stringify(qrPayload));
+  const validation = parseAndValidateQR(JSON.stringify(qrPayload), { allowLegacy: true });
   
   if (validation.isValid) {
     const now = new Date();
@@ -1,6 +1,8 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const TokenDebugger = require('../utils/tokenDebugger');
+const tokenService = require('../services/tokenService');
+const accessControlService = require('../services/accessControlService');
 
 const auth = async (req, res, next) => {
   try {
@@ -65,6 +67,14 @@ const auth = async (req, res, next) => {
         isExpired: decoded.exp ? Date.now() >= decoded.exp * 1000 : 'unknown'
       });
 
+      if (await tokenService.isRevoked(decoded)) {
+        console.log('❌ Token has been revoked:', { jti: decoded.jti, sid: decoded.sid });
+        return res.status(401).json({
+          success: false,
+          message: 'Token has been revoked',
+        });
+      }
+
       // Find user in database by decoded userId
       console.log('🔍 Looking up user in database with ID:', decoded.userId);
       const user = await User.findById(decoded.userId);
@@ -106,6 +116,7 @@ const auth = async (req, res, next) => {
       // Attach user and token to request object for downstream use
       req.user = user;
       req.token = token;
+      req.tokenPayload = decoded;
 
       console.log('✅ Authentication successful for user:', user.username);
       console.log('🔐 ===== AUTH MIDDLEWARE COMPLETE =====\n');
@@ -133,6 +144,15 @@ const auth = async (req, res, next) => {
   }
 };
 
+// Authenticate when a token is presented, otherwise continue anonymously
+const optionalAuth = (req, res, next) => {
+  const authHeader = req.header('Authorization');
+  if (!req.cookies?.authToken && !authHeader?.startsWith('Bearer ')) {
+    return next();
+  }
+  return auth(req, res, next);
+};
+
 // Middleware factory to check if user's role is allowed
 const checkRole = (allowedRoles = []) => {
   return (req, res, next) => {
@@ -160,4 +180,66 @@ const checkRole = (allowedRoles = []) => {
   };
 };
 
-module.exports = { auth, checkRole };
+/**
+ * Middleware factory to check a permission (see utils/permissions)
+ * For roles holding it at a restricted scope, each target resolver returns the
+ * id of the record the request acts on and the record must fall within scope.
+ * @param {string} permission - "resource:action", e.g. 'attendance:write'
+ * @param {Object} targets - { meeting|student|course|qrSession: req => id }
+ */
+const requirePermission = (permission, targets = {}) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      console.log('No user attached to request');
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required',
+      });
+    }
+
+    const scope = accessControlService.scopeOf(req.user, permission);
+    if (!scope) {
+      console.log('Access denied. Permission not granted:', {
+        userRole: req.user.role,
+        permission,
+      });
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    try {
+      if (scope !== 'all') {
+        for (const [type, resolve] of Object.entries(targets)) {
+          const id = await resolve(req);
+          if (id === undefined || id === null || id === '') continue;
+
+          if (!await accessControlService.canAccess(req.user, permission, type, id)) {
+            console.log('Access denied. Outside permission scope:', {
+              userRole: req.user.role,
+              permission,
+              scope,
+              [type]: id,
+            });
+            return res.status(403).json({
+              success: false,
+              message: 'Access denied',
+            });
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Permission check error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Permission check failed',
+      });
+    }
+
+    req.permissionScope = scope;
+    next();
+  };
+};
+
+module.exports = { auth, optionalAuth, checkRole, requirePermission };
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const ZoomMeeting = require('./models/ZoomMeeting');
+
+// Recurring meetings store one ZoomMeeting per occurrence, so the unique index
+// moves from meetingId to meetingUuid. Run once against an existing database.
+async function migrateMeetingOccurrences() {
+  try {
+    console.log('🔁 Migrating ZoomMeeting indexes for recurring meeting occurrences...\n');
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    const duplicateUuids = await ZoomMeeting.aggregate([
+      { $group: { _id: '$meetingUuid', count: { $sum: 1 }, meetingIds: { $addToSet: '$meetingId' } } },
+      { $match: { count: { $gt: 1 } } }
+    ]);
+
+    if (duplicateUuids.length > 0) {
+      console.log('❌ These meeting UUIDs are stored more than once; resolve them before migrating:');
+      duplicateUuids.forEach(duplicate => {
+        console.log(`   ${duplicate._id} (${duplicate.count} records, meeting IDs: ${duplicate.meetingIds.join(', ')})`);
+      });
+      process.exitCode = 1;
+      return;
+    }
+
+    const dropped = await ZoomMeeting.syncIndexes();
+    console.log(`🗑️ Dropped indexes: ${dropped.length > 0 ? dropped.join(', ') : 'none'}`);
+    console.log('✅ ZoomMeeting indexes are in sync (meetingUuid unique, meetingId shared by occurrences)');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migrateMeetingOccurrences();
@@ -10,11 +10,29 @@ const attendanceSchema = new mongoose.Schema(
       type: Date,
       required: true,
     },
+    // Effective status (after any approved excuse or dispute)
     Status: {
       type: String,
-      enum: ['Present', 'Absent', 'Late', 'Partial'],
+      enum: ['Present', 'Absent', 'Late', 'Left Early', 'Partial', 'Excused'],
       required: true,
     },
+    // Calculated status before an excuse/dispute changed Status
+    originalStatus: {
+      type: String,
+      enum: ['Present', 'Absent', 'Late', 'Left Early', 'Partial'],
+    },
+    statusAdjustment: {
+      dispute: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AttendanceDispute',
+      },
+      adjustedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      adjustedAt: Date,
+      reason: String,
+    },
     Remarks: {
       type: String,
       trim: true,
@@ -59,6 +77,17 @@ const attendanceSchema = new mongoose.Schema(
       enum: ['verified', 'pending', 'disputed', 'unverified'],
       default: 'unverified',
     },
+    // Hybrid check-ins: factors collected so far against the meeting's verificationPolicy
+    verificationFactors: {
+      required: Number,
+      satisfied: [{
+        _id: false,
+        factor: String,
+        verifiedAt: Date,
+        detail: String,
+      }],
+      missing: [String],
+    },
     metadata: {
       ipAddress: String,
       userAgent: String,
@@ -96,7 +125,7 @@ const attendanceSchema = new mongoose.Schema(
     locationVerification: {
       method: {
         type: String,
-        enum: ['qr_scanner', 'gps', 'manual', 'hybrid'],
+        enum: ['qr_scanner', 'gps', 'manual', 'hybrid', 'geofence'],
         default: 'qr_scanner'
       },
       status: {
@@ -115,6 +144,25 @@ const attendanceSchema = new mongoose.Schema(
           default: false
         }
       },
+      geofence: {
+        venueId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Venue'
+        },
+        venueName: String,
+        fenceType: String,
+        decision: {
+          type: String,
+          enum: ['inside', 'outside', 'uncertain']
+        },
+        action: {
+          type: String,
+          enum: ['accepted', 'flagged', 'rejected']
+        },
+        distanceOutside: Number, // meters beyond the fence edge
+        accuracy: Number, // reported GPS accuracy in meters
+        evaluatedAt: Date
+      },
       verifiedAt: Date,
       notes: String
     },
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const ATTENDANCE_STATUSES = ['Present', 'Absent', 'Late', 'Left Early', 'Partial', 'Excused'];
+
+/**
+ * A student's excuse or dispute against one Attendance record.
+ * Approval changes Attendance.Status and keeps the calculated status in
+ * Attendance.originalStatus; every action is appended to history.
+ */
+const attendanceDisputeSchema = new mongoose.Schema(
+  {
+    attendance: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Attendance',
+      required: true,
+      index: true,
+    },
+    // References Student.StudentID, not _id
+    studentId: {
+      type: Number,
+      required: true,
+      index: true,
+    },
+    // excuse: the absence was justified; dispute: the recorded status is wrong
+    type: {
+      type: String,
+      enum: ['excuse', 'dispute'],
+      required: true,
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 2000,
+    },
+    // Status the student asks for (excuses always request Excused)
+    requestedStatus: {
+      type: String,
+      enum: ATTENDANCE_STATUSES,
+      required: true,
+    },
+    // Attendance.Status / verificationStatus when the request was submitted
+    statusAtSubmission: {
+      type: String,
+      enum: ATTENDANCE_STATUSES,
+    },
+    verificationStatusAtSubmission: {
+      type: String,
+    },
+    attachment: {
+      filename: String, // stored name under the uploads directory
+      originalName: String,
+      mimeType: String,
+      size: Number,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected', 'withdrawn'],
+      default: 'pending',
+      index: true,
+    },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    decision: {
+      decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      decidedAt: Date,
+      note: String,
+      appliedStatus: { type: String, enum: ATTENDANCE_STATUSES },
+    },
+    // Audit trail: who did what, when and why
+    history: [{
+      action: {
+        type: String,
+        enum: ['submitted', 'approved', 'rejected', 'withdrawn'],
+        required: true,
+      },
+      by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      at: { type: Date, default: Date.now },
+      note: String,
+      fromStatus: String,
+      toStatus: String,
+    }],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One open request per attendance record
+attendanceDisputeSchema.index(
+  { attendance: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' }, name: 'attendance_pending_unique' }
+);
+
+attendanceDisputeSchema.statics.ATTENDANCE_STATUSES = ATTENDANCE_STATUSES;
+
+const AttendanceDispute = mongoose.model('AttendanceDispute', attendanceDisputeSchema);
+
+module.exports = AttendanceDispute;
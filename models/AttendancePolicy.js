@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const { evaluateAttendance } = require('../utils/attendancePolicyEngine');
+
+const percentage = {
+  type: Number,
+  min: 0,
+  max: 100,
+};
+
+/**
+ * Rules for turning attended time into an attendance status.
+ * A meeting picks up a policy through ZoomMeeting.metadata.course, then
+ * metadata.department, then the policy flagged isDefault.
+ */
+const attendancePolicySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    // Course codes matched against ZoomMeeting.metadata.course
+    courses: {
+      type: [String],
+      default: [],
+      index: true,
+    },
+    // Department-wide policy used when no course policy matches
+    department: {
+      type: String,
+      trim: true,
+      index: true,
+    },
+    // Minimum percentage of the meeting for each status; "late" is what a late
+    // arrival or early leaver needs to be recorded as Late / Left Early rather than Partial
+    thresholds: {
+      present: { ...percentage, default: 85 },
+      late: { ...percentage, default: 85 },
+      partial: { ...percentage, default: 85 },
+    },
+    // Joining more than this many minutes after the scheduled start counts as Late (null disables)
+    lateGraceMinutes: {
+      type: Number,
+      min: 0,
+      default: 10,
+    },
+    // Leaving more than this many minutes before the scheduled end counts as Left Early (null disables)
+    earlyLeaveGraceMinutes: {
+      type: Number,
+      min: 0,
+      default: 10,
+    },
+    // Attending less than this is always Absent
+    minimumMinutes: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Count short disconnects between sessions as attended time
+    countReconnectGaps: {
+      type: Boolean,
+      default: false,
+    },
+    maxReconnectGapMinutes: {
+      type: Number,
+      min: 0,
+      default: 5,
+    },
+    // Count time spent in the waiting room as attended time
+    countWaitingRoom: {
+      type: Boolean,
+      default: false,
+    },
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+attendancePolicySchema.pre('validate', function(next) {
+  const { present, late, partial } = this.thresholds || {};
+  if (late > present || partial > late) {
+    this.invalidate('thresholds', 'Thresholds must satisfy present >= late >= partial');
+  }
+  if (this.courses) {
+    this.courses = [...new Set(this.courses.map(course => course.trim()).filter(Boolean))];
+  }
+  next();
+});
+
+// Only one policy may be the organisation default
+attendancePolicySchema.pre('save', async function(next) {
+  try {
+    if (this.isDefault && (this.isNew || this.isModified('isDefault'))) {
+      await this.constructor.updateMany(
+        { _id: { $ne: this._id }, isDefault: true },
+        { $set: { isDefault: false } }
+      );
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Evaluate a participant against this policy
+attendancePolicySchema.methods.evaluate = function(input) {
+  return evaluateAttendance(this, input);
+};
+
+/**
+ * Find the active policy for a course/department
+ * @param {Object} criteria - { course, department }
+ * @returns {Object|null} - AttendancePolicy document or null when the built-in default applies
+ */
+attendancePolicySchema.statics.findApplicable = async function({ course, department } = {}) {
+  if (course) {
+    const coursePolicy = await this.findOne({ courses: course, isActive: true });
+    if (coursePolicy) return coursePolicy;
+  }
+
+  if (department) {
+    const departmentPolicy = await this.findOne({ department, isActive: true, courses: { $size: 0 } });
+    if (departmentPolicy) return departmentPolicy;
+  }
+
+  return this.findOne({ isDefault: true, isActive: true });
+};
+
+const AttendancePolicy = mongoose.model('AttendancePolicy', attendancePolicySchema);
+
+module.exports = AttendancePolicy;
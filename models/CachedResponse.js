@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+/**
+ * Cached API responses shared by every instance, keyed by the caller's
+ * cache key. MongoDB removes entries once they expire.
+ */
+const cachedResponseSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+cachedResponseSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const CachedResponse = mongoose.model('CachedResponse', cachedResponseSchema);
+
+module.exports = CachedResponse;
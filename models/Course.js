@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+/**
+ * A taught course. Meetings belong to a course either through
+ * ZoomMeeting.metadata.course (the course code) or by listing the Zoom
+ * meeting ID in meetingIds, which covers every occurrence of a recurring
+ * series including ones that have not started yet.
+ */
+const courseSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      uppercase: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    department: {
+      type: String,
+      trim: true,
+      index: true,
+    },
+    term: {
+      type: String,
+      trim: true,
+    },
+    instructors: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    teachingAssistants: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    // Zoom meeting IDs (shared by all occurrences of a recurring meeting)
+    meetingIds: {
+      type: [String],
+      default: [],
+      index: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+courseSchema.pre('validate', function(next) {
+  if (this.meetingIds) {
+    this.meetingIds = [...new Set(this.meetingIds.map(id => id.toString().trim()).filter(Boolean))];
+  }
+  next();
+});
+
+/**
+ * Find the course a meeting belongs to
+ * @param {Object|string} meeting - ZoomMeeting (document or plain object) or Zoom meeting ID
+ * @returns {Object|null} - Course document
+ */
+courseSchema.statics.findForMeeting = async function(meeting) {
+  if (!meeting) return null;
+
+  const meetingId = typeof meeting === 'object' ? meeting.meetingId : meeting;
+  const courseCode = typeof meeting === 'object' ? meeting.metadata?.course : null;
+
+  if (courseCode) {
+    const course = await this.findOne({ code: courseCode.toString().trim().toUpperCase(), isActive: true });
+    if (course) return course;
+  }
+
+  if (meetingId) {
+    return this.findOne({ meetingIds: meetingId.toString(), isActive: true });
+  }
+
+  return null;
+};
+
+const Course = mongoose.model('Course', courseSchema);
+
+module.exports = Course;
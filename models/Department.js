@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Levels from the top of the hierarchy down; a unit's parent sits on a higher level
+const TYPES = ['faculty', 'department', 'programme'];
+
+/**
+ * An organisational unit students, courses and staff belong to. Units form
+ * a tree (faculty -> department -> programme); ancestors lists every unit
+ * above this one so subtrees can be queried without recursion.
+ * Student.Department, Course.department and User.department hold the unit's
+ * name, which is therefore unique across the whole tree.
+ */
+const departmentSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    code: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      unique: true,
+      sparse: true,
+    },
+    type: {
+      type: String,
+      enum: TYPES,
+      default: 'department',
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Department',
+      default: null,
+      index: true,
+    },
+    ancestors: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Department',
+      index: true,
+    }],
+    description: {
+      type: String,
+      trim: true,
+    },
+    // Inactive units stay on existing records but cannot be assigned
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+departmentSchema.statics.TYPES = TYPES;
+
+const Department = mongoose.model('Department', departmentSchema);
+
+module.exports = Department;
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+/**
+ * A student's enrolment in a course; active enrolments define who is
+ * expected at the course's meetings.
+ */
+const enrollmentSchema = new mongoose.Schema(
+  {
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+      required: true,
+    },
+    // References Student.StudentID, not _id
+    studentId: {
+      type: Number,
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ['active', 'dropped', 'completed'],
+      default: 'active',
+    },
+    enrolledAt: {
+      type: Date,
+      default: Date.now,
+    },
+    droppedAt: {
+      type: Date,
+    },
+    enrolledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+enrollmentSchema.index({ course: 1, studentId: 1 }, { unique: true });
+enrollmentSchema.index({ course: 1, status: 1 });
+
+const Enrollment = mongoose.model('Enrollment', enrollmentSchema);
+
+module.exports = Enrollment;
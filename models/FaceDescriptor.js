@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// face-api.js / @vladmandic/face-api face recognition descriptors are 128 floats
+const DESCRIPTOR_LENGTH = 128;
+
+/**
+ * One enrolled face descriptor of a student. A student can have several
+ * (different lighting, glasses, angles); matching uses the closest one.
+ */
+const faceDescriptorSchema = new mongoose.Schema(
+  {
+    // References Student.StudentID, not _id
+    studentId: {
+      type: Number,
+      required: true,
+      index: true,
+    },
+    descriptor: {
+      type: [Number],
+      required: true,
+      validate: {
+        validator: value => Array.isArray(value) &&
+          value.length === DESCRIPTOR_LENGTH &&
+          value.every(Number.isFinite),
+        message: `descriptor must be an array of ${DESCRIPTOR_LENGTH} numbers`,
+      },
+    },
+    label: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    // Where the descriptor was computed
+    source: {
+      type: String,
+      enum: ['client', 'server'],
+      default: 'client',
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    enrolledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+faceDescriptorSchema.statics.DESCRIPTOR_LENGTH = DESCRIPTOR_LENGTH;
+
+const FaceDescriptor = mongoose.model('FaceDescriptor', faceDescriptorSchema);
+
+module.exports = FaceDescriptor;
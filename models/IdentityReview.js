@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['pending', 'confirmed', 'dismissed', 'auto_resolved'];
+
+/**
+ * A Zoom participant that could not be linked to a student with enough
+ * confidence, queued for a reviewer together with the scored candidates.
+ */
+const identityReviewSchema = new mongoose.Schema(
+  {
+    attendance: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ZoomAttendance',
+      required: true,
+      index: true,
+    },
+    meetingId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    meetingUuid: String,
+    participantName: String,
+    participantEmail: String,
+    // Normalised display name, to re-resolve the queue when an alias is confirmed
+    nameKey: {
+      type: String,
+      index: true,
+    },
+    deviceKey: String,
+    candidates: [{
+      _id: false,
+      studentId: Number,
+      score: Number,
+      reasons: [String],
+    }],
+    status: {
+      type: String,
+      enum: STATUSES,
+      default: 'pending',
+      index: true,
+    },
+    decision: {
+      studentId: Number,
+      decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      decidedAt: Date,
+      note: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One open review per attendance record
+identityReviewSchema.index(
+  { attendance: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' }, name: 'attendance_pending_unique' }
+);
+
+identityReviewSchema.statics.STATUSES = STATUSES;
+
+const IdentityReview = mongoose.model('IdentityReview', identityReviewSchema);
+
+module.exports = IdentityReview;
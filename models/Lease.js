@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+/**
+ * Named leases for leader election (see utils/leaderElection.js). The holder
+ * renews its lease well before it expires; once it lapses any instance may
+ * take it over.
+ */
+const leaseSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+    },
+    holder: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Lease = mongoose.model('Lease', leaseSchema);
+
+module.exports = Lease;
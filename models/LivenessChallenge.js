@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const LIVENESS_STEPS = ['turn_left', 'turn_right', 'blink'];
+
+/**
+ * A liveness challenge issued before a face check-in. The client records
+ * the requested motions as a burst of frames; the verification outcome is
+ * kept so failed attempts can be reviewed per student.
+ */
+const livenessChallengeSchema = new mongoose.Schema(
+  {
+    challengeId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    meetingId: {
+      type: String,
+      required: true,
+    },
+    // Student the check-in is restricted to (self check-in); null for kiosks
+    expectedStudentId: {
+      type: Number,
+      default: null,
+    },
+    steps: [{
+      type: String,
+      enum: LIVENESS_STEPS,
+    }],
+    status: {
+      type: String,
+      enum: ['pending', 'passed', 'failed'],
+      default: 'pending',
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Student identified from the frames (or the expected one)
+    studentId: {
+      type: Number,
+      index: true,
+    },
+    verifiedAt: Date,
+    failureReason: String,
+    frameCount: Number,
+    // Per-frame measurements, kept for review
+    frames: [{
+      _id: false,
+      yaw: Number,
+      eyeAspectRatio: Number,
+      score: Number,
+      distanceToReference: Number,
+      error: String,
+    }],
+    matchDistance: Number,
+    attendance: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Attendance',
+    },
+    metadata: {
+      ipAddress: String,
+      userAgent: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+livenessChallengeSchema.index({ status: 1, studentId: 1, createdAt: -1 });
+
+// Unused challenges are removed a day after they expire; verified ones are kept
+livenessChallengeSchema.index(
+  { expiresAt: 1 },
+  { expireAfterSeconds: 24 * 60 * 60, partialFilterExpression: { status: 'pending' } }
+);
+
+livenessChallengeSchema.statics.LIVENESS_STEPS = LIVENESS_STEPS;
+
+const LivenessChallenge = mongoose.model('LivenessChallenge', livenessChallengeSchema);
+
+module.exports = LivenessChallenge;
@@ -35,6 +35,7 @@ const participantSchema = new mongoose.Schema({
   
   // Meeting information
   meetingId: { type: String, required: true },
+  meetingUuid: { type: String }, // Occurrence (Zoom instance UUID) of a recurring meeting
   meetingTopic: { type: String },
   
   // Session tracking
@@ -85,6 +86,8 @@ const participantSchema = new mongoose.Schema({
   updatedAt: { type: Date, default: Date.now }
 });
 
+participantSchema.index({ meetingId: 1, meetingUuid: 1 });
+
 // Update the updatedAt field before saving
 participantSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
@@ -120,4 +123,19 @@ participantSchema.methods.meetsAttendanceThreshold = function(meetingDuration, t
   return attendancePercentage >= threshold;
 };
 
+/**
+ * Query for the participants of one meeting occurrence
+ * Records stored before occurrences were tracked have no meetingUuid and match every occurrence.
+ * @param {Object|null} meeting - ZoomMeeting occurrence
+ * @param {string} meetingId - Meeting ID used when the meeting is unknown
+ * @returns {Object} - Mongo filter
+ */
+participantSchema.statics.occurrenceQuery = function(meeting, meetingId) {
+  const query = { meetingId: String(meeting?.meetingId || meetingId) };
+  if (meeting?.meetingUuid) {
+    query.meetingUuid = { $in: [meeting.meetingUuid, null] };
+  }
+  return query;
+};
+
 module.exports = mongoose.model("Participant", participantSchema);
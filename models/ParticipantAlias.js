@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const KINDS = ['name', 'email', 'device'];
+
+/**
+ * A Zoom identity confirmed to belong to a student: a display name, an
+ * email that differs from the one on file, or a device fingerprint.
+ * Values are stored normalised (see participantIdentityService) so
+ * "iPhone (2)" and "iphone" share an alias.
+ */
+const participantAliasSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: KINDS,
+      required: true,
+    },
+    value: {
+      type: String,
+      required: true,
+    },
+    // References Student.StudentID, not _id
+    studentId: {
+      type: Number,
+      required: true,
+      index: true,
+    },
+    // Display form of the value when it was first confirmed
+    example: String,
+    confirmedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    hits: {
+      type: Number,
+      default: 0,
+    },
+    lastSeenAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// The same alias may belong to several students; it is then ambiguous
+participantAliasSchema.index({ kind: 1, value: 1, studentId: 1 }, { unique: true });
+
+participantAliasSchema.statics.KINDS = KINDS;
+
+const ParticipantAlias = mongoose.model('ParticipantAlias', participantAliasSchema);
+
+module.exports = ParticipantAlias;
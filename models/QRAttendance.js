@@ -53,6 +53,27 @@ const qrAttendanceSchema = new mongoose.Schema(
     location: {
       latitude: Number,
       longitude: Number,
+      accuracy: Number,
+    },
+    // Venue geofence decision for sessions bound to a venue
+    geofence: {
+      venueId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Venue',
+      },
+      venueName: String,
+      decision: {
+        type: String,
+        enum: ['inside', 'outside', 'uncertain'],
+      },
+      action: {
+        type: String,
+        enum: ['accepted', 'flagged', 'rejected'],
+      },
+      distanceOutside: Number,
+      accuracy: Number,
+      message: String,
+      evaluatedAt: Date,
     },
     deviceInfo: {
       type: String,
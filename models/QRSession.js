@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const qrSessionSchema = new mongoose.Schema(
+  {
+    sessionId: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true,
+    },
+    qrCodeId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    sessionTitle: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    validUntil: {
+      type: Date,
+      required: true,
+    },
+    // Seconds each signed code stays current before the display must refresh it
+    rotationSeconds: {
+      type: Number,
+      min: 5,
+      default: 30,
+    },
+    // Venue geofence scans must fall within (optional)
+    venue: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Venue',
+    },
+    // Zoom meeting whose verification policy signed-in scans count towards (optional)
+    meetingId: String,
+    createdBy: {
+      userId: String,
+      username: String,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Check whether the session can still issue and accept codes
+qrSessionSchema.methods.isOpen = function(now = new Date()) {
+  return this.isActive && this.validUntil > now;
+};
+
+const QRSession = mongoose.model('QRSession', qrSessionSchema);
+
+module.exports = QRSession;
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+/**
+ * Records each signed QR code consumed by a student so the same code
+ * cannot be submitted twice. Entries expire once the code can no longer
+ * validate anyway.
+ */
+const qrTokenUseSchema = new mongoose.Schema(
+  {
+    qrCodeId: {
+      type: String,
+      required: true,
+    },
+    window: {
+      type: Number,
+      required: true,
+    },
+    // StudentID or email of the scanner, depending on the consuming endpoint
+    consumerKey: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    sessionId: {
+      type: String,
+    },
+    consumedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+qrTokenUseSchema.index({ qrCodeId: 1, window: 1, consumerKey: 1 }, { unique: true });
+qrTokenUseSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Atomically mark a code as consumed by a student
+ * @returns {Promise<boolean>} - false when the student already used this code
+ */
+qrTokenUseSchema.statics.consume = async function({ qrCodeId, window, consumerKey, sessionId, expiresAt }) {
+  try {
+    await this.create({
+      qrCodeId,
+      window,
+      consumerKey: String(consumerKey),
+      sessionId,
+      expiresAt,
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Give back a code claimed with consume() when the scan is then rejected
+ */
+qrTokenUseSchema.statics.release = function({ qrCodeId, window, consumerKey }) {
+  return this.deleteOne({ qrCodeId, window, consumerKey: String(consumerKey).toLowerCase().trim() });
+};
+
+const QRTokenUse = mongoose.model('QRTokenUse', qrTokenUseSchema);
+
+module.exports = QRTokenUse;
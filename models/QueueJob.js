@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+/**
+ * Work waiting in a persisted queue (see utils/queueStore.js): Zoom API
+ * requests and background jobs. Jobs survive restarts; a worker locks a job
+ * while it runs, and a claim whose lock expires (the instance died mid-job)
+ * can be claimed again. Finished jobs are kept for a while (an hour by default) so
+ * callers and admins can read the outcome.
+ */
+const queueJobSchema = new mongoose.Schema(
+  {
+    queue: {
+      type: String,
+      required: true,
+    },
+    // Whatever the queue's worker needs to run the job; must be plain JSON
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // At most one queued or running job per key; cleared when the job finishes
+    uniqueKey: String,
+    activeKey: String,
+    // Only this worker may claim the job (work on one instance's memory)
+    instance: String,
+    // 1 (highest) to 10
+    priority: {
+      type: Number,
+      default: 5,
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+      default: 'queued',
+    },
+    availableAt: {
+      type: Date,
+      default: Date.now,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lockedBy: String,
+    lockedUntil: Date,
+    startedAt: Date,
+    finishedAt: Date,
+    result: mongoose.Schema.Types.Mixed,
+    // { message, code, status, data } of the failure
+    error: mongoose.Schema.Types.Mixed,
+    // One entry per finished attempt, as recorded by the worker
+    history: [mongoose.Schema.Types.Mixed],
+    // Set when the job finishes (or up front for jobs that may be orphaned)
+    expiresAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+queueJobSchema.index({ queue: 1, status: 1, priority: 1, createdAt: 1 });
+queueJobSchema.index({ activeKey: 1 }, { unique: true, sparse: true });
+queueJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const QueueJob = mongoose.model('QueueJob', queueJobSchema);
+
+module.exports = QueueJob;
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+/**
+ * Shared spacing for a rate-limited API, one document per bucket
+ * (e.g. "zoom:heavy"). Every instance reserves its next call slot here,
+ * so the limit holds for all of them together.
+ */
+const rateLimitBucketSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+    },
+    // Earliest time the next call may start
+    nextSlotAt: Date,
+    // Set when the API answered 429 with Retry-After
+    blockedUntil: Date,
+    // When the last slot was reserved, and the slot it got
+    takenAt: Date,
+    slotAt: Date,
+  },
+  {
+    versionKey: false,
+  }
+);
+
+const RateLimitBucket = mongoose.model('RateLimitBucket', rateLimitBucketSchema);
+
+module.exports = RateLimitBucket;
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+/**
+ * A refresh token issued to one login session ("family"). Only the SHA-256
+ * hash is stored. Each refresh replaces the token with a new one in the same
+ * family; presenting a replaced token again is treated as theft and revokes
+ * the whole family.
+ */
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // Shared by every token of one login session; also the access token "sid"
+    family: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Set when this token was exchanged for its successor
+    replacedAt: Date,
+    revokedAt: Date,
+    revokedReason: String,
+    createdByIp: String,
+    userAgent: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+refreshTokenSchema.virtual('isActive').get(function() {
+  return !this.replacedAt && !this.revokedAt && this.expiresAt > new Date();
+});
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
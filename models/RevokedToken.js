@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+/**
+ * Revocation list for access tokens, consulted by the auth middleware.
+ * An entry revokes a single token (jti), every token of a login session
+ * (family) or every token a user was issued before a point in time (user).
+ * Entries expire once the access tokens they cover would have expired.
+ */
+const revokedTokenSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['token', 'family', 'user'],
+      required: true,
+    },
+    jti: String,
+    family: String,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // type "user": tokens issued before this time are rejected
+    issuedBefore: Date,
+    reason: String,
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+revokedTokenSchema.index({ jti: 1 }, { sparse: true });
+revokedTokenSchema.index({ family: 1 }, { sparse: true });
+revokedTokenSchema.index({ user: 1, issuedBefore: -1 });
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Revocation entries matching a decoded access token
+ * @param {Object} decoded - Verified JWT payload ({ jti, sid, userId, iat })
+ * @returns {Object} - Mongo filter
+ */
+revokedTokenSchema.statics.filterFor = function(decoded) {
+  const conditions = [];
+  if (decoded.jti) conditions.push({ type: 'token', jti: decoded.jti });
+  if (decoded.sid) conditions.push({ type: 'family', family: decoded.sid });
+  if (decoded.userId && decoded.iat) {
+    conditions.push({ type: 'user', user: decoded.userId, issuedBefore: { $gt: new Date(decoded.iat * 1000) } });
+  }
+  return { $or: conditions, expiresAt: { $gt: new Date() } };
+};
+
+const RevokedToken = mongoose.model('RevokedToken', revokedTokenSchema);
+
+module.exports = RevokedToken;
@@ -1,5 +1,30 @@
 const mongoose = require('mongoose');
 
+const TIME_PATTERN = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+
+// One working/attendance window on a weekday (0 = Sunday)
+const shiftSchema = new mongoose.Schema(
+  {
+    dayOfWeek: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 6,
+    },
+    start: {
+      type: String,
+      required: true,
+      match: TIME_PATTERN,
+    },
+    end: {
+      type: String,
+      required: true,
+      match: TIME_PATTERN,
+    },
+  },
+  { _id: false }
+);
+
 const studentSchema = new mongoose.Schema(
   {
     StudentID: {
@@ -37,19 +62,31 @@ const studentSchema = new mongoose.Schema(
       enum: ['Male', 'Female', 'Other'],
       required: true,
     },
+    // Name of a Department (validated against the departments collection)
     Department: {
       type: String,
       required: true,
-      enum: ['R & I', 'Faculty', 'Consultancy', 'Corporate'],
       trim: true,
+      index: true,
     },
+    // Weekly shifts, replacing the single TimeIn/TimeOut pair
+    schedule: {
+      type: [shiftSchema],
+      default: [],
+    },
+    // Values of admin-defined fields (see StudentField), keyed by field key
+    customFields: {
+      type: Map,
+      of: mongoose.Schema.Types.Mixed,
+      default: undefined,
+    },
+    // Legacy: today's date combined with a time; kept for records created
+    // before schedules and converted by Student.scheduleFromLegacy
     TimeIn: {
       type: Date,
-      required: true,
     },
     TimeOut: {
       type: Date,
-      required: false,
     },
   },
   {
@@ -57,6 +94,33 @@ const studentSchema = new mongoose.Schema(
   }
 );
 
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Weekday (Mon-Fri) schedule equivalent to a legacy TimeIn/TimeOut pair
+ * @param {Date} timeIn - Legacy TimeIn
+ * @param {Date} timeOut - Legacy TimeOut (shifts end at 23:59 without one)
+ * @returns {Array} - Shifts
+ */
+studentSchema.statics.scheduleFromLegacy = function(timeIn, timeOut) {
+  if (!timeIn) return [];
+  const start = `${pad(timeIn.getHours())}:${pad(timeIn.getMinutes())}`;
+  const end = timeOut ? `${pad(timeOut.getHours())}:${pad(timeOut.getMinutes())}` : '23:59';
+  if (end <= start) return [];
+
+  return [1, 2, 3, 4, 5].map(dayOfWeek => ({ dayOfWeek, start, end }));
+};
+
+// Shifts on the weekday of a date; legacy records fall back to TimeIn/TimeOut
+studentSchema.methods.shiftsOn = function(date = new Date()) {
+  const schedule = this.schedule && this.schedule.length > 0
+    ? this.schedule
+    : this.constructor.scheduleFromLegacy(this.TimeIn, this.TimeOut);
+  return schedule.filter(shift => shift.dayOfWeek === date.getDay());
+};
+
+studentSchema.statics.TIME_PATTERN = TIME_PATTERN;
+
 const Student = mongoose.model('Student', studentSchema);
 
 module.exports = Student;
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const TYPES = ['string', 'number', 'boolean', 'date', 'select'];
+
+/**
+ * An admin-defined student field. Values live in Student.customFields
+ * under the field's key and are validated by studentFieldService.
+ */
+const studentFieldSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      match: [/^[a-zA-Z][a-zA-Z0-9_]{0,49}$/, 'key must start with a letter and contain only letters, digits and _'],
+    },
+    label: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: TYPES,
+      default: 'string',
+    },
+    // Allowed values of a select field
+    options: {
+      type: [String],
+      default: [],
+    },
+    required: {
+      type: Boolean,
+      default: false,
+    },
+    // Department names the field applies to; empty means every student
+    departments: {
+      type: [String],
+      default: [],
+    },
+    order: {
+      type: Number,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+studentFieldSchema.statics.TYPES = TYPES;
+
+const StudentField = mongoose.model('StudentField', studentFieldSchema);
+
+module.exports = StudentField;
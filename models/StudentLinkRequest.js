@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const METHODS = ['email_code', 'admin_approval'];
+const STATUSES = ['pending', 'verified', 'approved', 'rejected', 'cancelled', 'expired'];
+
+/**
+ * A user's claim on a Student record. The claim is proven either with a
+ * code sent to the student's email on file or by an admin approving it;
+ * once it succeeds User.studentId is set.
+ */
+const studentLinkRequestSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // References Student.StudentID, not _id
+    studentId: {
+      type: Number,
+      required: true,
+      index: true,
+    },
+    method: {
+      type: String,
+      enum: METHODS,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: STATUSES,
+      default: 'pending',
+      index: true,
+    },
+    // email_code only; the code itself is never stored
+    codeHash: String,
+    codeExpiresAt: Date,
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Where the code was sent (masked), for the client to display
+    sentTo: String,
+    message: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    decision: {
+      decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      decidedAt: Date,
+      note: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One open claim per user
+studentLinkRequestSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' }, name: 'user_pending_unique' }
+);
+
+studentLinkRequestSchema.statics.METHODS = METHODS;
+studentLinkRequestSchema.statics.STATUSES = STATUSES;
+
+const StudentLinkRequest = mongoose.model('StudentLinkRequest', studentLinkRequestSchema);
+
+module.exports = StudentLinkRequest;
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../utils/permissions');
 
 const userSchema = new mongoose.Schema({
   username: { 
@@ -21,12 +22,29 @@ const userSchema = new mongoose.Schema({
     required: true, 
     minlength: 6 
   },
+  // 'user' is the pre-roles name for student and is treated as one
   role: {
     type: String,
-    enum: ['user', 'admin'],
-    default: 'user',
+    enum: [...ROLES, 'user'],
+    default: 'student',
   },
-  createdAt: { 
+  // Scope of department heads (matches Course.department / Student.Department)
+  department: {
+    type: String,
+    trim: true,
+  },
+  // Verified link to Student.StudentID (see services/studentLinkService)
+  studentId: {
+    type: Number,
+    unique: true,
+    sparse: true,
+  },
+  studentLink: {
+    method: { type: String, enum: ['email_code', 'admin_approval', 'admin'] },
+    verifiedAt: Date,
+    verifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  createdAt: {
     type: Date, 
     default: Date.now 
   },
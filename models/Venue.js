@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const { evaluateGeofence } = require('../utils/locationUtils');
+
+const pointSchema = new mongoose.Schema(
+  {
+    latitude: {
+      type: Number,
+      required: true,
+      min: -90,
+      max: 90,
+    },
+    longitude: {
+      type: Number,
+      required: true,
+      min: -180,
+      max: 180,
+    },
+  },
+  { _id: false }
+);
+
+const venueSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    building: {
+      type: String,
+      trim: true,
+    },
+    // Geofence definition: centre + radius or polygon
+    fenceType: {
+      type: String,
+      enum: ['circle', 'polygon'],
+      default: 'circle',
+    },
+    center: {
+      type: pointSchema,
+      required: function() {
+        return this.fenceType === 'circle';
+      },
+    },
+    radiusMeters: {
+      type: Number,
+      min: 1,
+      required: function() {
+        return this.fenceType === 'circle';
+      },
+    },
+    polygon: {
+      type: [pointSchema],
+      default: undefined,
+      validate: {
+        validator: function(points) {
+          return this.fenceType !== 'polygon' || (Array.isArray(points) && points.length >= 3);
+        },
+        message: 'A polygon geofence needs at least 3 points',
+      },
+    },
+    // Scans reporting a worse GPS accuracy than this are never treated as inside
+    maxAccuracyMeters: {
+      type: Number,
+      min: 1,
+      default: 100,
+    },
+    // What to do with scans clearly outside the fence
+    outsideAction: {
+      type: String,
+      enum: ['reject', 'flag'],
+      default: 'reject',
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+venueSchema.pre('validate', function(next) {
+  // Polygon venues still get a centre so they can be shown on a map
+  if (this.fenceType === 'polygon' && Array.isArray(this.polygon) && this.polygon.length >= 3 && !this.center) {
+    this.center = {
+      latitude: this.polygon.reduce((sum, p) => sum + p.latitude, 0) / this.polygon.length,
+      longitude: this.polygon.reduce((sum, p) => sum + p.longitude, 0) / this.polygon.length,
+    };
+  }
+  next();
+});
+
+// Method to evaluate a scan location against this venue
+venueSchema.methods.evaluateLocation = function(location) {
+  return evaluateGeofence(this, location);
+};
+
+const Venue = mongoose.model('Venue', venueSchema);
+
+module.exports = Venue;
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const deliverySchema = new mongoose.Schema(
+  {
+    attempt: {
+      type: Number,
+      default: 1,
+    },
+    replay: {
+      type: Boolean,
+      default: false,
+    },
+    subscriber: {
+      type: String,
+      required: true,
+    },
+    success: {
+      type: Boolean,
+      default: false,
+    },
+    message: String,
+    error: String,
+    durationMs: Number,
+    completedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Append-only log of every verified Zoom webhook received by the
+ * ingestion pipeline, with the outcome of each subscriber delivery.
+ * Events are never deleted; replays append further deliveries.
+ */
+const webhookEventSchema = new mongoose.Schema(
+  {
+    // Hash of the delivered body; Zoom retries resend it unchanged
+    idempotencyKey: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    source: {
+      type: String,
+      enum: ['zoom'],
+      default: 'zoom',
+    },
+    eventType: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // event_ts from Zoom, falling back to receipt time
+    eventTime: {
+      type: Date,
+      required: true,
+    },
+    meetingId: {
+      type: String,
+      index: true,
+    },
+    meetingUuid: {
+      type: String,
+    },
+    participantUuid: {
+      type: String,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // Route the event arrived on, kept while legacy URLs are still configured in Zoom
+    endpoint: {
+      type: String,
+    },
+    signatureVerified: {
+      type: Boolean,
+      default: false,
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    status: {
+      type: String,
+      enum: ['received', 'processed', 'partially_failed', 'failed'],
+      default: 'received',
+      index: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Times Zoom redelivered the same event
+    duplicateCount: {
+      type: Number,
+      default: 0,
+    },
+    lastError: {
+      type: String,
+    },
+    processedAt: {
+      type: Date,
+    },
+    deliveries: [deliverySchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookEventSchema.index({ meetingId: 1, eventTime: 1 });
+webhookEventSchema.index({ receivedAt: -1 });
+webhookEventSchema.index({ status: 1, receivedAt: 1 });
+
+// Static method to derive the idempotency key for a webhook body
+webhookEventSchema.statics.buildIdempotencyKey = function(body) {
+  return crypto
+    .createHash('sha256')
+    .update(`${body.event}:${body.event_ts || ''}:${JSON.stringify(body.payload)}`)
+    .digest('hex');
+};
+
+// Method to rebuild the raw webhook body for replay
+webhookEventSchema.methods.toWebhookBody = function() {
+  return {
+    event: this.eventType,
+    event_ts: this.eventTime.getTime(),
+    payload: this.payload,
+  };
+};
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+module.exports = WebhookEvent;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { evaluateAttendance, getScheduledWindow } = require('../utils/attendancePolicyEngine');
 
 const zoomAttendanceSchema = new mongoose.Schema(
   {
@@ -53,6 +54,13 @@ const zoomAttendanceSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // How the student was resolved (see services/participantIdentityService)
+    identity: {
+      method: { type: String, enum: ['email', 'alias', 'name', 'device', 'manual'] },
+      score: Number,
+      resolvedAt: Date,
+      resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    },
     
     // Attendance times (from webhooks)
     joinTime: {
@@ -71,9 +79,20 @@ const zoomAttendanceSchema = new mongoose.Schema(
     // Status tracking
     attendanceStatus: {
       type: String,
-      enum: ['Present', 'Absent', 'Late', 'Partial', 'In Progress'],
+      enum: ['Present', 'Absent', 'Late', 'Left Early', 'Partial', 'In Progress'],
       default: 'In Progress',
     },
+    // Punctuality against the meeting's scheduled start/end (null when unknown)
+    minutesLate: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    minutesLeftEarly: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
     connectionStatus: {
       type: String,
       enum: ['joined', 'left', 'in_meeting', 'admitted'],
@@ -153,8 +172,9 @@ zoomAttendanceSchema.index({ meetingId: 1, studentId: 1 });
 zoomAttendanceSchema.index({ joinTime: 1 });
 zoomAttendanceSchema.index({ source: 1, isReconciled: 1 });
 
-// Method to calculate duration and status with 85% threshold
-zoomAttendanceSchema.methods.calculateDurationAndStatus = function(meetingDuration = null) {
+// Method to calculate duration and status under an attendance policy
+// meeting (optional) supplies the scheduled start/end for late/early detection
+zoomAttendanceSchema.methods.calculateDurationAndStatus = function(meetingDuration = null, policy = null, meeting = null) {
   if (this.joinTime && this.leaveTime) {
     this.duration = Math.round((this.leaveTime - this.joinTime) / 1000);
   } else if (this.joinTime) {
@@ -163,14 +183,18 @@ zoomAttendanceSchema.methods.calculateDurationAndStatus = function(meetingDurati
   }
   
   if (meetingDuration && this.duration) {
-    this.attendancePercentage = Math.round((this.duration / (meetingDuration * 60)) * 100);
+    const evaluation = evaluateAttendance(policy, {
+      attendedMinutes: this.duration / 60,
+      meetingDuration,
+      joinTime: this.joinTime,
+      leaveTime: this.leaveTime,
+      ...getScheduledWindow(meeting)
+    });
     
-    // Apply 85% threshold rule for attendance status
-    if (this.attendancePercentage >= 85) {
-      this.attendanceStatus = 'Present';
-    } else {
-      this.attendanceStatus = 'Absent';
-    }
+    this.attendancePercentage = evaluation.attendancePercentage;
+    this.attendanceStatus = evaluation.status;
+    this.minutesLate = evaluation.minutesLate;
+    this.minutesLeftEarly = evaluation.minutesLeftEarly;
   } else if (!this.leaveTime) {
     this.attendanceStatus = 'In Progress';
   }
@@ -257,16 +281,24 @@ zoomAttendanceSchema.statics.calculateUserAttendanceTime = async function(meetin
   }
 };
 
-// Method to calculate attendance percentage and status with 85% threshold
-zoomAttendanceSchema.statics.calculateAttendanceStatus = function(attendanceTime, meetingDuration) {
+// Method to calculate attendance percentage and status under an attendance policy
+// attendanceTime is in seconds, meetingDuration in minutes; policy defaults to the organisation default
+zoomAttendanceSchema.statics.calculateAttendanceStatus = function(attendanceTime, meetingDuration, policy = null, options = {}) {
   if (!meetingDuration || meetingDuration <= 0) {
     return { attendancePercentage: 0, status: 'Absent' };
   }
   
-  const attendancePercentage = Math.round((attendanceTime / (meetingDuration * 60)) * 100);
-  const status = attendancePercentage >= 85 ? 'Present' : 'Absent';
+  const { status, attendancePercentage, minutesLate, minutesLeftEarly } = evaluateAttendance(policy, {
+    attendedMinutes: attendanceTime / 60,
+    meetingDuration,
+    scheduledStart: options.scheduledStart,
+    scheduledEnd: options.scheduledEnd,
+    joinTime: options.joinTime,
+    leaveTime: options.leaveTime,
+    sessions: options.sessions
+  });
   
-  return { attendancePercentage, status };
+  return { attendancePercentage, status, minutesLate, minutesLeftEarly };
 };
 
 // Method to add webhook event
@@ -303,54 +335,12 @@ zoomAttendanceSchema.methods.addWebhookEvent = function(eventType, eventData) {
   return this.save();
 };
 
-// Method to match with student
+// Method to match with student: links confident matches and queues the rest for review
 zoomAttendanceSchema.methods.matchWithStudent = async function() {
-  if (this.isMatched || (!this.participantEmail && !this.participantName)) {
-    return this;
-  }
-  
-  const Student = mongoose.model('Student');
-  let matchedStudent = null;
-  
-  // Try to match by email first
-  if (this.participantEmail) {
-    matchedStudent = await Student.findOne({
-      Email: { $regex: new RegExp(`^${this.participantEmail}$`, 'i') }
-    });
-  }
-  
-  // Try to match by name if email doesn't work
-  if (!matchedStudent && this.participantName) {
-    const nameVariations = [
-      this.participantName,
-      this.participantName.replace(/[.,]/g, ''), // Remove punctuation
-      this.participantName.toLowerCase(),
-    ];
-    
-    for (const nameVar of nameVariations) {
-      matchedStudent = await Student.findOne({
-        $or: [
-          { FirstName: { $regex: new RegExp(`^${nameVar}$`, 'i') } },
-          { LastName: { $regex: new RegExp(`^${nameVar}$`, 'i') } },
-          { $expr: { 
-            $eq: [
-              { $toLower: { $concat: ['$FirstName', ' ', '$LastName'] } },
-              nameVar.toLowerCase()
-            ]
-          }}
-        ]
-      });
-      
-      if (matchedStudent) break;
-    }
-  }
-  
-  if (matchedStudent) {
-    this.studentId = matchedStudent.StudentID;
-    this.isMatched = true;
-  }
-  
-  return this.save();
+  // Required lazily: the service loads this model itself
+  const participantIdentityService = require('../services/participantIdentityService');
+  await participantIdentityService.resolve(this);
+  return this;
 };
 
 // Static method to get attendance summary for a meeting
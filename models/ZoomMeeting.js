@@ -1,15 +1,25 @@
 const mongoose = require('mongoose');
 
+// Factors a hybrid check-in can combine (see hybridVerificationService)
+const VERIFICATION_FACTORS = ['qr_scan', 'geofence', 'face_match', 'jwt_session', 'zoom_presence'];
+
 const zoomMeetingSchema = new mongoose.Schema(
   {
+    // Shared by every occurrence of a recurring meeting
     meetingId: {
       type: String,
       required: true,
-      unique: true,
     },
+    // Zoom's per-instance UUID; each occurrence of a series is its own document
     meetingUuid: {
       type: String,
       required: true,
+      unique: true,
+    },
+    // Zoom occurrence_id (start timestamp) of the scheduled occurrence this instance belongs to
+    occurrenceId: {
+      type: String,
+      required: false,
     },
     topic: {
       type: String,
@@ -38,6 +48,17 @@ const zoomMeetingSchema = new mongoose.Schema(
       type: Date,
       required: false,
     },
+    // Recurrence rule and scheduled occurrences as returned by the Zoom API (types 3 and 8)
+    recurrence: {
+      type: mongoose.Schema.Types.Mixed,
+      required: false,
+    },
+    occurrences: [{
+      occurrenceId: String,
+      startTime: Date,
+      duration: Number, // in minutes
+      status: String, // available | deleted
+    }],
     actualStartTime: {
       type: Date,
       required: false,
@@ -116,9 +137,11 @@ const zoomMeetingSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Recent event summary only; full payloads live in the WebhookEvent log
     webhookEvents: [{
       eventType: String,
-      eventData: mongoose.Schema.Types.Mixed,
+      eventData: mongoose.Schema.Types.Mixed, // legacy records only
+      eventLogId: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookEvent' },
       timestamp: { type: Date, default: Date.now },
       processed: { type: Boolean, default: false },
       source: { type: String, enum: ['webhook', 'api', 'manual'], default: 'webhook' }
@@ -151,6 +174,12 @@ const zoomMeetingSchema = new mongoose.Schema(
       type: String,
       required: false,
     },
+    // User who scheduled the meeting through this app; its instructor scope covers it
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: true,
+    },
     metadata: {
       createdBy: String,
       tags: [String],
@@ -158,19 +187,150 @@ const zoomMeetingSchema = new mongoose.Schema(
       course: String,
       session: String,
     },
+    // Hybrid check-in: attendance is verified once minimumFactors of factors are satisfied
+    verificationPolicy: {
+      factors: [{
+        type: String,
+        enum: VERIFICATION_FACTORS,
+      }],
+      minimumFactors: {
+        type: Number,
+        min: 1,
+      },
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// Cap on the embedded webhook event summary
+zoomMeetingSchema.statics.MAX_WEBHOOK_EVENTS = 100;
+zoomMeetingSchema.statics.VERIFICATION_FACTORS = VERIFICATION_FACTORS;
+
 // Index for better query performance
-zoomMeetingSchema.index({ meetingId: 1 });
+zoomMeetingSchema.index({ meetingId: 1, actualStartTime: -1 });
+zoomMeetingSchema.index({ meetingId: 1, occurrenceId: 1 });
 zoomMeetingSchema.index({ startTime: 1 });
 zoomMeetingSchema.index({ status: 1 });
 zoomMeetingSchema.index({ 'participants.email': 1 });
 zoomMeetingSchema.index({ 'participants.studentId': 1 });
 
+// Fields shared by every occurrence of a series, copied onto new occurrence documents
+const SERIES_FIELDS = [
+  'meetingId', 'topic', 'hostId', 'hostEmail', 'type', 'duration', 'timezone', 'password',
+  'joinUrl', 'startUrl', 'settings', 'recurrence', 'occurrences', 'owner', 'metadata', 'verificationPolicy',
+];
+
+zoomMeetingSchema.virtual('isRecurring').get(function() {
+  return this.type === 3 || this.type === 8;
+});
+
+const LATEST_OCCURRENCE_FIRST = { actualStartTime: -1, startTime: -1, createdAt: -1 };
+
+function occurrenceFilter(idOrUuid) {
+  const key = idOrUuid.toString();
+  return { $or: [{ meetingUuid: key }, { meetingId: key }] };
+}
+
+/**
+ * Find a single occurrence by UUID, or the most recent occurrence of a meeting ID
+ * @param {string} idOrUuid - Meeting UUID or Zoom meeting ID
+ * @returns {Query} - findOne query (chain select/lean as usual)
+ */
+zoomMeetingSchema.statics.findOccurrence = function(idOrUuid) {
+  return this.findOne(occurrenceFilter(idOrUuid)).sort(LATEST_OCCURRENCE_FIRST);
+};
+
+/**
+ * Update the occurrence findOccurrence would return
+ * @param {string} idOrUuid - Meeting UUID or Zoom meeting ID
+ * @param {Object} update - Update document
+ * @param {Object} options - findOneAndUpdate options
+ * @returns {Query} - findOneAndUpdate query
+ */
+zoomMeetingSchema.statics.updateOccurrence = function(idOrUuid, update, options = {}) {
+  return this.findOneAndUpdate(occurrenceFilter(idOrUuid), update, { ...options, sort: LATEST_OCCURRENCE_FIRST });
+};
+
+/**
+ * All stored occurrences of a meeting ID, oldest first
+ * @param {string} meetingId - Zoom meeting ID
+ * @returns {Query} - find query
+ */
+zoomMeetingSchema.statics.findSeries = function(meetingId) {
+  return this.find({ meetingId: meetingId.toString() })
+    .sort({ actualStartTime: 1, startTime: 1, createdAt: 1 });
+};
+
+/**
+ * Scheduled occurrence closest to a start time
+ * @param {Array} occurrences - Scheduled occurrences
+ * @param {Date} startTime - Actual start time
+ * @returns {Object|null} - Occurrence
+ */
+function findScheduledOccurrence(occurrences = [], startTime) {
+  const started = new Date(startTime).getTime();
+  return occurrences
+    .filter(occurrence => occurrence.startTime && occurrence.status !== 'deleted')
+    .sort((a, b) => Math.abs(new Date(a.startTime) - started) - Math.abs(new Date(b.startTime) - started))[0] || null;
+}
+
+/**
+ * Document for the instance identified by meetingUuid, without saving it
+ * A stored meeting that never started is claimed by its first instance; later
+ * instances of a recurring meeting get a new document copied from the series.
+ * @param {Object} instance - { meetingId, meetingUuid, startTime, occurrenceId }
+ * @param {Object} defaults - Fields used when the meeting ID has never been seen
+ * @returns {Object|null} - ZoomMeeting document (possibly new) or null when unknown and no defaults
+ */
+zoomMeetingSchema.statics.resolveOccurrence = async function({ meetingId, meetingUuid, startTime = null, occurrenceId = null }, defaults = null) {
+  if (meetingUuid) {
+    const existing = await this.findOne({ meetingUuid });
+    if (existing) return existing;
+  }
+
+  const latest = await this.findOccurrence(meetingId);
+  let meeting;
+
+  if (latest && !meetingUuid) {
+    // Without an instance UUID the event can only belong to the current occurrence
+    return latest;
+  } else if (latest && !latest.actualStartTime && latest.status === 'waiting') {
+    meeting = latest;
+    if (meetingUuid) meeting.meetingUuid = meetingUuid;
+  } else if (latest) {
+    const seriesFields = SERIES_FIELDS.reduce((fields, key) => {
+      if (latest[key] !== undefined) fields[key] = latest[key];
+      return fields;
+    }, {});
+    meeting = new this({
+      ...seriesFields,
+      meetingUuid,
+      startTime: startTime || new Date(),
+      status: 'waiting',
+    });
+  } else if (defaults) {
+    meeting = new this({ ...defaults, meetingId, meetingUuid });
+  } else {
+    return null;
+  }
+
+  // Scheduled start comes from the matching occurrence so punctuality is measured per occurrence
+  const scheduled = occurrenceId
+    ? meeting.occurrences.find(occurrence => occurrence.occurrenceId === occurrenceId.toString())
+    : (meeting.isNew || !meeting.occurrenceId) && findScheduledOccurrence(meeting.occurrences, startTime || new Date());
+  if (scheduled) {
+    meeting.occurrenceId = scheduled.occurrenceId;
+    meeting.startTime = scheduled.startTime;
+    if (scheduled.duration) meeting.duration = scheduled.duration;
+  } else if (occurrenceId) {
+    meeting.occurrenceId = occurrenceId.toString();
+  }
+
+  return meeting;
+};
+
 // Virtual for calculating attendance rate
 zoomMeetingSchema.virtual('attendanceRate').get(function() {
   if (this.totalParticipants === 0) return 0;
@@ -193,25 +353,27 @@ zoomMeetingSchema.methods.updateParticipant = function(participantData) {
   return this.save();
 };
 
+// Method to record a webhook event summary, keeping only the most recent entries
+zoomMeetingSchema.methods.recordWebhookEvent = function(summary) {
+  this.webhookEvents.push(summary);
+
+  const max = this.constructor.MAX_WEBHOOK_EVENTS;
+  if (this.webhookEvents.length > max) {
+    this.webhookEvents.splice(0, this.webhookEvents.length - max);
+  }
+};
+
 // Method to match participants with students
 zoomMeetingSchema.methods.matchParticipantsWithStudents = async function() {
-  const Student = mongoose.model('Student');
-  const students = await Student.find({});
-  
+  // Required lazily: the service loads models itself
+  const studentLinkService = require('../services/studentLinkService');
+
+  // Only the email Zoom reports is trusted: an account linked under it, or a
+  // student with exactly that email. Display names are never matched.
   for (let participant of this.participants) {
     if (!participant.isMatched && participant.email) {
-      // Try to match by email first
-      let matchedStudent = students.find(s => s.Email.toLowerCase() === participant.email.toLowerCase());
-      
-      if (!matchedStudent && participant.name) {
-        // Try to match by name if email doesn't match
-        const participantFullName = participant.name.toLowerCase();
-        matchedStudent = students.find(s => {
-          const studentFullName = `${s.FirstName} ${s.LastName}`.toLowerCase();
-          return studentFullName === participantFullName;
-        });
-      }
-      
+      const matchedStudent = await studentLinkService.findStudentForEmail(participant.email);
+
       if (matchedStudent) {
         participant.studentId = matchedStudent.StudentID;
         participant.isMatched = true;
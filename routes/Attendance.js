@@ -1,37 +1,86 @@
 const express = require('express');
 const AttendanceTracker = require('../services/attendanceTracker');
+const attendancePolicyService = require('../services/attendancePolicyService');
+const { getScheduledWindow } = require('../utils/attendancePolicyEngine');
 const Participant = require('../models/Participant');
 const Attendance = require('../models/Attendance');
 const Student = require('../models/Student');
 const MeetingDiagnostics = require('../utils/meetingDiagnostics');
 const { parseCoordinate, validateCoordinates, formatCoordinates, createLocationMetadata, validateLocationProximity } = require('../utils/locationUtils');
-const { parseAndValidateQR, extractAttendanceMetadata } = require('../utils/qrCodeValidator');
+const { parseAndValidateQR, extractAttendanceMetadata, buildTokenUse, isLegacyQRAllowed } = require('../utils/qrCodeValidator');
+const QRTokenUse = require('../models/QRTokenUse');
+const QRSession = require('../models/QRSession');
+const Venue = require('../models/Venue');
+const ZoomMeeting = require('../models/ZoomMeeting');
+const hybridVerificationService = require('../services/hybridVerificationService');
+const accessControlService = require('../services/accessControlService');
+const studentLinkService = require('../services/studentLinkService');
+const jobService = require('../services/jobService');
+const { auth, optionalAuth, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Initialize attendance tracker and diagnostics
-const attendanceTracker = new AttendanceTracker();
-attendanceTracker.init();
 const meetingDiagnostics = new MeetingDiagnostics();
 
+// Requiring the router starts nothing: the tracker is created on first use and
+// its auto-tracking is scheduled by initializeAttendanceTracker() at server start
+let attendanceTracker = null;
+let attendanceTrackerScheduled = false;
+
+function getAttendanceTracker() {
+  if (!attendanceTracker) {
+    attendanceTracker = new AttendanceTracker();
+  }
+  return attendanceTracker;
+}
+
+function initializeAttendanceTracker() {
+  const tracker = getAttendanceTracker();
+  if (!attendanceTrackerScheduled) {
+    tracker.init();
+    attendanceTrackerScheduled = true;
+  }
+  return tracker;
+}
+
+// Reports for meetings with many participants take a while; they can run as a job
+jobService.define('attendance.generate-report', async ({ meetingId }) => {
+  const report = await getAttendanceTracker().generateFinalAttendanceReport(meetingId);
+  if (!report.success) {
+    throw new Error(report.error);
+  }
+  return report;
+}, {
+  description: 'Generate the final attendance report for a meeting',
+  concurrency: 2
+});
+
+const meetingParam = req => req.params.meetingId;
+
+// Narrow a Participant/Attendance query to the meetings the user holds a permission on
+async function scopeToMeetings(user, query, permission = 'attendance:read') {
+  const meetingIds = await accessControlService.accessibleMeetingIds(user, permission);
+  return meetingIds ? { $and: [query, { meetingId: { $in: meetingIds } }] } : query;
+}
+
 /**
  * Start tracking attendance for a specific meeting
  * POST /api/attendance/start-tracking/:meetingId
  */
-router.post('/start-tracking/:meetingId', async (req, res) => {
+router.post('/start-tracking/:meetingId', auth, requirePermission('attendance:write', { meeting: meetingParam }), async (req, res) => {
   try {
     const { meetingId } = req.params;
     
     console.log(`🎯 Starting attendance tracking for meeting: ${meetingId}`);
     
-    const result = await attendanceTracker.startTrackingMeeting(meetingId);
+    const result = await getAttendanceTracker().startTrackingMeeting(meetingId);
     
     if (result) {
       res.json({
         success: true,
         message: `Successfully started tracking attendance for meeting ${meetingId}`,
         meetingId,
-        trackingStatus: attendanceTracker.getTrackingStatus(),
+        trackingStatus: getAttendanceTracker().getTrackingStatus(),
         timestamp: new Date().toISOString()
       });
     } else {
@@ -74,7 +123,7 @@ router.post('/start-tracking/:meetingId', async (req, res) => {
  * Stop tracking attendance for a specific meeting
  * POST /api/attendance/stop-tracking/:meetingId
  */
-router.post('/stop-tracking/:meetingId', async (req, res) => {
+router.post('/stop-tracking/:meetingId', auth, requirePermission('attendance:write', { meeting: meetingParam }), async (req, res) => {
   try {
     const { meetingId } = req.params;
     const { generateReport = true } = req.body;
@@ -84,10 +133,10 @@ router.post('/stop-tracking/:meetingId', async (req, res) => {
     let finalReport = null;
     
     if (generateReport) {
-      finalReport = await attendanceTracker.generateFinalAttendanceReport(meetingId);
+      finalReport = await getAttendanceTracker().generateFinalAttendanceReport(meetingId);
     }
     
-    const stopped = attendanceTracker.stopTrackingMeeting(meetingId);
+    const stopped = getAttendanceTracker().stopTrackingMeeting(meetingId);
     
     res.json({
       success: true,
@@ -95,7 +144,7 @@ router.post('/stop-tracking/:meetingId', async (req, res) => {
       meetingId,
       wasStopped: stopped,
       finalReport,
-      trackingStatus: attendanceTracker.getTrackingStatus(),
+      trackingStatus: getAttendanceTracker().getTrackingStatus(),
       timestamp: new Date().toISOString()
     });
     
@@ -114,13 +163,13 @@ router.post('/stop-tracking/:meetingId', async (req, res) => {
  * Get current attendance status for a meeting
  * GET /api/attendance/current/:meetingId
  */
-router.get('/current/:meetingId', async (req, res) => {
+router.get('/current/:meetingId', auth, requirePermission('attendance:read', { meeting: meetingParam }), async (req, res) => {
   try {
     const { meetingId } = req.params;
     
     console.log(`📊 Getting current attendance for meeting: ${meetingId}`);
     
-    const attendance = await attendanceTracker.getCurrentAttendance(meetingId);
+    const attendance = await getAttendanceTracker().getCurrentAttendance(meetingId);
     
     res.json(attendance);
     
@@ -139,14 +188,15 @@ router.get('/current/:meetingId', async (req, res) => {
  * Get live participants from Zoom API
  * GET /api/attendance/live-participants/:meetingId
  */
-router.get('/live-participants/:meetingId', async (req, res) => {
+router.get('/live-participants/:meetingId', auth, requirePermission('attendance:read', { meeting: meetingParam }), async (req, res) => {
   try {
     const { meetingId } = req.params;
     
     console.log(`🔍 Getting live participants for meeting: ${meetingId}`);
     
-    const participants = await attendanceTracker.getLiveParticipants(meetingId);
-    const meetingDetails = await attendanceTracker.getMeetingDetails(meetingId);
+    const participants = await getAttendanceTracker().getLiveParticipants(meetingId);
+    const meetingDetails = await getAttendanceTracker().getMeetingDetails(meetingId);
+    const policy = await attendancePolicyService.resolveForMeeting(meetingId);
     
     // Calculate current attendance status for each participant
     const participantsWithStatus = participants.map(participant => {
@@ -157,10 +207,12 @@ router.get('/live-participants/:meetingId', async (req, res) => {
         : Math.round((Date.now() - joinTime.getTime()) / (1000 * 60));
       
       const isActive = participant.status === 'in_meeting';
-      const attendanceStatus = attendanceTracker.calculateAttendanceStatus(
+      const attendanceStatus = getAttendanceTracker().calculateAttendanceStatus(
         duration, 
         meetingDetails?.duration || 60, 
-        isActive
+        isActive,
+        policy,
+        { joinTime, leaveTime, ...getScheduledWindow(meetingDetails) }
       );
       
       return {
@@ -215,15 +267,27 @@ router.get('/live-participants/:meetingId', async (req, res) => {
 
 /**
  * Generate final attendance report for a meeting
- * POST /api/attendance/generate-report/:meetingId
+ * POST /api/attendance/generate-report/:meetingId?background=true
+ * In the background, responds 202 with the job to follow at /api/jobs/:id
  */
-router.post('/generate-report/:meetingId', async (req, res) => {
+router.post('/generate-report/:meetingId', auth, requirePermission('attendance:export', { meeting: meetingParam }), async (req, res) => {
   try {
     const { meetingId } = req.params;
     
+    if (req.query.background === 'true') {
+      const job = await jobService.enqueue('attendance.generate-report', { meetingId }, { uniqueKey: meetingId });
+      return res.status(202).json({
+        success: true,
+        meetingId,
+        jobId: job.id,
+        status: job.status,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
     console.log(`📋 Generating final attendance report for meeting: ${meetingId}`);
     
-    const report = await attendanceTracker.generateFinalAttendanceReport(meetingId);
+    const report = await getAttendanceTracker().generateFinalAttendanceReport(meetingId);
     
     res.json(report);
     
@@ -242,13 +306,13 @@ router.post('/generate-report/:meetingId', async (req, res) => {
  * Get attendance summary for date range
  * GET /api/attendance/summary
  */
-router.get('/summary', async (req, res) => {
+router.get('/summary', auth, requirePermission('system:monitor'), async (req, res) => {
   try {
     const { dateFrom, dateTo, studentId } = req.query;
     
     console.log(`📊 Getting attendance summary from ${dateFrom} to ${dateTo}`);
     
-    const summary = await attendanceTracker.getAttendanceSummary(dateFrom, dateTo, studentId);
+    const summary = await getAttendanceTracker().getAttendanceSummary(dateFrom, dateTo, studentId);
     
     res.json(summary);
     
@@ -266,9 +330,9 @@ router.get('/summary', async (req, res) => {
  * Get tracking status for all meetings
  * GET /api/attendance/tracking-status
  */
-router.get('/tracking-status', (req, res) => {
+router.get('/tracking-status', auth, requirePermission('system:monitor'), (req, res) => {
   try {
-    const status = attendanceTracker.getTrackingStatus();
+    const status = getAttendanceTracker().getTrackingStatus();
     
     res.json({
       success: true,
@@ -289,18 +353,18 @@ router.get('/tracking-status', (req, res) => {
  * Manually update attendance for a specific meeting
  * POST /api/attendance/manual-update/:meetingId
  */
-router.post('/manual-update/:meetingId', async (req, res) => {
+router.post('/manual-update/:meetingId', auth, requirePermission('attendance:write', { meeting: meetingParam }), async (req, res) => {
   try {
     const { meetingId } = req.params;
     
     console.log(`🔄 Manually updating attendance for meeting: ${meetingId}`);
     
     // Get current participants from Zoom
-    const participants = await attendanceTracker.getLiveParticipants(meetingId);
-    const meetingDetails = await attendanceTracker.getMeetingDetails(meetingId);
+    const participants = await getAttendanceTracker().getLiveParticipants(meetingId);
+    const meetingDetails = await getAttendanceTracker().getMeetingDetails(meetingId);
     
     // Update participant attendance
-    const results = await attendanceTracker.updateParticipantAttendance(
+    const results = await getAttendanceTracker().updateParticipantAttendance(
       meetingId, 
       participants, 
       meetingDetails
@@ -329,7 +393,7 @@ router.post('/manual-update/:meetingId', async (req, res) => {
  * Get attendance history for a student
  * GET /api/attendance/student/:studentId
  */
-router.get('/student/:studentId', async (req, res) => {
+router.get('/student/:studentId', auth, requirePermission('attendance:read', { student: req => req.params.studentId }), async (req, res) => {
   try {
     const { studentId } = req.params;
     const { dateFrom, dateTo, status } = req.query;
@@ -410,7 +474,7 @@ router.get('/student/:studentId', async (req, res) => {
  * Get attendance statistics dashboard
  * GET /api/attendance/dashboard
  */
-router.get('/dashboard', async (req, res) => {
+router.get('/dashboard', auth, requirePermission('attendance:read'), async (req, res) => {
   try {
     const { dateFrom, dateTo } = req.query;
     
@@ -425,7 +489,7 @@ router.get('/dashboard', async (req, res) => {
     }
     
     // Get all participants
-    const participants = await Participant.find(dateFilter)
+    const participants = await Participant.find(await scopeToMeetings(req.user, dateFilter))
       .sort({ joinTime: -1 });
     
     // Group by meeting
@@ -477,7 +541,7 @@ router.get('/dashboard', async (req, res) => {
       Math.round((overallStats.present / overallStats.totalParticipants) * 100) : 0;
     
     // Get tracking status
-    const trackingStatus = attendanceTracker.getTrackingStatus();
+    const trackingStatus = getAttendanceTracker().getTrackingStatus();
     
     // Get QR scanner location statistics
     let qrLocationStats = null;
@@ -495,7 +559,7 @@ router.get('/dashboard', async (req, res) => {
       }
       
       // Get attendance records with QR scanner location data
-      const qrAttendanceRecords = await Attendance.find(qrQuery)
+      const qrAttendanceRecords = await Attendance.find(await scopeToMeetings(req.user, qrQuery))
         .sort({ Date: -1 });
       
       // Get student data separately for attendance records
@@ -595,7 +659,7 @@ router.get('/dashboard', async (req, res) => {
  * Get attendance trends for analytics dashboard
  * GET /api/attendance/trends
  */
-router.get('/trends', async (req, res) => {
+router.get('/trends', auth, requirePermission('attendance:read'), async (req, res) => {
   try {
     const { dateFrom, dateTo, period = 'weekly' } = req.query;
     
@@ -613,7 +677,7 @@ router.get('/trends', async (req, res) => {
     };
     
     // Get all participants within date range
-    const participants = await Participant.find(dateFilter)
+    const participants = await Participant.find(await scopeToMeetings(req.user, dateFilter))
       .sort({ joinTime: -1 });
     
     // Get student details separately to avoid populate issues with Number reference
@@ -642,12 +706,12 @@ router.get('/trends', async (req, res) => {
     });
     
     // Get all attendance records for QR-based data
-    const attendanceRecords = await Attendance.find({
+    const attendanceRecords = await Attendance.find(await scopeToMeetings(req.user, {
       Date: {
         $gte: dateFrom ? new Date(dateFrom) : defaultStartDate,
         $lte: dateTo ? new Date(dateTo) : defaultEndDate
       }
-    });
+    }));
     
     // Get student data separately for attendance records
     const attendanceStudentIds = [...new Set(attendanceRecords.map(a => a.StudentID).filter(Boolean))];
@@ -798,7 +862,7 @@ router.get('/trends', async (req, res) => {
  * Export attendance data to CSV
  * GET /api/attendance/export
  */
-router.get('/export', async (req, res) => {
+router.get('/export', auth, requirePermission('attendance:export', { meeting: req => req.query.meetingId }), async (req, res) => {
   try {
     const { dateFrom, dateTo, format = 'json', meetingId } = req.query;
     
@@ -818,7 +882,7 @@ router.get('/export', async (req, res) => {
     }
     
     // Get participants
-    const participants = await Participant.find(query)
+    const participants = await Participant.find(await scopeToMeetings(req.user, query, 'attendance:export'))
       .sort({ joinTime: -1 });
     
     // Format data for export
@@ -884,7 +948,7 @@ router.get('/export', async (req, res) => {
  * Test Zoom API connectivity
  * GET /api/attendance/diagnostics/connectivity
  */
-router.get('/diagnostics/connectivity', async (req, res) => {
+router.get('/diagnostics/connectivity', auth, requirePermission('system:monitor'), async (req, res) => {
   try {
     console.log('🔍 Running Zoom connectivity test...');
     
@@ -911,7 +975,7 @@ router.get('/diagnostics/connectivity', async (req, res) => {
  * Diagnose a specific meeting ID
  * POST /api/attendance/diagnostics/meeting/:meetingId
  */
-router.post('/diagnostics/meeting/:meetingId', async (req, res) => {
+router.post('/diagnostics/meeting/:meetingId', auth, requirePermission('system:monitor'), async (req, res) => {
   try {
     const { meetingId } = req.params;
     
@@ -942,7 +1006,7 @@ router.post('/diagnostics/meeting/:meetingId', async (req, res) => {
  * Get diagnostic history
  * GET /api/attendance/diagnostics/history
  */
-router.get('/diagnostics/history', (req, res) => {
+router.get('/diagnostics/history', auth, requirePermission('system:monitor'), (req, res) => {
   try {
     const { limit = 10 } = req.query;
     
@@ -968,7 +1032,7 @@ router.get('/diagnostics/history', (req, res) => {
  * Get diagnostic report
  * GET /api/attendance/diagnostics/report
  */
-router.get('/diagnostics/report', (req, res) => {
+router.get('/diagnostics/report', auth, requirePermission('system:monitor'), (req, res) => {
   try {
     const report = meetingDiagnostics.generateDiagnosticReport();
     
@@ -992,7 +1056,7 @@ router.get('/diagnostics/report', (req, res) => {
  * Clear diagnostic history
  * DELETE /api/attendance/diagnostics/history
  */
-router.delete('/diagnostics/history', (req, res) => {
+router.delete('/diagnostics/history', auth, requirePermission('system:manage'), (req, res) => {
   try {
     meetingDiagnostics.clearDiagnosticHistory();
     
@@ -1012,15 +1076,51 @@ router.delete('/diagnostics/history', (req, res) => {
   }
 });
 
+/**
+ * StudentID a QR scan records attendance for
+ * Signed-in users scan as their linked student record; staff without one may
+ * scan for a student whose attendance they can write (kiosk).
+ * @returns {Promise<Object>} - { studentId } or { statusCode, error }
+ */
+async function resolveScanningStudent(user, claimedStudentId) {
+  const student = await studentLinkService.findStudentForUser(user);
+  if (student) {
+    if (claimedStudentId && Number(claimedStudentId) !== Number(student.StudentID)) {
+      return { statusCode: 403, error: 'You can only record your own attendance' };
+    }
+    return { studentId: student.StudentID };
+  }
+
+  if (!claimedStudentId) {
+    return { statusCode: 403, error: 'No student record is linked to your account' };
+  }
+  if (!await accessControlService.canAccessStudent(user, 'attendance:write', claimedStudentId)) {
+    return { statusCode: 403, error: 'You cannot record attendance for this student' };
+  }
+  return { studentId: claimedStudentId };
+}
+
 /**
  * Record QR scanner attendance with embedded user identity
  * POST /api/attendance/qr-location
  * 
  * This endpoint handles two scenarios:
- * 1. NEW: QR code with embedded user identity (from AdminQRGenerator)
- * 2. OLD: Direct coordinates and studentId (for backward compatibility)
+ * 1. NEW: Signed rotating QR code (from /api/qr-attendance/generate), or a
+ *    legacy AdminQRGenerator code while QR_ALLOW_LEGACY_CHECKSUM is enabled
+ * 2. OLD: Direct coordinates and studentId (only while QR_ALLOW_LEGACY_CHECKSUM is enabled)
+ *
+ * Scanning a QR code requires a signed-in user and records their own linked
+ * student; a studentId in the body must match it. Signed-in legacy requests
+ * are checked the same way.
  */
-router.post('/qr-location', async (req, res) => {
+router.post('/qr-location', optionalAuth, async (req, res) => {
+  // Set once this scan has claimed its QR code; a rejected scan gives the claim back
+  let claimedTokenUse = null;
+  const rejectScan = async (status, body) => {
+    if (claimedTokenUse) await QRTokenUse.release(claimedTokenUse);
+    return res.status(status).json(body);
+  };
+
   try {
     const { 
       coordinates, 
@@ -1038,7 +1138,7 @@ router.post('/qr-location', async (req, res) => {
       qrCodeString
     } = req.body;
     
-    let finalStudentId, finalCoordinates, qrValidationResult, attendanceMetadata;
+    let finalStudentId, finalCoordinates, qrValidationResult, attendanceMetadata, venue = null;
     
     // Handle QR code with embedded user identity (NEW FLOW)
     if (qrCodeData || qrCodeString) {
@@ -1059,15 +1159,50 @@ router.post('/qr-location', async (req, res) => {
       // QR code contains admin info who generated it
       const extractedData = qrValidationResult.extractedData;
       
-      // For attendance, we use the scanning student's ID (from request body), not the QR generator's ID
-      finalStudentId = studentId || req.body.scannedBy?.studentId;
-      if (!finalStudentId) {
-        return res.status(400).json({
+      // For attendance, we use the scanning student's ID, not the QR generator's ID
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          error: 'Please login as a student to record attendance.',
+          timestamp: new Date().toISOString()
+        });
+      }
+      const scanning = await resolveScanningStudent(req.user, studentId || scannedBy?.studentId);
+      if (scanning.error) {
+        return res.status(scanning.statusCode).json({
           success: false,
-          error: 'No scanning student ID provided. Please login as a student.',
+          error: scanning.error,
           timestamp: new Date().toISOString()
         });
       }
+      finalStudentId = scanning.studentId;
+      
+      // Signed session codes only count while their session is open, and may be bound to a venue geofence
+      if (extractedData.isSigned) {
+        const session = await QRSession.findOne({ sessionId: extractedData.sessionId });
+        if (!session || !session.isOpen() || session.qrCodeId !== extractedData.qrCodeId) {
+          return res.status(410).json({
+            success: false,
+            error: 'QR session is no longer accepting attendance',
+            timestamp: new Date().toISOString()
+          });
+        }
+        if (session.venue) {
+          venue = await Venue.findById(session.venue);
+        }
+      }
+      
+      // Claim the code before anything is recorded so concurrent scans of it
+      // cannot both count; checks below that reject the scan release the claim
+      const tokenUse = buildTokenUse(qrValidationResult, finalStudentId);
+      if (!(await QRTokenUse.consume(tokenUse))) {
+        return res.status(409).json({
+          success: false,
+          error: 'This QR code has already been used. Please scan the code currently displayed.',
+          timestamp: new Date().toISOString()
+        });
+      }
+      claimedTokenUse = tokenUse;
       
       finalCoordinates = scannerLocation?.coordinates || userLocation;
       attendanceMetadata = extractAttendanceMetadata(qrValidationResult);
@@ -1082,14 +1217,33 @@ router.post('/qr-location', async (req, res) => {
       
     } else {
       // Handle legacy format (OLD FLOW)
+      if (!isLegacyQRAllowed()) {
+        return res.status(400).json({
+          success: false,
+          error: 'A signed QR code is required to record attendance',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
       console.log(`📍 Processing QR scanner attendance (legacy format) for student: ${studentId}`);
       finalStudentId = studentId || req.body.StudentID;
+      if (req.user) {
+        const scanning = await resolveScanningStudent(req.user, finalStudentId);
+        if (scanning.error) {
+          return res.status(scanning.statusCode).json({
+            success: false,
+            error: scanning.error,
+            timestamp: new Date().toISOString()
+          });
+        }
+        finalStudentId = scanning.studentId;
+      }
       finalCoordinates = coordinates || scannerLocation?.coordinates;
     }
     
     // Validate required fields
     if (!finalCoordinates || !finalStudentId) {
-      return res.status(400).json({
+      return rejectScan(400, {
         success: false,
         error: 'Missing required fields: coordinates/scannerLocation and studentId are required',
         timestamp: new Date().toISOString()
@@ -1106,7 +1260,7 @@ router.post('/qr-location', async (req, res) => {
     
     const coordinateValidation = validateCoordinates(latitude, longitude);
     if (!coordinateValidation.isValid) {
-      return res.status(400).json({
+      return rejectScan(400, {
         success: false,
         error: coordinateValidation.message,
         timestamp: new Date().toISOString()
@@ -1124,7 +1278,21 @@ router.post('/qr-location', async (req, res) => {
       timestamp: new Date().toISOString()
     };
     
-    const locationMetadata = createLocationMetadata(qrScannerData, userLocation);
+    const locationMetadata = createLocationMetadata(
+      { ...qrScannerData, accuracy: scannerLocation?.accuracy },
+      userLocation,
+      venue
+    );
+    const geofence = locationMetadata.verification.geofence || null;
+    
+    if (geofence?.action === 'rejected') {
+      return rejectScan(403, {
+        success: false,
+        error: geofence.message,
+        geofence,
+        timestamp: new Date().toISOString()
+      });
+    }
     
     // Create attendance record
     const attendanceData = {
@@ -1143,9 +1311,10 @@ router.post('/qr-location', async (req, res) => {
         timestamp: new Date()
       },
       locationVerification: {
-        method: 'qr_scanner',
+        method: geofence ? 'geofence' : 'qr_scanner',
         status: locationMetadata.verification.status,
         proximity: locationMetadata.verification.proximity || null,
+        geofence: geofence || undefined,
         verifiedAt: new Date(),
         notes: qrValidationResult 
           ? `QR scan from ${qrValidationResult.extractedData.generatedBy.username} at ${formattedCoords.latitude}, ${formattedCoords.longitude}`
@@ -1160,7 +1329,7 @@ router.post('/qr-location', async (req, res) => {
           qrCodeId: attendanceMetadata.qrCodeId
         })
       },
-      verificationStatus: 'verified'
+      verificationStatus: geofence && geofence.action !== 'accepted' ? 'pending' : 'verified'
     };
     
     if (meetingId) {
@@ -1179,7 +1348,7 @@ router.post('/qr-location', async (req, res) => {
           email: student.Email,
           department: student.Department
         };
-      } else if (qrValidationResult) {
+      } else if (qrValidationResult?.extractedData.studentInfo) {
         // Use info from QR code if student not found in DB
         studentInfo = {
           studentId: qrValidationResult.extractedData.studentInfo.studentId,
@@ -1193,9 +1362,32 @@ router.post('/qr-location', async (req, res) => {
       console.warn('⚠️ Could not fetch student info:', studentError.message);
     }
     
+    // Meetings with a verification policy collect QR/geofence as factors of one hybrid record
+    const hybridMeeting = meetingId
+      ? await ZoomMeeting.findOccurrence(meetingId.toString()).select('meetingId meetingUuid verificationPolicy').lean()
+      : null;
+    const locationVerified = geofence
+      ? geofence.action === 'accepted'
+      : locationMetadata.verification.status === 'verified';
+    const hybrid = hybridMeeting && await hybridVerificationService.collect({
+      meeting: hybridMeeting,
+      studentId: finalStudentId,
+      factors: [
+        ...(qrValidationResult ? [{ factor: 'qr_scan', detail: qrValidationResult.extractedData.qrCodeId }] : []),
+        ...(locationVerified ? [{ factor: 'geofence', detail: geofence?.venueName || `${formattedCoords.latitude}, ${formattedCoords.longitude}` }] : []),
+      ],
+      user: req.user,
+      attendanceData,
+    });
+
     // Save attendance record
-    const attendance = new Attendance(attendanceData);
-    await attendance.save();
+    let attendance;
+    if (hybrid) {
+      attendance = hybrid.attendance;
+    } else {
+      attendance = new Attendance(attendanceData);
+      await attendance.save();
+    }
     
     console.log(`✅ Attendance recorded for student ${finalStudentId}${qrValidationResult ? ` via QR code ${qrValidationResult.extractedData.qrCodeId}` : ''}`);
     
@@ -1300,11 +1492,18 @@ router.post('/qr-location', async (req, res) => {
         generatedAt: qrValidationResult.extractedData.generatedAt,
         location: qrValidationResult.extractedData.location
       } : null,
+      verificationStatus: attendance.verificationStatus,
+      verification: hybrid ? hybrid.verification : null,
       timestamp: new Date().toISOString()
     });
     
   } catch (error) {
     console.error('❌ Error recording QR scanner attendance:', error);
+    if (claimedTokenUse) {
+      await QRTokenUse.release(claimedTokenUse).catch(releaseError => {
+        console.warn('⚠️ Could not release QR code claim:', releaseError.message);
+      });
+    }
     res.status(500).json({
       success: false,
       error: error.message,
@@ -1317,7 +1516,7 @@ router.post('/qr-location', async (req, res) => {
  * Get QR scanner location info for dashboard
  * GET /api/attendance/qr-location/info
  */
-router.get('/qr-location/info', async (req, res) => {
+router.get('/qr-location/info', auth, requirePermission('attendance:read'), async (req, res) => {
   try {
     const { studentId, dateFrom, dateTo } = req.query;
     
@@ -1340,7 +1539,7 @@ router.get('/qr-location/info', async (req, res) => {
     }
     
     // Get attendance records with location data
-    const attendanceRecords = await Attendance.find(query)
+    const attendanceRecords = await Attendance.find(await scopeToMeetings(req.user, query))
       .sort({ Date: -1 })
       .limit(100); // Limit to latest 100 records
     
@@ -1434,7 +1633,7 @@ router.get('/qr-location/info', async (req, res) => {
  */
 router.post('/validate-location', async (req, res) => {
   try {
-    const { userLocation, qrScannerLocation, maxDistance = 50 } = req.body;
+    const { userLocation, qrScannerLocation, maxDistance } = req.body;
     
     console.log('🔍 Validating user location against QR scanner position');
     
@@ -1498,4 +1697,4 @@ router.post('/validate-location', async (req, res) => {
   }
 });
 
-module.exports = router;
+module.exports = { router, initializeAttendanceTracker };
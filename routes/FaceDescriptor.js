@@ -1,63 +1,453 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
-const faceapi = require('face-api.js');
-const canvas = require('canvas');
+const FaceDescriptor = require('../models/FaceDescriptor');
+const faceRecognitionService = require('../services/faceRecognitionService');
+const faceDetectionService = require('../services/faceDetectionService');
+const livenessService = require('../services/livenessService');
+const accessControlService = require('../services/accessControlService');
+const studentLinkService = require('../services/studentLinkService');
+const { auth, requirePermission } = require('../middleware/auth');
 
-// Route to save face descriptor
-router.post('/createsaveFaceDescriptor', async (req, res) => {
-  const { faceDescriptor } = req.body;
+const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_IMAGE_BYTES = parseInt(process.env.FACE_IMAGE_MAX_BYTES) || 8 * 1024 * 1024;
+// Raw client descriptors can be fabricated; by default only faces:manage holders may send them
+const ALLOW_CLIENT_DESCRIPTORS = process.env.FACE_ALLOW_CLIENT_DESCRIPTORS === 'true';
+// Students must pass a liveness challenge; single-photo check-in is left to admins (kiosks)
+const REQUIRE_LIVENESS = process.env.FACE_REQUIRE_LIVENESS !== 'false';
+const MAX_LIVENESS_FRAMES = parseInt(process.env.FACE_LIVENESS_MAX_FRAMES) || 8;
 
-  if (!faceDescriptor) {
-    return res.status(400).json({ error: 'No face descriptor provided' });
+function imageUpload(maxFiles, field) {
+  return multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMAGE_BYTES, files: maxFiles },
+    fileFilter: (req, file, cb) => {
+      if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+        return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', field));
+      }
+      cb(null, true);
+    },
+  });
+}
+
+const upload = imageUpload(1, 'image');
+// A liveness burst is several frames in one request
+const framesUpload = imageUpload(MAX_LIVENESS_FRAMES, 'frames');
+
+/**
+ * Accept an optional "image" upload and compute its descriptor on the server.
+ * Sets req.faceDetection; without an image, a raw descriptor in the body is
+ * only accepted with faces:manage unless FACE_ALLOW_CLIENT_DESCRIPTORS=true.
+ */
+function acceptFaceImage(req, res, next) {
+  upload.single('image')(req, res, async error => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.code === 'LIMIT_FILE_SIZE'
+          ? `Image must be at most ${Math.round(MAX_IMAGE_BYTES / 1024 / 1024)} MB`
+          : `Image must be one of: ${ALLOWED_IMAGE_TYPES.join(', ')}`,
+      });
+    }
+
+    if (!req.file) {
+      if (!ALLOW_CLIENT_DESCRIPTORS && !accessControlService.can(req.user, 'faces:manage')) {
+        return res.status(400).json({
+          success: false,
+          error: 'Upload a photo as "image"; raw descriptors are not accepted',
+        });
+      }
+      return next();
+    }
+
+    try {
+      const result = await faceDetectionService.computeDescriptor(req.file.buffer);
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          error: result.error,
+          faces: result.faces,
+        });
+      }
+      req.faceDetection = result;
+      next();
+    } catch (detectionError) {
+      console.error('Error detecting face:', detectionError);
+      res.status(500).json({
+        success: false,
+        error: 'Face detection failed',
+      });
+    }
+  });
+}
+
+// Descriptor computed from the uploaded image, else the one sent in the body
+function requestDescriptor(req) {
+  return req.faceDetection ? req.faceDetection.descriptor : req.body.descriptor;
+}
+
+function detectionSummary(req) {
+  return req.faceDetection ? req.faceDetection.detection : null;
+}
+
+// Send a failed service result
+function sendResultError(res, result) {
+  res.status(result.statusCode || 500).json({
+    success: false,
+    error: result.error,
+    ...(result.identification && { identification: result.identification }),
+    ...(result.attendance && { attendance: result.attendance }),
+  });
+}
+
+// faces:manage covers every student's faces; other users only their own linked record
+async function managesStudentFaces(user, studentId) {
+  return accessControlService.can(user, 'faces:manage') || studentLinkService.isLinkedTo(user, studentId);
+}
+
+function requestMetadata(req) {
+  return {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    deviceType: req.body.deviceType,
+  };
+}
+
+/**
+ * Enrol face descriptors for a student (admin, or the student themselves)
+ * POST /api/face/enroll
+ * multipart: { studentId, label?, image } - descriptor computed on the server
+ * JSON: { studentId, descriptors: [[128 numbers], ...] | descriptor: [128 numbers], label? }
+ */
+router.post('/enroll', auth, acceptFaceImage, async (req, res) => {
+  try {
+    const { studentId, label } = req.body;
+    const descriptors = req.faceDetection
+      ? req.faceDetection.descriptor
+      : (req.body.descriptors || req.body.descriptor);
+
+    if (!studentId || !descriptors) {
+      return res.status(400).json({
+        success: false,
+        error: 'studentId and descriptors are required',
+      });
+    }
+
+    if (!await managesStudentFaces(req.user, studentId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only enrol your own face',
+      });
+    }
+
+    const result = await faceRecognitionService.enroll(studentId, descriptors, {
+      label,
+      source: req.faceDetection ? 'server' : 'client',
+      user: req.user,
+    });
+    if (!result.success) {
+      return sendResultError(res, result);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Enrolled ${result.enrolled.length} descriptor(s)`,
+      data: {
+        studentId: result.student.StudentID,
+        enrolled: result.enrolled,
+        total: result.total,
+        detection: detectionSummary(req),
+      },
+    });
+  } catch (error) {
+    console.error('Error enrolling face descriptors:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to enrol face descriptors',
+    });
+  }
+});
+
+/**
+ * List a student's enrolled descriptors (metadata only)
+ * GET /api/face/students/:studentId/descriptors
+ */
+router.get('/students/:studentId/descriptors', auth, async (req, res) => {
+  try {
+    if (!await managesStudentFaces(req.user, req.params.studentId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await faceRecognitionService.listForStudent(req.params.studentId),
+    });
+  } catch (error) {
+    console.error('Error fetching face descriptors:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch face descriptors',
+    });
+  }
+});
+
+/**
+ * Remove an enrolled descriptor
+ * DELETE /api/face/descriptors/:descriptorId
+ */
+router.delete('/descriptors/:descriptorId', auth, async (req, res) => {
+  try {
+    const descriptor = await FaceDescriptor.findById(req.params.descriptorId).select('studentId');
+
+    if (!descriptor || !await managesStudentFaces(req.user, descriptor.studentId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Descriptor not found',
+      });
+    }
+
+    await descriptor.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Descriptor removed',
+    });
+  } catch (error) {
+    console.error('Error removing face descriptor:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove face descriptor',
+    });
   }
+});
 
+/**
+ * Identify the enrolled student closest to a face
+ * POST /api/face/identify (admin)
+ * Body: image (multipart) or { descriptor: [128 numbers] }, threshold?
+ */
+router.post('/identify', auth, requirePermission('faces:manage'), acceptFaceImage, async (req, res) => {
   try {
-    // Ensure faceDescriptor is in the correct format (array of floats, for example)
-    const newFaceDescriptor = new FaceDescriptor({ descriptor: faceDescriptor });
-    await newFaceDescriptor.save();
-    res.status(201).json({ message: 'Face descriptor saved successfully!' });
+    const threshold = parseFloat(req.body.threshold);
+    const result = await faceRecognitionService.identify(requestDescriptor(req), {
+      ...(threshold > 0 && { threshold }),
+    });
+
+    if (!result.success) {
+      return sendResultError(res, result);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        matched: result.matched,
+        ambiguous: result.ambiguous,
+        studentId: result.match?.studentId ?? null,
+        distance: result.match?.distance ?? null,
+        confidence: result.match?.confidence ?? null,
+        student: result.match,
+        candidates: result.candidates,
+        threshold: result.threshold,
+        detection: detectionSummary(req),
+      },
+    });
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ error: 'Failed to save face descriptor' });
+    console.error('Error identifying face:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to identify face',
+    });
   }
 });
 
-// Route to get all face descriptors
-router.get('/getFaceDescriptors', async (req, res) => {
+/**
+ * Student record a user checks in as (null with faces:manage, i.e. a kiosk)
+ * Sends a 403 and returns undefined when the user has no student record.
+ */
+async function resolveCheckInStudent(req, res) {
+  if (accessControlService.can(req.user, 'faces:manage')) return null;
+
+  const student = await studentLinkService.findStudentForUser(req.user);
+  if (!student) {
+    res.status(403).json({
+      success: false,
+      error: 'No student record is linked to your account',
+    });
+    return undefined;
+  }
+  return student.StudentID;
+}
+
+function requireLivenessForStudents(req, res, next) {
+  if (REQUIRE_LIVENESS && !accessControlService.can(req.user, 'faces:manage')) {
+    return res.status(400).json({
+      success: false,
+      error: 'Face check-in requires a liveness challenge: POST /api/face/liveness/challenges',
+    });
+  }
+  next();
+}
+
+function sendCheckIn(res, result, detection = null) {
+  res.status(201).json({
+    success: true,
+    message: `Checked in ${result.match.name || result.match.studentId}`,
+    data: {
+      attendance: result.attendance,
+      studentId: result.match.studentId,
+      distance: result.match.distance,
+      confidence: result.match.confidence,
+      minutesLate: result.minutesLate,
+      detection,
+      verificationStatus: result.attendance.verificationStatus,
+      verification: result.verification || null,
+      ...(result.challenge && { challengeId: result.challenge.challengeId }),
+    },
+  });
+}
+
+/**
+ * Check in to a meeting by face with a single photo/descriptor
+ * POST /api/face/check-in
+ * Body: image (multipart) or { descriptor: [128 numbers] }, meetingId
+ * Admins can check in any recognised student (kiosk); other users only
+ * themselves, and only when FACE_REQUIRE_LIVENESS=false.
+ */
+router.post('/check-in', auth, requireLivenessForStudents, acceptFaceImage, async (req, res) => {
   try {
-    const faceDescriptors = await FaceDescriptor.find();
-    res.status(200).json(faceDescriptors);
+    const expectedStudentId = await resolveCheckInStudent(req, res);
+    if (expectedStudentId === undefined) return;
+
+    const result = await faceRecognitionService.checkIn({
+      descriptor: requestDescriptor(req),
+      meetingId: req.body.meetingId,
+      expectedStudentId,
+      metadata: requestMetadata(req),
+      user: req.user,
+    });
+
+    if (!result.success) {
+      return sendResultError(res, result);
+    }
+
+    sendCheckIn(res, result, detectionSummary(req));
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ error: 'Failed to fetch face descriptors' });
+    console.error('Error during face check-in:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Face check-in failed',
+    });
   }
 });
 
-// Route to compare face descriptor
-router.post('/compareFace', async (req, res) => {
-  const { faceDescriptor } = req.body;
+/**
+ * Start a liveness challenge for a face check-in
+ * POST /api/face/liveness/challenges
+ * Body: { meetingId }
+ */
+router.post('/liveness/challenges', auth, async (req, res) => {
+  try {
+    if (!req.body.meetingId) {
+      return res.status(400).json({
+        success: false,
+        error: 'meetingId is required',
+      });
+    }
+
+    const expectedStudentId = await resolveCheckInStudent(req, res);
+    if (expectedStudentId === undefined) return;
 
-  if (!faceDescriptor) {
-    return res.status(400).json({ error: 'No face descriptor provided' });
+    const challenge = await livenessService.issueChallenge({
+      user: req.user,
+      meetingId: req.body.meetingId,
+      expectedStudentId,
+      metadata: requestMetadata(req),
+    });
+
+    res.status(201).json({
+      success: true,
+      data: challenge,
+    });
+  } catch (error) {
+    console.error('Error issuing liveness challenge:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start liveness challenge',
+    });
   }
+});
 
+/**
+ * Complete a liveness challenge and check in
+ * POST /api/face/liveness/challenges/:challengeId/verify
+ * multipart: frames (several images, in capture order)
+ */
+router.post('/liveness/challenges/:challengeId/verify', auth, (req, res, next) => {
+  framesUpload.array('frames', MAX_LIVENESS_FRAMES)(req, res, error => {
+    if (!error) return next();
+    res.status(400).json({
+      success: false,
+      error: error.code === 'LIMIT_FILE_SIZE'
+        ? `Each frame must be at most ${Math.round(MAX_IMAGE_BYTES / 1024 / 1024)} MB`
+        : ['LIMIT_UNEXPECTED_FILE', 'LIMIT_FILE_COUNT'].includes(error.code)
+          ? `Upload at most ${MAX_LIVENESS_FRAMES} frames of type ${ALLOWED_IMAGE_TYPES.join(', ')}`
+          : error.message,
+    });
+  });
+}, async (req, res) => {
   try {
-    const faceDescriptors = await FaceDescriptor.find();
-    
-    // Loop through stored descriptors and compare each one
-    const match = faceDescriptors.some((storedDescriptor) => {
-      const distance = faceapi.euclideanDistance(faceDescriptor, storedDescriptor.descriptor);
-      return distance < 0.6;  // Threshold for face recognition, you can adjust this
-    });
-
-    if (match) {
-      res.status(200).json({ success: true, message: 'Face matched!' });
-    } else {
-      res.status(200).json({ success: false, message: 'No match found.' });
+    const result = await livenessService.verify(
+      req.params.challengeId,
+      (req.files || []).map(file => file.buffer),
+      { user: req.user, metadata: requestMetadata(req) }
+    );
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        error: result.error,
+        ...(result.challenge && { frames: result.challenge.frames }),
+      });
     }
+
+    sendCheckIn(res, result);
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ error: 'Error comparing face descriptors' });
+    console.error('Error verifying liveness challenge:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Liveness verification failed',
+    });
+  }
+});
+
+/**
+ * Failed liveness challenges for review
+ * GET /api/face/liveness/failures?studentId=&from=&to=&limit=
+ */
+router.get('/liveness/failures', auth, requirePermission('faces:manage'), async (req, res) => {
+  try {
+    const { studentId, from, to } = req.query;
+    const failures = await livenessService.listFailures({
+      studentId: studentId || null,
+      from: from || null,
+      to: to || null,
+      limit: Math.min(parseInt(req.query.limit) || 100, 500),
+    });
+
+    res.json({
+      success: true,
+      data: failures,
+      count: failures.length,
+    });
+  } catch (error) {
+    console.error('Error fetching liveness failures:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch liveness failures',
+    });
   }
 });
 
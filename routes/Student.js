@@ -1,11 +1,41 @@
 const express = require('express');
+const multer = require('multer');
 const Student = require('../models/Student');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const accessControlService = require('../services/accessControlService');
+const faceRecognitionService = require('../services/faceRecognitionService');
+const attendanceDisputeService = require('../services/attendanceDisputeService');
+const studentLinkService = require('../services/studentLinkService');
+const studentImportService = require('../services/studentImportService');
+const studentFieldService = require('../services/studentFieldService');
+const { studentRules, studentUpdateRules, toStudentFields } = require('../utils/studentValidation');
+
+const MAX_IMPORT_BYTES = parseInt(process.env.STUDENT_IMPORT_MAX_BYTES) || 5 * 1024 * 1024;
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_BYTES, files: 1 },
+});
 
-// Helper function to validate time format
-const isValidTime = (value) => /^([01]?[0-9]|2[0-3]):([0-5]?[0-9])$/.test(value);
+// Accept a single "file" upload and turn multer errors into 400s
+function acceptSpreadsheet(req, res, next) {
+  importUpload.single('file')(req, res, error => {
+    if (!error) return next();
+    res.status(400).json({
+      message: error.code === 'LIMIT_FILE_SIZE'
+        ? `File must be at most ${Math.round(MAX_IMPORT_BYTES / 1024 / 1024)} MB`
+        : error.message,
+    });
+  });
+}
 
+// Students a user may read, narrowed to their permission scope
+const studentQuery = async (user) => {
+  const studentIds = await accessControlService.accessibleStudentIds(user, 'students:read');
+  return studentIds ? { StudentID: { $in: studentIds } } : {};
+};
 
 const handleError = (res, error, statusCode = 500) => {
   console.error('Error:', error);
@@ -20,17 +50,9 @@ const handleError = (res, error, statusCode = 500) => {
 
 router.post(
   '/createstudents',
-  [
-    body('FirstName').notEmpty().withMessage('FirstName is required'),
-    body('LastName').notEmpty().withMessage('LastName is required'),
-    body('Email').isEmail().withMessage('Invalid Email format').notEmpty().withMessage('Email is required'),
-    body('PhoneNumber').matches(/^\d{10,15}$/).withMessage('Phone number must be 10-15 digits'),
-    body('DateOfBirth').isISO8601().withMessage('DateOfBirth must be in YYYY-MM-DD format'),
-    body('Gender').isIn(['Male', 'Female', 'Other']).withMessage('Invalid Gender'),
-    body('Department').isIn(['R & I', 'Faculty', 'Consultancy', 'Corporate']).withMessage('Invalid Department'),
-    body('TimeIn').notEmpty().withMessage('TimeIn is required').custom(isValidTime).withMessage('Invalid TimeIn format'),
-    body('TimeOut').optional().custom(isValidTime).withMessage('Invalid TimeOut format'),
-  ],
+  auth,
+  requirePermission('students:write'),
+  studentRules,
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -38,7 +60,7 @@ router.post(
     }
 
     try {
-      const { TimeIn, TimeOut, Email, ...studentData } = req.body;
+      const { Email } = req.body;
 
       // Ensure no duplicate email exists
       const existingStudent = await Student.findOne({ Email });
@@ -46,21 +68,8 @@ router.post(
         return res.status(400).json({ message: 'Email already exists' });
       }
 
-      // Parse TimeIn and TimeOut into Date objects
-      const parseTime = (time) => {
-        if (time) {
-          const today = new Date().toISOString().split('T')[0];
-          return new Date(`${today}T${time}:00`);
-        }
-        return undefined;
-      };
-
-      const student = new Student({
-        ...studentData,
-        Email,
-        TimeIn: parseTime(TimeIn),
-        TimeOut: parseTime(TimeOut),
-      });
+      // Parse the schedule (or legacy TimeIn/TimeOut) and type the custom fields
+      const student = new Student(await toStudentFields(req.body));
 
       await student.save();
       res.status(201).json(student);
@@ -70,10 +79,58 @@ router.post(
   }
 );
 
+// Bulk import students from a CSV/XLSX upload ("file" field)
+// Query: mode=create|upsert (upsert updates students matched by StudentID), dryRun=true to only validate
+router.post('/import', auth, requirePermission('students:write'), acceptSpreadsheet, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'A CSV or XLSX file is required' });
+    }
+
+    const mode = req.query.mode || req.body.mode || 'create';
+    if (!['create', 'upsert'].includes(mode)) {
+      return res.status(400).json({ message: 'mode must be create or upsert' });
+    }
+    const dryRun = [req.query.dryRun, req.body.dryRun].includes('true');
+
+    const parsed = await studentImportService.parse(req.file);
+    if (!parsed.success) {
+      return res.status(parsed.statusCode).json({ message: parsed.error });
+    }
+
+    const summary = await studentImportService.import(parsed.rows, { mode, dryRun });
+    res.status(200).json(summary);
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Export the students in scope in the import format
+// Query: format=csv|xlsx
+router.get('/export', auth, requirePermission('students:read'), async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({ message: 'format must be csv or xlsx' });
+    }
+
+    const buffer = await studentImportService.export(await studentQuery(req.user), format);
+    const filename = `students-${new Date().toISOString().split('T')[0]}.${format}`;
+
+    res.setHeader('Content-Type', format === 'xlsx'
+      ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      : 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(Buffer.from(buffer));
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
 // Get all students
-router.get('/readstudents', async (req, res) => {
+router.get('/readstudents', auth, requirePermission('students:read'), async (req, res) => {
   try {
-    const students = await Student.find();
+    const students = await Student.find(await studentQuery(req.user));
     res.status(200).json(students);
   } catch (error) {
     handleError(res, error);
@@ -81,15 +138,15 @@ router.get('/readstudents', async (req, res) => {
 });
 
 // Get all students with Zoom participation info
-router.get('/readstudents-with-zoom', async (req, res) => {
+router.get('/readstudents-with-zoom', auth, requirePermission('students:read'), async (req, res) => {
   try {
     const ZoomMeeting = require('../models/ZoomMeeting');
     
     // Get all students
-    const students = await Student.find();
+    const students = await Student.find(await studentQuery(req.user));
     
     // Get all zoom participants
-    const meetings = await ZoomMeeting.find({}).select('participants topic meetingId startTime');
+    const meetings = await ZoomMeeting.find(await accessControlService.meetingFilter(req.user, 'meetings:read')).select('participants topic meetingId startTime');
     
     // Create a map of student participation data
     const participationMap = new Map();
@@ -189,10 +246,10 @@ function formatDuration(seconds) {
 }
 
 // Get a student by ID
-router.get('/readstudents/:id', async (req, res) => {
+router.get('/readstudents/:id', auth, requirePermission('students:read'), async (req, res) => {
   try {
     const student = await Student.findById(req.params.id);
-    if (!student) {
+    if (!student || !await accessControlService.canAccessStudent(req.user, 'students:read', student.StudentID)) {
       return res.status(404).json({ message: 'Student not found' });
     }
     res.status(200).json(student);
@@ -202,21 +259,35 @@ router.get('/readstudents/:id', async (req, res) => {
 });
 
 // Update a student by ID
-router.put('/updatestudents/:id', async (req, res) => {
+router.put('/updatestudents/:id', auth, requirePermission('students:write'), studentUpdateRules, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: 'Validation Error', errors: errors.array() });
+  }
+
   try {
-    // Destructure TimeIn, TimeOut, and other fields from the request body
-    const { TimeIn, TimeOut, ...updateData } = req.body;
+    // Custom fields are checked against the department the student ends up in
+    let department = req.body.Department;
+    if (req.body.customFields !== undefined) {
+      if (!department) {
+        const current = await Student.findById(req.params.id).select('Department').lean();
+        if (!current) {
+          return res.status(404).json({ message: 'Student not found' });
+        }
+        department = current.Department;
+      }
 
-    // Ensure TimeIn and TimeOut are parsed as Date objects if provided
-    const parsedTimeIn = TimeIn ? new Date(`${new Date().toISOString().split('T')[0]}T${TimeIn}:00`) : undefined;
-    const parsedTimeOut = TimeOut ? new Date(`${new Date().toISOString().split('T')[0]}T${TimeOut}:00`) : undefined;
+      const { errors: fieldErrors } = await studentFieldService.validate(req.body.customFields || {}, department);
+      if (fieldErrors.length > 0) {
+        return res.status(400).json({
+          message: 'Validation Error',
+          errors: fieldErrors.map(msg => ({ path: 'customFields', msg })),
+        });
+      }
+    }
 
-    // Prepare the update object
-    const updateFields = {
-      ...updateData,
-      ...(parsedTimeIn && { TimeIn: parsedTimeIn }),
-      ...(parsedTimeOut && { TimeOut: parsedTimeOut }),
-    };
+    // Parse the schedule (or legacy TimeIn/TimeOut) and type the custom fields
+    const updateFields = await toStudentFields(req.body, department);
 
     // Update the student in the database
     const updatedStudent = await Student.findByIdAndUpdate(
@@ -241,7 +312,7 @@ router.put('/updatestudents/:id', async (req, res) => {
 
 
 // Delete a student by ID
-router.delete('/deletestudents/:id', async (req, res) => {
+router.delete('/deletestudents/:id', auth, requirePermission('students:delete'), async (req, res) => {
   try {
     const deletedStudent = await Student.findByIdAndDelete(req.params.id);
     if (!deletedStudent) {
@@ -255,23 +326,28 @@ router.delete('/deletestudents/:id', async (req, res) => {
 
 
 // POST: Save face descriptor for a student
-router.post('/saveFaceDescriptor', async (req, res) => {
-  const { faceDescriptor } = req.body; // Expect face descriptor array
+// Kept for existing clients; descriptors are stored via /api/face/enroll
+router.post('/saveFaceDescriptor', auth, async (req, res) => {
+  const { faceDescriptor, StudentID } = req.body; // Expect face descriptor array
 
   if (!faceDescriptor || !Array.isArray(faceDescriptor)) {
     return res.status(400).json({ error: 'Invalid face descriptor' });
   }
 
+  // Raw descriptors can be fabricated; students upload a photo to /api/face/enroll instead
+  if (process.env.FACE_ALLOW_CLIENT_DESCRIPTORS !== 'true' && !accessControlService.can(req.user, 'faces:manage')) {
+    return res.status(400).json({ error: 'Upload a photo to /api/face/enroll instead' });
+  }
+
   try {
-    // Find the student by their StudentID (you could modify this to match based on unique ID or email)
-    const student = await Student.findOne({ StudentID: req.body.StudentID });
-    if (!student) {
-      return res.status(404).json({ error: 'Student not found' });
+    if (!await attendanceDisputeService.ownsStudentRecord(req.user, StudentID)) {
+      return res.status(403).json({ error: 'You can only enrol your own face' });
     }
 
-    // Save the face descriptor
-    student.faceDescriptor = faceDescriptor;
-    await student.save();
+    const result = await faceRecognitionService.enroll(StudentID, faceDescriptor, { user: req.user });
+    if (!result.success) {
+      return res.status(result.statusCode).json({ error: result.error });
+    }
 
     res.status(200).json({ success: true, message: 'Face descriptor saved successfully' });
   } catch (err) {
@@ -284,32 +360,19 @@ router.post('/saveFaceDescriptor', async (req, res) => {
 
 
 // POST: Validate student credentials for Zoom meeting participation
-router.post('/validate', async (req, res) => {
+router.post('/validate', auth, requirePermission('meetings:join'), async (req, res) => {
   try {
     const { name, email, studentId } = req.body;
-    
-    // Validation
-    if (!name || !email || !studentId) {
-      return res.status(400).json({
-        isValid: false,
-        errors: ['Name, email, and student ID are required']
-      });
-    }
 
-    // Try to find student by studentId, email, or name
-    const student = await Student.findOne({
-      $or: [
-        { StudentID: studentId },
-        { Email: { $regex: new RegExp(email, 'i') } },
-        { $and: [{ FirstName: { $regex: new RegExp(name.split(' ')[0], 'i') } }] }
-      ]
-    });
+    // The student is the one linked to the signed-in account; the submitted
+    // details are only checked against it
+    const student = await studentLinkService.findStudentForUser(req.user);
 
     if (!student) {
-      // Student not found in database - allow but warn
+      // No linked record - allow but warn
       return res.json({
         isValid: true, // Allow participation even if not in database
-        warning: 'Student not found in records - proceeding with manual verification',
+        warning: 'No student record is linked to this account - proceeding with manual verification',
         student: null
       });
     }
@@ -318,16 +381,20 @@ router.post('/validate', async (req, res) => {
     const errors = [];
     const warnings = [];
 
+    if (studentId && Number(studentId) !== Number(student.StudentID)) {
+      errors.push(`Student ID ${studentId} is not the record linked to this account`);
+    }
+
     // Check name consistency
     const fullName = `${student.FirstName} ${student.LastName}`.toLowerCase();
-    const providedName = name.toLowerCase();
+    const providedName = (name || '').toLowerCase();
     
-    if (!fullName.includes(providedName) && !providedName.includes(fullName)) {
+    if (name && !fullName.includes(providedName) && !providedName.includes(fullName)) {
       warnings.push(`Name mismatch: Database shows "${fullName}", provided "${name}"`);
     }
 
     // Check email consistency
-    if (student.Email.toLowerCase() !== email.toLowerCase()) {
+    if (email && student.Email.toLowerCase() !== email.toLowerCase()) {
       warnings.push(`Email mismatch: Database shows "${student.Email}", provided "${email}"`);
     }
 
@@ -5,6 +5,8 @@ const Student = require('../models/Student');
 const ZoomMeeting = require('../models/ZoomMeeting');
 const Attendance = require('../models/Attendance');
 const ZoomAttendance = require('../models/ZoomAttendance');
+const attendancePolicyService = require('../services/attendancePolicyService');
+const { evaluateAttendance, getScheduledWindow } = require('../utils/attendancePolicyEngine');
 
 const router = express.Router();
 
@@ -18,9 +20,7 @@ router.get('/meeting/:meetingId', async (req, res) => {
     const { format = 'json', includeDetails = 'true', source = 'webhook' } = req.query;
 
     // Get meeting details
-    const meeting = await ZoomMeeting.findOne({
-      $or: [{ meetingId }, { meetingUuid: meetingId }]
-    });
+    const meeting = await ZoomMeeting.findOccurrence(meetingId);
     if (!meeting) {
       return res.status(404).json({ error: 'Meeting not found' });
     }
@@ -61,6 +61,9 @@ router.get('/meeting/:meetingId', async (req, res) => {
     const meetingEndTime = meeting.endTime || new Date();
     const totalMeetingDuration = Math.round((meetingEndTime - meetingStartTime) / (1000 * 60)); // minutes
 
+    const policy = await attendancePolicyService.resolveForMeeting(meeting);
+    const scheduledWindow = getScheduledWindow(meeting);
+
     // Process attendance data
     attendanceData = participants.map(participant => {
       // Handle both webhook-based (ZoomAttendance) and legacy (Participant) data
@@ -76,19 +79,16 @@ router.get('/meeting/:meetingId', async (req, res) => {
         participant.attendancePercentage :
         (totalMeetingDuration > 0 ? Math.round((duration / totalMeetingDuration) * 100) : 0);
 
-      // Use webhook status if available, otherwise calculate
-      let status = 'Absent';
-      if (isWebhookData && participant.attendanceStatus) {
-        status = participant.attendanceStatus;
-      } else {
-        if (attendancePercentage >= 75) {
-          status = 'Present';
-        } else if (attendancePercentage >= 30) {
-          status = 'Late/Partial';
-        } else if (attendancePercentage > 0) {
-          status = 'Brief Attendance';
-        }
-      }
+      // Use webhook status if available, otherwise evaluate under the meeting's policy
+      const status = isWebhookData && participant.attendanceStatus
+        ? participant.attendanceStatus
+        : evaluateAttendance(policy, {
+          attendedMinutes: duration,
+          attendancePercentage,
+          joinTime,
+          leaveTime: participant.leaveTime,
+          ...scheduledWindow
+        }).status;
 
       // Handle student info for both data types
       let studentInfo = null;
@@ -160,8 +160,9 @@ router.get('/meeting/:meetingId', async (req, res) => {
         totalParticipants: participants.length,
         totalStudents: attendanceData.filter(p => p.studentInfo).length,
         present: attendanceData.filter(p => p.status === 'Present').length,
-        late: attendanceData.filter(p => p.status === 'Late/Partial').length,
-        brief: attendanceData.filter(p => p.status === 'Brief Attendance').length,
+        late: attendanceData.filter(p => p.status === 'Late').length,
+        leftEarly: attendanceData.filter(p => p.status === 'Left Early').length,
+        partial: attendanceData.filter(p => p.status === 'Partial').length,
         absent: attendanceData.filter(p => p.status === 'Absent').length,
         averageAttendance: attendanceData.length > 0 ? 
           Math.round(attendanceData.reduce((sum, p) => sum + p.attendancePercentage, 0) / attendanceData.length) : 0
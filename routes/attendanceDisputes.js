@@ -0,0 +1,333 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const router = express.Router();
+const AttendanceDispute = require('../models/AttendanceDispute');
+const attendanceDisputeService = require('../services/attendanceDisputeService');
+const accessControlService = require('../services/accessControlService');
+const { auth, requirePermission } = require('../middleware/auth');
+
+const UPLOAD_DIR = path.join(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'), 'disputes');
+const ALLOWED_MIME_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/webp'];
+const MAX_ATTACHMENT_BYTES = parseInt(process.env.DISPUTE_ATTACHMENT_MAX_BYTES) || 5 * 1024 * 1024;
+
+// Student the request is about, for scoped reviewers
+const disputeStudent = async req => {
+  const dispute = await AttendanceDispute.findById(req.params.disputeId).select('studentId').lean();
+  return dispute?.studentId;
+};
+
+// The student themselves, or a reviewer whose scope covers the student
+async function canViewDispute(user, dispute) {
+  return await attendanceDisputeService.ownsStudentRecord(user, dispute.studentId) ||
+    accessControlService.canAccessStudent(user, 'disputes:decide', dispute.studentId);
+}
+
+fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+
+// Random stored names so uploads can never collide or overwrite each other
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: UPLOAD_DIR,
+    filename: (req, file, cb) => {
+      cb(null, `${crypto.randomBytes(16).toString('hex')}${path.extname(file.originalname).toLowerCase()}`);
+    },
+  }),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', 'attachment'));
+    }
+    cb(null, true);
+  },
+});
+
+// Accept an optional "attachment" file and turn multer errors into 400s
+function acceptAttachment(req, res, next) {
+  upload.single('attachment')(req, res, error => {
+    if (!error) return next();
+
+    const message = error.code === 'LIMIT_FILE_SIZE'
+      ? `Attachment must be at most ${Math.round(MAX_ATTACHMENT_BYTES / 1024 / 1024)} MB`
+      : `Attachment must be one of: ${ALLOWED_MIME_TYPES.join(', ')}`;
+    res.status(400).json({
+      success: false,
+      error: error instanceof multer.MulterError ? message : error.message,
+    });
+  });
+}
+
+function removeUpload(file) {
+  if (file) {
+    fs.unlink(file.path, () => {});
+  }
+}
+
+// Send a failed service result
+function sendResultError(res, result) {
+  res.status(result.statusCode || 500).json({
+    success: false,
+    error: result.error,
+  });
+}
+
+/**
+ * Submit an excuse or dispute for an attendance record
+ * POST /api/attendance-disputes (multipart/form-data)
+ * Fields: attendanceId, type (excuse|dispute), reason, requestedStatus (disputes), attachment (optional file)
+ */
+router.post('/', auth, acceptAttachment, async (req, res) => {
+  try {
+    const { attendanceId, type, reason, requestedStatus } = req.body;
+
+    if (!attendanceId) {
+      removeUpload(req.file);
+      return res.status(400).json({
+        success: false,
+        error: 'attendanceId is required',
+      });
+    }
+
+    const result = await attendanceDisputeService.submit({
+      attendanceId,
+      type,
+      reason,
+      requestedStatus,
+      attachment: req.file ? {
+        filename: req.file.filename,
+        originalName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        size: req.file.size,
+      } : null,
+      user: req.user,
+    });
+
+    if (!result.success) {
+      removeUpload(req.file);
+      return sendResultError(res, result);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Request submitted successfully',
+      data: result.dispute,
+    });
+  } catch (error) {
+    removeUpload(req.file);
+    console.error('Error submitting attendance dispute:', error);
+
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to submit request',
+    });
+  }
+});
+
+/**
+ * List requests (reviewers see their scope, students their own)
+ * GET /api/attendance-disputes?status=pending&type=&studentId=&page=&limit=
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const { status, type, studentId } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+
+    // Reviewers see requests of the students in their scope, everyone else their own
+    if (accessControlService.can(req.user, 'disputes:decide')) {
+      const studentIds = await accessControlService.accessibleStudentIds(req.user, 'disputes:decide');
+      if (studentId) {
+        query.studentId = !studentIds || studentIds.includes(Number(studentId)) ? Number(studentId) : { $in: [] };
+      } else if (studentIds) {
+        query.studentId = { $in: studentIds };
+      }
+    } else {
+      query.submittedBy = req.user._id;
+    }
+
+    const [disputes, total] = await Promise.all([
+      AttendanceDispute.find(query)
+        .populate('attendance', 'StudentID Date Status originalStatus meetingId attendanceType')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-__v'),
+      AttendanceDispute.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: disputes,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    console.error('Error fetching attendance disputes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch requests',
+    });
+  }
+});
+
+/**
+ * Get a request with its audit history
+ * GET /api/attendance-disputes/:disputeId
+ */
+router.get('/:disputeId', auth, async (req, res) => {
+  try {
+    const dispute = await AttendanceDispute.findById(req.params.disputeId)
+      .populate('attendance')
+      .populate('history.by', 'username email role')
+      .select('-__v');
+
+    if (!dispute || !await canViewDispute(req.user, dispute)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Request not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: dispute,
+    });
+  } catch (error) {
+    console.error('Error fetching attendance dispute:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch request',
+    });
+  }
+});
+
+/**
+ * Download a request's attachment
+ * GET /api/attendance-disputes/:disputeId/attachment
+ */
+router.get('/:disputeId/attachment', auth, async (req, res) => {
+  try {
+    const dispute = await AttendanceDispute.findById(req.params.disputeId).select('studentId attachment');
+
+    if (!dispute || !dispute.attachment?.filename || !await canViewDispute(req.user, dispute)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Attachment not found',
+      });
+    }
+
+    res.download(path.join(UPLOAD_DIR, path.basename(dispute.attachment.filename)), dispute.attachment.originalName);
+  } catch (error) {
+    console.error('Error downloading dispute attachment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download attachment',
+    });
+  }
+});
+
+/**
+ * Approve a request; the attendance status becomes the requested (or given) status
+ * POST /api/attendance-disputes/:disputeId/approve
+ * Body: { note, status? }
+ */
+router.post('/:disputeId/approve', auth, requirePermission('disputes:decide', { student: disputeStudent }), async (req, res) => {
+  try {
+    const result = await attendanceDisputeService.decide(req.params.disputeId, {
+      approve: true,
+      note: req.body.note,
+      status: req.body.status || null,
+      user: req.user,
+    });
+
+    if (!result.success) {
+      return sendResultError(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: 'Request approved',
+      data: { dispute: result.dispute, attendance: result.attendance },
+    });
+  } catch (error) {
+    console.error('Error approving attendance dispute:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to approve request',
+    });
+  }
+});
+
+/**
+ * Reject a request; the attendance status is left unchanged
+ * POST /api/attendance-disputes/:disputeId/reject
+ * Body: { note }
+ */
+router.post('/:disputeId/reject', auth, requirePermission('disputes:decide', { student: disputeStudent }), async (req, res) => {
+  try {
+    const result = await attendanceDisputeService.decide(req.params.disputeId, {
+      approve: false,
+      note: req.body.note,
+      user: req.user,
+    });
+
+    if (!result.success) {
+      return sendResultError(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: 'Request rejected',
+      data: { dispute: result.dispute, attendance: result.attendance },
+    });
+  } catch (error) {
+    console.error('Error rejecting attendance dispute:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reject request',
+    });
+  }
+});
+
+/**
+ * Withdraw a pending request
+ * POST /api/attendance-disputes/:disputeId/withdraw
+ */
+router.post('/:disputeId/withdraw', auth, async (req, res) => {
+  try {
+    const result = await attendanceDisputeService.withdraw(req.params.disputeId, {
+      note: req.body?.note || '',
+      user: req.user,
+    });
+
+    if (!result.success) {
+      return sendResultError(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: 'Request withdrawn',
+      data: result.dispute,
+    });
+  } catch (error) {
+    console.error('Error withdrawing attendance dispute:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to withdraw request',
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,409 @@
+const express = require('express');
+const router = express.Router();
+const AttendancePolicy = require('../models/AttendancePolicy');
+const ZoomMeeting = require('../models/ZoomMeeting');
+const attendancePolicyService = require('../services/attendancePolicyService');
+const hybridVerificationService = require('../services/hybridVerificationService');
+const { DEFAULT_POLICY, evaluateAttendance } = require('../utils/attendancePolicyEngine');
+const { auth, requirePermission } = require('../middleware/auth');
+
+const meetingParam = req => req.params.meetingId;
+
+const POLICY_FIELDS = [
+  'name',
+  'description',
+  'courses',
+  'department',
+  'thresholds',
+  'lateGraceMinutes',
+  'earlyLeaveGraceMinutes',
+  'minimumMinutes',
+  'countReconnectGaps',
+  'maxReconnectGapMinutes',
+  'countWaitingRoom',
+  'isDefault',
+  'isActive',
+];
+
+// Copy only editable policy fields from the request body
+function pickPolicyFields(body) {
+  return POLICY_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+    return fields;
+  }, {});
+}
+
+// Shared error mapping for create/update
+function sendPolicyError(res, error, fallbackMessage) {
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      error: 'An attendance policy with this name already exists',
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallbackMessage,
+  });
+}
+
+/**
+ * List Attendance Policies
+ * GET /api/attendance-policies
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const { includeInactive, department } = req.query;
+    const query = includeInactive === 'true' ? {} : { isActive: true };
+    if (department) query.department = department;
+
+    const policies = await AttendancePolicy.find(query).sort({ name: 1 }).select('-__v');
+
+    res.json({
+      success: true,
+      data: policies,
+      defaultPolicy: DEFAULT_POLICY,
+    });
+  } catch (error) {
+    console.error('Error fetching attendance policies:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch attendance policies',
+    });
+  }
+});
+
+/**
+ * Resolve the policy that applies to a meeting
+ * GET /api/attendance-policies/meetings/:meetingId
+ */
+router.get('/meetings/:meetingId', auth, async (req, res) => {
+  try {
+    const { meetingId } = req.params;
+    const meeting = await ZoomMeeting.findOccurrence(meetingId).select('meetingId topic metadata');
+
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        error: 'Meeting not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        meetingId: meeting.meetingId,
+        topic: meeting.topic,
+        course: meeting.metadata?.course || null,
+        department: meeting.metadata?.department || null,
+        policy: await attendancePolicyService.resolveForMeeting(meeting),
+      },
+    });
+  } catch (error) {
+    console.error('Error resolving attendance policy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve attendance policy',
+    });
+  }
+});
+
+/**
+ * Attach a meeting to a course/department (and therefore its policy)
+ * PUT /api/attendance-policies/meetings/:meetingId
+ */
+router.put('/meetings/:meetingId', auth, requirePermission('meetings:write', { meeting: meetingParam }), async (req, res) => {
+  try {
+    const { meetingId } = req.params;
+    const { course, department } = req.body;
+
+    if (course === undefined && department === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'course or department is required',
+      });
+    }
+
+    const update = {};
+    if (course !== undefined) update['metadata.course'] = course || null;
+    if (department !== undefined) update['metadata.department'] = department || null;
+
+    const occurrence = await ZoomMeeting.findOccurrence(meetingId).select('meetingId');
+
+    if (!occurrence) {
+      return res.status(404).json({
+        success: false,
+        error: 'Meeting not found',
+      });
+    }
+
+    // The course applies to every occurrence of a recurring meeting
+    await ZoomMeeting.updateMany({ meetingId: occurrence.meetingId }, { $set: update });
+    const meeting = await ZoomMeeting.findById(occurrence._id).select('meetingId topic metadata');
+
+    res.json({
+      success: true,
+      message: 'Meeting course updated successfully',
+      data: {
+        meetingId: meeting.meetingId,
+        course: meeting.metadata?.course || null,
+        department: meeting.metadata?.department || null,
+        policy: await attendancePolicyService.resolveForMeeting(meeting),
+      },
+    });
+  } catch (error) {
+    console.error('Error updating meeting course:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update meeting course',
+    });
+  }
+});
+
+/**
+ * Get a meeting's hybrid verification policy
+ * GET /api/attendance-policies/meetings/:meetingId/verification
+ */
+router.get('/meetings/:meetingId/verification', auth, async (req, res) => {
+  try {
+    const meeting = await ZoomMeeting.findOccurrence(req.params.meetingId).select('meetingId topic verificationPolicy');
+
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        error: 'Meeting not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        meetingId: meeting.meetingId,
+        topic: meeting.topic,
+        verificationPolicy: hybridVerificationService.getPolicy(meeting),
+        availableFactors: ZoomMeeting.VERIFICATION_FACTORS,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching verification policy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch verification policy',
+    });
+  }
+});
+
+/**
+ * Require any N of the configured factors for check-ins to a meeting
+ * PUT /api/attendance-policies/meetings/:meetingId/verification
+ * Body: { factors: ['qr_scan', 'geofence', 'face_match', 'jwt_session', 'zoom_presence'], minimumFactors }
+ * An empty factors list turns hybrid verification off.
+ */
+router.put('/meetings/:meetingId/verification', auth, requirePermission('meetings:write', { meeting: meetingParam }), async (req, res) => {
+  try {
+    const { policy, error } = hybridVerificationService.validatePolicy(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
+
+    const occurrence = await ZoomMeeting.findOccurrence(req.params.meetingId).select('meetingId');
+
+    if (!occurrence) {
+      return res.status(404).json({
+        success: false,
+        error: 'Meeting not found',
+      });
+    }
+
+    // Applies to every occurrence of a recurring meeting
+    const update = policy.factors.length > 0
+      ? { $set: { verificationPolicy: policy } }
+      : { $unset: { verificationPolicy: 1 } };
+    await ZoomMeeting.updateMany({ meetingId: occurrence.meetingId }, update);
+    const meeting = await ZoomMeeting.findById(occurrence._id).select('meetingId topic verificationPolicy');
+
+    res.json({
+      success: true,
+      message: policy.factors.length > 0
+        ? 'Meeting verification policy updated successfully'
+        : 'Hybrid verification disabled for this meeting',
+      data: {
+        meetingId: meeting.meetingId,
+        topic: meeting.topic,
+        verificationPolicy: hybridVerificationService.getPolicy(meeting),
+      },
+    });
+  } catch (error) {
+    console.error('Error updating verification policy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update verification policy',
+    });
+  }
+});
+
+/**
+ * Get Attendance Policy
+ * GET /api/attendance-policies/:policyId
+ */
+router.get('/:policyId', auth, async (req, res) => {
+  try {
+    const policy = await AttendancePolicy.findById(req.params.policyId).select('-__v');
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Attendance policy not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: policy,
+    });
+  } catch (error) {
+    console.error('Error fetching attendance policy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch attendance policy',
+    });
+  }
+});
+
+/**
+ * Create Attendance Policy
+ * POST /api/attendance-policies
+ */
+router.post('/', auth, requirePermission('policies:manage'), async (req, res) => {
+  try {
+    const policy = new AttendancePolicy({
+      ...pickPolicyFields(req.body),
+      createdBy: req.user._id,
+    });
+
+    await policy.save();
+    attendancePolicyService.clearCache();
+
+    res.status(201).json({
+      success: true,
+      message: 'Attendance policy created successfully',
+      data: policy,
+    });
+  } catch (error) {
+    console.error('Error creating attendance policy:', error);
+    sendPolicyError(res, error, 'Failed to create attendance policy');
+  }
+});
+
+/**
+ * Update Attendance Policy
+ * PUT /api/attendance-policies/:policyId
+ */
+router.put('/:policyId', auth, requirePermission('policies:manage'), async (req, res) => {
+  try {
+    const policy = await AttendancePolicy.findById(req.params.policyId);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Attendance policy not found',
+      });
+    }
+
+    policy.set(pickPolicyFields(req.body));
+    await policy.save();
+    attendancePolicyService.clearCache();
+
+    res.json({
+      success: true,
+      message: 'Attendance policy updated successfully',
+      data: policy,
+    });
+  } catch (error) {
+    console.error('Error updating attendance policy:', error);
+    sendPolicyError(res, error, 'Failed to update attendance policy');
+  }
+});
+
+/**
+ * Delete Attendance Policy
+ * DELETE /api/attendance-policies/:policyId
+ */
+router.delete('/:policyId', auth, requirePermission('policies:manage'), async (req, res) => {
+  try {
+    const policy = await AttendancePolicy.findByIdAndDelete(req.params.policyId);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Attendance policy not found',
+      });
+    }
+
+    attendancePolicyService.clearCache();
+
+    res.json({
+      success: true,
+      message: 'Attendance policy deleted successfully',
+    });
+  } catch (error) {
+    console.error('Error deleting attendance policy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete attendance policy',
+    });
+  }
+});
+
+/**
+ * Preview how a policy classifies a participant
+ * POST /api/attendance-policies/:policyId/evaluate
+ */
+router.post('/:policyId/evaluate', auth, async (req, res) => {
+  try {
+    const policy = await AttendancePolicy.findById(req.params.policyId);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Attendance policy not found',
+      });
+    }
+
+    const { sessions, attendedMinutes, meetingDuration, scheduledStart, scheduledEnd, joinTime, leaveTime } = req.body;
+
+    res.json({
+      success: true,
+      data: evaluateAttendance(policy, {
+        sessions,
+        attendedMinutes,
+        meetingDuration,
+        scheduledStart,
+        scheduledEnd,
+        joinTime,
+        leaveTime,
+      }),
+    });
+  } catch (error) {
+    console.error('Error evaluating attendance policy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to evaluate attendance policy',
+    });
+  }
+});
+
+module.exports = router;
@@ -9,6 +9,8 @@ const {
   calculateSessionBasedAttendancePercentage,
   determineSessionBasedAttendanceStatus
 } = require('../utils/attendanceUtils'); // Note: We need to create this backend utils file
+const { withPresentThreshold } = require('../utils/attendancePolicyEngine');
+const attendancePolicyService = require('../services/attendancePolicyService');
 
 const router = express.Router();
 
@@ -169,7 +171,12 @@ router.get('/meeting/:meetingId', async (req, res) => {
     const { meetingId } = req.params;
     const { activeOnly, includeParticipant, attendanceThreshold } = req.query;
     
-    const threshold = parseFloat(attendanceThreshold) || 85;
+    // The meeting's course policy applies; ?attendanceThreshold= overrides its present percentage
+    const policy = withPresentThreshold(
+      await attendancePolicyService.resolveForMeeting(meetingId),
+      parseFloat(attendanceThreshold)
+    );
+    const threshold = policy.thresholds.present;
 
     // Get all sessions for the meeting
     const sessions = await AttendanceSession.getMeetingSessions(meetingId, activeOnly === 'true');
@@ -210,7 +217,7 @@ router.get('/meeting/:meetingId', async (req, res) => {
           attendancePercentage,
           hasActiveSessions,
           totalDuration,
-          threshold
+          policy
         );
 
         return {
@@ -392,7 +399,12 @@ router.get('/meeting/:meetingId/summary', async (req, res) => {
     const { meetingId } = req.params;
     const { attendanceThreshold } = req.query;
     
-    const threshold = parseFloat(attendanceThreshold) || 85;
+    // The meeting's course policy applies; ?attendanceThreshold= overrides its present percentage
+    const policy = withPresentThreshold(
+      await attendancePolicyService.resolveForMeeting(meetingId),
+      parseFloat(attendanceThreshold)
+    );
+    const threshold = policy.thresholds.present;
 
     // Get aggregated data using MongoDB aggregation pipeline
     const aggregationResult = await AttendanceSession.aggregate([
@@ -440,7 +452,7 @@ router.get('/meeting/:meetingId/summary', async (req, res) => {
         attendancePercentage,
         hasActiveSessions,
         participant.totalDuration,
-        threshold
+        policy
       );
 
       return {
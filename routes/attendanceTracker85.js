@@ -4,11 +4,51 @@ const Participant = require('../models/Participant');
 const Student = require('../models/Student');
 const ZoomMeeting = require('../models/ZoomMeeting');
 const ZoomAttendance = require('../models/ZoomAttendance');
+const attendancePolicyService = require('../services/attendancePolicyService');
+const rosterService = require('../services/rosterService');
+const { auth, requirePermission } = require('../middleware/auth');
+const { evaluateAttendance, withPresentThreshold, getScheduledWindow } = require('../utils/attendancePolicyEngine');
 // Use global userSessionManager instance
 // const userSessionManager = require('../services/userSessionManager');
 
 const router = express.Router();
 
+const meetingParam = req => req.params.meetingId;
+
+/**
+ * Enrolled students of the meeting's course with no participant record, as Absent entries
+ * @returns {Object} - { course, enrolledCount, absentees }
+ */
+async function getRosterAbsentees(meeting, meetingId, participants, meetingDuration, attendanceThreshold) {
+  const roster = await rosterService.getAbsentees(meeting || String(meetingId), participants);
+
+  return {
+    ...roster,
+    absentees: roster.absentees.map(student => {
+      const studentInfo = rosterService.describeStudent(student);
+      return {
+        participantId: null,
+        participantName: studentInfo.fullName,
+        email: student.Email,
+        duration: 0,
+        percentage: 0,
+        status: 'Absent',
+        joinTime: null,
+        leaveTime: null,
+        minutesLate: null,
+        minutesLeftEarly: null,
+        isActive: false,
+        studentInfo,
+        authenticatedUser: null,
+        neverJoined: true,
+        source: 'roster',
+        meetingDuration,
+        attendanceThreshold
+      };
+    })
+  };
+}
+
 // WebSocket functionality for real-time attendance tracking
 class AttendanceTracker85WebSocket {
   constructor() {
@@ -125,18 +165,17 @@ class AttendanceTracker85WebSocket {
 
   // Get current attendance data (same logic as the REST endpoint)
   async getAttendanceData(meetingId, options = {}) {
-    const attendanceThreshold = options.threshold || 85;
     const includeInactiveParticipants = options.includeInactive || false;
     
     try {
       // Same logic as the REST endpoint
-      const meeting = await ZoomMeeting.findOne({ 
-        $or: [
-          { meetingId: meetingId },
-          { id: meetingId },
-          { 'meetingId': String(meetingId) }
-        ]
-      });
+      const meeting = await ZoomMeeting.findOccurrence(meetingId);
+      const policy = withPresentThreshold(
+        await attendancePolicyService.resolveForMeeting(meeting || meetingId),
+        options.threshold ? parseFloat(options.threshold) : undefined
+      );
+      const attendanceThreshold = policy.thresholds.present;
+      const scheduledWindow = getScheduledWindow(meeting);
       
       let meetingDuration = 0;
       let meetingStartTime = null;
@@ -159,7 +198,7 @@ class AttendanceTracker85WebSocket {
         meetingDuration = 60;
       }
       
-      let participantQuery = { meetingId: String(meetingId) };
+      let participantQuery = Participant.occurrenceQuery(meeting, meetingId);
       if (!includeInactiveParticipants) {
         participantQuery.joinTime = { $exists: true, $ne: null };
       }
@@ -199,14 +238,15 @@ class AttendanceTracker85WebSocket {
           attendancePercentage = 100;
         }
         
-        let attendanceStatus = 'Absent';
-        if (isCurrentlyInMeeting) {
-          attendanceStatus = 'In Progress';
-        } else if (attendancePercentage >= attendanceThreshold) {
-          attendanceStatus = 'Present';
-        } else if (attendancePercentage > 0) {
-          attendanceStatus = 'Absent';
-        }
+        const evaluation = evaluateAttendance(policy, {
+          attendedMinutes: participantDuration,
+          attendancePercentage,
+          isActive: isCurrentlyInMeeting,
+          joinTime: currentJoinTime,
+          leaveTime: currentLeaveTime,
+          ...scheduledWindow
+        });
+        const attendanceStatus = evaluation.status;
         
         return {
           participantId: participant.participantId,
@@ -217,6 +257,8 @@ class AttendanceTracker85WebSocket {
           status: attendanceStatus,
           joinTime: currentJoinTime,
           leaveTime: currentLeaveTime,
+          minutesLate: evaluation.minutesLate,
+          minutesLeftEarly: evaluation.minutesLeftEarly,
           isActive: isCurrentlyInMeeting,
           studentInfo: null, // Simplified for WebSocket
           authenticatedUser: null, // Simplified for WebSocket
@@ -225,13 +267,21 @@ class AttendanceTracker85WebSocket {
         };
       }));
       
-      const validAttendanceData = attendanceData.filter(entry => entry.status !== 'Error');
+      const roster = await getRosterAbsentees(meeting, meetingId, participants, meetingDuration, attendanceThreshold);
+      const validAttendanceData = [
+        ...attendanceData.filter(entry => entry.status !== 'Error'),
+        ...roster.absentees
+      ];
       
       const statistics = {
         totalParticipants: validAttendanceData.length,
         presentCount: validAttendanceData.filter(p => p.status === 'Present').length,
         absentCount: validAttendanceData.filter(p => p.status === 'Absent').length,
         inProgressCount: validAttendanceData.filter(p => p.status === 'In Progress').length,
+        lateCount: validAttendanceData.filter(p => p.status === 'Late').length,
+        leftEarlyCount: validAttendanceData.filter(p => p.status === 'Left Early').length,
+        enrolledCount: roster.enrolledCount,
+        neverJoinedCount: roster.absentees.length,
         averageAttendance: validAttendanceData.length > 0 ? 
           Math.round(validAttendanceData.reduce((sum, p) => sum + p.percentage, 0) / validAttendanceData.length) : 0,
         meetingDuration,
@@ -377,24 +427,17 @@ if (typeof global !== 'undefined') {
  * 85% Zoom Attendance Duration Tracker
  * Returns participant attendance data with duration percentages and 85% threshold status
  */
-router.get('/meeting/:meetingId/attendance-tracker', async (req, res) => {
+router.get('/meeting/:meetingId/attendance-tracker', auth, requirePermission('attendance:read', { meeting: meetingParam }), async (req, res) => {
   try {
     const { meetingId } = req.params;
     const { includeInactive, threshold } = req.query;
     
-    const attendanceThreshold = parseFloat(threshold) || 85;
     const includeInactiveParticipants = includeInactive === 'true';
     
     console.log(`📊 Getting 85% attendance tracker for meeting: ${meetingId}`);
     
     // Get meeting details for duration calculation
-    const meeting = await ZoomMeeting.findOne({ 
-      $or: [
-        { meetingId: meetingId },
-        { id: meetingId },
-        { 'meetingId': String(meetingId) }
-      ]
-    });
+    const meeting = await ZoomMeeting.findOccurrence(meetingId);
     
     let meetingDuration = 0;
     let meetingStartTime = null;
@@ -421,9 +464,17 @@ router.get('/meeting/:meetingId/attendance-tracker', async (req, res) => {
       console.warn(`⚠️ Meeting not found: ${meetingId}, using default duration`);
       meetingDuration = 60; // Default 60 minutes
     }
+
+    // The meeting's course policy applies; ?threshold= overrides its present percentage
+    const policy = withPresentThreshold(
+      await attendancePolicyService.resolveForMeeting(meeting || meetingId),
+      threshold ? parseFloat(threshold) : undefined
+    );
+    const attendanceThreshold = policy.thresholds.present;
+    const scheduledWindow = getScheduledWindow(meeting);
     
     // Get all participants for this meeting
-    let participantQuery = { meetingId: String(meetingId) };
+    let participantQuery = Participant.occurrenceQuery(meeting, meetingId);
     if (!includeInactiveParticipants) {
       // Only include participants who joined (have joinTime)
       participantQuery.joinTime = { $exists: true, $ne: null };
@@ -473,15 +524,16 @@ router.get('/meeting/:meetingId/attendance-tracker', async (req, res) => {
           attendancePercentage = 100;
         }
         
-        // Determine attendance status based on 85% threshold
-        let attendanceStatus = 'Absent';
-        if (isCurrentlyInMeeting) {
-          attendanceStatus = 'In Progress';
-        } else if (attendancePercentage >= attendanceThreshold) {
-          attendanceStatus = 'Present';
-        } else if (attendancePercentage > 0) {
-          attendanceStatus = 'Absent'; // Below 85% threshold
-        }
+        // Determine attendance status under the meeting's attendance policy
+        const evaluation = evaluateAttendance(policy, {
+          attendedMinutes: participantDuration,
+          attendancePercentage,
+          isActive: isCurrentlyInMeeting,
+          joinTime: currentJoinTime,
+          leaveTime: currentLeaveTime,
+          ...scheduledWindow
+        });
+        const attendanceStatus = evaluation.status;
         
         // Get student information
         let studentInfo = null;
@@ -556,6 +608,8 @@ router.get('/meeting/:meetingId/attendance-tracker', async (req, res) => {
           status: attendanceStatus,
           joinTime: currentJoinTime,
           leaveTime: currentLeaveTime,
+          minutesLate: evaluation.minutesLate,
+          minutesLeftEarly: evaluation.minutesLeftEarly,
           isActive: isCurrentlyInMeeting,
           
           // Student information
@@ -598,8 +652,14 @@ router.get('/meeting/:meetingId/attendance-tracker', async (req, res) => {
       }
     }));
     
+    // Enrolled students who never joined are reported as Absent
+    const roster = await getRosterAbsentees(meeting, meetingId, participants, meetingDuration, attendanceThreshold);
+    
     // Filter out error entries if requested
-    const validAttendanceData = attendanceData.filter(entry => entry.status !== 'Error');
+    const validAttendanceData = [
+      ...attendanceData.filter(entry => entry.status !== 'Error'),
+      ...roster.absentees
+    ];
     
     // Calculate statistics
     const statistics = {
@@ -607,6 +667,10 @@ router.get('/meeting/:meetingId/attendance-tracker', async (req, res) => {
       presentCount: validAttendanceData.filter(p => p.status === 'Present').length,
       absentCount: validAttendanceData.filter(p => p.status === 'Absent').length,
       inProgressCount: validAttendanceData.filter(p => p.status === 'In Progress').length,
+      lateCount: validAttendanceData.filter(p => p.status === 'Late').length,
+      leftEarlyCount: validAttendanceData.filter(p => p.status === 'Left Early').length,
+      enrolledCount: roster.enrolledCount,
+      neverJoinedCount: roster.absentees.length,
       authenticatedCount: validAttendanceData.filter(p => p.authenticatedUser).length,
       studentsIdentified: validAttendanceData.filter(p => p.studentInfo?.isMatched).length,
       averageAttendance: validAttendanceData.length > 0 ? 
@@ -624,9 +688,12 @@ router.get('/meeting/:meetingId/attendance-tracker', async (req, res) => {
       status: meetingStatus,
       startTime: meetingStartTime,
       endTime: meetingEndTime,
+      scheduledStart: scheduledWindow.scheduledStart,
+      scheduledEnd: scheduledWindow.scheduledEnd,
       duration: meetingDuration,
       hostEmail: meeting?.hostEmail,
-      joinUrl: meeting?.joinUrl
+      joinUrl: meeting?.joinUrl,
+      course: roster.course
     };
     
     console.log(`✅ 85% Attendance Tracker processed: ${statistics.totalParticipants} participants, ${statistics.above85Percent} above 85%, ${statistics.below85Percent} below 85%`);
@@ -656,7 +723,7 @@ router.get('/meeting/:meetingId/attendance-tracker', async (req, res) => {
  * GET /api/zoom/meeting/:meetingId/attendance-export
  * Export 85% attendance data as CSV
  */
-router.get('/meeting/:meetingId/attendance-export', async (req, res) => {
+router.get('/meeting/:meetingId/attendance-export', auth, requirePermission('attendance:export', { meeting: meetingParam }), async (req, res) => {
   try {
     const { meetingId } = req.params;
     
@@ -685,6 +752,8 @@ router.get('/meeting/:meetingId/attendance-export', async (req, res) => {
       'Status',
       'Join Time',
       'Leave Time',
+      'Minutes Late',
+      'Minutes Left Early',
       'Student ID',
       'Student Name',
       'Department',
@@ -700,6 +769,8 @@ router.get('/meeting/:meetingId/attendance-export', async (req, res) => {
       p.status,
       p.joinTime ? new Date(p.joinTime).toLocaleString() : '',
       p.leaveTime ? new Date(p.leaveTime).toLocaleString() : '',
+      p.minutesLate ?? '',
+      p.minutesLeftEarly ?? '',
       p.studentInfo?.studentId || '',
       p.studentInfo?.fullName || '',
       p.studentInfo?.department || '',
@@ -729,7 +800,7 @@ router.get('/meeting/:meetingId/attendance-export', async (req, res) => {
  * POST /api/zoom/meeting/:meetingId/attendance-tracker/start-websocket
  * Start WebSocket tracking for 85% attendance
  */
-router.post('/meeting/:meetingId/attendance-tracker/start-websocket', (req, res) => {
+router.post('/meeting/:meetingId/attendance-tracker/start-websocket', auth, requirePermission('attendance:read', { meeting: meetingParam }), (req, res) => {
   try {
     const { meetingId } = req.params;
     const { interval } = req.body;
@@ -769,7 +840,7 @@ router.post('/meeting/:meetingId/attendance-tracker/start-websocket', (req, res)
  * POST /api/zoom/meeting/:meetingId/attendance-tracker/stop-websocket
  * Stop WebSocket tracking for 85% attendance
  */
-router.post('/meeting/:meetingId/attendance-tracker/stop-websocket', (req, res) => {
+router.post('/meeting/:meetingId/attendance-tracker/stop-websocket', auth, requirePermission('attendance:read', { meeting: meetingParam }), (req, res) => {
   try {
     const { meetingId } = req.params;
     
@@ -798,7 +869,7 @@ router.post('/meeting/:meetingId/attendance-tracker/stop-websocket', (req, res)
  * GET /api/zoom/attendance-tracker/websocket-status
  * Get WebSocket tracking status
  */
-router.get('/attendance-tracker/websocket-status', (req, res) => {
+router.get('/attendance-tracker/websocket-status', auth, requirePermission('system:monitor'), (req, res) => {
   try {
     const status = global.attendanceTracker85WS.getTrackingStatus();
     
@@ -1,10 +1,60 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { auth, checkRole } = require('../middleware/auth');
+const tokenService = require('../services/tokenService');
+const studentLinkService = require('../services/studentLinkService');
+const { ROLES, permissionsFor } = require('../utils/permissions');
+const { auth, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+// Shared cookie options; production is cross-site (frontend on another origin)
+function cookieOptions(expiresAt, { httpOnly = true, path = '/' } = {}) {
+  const options = {
+    httpOnly,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+    maxAge: Math.max(new Date(expiresAt).getTime() - Date.now(), 0),
+    path,
+  };
+
+  if (process.env.NODE_ENV === 'production' && process.env.COOKIE_DOMAIN) {
+    options.domain = process.env.COOKIE_DOMAIN;
+  }
+  return options;
+}
+
+// Access token and refresh token are httpOnly; username/role stay readable for the UI
+function setAuthCookies(res, user, session) {
+  res.cookie('authToken', session.accessToken, cookieOptions(session.accessTokenExpiresAt));
+  res.cookie('refreshToken', session.refreshToken, cookieOptions(session.refreshTokenExpiresAt, { path: REFRESH_COOKIE_PATH }));
+  res.cookie('username', user.username, cookieOptions(session.refreshTokenExpiresAt, { httpOnly: false }));
+  res.cookie('userRole', user.role, cookieOptions(session.refreshTokenExpiresAt, { httpOnly: false }));
+}
+
+function clearAuthCookies(res) {
+  const domain = process.env.NODE_ENV === 'production' ? process.env.COOKIE_DOMAIN : undefined;
+  res.clearCookie('authToken', { path: '/', domain });
+  res.clearCookie('refreshToken', { path: REFRESH_COOKIE_PATH, domain });
+  res.clearCookie('username', { path: '/', domain });
+  res.clearCookie('userRole', { path: '/', domain });
+}
+
+function requestMetadata(req) {
+  return { ipAddress: req.ip, userAgent: req.get('User-Agent') };
+}
+
+function sessionResponse(session) {
+  return {
+    token: session.accessToken,
+    expiresAt: session.accessTokenExpiresAt,
+    refreshToken: session.refreshToken,
+    refreshTokenExpiresAt: session.refreshTokenExpiresAt,
+  };
+}
+
 // ===========================
 // REGISTER NEW USER
 // ===========================
@@ -19,13 +69,22 @@ router.post('/register', async (req, res) => {
       });
     }
 
-    if (role && !['user', 'admin'].includes(role)) {
+    if (role && !ROLES.includes(role)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid role specified'
       });
     }
 
+    // Self-registration creates students; other roles are granted by an admin.
+    // The very first account may bootstrap itself as admin.
+    if (role && role !== 'student' && !(role === 'admin' && await User.estimatedDocumentCount() === 0)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only student accounts can be self-registered'
+      });
+    }
+
     const existingUser = await User.findOne({ $or: [{ email }, { username }] });
     if (existingUser) {
       return res.status(400).json({
@@ -37,25 +96,15 @@ router.post('/register', async (req, res) => {
     const user = new User({ username, email, password, role });
     await user.save();
 
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
-
-    res.cookie('authToken', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000,
-    });
+    const session = await tokenService.issueSession(user, requestMetadata(req));
+    setAuthCookies(res, user, session);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       username: user.username,
       role: user.role,
-      token,
+      ...sessionResponse(session),
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -92,45 +141,17 @@ router.post('/register', async (req, res) => {
     user.lastLogin = new Date();
     await user.save();
 
-    const token = jwt.sign(
-      {
-        userId: user._id,
-        username: user.username,
-        role: user.role,
-        email: user.email
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
-
-    // Configure cookie options based on environment
-    const cookieOptions = {
-      httpOnly: false, // Allow frontend to read the cookie
-      secure: process.env.NODE_ENV === 'production', // Only secure in production
-      sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax', // Required for cross-site in production
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-      path: '/'
-    };
-    
-    // Add domain for production if specified
-    if (process.env.NODE_ENV === 'production' && process.env.COOKIE_DOMAIN) {
-      cookieOptions.domain = process.env.COOKIE_DOMAIN;
-    }
+    const session = await tokenService.issueSession(user, requestMetadata(req));
 
-    res.clearCookie('authToken', { path: '/' });
-    res.clearCookie('username', { path: '/' });
-    res.clearCookie('userRole', { path: '/' });
-
-    res.cookie('authToken', token, cookieOptions);
-    res.cookie('username', user.username, cookieOptions);
-    res.cookie('userRole', user.role, cookieOptions);
+    clearAuthCookies(res);
+    setAuthCookies(res, user, session);
 
     res.status(200).json({
       success: true,
       message: 'Login successful',
       username: user.username,
       role: user.role,
-      token
+      ...sessionResponse(session),
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -142,16 +163,135 @@ router.post('/register', async (req, res) => {
   }
 });
 
+// ===========================
+// REFRESH ACCESS TOKEN
+// ===========================
+// Rotates the refresh token: the presented one stops working and a new pair is issued
+router.post('/refresh', async (req, res) => {
+  try {
+    const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
+    const result = await tokenService.rotate(refreshToken, requestMetadata(req), userId => User.findById(userId));
+
+    if (!result.success) {
+      clearAuthCookies(res);
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.error,
+        reuseDetected: !!result.reuseDetected,
+      });
+    }
+
+    setAuthCookies(res, result.user, result);
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed',
+      username: result.user.username,
+      role: result.user.role,
+      ...sessionResponse(result),
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing token'
+    });
+  }
+});
+
 // ===========================
 // LOGOUT USER
 // ===========================
-router.post('/logout', (req, res) => {
-  res.clearCookie('authToken');
-  res.clearCookie('username');
-  res.clearCookie('userRole');
+// Revokes the session's refresh and access tokens; works with an expired access token too
+router.post('/logout', async (req, res) => {
+  try {
+    const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
+    const stored = await tokenService.findFamily(refreshToken);
+
+    // An access token alone (Bearer clients) still identifies its session
+    let decoded = null;
+    const accessToken = req.cookies?.authToken || req.header('Authorization')?.replace('Bearer ', '').trim();
+    if (accessToken) {
+      try {
+        decoded = jwt.verify(accessToken, process.env.JWT_SECRET);
+      } catch (error) {
+        // Expired or invalid tokens need no revocation
+      }
+    }
+
+    const family = stored?.family || decoded?.sid;
+    if (family) {
+      await tokenService.revokeFamily(family, stored?.user || decoded?.userId, 'logout');
+    }
+  } catch (error) {
+    console.error('Logout revocation error:', error);
+  }
+
+  clearAuthCookies(res);
   res.status(200).json({ success: true, message: 'Logged out successfully' });
 });
 
+// ===========================
+// LOGOUT ALL DEVICES
+// ===========================
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const sessions = await tokenService.revokeAllForUser(req.user._id);
+    clearAuthCookies(res);
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all devices',
+      sessionsRevoked: sessions,
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out of all devices'
+    });
+  }
+});
+
+// ===========================
+// ACTIVE SESSIONS
+// ===========================
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await tokenService.listSessions(req.user._id);
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({ ...session, current: session.sessionId === req.tokenPayload?.sid })),
+    });
+  } catch (error) {
+    console.error('Error listing sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions'
+    });
+  }
+});
+
+router.delete('/sessions/:sessionId', auth, async (req, res) => {
+  try {
+    const sessions = await tokenService.listSessions(req.user._id);
+    if (!sessions.some(session => session.sessionId === req.params.sessionId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await tokenService.revokeFamily(req.params.sessionId, req.user._id, 'revoked by user');
+    res.json({ success: true, message: 'Session revoked' });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking session'
+    });
+  }
+});
+
 // ===========================
 // GET CURRENT USER
 // ===========================
@@ -161,7 +301,7 @@ router.get('/me', auth, async (req, res) => {
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
-    res.json(user);
+    res.json({ ...user.toObject(), permissions: permissionsFor(user.role) });
   } catch (error) {
     res.status(500).json({ message: 'Error fetching user data' });
   }
@@ -170,7 +310,7 @@ router.get('/me', auth, async (req, res) => {
 // ===========================
 // GET ALL USERS (ADMIN ONLY)
 // ===========================
-router.get('/users', auth, checkRole(['admin']), async (req, res) => {
+router.get('/users', auth, requirePermission('users:manage'), async (req, res) => {
   try {
     const users = await User.find().select('-password');
     res.json(users);
@@ -182,17 +322,25 @@ router.get('/users', auth, checkRole(['admin']), async (req, res) => {
 // ===========================
 // UPDATE USER ROLE (ADMIN ONLY)
 // ===========================
-router.patch('/users/:userId/role', auth, checkRole(['admin']), async (req, res) => {
+// Body: { role, department? } - department scopes department heads
+router.patch('/users/:userId/role', auth, requirePermission('users:manage'), async (req, res) => {
   try {
-    const { role } = req.body;
-    if (!['user', 'admin'].includes(role)) {
-      return res.status(400).json({ message: 'Invalid role value' });
+    const { role, department } = req.body;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ message: `Invalid role value. Allowed: ${ROLES.join(', ')}` });
     }
 
+    if (role === 'department_head' && !department) {
+      return res.status(400).json({ message: 'department is required for department heads' });
+    }
+
+    const update = { role };
+    if (department !== undefined) update.department = department;
+
     const user = await User.findByIdAndUpdate(
       req.params.userId,
-      { role },
-      { new: true }
+      update,
+      { new: true, runValidators: true }
     ).select('-password');
 
     if (!user) {
@@ -218,6 +366,8 @@ router.get('/verify', auth, (req, res) => {
         id: req.user._id,
         username: req.user.username,
         role: req.user.role,
+        studentId: req.user.studentId ?? null,
+        permissions: permissionsFor(req.user.role),
       },
     });
   } catch (error) {
@@ -243,29 +393,11 @@ router.get('/profile', auth, async (req, res) => {
       });
     }
 
-    // Try to find associated student record by email or username
-    const Student = require('../models/Student');
+    // Student record linked to this account
     let studentInfo = null;
     
     try {
-      // First try to find by email match
-      studentInfo = await Student.findOne({ Email: user.email });
-      
-      // If not found by email, try to find by username in email field (if email format)
-      if (!studentInfo && user.username.includes('@')) {
-        studentInfo = await Student.findOne({ Email: user.username });
-      }
-      
-      // If still not found, try to find by matching first name or username patterns
-      if (!studentInfo) {
-        const usernamePattern = new RegExp(user.username.split(/[^a-zA-Z]+/)[0], 'i');
-        studentInfo = await Student.findOne({
-          $or: [
-            { FirstName: usernamePattern },
-            { LastName: usernamePattern }
-          ]
-        });
-      }
+      studentInfo = await studentLinkService.findStudentForUser(user);
     } catch (studentError) {
       console.warn('Error finding student record:', studentError.message);
     }
@@ -280,6 +412,7 @@ router.get('/profile', auth, async (req, res) => {
         createdAt: user.createdAt,
         lastLogin: user.lastLogin
       },
+      studentLink: user.studentId != null ? user.studentLink : null,
       student: studentInfo ? {
         studentId: studentInfo.StudentID,
         firstName: studentInfo.FirstName,
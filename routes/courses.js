@@ -0,0 +1,488 @@
+const express = require('express');
+const router = express.Router();
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Student = require('../models/Student');
+const Participant = require('../models/Participant');
+const ZoomMeeting = require('../models/ZoomMeeting');
+const attendancePolicyService = require('../services/attendancePolicyService');
+const rosterService = require('../services/rosterService');
+const { auth, requirePermission } = require('../middleware/auth');
+
+const courseParam = req => req.params.courseId;
+
+const COURSE_FIELDS = [
+  'code',
+  'title',
+  'description',
+  'department',
+  'term',
+  'instructors',
+  'teachingAssistants',
+  'meetingIds',
+  'isActive',
+];
+
+// Copy only editable course fields from the request body
+function pickCourseFields(body) {
+  return COURSE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+    return fields;
+  }, {});
+}
+
+// Department heads can only place courses in their own department
+function scopedCourseFields(req) {
+  const fields = pickCourseFields(req.body);
+  if (req.permissionScope === 'department') {
+    fields.department = req.user.department;
+  }
+  return fields;
+}
+
+// Shared error mapping for create/update
+function sendCourseError(res, error, fallbackMessage) {
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      error: 'A course with this code already exists',
+    });
+  }
+
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallbackMessage,
+  });
+}
+
+/**
+ * List Courses
+ * GET /api/courses
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const { includeInactive, department, term } = req.query;
+    const query = includeInactive === 'true' ? {} : { isActive: true };
+    if (department) query.department = department;
+    if (term) query.term = term;
+
+    const courses = await Course.find(query).sort({ code: 1 }).select('-__v');
+
+    res.json({
+      success: true,
+      data: courses,
+    });
+  } catch (error) {
+    console.error('Error fetching courses:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch courses',
+    });
+  }
+});
+
+/**
+ * Roster report for a meeting: every enrolled student with their status,
+ * enrolled students who never joined as Absent, and attendees not on the roster
+ * GET /api/courses/meeting/:meetingId/roster
+ */
+router.get('/meeting/:meetingId/roster', auth, requirePermission('attendance:read', { meeting: req => req.params.meetingId }), async (req, res) => {
+  try {
+    const { meetingId } = req.params;
+    const meeting = await rosterService.loadMeeting(meetingId);
+    const { course, students } = await rosterService.getRosterForMeeting(meeting);
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: 'Meeting is not linked to a course',
+      });
+    }
+
+    const participants = await Participant.find({ meetingId: meeting.meetingId || meetingId })
+      .select('participantName participantId email studentId studentEmail authenticatedUser attendanceStatus duration joinTime leaveTime isActive')
+      .sort({ joinTime: 1 })
+      .lean();
+
+    const absentees = new Set(rosterService.findAbsentees(students, participants).map(student => student.StudentID));
+    const enrolledIds = new Set(students.map(student => student.StudentID));
+    const enrolledEmails = new Set(students.map(student => (student.Email || '').toLowerCase()));
+
+    const enrolled = students.map(student => {
+      const email = (student.Email || '').toLowerCase();
+      const sessions = absentees.has(student.StudentID)
+        ? []
+        : participants.filter(participant =>
+          Number(participant.studentId) === Number(student.StudentID) ||
+          [participant.email, participant.studentEmail, participant.authenticatedUser?.email]
+            .some(candidate => candidate && candidate.toLowerCase() === email)
+        );
+      const latest = sessions[sessions.length - 1];
+
+      return {
+        ...rosterService.describeStudent(student),
+        status: latest ? latest.attendanceStatus : 'Absent',
+        duration: sessions.reduce((sum, session) => sum + (session.duration || 0), 0),
+        firstJoinTime: sessions[0]?.joinTime || null,
+        lastLeaveTime: latest?.leaveTime || null,
+        neverJoined: !latest,
+      };
+    });
+
+    const notEnrolled = participants.filter(participant =>
+      !enrolledIds.has(Number(participant.studentId)) &&
+      ![participant.email, participant.studentEmail, participant.authenticatedUser?.email]
+        .some(candidate => candidate && enrolledEmails.has(candidate.toLowerCase()))
+    );
+
+    res.json({
+      success: true,
+      data: {
+        meetingId: meeting.meetingId || meetingId,
+        topic: meeting.topic || null,
+        course: { id: course._id, code: course.code, title: course.title },
+        enrolledCount: students.length,
+        neverJoinedCount: absentees.size,
+        enrolled,
+        notEnrolled,
+      },
+    });
+  } catch (error) {
+    console.error('Error building course roster:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build course roster',
+    });
+  }
+});
+
+/**
+ * Get Course
+ * GET /api/courses/:courseId
+ */
+router.get('/:courseId', auth, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.courseId)
+      .populate('instructors', 'username email')
+      .populate('teachingAssistants', 'username email')
+      .select('-__v');
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: 'Course not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...course.toObject(),
+        enrolledCount: await Enrollment.countDocuments({ course: course._id, status: 'active' }),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching course:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch course',
+    });
+  }
+});
+
+/**
+ * Create Course
+ * POST /api/courses
+ */
+router.post('/', auth, requirePermission('courses:manage'), async (req, res) => {
+  try {
+    const course = new Course({
+      ...scopedCourseFields(req),
+      createdBy: req.user._id,
+    });
+
+    await course.save();
+    attendancePolicyService.clearCache();
+
+    res.status(201).json({
+      success: true,
+      message: 'Course created successfully',
+      data: course,
+    });
+  } catch (error) {
+    console.error('Error creating course:', error);
+    sendCourseError(res, error, 'Failed to create course');
+  }
+});
+
+/**
+ * Update Course
+ * PUT /api/courses/:courseId
+ */
+router.put('/:courseId', auth, requirePermission('courses:manage', { course: courseParam }), async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.courseId);
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: 'Course not found',
+      });
+    }
+
+    course.set(scopedCourseFields(req));
+    await course.save();
+    attendancePolicyService.clearCache();
+
+    res.json({
+      success: true,
+      message: 'Course updated successfully',
+      data: course,
+    });
+  } catch (error) {
+    console.error('Error updating course:', error);
+    sendCourseError(res, error, 'Failed to update course');
+  }
+});
+
+/**
+ * Delete Course (deactivates it so past reports keep their course)
+ * DELETE /api/courses/:courseId
+ */
+router.delete('/:courseId', auth, requirePermission('courses:manage', { course: courseParam }), async (req, res) => {
+  try {
+    const course = await Course.findByIdAndUpdate(
+      req.params.courseId,
+      { $set: { isActive: false } },
+      { new: true }
+    );
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: 'Course not found',
+      });
+    }
+
+    attendancePolicyService.clearCache();
+
+    res.json({
+      success: true,
+      message: 'Course deactivated successfully',
+    });
+  } catch (error) {
+    console.error('Error deleting course:', error);
+    sendCourseError(res, error, 'Failed to delete course');
+  }
+});
+
+/**
+ * List Enrolments
+ * GET /api/courses/:courseId/enrollments?status=active
+ */
+router.get('/:courseId/enrollments', auth, requirePermission('students:read', { course: courseParam }), async (req, res) => {
+  try {
+    const { status = 'active' } = req.query;
+    const query = { course: req.params.courseId };
+    if (status !== 'all') query.status = status;
+
+    const enrollments = await Enrollment.find(query).sort({ studentId: 1 }).select('-__v').lean();
+    const students = await Student.find({ StudentID: { $in: enrollments.map(enrollment => enrollment.studentId) } })
+      .select('StudentID FirstName LastName Email Department')
+      .lean();
+    const studentsById = new Map(students.map(student => [student.StudentID, student]));
+
+    res.json({
+      success: true,
+      data: enrollments.map(enrollment => ({
+        ...enrollment,
+        student: studentsById.get(enrollment.studentId) || null,
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching enrollments:', error);
+    sendCourseError(res, error, 'Failed to fetch enrollments');
+  }
+});
+
+/**
+ * Enrol Students
+ * POST /api/courses/:courseId/enrollments
+ * Body: { studentIds: [StudentID, ...] }
+ */
+router.post('/:courseId/enrollments', auth, requirePermission('courses:manage', { course: courseParam }), async (req, res) => {
+  try {
+    const studentIds = [].concat(req.body.studentIds || req.body.studentId || [])
+      .map(Number)
+      .filter(id => !isNaN(id));
+
+    if (studentIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'studentIds is required',
+      });
+    }
+
+    const course = await Course.findById(req.params.courseId);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: 'Course not found',
+      });
+    }
+
+    const students = await Student.find({ StudentID: { $in: studentIds } }).select('StudentID').lean();
+    const knownIds = new Set(students.map(student => student.StudentID));
+    const unknown = studentIds.filter(id => !knownIds.has(id));
+
+    // Re-enrolling a dropped student reactivates the existing enrolment
+    await Promise.all([...knownIds].map(studentId => Enrollment.findOneAndUpdate(
+      { course: course._id, studentId },
+      {
+        $set: { status: 'active', enrolledAt: new Date(), enrolledBy: req.user._id },
+        $unset: { droppedAt: 1 },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    )));
+
+    res.status(201).json({
+      success: true,
+      message: `${knownIds.size} student(s) enrolled`,
+      data: {
+        enrolled: [...knownIds],
+        unknown,
+      },
+    });
+  } catch (error) {
+    console.error('Error enrolling students:', error);
+    sendCourseError(res, error, 'Failed to enrol students');
+  }
+});
+
+/**
+ * Drop a Student
+ * DELETE /api/courses/:courseId/enrollments/:studentId
+ */
+router.delete('/:courseId/enrollments/:studentId', auth, requirePermission('courses:manage', { course: courseParam }), async (req, res) => {
+  try {
+    const enrollment = await Enrollment.findOneAndUpdate(
+      { course: req.params.courseId, studentId: Number(req.params.studentId) },
+      { $set: { status: 'dropped', droppedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!enrollment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Enrollment not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Student dropped from course',
+      data: enrollment,
+    });
+  } catch (error) {
+    console.error('Error dropping student:', error);
+    sendCourseError(res, error, 'Failed to drop student');
+  }
+});
+
+/**
+ * Link a Zoom meeting (or every occurrence of a recurring series) to a course
+ * POST /api/courses/:courseId/meetings
+ * Body: { meetingId }
+ */
+router.post('/:courseId/meetings', auth, requirePermission('courses:manage', { course: courseParam }), async (req, res) => {
+  try {
+    const meetingId = req.body.meetingId ? req.body.meetingId.toString().trim() : '';
+
+    if (!meetingId) {
+      return res.status(400).json({
+        success: false,
+        error: 'meetingId is required',
+      });
+    }
+
+    const course = await Course.findByIdAndUpdate(
+      req.params.courseId,
+      { $addToSet: { meetingIds: meetingId } },
+      { new: true }
+    );
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: 'Course not found',
+      });
+    }
+
+    // Stored occurrences share the meeting ID; tag them so policy lookups see the course
+    const { modifiedCount } = await ZoomMeeting.updateMany(
+      { meetingId },
+      { $set: { 'metadata.course': course.code, 'metadata.department': course.department || null } }
+    );
+    attendancePolicyService.clearCache();
+
+    res.json({
+      success: true,
+      message: 'Meeting linked to course',
+      data: {
+        course,
+        meetingsUpdated: modifiedCount,
+      },
+    });
+  } catch (error) {
+    console.error('Error linking meeting to course:', error);
+    sendCourseError(res, error, 'Failed to link meeting');
+  }
+});
+
+/**
+ * Unlink a Zoom meeting from a course
+ * DELETE /api/courses/:courseId/meetings/:meetingId
+ */
+router.delete('/:courseId/meetings/:meetingId', auth, requirePermission('courses:manage', { course: courseParam }), async (req, res) => {
+  try {
+    const { meetingId } = req.params;
+    const course = await Course.findByIdAndUpdate(
+      req.params.courseId,
+      { $pull: { meetingIds: meetingId } },
+      { new: true }
+    );
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: 'Course not found',
+      });
+    }
+
+    await ZoomMeeting.updateMany(
+      { meetingId, 'metadata.course': course.code },
+      { $set: { 'metadata.course': null } }
+    );
+    attendancePolicyService.clearCache();
+
+    res.json({
+      success: true,
+      message: 'Meeting unlinked from course',
+      data: course,
+    });
+  } catch (error) {
+    console.error('Error unlinking meeting from course:', error);
+    sendCourseError(res, error, 'Failed to unlink meeting');
+  }
+});
+
+module.exports = router;
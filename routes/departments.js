@@ -0,0 +1,135 @@
+const express = require('express');
+const router = express.Router();
+const Department = require('../models/Department');
+const departmentService = require('../services/departmentService');
+const { auth, requirePermission } = require('../middleware/auth');
+
+const DEPARTMENT_FIELDS = ['name', 'code', 'type', 'parent', 'description', 'isActive'];
+
+// Copy only editable department fields from the request body
+function pickDepartmentFields(body) {
+  return DEPARTMENT_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+    return fields;
+  }, {});
+}
+
+// Send a failed service result
+function sendResultError(res, result) {
+  res.status(result.statusCode || 500).json({
+    success: false,
+    error: result.error,
+  });
+}
+
+// Duplicate names/codes and schema errors are the client's to fix
+function sendWriteError(res, error, fallback) {
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      error: 'A department with this name or code already exists',
+    });
+  }
+
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallback,
+  });
+}
+
+/**
+ * List Departments
+ * GET /api/departments?tree=true&includeInactive=true
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const { tree, includeInactive } = req.query;
+    const query = includeInactive === 'true' ? {} : { isActive: true };
+
+    const departments = await Department.find(query).sort({ name: 1 }).select('-__v').lean();
+
+    res.json({
+      success: true,
+      data: tree === 'true' ? departmentService.buildTree(departments) : departments,
+    });
+  } catch (error) {
+    console.error('Error fetching departments:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch departments',
+    });
+  }
+});
+
+/**
+ * Create Department
+ * POST /api/departments
+ * Body: { name, code?, type?: faculty|department|programme, parent?, description? }
+ */
+router.post('/', auth, requirePermission('departments:manage'), async (req, res) => {
+  try {
+    const result = await departmentService.create(pickDepartmentFields(req.body));
+    if (!result.success) return sendResultError(res, result);
+
+    res.status(201).json({
+      success: true,
+      message: 'Department created successfully',
+      data: result.department,
+    });
+  } catch (error) {
+    console.error('Error creating department:', error);
+    sendWriteError(res, error, 'Failed to create department');
+  }
+});
+
+/**
+ * Update Department
+ * PATCH /api/departments/:departmentId
+ * Body: any of { name, code, type, parent, description, isActive }
+ * A rename is applied to every student, course, user and policy using the old name.
+ */
+router.patch('/:departmentId', auth, requirePermission('departments:manage'), async (req, res) => {
+  try {
+    const result = await departmentService.update(req.params.departmentId, pickDepartmentFields(req.body));
+    if (!result.success) return sendResultError(res, result);
+
+    res.json({
+      success: true,
+      message: 'Department updated successfully',
+      data: result.department,
+    });
+  } catch (error) {
+    console.error('Error updating department:', error);
+    sendWriteError(res, error, 'Failed to update department');
+  }
+});
+
+/**
+ * Delete Department
+ * DELETE /api/departments/:departmentId
+ */
+router.delete('/:departmentId', auth, requirePermission('departments:manage'), async (req, res) => {
+  try {
+    const result = await departmentService.remove(req.params.departmentId);
+    if (!result.success) return sendResultError(res, result);
+
+    res.json({
+      success: true,
+      message: 'Department deleted successfully',
+    });
+  } catch (error) {
+    console.error('Error deleting department:', error);
+    sendWriteError(res, error, 'Failed to delete department');
+  }
+});
+
+module.exports = router;
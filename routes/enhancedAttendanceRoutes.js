@@ -2,6 +2,8 @@ const express = require('express');
 const EnhancedAttendanceCalculator = require('../services/enhancedAttendanceCalculator');
 const ZoomAttendance = require('../models/ZoomAttendance');
 const ZoomMeeting = require('../models/ZoomMeeting');
+const attendancePolicyService = require('../services/attendancePolicyService');
+const { getScheduledWindow } = require('../utils/attendancePolicyEngine');
 
 const router = express.Router();
 const attendanceCalculator = new EnhancedAttendanceCalculator();
@@ -274,9 +276,7 @@ router.post('/calculate/:meetingId', async (req, res) => {
     console.log(`🧮 Manually triggering attendance calculation for meeting: ${meetingId}`);
 
     // Get meeting record
-    const meeting = await ZoomMeeting.findOne({
-      $or: [{ meetingId }, { meetingUuid: meetingId }]
-    });
+    const meeting = await ZoomMeeting.findOccurrence(meetingId);
 
     if (!meeting) {
       return res.status(404).json({
@@ -498,9 +498,7 @@ router.get('/user-sessions/:meetingId', async (req, res) => {
 
     console.log(`🔍 Fetching user session data for meeting: ${meetingId}`);
 
-    const meeting = await ZoomMeeting.findOne({
-      $or: [{ meetingId }, { meetingUuid: meetingId }]
-    });
+    const meeting = await ZoomMeeting.findOccurrence(meetingId);
 
     if (!meeting) {
       return res.status(404).json({
@@ -510,6 +508,8 @@ router.get('/user-sessions/:meetingId', async (req, res) => {
       });
     }
 
+    const policy = await attendancePolicyService.resolveForMeeting(meeting);
+
     // Get all participants with their session data
     const participants = await attendanceCalculator.getUniqueParticipants(meeting.meetingUuid);
     
@@ -523,7 +523,9 @@ router.get('/user-sessions/:meetingId', async (req, res) => {
 
       const { attendancePercentage, status } = ZoomAttendance.calculateAttendanceStatus(
         attendanceData.totalAttendanceTime,
-        meeting.actualDuration || meeting.duration
+        meeting.actualDuration || meeting.duration,
+        policy,
+        { ...getScheduledWindow(meeting), sessions: attendanceData.sessions }
       );
 
       sessionData.push({
@@ -534,7 +536,7 @@ router.get('/user-sessions/:meetingId', async (req, res) => {
         totalAttendanceMinutes: Math.round(attendanceData.totalAttendanceTime / 60),
         attendancePercentage: attendancePercentage,
         status: status,
-        thresholdMet: attendancePercentage >= 85
+        thresholdMet: attendancePercentage >= policy.thresholds.present
       });
     }
 
@@ -555,7 +557,8 @@ router.get('/user-sessions/:meetingId', async (req, res) => {
           absent: sessionData.filter(p => p.status === 'Absent').length,
           averageAttendance: sessionData.length > 0 ? 
             Math.round(sessionData.reduce((sum, p) => sum + p.attendancePercentage, 0) / sessionData.length) : 0,
-          threshold: 85
+          threshold: policy.thresholds.present,
+          policy: policy.name
         }
       },
       timestamp: new Date().toISOString()
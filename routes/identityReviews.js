@@ -0,0 +1,290 @@
+const express = require('express');
+const router = express.Router();
+const IdentityReview = require('../models/IdentityReview');
+const ParticipantAlias = require('../models/ParticipantAlias');
+const Student = require('../models/Student');
+const participantIdentityService = require('../services/participantIdentityService');
+const accessControlService = require('../services/accessControlService');
+const { auth, requirePermission } = require('../middleware/auth');
+
+// Meeting a review belongs to, for scoped reviewers
+const reviewMeeting = async req => {
+  const review = await IdentityReview.findById(req.params.reviewId).select('meetingId').lean();
+  return review?.meetingId;
+};
+
+// Send a failed service result
+function sendResultError(res, result) {
+  res.status(result.statusCode || 500).json({
+    success: false,
+    error: result.error,
+  });
+}
+
+// Attach name/email of every candidate student
+async function withCandidateStudents(reviews) {
+  const studentIds = [...new Set(reviews.flatMap(review => review.candidates.map(candidate => candidate.studentId)))];
+  const students = await Student.find({ StudentID: { $in: studentIds } })
+    .select('StudentID FirstName LastName Email Department')
+    .lean();
+  const studentsById = new Map(students.map(student => [student.StudentID, student]));
+
+  return reviews.map(review => ({
+    ...review,
+    candidates: review.candidates.map(candidate => ({
+      ...candidate,
+      student: studentsById.get(candidate.studentId) || null,
+    })),
+  }));
+}
+
+/**
+ * List confirmed aliases
+ * GET /api/identity-reviews/aliases?studentId=&kind=&page=&limit=
+ */
+router.get('/aliases', auth, requirePermission('students:write'), async (req, res) => {
+  try {
+    const { studentId, kind } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const query = {};
+    if (studentId) query.studentId = Number(studentId);
+    if (kind) query.kind = kind;
+
+    const [aliases, total] = await Promise.all([
+      ParticipantAlias.find(query)
+        .populate('confirmedBy', 'username email')
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-__v'),
+      ParticipantAlias.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: aliases,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    console.error('Error fetching participant aliases:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch aliases',
+    });
+  }
+});
+
+/**
+ * Forget an alias (e.g. one confirmed by mistake)
+ * DELETE /api/identity-reviews/aliases/:aliasId
+ */
+router.delete('/aliases/:aliasId', auth, requirePermission('students:write'), async (req, res) => {
+  try {
+    const alias = await ParticipantAlias.findByIdAndDelete(req.params.aliasId);
+
+    if (!alias) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alias not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Alias removed',
+      data: alias,
+    });
+  } catch (error) {
+    console.error('Error deleting participant alias:', error);
+    res.status(error.name === 'CastError' ? 400 : 500).json({
+      success: false,
+      error: error.name === 'CastError' ? 'Invalid alias ID' : 'Failed to remove alias',
+    });
+  }
+});
+
+/**
+ * Resolve every unmatched participant of a meeting again
+ * POST /api/identity-reviews/resolve
+ * Body: { meetingId }
+ */
+router.post('/resolve', auth, requirePermission('attendance:write', { meeting: req => req.body.meetingId }), async (req, res) => {
+  try {
+    const { meetingId } = req.body;
+
+    if (!meetingId) {
+      return res.status(400).json({
+        success: false,
+        error: 'meetingId is required',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await participantIdentityService.resolveMeeting(meetingId),
+    });
+  } catch (error) {
+    console.error('Error resolving meeting participants:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve participants',
+    });
+  }
+});
+
+/**
+ * List reviews in the reviewer's scope, with candidate students
+ * GET /api/identity-reviews?status=pending&meetingId=&page=&limit=
+ */
+router.get('/', auth, requirePermission('attendance:write'), async (req, res) => {
+  try {
+    const { status = 'pending', meetingId } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const query = {};
+    if (status !== 'all') query.status = status;
+
+    const meetingIds = await accessControlService.accessibleMeetingIds(req.user, 'attendance:write');
+    if (meetingId) {
+      query.meetingId = !meetingIds || meetingIds.includes(String(meetingId)) ? String(meetingId) : { $in: [] };
+    } else if (meetingIds) {
+      query.meetingId = { $in: meetingIds };
+    }
+
+    const [reviews, total] = await Promise.all([
+      IdentityReview.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-__v')
+        .lean(),
+      IdentityReview.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: await withCandidateStudents(reviews),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    console.error('Error fetching identity reviews:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch reviews',
+    });
+  }
+});
+
+/**
+ * Get a review with its attendance record and candidate students
+ * GET /api/identity-reviews/:reviewId
+ */
+router.get('/:reviewId', auth, requirePermission('attendance:write', { meeting: reviewMeeting }), async (req, res) => {
+  try {
+    const review = await IdentityReview.findById(req.params.reviewId)
+      .populate('attendance', 'participantName participantEmail joinTime leaveTime duration attendanceStatus metadata')
+      .select('-__v')
+      .lean();
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        error: 'Review not found',
+      });
+    }
+
+    const [data] = await withCandidateStudents([review]);
+    res.json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    console.error('Error fetching identity review:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch review',
+    });
+  }
+});
+
+/**
+ * Confirm the student behind a participant; by default the participant's
+ * name, email and device are remembered as aliases of that student
+ * POST /api/identity-reviews/:reviewId/confirm
+ * Body: { studentId, remember?, note? }
+ */
+router.post('/:reviewId/confirm', auth, requirePermission('attendance:write', { meeting: reviewMeeting }), async (req, res) => {
+  try {
+    const { studentId, remember, note } = req.body;
+
+    if (studentId === undefined || studentId === null || isNaN(Number(studentId))) {
+      return res.status(400).json({
+        success: false,
+        error: 'studentId must be a number',
+      });
+    }
+
+    const result = await participantIdentityService.confirm(req.params.reviewId, {
+      studentId,
+      remember: remember !== false && remember !== 'false',
+      note,
+      user: req.user,
+    });
+
+    if (!result.success) {
+      return sendResultError(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: 'Participant matched',
+      data: {
+        review: result.review,
+        attendance: result.attendance,
+        aliases: result.aliases,
+        autoResolved: result.autoResolved,
+      },
+    });
+  } catch (error) {
+    console.error('Error confirming identity review:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to confirm review',
+    });
+  }
+});
+
+/**
+ * Close a review without matching (the participant is not a student)
+ * POST /api/identity-reviews/:reviewId/dismiss
+ * Body: { note? }
+ */
+router.post('/:reviewId/dismiss', auth, requirePermission('attendance:write', { meeting: reviewMeeting }), async (req, res) => {
+  try {
+    const result = await participantIdentityService.dismiss(req.params.reviewId, {
+      note: req.body?.note || '',
+      user: req.user,
+    });
+
+    if (!result.success) {
+      return sendResultError(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: 'Review dismissed',
+      data: result.review,
+    });
+  } catch (error) {
+    console.error('Error dismissing identity review:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to dismiss review',
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,155 @@
+const express = require('express');
+const router = express.Router();
+const jobService = require('../services/jobService');
+const { auth, requirePermission } = require('../middleware/auth');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+/**
+ * Job Types and Counts
+ * GET /api/jobs/status
+ */
+router.get('/status', auth, requirePermission('system:monitor'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await jobService.getStatus(),
+    });
+  } catch (error) {
+    console.error('Error fetching job status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch job status',
+    });
+  }
+});
+
+/**
+ * List Jobs, newest first
+ * GET /api/jobs?name=meeting.reconcile&status=failed&limit=50&skip=0
+ */
+router.get('/', auth, requirePermission('system:monitor'), async (req, res) => {
+  try {
+    const { name, status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const skip = parseInt(req.query.skip, 10) || 0;
+
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of ${JOB_STATUSES.join(', ')}`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await jobService.listJobs({ name, status, limit, skip }),
+    });
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch jobs',
+    });
+  }
+});
+
+/**
+ * Get Job with its attempt history
+ * GET /api/jobs/:id
+ */
+router.get('/:id', auth, requirePermission('system:monitor'), async (req, res) => {
+  try {
+    const job = await jobService.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job,
+    });
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch job',
+    });
+  }
+});
+
+/**
+ * Retry Job
+ * POST /api/jobs/:id/retry
+ * Runs a failed or cancelled job again with fresh attempts, or a queued job now
+ */
+router.post('/:id/retry', auth, requirePermission('system:manage'), async (req, res) => {
+  try {
+    const existing = await jobService.getJob(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+      });
+    }
+
+    const job = await jobService.retryJob(req.params.id);
+    if (!job) {
+      return res.status(409).json({
+        success: false,
+        error: `A ${existing.status} job cannot be retried`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job,
+    });
+  } catch (error) {
+    console.error('Error retrying job:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to retry job',
+    });
+  }
+});
+
+/**
+ * Cancel Job
+ * POST /api/jobs/:id/cancel
+ * Only jobs that have not started can be cancelled
+ */
+router.post('/:id/cancel', auth, requirePermission('system:manage'), async (req, res) => {
+  try {
+    const existing = await jobService.getJob(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+      });
+    }
+
+    if (!(await jobService.cancelJob(req.params.id))) {
+      return res.status(409).json({
+        success: false,
+        error: `A ${existing.status} job cannot be cancelled`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await jobService.getJob(req.params.id),
+    });
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel job',
+    });
+  }
+});
+
+module.exports = router;
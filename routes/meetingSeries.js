@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const meetingSeriesService = require('../services/meetingSeriesService');
+const { auth, requirePermission } = require('../middleware/auth');
+
+const meetingParam = req => req.params.meetingId;
+
+/**
+ * Attendance records of one occurrence
+ * GET /api/meeting-series/occurrences/:meetingUuid/attendance
+ */
+router.get('/occurrences/:meetingUuid/attendance', auth, requirePermission('attendance:read', { meeting: req => req.params.meetingUuid }), async (req, res) => {
+  try {
+    const result = await meetingSeriesService.getOccurrenceAttendance(req.params.meetingUuid);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Occurrence not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error fetching occurrence attendance:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch occurrence attendance',
+    });
+  }
+});
+
+/**
+ * List the occurrences of a meeting
+ * GET /api/meeting-series/:meetingId/occurrences
+ */
+router.get('/:meetingId/occurrences', auth, requirePermission('meetings:read', { meeting: meetingParam }), async (req, res) => {
+  try {
+    const occurrences = await meetingSeriesService.getOccurrences(req.params.meetingId);
+
+    if (occurrences.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Meeting not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: occurrences,
+    });
+  } catch (error) {
+    console.error('Error fetching meeting occurrences:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch meeting occurrences',
+    });
+  }
+});
+
+/**
+ * Attendance per student across every occurrence of a meeting
+ * GET /api/meeting-series/:meetingId/attendance?studentId=
+ */
+router.get('/:meetingId/attendance', auth, requirePermission('attendance:read', { meeting: meetingParam }), async (req, res) => {
+  try {
+    const { studentId } = req.query;
+
+    if (studentId !== undefined && isNaN(Number(studentId))) {
+      return res.status(400).json({
+        success: false,
+        error: 'studentId must be a number',
+      });
+    }
+
+    const series = await meetingSeriesService.getSeriesAttendance(req.params.meetingId, {
+      studentId: studentId !== undefined ? Number(studentId) : null,
+    });
+
+    if (series.occurrences.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No occurrences of this meeting have taken place',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: series,
+    });
+  } catch (error) {
+    console.error('Error aggregating series attendance:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to aggregate series attendance',
+    });
+  }
+});
+
+module.exports = router;
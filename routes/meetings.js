@@ -4,6 +4,12 @@ const moment = require('moment');
 const ZoomMeeting = require('../models/ZoomMeeting');
 const ZoomAttendance = require('../models/ZoomAttendance');
 const mongoose = require('mongoose');
+const accessControlService = require('../services/accessControlService');
+const attendancePolicyService = require('../services/attendancePolicyService');
+const { evaluateAttendance, getScheduledWindow } = require('../utils/attendancePolicyEngine');
+const { auth, requirePermission } = require('../middleware/auth');
+
+const meetingParam = req => req.params.id;
 
 // Helper function to generate unique meeting ID
 const generateMeetingId = () => {
@@ -33,11 +39,12 @@ const calculateDuration = (start, end) => {
 };
 
 // GET /api/meetings - Get all meetings
-router.get('/', async (req, res) => {
+router.get('/', auth, requirePermission('meetings:read'), async (req, res) => {
   try {
     const { status, type } = req.query;
     
-    let query = {};
+    // Instructors and assistants only see meetings of their own courses
+    let query = await accessControlService.meetingFilter(req.user, 'meetings:read');
     
     // Filter by status if provided
     if (status) {
@@ -89,7 +96,7 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/meetings/:id - Get a specific meeting
-router.get('/:id', async (req, res) => {
+router.get('/:id', auth, requirePermission('meetings:read', { meeting: meetingParam }), async (req, res) => {
   try {
     const meetingId = req.params.id;
     
@@ -145,7 +152,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/meetings - Create a new meeting
-router.post('/', async (req, res) => {
+router.post('/', auth, requirePermission('meetings:write'), async (req, res) => {
   try {
     const {
       title,
@@ -186,6 +193,7 @@ router.post('/', async (req, res) => {
       hostEmail: organizer || 'system@example.com',
       type: 2, // Scheduled meeting
       status: 'waiting',
+      owner: req.user._id,
       startTime: new Date(startTime),
       endTime: new Date(endTime),
       duration: durationInMinutes,
@@ -253,7 +261,7 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/meetings/:id - Update a meeting
-router.put('/:id', async (req, res) => {
+router.put('/:id', auth, requirePermission('meetings:write', { meeting: meetingParam }), async (req, res) => {
   try {
     const meetingId = req.params.id;
     
@@ -362,7 +370,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /api/meetings/:id - Delete a meeting
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', auth, requirePermission('meetings:delete', { meeting: meetingParam }), async (req, res) => {
   try {
     const meetingId = req.params.id;
     
@@ -416,7 +424,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // GET /api/meetings/:id/participants - Get participants for a specific meeting
-router.get('/:id/participants', async (req, res) => {
+router.get('/:id/participants', auth, requirePermission('attendance:read', { meeting: meetingParam }), async (req, res) => {
   try {
     const meetingId = req.params.id;
     
@@ -445,6 +453,9 @@ router.get('/:id/participants', async (req, res) => {
       1 // Minimum 1 minute to avoid division by zero
     );
     
+    const policy = await attendancePolicyService.resolveForMeeting(meeting);
+    const scheduledWindow = getScheduledWindow(meeting);
+
     // Get attendance data using the meeting ID
     let participants = [];
     let attendanceStats = {
@@ -452,6 +463,7 @@ router.get('/:id/participants', async (req, res) => {
       present: 0,
       partial: 0,
       late: 0,
+      leftEarly: 0,
       absent: 0,
       inProgress: 0
     };
@@ -481,17 +493,15 @@ router.get('/:id/participants', async (req, res) => {
             ? Math.min(Math.round((participantDuration / totalMeetingDuration) * 100), 100)
             : 0;
           
-          // Determine attendance status based on percentage and activity
-          let attendanceStatus = 'Absent';
-          if (isActive && participantDuration > 0) {
-            attendanceStatus = 'In Progress';
-          } else if (attendancePercentage >= 90) {
-            attendanceStatus = 'Present';
-          } else if (attendancePercentage >= 70) {
-            attendanceStatus = 'Partial';
-          } else if (attendancePercentage >= 30) {
-            attendanceStatus = 'Late';
-          }
+          // Determine attendance status under the meeting's policy
+          const { status: attendanceStatus } = evaluateAttendance(policy, {
+            attendedMinutes: participantDuration,
+            attendancePercentage,
+            isActive: isActive && participantDuration > 0,
+            joinTime,
+            leaveTime,
+            ...scheduledWindow
+          });
           
           return {
             id: participant._id,
@@ -526,6 +536,7 @@ router.get('/:id/participants', async (req, res) => {
           present: participants.filter(p => p.attendanceStatus === 'Present').length,
           partial: participants.filter(p => p.attendanceStatus === 'Partial').length,
           late: participants.filter(p => p.attendanceStatus === 'Late').length,
+          leftEarly: participants.filter(p => p.attendanceStatus === 'Left Early').length,
           absent: participants.filter(p => p.attendanceStatus === 'Absent').length,
           inProgress: participants.filter(p => p.attendanceStatus === 'In Progress').length
         };
@@ -557,16 +568,17 @@ router.get('/:id/participants', async (req, res) => {
 });
 
 // GET /api/meetings/stats/analytics - Get meeting analytics
-router.get('/stats/analytics', async (req, res) => {
+router.get('/stats/analytics', auth, requirePermission('meetings:read'), async (req, res) => {
   try {
-    const totalMeetings = await ZoomMeeting.countDocuments();
-    const completedMeetings = await ZoomMeeting.countDocuments({ status: 'ended' });
-    const scheduledMeetings = await ZoomMeeting.countDocuments({ status: 'waiting' });
-    const inProgress = await ZoomMeeting.countDocuments({ status: 'started' });
+    const scope = await accessControlService.meetingFilter(req.user, 'meetings:read');
+    const totalMeetings = await ZoomMeeting.countDocuments(scope);
+    const completedMeetings = await ZoomMeeting.countDocuments({ ...scope, status: 'ended' });
+    const scheduledMeetings = await ZoomMeeting.countDocuments({ ...scope, status: 'waiting' });
+    const inProgress = await ZoomMeeting.countDocuments({ ...scope, status: 'started' });
     
     // Calculate average attendance from completed meetings
     const avgAttendanceResult = await ZoomMeeting.aggregate([
-      { $match: { status: 'ended' } },
+      { $match: { ...scope, status: 'ended' } },
       {
         $group: {
           _id: null,
@@ -580,13 +592,14 @@ router.get('/stats/analytics', async (req, res) => {
       : 0;
     
     // Get recent meetings
-    const recentMeetings = await ZoomMeeting.find()
+    const recentMeetings = await ZoomMeeting.find(scope)
       .sort({ createdAt: -1 })
       .limit(5)
       .lean();
     
     // Get upcoming meetings
     const upcomingMeetings = await ZoomMeeting.find({
+      ...scope,
       status: 'waiting',
       startTime: { $gt: new Date() }
     })
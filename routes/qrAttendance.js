@@ -3,14 +3,52 @@ const router = express.Router();
 const QRCode = require('qrcode');
 const { v4: uuidv4 } = require('uuid');
 const QRAttendance = require('../models/QRAttendance');
+const QRSession = require('../models/QRSession');
+const QRTokenUse = require('../models/QRTokenUse');
+const Venue = require('../models/Venue');
+const ZoomMeeting = require('../models/ZoomMeeting');
+const hybridVerificationService = require('../services/hybridVerificationService');
+const studentLinkService = require('../services/studentLinkService');
+const { auth, optionalAuth, requirePermission } = require('../middleware/auth');
+const {
+  getRotationSeconds,
+  isLegacyQRAllowed,
+  createSignedQRPayload,
+  validateQRCode,
+  buildTokenUse,
+} = require('../utils/qrCodeValidator');
+
+const sessionParam = req => req.params.sessionId;
+
+/**
+ * Build the scan URL and QR image for a signed payload
+ */
+async function renderSignedQRCode(payload, options = {}) {
+  const qrCodeString = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/qr-scan?data=${encodeURIComponent(JSON.stringify(payload))}`;
+
+  const qrCodeOptions = {
+    width: options.width || 300,
+    margin: options.margin || 2,
+    color: {
+      dark: options.darkColor || '#000000',
+      light: options.lightColor || '#FFFFFF',
+    },
+  };
+
+  const qrCodeDataURL = await QRCode.toDataURL(qrCodeString, qrCodeOptions);
+
+  return { qrCodeString, qrCodeDataURL };
+}
 
 /**
  * Generate QR Code for Attendance Session
  * POST /api/qr-attendance/generate
  */
-router.post('/generate', async (req, res) => {
+router.post('/generate', auth, requirePermission('attendance:write', { meeting: req => req.body.meetingId }), async (req, res) => {
   try {
-    const { sessionTitle, validUntil, options = {} } = req.body;
+    const { sessionTitle, validUntil, rotationSeconds, venueId, meetingId, options = {} } = req.body;
+    // The session belongs to whoever generated it; restricted scopes only manage their own
+    const issuedBy = { userId: req.user._id.toString(), username: req.user.username };
 
     if (!sessionTitle) {
       return res.status(400).json({
@@ -19,33 +57,55 @@ router.post('/generate', async (req, res) => {
       });
     }
 
+    let venue = null;
+    if (venueId) {
+      venue = await Venue.findOne({ _id: venueId, isActive: true });
+      if (!venue) {
+        return res.status(404).json({
+          success: false,
+          error: 'Venue not found',
+        });
+      }
+    }
+
+    const meeting = meetingId
+      ? await ZoomMeeting.findOccurrence(String(meetingId)).select('meetingId')
+      : null;
+    if (meetingId && !meeting) {
+      return res.status(404).json({
+        success: false,
+        error: 'Meeting not found',
+      });
+    }
+
     // Generate unique session ID and QR code ID
     const sessionId = uuidv4();
     const qrCodeId = uuidv4();
 
-    // Create the QR code data
-    const qrData = {
-      type: 'attendance',
+    const session = new QRSession({
       sessionId,
       qrCodeId,
       sessionTitle,
-      timestamp: new Date().toISOString(),
-      validUntil: validUntil || new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(), // 24 hours default
-    };
+      validUntil: validUntil ? new Date(validUntil) : new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours default
+      rotationSeconds: parseInt(rotationSeconds, 10) || getRotationSeconds(),
+      venue: venue ? venue._id : undefined,
+      meetingId: meeting ? meeting.meetingId : undefined,
+      createdBy: issuedBy,
+    });
 
-    // Generate QR code
-    const qrCodeString = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/qr-scan?data=${encodeURIComponent(JSON.stringify(qrData))}`;
-    
-    const qrCodeOptions = {
-      width: options.width || 300,
-      margin: options.margin || 2,
-      color: {
-        dark: options.darkColor || '#000000',
-        light: options.lightColor || '#FFFFFF',
-      },
-    };
+    await session.save();
+
+    // Create the signed QR code data for the current rotation window
+    const { payload, refreshAt } = createSignedQRPayload({
+      sessionId,
+      qrCodeId,
+      sessionTitle,
+      validUntil: session.validUntil,
+      rotationSeconds: session.rotationSeconds,
+      issuedBy,
+    });
 
-    const qrCodeDataURL = await QRCode.toDataURL(qrCodeString, qrCodeOptions);
+    const { qrCodeString, qrCodeDataURL } = await renderSignedQRCode(payload, options);
 
     res.json({
       success: true,
@@ -55,8 +115,12 @@ router.post('/generate', async (req, res) => {
         sessionTitle,
         qrCodeDataURL,
         qrCodeString,
-        validUntil: qrData.validUntil,
-        scanUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/qr-scan?data=${encodeURIComponent(JSON.stringify(qrData))}`,
+        validUntil: payload.validUntil,
+        rotationSeconds: session.rotationSeconds,
+        refreshAt,
+        scanUrl: qrCodeString,
+        venue: venue ? { id: venue._id, name: venue.name } : null,
+        meetingId: session.meetingId || null,
       },
     });
   } catch (error) {
@@ -68,16 +132,125 @@ router.post('/generate', async (req, res) => {
   }
 });
 
+/**
+ * Get the currently valid rotating QR code for a session
+ * GET /api/qr-attendance/session/:sessionId/code
+ */
+router.get('/session/:sessionId/code', auth, requirePermission('attendance:write', { qrSession: sessionParam }), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { width, margin, darkColor, lightColor } = req.query;
+
+    const session = await QRSession.findOne({ sessionId });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'QR session not found',
+      });
+    }
+
+    if (!session.isOpen()) {
+      return res.status(410).json({
+        success: false,
+        error: 'QR session has ended',
+      });
+    }
+
+    const { payload, refreshAt } = createSignedQRPayload({
+      sessionId: session.sessionId,
+      qrCodeId: session.qrCodeId,
+      sessionTitle: session.sessionTitle,
+      validUntil: session.validUntil,
+      rotationSeconds: session.rotationSeconds,
+      issuedBy: session.createdBy,
+    });
+
+    const { qrCodeString, qrCodeDataURL } = await renderSignedQRCode(payload, {
+      width: parseInt(width, 10) || undefined,
+      margin: parseInt(margin, 10) || undefined,
+      darkColor,
+      lightColor,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        sessionId: session.sessionId,
+        qrCodeId: session.qrCodeId,
+        sessionTitle: session.sessionTitle,
+        qrCodeDataURL,
+        qrCodeString,
+        validUntil: payload.validUntil,
+        rotationSeconds: session.rotationSeconds,
+        refreshAt,
+        scanUrl: qrCodeString,
+      },
+    });
+  } catch (error) {
+    console.error('Error rotating QR code:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate QR code',
+    });
+  }
+});
+
+/**
+ * Count a scan towards the hybrid record of the signed-in student
+ * @returns {Promise<Object|null>} - collect() result, or null when the scan doesn't feed one
+ */
+async function collectHybridFactors({ session, user, qrValidationResult, geofence }) {
+  if (!session?.meetingId || !user) return null;
+
+  const student = await studentLinkService.findStudentForUser(user);
+  if (!student) return null;
+
+  const meeting = await ZoomMeeting.findOccurrence(session.meetingId)
+    .select('meetingId meetingUuid verificationPolicy')
+    .lean();
+  if (!meeting) return null;
+
+  const geofenceAccepted = geofence?.action === 'accepted';
+  return hybridVerificationService.collect({
+    meeting,
+    studentId: student.StudentID,
+    factors: [
+      { factor: 'qr_scan', detail: qrValidationResult.extractedData.qrCodeId },
+      ...(geofenceAccepted ? [{ factor: 'geofence', detail: geofence.venueName }] : []),
+    ],
+    user,
+    attendanceData: geofence ? {
+      locationVerification: {
+        method: 'geofence',
+        status: geofenceAccepted ? 'verified' : 'pending',
+        geofence,
+        verifiedAt: new Date(),
+      },
+    } : {},
+  });
+}
+
 /**
  * Record Attendance from QR Scan
  * POST /api/qr-attendance/record
+ *
+ * Expects the signed payload decoded from the scanned QR code in `qrData`.
+ * Bare sessionId/qrCodeId/sessionTitle fields are only accepted while
+ * QR_ALLOW_LEGACY_CHECKSUM is enabled.
+ *
+ * When the session belongs to a meeting with a verification policy, a signed-in
+ * student's scan also counts towards their hybrid record as the qr_scan factor
+ * (and geofence, when the scan was inside the venue).
  */
-router.post('/record', async (req, res) => {
+// Open to guests: the signed, rotating QR code is the credential
+router.post('/record', optionalAuth, async (req, res) => {
+  // Set once this scan has claimed its QR code; given back if recording fails
+  let claimedTokenUse = null;
+
   try {
     const {
-      sessionId,
-      qrCodeId,
-      sessionTitle,
+      qrData,
       name,
       email,
       phoneNumber,
@@ -88,6 +261,54 @@ router.post('/record', async (req, res) => {
       deviceInfo,
     } = req.body;
 
+    let { sessionId, qrCodeId, sessionTitle } = req.body;
+    let qrValidationResult = null;
+    let session = null;
+    let venue = null;
+
+    if (qrData) {
+      let parsedQRData = qrData;
+      if (typeof qrData === 'string') {
+        try {
+          parsedQRData = JSON.parse(qrData);
+        } catch (parseError) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid QR code data',
+          });
+        }
+      }
+
+      qrValidationResult = validateQRCode(parsedQRData);
+
+      if (!qrValidationResult.isValid || !qrValidationResult.extractedData.isSigned) {
+        return res.status(400).json({
+          success: false,
+          error: qrValidationResult.isValid ? 'Invalid QR code: signed code required' : qrValidationResult.message,
+        });
+      }
+
+      ({ sessionId, qrCodeId, sessionTitle } = qrValidationResult.extractedData);
+
+      session = await QRSession.findOne({ sessionId });
+      if (!session || !session.isOpen() || session.qrCodeId !== qrCodeId) {
+        return res.status(410).json({
+          success: false,
+          error: 'QR session is no longer accepting attendance',
+        });
+      }
+      sessionTitle = session.sessionTitle;
+
+      if (session.venue) {
+        venue = await Venue.findById(session.venue);
+      }
+    } else if (!isLegacyQRAllowed()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: qrData',
+      });
+    }
+
     // Validate required fields
     if (!sessionId || !qrCodeId || !sessionTitle || !name || !email) {
       return res.status(400).json({
@@ -96,6 +317,31 @@ router.post('/record', async (req, res) => {
       });
     }
 
+    // Check the scan against the session venue geofence
+    let geofence = null;
+    if (venue) {
+      if (typeof location?.latitude !== 'number' || typeof location?.longitude !== 'number') {
+        return res.status(400).json({
+          success: false,
+          error: `Location is required to record attendance at ${venue.name}`,
+        });
+      }
+
+      geofence = venue.evaluateLocation({
+        lat: location.latitude,
+        lng: location.longitude,
+        accuracy: location.accuracy,
+      });
+
+      if (geofence.action === 'rejected') {
+        return res.status(403).json({
+          success: false,
+          error: geofence.message,
+          geofence,
+        });
+      }
+    }
+
     // Get client IP and user agent
     const ipAddress = req.ip || req.connection.remoteAddress;
     const userAgent = req.headers['user-agent'];
@@ -114,6 +360,17 @@ router.post('/record', async (req, res) => {
       });
     }
 
+    if (qrValidationResult) {
+      const tokenUse = buildTokenUse(qrValidationResult, email.toLowerCase().trim());
+      if (!await QRTokenUse.consume(tokenUse)) {
+        return res.status(409).json({
+          success: false,
+          error: 'This QR code has already been used',
+        });
+      }
+      claimedTokenUse = tokenUse;
+    }
+
     // Create new attendance record
     const attendanceRecord = new QRAttendance({
       sessionId,
@@ -129,18 +386,27 @@ router.post('/record', async (req, res) => {
       userAgent,
       location,
       deviceInfo,
+      geofence: geofence || undefined,
       scannedAt: new Date(),
     });
 
     await attendanceRecord.save();
 
+    const hybrid = await collectHybridFactors({ session, user: req.user, qrValidationResult, geofence });
+
     res.status(201).json({
       success: true,
       message: 'Attendance recorded successfully',
       data: attendanceRecord,
+      ...(hybrid && { verification: hybrid.verification }),
     });
   } catch (error) {
     console.error('Error recording attendance:', error);
+    if (claimedTokenUse) {
+      await QRTokenUse.release(claimedTokenUse).catch(releaseError => {
+        console.warn('Could not release QR code claim:', releaseError.message);
+      });
+    }
     
     if (error.code === 11000) {
       return res.status(409).json({
@@ -160,7 +426,7 @@ router.post('/record', async (req, res) => {
  * Get Attendance Records for a Session
  * GET /api/qr-attendance/session/:sessionId
  */
-router.get('/session/:sessionId', async (req, res) => {
+router.get('/session/:sessionId', auth, requirePermission('attendance:read', { qrSession: sessionParam }), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { page = 1, limit = 50, sort = '-scannedAt' } = req.query;
@@ -197,11 +463,16 @@ router.get('/session/:sessionId', async (req, res) => {
  * Get All Attendance Sessions
  * GET /api/qr-attendance/sessions
  */
-router.get('/sessions', async (req, res) => {
+router.get('/sessions', auth, requirePermission('attendance:read'), async (req, res) => {
   try {
     const { page = 1, limit = 20 } = req.query;
 
+    const scope = req.permissionScope === 'all'
+      ? {}
+      : { sessionId: { $in: await QRSession.distinct('sessionId', { 'createdBy.userId': req.user._id.toString() }) } };
+
     const sessions = await QRAttendance.aggregate([
+      { $match: scope },
       {
         $group: {
           _id: '$sessionId',
@@ -223,7 +494,7 @@ router.get('/sessions', async (req, res) => {
       },
     ]);
 
-    const totalSessions = await QRAttendance.distinct('sessionId').then(ids => ids.length);
+    const totalSessions = await QRAttendance.distinct('sessionId', scope).then(ids => ids.length);
 
     res.json({
       success: true,
@@ -247,7 +518,7 @@ router.get('/sessions', async (req, res) => {
  * Delete Attendance Session
  * DELETE /api/qr-attendance/session/:sessionId
  */
-router.delete('/session/:sessionId', async (req, res) => {
+router.delete('/session/:sessionId', auth, requirePermission('attendance:delete', { qrSession: sessionParam }), async (req, res) => {
   try {
     const { sessionId } = req.params;
 
@@ -271,7 +542,7 @@ router.delete('/session/:sessionId', async (req, res) => {
  * Export Attendance Records as CSV
  * GET /api/qr-attendance/export/:sessionId
  */
-router.get('/export/:sessionId', async (req, res) => {
+router.get('/export/:sessionId', auth, requirePermission('attendance:export', { qrSession: sessionParam }), async (req, res) => {
   try {
     const { sessionId } = req.params;
 
@@ -321,7 +592,7 @@ router.get('/export/:sessionId', async (req, res) => {
  * Get Attendance Statistics
  * GET /api/qr-attendance/stats/:sessionId
  */
-router.get('/stats/:sessionId', async (req, res) => {
+router.get('/stats/:sessionId', auth, requirePermission('attendance:read', { qrSession: sessionParam }), async (req, res) => {
   try {
     const { sessionId } = req.params;
 
@@ -1,5 +1,9 @@
 const express = require('express');
 const router = express.Router();
+const { auth, requirePermission } = require('../middleware/auth');
+
+// Test endpoints are for administrators only
+router.use(auth, requirePermission('system:manage'));
 
 /**
  * QR Token Extraction Test API Routes
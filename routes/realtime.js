@@ -1,6 +1,7 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const moment = require('moment');
+const { isAttendedStatus } = require('../utils/attendancePolicyEngine');
 
 const router = express.Router();
 
@@ -114,7 +115,7 @@ router.get('/meeting/:meetingId', (req, res) => {
       totalParticipants: participants.length,
       activeParticipants: participants.filter(p => p.isActive).length,
       attendanceRate: participants.length > 0 
-        ? Math.round((participants.filter(p => p.attendancePercentage >= 75).length / participants.length) * 100)
+        ? Math.round((participants.filter(p => isAttendedStatus(p.attendanceStatus)).length / participants.length) * 100)
         : 0,
       averageAttendance: participants.length > 0
         ? Math.round(participants.reduce((sum, p) => sum + (p.attendancePercentage || 0), 0) / participants.length)
@@ -395,7 +396,7 @@ router.get('/analytics/:meetingId', (req, res) => {
       leftEarlyCount: participants.filter(p => p.attendanceStatus === 'Left Early').length,
       absentCount: participants.filter(p => p.attendanceStatus === 'Absent').length,
       attendanceRate: participants.length > 0 
-        ? Math.round((participants.filter(p => p.attendancePercentage >= 75).length / participants.length) * 100)
+        ? Math.round((participants.filter(p => isAttendedStatus(p.attendanceStatus)).length / participants.length) * 100)
         : 0,
       averageAttendance: participants.length > 0
         ? Math.round(participants.reduce((sum, p) => sum + (p.attendancePercentage || 0), 0) / participants.length)
@@ -0,0 +1,191 @@
+const express = require('express');
+const router = express.Router();
+const StudentField = require('../models/StudentField');
+const studentFieldService = require('../services/studentFieldService');
+const { auth, requirePermission } = require('../middleware/auth');
+
+// The key is fixed once created: stored values live under it
+const FIELD_FIELDS = ['label', 'type', 'options', 'required', 'departments', 'order', 'isActive'];
+
+// Copy only editable field definition properties from the request body
+function pickFieldFields(body) {
+  return FIELD_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+    return fields;
+  }, {});
+}
+
+// A select field needs something to select
+function optionsError(field) {
+  return field.type === 'select' && (!field.options || field.options.length === 0)
+    ? 'A select field needs at least one option'
+    : null;
+}
+
+/**
+ * List Custom Student Fields
+ * GET /api/student-fields?department=&includeInactive=true
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const { department, includeInactive } = req.query;
+    const query = includeInactive === 'true' ? {} : { isActive: true };
+    if (department) {
+      query.$or = [{ departments: { $size: 0 } }, { departments: department }];
+    }
+
+    const fields = await StudentField.find(query).sort({ order: 1, key: 1 }).select('-__v');
+
+    res.json({
+      success: true,
+      data: fields,
+    });
+  } catch (error) {
+    console.error('Error fetching student fields:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch student fields',
+    });
+  }
+});
+
+/**
+ * Create Custom Student Field
+ * POST /api/student-fields
+ * Body: { key, label, type?: string|number|boolean|date|select, options?, required?, departments?, order? }
+ */
+router.post('/', auth, requirePermission('students:write'), async (req, res) => {
+  try {
+    const fields = { ...pickFieldFields(req.body), key: req.body.key };
+
+    const invalid = optionsError(fields);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid,
+      });
+    }
+
+    const field = await StudentField.create(fields);
+    studentFieldService.invalidate();
+
+    res.status(201).json({
+      success: true,
+      message: 'Student field created successfully',
+      data: field,
+    });
+  } catch (error) {
+    console.error('Error creating student field:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'A student field with this key already exists',
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create student field',
+    });
+  }
+});
+
+/**
+ * Update Custom Student Field
+ * PATCH /api/student-fields/:fieldId
+ * Body: any of { label, type, options, required, departments, order, isActive }
+ * Values already stored on students are not converted; they are re-checked on the next save.
+ */
+router.patch('/:fieldId', auth, requirePermission('students:write'), async (req, res) => {
+  try {
+    const field = await StudentField.findById(req.params.fieldId);
+
+    if (!field) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student field not found',
+      });
+    }
+
+    field.set(pickFieldFields(req.body));
+
+    const invalid = optionsError(field);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid,
+      });
+    }
+
+    await field.save();
+    studentFieldService.invalidate();
+
+    res.json({
+      success: true,
+      message: 'Student field updated successfully',
+      data: field,
+    });
+  } catch (error) {
+    console.error('Error updating student field:', error);
+
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update student field',
+    });
+  }
+});
+
+/**
+ * Retire Custom Student Field
+ * DELETE /api/student-fields/:fieldId
+ * The field is deactivated rather than deleted so stored values keep their meaning.
+ */
+router.delete('/:fieldId', auth, requirePermission('students:write'), async (req, res) => {
+  try {
+    const field = await StudentField.findByIdAndUpdate(
+      req.params.fieldId,
+      { $set: { isActive: false } },
+      { new: true }
+    );
+
+    if (!field) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student field not found',
+      });
+    }
+
+    studentFieldService.invalidate();
+
+    res.json({
+      success: true,
+      message: 'Student field deactivated successfully',
+      data: field,
+    });
+  } catch (error) {
+    console.error('Error deactivating student field:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to deactivate student field',
+    });
+  }
+});
+
+module.exports = router;
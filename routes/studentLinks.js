@@ -0,0 +1,303 @@
+const express = require('express');
+const router = express.Router();
+const Student = require('../models/Student');
+const StudentLinkRequest = require('../models/StudentLinkRequest');
+const studentLinkService = require('../services/studentLinkService');
+const { auth, requirePermission } = require('../middleware/auth');
+
+// Send a failed service result
+function sendResultError(res, result) {
+  res.status(result.statusCode || 500).json({
+    success: false,
+    error: result.error,
+  });
+}
+
+/**
+ * Current user's link and open claim
+ * GET /api/student-links/me
+ */
+router.get('/me', auth, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await studentLinkService.status(req.user),
+    });
+  } catch (error) {
+    console.error('Error fetching student link:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch student link',
+    });
+  }
+});
+
+/**
+ * Claim a student record; email_code sends a code to the student's email on file
+ * POST /api/student-links
+ * Body: { studentId, method: email_code|admin_approval, message? }
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    const { studentId, method, message } = req.body;
+
+    if (studentId === undefined || studentId === null || studentId === '') {
+      return res.status(400).json({
+        success: false,
+        error: 'studentId is required',
+      });
+    }
+
+    const result = await studentLinkService.requestLink({
+      user: req.user,
+      studentId,
+      method,
+      message,
+    });
+
+    if (!result.success) {
+      return sendResultError(res, result);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: result.request.method === 'email_code'
+        ? `Verification code sent to ${result.request.sentTo}`
+        : 'Link request submitted for approval',
+      data: result.request,
+    });
+  } catch (error) {
+    console.error('Error requesting student link:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to request student link',
+    });
+  }
+});
+
+/**
+ * List link requests with the claimed student and the claiming account
+ * GET /api/student-links?status=pending&method=&page=&limit=
+ */
+router.get('/', auth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { status, method } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const query = {};
+    if (status) query.status = status;
+    if (method) query.method = method;
+
+    const [requests, total] = await Promise.all([
+      StudentLinkRequest.find(query)
+        .populate('user', 'username email role')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-codeHash -__v')
+        .lean(),
+      StudentLinkRequest.countDocuments(query),
+    ]);
+
+    const students = await Student.find({ StudentID: { $in: requests.map(request => request.studentId) } })
+      .select('StudentID FirstName LastName Email Department')
+      .lean();
+    const studentsById = new Map(students.map(student => [student.StudentID, student]));
+
+    res.json({
+      success: true,
+      data: requests.map(request => ({ ...request, student: studentsById.get(request.studentId) || null })),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    console.error('Error fetching student link requests:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch link requests',
+    });
+  }
+});
+
+/**
+ * Confirm an email_code claim
+ * POST /api/student-links/:requestId/verify
+ * Body: { code }
+ */
+router.post('/:requestId/verify', auth, async (req, res) => {
+  try {
+    const result = await studentLinkService.verifyCode({
+      user: req.user,
+      requestId: req.params.requestId,
+      code: req.body.code,
+    });
+
+    if (!result.success) {
+      return sendResultError(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: 'Student record linked',
+      data: { request: result.request, studentId: result.user.studentId },
+    });
+  } catch (error) {
+    console.error('Error verifying student link:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify student link',
+    });
+  }
+});
+
+/**
+ * Cancel the user's own pending claim
+ * POST /api/student-links/:requestId/cancel
+ */
+router.post('/:requestId/cancel', auth, async (req, res) => {
+  try {
+    const result = await studentLinkService.cancel({ user: req.user, requestId: req.params.requestId });
+
+    if (!result.success) {
+      return sendResultError(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: 'Link request cancelled',
+      data: result.request,
+    });
+  } catch (error) {
+    console.error('Error cancelling student link:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel link request',
+    });
+  }
+});
+
+/**
+ * Approve a claim; the account is linked to the student record
+ * POST /api/student-links/:requestId/approve
+ * Body: { note }
+ */
+router.post('/:requestId/approve', auth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const result = await studentLinkService.decide(req.params.requestId, {
+      approve: true,
+      note: req.body.note,
+      user: req.user,
+    });
+
+    if (!result.success) {
+      return sendResultError(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: 'Link request approved',
+      data: result.request,
+    });
+  } catch (error) {
+    console.error('Error approving student link:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to approve link request',
+    });
+  }
+});
+
+/**
+ * Reject a claim
+ * POST /api/student-links/:requestId/reject
+ * Body: { note }
+ */
+router.post('/:requestId/reject', auth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const result = await studentLinkService.decide(req.params.requestId, {
+      approve: false,
+      note: req.body.note,
+      user: req.user,
+    });
+
+    if (!result.success) {
+      return sendResultError(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: 'Link request rejected',
+      data: result.request,
+    });
+  } catch (error) {
+    console.error('Error rejecting student link:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reject link request',
+    });
+  }
+});
+
+/**
+ * Link an account to a student record directly
+ * PUT /api/student-links/users/:userId
+ * Body: { studentId }
+ */
+router.put('/users/:userId', auth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { studentId } = req.body;
+
+    if (studentId === undefined || studentId === null || isNaN(Number(studentId))) {
+      return res.status(400).json({
+        success: false,
+        error: 'studentId must be a number',
+      });
+    }
+
+    const result = await studentLinkService.link(req.params.userId, studentId, { method: 'admin', by: req.user._id });
+
+    if (!result.success) {
+      return sendResultError(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: 'Student record linked',
+      data: result.user,
+    });
+  } catch (error) {
+    console.error('Error linking student record:', error);
+    res.status(error.name === 'CastError' ? 400 : 500).json({
+      success: false,
+      error: error.name === 'CastError' ? 'Invalid user ID' : 'Failed to link student record',
+    });
+  }
+});
+
+/**
+ * Remove an account's student link
+ * DELETE /api/student-links/users/:userId
+ */
+router.delete('/users/:userId', auth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const result = await studentLinkService.unlink(req.params.userId);
+
+    if (!result.success) {
+      return sendResultError(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: 'Student link removed',
+      data: result.user,
+    });
+  } catch (error) {
+    console.error('Error unlinking student record:', error);
+    res.status(error.name === 'CastError' ? 400 : 500).json({
+      success: false,
+      error: error.name === 'CastError' ? 'Invalid user ID' : 'Failed to remove student link',
+    });
+  }
+});
+
+module.exports = router;
@@ -180,7 +180,7 @@ router.post('/leave', extractToken, async (req, res) => {
 router.get('/meeting/:meetingId', async (req, res) => {
   try {
     const { meetingId } = req.params;
-    const { threshold = 85, includeAll = false } = req.query;
+    const { threshold, includeAll = false } = req.query;
 
     if (!meetingId) {
       return res.status(400).json({
@@ -1,14 +1,14 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const TokenDebugger = require('../utils/tokenDebugger');
-const { auth } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
 // ===========================
 // TOKEN DEBUGGING ENDPOINT
 // ===========================
-router.post('/debug', async (req, res) => {
+router.post('/debug', auth, requirePermission('system:manage'), async (req, res) => {
   try {
     const { token } = req.body;
     
@@ -43,7 +43,7 @@ router.post('/debug', async (req, res) => {
 // ===========================
 // TEST TOKEN CREATION
 // ===========================
-router.post('/create-test-token', async (req, res) => {
+router.post('/create-test-token', auth, requirePermission('system:manage'), async (req, res) => {
   try {
     const testPayload = {
       userId: '507f1f77bcf86cd799439011', // Test MongoDB ObjectId
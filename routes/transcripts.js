@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+const transcriptService = require('../services/transcriptService');
+const { auth, requirePermission } = require('../middleware/auth');
+
+/**
+ * Student attendance transcript merged from every attendance source
+ * GET /api/transcripts/students/:studentId?from=&to=&format=json|csv|pdf
+ */
+router.get('/students/:studentId', auth, requirePermission('attendance:read', { student: req => req.params.studentId }), async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    const { from, to, format = 'json' } = req.query;
+
+    if (isNaN(Number(studentId))) {
+      return res.status(400).json({
+        success: false,
+        error: 'studentId must be a number',
+      });
+    }
+
+    if ((from && isNaN(new Date(from).getTime())) || (to && isNaN(new Date(to).getTime()))) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be valid dates',
+      });
+    }
+
+    if (!['json', 'csv', 'pdf'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'format must be json, csv or pdf',
+      });
+    }
+
+    const transcript = await transcriptService.buildTranscript(Number(studentId), { from, to });
+
+    if (!transcript) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found',
+      });
+    }
+
+    const filename = `attendance-transcript-${studentId}-${Date.now()}`;
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.send(transcriptService.toCSV(transcript));
+    }
+
+    if (format === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+      return transcriptService.writePDF(transcript, res);
+    }
+
+    res.json({
+      success: true,
+      data: transcript,
+    });
+  } catch (error) {
+    console.error('Error building attendance transcript:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build attendance transcript',
+    });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,12 @@
 const express = require('express');
 const UnifiedAttendanceTracker = require('../services/unifiedAttendanceTracker');
+const { zoomWebhookHandler } = require('./zoomWebhooks');
+const { auth, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
+const meetingParam = req => req.params.meetingId;
+
 // Initialize the unified tracker (will be set by server.js)
 let unifiedTracker = null;
 
@@ -12,104 +16,22 @@ let unifiedTracker = null;
 function initializeUnifiedTracker(io) {
   unifiedTracker = new UnifiedAttendanceTracker(io);
   console.log('🎯 Unified Attendance Routes initialized');
+  return unifiedTracker;
 }
 
 // ==================== WEBHOOK ROUTES (Zoom Integration) ====================
 
 /**
- * Zoom Webhook Endpoint - Handle all Zoom events
- */
-router.post('/zoom/webhook', async (req, res) => {
-  try {
-    console.log('📨 [WEBHOOK] Received Zoom webhook:', req.body.event);
-
-    const { event, payload } = req.body;
-
-    if (!event || !payload) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Invalid webhook payload' 
-      });
-    }
-
-    const meetingId = payload.object?.id || payload.object?.uuid;
-    if (!meetingId) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Missing meeting ID in webhook' 
-      });
-    }
-
-    let result = { success: true, message: 'Event processed' };
-
-    // Handle different Zoom events
-    switch (event) {
-      case 'meeting.participant_joined':
-        if (payload.object?.participant) {
-          result = await unifiedTracker.handleWebhookJoin(payload.object.participant, meetingId);
-        }
-        break;
-
-      case 'meeting.participant_left':
-        if (payload.object?.participant) {
-          result = await unifiedTracker.handleWebhookLeave(payload.object.participant, meetingId);
-        }
-        break;
-
-      case 'meeting.started':
-        console.log('📅 [WEBHOOK] Meeting started:', meetingId);
-        result = { success: true, message: 'Meeting started event processed' };
-        break;
-
-      case 'meeting.ended':
-        console.log('📅 [WEBHOOK] Meeting ended:', meetingId);
-        result = { success: true, message: 'Meeting ended event processed' };
-        break;
-
-      default:
-        console.log(`ℹ️ [WEBHOOK] Unhandled event: ${event}`);
-        result = { success: true, message: `Event ${event} noted but not processed` };
-    }
-
-    res.status(200).json({
-      success: result.success,
-      message: result.message,
-      event: event,
-      meetingId: meetingId,
-      timestamp: new Date().toISOString()
-    });
-
-  } catch (error) {
-    console.error('❌ [WEBHOOK] Error processing webhook:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
-  }
-});
-
-/**
- * Zoom Webhook Verification (for initial setup)
+ * Zoom Webhook Endpoint - legacy URL, delegates to the unified ingestion pipeline (/api/webhooks/zoom)
  */
-router.get('/zoom/webhook', (req, res) => {
-  const challenge = req.query.challenge;
-  if (challenge) {
-    console.log('✅ [WEBHOOK] Zoom webhook verification successful');
-    res.status(200).json({
-      challenge: challenge
-    });
-  } else {
-    res.status(400).json({ error: 'No challenge parameter provided' });
-  }
-});
+router.post('/zoom/webhook', zoomWebhookHandler);
 
 // ==================== TOKEN-BASED ROUTES (User Authentication) ====================
 
 /**
  * Token-based Check-in - User joins meeting with JWT token
  */
-router.post('/checkin/:meetingId', async (req, res) => {
+router.post('/checkin/:meetingId', auth, requirePermission('attendance:checkin'), async (req, res) => {
   try {
     const { meetingId } = req.params;
     const token = req.headers.authorization;
@@ -160,7 +82,7 @@ router.post('/checkin/:meetingId', async (req, res) => {
 /**
  * Token-based Check-out - User leaves meeting with JWT token
  */
-router.post('/checkout/:meetingId', async (req, res) => {
+router.post('/checkout/:meetingId', auth, requirePermission('attendance:checkin'), async (req, res) => {
   try {
     const { meetingId } = req.params;
     const token = req.headers.authorization;
@@ -217,12 +139,12 @@ router.post('/checkout/:meetingId', async (req, res) => {
 /**
  * Get Complete Attendance Data - All participants (webhook + token-based)
  */
-router.get('/meeting/:meetingId', async (req, res) => {
+router.get('/meeting/:meetingId', auth, requirePermission('attendance:read', { meeting: meetingParam }), async (req, res) => {
   try {
     const { meetingId } = req.params;
-    const threshold = parseInt(req.query.threshold) || 85;
+    const threshold = parseInt(req.query.threshold) || null;
 
-    console.log(`📊 [UNIFIED DATA] Getting attendance for meeting: ${meetingId} (threshold: ${threshold}%)`);
+    console.log(`📊 [UNIFIED DATA] Getting attendance for meeting: ${meetingId} (threshold: ${threshold || 'policy'})`);
 
     const result = await unifiedTracker.getUnifiedAttendanceData(meetingId, threshold);
 
@@ -237,7 +159,8 @@ router.get('/meeting/:meetingId', async (req, res) => {
           webhookBased: result.participants.filter(p => p.source === 'zoom_webhook').length,
           tokenBased: result.participants.filter(p => p.source === 'jwt_token').length,
           authenticated: result.participants.filter(p => p.isAuthenticated).length,
-          threshold: threshold,
+          threshold: result.statistics.threshold,
+          neverJoined: result.statistics.neverJoinedCount,
           timestamp: result.timestamp
         }
       });
@@ -261,7 +184,7 @@ router.get('/meeting/:meetingId', async (req, res) => {
 /**
  * Get My Attendance - Individual participant query with token
  */
-router.get('/my-attendance/:meetingId', async (req, res) => {
+router.get('/my-attendance/:meetingId', auth, async (req, res) => {
   try {
     const { meetingId } = req.params;
     const token = req.headers.authorization;
@@ -318,10 +241,10 @@ router.get('/my-attendance/:meetingId', async (req, res) => {
 /**
  * Get Live Statistics - Real-time meeting stats
  */
-router.get('/statistics/:meetingId', async (req, res) => {
+router.get('/statistics/:meetingId', auth, requirePermission('attendance:read', { meeting: meetingParam }), async (req, res) => {
   try {
     const { meetingId } = req.params;
-    const threshold = parseInt(req.query.threshold) || 85;
+    const threshold = parseInt(req.query.threshold) || null;
 
     console.log(`📈 [STATISTICS] Getting live statistics for meeting: ${meetingId}`);
 
@@ -337,6 +260,8 @@ router.get('/statistics/:meetingId', async (req, res) => {
           present: result.statistics.presentCount,
           absent: result.statistics.absentCount,
           inProgress: result.statistics.inProgressCount,
+          enrolled: result.statistics.enrolledCount,
+          neverJoined: result.statistics.neverJoinedCount,
           attendanceRate: result.statistics.attendanceRate,
           averageAttendance: result.statistics.averageAttendance,
           authenticated: result.statistics.authenticatedCount
@@ -365,7 +290,7 @@ router.get('/statistics/:meetingId', async (req, res) => {
 /**
  * Clear Meeting Data - For testing purposes
  */
-router.delete('/meeting/:meetingId/clear', async (req, res) => {
+router.delete('/meeting/:meetingId/clear', auth, requirePermission('attendance:delete', { meeting: meetingParam }), async (req, res) => {
   try {
     const { meetingId } = req.params;
     
@@ -1,5 +1,6 @@
 const express = require('express');
-const { auth } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
+const { normalizeRole } = require('../utils/permissions');
 const UserSessionManager = require('../services/userSessionManager');
 
 const router = express.Router();
@@ -309,9 +310,9 @@ router.get('/my-sessions', auth, async (req, res) => {
 /**
  * @route   GET /api/user-sessions/meeting/:meetingId/authenticated-participants
  * @desc    Get authenticated participants for a specific meeting
- * @access  Private (requires auth token)
+ * @access  Private (attendance:read on the meeting)
  */
-router.get('/meeting/:meetingId/authenticated-participants', auth, async (req, res) => {
+router.get('/meeting/:meetingId/authenticated-participants', auth, requirePermission('attendance:read', { meeting: req => req.params.meetingId }), async (req, res) => {
   try {
     const { meetingId } = req.params;
     const activeSessions = userSessionManager.getActiveMeetingSessions(meetingId);
@@ -335,7 +336,7 @@ router.get('/meeting/:meetingId/authenticated-participants', auth, async (req, r
       totalAuthenticated: participants.length,
       students: participants.filter(p => p.student).length,
       admins: participants.filter(p => p.user.role === 'admin').length,
-      users: participants.filter(p => p.user.role === 'user').length
+      users: participants.filter(p => normalizeRole(p.user.role) === 'student').length
     });
 
   } catch (error) {
@@ -351,9 +352,9 @@ router.get('/meeting/:meetingId/authenticated-participants', auth, async (req, r
 /**
  * @route   POST /api/user-sessions/link-zoom-participant
  * @desc    Link user session with Zoom participant (for admin use)
- * @access  Private (requires auth token)
+ * @access  Private (attendance:write)
  */
-router.post('/link-zoom-participant', auth, async (req, res) => {
+router.post('/link-zoom-participant', auth, requirePermission('attendance:write'), async (req, res) => {
   try {
     const { sessionId, participantId, zoomData } = req.body;
     
@@ -449,9 +450,9 @@ router.put('/update-activity', auth, async (req, res) => {
 /**
  * @route   GET /api/user-sessions/stats
  * @desc    Get session statistics (for admin)
- * @access  Private (requires auth token)
+ * @access  Private (system:monitor)
  */
-router.get('/stats', auth, async (req, res) => {
+router.get('/stats', auth, requirePermission('system:monitor'), async (req, res) => {
   try {
     const stats = userSessionManager.getSessionStats();
     
@@ -474,9 +475,9 @@ router.get('/stats', auth, async (req, res) => {
 /**
  * @route   DELETE /api/user-sessions/meeting/:meetingId/end-all
  * @desc    End all user sessions for a meeting (for admin)
- * @access  Private (requires auth token)
+ * @access  Private (meetings:write on the meeting)
  */
-router.delete('/meeting/:meetingId/end-all', auth, async (req, res) => {
+router.delete('/meeting/:meetingId/end-all', auth, requirePermission('meetings:write', { meeting: req => req.params.meetingId }), async (req, res) => {
   try {
     const { meetingId } = req.params;
     
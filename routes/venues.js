@@ -0,0 +1,251 @@
+const express = require('express');
+const router = express.Router();
+const Venue = require('../models/Venue');
+const QRSession = require('../models/QRSession');
+const { auth, requirePermission } = require('../middleware/auth');
+
+const VENUE_FIELDS = [
+  'name',
+  'description',
+  'building',
+  'fenceType',
+  'center',
+  'radiusMeters',
+  'polygon',
+  'maxAccuracyMeters',
+  'outsideAction',
+  'isActive',
+];
+
+// Copy only editable venue fields from the request body
+function pickVenueFields(body) {
+  return VENUE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+    return fields;
+  }, {});
+}
+
+/**
+ * List Venues
+ * GET /api/venues
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const { includeInactive } = req.query;
+    const query = includeInactive === 'true' ? {} : { isActive: true };
+
+    const venues = await Venue.find(query).sort({ name: 1 }).select('-__v');
+
+    res.json({
+      success: true,
+      data: venues,
+    });
+  } catch (error) {
+    console.error('Error fetching venues:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch venues',
+    });
+  }
+});
+
+/**
+ * Get Venue
+ * GET /api/venues/:venueId
+ */
+router.get('/:venueId', auth, async (req, res) => {
+  try {
+    const venue = await Venue.findById(req.params.venueId).select('-__v');
+
+    if (!venue) {
+      return res.status(404).json({
+        success: false,
+        error: 'Venue not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: venue,
+    });
+  } catch (error) {
+    console.error('Error fetching venue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch venue',
+    });
+  }
+});
+
+/**
+ * Create Venue
+ * POST /api/venues
+ */
+router.post('/', auth, requirePermission('venues:manage'), async (req, res) => {
+  try {
+    const venue = new Venue({
+      ...pickVenueFields(req.body),
+      createdBy: req.user._id,
+    });
+
+    await venue.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Venue created successfully',
+      data: venue,
+    });
+  } catch (error) {
+    console.error('Error creating venue:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'A venue with this name already exists',
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create venue',
+    });
+  }
+});
+
+/**
+ * Update Venue
+ * PUT /api/venues/:venueId
+ */
+router.put('/:venueId', auth, requirePermission('venues:manage'), async (req, res) => {
+  try {
+    const venue = await Venue.findById(req.params.venueId);
+
+    if (!venue) {
+      return res.status(404).json({
+        success: false,
+        error: 'Venue not found',
+      });
+    }
+
+    venue.set(pickVenueFields(req.body));
+    await venue.save();
+
+    res.json({
+      success: true,
+      message: 'Venue updated successfully',
+      data: venue,
+    });
+  } catch (error) {
+    console.error('Error updating venue:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'A venue with this name already exists',
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update venue',
+    });
+  }
+});
+
+/**
+ * Delete Venue
+ * DELETE /api/venues/:venueId
+ */
+router.delete('/:venueId', auth, requirePermission('venues:manage'), async (req, res) => {
+  try {
+    const { venueId } = req.params;
+
+    const openSessions = await QRSession.countDocuments({
+      venue: venueId,
+      isActive: true,
+      validUntil: { $gt: new Date() },
+    });
+
+    if (openSessions > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Venue is used by ${openSessions} open QR session(s)`,
+      });
+    }
+
+    const venue = await Venue.findByIdAndDelete(venueId);
+
+    if (!venue) {
+      return res.status(404).json({
+        success: false,
+        error: 'Venue not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Venue deleted successfully',
+    });
+  } catch (error) {
+    console.error('Error deleting venue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete venue',
+    });
+  }
+});
+
+/**
+ * Test a location against a venue geofence
+ * POST /api/venues/:venueId/check
+ */
+router.post('/:venueId/check', auth, async (req, res) => {
+  try {
+    const { latitude, longitude, accuracy } = req.body;
+
+    if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+      return res.status(400).json({
+        success: false,
+        error: 'latitude and longitude must be numbers',
+      });
+    }
+
+    const venue = await Venue.findById(req.params.venueId);
+
+    if (!venue) {
+      return res.status(404).json({
+        success: false,
+        error: 'Venue not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: venue.evaluateLocation({ lat: latitude, lng: longitude, accuracy }),
+    });
+  } catch (error) {
+    console.error('Error checking venue geofence:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check location',
+    });
+  }
+});
+
+module.exports = router;
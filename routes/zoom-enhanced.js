@@ -1,14 +1,13 @@
 const express = require('express');
-const axios = require('axios');
 const ZoomMeeting = require('../models/ZoomMeeting');
 const { storeZoomMeetingDetails } = require('../utils/zoomSdkTracker');
+const zoomClient = require('../services/zoomClient');
 
 const router = express.Router();
 
 // Enhanced create meeting endpoint with proper duration handling
 router.post('/enhanced/create-meeting', async (req, res) => {
   try {
-    const accessToken = await getZoomAccessToken();
     const io = req.app.get('io');
     const { globalState } = require('../server');
 
@@ -44,18 +43,7 @@ router.post('/enhanced/create-meeting', async (req, res) => {
     console.log('📊 Meeting data being sent to Zoom:', JSON.stringify(meetingData, null, 2));
 
     // Create meeting via Zoom API
-    const meetingResponse = await axios.post(
-      `https://api.zoom.us/v2/users/me/meetings`,
-      meetingData,
-      {
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
-
-    const meeting = meetingResponse.data;
+    const meeting = await zoomClient.createMeeting(meetingData);
     console.log('✅ Zoom meeting created:', {
       id: meeting.id,
       topic: meeting.topic,
@@ -147,19 +135,4 @@ router.post('/enhanced/create-meeting', async (req, res) => {
   }
 });
 
-// Get Zoom access token helper
-async function getZoomAccessToken() {
-  const response = await axios.post(
-    `https://zoom.us/oauth/token?grant_type=account_credentials&account_id=${process.env.ZOOM_ACCOUNT_ID}`,
-    {},
-    {
-      headers: {
-        Authorization: `Basic ${Buffer.from(`${process.env.ZOOM_CLIENT_ID}:${process.env.ZOOM_CLIENT_SECRET}`).toString('base64')}`,
-        'Content-Type': 'application/x-www-form-urlencoded'
-      }
-    }
-  );
-  return response.data.access_token;
-}
-
 module.exports = router;
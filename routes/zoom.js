@@ -1,5 +1,4 @@
 const express = require('express');
-const axios = require('axios');
 const jwt = require('jsonwebtoken');
 const cron = require('node-cron');
 const moment = require('moment');
@@ -9,11 +8,26 @@ const Student = require('../models/Student');
 const zoomService = require('../services/zoomService');
 const meetingTerminationService = require('../services/meetingTerminationService');
 const { trackParticipantJoin, trackParticipantLeave, storeZoomMeetingDetails } = require('../utils/zoomSdkTracker');
-const rateLimiter = require('../utils/rateLimiter');
-const zoomRequestQueue = require('../utils/zoomRequestQueue');
+const zoomClient = require('../services/zoomClient');
+const { zoomWebhookHandler } = require('./zoomWebhooks');
+const attendancePolicyService = require('../services/attendancePolicyService');
+const { withPresentThreshold } = require('../utils/attendancePolicyEngine');
+const accessControlService = require('../services/accessControlService');
+const { auth, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
+const meetingParam = req => req.params.meetingId;
+const bodyMeeting = req => req.body.meetingId;
+
+// Host (role 1) signatures start the meeting, so they need write access to it
+const signaturePermission = (req, res, next) => {
+  const check = parseInt(req.body.role) === 1
+    ? requirePermission('meetings:write', { meeting: request => request.body.meetingNumber })
+    : requirePermission('meetings:join');
+  return check(req, res, next);
+};
+
 const ZOOM_ACCOUNT_ID = process.env.ZOOM_ACCOUNT_ID;
 const ZOOM_CLIENT_ID = process.env.ZOOM_CLIENT_ID;
 const ZOOM_CLIENT_SECRET = process.env.ZOOM_CLIENT_SECRET;
@@ -24,36 +38,6 @@ if (!ZOOM_ACCOUNT_ID || !ZOOM_CLIENT_ID || !ZOOM_CLIENT_SECRET) {
   console.error('Required: ZOOM_ACCOUNT_ID, ZOOM_CLIENT_ID, ZOOM_CLIENT_SECRET');
 }
 
-// Function to get OAuth access token for Zoom API with enhanced rate limiting
-const getZoomAccessToken = async () => {
-  return await zoomRequestQueue.enqueue(
-    async () => {
-      return await rateLimiter.getAccessToken(async () => {
-        const response = await axios.post(
-          `https://zoom.us/oauth/token?grant_type=account_credentials&account_id=${ZOOM_ACCOUNT_ID}`,
-          {},
-          {
-            headers: {
-              Authorization: `Basic ${Buffer.from(`${ZOOM_CLIENT_ID}:${ZOOM_CLIENT_SECRET}`).toString('base64')}`,
-              'Content-Type': 'application/x-www-form-urlencoded'
-            },
-            timeout: 10000 // 10 second timeout
-          }
-        );
-        return response.data.access_token;
-      });
-    },
-    {
-      category: 'user',
-      priority: 2, // High priority for auth
-      cacheKey: 'zoom_access_token',
-      cacheTTL: 3300, // 55 minutes
-      identifier: 'access-token',
-      enableCache: true
-    }
-  );
-};
-
 // Generate JWT signature for Zoom Web SDK (Updated for SDK v3+)
 const generateZoomSignature = (meetingNumber, role) => {
   const iat = Math.round(new Date().getTime() / 1000) - 30;
@@ -86,9 +70,8 @@ const generateZoomSignature = (meetingNumber, role) => {
 };
 
 // Route to create a Zoom meeting with real-time integration
-router.post('/create-meeting', async (req, res) => {
+router.post('/create-meeting', auth, requirePermission('meetings:write'), async (req, res) => {
   try {
-    const accessToken = await getZoomAccessToken();
     const io = req.app.get('io');
     const globalState = req.app.get('globalState');
 
@@ -126,32 +109,14 @@ router.post('/create-meeting', async (req, res) => {
     }
 
     try {
-      const meetingResponse = await zoomRequestQueue.enqueue(
-        async () => {
-          return await axios.post(
-            `https://api.zoom.us/v2/users/me/meetings`,
-            meetingData,
-            {
-              headers: {
-                Authorization: `Bearer ${accessToken}`,
-                'Content-Type': 'application/json',
-              },
-            }
-          );
-        },
-        {
-          category: 'meeting',
-          priority: 3,
-          identifier: `create-meeting-${Date.now()}`,
-          retryCount: 3
-        }
-      );
+      const meeting = await zoomClient.createMeeting(meetingData, 'me', { priority: 3 });
       
       // Store meeting details in database for tracking
       let savedMeeting = null;
       try {
         savedMeeting = await storeZoomMeetingDetails({
-          ...meetingResponse.data,
+          ...meeting,
+          owner: req.user._id,
           metadata: {
             createdBy: req.body.hostEmail || 'system',
             department: req.body.department,
@@ -168,7 +133,7 @@ router.post('/create-meeting', async (req, res) => {
       // Real-time notification for meeting creation
       if (io && globalState) {
         const meetingInfo = {
-          ...meetingResponse.data,
+          ...meeting,
           createdAt: new Date().toISOString(),
           status: 'scheduled',
           saved: !!savedMeeting
@@ -200,20 +165,20 @@ router.post('/create-meeting', async (req, res) => {
       }
       
       // Schedule automatic termination after the duration
-      const meetingDuration = meetingResponse.data.duration || 5;
+      const meetingDuration = meeting.duration || 5;
       try {
-        const terminationTime = meetingTerminationService.scheduleMeetingTermination(
-          meetingResponse.data.id.toString(),
+        const terminationTime = await meetingTerminationService.scheduleMeetingTermination(
+          meeting.id.toString(),
           meetingDuration
         );
-        console.log(`⏰ Scheduled automatic termination for meeting ${meetingResponse.data.id} in ${meetingDuration} minutes`);
+        console.log(`⏰ Scheduled automatic termination for meeting ${meeting.id} in ${meetingDuration} minutes`);
       } catch (terminationError) {
         console.error('❌ Failed to schedule meeting termination:', terminationError.message);
       }
       
       // Return comprehensive response with both Zoom API data and database info
       const responseData = {
-        ...meetingResponse.data,
+        ...meeting,
         success: true,
         saved: !!savedMeeting,
         database_id: savedMeeting?._id,
@@ -238,32 +203,14 @@ router.post('/create-meeting', async (req, res) => {
         delete meetingData.timezone;
         
         try {
-          const instantMeetingResponse = await zoomRequestQueue.enqueue(
-            async () => {
-              return await axios.post(
-                `https://api.zoom.us/v2/users/me/meetings`,
-                meetingData,
-                {
-                  headers: {
-                    Authorization: `Bearer ${accessToken}`,
-                    'Content-Type': 'application/json',
-                  },
-                }
-              );
-            },
-            {
-              category: 'meeting',
-              priority: 3,
-              identifier: `create-instant-meeting-${Date.now()}`,
-              retryCount: 3
-            }
-          );
+          const instantMeeting = await zoomClient.createMeeting(meetingData, 'me', { priority: 3 });
           
           // Store meeting details in database for tracking
           let savedMeeting = null;
           try {
             savedMeeting = await storeZoomMeetingDetails({
-              ...instantMeetingResponse.data,
+              ...instantMeeting,
+              owner: req.user._id,
               metadata: {
                 createdBy: req.body.hostEmail || 'system',
                 department: req.body.department,
@@ -280,7 +227,7 @@ router.post('/create-meeting', async (req, res) => {
           // Real-time notification for meeting creation
           if (io && globalState) {
             const meetingInfo = {
-              ...instantMeetingResponse.data,
+              ...instantMeeting,
               createdAt: new Date().toISOString(),
               status: 'active',
               saved: !!savedMeeting
@@ -312,20 +259,20 @@ router.post('/create-meeting', async (req, res) => {
           }
           
           // Schedule automatic termination for the instant meeting too
-          const meetingDuration = instantMeetingResponse.data.duration || 5;
+          const meetingDuration = instantMeeting.duration || 5;
           try {
-            const terminationTime = meetingTerminationService.scheduleMeetingTermination(
-              instantMeetingResponse.data.id.toString(),
+            const terminationTime = await meetingTerminationService.scheduleMeetingTermination(
+              instantMeeting.id.toString(),
               meetingDuration
             );
-            console.log(`⏰ Scheduled automatic termination for instant meeting ${instantMeetingResponse.data.id} in ${meetingDuration} minutes`);
+            console.log(`⏰ Scheduled automatic termination for instant meeting ${instantMeeting.id} in ${meetingDuration} minutes`);
           } catch (terminationError) {
             console.error('❌ Failed to schedule instant meeting termination:', terminationError.message);
           }
           
           // Return comprehensive response with both Zoom API data and database info
           const responseData = {
-            ...instantMeetingResponse.data,
+            ...instantMeeting,
             success: true,
             saved: !!savedMeeting,
             database_id: savedMeeting?._id,
@@ -343,19 +290,19 @@ router.post('/create-meeting', async (req, res) => {
             const AttendanceTracker = require('../services/attendanceTracker');
             const attendanceTracker = new AttendanceTracker();
             
-            console.log(`🎯 Auto-starting attendance tracking for new meeting: ${instantMeetingResponse.data.id}`);
+            console.log(`🎯 Auto-starting attendance tracking for new meeting: ${instantMeeting.id}`);
             
             // Start tracking after a short delay to allow meeting to be fully created
             setTimeout(async () => {
               try {
-                const trackingResult = await attendanceTracker.startTrackingMeeting(instantMeetingResponse.data.id.toString());
+                const trackingResult = await attendanceTracker.startTrackingMeeting(instantMeeting.id.toString());
                 if (trackingResult) {
-                  console.log(`✅ Auto-started tracking for meeting: ${instantMeetingResponse.data.id}`);
+                  console.log(`✅ Auto-started tracking for meeting: ${instantMeeting.id}`);
                 } else {
-                  console.log(`⚠️ Could not auto-start tracking for meeting: ${instantMeetingResponse.data.id} (meeting may not be active yet)`);
+                  console.log(`⚠️ Could not auto-start tracking for meeting: ${instantMeeting.id} (meeting may not be active yet)`);
                 }
               } catch (trackingError) {
-                console.warn(`⚠️ Auto-tracking failed for meeting ${instantMeetingResponse.data.id}:`, trackingError.message);
+                console.warn(`⚠️ Auto-tracking failed for meeting ${instantMeeting.id}:`, trackingError.message);
               }
             }, 5000); // 5 second delay
             
@@ -392,7 +339,7 @@ router.post('/create-meeting', async (req, res) => {
 });
 
 // Route to get JWT token for Zoom Web SDK
-router.post('/get-token', async (req, res) => {
+router.post('/get-token', auth, signaturePermission, async (req, res) => {
   try {
     const { meetingNumber, role } = req.body;
     const token = generateZoomSignature(meetingNumber, role || 0);
@@ -407,34 +354,17 @@ router.post('/get-token', async (req, res) => {
 });
 
 // Route to get meeting details
-router.get('/meeting/:meetingId', async (req, res) => {
+router.get('/meeting/:meetingId', auth, requirePermission('meetings:read', { meeting: meetingParam }), async (req, res) => {
   try {
-    const accessToken = await getZoomAccessToken();
     const { meetingId } = req.params;
 
-    const meetingResponse = await zoomRequestQueue.enqueue(
-      async () => {
-        return await axios.get(
-          `https://api.zoom.us/v2/meetings/${meetingId}`,
-          {
-            headers: {
-              Authorization: `Bearer ${accessToken}`,
-              'Content-Type': 'application/json',
-            },
-          }
-        );
-      },
-      {
-        category: 'meeting',
-        priority: 2,
-        identifier: `get-meeting-${meetingId}`,
-        cacheKey: `meeting_${meetingId}`,
-        cacheTTL: 300,
-        enableCache: true
-      }
-    );
+    const meeting = await zoomClient.getMeeting(meetingId, {
+      priority: 2,
+      cacheKey: `meeting_${meetingId}`,
+      cacheTTL: 300
+    });
 
-    res.json(meetingResponse.data);
+    res.json(meeting);
   } catch (error) {
     console.error('Error getting meeting details:', error.response ? error.response.data : error.message);
     res.status(500).json({ error: error.message });
@@ -442,34 +372,17 @@ router.get('/meeting/:meetingId', async (req, res) => {
 });
 
 // Route to get meeting participants
-router.get('/meeting/:meetingId/participants', async (req, res) => {
+router.get('/meeting/:meetingId/participants', auth, requirePermission('attendance:read', { meeting: meetingParam }), async (req, res) => {
   try {
-    const accessToken = await getZoomAccessToken();
     const { meetingId } = req.params;
 
-    const participantsResponse = await zoomRequestQueue.enqueue(
-      async () => {
-        return await axios.get(
-          `https://api.zoom.us/v2/meetings/${meetingId}/participants`,
-          {
-            headers: {
-              Authorization: `Bearer ${accessToken}`,
-              'Content-Type': 'application/json',
-            },
-          }
-        );
-      },
-      {
-        category: 'meeting',
-        priority: 2,
-        identifier: `get-participants-${meetingId}`,
-        cacheKey: `participants_${meetingId}`,
-        cacheTTL: 60,
-        enableCache: true
-      }
-    );
+    const participants = await zoomClient.getLiveParticipants(meetingId, {}, {
+      priority: 2,
+      cacheKey: `participants_${meetingId}`,
+      cacheTTL: 60
+    });
 
-    res.json(participantsResponse.data);
+    res.json(participants);
   } catch (error) {
     console.error('Error getting meeting participants:', error.response ? error.response.data : error.message);
     res.status(500).json({ error: error.message });
@@ -477,31 +390,11 @@ router.get('/meeting/:meetingId/participants', async (req, res) => {
 });
 
 // Route to end a meeting
-router.patch('/meeting/:meetingId/end', async (req, res) => {
+router.patch('/meeting/:meetingId/end', auth, requirePermission('meetings:write', { meeting: meetingParam }), async (req, res) => {
   try {
-    const accessToken = await getZoomAccessToken();
     const { meetingId } = req.params;
 
-    const endResponse = await zoomRequestQueue.enqueue(
-      async () => {
-        return await axios.patch(
-          `https://api.zoom.us/v2/meetings/${meetingId}/status`,
-          { action: 'end' },
-          {
-            headers: {
-              Authorization: `Bearer ${accessToken}`,
-              'Content-Type': 'application/json',
-            },
-          }
-        );
-      },
-      {
-        category: 'meeting',
-        priority: 1, // High priority for ending meetings
-        identifier: `end-meeting-${meetingId}`,
-        retryCount: 2
-      }
-    );
+    await zoomClient.endMeeting(meetingId, { priority: 1 }); // High priority for ending meetings
 
     res.json({ message: 'Meeting ended successfully' });
   } catch (error) {
@@ -511,34 +404,17 @@ router.patch('/meeting/:meetingId/end', async (req, res) => {
 });
 
 // Route to get meeting attendance report
-router.get('/report/:meetingId/participants', async (req, res) => {
+router.get('/report/:meetingId/participants', auth, requirePermission('attendance:read', { meeting: meetingParam }), async (req, res) => {
   try {
-    const accessToken = await getZoomAccessToken();
     const { meetingId } = req.params;
 
-    const reportResponse = await zoomRequestQueue.enqueue(
-      async () => {
-        return await axios.get(
-          `https://api.zoom.us/v2/report/meetings/${meetingId}/participants`,
-          {
-            headers: {
-              Authorization: `Bearer ${accessToken}`,
-              'Content-Type': 'application/json',
-            },
-          }
-        );
-      },
-      {
-        category: 'report',
-        priority: 3,
-        identifier: `report-participants-${meetingId}`,
-        cacheKey: `report_${meetingId}`,
-        cacheTTL: 600,
-        enableCache: true
-      }
-    );
+    const report = await zoomClient.getMeetingReportParticipants(meetingId, {}, {
+      priority: 3,
+      cacheKey: `report_${meetingId}`,
+      cacheTTL: 600
+    });
 
-    res.json(reportResponse.data);
+    res.json(report);
   } catch (error) {
     console.error('Error getting meeting report:', error.response ? error.response.data : error.message);
     res.status(500).json({ error: error.message });
@@ -546,7 +422,7 @@ router.get('/report/:meetingId/participants', async (req, res) => {
 });
 
 // Route to generate signature for Zoom Web SDK
-router.post('/generate-signature', async (req, res) => {
+router.post('/generate-signature', auth, signaturePermission, async (req, res) => {
   try {
     const { meetingNumber, role } = req.body;
     
@@ -569,38 +445,22 @@ router.post('/generate-signature', async (req, res) => {
 });
 
 // Route to validate Zoom credentials
-router.get('/validate-credentials', async (req, res) => {
+router.get('/validate-credentials', auth, requirePermission('system:manage'), async (req, res) => {
   try {
-    const accessToken = await getZoomAccessToken();
+    await zoomClient.getAccessToken();
     console.log('Successfully retrieved Zoom access token');
     
     // Test the token by making a simple API call
-    const userResponse = await zoomRequestQueue.enqueue(
-      async () => {
-        return await axios.get(
-          'https://api.zoom.us/v2/users/me',
-          {
-            headers: {
-              Authorization: `Bearer ${accessToken}`,
-              'Content-Type': 'application/json',
-            },
-          }
-        );
-      },
-      {
-        category: 'user',
-        priority: 2,
-        identifier: 'validate-credentials',
-        cacheKey: 'user_me',
-        cacheTTL: 300,
-        enableCache: true
-      }
-    );
+    const user = await zoomClient.getUser('me', {
+      priority: 2,
+      cacheKey: 'user_me',
+      cacheTTL: 300
+    });
 
     res.json({ 
       valid: true, 
-      user: userResponse.data.first_name + ' ' + userResponse.data.last_name,
-      email: userResponse.data.email
+      user: user.first_name + ' ' + user.last_name,
+      email: user.email
     });
   } catch (error) {
     console.error('Error validating credentials:', error.response ? error.response.data : error.message);
@@ -609,7 +469,7 @@ router.get('/validate-credentials', async (req, res) => {
 });
 
 // Route to proxy meetings from /api/meetings to /api/zoom/meetings
-router.get('/meetings', async (req, res) => {
+router.get('/meetings', auth, requirePermission('meetings:read'), async (req, res) => {
   try {
     console.log('📋 Proxy endpoint: Forwarding to /api/meetings');
     
@@ -629,7 +489,7 @@ router.get('/meetings', async (req, res) => {
     }
     
     const ZoomMeeting = require('../models/ZoomMeeting');
-    const meetings = await ZoomMeeting.find(query)
+    const meetings = await ZoomMeeting.find({ ...query, ...await accessControlService.meetingFilter(req.user, 'meetings:read') })
       .sort({ createdAt: -1 })
       .lean();
     
@@ -666,7 +526,7 @@ router.get('/meetings', async (req, res) => {
 });
 
 // Route to get attendance reports for dashboard
-router.get('/attendance-reports', async (req, res) => {
+router.get('/attendance-reports', auth, requirePermission('attendance:read'), async (req, res) => {
   try {
     console.log('📊 Fetching attendance reports for dashboard...');
     
@@ -676,6 +536,7 @@ router.get('/attendance-reports', async (req, res) => {
     try {
       // Try to get data from ZoomMeeting model
       const meetings = await ZoomMeeting.find({
+        ...await accessControlService.meetingFilter(req.user, 'attendance:read'),
         status: { $in: ['ended', 'completed'] },
         participants: { $exists: true, $ne: [] }
       }).sort({ createdAt: -1 }).limit(100);
@@ -711,7 +572,8 @@ router.get('/attendance-reports', async (req, res) => {
     
     // Also check Attendance model if it exists
     try {
-      const attendanceData = await Attendance.find({})
+      const meetingIds = await accessControlService.accessibleMeetingIds(req.user, 'attendance:read');
+      const attendanceData = await Attendance.find(meetingIds ? { meetingId: { $in: meetingIds } } : {})
         .populate('student', 'name email studentId')
         .sort({ createdAt: -1 })
         .limit(100);
@@ -759,7 +621,7 @@ router.get('/attendance-reports', async (req, res) => {
 });
 
 // Route to track link clicks with real-time notifications (Enhanced)
-router.post('/track-link-click', async (req, res) => {
+router.post('/track-link-click', auth, requirePermission('meetings:join'), async (req, res) => {
   try {
     const io = req.app.get('io');
     const globalState = req.app.get('globalState');
@@ -839,7 +701,7 @@ router.post('/track-link-click', async (req, res) => {
 });
 
 // Route to track participant joining via SDK (Enhanced for immediate dashboard tracking)
-router.post('/track-participant-join', async (req, res) => {
+router.post('/track-participant-join', auth, requirePermission('meetings:join'), async (req, res) => {
   try {
     const {
       meetingId,
@@ -871,7 +733,7 @@ router.post('/track-participant-join', async (req, res) => {
     });
     
     // Find or create meeting document
-    let meeting = await ZoomMeeting.findOne({ meetingId });
+    let meeting = await ZoomMeeting.findOccurrence(meetingId);
     if (!meeting) {
       console.log('⚠️ Meeting not found in database, creating placeholder...');
       meeting = new ZoomMeeting({
@@ -1094,7 +956,7 @@ router.post('/track-participant-join', async (req, res) => {
 });
 
 // Route to track participant leaving via SDK (Enhanced for immediate dashboard tracking)
-router.post('/track-participant-leave', async (req, res) => {
+router.post('/track-participant-leave', auth, requirePermission('meetings:join'), async (req, res) => {
   try {
     const { meetingId, userId, email, leaveTime, source } = req.body;
     
@@ -1114,7 +976,7 @@ router.post('/track-participant-leave', async (req, res) => {
     });
     
     // Find meeting document
-    const meeting = await ZoomMeeting.findOne({ meetingId });
+    const meeting = await ZoomMeeting.findOccurrence(meetingId);
     if (!meeting) {
       console.log('⚠️ Meeting not found for leave tracking');
       return res.status(404).json({
@@ -1234,11 +1096,11 @@ router.post('/track-participant-leave', async (req, res) => {
 });
 
 // Route to get all tracked participants for a meeting
-router.get('/meeting/:meetingId/tracked-participants', async (req, res) => {
+router.get('/meeting/:meetingId/tracked-participants', auth, requirePermission('attendance:read', { meeting: meetingParam }), async (req, res) => {
   try {
     const { meetingId } = req.params;
     
-    const meeting = await ZoomMeeting.findOne({ meetingId: meetingId.toString() });
+    const meeting = await ZoomMeeting.findOccurrence(meetingId.toString());
     
     if (!meeting) {
       return res.status(404).json({
@@ -1288,7 +1150,7 @@ router.get('/meeting/:meetingId/tracked-participants', async (req, res) => {
 // Note: Enhanced create-meeting route is defined below with full implementation
 
 // Get meeting details using enhanced service
-router.get('/enhanced/meeting/:meetingId', async (req, res) => {
+router.get('/enhanced/meeting/:meetingId', auth, requirePermission('meetings:read', { meeting: meetingParam }), async (req, res) => {
   try {
     const meeting = await zoomService.getMeetingDetails(req.params.meetingId);
     res.json({
@@ -1304,7 +1166,7 @@ router.get('/enhanced/meeting/:meetingId', async (req, res) => {
 });
 
 // Get meeting participants using enhanced service
-router.get('/enhanced/meeting/:meetingId/participants', async (req, res) => {
+router.get('/enhanced/meeting/:meetingId/participants', auth, requirePermission('attendance:read', { meeting: meetingParam }), async (req, res) => {
   try {
     const participants = await zoomService.getMeetingParticipants(req.params.meetingId);
     res.json({
@@ -1320,7 +1182,7 @@ router.get('/enhanced/meeting/:meetingId/participants', async (req, res) => {
 });
 
 // Enhanced signature generation
-router.post('/enhanced/generate-signature', (req, res) => {
+router.post('/enhanced/generate-signature', auth, signaturePermission, (req, res) => {
   try {
     const { meetingNumber, role } = req.body;
     
@@ -1349,9 +1211,8 @@ router.post('/enhanced/generate-signature', (req, res) => {
 });
 
 // Enhanced meeting creation endpoint for dashboard compatibility
-router.post('/enhanced/create-meeting', async (req, res) => {
+router.post('/enhanced/create-meeting', auth, requirePermission('meetings:write'), async (req, res) => {
   try {
-    const accessToken = await getZoomAccessToken();
     const io = req.app.get('io');
     const globalState = req.app.get('globalState');
 
@@ -1388,23 +1249,13 @@ router.post('/enhanced/create-meeting', async (req, res) => {
     }
 
     try {
-      const meetingResponse = await axios.post(
-        `https://api.zoom.us/v2/users/me/meetings`,
-        meetingData,
-        {
-          headers: {
-            Authorization: `Bearer ${accessToken}`,
-            'Content-Type': 'application/json',
-          },
-        }
-      );
-      
-      const meeting = meetingResponse.data;
+      const meeting = await zoomClient.createMeeting(meetingData);
       
       // Store meeting details in database for tracking
       try {
         await storeZoomMeetingDetails({
           ...meeting,
+          owner: req.user._id,
           metadata: {
             createdBy: req.body.hostEmail || 'system',
             department: req.body.department,
@@ -1482,23 +1333,13 @@ router.post('/enhanced/create-meeting', async (req, res) => {
         delete meetingData.timezone;
         
         try {
-          const instantMeetingResponse = await axios.post(
-            `https://api.zoom.us/v2/users/me/meetings`,
-            meetingData,
-            {
-              headers: {
-                Authorization: `Bearer ${accessToken}`,
-                'Content-Type': 'application/json',
-              },
-            }
-          );
-          
-          const meeting = instantMeetingResponse.data;
+          const meeting = await zoomClient.createMeeting(meetingData);
           
           // Store and notify for instant meeting
           try {
             await storeZoomMeetingDetails({
               ...meeting,
+              owner: req.user._id,
               metadata: {
                 createdBy: req.body.hostEmail || 'system',
                 department: req.body.department,
@@ -1558,7 +1399,7 @@ router.post('/enhanced/create-meeting', async (req, res) => {
 });
 
 // Enhanced participant tracking
-router.post('/enhanced/track-join', async (req, res) => {
+router.post('/enhanced/track-join', auth, requirePermission('meetings:join'), async (req, res) => {
   try {
     const result = await zoomService.trackParticipantJoin(
       req.body.meetingId,
@@ -1586,7 +1427,7 @@ router.post('/enhanced/track-join', async (req, res) => {
   }
 });
 
-router.post('/enhanced/track-leave', async (req, res) => {
+router.post('/enhanced/track-leave', auth, requirePermission('meetings:join'), async (req, res) => {
   try {
     const result = await zoomService.trackParticipantLeave(
       req.body.meetingId,
@@ -1615,886 +1456,8 @@ router.post('/enhanced/track-leave', async (req, res) => {
   }
 });
 
-// Enhanced webhook endpoint for Zoom events with comprehensive participant tracking
-router.post('/webhook', async (req, res) => {
-  try {
-    // Zoom webhook validation
-    const event = req.body.event;
-    const payload = req.body.payload;
-    
-    console.log('📡 Zoom webhook received:', event);
-    console.log('📋 Payload preview:', JSON.stringify(payload, null, 2));
-    
-    const io = req.app.get('io');
-    const globalState = req.app.get('globalState');
-    
-    // Process different webhook events
-    switch (event) {
-      case 'meeting.started':
-        await handleMeetingStarted(payload, io, globalState);
-        break;
-        
-      case 'meeting.ended':
-        await handleMeetingEnded(payload, io, globalState);
-        break;
-        
-      case 'meeting.participant_joined':
-        await handleParticipantJoined(payload, io, globalState);
-        break;
-        
-      case 'meeting.participant_left':
-        await handleParticipantLeft(payload, io, globalState);
-        break;
-        
-      case 'meeting.participant_updated':
-        await handleParticipantUpdated(payload, io, globalState);
-        break;
-        
-      // Additional participant events for comprehensive tracking
-      case 'meeting.participant_waiting_for_host':
-        await handleParticipantWaitingRoom(payload, io, globalState);
-        break;
-        
-      case 'meeting.participant_admitted':
-        await handleParticipantAdmitted(payload, io, globalState);
-        break;
-        
-      case 'meeting.participant_put_in_waiting_room':
-        await handleParticipantPutInWaitingRoom(payload, io, globalState);
-        break;
-        
-      case 'meeting.sharing_started':
-        await handleSharingStarted(payload, io, globalState);
-        break;
-        
-      case 'meeting.sharing_ended':
-        await handleSharingEnded(payload, io, globalState);
-        break;
-        
-      case 'meeting.recording_started':
-        await handleRecordingStarted(payload, io, globalState);
-        break;
-        
-      case 'meeting.recording_stopped':
-        await handleRecordingStopped(payload, io, globalState);
-        break;
-        
-      default:
-        console.log('⚠️ Unhandled webhook event:', event);
-        // Log all unhandled events for debugging
-        console.log('📋 Unhandled payload:', JSON.stringify(payload, null, 2));
-    }
-    
-    // Always process through zoom service
-    await zoomService.processWebhook(event, payload);
-    
-    // Real-time notification to dashboard
-    if (io) {
-      io.emit('zoomWebhook', {
-        event,
-        payload,
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    res.status(200).json({ success: true });
-  } catch (error) {
-    console.error('🚨 Webhook processing error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Webhook event handlers
-async function handleMeetingStarted(payload, io, globalState) {
-  try {
-    const meeting = payload.object;
-    console.log('🎬 Meeting started:', meeting.topic);
-    
-    // Update global state
-    const meetingInfo = {
-      id: meeting.id.toString(),
-      uuid: meeting.uuid,
-      topic: meeting.topic,
-      startTime: meeting.start_time,
-      hostId: meeting.host_id,
-      status: 'started',
-      participants: []
-    };
-    
-    globalState.activeMeetings.set(meeting.id.toString(), meetingInfo);
-    globalState.meetingAnalytics.activeNow = globalState.activeMeetings.size;
-    
-    // Real-time notification
-    const notification = {
-      id: Date.now(),
-      type: 'meeting_started',
-      title: '🎬 Meeting Started',
-      message: `Meeting "${meeting.topic}" has started`,
-      timestamp: new Date().toISOString(),
-      meetingId: meeting.id.toString()
-    };
-    
-    globalState.notifications.push(notification);
-    if (io) {
-      io.emit('notification', notification);
-      io.emit('meetingStarted', { meeting: meetingInfo, timestamp: new Date().toISOString() });
-    }
-    
-  } catch (error) {
-    console.error('Error handling meeting started:', error);
-  }
-}
-
-async function handleMeetingEnded(payload, io, globalState) {
-  try {
-    const meeting = payload.object;
-    console.log('🎬 Meeting ended:', meeting.topic);
-    
-    const meetingId = meeting.id.toString();
-    
-    // Update global state
-    globalState.activeMeetings.delete(meetingId);
-    globalState.meetingAnalytics.activeNow = globalState.activeMeetings.size;
-    
-    // Auto-generate attendance records for all participants
-    await autoGenerateAttendance(meetingId);
-    
-    // Real-time notification
-    const notification = {
-      id: Date.now(),
-      type: 'meeting_ended',
-      title: '🏁 Meeting Ended',
-      message: `Meeting "${meeting.topic}" has ended`,
-      timestamp: new Date().toISOString(),
-      meetingId: meetingId
-    };
-    
-    globalState.notifications.push(notification);
-    if (io) {
-      io.emit('notification', notification);
-      io.emit('meetingEnded', { meeting, timestamp: new Date().toISOString() });
-    }
-    
-  } catch (error) {
-    console.error('Error handling meeting ended:', error);
-  }
-}
-
-async function handleParticipantJoined(payload, io, globalState) {
-  try {
-    const participant = payload.object.participant;
-    const meetingId = payload.object.id.toString();
-    
-    console.log('👤 Participant joined:', participant.user_name, 'in meeting', meetingId);
-    
-    // Create comprehensive participant record
-    const participantRecord = {
-      participantName: participant.user_name,
-      participantId: participant.id || participant.user_id,
-      zoomUserId: participant.user_id,
-      email: participant.email || '',
-      meetingId: meetingId,
-      meetingTopic: payload.object.topic || 'Zoom Meeting',
-      joinTime: new Date(),
-      device: determineDevice(participant),
-      connectionStatus: 'joined',
-      isActive: true
-    };
-    
-    // Try to match with student record
-    if (participantRecord.email) {
-      try {
-        const Student = require('../models/Student');
-        const student = await Student.findOne({
-          Email: { $regex: new RegExp(participantRecord.email, 'i') }
-        });
-        
-        if (student) {
-          participantRecord.studentId = student.StudentID;
-          participantRecord.studentFirstName = student.FirstName;
-          participantRecord.studentLastName = student.LastName;
-          participantRecord.studentDepartment = student.Department;
-          participantRecord.studentEmail = student.Email;
-          participantRecord.userType = 'student';
-        }
-      } catch (studentError) {
-        console.warn('Student matching failed:', studentError.message);
-      }
-    }
-    
-    // Save to database using participant route logic
-    try {
-      const Participant = require('../models/Participant');
-      const newParticipant = new Participant(participantRecord);
-      await newParticipant.save();
-      
-      // Update global state
-      globalState.activeParticipants.set(participantRecord.participantId, {
-        ...participantRecord,
-        lastUpdate: new Date().toISOString()
-      });
-      
-    } catch (dbError) {
-      console.error('Failed to save participant to database:', dbError.message);
-    }
-    
-    // Real-time notifications
-    const notification = {
-      id: Date.now(),
-      type: 'participant_joined',
-      title: '👋 Participant Joined',
-      message: `${participant.user_name} joined the meeting`,
-      timestamp: new Date().toISOString(),
-      meetingId: meetingId,
-      participantData: participantRecord
-    };
-    
-    globalState.notifications.push(notification);
-    if (io) {
-      io.emit('notification', notification);
-      io.to(`meeting_${meetingId}`).emit('participantJoined', {
-        participant: participantRecord,
-        timestamp: new Date().toISOString()
-      });
-      
-      // Broadcast to all connected clients
-      io.emit('participantUpdate', {
-        action: 'joined',
-        participant: participantRecord,
-        meetingId: meetingId
-      });
-    }
-    
-  } catch (error) {
-    console.error('Error handling participant joined:', error);
-  }
-}
-
-async function handleParticipantLeft(payload, io, globalState) {
-  try {
-    const participant = payload.object.participant;
-    const meetingId = payload.object.id.toString();
-    
-    console.log('👋 Participant left:', participant.user_name, 'from meeting', meetingId);
-    
-    // Update participant record in database
-    try {
-      const Participant = require('../models/Participant');
-      const participantRecord = await Participant.findOne({
-        meetingId: meetingId,
-        $or: [
-          { participantId: participant.id || participant.user_id },
-          { zoomUserId: participant.user_id },
-          { email: participant.email }
-        ],
-        isActive: true
-      });
-      
-      if (participantRecord) {
-        const leaveTime = new Date();
-        const duration = Math.round((leaveTime - participantRecord.joinTime) / (1000 * 60)); // minutes
-        
-        participantRecord.leaveTime = leaveTime;
-        participantRecord.duration = duration;
-        participantRecord.isActive = false;
-        participantRecord.connectionStatus = 'left';
-        participantRecord.attendanceStatus = duration >= 5 ? 'Present' : 'Left Early';
-        
-        await participantRecord.save();
-        
-        // Remove from global state
-        globalState.activeParticipants.delete(participant.id || participant.user_id);
-        
-        // Real-time notification
-        const notification = {
-          id: Date.now(),
-          type: 'participant_left',
-          title: '👋 Participant Left',
-          message: `${participant.user_name} left after ${duration} minutes`,
-          timestamp: new Date().toISOString(),
-          meetingId: meetingId,
-          participantData: {
-            name: participant.user_name,
-            duration: duration
-          }
-        };
-        
-        globalState.notifications.push(notification);
-        if (io) {
-          io.emit('notification', notification);
-          io.to(`meeting_${meetingId}`).emit('participantLeft', {
-            participant: {
-              name: participant.user_name,
-              id: participant.id || participant.user_id,
-              duration: duration
-            },
-            timestamp: new Date().toISOString()
-          });
-          
-          // Broadcast to all connected clients
-          io.emit('participantUpdate', {
-            action: 'left',
-            participant: participantRecord,
-            meetingId: meetingId
-          });
-        }
-      }
-    } catch (dbError) {
-      console.error('Failed to update participant in database:', dbError.message);
-    }
-    
-  } catch (error) {
-    console.error('Error handling participant left:', error);
-  }
-}
-
-async function handleParticipantUpdated(payload, io, globalState) {
-  try {
-    const participant = payload.object.participant;
-    const meetingId = payload.object.id.toString();
-    
-    console.log('🔄 Participant updated:', participant.user_name);
-    
-    // Update participant record in database
-    try {
-      const Participant = require('../models/Participant');
-      const participantRecord = await Participant.findOne({
-        meetingId: meetingId,
-        $or: [
-          { participantId: participant.id || participant.user_id },
-          { zoomUserId: participant.user_id },
-          { email: participant.email }
-        ],
-        isActive: true
-      });
-      
-      if (participantRecord) {
-        // Update participant status
-        participantRecord.audioStatus = !participant.muted;
-        participantRecord.videoStatus = participant.video === 'on';
-        participantRecord.sharingScreen = participant.sharing_screen || false;
-        participantRecord.lastActivity = new Date();
-        
-        await participantRecord.save();
-        
-        // Update global state
-        globalState.activeParticipants.set(participant.id || participant.user_id, {
-          ...participantRecord.toObject(),
-          lastUpdate: new Date().toISOString()
-        });
-        
-        // Real-time update
-        if (io) {
-          io.to(`meeting_${meetingId}`).emit('participantStatusUpdate', {
-            participant: participantRecord,
-            timestamp: new Date().toISOString()
-          });
-          
-          // Broadcast to all connected clients
-          io.emit('participantUpdate', {
-            action: 'updated',
-            participant: participantRecord,
-            meetingId: meetingId
-          });
-        }
-      }
-    } catch (dbError) {
-      console.error('Failed to update participant status:', dbError.message);
-    }
-    
-  } catch (error) {
-    console.error('Error handling participant updated:', error);
-  }
-}
-
-// Additional webhook event handlers for comprehensive tracking
-
-// Handle participant waiting in waiting room
-async function handleParticipantWaitingRoom(payload, io, globalState) {
-  try {
-    const participant = payload.object.participant;
-    const meetingId = payload.object.id.toString();
-    
-    console.log('⏳ Participant waiting for host:', participant.user_name, 'in meeting', meetingId);
-    
-    // Real-time notification
-    const notification = {
-      id: Date.now(),
-      type: 'participant_waiting',
-      title: '⏳ Participant Waiting',
-      message: `${participant.user_name} is waiting for the host to admit them`,
-      timestamp: new Date().toISOString(),
-      meetingId: meetingId,
-      participantData: {
-        name: participant.user_name,
-        email: participant.email || ''
-      }
-    };
-    
-    globalState.notifications.push(notification);
-    if (io) {
-      io.emit('notification', notification);
-      io.to(`meeting_${meetingId}`).emit('participantWaiting', {
-        participant: {
-          name: participant.user_name,
-          email: participant.email || '',
-          id: participant.id || participant.user_id
-        },
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-  } catch (error) {
-    console.error('Error handling participant waiting:', error);
-  }
-}
-
-// Handle participant admitted from waiting room
-async function handleParticipantAdmitted(payload, io, globalState) {
-  try {
-    const participant = payload.object.participant;
-    const meetingId = payload.object.id.toString();
-    
-    console.log('✅ Participant admitted:', participant.user_name, 'to meeting', meetingId);
-    
-    // Update participant record if exists
-    try {
-      const Participant = require('../models/Participant');
-      let participantRecord = await Participant.findOne({
-        meetingId: meetingId,
-        $or: [
-          { participantId: participant.id || participant.user_id },
-          { zoomUserId: participant.user_id },
-          { email: participant.email }
-        ]
-      });
-      
-      if (!participantRecord) {
-        // Create new participant record since they're now admitted
-        participantRecord = new Participant({
-          participantName: participant.user_name,
-          participantId: participant.id || participant.user_id,
-          zoomUserId: participant.user_id,
-          email: participant.email || '',
-          meetingId: meetingId,
-          meetingTopic: payload.object.topic || 'Zoom Meeting',
-          joinTime: new Date(),
-          device: determineDevice(participant),
-          connectionStatus: 'admitted',
-          isActive: true
-        });
-        
-        // Try to match with student record
-        if (participantRecord.email) {
-          try {
-            const Student = require('../models/Student');
-            const student = await Student.findOne({
-              Email: { $regex: new RegExp(participantRecord.email, 'i') }
-            });
-            
-            if (student) {
-              participantRecord.studentId = student.StudentID;
-              participantRecord.studentFirstName = student.FirstName;
-              participantRecord.studentLastName = student.LastName;
-              participantRecord.studentDepartment = student.Department;
-              participantRecord.studentEmail = student.Email;
-              participantRecord.userType = 'student';
-            }
-          } catch (studentError) {
-            console.warn('Student matching failed:', studentError.message);
-          }
-        }
-        
-        await participantRecord.save();
-      } else {
-        // Update existing record
-        participantRecord.connectionStatus = 'admitted';
-        participantRecord.isActive = true;
-        participantRecord.lastActivity = new Date();
-        await participantRecord.save();
-      }
-      
-      // Update global state
-      globalState.activeParticipants.set(participantRecord.participantId, {
-        ...participantRecord.toObject(),
-        lastUpdate: new Date().toISOString()
-      });
-      
-    } catch (dbError) {
-      console.error('Failed to update participant admission:', dbError.message);
-    }
-    
-    // Real-time notification
-    const notification = {
-      id: Date.now(),
-      type: 'participant_admitted',
-      title: '✅ Participant Admitted',
-      message: `${participant.user_name} has been admitted to the meeting`,
-      timestamp: new Date().toISOString(),
-      meetingId: meetingId,
-      participantData: {
-        name: participant.user_name,
-        email: participant.email || ''
-      }
-    };
-    
-    globalState.notifications.push(notification);
-    if (io) {
-      io.emit('notification', notification);
-      io.to(`meeting_${meetingId}`).emit('participantAdmitted', {
-        participant: {
-          name: participant.user_name,
-          email: participant.email || '',
-          id: participant.id || participant.user_id
-        },
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-  } catch (error) {
-    console.error('Error handling participant admitted:', error);
-  }
-}
-
-// Handle participant put in waiting room
-async function handleParticipantPutInWaitingRoom(payload, io, globalState) {
-  try {
-    const participant = payload.object.participant;
-    const meetingId = payload.object.id.toString();
-    
-    console.log('🚪 Participant put in waiting room:', participant.user_name, 'in meeting', meetingId);
-    
-    // Update participant record
-    try {
-      const Participant = require('../models/Participant');
-      const participantRecord = await Participant.findOne({
-        meetingId: meetingId,
-        $or: [
-          { participantId: participant.id || participant.user_id },
-          { zoomUserId: participant.user_id },
-          { email: participant.email }
-        ],
-        isActive: true
-      });
-      
-      if (participantRecord) {
-        participantRecord.connectionStatus = 'in_waiting_room';
-        participantRecord.lastActivity = new Date();
-        await participantRecord.save();
-        
-        // Update global state
-        globalState.activeParticipants.set(participant.id || participant.user_id, {
-          ...participantRecord.toObject(),
-          lastUpdate: new Date().toISOString()
-        });
-      }
-    } catch (dbError) {
-      console.error('Failed to update participant waiting room status:', dbError.message);
-    }
-    
-    // Real-time notification
-    const notification = {
-      id: Date.now(),
-      type: 'participant_waiting_room',
-      title: '🚪 Participant in Waiting Room',
-      message: `${participant.user_name} has been moved to the waiting room`,
-      timestamp: new Date().toISOString(),
-      meetingId: meetingId,
-      participantData: {
-        name: participant.user_name,
-        email: participant.email || ''
-      }
-    };
-    
-    globalState.notifications.push(notification);
-    if (io) {
-      io.emit('notification', notification);
-      io.to(`meeting_${meetingId}`).emit('participantMovedToWaitingRoom', {
-        participant: {
-          name: participant.user_name,
-          email: participant.email || '',
-          id: participant.id || participant.user_id
-        },
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-  } catch (error) {
-    console.error('Error handling participant put in waiting room:', error);
-  }
-}
-
-// Handle screen sharing started
-async function handleSharingStarted(payload, io, globalState) {
-  try {
-    const participant = payload.object.participant;
-    const meetingId = payload.object.id.toString();
-    
-    console.log('📺 Screen sharing started:', participant?.user_name || 'Host', 'in meeting', meetingId);
-    
-    // Update participant record if it's a participant sharing
-    if (participant) {
-      try {
-        const Participant = require('../models/Participant');
-        const participantRecord = await Participant.findOne({
-          meetingId: meetingId,
-          $or: [
-            { participantId: participant.id || participant.user_id },
-            { zoomUserId: participant.user_id },
-            { email: participant.email }
-          ],
-          isActive: true
-        });
-        
-        if (participantRecord) {
-          participantRecord.sharingScreen = true;
-          participantRecord.lastActivity = new Date();
-          await participantRecord.save();
-          
-          // Update global state
-          globalState.activeParticipants.set(participant.id || participant.user_id, {
-            ...participantRecord.toObject(),
-            lastUpdate: new Date().toISOString()
-          });
-        }
-      } catch (dbError) {
-        console.error('Failed to update sharing status:', dbError.message);
-      }
-    }
-    
-    // Real-time notification
-    const notification = {
-      id: Date.now(),
-      type: 'sharing_started',
-      title: '📺 Screen Sharing Started',
-      message: `${participant?.user_name || 'Host'} started sharing their screen`,
-      timestamp: new Date().toISOString(),
-      meetingId: meetingId,
-      participantData: {
-        name: participant?.user_name || 'Host',
-        email: participant?.email || ''
-      }
-    };
-    
-    globalState.notifications.push(notification);
-    if (io) {
-      io.emit('notification', notification);
-      io.to(`meeting_${meetingId}`).emit('sharingStarted', {
-        participant: {
-          name: participant?.user_name || 'Host',
-          email: participant?.email || '',
-          id: participant?.id || participant?.user_id
-        },
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-  } catch (error) {
-    console.error('Error handling sharing started:', error);
-  }
-}
-
-// Handle screen sharing ended
-async function handleSharingEnded(payload, io, globalState) {
-  try {
-    const participant = payload.object.participant;
-    const meetingId = payload.object.id.toString();
-    
-    console.log('📺 Screen sharing ended:', participant?.user_name || 'Host', 'in meeting', meetingId);
-    
-    // Update participant record if it's a participant sharing
-    if (participant) {
-      try {
-        const Participant = require('../models/Participant');
-        const participantRecord = await Participant.findOne({
-          meetingId: meetingId,
-          $or: [
-            { participantId: participant.id || participant.user_id },
-            { zoomUserId: participant.user_id },
-            { email: participant.email }
-          ],
-          isActive: true
-        });
-        
-        if (participantRecord) {
-          participantRecord.sharingScreen = false;
-          participantRecord.lastActivity = new Date();
-          await participantRecord.save();
-          
-          // Update global state
-          globalState.activeParticipants.set(participant.id || participant.user_id, {
-            ...participantRecord.toObject(),
-            lastUpdate: new Date().toISOString()
-          });
-        }
-      } catch (dbError) {
-        console.error('Failed to update sharing status:', dbError.message);
-      }
-    }
-    
-    // Real-time notification
-    const notification = {
-      id: Date.now(),
-      type: 'sharing_ended',
-      title: '📺 Screen Sharing Ended',
-      message: `${participant?.user_name || 'Host'} stopped sharing their screen`,
-      timestamp: new Date().toISOString(),
-      meetingId: meetingId,
-      participantData: {
-        name: participant?.user_name || 'Host',
-        email: participant?.email || ''
-      }
-    };
-    
-    globalState.notifications.push(notification);
-    if (io) {
-      io.emit('notification', notification);
-      io.to(`meeting_${meetingId}`).emit('sharingEnded', {
-        participant: {
-          name: participant?.user_name || 'Host',
-          email: participant?.email || '',
-          id: participant?.id || participant?.user_id
-        },
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-  } catch (error) {
-    console.error('Error handling sharing ended:', error);
-  }
-}
-
-// Handle recording started
-async function handleRecordingStarted(payload, io, globalState) {
-  try {
-    const meeting = payload.object;
-    const meetingId = meeting.id.toString();
-    
-    console.log('🎥 Recording started for meeting:', meeting.topic, meetingId);
-    
-    // Update meeting state if we have it
-    if (globalState.activeMeetings.has(meetingId)) {
-      const meetingInfo = globalState.activeMeetings.get(meetingId);
-      meetingInfo.recording = true;
-      meetingInfo.recordingStarted = new Date().toISOString();
-      globalState.activeMeetings.set(meetingId, meetingInfo);
-    }
-    
-    // Real-time notification
-    const notification = {
-      id: Date.now(),
-      type: 'recording_started',
-      title: '🎥 Recording Started',
-      message: `Recording has started for meeting "${meeting.topic}"`,
-      timestamp: new Date().toISOString(),
-      meetingId: meetingId
-    };
-    
-    globalState.notifications.push(notification);
-    if (io) {
-      io.emit('notification', notification);
-      io.to(`meeting_${meetingId}`).emit('recordingStarted', {
-        meeting: {
-          id: meetingId,
-          topic: meeting.topic
-        },
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-  } catch (error) {
-    console.error('Error handling recording started:', error);
-  }
-}
-
-// Handle recording stopped
-async function handleRecordingStopped(payload, io, globalState) {
-  try {
-    const meeting = payload.object;
-    const meetingId = meeting.id.toString();
-    
-    console.log('🎥 Recording stopped for meeting:', meeting.topic, meetingId);
-    
-    // Update meeting state if we have it
-    if (globalState.activeMeetings.has(meetingId)) {
-      const meetingInfo = globalState.activeMeetings.get(meetingId);
-      meetingInfo.recording = false;
-      meetingInfo.recordingStopped = new Date().toISOString();
-      globalState.activeMeetings.set(meetingId, meetingInfo);
-    }
-    
-    // Real-time notification
-    const notification = {
-      id: Date.now(),
-      type: 'recording_stopped',
-      title: '🎥 Recording Stopped',
-      message: `Recording has stopped for meeting "${meeting.topic}"`,
-      timestamp: new Date().toISOString(),
-      meetingId: meetingId
-    };
-    
-    globalState.notifications.push(notification);
-    if (io) {
-      io.emit('notification', notification);
-      io.to(`meeting_${meetingId}`).emit('recordingStopped', {
-        meeting: {
-          id: meetingId,
-          topic: meeting.topic
-        },
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-  } catch (error) {
-    console.error('Error handling recording stopped:', error);
-  }
-}
-
-// Helper function to determine device type
-function determineDevice(participant) {
-  // This is a simplified device detection - you can enhance based on Zoom's participant data
-  if (participant.device) {
-    return participant.device;
-  }
-  // Default fallback
-  return 'Unknown';
-}
-
-// Auto-generate attendance records when meeting ends
-async function autoGenerateAttendance(meetingId) {
-  try {
-    console.log('📊 Auto-generating attendance for meeting:', meetingId);
-    
-    const Participant = require('../models/Participant');
-    const Attendance = require('../models/Attendance');
-    
-    // Get all participants for this meeting
-    const participants = await Participant.find({ meetingId }).populate('studentId');
-    
-    for (const participant of participants) {
-      if (participant.studentId && participant.duration > 0) {
-        // Create attendance record
-        const attendanceRecord = new Attendance({
-          StudentID: participant.studentId,
-          Date: participant.joinTime || new Date(),
-          Status: participant.attendanceStatus || 'Present',
-          Remarks: `Zoom meeting attendance: ${participant.duration} minutes in "${participant.meetingTopic}"`
-        });
-        
-        try {
-          await attendanceRecord.save();
-          console.log(`✅ Attendance recorded for student ${participant.studentId}`);
-        } catch (attendanceError) {
-          console.error(`Failed to save attendance for ${participant.studentId}:`, attendanceError.message);
-        }
-      }
-    }
-    
-  } catch (error) {
-    console.error('Error in auto-generating attendance:', error);
-  }
-}
-
+// Legacy webhook URL - delegates to the unified ingestion pipeline (/api/webhooks/zoom)
+router.post('/webhook', zoomWebhookHandler);
 
 // Helper function to calculate attendance percentage
 function calculateAttendancePercentage(actualMinutes, expectedMinutes) {
@@ -2519,7 +1482,7 @@ function determineConnectionQuality(participant) {
 }
 
 // Bulk update participant data from Zoom webhooks or API polling
-router.post('/update-participants-bulk', async (req, res) => {
+router.post('/update-participants-bulk', auth, requirePermission('attendance:write', { meeting: bodyMeeting }), async (req, res) => {
   try {
     const { meetingId, participants, source = 'api_poll' } = req.body;
     
@@ -2672,30 +1635,20 @@ router.post('/update-participants-bulk', async (req, res) => {
 });
 
 // Test minimal Zoom API access (doesn't require meeting scopes)
-router.get('/test-minimal', async (req, res) => {
+router.get('/test-minimal', auth, requirePermission('system:manage'), async (req, res) => {
   try {
-    const accessToken = await getZoomAccessToken();
-    
     // Test with minimal API call that doesn't need meeting scopes
-    const userResponse = await axios.get(
-      'https://api.zoom.us/v2/users/me',
-      {
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
+    const user = await zoomClient.getUser();
     
     res.json({ 
       success: true,
       message: 'Token works for basic user info',
       user: {
-        id: userResponse.data.id,
-        first_name: userResponse.data.first_name,
-        last_name: userResponse.data.last_name,
-        email: userResponse.data.email,
-        account_id: userResponse.data.account_id
+        id: user.id,
+        first_name: user.first_name,
+        last_name: user.last_name,
+        email: user.email,
+        account_id: user.account_id
       },
       token_info: {
         account_id: ZOOM_ACCOUNT_ID,
@@ -2714,25 +1667,15 @@ router.get('/test-minimal', async (req, res) => {
 });
 
 // Test meeting scopes specifically
-router.get('/test-meeting-scopes', async (req, res) => {
+router.get('/test-meeting-scopes', auth, requirePermission('system:manage'), async (req, res) => {
   try {
-    const accessToken = await getZoomAccessToken();
-    
     // Try to list meetings - this requires meeting scopes
-    const meetingsResponse = await axios.get(
-      'https://api.zoom.us/v2/users/me/meetings?type=scheduled&page_size=10',
-      {
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
+    const meetingsResponse = await zoomClient.listMeetings({ type: 'scheduled', page_size: 10 });
     
     res.json({ 
       success: true,
       message: 'Meeting scopes are working correctly',
-      meetings_count: meetingsResponse.data.meetings?.length || 0,
+      meetings_count: meetingsResponse.meetings?.length || 0,
       scopes_working: [
         'meeting:read:list_meetings',
         'meeting:read:meeting'
@@ -2761,36 +1704,18 @@ router.get('/test-meeting-scopes', async (req, res) => {
 });
 
 // Route to get all meetings (for dashboard)
-router.get('/meetings', async (req, res) => {
+router.get('/meetings', auth, requirePermission('meetings:read'), async (req, res) => {
   try {
-    const accessToken = await getZoomAccessToken();
-    
     // Get meetings from Zoom API
-    const meetingsResponse = await axios.get(
-      'https://api.zoom.us/v2/users/me/meetings?type=live&page_size=100',
-      {
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
+    const meetingsResponse = await zoomClient.listMeetings({ type: 'live', page_size: 100 });
     
     // Also get scheduled meetings
-    const scheduledResponse = await axios.get(
-      'https://api.zoom.us/v2/users/me/meetings?type=scheduled&page_size=100',
-      {
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
+    const scheduledResponse = await zoomClient.listMeetings({ type: 'scheduled', page_size: 100 });
     
     // Combine meetings
     const allMeetings = [
-      ...(meetingsResponse.data.meetings || []),
-      ...(scheduledResponse.data.meetings || [])
+      ...(meetingsResponse.meetings || []),
+      ...(scheduledResponse.meetings || [])
     ];
     
     // Sort by creation date
@@ -2850,7 +1775,7 @@ router.get('/meetings', async (req, res) => {
 });
 
 // Real-time endpoint for active meetings and participants
-router.get('/real-time', (req, res) => {
+router.get('/real-time', auth, requirePermission('system:monitor'), (req, res) => {
   try {
     const { globalState } = require('../server');
     
@@ -2925,7 +1850,7 @@ router.get('/real-time', (req, res) => {
 });
 
 // Test endpoint to manually register an active meeting in global state
-router.post('/test-register-meeting', (req, res) => {
+router.post('/test-register-meeting', auth, requirePermission('system:manage'), (req, res) => {
   try {
     const { globalState } = require('../server');
     const io = req.app.get('io');
@@ -2997,7 +1922,7 @@ router.post('/test-register-meeting', (req, res) => {
 router.get('/health', async (req, res) => {
   try {
     // Check if we can get a token
-    const token = await zoomService.getAccessToken();
+    await zoomClient.getAccessToken();
     
     res.json({
       status: 'healthy',
@@ -3018,7 +1943,7 @@ router.get('/health', async (req, res) => {
 });
 
 // GET /api/zoom/meeting/:meetingId/live-participants - Get live participants for admin dashboard
-router.get('/meeting/:meetingId/live-participants', async (req, res) => {
+router.get('/meeting/:meetingId/live-participants', auth, requirePermission('attendance:read', { meeting: meetingParam }), async (req, res) => {
   try {
     const { meetingId } = req.params;
     
@@ -3043,7 +1968,7 @@ router.get('/meeting/:meetingId/live-participants', async (req, res) => {
       // If not found, try as Zoom meeting ID
       if (!meeting) {
         console.log(`📋 Trying to find by meetingId field...`);
-        meeting = await ZoomMeeting.findOne({ meetingId: meetingId });
+        meeting = await ZoomMeeting.findOccurrence(meetingId);
         console.log(`📋 meetingId field search result:`, meeting ? 'FOUND' : 'NOT FOUND');
       }
       
@@ -3207,7 +2132,7 @@ router.get('/meeting/:meetingId/live-participants', async (req, res) => {
 });
 
 // POST /api/zoom/join-tracking - Store join tracking data
-router.post('/join-tracking', (req, res) => {
+router.post('/join-tracking', auth, requirePermission('meetings:join'), (req, res) => {
   try {
     const { globalState } = require('../server');
     const io = req.app.get('io');
@@ -3298,7 +2223,7 @@ router.post('/join-tracking', (req, res) => {
 });
 
 // GET /api/zoom/join-tracking - Retrieve all join tracking data
-router.get('/join-tracking', async (req, res) => {
+router.get('/join-tracking', auth, requirePermission('attendance:read', { meeting: req => req.query.meetingId }), async (req, res) => {
   try {
     const { globalState } = require('../server');
     const { 
@@ -3310,11 +2235,20 @@ router.get('/join-tracking', async (req, res) => {
     console.log('📊 [Join Tracking API] Total records available:', globalState.joinTracking.length);
     
     // Get query parameters for filtering
-    const { meetingId, userId, limit = 50, threshold = 85 } = req.query;
-    const attendanceThreshold = parseFloat(threshold);
+    const { meetingId, userId, limit = 50, threshold } = req.query;
+    const policy = withPresentThreshold(
+      await attendancePolicyService.resolveForMeeting(meetingId),
+      threshold !== undefined ? parseFloat(threshold) : undefined
+    );
+    const attendanceThreshold = policy.thresholds.present;
     
     let trackingData = [...globalState.joinTracking];
     
+    const accessibleMeetingIds = await accessControlService.accessibleMeetingIds(req.user, 'attendance:read');
+    if (accessibleMeetingIds) {
+      trackingData = trackingData.filter(item => accessibleMeetingIds.includes(String(item.meetingId)));
+    }
+    
     // Filter by meetingId if provided
     if (meetingId) {
       trackingData = trackingData.filter(item => item.meetingId === meetingId);
@@ -3341,7 +2275,7 @@ router.get('/join-tracking', async (req, res) => {
       try {
         // First try to get from ZoomMeeting model
         const ZoomMeeting = require('../models/ZoomMeeting');
-        const meeting = await ZoomMeeting.findOne({ meetingId: meetingId.toString() });
+        const meeting = await ZoomMeeting.findOccurrence(meetingId.toString());
         
         if (meeting) {
           meetingInfo = {
@@ -3374,12 +2308,12 @@ router.get('/join-tracking', async (req, res) => {
         item.isActive || false
       );
       
-      // Determine attendance status based on 85% threshold
+      // Determine attendance status under the meeting's attendance policy
       const attendanceStatus = determineSessionBasedAttendanceStatus(
         attendancePercentage,
         item.isActive || false,
         sessionDuration,
-        attendanceThreshold
+        policy
       );
       
       // Check if participant meets the threshold
@@ -3473,7 +2407,7 @@ router.get('/join-tracking', async (req, res) => {
 });
 
 // DELETE /api/zoom/join-tracking - Clear all join tracking data
-router.delete('/join-tracking', (req, res) => {
+router.delete('/join-tracking', auth, requirePermission('system:manage'), (req, res) => {
   try {
     const { globalState } = require('../server');
     const io = req.app.get('io');
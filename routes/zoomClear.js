@@ -1,12 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const ZoomMeeting = require('../models/ZoomMeeting');
+const { auth, requirePermission } = require('../middleware/auth');
 
 /**
  * Clear all Zoom-related data
  * POST /api/zoom/clear-all
  */
-router.post('/clear-all', async (req, res) => {
+router.post('/clear-all', auth, requirePermission('system:manage'), async (req, res) => {
   try {
     console.log('🧹 Clear Zoom Data: Starting clear operation');
     
@@ -93,7 +94,7 @@ router.post('/clear-all', async (req, res) => {
  * Clear specific meeting data
  * POST /api/zoom/clear-meeting/:meetingId
  */
-router.post('/clear-meeting/:meetingId', async (req, res) => {
+router.post('/clear-meeting/:meetingId', auth, requirePermission('attendance:delete', { meeting: req => req.params.meetingId }), async (req, res) => {
   try {
     const { meetingId } = req.params;
     console.log(`🧹 Clear Meeting Data: Starting clear for meeting ${meetingId}`);
@@ -183,7 +184,7 @@ router.post('/clear-meeting/:meetingId', async (req, res) => {
  * Get clear operation status/history
  * GET /api/zoom/clear-status
  */
-router.get('/clear-status', async (req, res) => {
+router.get('/clear-status', auth, requirePermission('system:monitor'), async (req, res) => {
   try {
     const globalState = req.app.get('globalState');
     
@@ -9,6 +9,10 @@ const {
   calculateSessionBasedAttendancePercentage,
   determineSessionBasedAttendanceStatus
 } = require('../utils/attendanceUtils');
+const { withPresentThreshold } = require('../utils/attendancePolicyEngine');
+const attendancePolicyService = require('../services/attendancePolicyService');
+const accessControlService = require('../services/accessControlService');
+const { auth, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -34,11 +38,10 @@ router.get('/health', (req, res) => {
  * GET /api/attendance-tracker/zoom-duration-attendance/:meetingId
  * Get Zoom meeting attendance data filtered by duration threshold
  */
-router.get('/zoom-duration-attendance/:meetingId', async (req, res) => {
+router.get('/zoom-duration-attendance/:meetingId', auth, requirePermission('attendance:read', { meeting: req => req.params.meetingId }), async (req, res) => {
   try {
     const { meetingId } = req.params;
-    const { threshold = 85 } = req.query;
-    const attendanceThreshold = parseFloat(threshold);
+    const { threshold } = req.query;
 
     if (!meetingId) {
       return res.status(400).json({
@@ -48,11 +51,18 @@ router.get('/zoom-duration-attendance/:meetingId', async (req, res) => {
       });
     }
 
+    // The meeting's course policy applies; ?threshold= overrides its present percentage
+    const policy = withPresentThreshold(
+      await attendancePolicyService.resolveForMeeting(meetingId),
+      threshold !== undefined ? parseFloat(threshold) : undefined
+    );
+    const attendanceThreshold = policy.thresholds.present;
+
     // Get meeting information first
     let meetingInfo = {};
     try {
       // Try to find meeting in ZoomMeeting collection
-      const zoomMeeting = await ZoomMeeting.findOne({ meetingId: meetingId.toString() });
+      const zoomMeeting = await ZoomMeeting.findOccurrence(meetingId);
       if (zoomMeeting) {
         meetingInfo = {
           meetingId: zoomMeeting.meetingId,
@@ -143,12 +153,12 @@ router.get('/zoom-duration-attendance/:meetingId', async (req, res) => {
         hasActiveSessions
       );
 
-      // Determine status based on 85% threshold
+      // Determine status under the meeting's attendance policy
       const attendanceStatus = determineSessionBasedAttendanceStatus(
         attendancePercentage,
         hasActiveSessions,
         totalSessionDuration,
-        attendanceThreshold
+        policy
       );
 
       // Check if participant meets the threshold
@@ -244,10 +254,13 @@ router.get('/zoom-duration-attendance/:meetingId', async (req, res) => {
  * GET /api/attendance-tracker/zoom-meetings-with-attendance
  * Get list of Zoom meetings with basic attendance info
  */
-router.get('/zoom-meetings-with-attendance', async (req, res) => {
+router.get('/zoom-meetings-with-attendance', auth, requirePermission('attendance:read'), async (req, res) => {
   try {
+    const accessibleMeetingIds = await accessControlService.accessibleMeetingIds(req.user, 'attendance:read');
+
     // Get all zoom meetings with participant counts
     const meetingsWithCounts = await Participant.aggregate([
+      { $match: accessibleMeetingIds ? { meetingId: { $in: accessibleMeetingIds } } : {} },
       {
         $group: {
           _id: '$meetingId',
@@ -315,7 +328,7 @@ router.get('/zoom-meetings-with-attendance', async (req, res) => {
  * POST /api/attendance-tracker/generate-test-data
  * Generate test data for debugging attendance issues
  */
-router.post('/generate-test-data', async (req, res) => {
+router.post('/generate-test-data', auth, requirePermission('system:manage'), async (req, res) => {
   try {
     const { meetingId } = req.body;
     
@@ -364,7 +377,7 @@ router.post('/generate-test-data', async (req, res) => {
  * DELETE /api/attendance-tracker/cleanup-test-data
  * Clean up test data
  */
-router.delete('/cleanup-test-data', async (req, res) => {
+router.delete('/cleanup-test-data', auth, requirePermission('system:manage'), async (req, res) => {
   try {
     const { cleanupTestData } = require('../utils/testDataGenerator');
     await cleanupTestData();
@@ -389,13 +402,17 @@ router.delete('/cleanup-test-data', async (req, res) => {
  * GET /api/attendance-tracker/zoom-attendance-summary
  * Get overall attendance summary across all Zoom meetings
  */
-router.get('/zoom-attendance-summary', async (req, res) => {
+router.get('/zoom-attendance-summary', auth, requirePermission('attendance:read'), async (req, res) => {
   try {
     const { threshold = 85, dateFrom, dateTo } = req.query;
     const attendanceThreshold = parseFloat(threshold);
 
-    // Build date filter
+    // Build date filter, limited to the meetings the user may see
     let dateFilter = {};
+    const accessibleMeetingIds = await accessControlService.accessibleMeetingIds(req.user, 'attendance:read');
+    if (accessibleMeetingIds) {
+      dateFilter.meetingId = { $in: accessibleMeetingIds };
+    }
     if (dateFrom || dateTo) {
       dateFilter.joinTime = {};
       if (dateFrom) dateFilter.joinTime.$gte = new Date(dateFrom);
@@ -419,6 +436,7 @@ router.get('/zoom-attendance-summary', async (req, res) => {
 
     // Get meeting statistics
     const meetingStats = await ZoomMeeting.aggregate([
+      { $match: accessibleMeetingIds ? { meetingId: { $in: accessibleMeetingIds } } : {} },
       {
         $group: {
           _id: null,
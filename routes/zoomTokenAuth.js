@@ -1,12 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const jwt = require('jsonwebtoken');
-const axios = require('axios');
 const ZoomMeeting = require('../models/ZoomMeeting');
 const ZoomAttendance = require('../models/ZoomAttendance');
 const AttendanceSession = require('../models/AttendanceSession');
 const auth = require('../middleware/auth');
 const attendanceTrackingService = require('../services/attendanceTrackingService');
+const zoomClient = require('../services/zoomClient');
 
 // Middleware to validate user token
 const validateUserToken = async (req, res, next) => {
@@ -282,14 +282,10 @@ router.post('/meeting/create-with-tracking', validateUserToken, async (req, res)
       duration
     });
 
-    // Create meeting via Zoom API
-    const zoomApiUrl = 'https://api.zoom.us/v2/users/me/meetings';
-    const zoomToken = process.env.ZOOM_API_TOKEN || process.env.ZOOM_ACCESS_TOKEN;
-
-    if (!zoomToken) {
+    if (!zoomClient.hasCredentials()) {
       return res.status(500).json({
         success: false,
-        error: 'Zoom API token not configured'
+        error: 'Zoom API credentials not configured'
       });
     }
 
@@ -309,14 +305,8 @@ router.post('/meeting/create-with-tracking', validateUserToken, async (req, res)
       }
     };
 
-    const zoomResponse = await axios.post(zoomApiUrl, meetingPayload, {
-      headers: {
-        'Authorization': `Bearer ${zoomToken}`,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    const zoomMeeting = zoomResponse.data;
+    // Create meeting via Zoom API
+    const zoomMeeting = await zoomClient.createMeeting(meetingPayload);
 
     // Save meeting to database
     const meeting = new ZoomMeeting({
@@ -171,8 +171,8 @@ async function handleMeetingStarted(payload, io) {
 
     // Update meeting status in database
     const ZoomMeeting = require('../models/ZoomMeeting');
-    await ZoomMeeting.findOneAndUpdate(
-      { meetingId: meetingId?.toString() },
+    await ZoomMeeting.updateOccurrence(
+      payload.object?.uuid || meetingId,
       {
         $set: {
           status: 'started',
@@ -210,8 +210,8 @@ async function handleMeetingEnded(payload, io) {
     const ZoomMeeting = require('../models/ZoomMeeting');
     const Participant = require('../models/Participant');
 
-    await ZoomMeeting.findOneAndUpdate(
-      { meetingId: meetingId?.toString() },
+    await ZoomMeeting.updateOccurrence(
+      payload.object?.uuid || meetingId,
       {
         $set: {
           status: 'ended',
@@ -331,7 +331,7 @@ router.post('/test/participant-leave', async (req, res) => {
 router.get('/participants/:meetingId', async (req, res) => {
   try {
     const { meetingId } = req.params;
-    const { threshold = 85 } = req.query;
+    const { threshold } = req.query;
 
     const io = req.app.get('io');
     if (!participantTracker) {
@@ -1,9 +1,14 @@
 const express = require('express');
 const WebhookValidator = require('../services/webhookValidator');
 const WebhookEventHandler = require('../services/webhookEventHandler');
+const WebhookIngestionService = require('../services/webhookIngestionService');
+const RealTimeParticipantTracker = require('../services/realTimeParticipantTracker');
 const ReconciliationService = require('../services/reconciliationService');
+const jobService = require('../services/jobService');
 const ZoomAttendance = require('../models/ZoomAttendance');
 const ZoomMeeting = require('../models/ZoomMeeting');
+const WebhookEvent = require('../models/WebhookEvent');
+const { auth, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -11,61 +16,94 @@ const router = express.Router();
 const webhookValidator = new WebhookValidator();
 const reconciliationService = new ReconciliationService();
 let webhookEventHandler = null; // Will be initialized with io and globalState
+let ingestionService = null;
+let ingestionHandler = null;
+
+// Queued by WebhookEventHandler a few minutes after meeting.ended
+jobService.define('meeting.reconcile', async ({ meetingId, meetingUuid }) => {
+  const result = await reconciliationService.reconcileMeetingAttendance(meetingId, { source: 'job', meetingUuid });
+  if (!result.success) {
+    // Zoom API failures come back in the reconciliation errors
+    throw new Error(result.error || result.reconciliation?.errors?.[0]?.error || 'Reconciliation failed');
+  }
+  return {
+    meetingId: result.meetingId,
+    meetingUuid: result.meetingUuid,
+    webhook: result.webhook,
+    api: result.api,
+    reconciliation: result.reconciliation
+  };
+}, {
+  description: 'Reconcile webhook attendance with Zoom\'s past meeting report',
+  concurrency: 2,
+  backoffMs: 5 * 60 * 1000
+});
+
+// Events logged but never dispatched, e.g. an instance stopped between persisting
+// and dispatching them. Shared schedule: one instance per period picks them up
+const RESUME_PENDING_EVERY_MS = 5 * 60 * 1000;
+jobService.define('webhooks.resume-pending', async ({ olderThanMs }) => {
+  if (!ingestionService) {
+    throw new Error('Webhook ingestion pipeline not initialized');
+  }
+  return ingestionService.resumePending(olderThanMs);
+}, {
+  description: 'Dispatch logged webhook events that were never processed'
+});
 
 /**
  * Initialize webhook routes with Socket.IO and global state
+ * Builds the single ingestion pipeline and registers its subscribers.
  * @param {Object} io - Socket.IO instance
  * @param {Object} globalState - Global application state
+ * @param {Object} options - { unifiedTracker } shared UnifiedAttendanceTracker instance
  */
-function initializeWebhookRoutes(io, globalState) {
+function initializeWebhookRoutes(io, globalState, options = {}) {
   webhookEventHandler = new WebhookEventHandler(io, globalState);
-  console.log('✅ Webhook routes initialized with Socket.IO');
-}
+  const participantTracker = new RealTimeParticipantTracker(io);
 
-/**
- * POST /api/webhooks/zoom
- * Main webhook endpoint - handles all Zoom webhook events
- */
-router.post('/zoom', webhookValidator.validateWebhookMiddleware(), async (req, res) => {
-  try {
-    console.log(`🎯 Processing webhook: ${req.zoomEvent.eventType}`);
-    
-    // Log the webhook event for debugging
-    webhookValidator.logWebhookEvent(req.zoomEvent);
+  ingestionService = new WebhookIngestionService(io, webhookValidator);
+  ingestionService.subscribe('webhookEventHandler', event => webhookEventHandler.processWebhookEvent(event));
+  if (options.unifiedTracker) {
+    ingestionService.subscribe('unifiedAttendanceTracker', event => options.unifiedTracker.handleWebhookEvent(event));
+  }
+  ingestionService.subscribe('realTimeParticipantTracker', event => participantTracker.handleWebhookEvent(event));
 
-    // Process the webhook event
-    let result = { success: false, message: 'Event handler not initialized' };
-    
-    if (webhookEventHandler) {
-      result = await webhookEventHandler.processWebhookEvent(req.zoomEvent);
-    }
+  ingestionHandler = ingestionService.handleRequest();
 
-    // Send response to Zoom
-    res.status(200).json({
-      message: 'Webhook processed successfully',
-      eventType: req.zoomEvent.eventType,
-      meetingId: req.zoomEvent.meetingId,
-      processed: result.success,
-      timestamp: new Date().toISOString()
-    });
+  // Events still unprocessed after a full period are not being dispatched anywhere
+  jobService.schedule('webhooks.resume-pending', RESUME_PENDING_EVERY_MS, {
+    data: { olderThanMs: RESUME_PENDING_EVERY_MS }
+  });
 
-    console.log(`${result.success ? '✅' : '❌'} Webhook processing ${result.success ? 'completed' : 'failed'}`);
+  console.log('✅ Webhook routes initialized with Socket.IO');
+}
 
-  } catch (error) {
-    console.error('❌ Error processing webhook:', error);
-    res.status(500).json({
-      error: 'Internal server error',
-      message: error.message,
-      timestamp: new Date().toISOString()
+/**
+ * Route handler for every URL Zoom may be configured with
+ * Legacy webhook URLs delegate here so each event is processed exactly once.
+ */
+function zoomWebhookHandler(req, res) {
+  if (!ingestionHandler) {
+    return res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Webhook ingestion pipeline not initialized'
     });
   }
-});
+  return ingestionHandler(req, res);
+}
+
+/**
+ * POST /api/webhooks/zoom
+ * Main webhook endpoint - handles all Zoom webhook events
+ */
+router.post('/zoom', zoomWebhookHandler);
 
 /**
  * GET /api/webhooks/webhook-config
  * Get webhook configuration information
  */
-router.get('/webhook-config', (req, res) => {
+router.get('/webhook-config', auth, requirePermission('system:monitor'), (req, res) => {
   try {
     const config = webhookValidator.validateConfiguration();
     const baseUrl = process.env.FRONTEND_URL || req.get('origin') || `${req.protocol}://${req.get('host')}`;
@@ -96,7 +134,7 @@ router.get('/webhook-config', (req, res) => {
  * POST /api/webhooks/test-webhook
  * Test webhook functionality with sample data
  */
-router.post('/test-webhook', async (req, res) => {
+router.post('/test-webhook', auth, requirePermission('system:manage'), async (req, res) => {
   try {
     const { event, payload } = req.body;
 
@@ -146,7 +184,7 @@ router.post('/test-webhook', async (req, res) => {
  * GET /api/zoom/attendance/:meetingId
  * Get real-time attendance data for a meeting
  */
-router.get('/attendance/:meetingId', async (req, res) => {
+router.get('/attendance/:meetingId', auth, requirePermission('attendance:read', { meeting: req => req.params.meetingId }), async (req, res) => {
   try {
     const { meetingId } = req.params;
     const { format = 'json' } = req.query;
@@ -197,15 +235,13 @@ router.get('/attendance/:meetingId', async (req, res) => {
  * POST /api/zoom/reconcile/:meetingId
  * Manually trigger reconciliation for a specific meeting
  */
-router.post('/reconcile/:meetingId', async (req, res) => {
+router.post('/reconcile/:meetingId', auth, requirePermission('attendance:write', { meeting: req => req.params.meetingId }), async (req, res) => {
   try {
     const { meetingId } = req.params;
     const { force = false } = req.query;
 
     // Check if meeting exists and hasn't been reconciled (unless forced)
-    const meeting = await ZoomMeeting.findOne({
-      $or: [{ meetingId }, { meetingUuid: meetingId }]
-    });
+    const meeting = await ZoomMeeting.findOccurrence(meetingId);
 
     if (!meeting) {
       return res.status(404).json({
@@ -225,7 +261,7 @@ router.post('/reconcile/:meetingId', async (req, res) => {
     }
 
     console.log(`🔄 Manual reconciliation requested for meeting: ${meetingId}`);
-    const result = await reconciliationService.reconcileMeetingAttendance(meetingId);
+    const result = await reconciliationService.reconcileMeetingAttendance(meetingId, { meetingUuid: meeting.meetingUuid });
 
     res.json({
       success: result.success,
@@ -254,10 +290,10 @@ router.post('/reconcile/:meetingId', async (req, res) => {
  * GET /api/zoom/reconciliation-queue
  * Get current reconciliation queue status
  */
-router.get('/reconciliation-queue', (req, res) => {
+router.get('/reconciliation-queue', auth, requirePermission('system:monitor'), async (req, res) => {
   try {
-    const queue = webhookEventHandler ? webhookEventHandler.getReconciliationQueue() : [];
-    const stats = webhookEventHandler ? webhookEventHandler.getProcessingStats() : {};
+    const queue = webhookEventHandler ? await webhookEventHandler.getReconciliationQueue() : [];
+    const stats = webhookEventHandler ? await webhookEventHandler.getProcessingStats() : {};
 
     res.json({
       queue: queue,
@@ -275,9 +311,9 @@ router.get('/reconciliation-queue', (req, res) => {
 
 /**
  * POST /api/zoom/process-reconciliation-queue
- * Process all queued meetings for reconciliation
+ * Run all queued reconciliation jobs now instead of after their delay
  */
-router.post('/process-reconciliation-queue', async (req, res) => {
+router.post('/process-reconciliation-queue', auth, requirePermission('system:manage'), async (req, res) => {
   try {
     if (!webhookEventHandler) {
       return res.status(503).json({
@@ -285,7 +321,7 @@ router.post('/process-reconciliation-queue', async (req, res) => {
       });
     }
 
-    const queue = webhookEventHandler.getReconciliationQueue();
+    const queue = await webhookEventHandler.getReconciliationQueue();
     
     if (queue.length === 0) {
       return res.json({
@@ -297,23 +333,16 @@ router.post('/process-reconciliation-queue', async (req, res) => {
     }
 
     console.log(`🔄 Processing reconciliation queue: ${queue.length} meetings`);
-    const results = await reconciliationService.processReconciliationQueue(queue);
-
-    // Remove processed meetings from queue
-    results.forEach(result => {
-      if (result.success) {
-        webhookEventHandler.removeFromReconciliationQueue(result.meetingId);
-      }
-    });
-
-    const successful = results.filter(r => r.success).length;
-    const failed = results.filter(r => !r.success).length;
+    const jobs = [];
+    for (const job of queue) {
+      const retried = await jobService.retryJob(job.id);
+      if (retried) jobs.push(retried);
+    }
 
     res.json({
       success: true,
-      message: `Processed reconciliation queue: ${successful} successful, ${failed} failed`,
-      results: results,
-      summary: { successful, failed, total: results.length },
+      message: `Started ${jobs.length} reconciliation jobs; follow them at /api/jobs?name=meeting.reconcile`,
+      jobs: jobs.map(job => ({ id: job.id, meetingId: job.data.meetingId, meetingUuid: job.data.meetingUuid || null, status: job.status })),
       timestamp: new Date().toISOString()
     });
 
@@ -329,17 +358,20 @@ router.post('/process-reconciliation-queue', async (req, res) => {
 
 /**
  * DELETE /api/zoom/reconciliation-queue
- * Clear the reconciliation queue
+ * Cancel every queued reconciliation job
  */
-router.delete('/reconciliation-queue', (req, res) => {
+router.delete('/reconciliation-queue', auth, requirePermission('system:manage'), async (req, res) => {
   try {
     if (webhookEventHandler) {
-      const queueSize = webhookEventHandler.getReconciliationQueue().length;
-      webhookEventHandler.reconciliationQueue = [];
+      const queue = await webhookEventHandler.getReconciliationQueue();
+      let removed = 0;
+      for (const job of queue) {
+        if (await jobService.cancelJob(job.id)) removed++;
+      }
       
       res.json({
         success: true,
-        message: `Cleared reconciliation queue (${queueSize} items removed)`,
+        message: `Cleared reconciliation queue (${removed} items removed)`,
         timestamp: new Date().toISOString()
       });
     } else {
@@ -356,7 +388,7 @@ router.delete('/reconciliation-queue', (req, res) => {
  * GET /api/zoom/reconciliation-stats
  * Get reconciliation statistics
  */
-router.get('/reconciliation-stats', async (req, res) => {
+router.get('/reconciliation-stats', auth, requirePermission('system:monitor'), async (req, res) => {
   try {
     const stats = await reconciliationService.getReconciliationStats();
     res.json(stats);
@@ -366,64 +398,30 @@ router.get('/reconciliation-stats', async (req, res) => {
 });
 
 /**
- * GET /api/zoom/webhook-events/:meetingId
- * Get webhook events for a specific meeting
+ * GET /api/webhooks/webhook-events/:meetingId
+ * Get logged webhook events for a specific meeting
  */
-router.get('/webhook-events/:meetingId', async (req, res) => {
+router.get('/webhook-events/:meetingId', auth, requirePermission('attendance:read', { meeting: req => req.params.meetingId }), async (req, res) => {
   try {
     const { meetingId } = req.params;
-    const { limit = 50 } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
 
-    // Get meeting
-    const meeting = await ZoomMeeting.findOne({
-      $or: [{ meetingId }, { meetingUuid: meetingId }]
-    });
+    const meeting = await ZoomMeeting.findOccurrence(meetingId);
 
     if (!meeting) {
       return res.status(404).json({ error: 'Meeting not found' });
     }
 
-    // Get attendance records with webhook events
-    const attendanceRecords = await ZoomAttendance.find({
-      meetingUuid: meeting.meetingUuid
-    })
-    .sort({ createdAt: -1 })
-    .limit(parseInt(limit));
-
-    // Extract all webhook events
-    const allEvents = [];
-    attendanceRecords.forEach(record => {
-      record.webhookEvents.forEach(event => {
-        allEvents.push({
-          participantName: record.participantName,
-          participantEmail: record.participantEmail,
-          eventType: event.eventType,
-          timestamp: event.timestamp,
-          processed: event.processed,
-          attendanceId: record._id
-        });
-      });
-    });
-
-    // Add meeting-level webhook events
-    meeting.webhookEvents.forEach(event => {
-      allEvents.push({
-        eventType: event.eventType,
-        timestamp: event.timestamp,
-        processed: event.processed,
-        source: event.source,
-        meetingLevel: true
-      });
-    });
-
-    // Sort by timestamp
-    allEvents.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    const events = await WebhookEvent.find({ meetingId: meeting.meetingId })
+      .select('-payload')
+      .sort({ eventTime: -1 })
+      .limit(limit);
 
     res.json({
       meetingId: meeting.meetingId,
       meetingTopic: meeting.topic,
-      totalEvents: allEvents.length,
-      events: allEvents.slice(0, limit),
+      totalEvents: await WebhookEvent.countDocuments({ meetingId: meeting.meetingId }),
+      events,
       timestamp: new Date().toISOString()
     });
 
@@ -433,30 +431,134 @@ router.get('/webhook-events/:meetingId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/webhooks/events
+ * Query the webhook event log
+ * Filters: meetingId, eventType, status, from, to, page, limit
+ */
+router.get('/events', auth, requirePermission('system:monitor'), async (req, res) => {
+  try {
+    const { meetingId, eventType, status, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    const query = {};
+    if (meetingId) query.meetingId = meetingId;
+    if (eventType) query.eventType = eventType;
+    if (status) query.status = status;
+    if (from || to) {
+      query.eventTime = {};
+      if (from) query.eventTime.$gte = new Date(from);
+      if (to) query.eventTime.$lte = new Date(to);
+    }
+
+    const [events, total] = await Promise.all([
+      WebhookEvent.find(query)
+        .sort({ eventTime: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookEvent.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      events,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error querying webhook events:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/webhooks/replay
+ * Replay logged events for a meeting, a time range or a status (e.g. "failed")
+ * Body: { meetingId, meetingUuid, from, to, status, rebuild, subscribers }
+ * rebuild deletes the occurrence's ZoomAttendance records before replaying so
+ * they are recalculated from the event log; a meeting ID with several
+ * occurrences needs the meetingUuid of the one to rebuild.
+ */
+router.post('/replay', auth, requirePermission('system:manage'), async (req, res) => {
+  try {
+    if (!ingestionService) {
+      return res.status(503).json({
+        success: false,
+        error: 'Webhook ingestion pipeline not initialized'
+      });
+    }
+
+    const { meetingId, meetingUuid, from, to, status, rebuild = false } = req.body;
+    if (!meetingId && !meetingUuid && !from && !to && !status) {
+      return res.status(400).json({
+        success: false,
+        error: 'meetingId, meetingUuid, a from/to time range or a status is required'
+      });
+    }
+
+    if (rebuild && !meetingId && !meetingUuid) {
+      return res.status(400).json({
+        success: false,
+        error: 'rebuild requires a meetingId or meetingUuid'
+      });
+    }
+
+    // Replays only rebuild stored attendance by default; live trackers are not re-driven
+    const subscribers = Array.isArray(req.body.subscribers) && req.body.subscribers.length > 0
+      ? req.body.subscribers
+      : ['webhookEventHandler'];
+
+    const summary = await ingestionService.replay(
+      { meetingId, meetingUuid, from, to, status },
+      { rebuild: !!rebuild, subscribers }
+    );
+
+    console.log(`🔁 Webhook replay requested by ${req.user.username}: ${JSON.stringify({ meetingId, meetingUuid, from, to, status, rebuild })}`);
+
+    res.json({
+      success: true,
+      summary,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error replaying webhook events:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * GET /api/zoom/webhook-status
  * Get webhook system status
  */
-router.get('/webhook-status', (req, res) => {
+router.get('/webhook-status', auth, requirePermission('system:monitor'), async (req, res) => {
   try {
     const config = webhookValidator.validateConfiguration();
-    const eventHandlerStats = webhookEventHandler ? webhookEventHandler.getProcessingStats() : null;
+    const eventHandlerStats = webhookEventHandler ? await webhookEventHandler.getProcessingStats() : null;
 
     res.json({
       system: {
         webhookValidatorReady: true,
         eventHandlerReady: !!webhookEventHandler,
+        ingestionPipelineReady: !!ingestionService,
         reconciliationServiceReady: true
       },
       configuration: config,
       processing: eventHandlerStats,
+      ingestion: ingestionService ? ingestionService.getStats() : null,
       endpoints: {
         webhook: '/api/webhooks/zoom',
         testWebhook: '/api/webhooks/test-webhook',
         config: '/api/webhooks/webhook-config',
         attendance: '/api/webhooks/attendance/:meetingId',
         reconcile: '/api/webhooks/reconcile/:meetingId',
-        queue: '/api/webhooks/reconciliation-queue'
+        queue: '/api/webhooks/reconciliation-queue',
+        events: '/api/webhooks/events',
+        replay: '/api/webhooks/replay'
       },
       timestamp: new Date().toISOString()
     });
@@ -468,5 +570,6 @@ router.get('/webhook-status', (req, res) => {
 // Export the router and initialization function
 module.exports = {
   router,
-  initializeWebhookRoutes
+  initializeWebhookRoutes,
+  zoomWebhookHandler
 };
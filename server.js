@@ -4,13 +4,13 @@ const http = require('http');
 const socketIo = require('socket.io');
 const cors = require('cors');
 const cookieParser = require('cookie-parser');
-const cron = require('node-cron');
 const moment = require('moment');
-const axios = require('axios');
 const mongoose = require('mongoose');
 const connectDB = require('./config/db');
 const rateLimiter = require('./utils/rateLimiter');
 const zoomRequestQueue = require('./utils/zoomRequestQueue');
+const zoomClient = require('./services/zoomClient');
+const jobService = require('./services/jobService');
 const SystemHealthChecker = require('./services/systemHealthChecker');
 // Essential routes only
 const authRoutes = require('./routes/auth');
@@ -26,6 +26,26 @@ const zoomClearRoutes = require('./routes/zoomClear');
 // Unified Attendance Tracking System (replaces all old attendance systems)
 const { router: unifiedAttendanceRoutes, initializeUnifiedTracker } = require('./routes/unifiedAttendance');
 const qrAttendanceRoutes = require('./routes/qrAttendance');
+const { router: attendanceRoutes, initializeAttendanceTracker } = require('./routes/Attendance');
+const venueRoutes = require('./routes/venues');
+const { router: zoomWebhookRoutes, initializeWebhookRoutes } = require('./routes/zoomWebhooks');
+const attendancePolicyRoutes = require('./routes/attendancePolicies');
+const courseRoutes = require('./routes/courses');
+const meetingSeriesRoutes = require('./routes/meetingSeries');
+const transcriptRoutes = require('./routes/transcripts');
+const attendanceDisputeRoutes = require('./routes/attendanceDisputes');
+const faceRoutes = require('./routes/FaceDescriptor');
+const studentLinkRoutes = require('./routes/studentLinks');
+const identityReviewRoutes = require('./routes/identityReviews');
+const departmentRoutes = require('./routes/departments');
+const studentFieldRoutes = require('./routes/studentFields');
+const jobRoutes = require('./routes/jobs');
+const departmentService = require('./services/departmentService');
+const attendancePolicyService = require('./services/attendancePolicyService');
+const tokenService = require('./services/tokenService');
+const { auth, requirePermission } = require('./middleware/auth');
+const { evaluateAttendance, isAttendedStatus } = require('./utils/attendancePolicyEngine');
+const { isSimulatorEnabled, SIMULATOR_PATH } = require('./config/zoom');
 
 const app = express();
 const server = http.createServer(app);
@@ -50,7 +70,15 @@ app.use((req, res, next) => {
 });
 
 // Middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body of webhook requests for signature verification
+  verify: (req, res, buf) => {
+    if (req.originalUrl.includes('webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser()); // Add cookie parser middleware
 
@@ -149,24 +177,6 @@ app.use((req, res, next) => {
 // Connect to MongoDB
 connectDB();
 
-// Function to get OAuth access token for Zoom API with rate limiting
-const getZoomAccessToken = async () => {
-  return await rateLimiter.getAccessToken(async () => {
-    const response = await axios.post(
-      `https://zoom.us/oauth/token?grant_type=account_credentials&account_id=${process.env.ZOOM_ACCOUNT_ID}`,
-      {},
-      {
-        headers: {
-          Authorization: `Basic ${Buffer.from(`${process.env.ZOOM_CLIENT_ID}:${process.env.ZOOM_CLIENT_SECRET}`).toString('base64')}`,
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        timeout: 30000 // 30 second timeout
-      }
-    );
-    return response.data.access_token;
-  });
-};
-
 // Global state for real-time tracking
 const globalState = {
   activeMeetings: new Map(),
@@ -319,9 +329,14 @@ io.on('connection', (socket) => {
   });
 
   // Handle real-time analytics requests
-  socket.on('getAnalytics', (meetingId) => {
-    const analytics = generateMeetingAnalytics(meetingId);
-    socket.emit('analyticsUpdate', analytics);
+  socket.on('getAnalytics', async (meetingId) => {
+    try {
+      const analytics = await generateMeetingAnalytics(meetingId);
+      socket.emit('analyticsUpdate', analytics);
+    } catch (error) {
+      console.error('❌ Error generating meeting analytics:', error);
+      socket.emit('analyticsUpdate', null);
+    }
   });
 
   // 85% Attendance Tracker WebSocket Handlers
@@ -467,20 +482,26 @@ function getEventMessage(eventType, eventData) {
   }
 }
 
-function generateMeetingAnalytics(meetingId) {
+async function generateMeetingAnalytics(meetingId) {
   const meeting = globalState.activeMeetings.get(meetingId);
   if (!meeting) return null;
   
   const participants = Array.from(globalState.activeParticipants.values())
     .filter(p => p.meetingId === meetingId);
+  const policy = await attendancePolicyService.resolveForMeeting(meetingId);
+  const attended = participants.filter(p => isAttendedStatus(evaluateAttendance(policy, {
+    attendedMinutes: p.duration,
+    attendancePercentage: p.attendancePercentage || 0
+  }).status));
   
   return {
     meetingId,
     totalParticipants: participants.length,
     activeParticipants: participants.filter(p => p.isActive).length,
     attendanceRate: participants.length > 0 
-      ? Math.round((participants.filter(p => p.attendancePercentage >= 75).length / participants.length) * 100)
+      ? Math.round((attended.length / participants.length) * 100)
       : 0,
+    attendancePolicy: policy.name,
     averageDuration: participants.length > 0
       ? Math.round(participants.reduce((sum, p) => sum + (p.duration || 0), 0) / participants.length)
       : 0,
@@ -488,9 +509,8 @@ function generateMeetingAnalytics(meetingId) {
   };
 }
 
-// Scheduled cleanup tasks
-cron.schedule('0 * * * *', async () => {
-  // Clean up stale data every hour
+// Scheduled cleanup tasks: stale data in this instance's memory, every hour
+jobService.define('server.cleanup-stale-state', async () => {
   const cutoffTime = moment().subtract(1, 'hour').toISOString();
   
   // Clean up stale participant data
@@ -506,9 +526,28 @@ cron.schedule('0 * * * *', async () => {
   }
   
   console.log(`🧹 Cleaned up stale data. Active participants: ${globalState.activeParticipants.size}, Notifications: ${globalState.notifications.length}`);
+  return {
+    activeParticipants: globalState.activeParticipants.size,
+    notifications: globalState.notifications.length
+  };
+}, {
+  description: 'Drop stale live participants and old notifications held in memory',
+  maxAttempts: 1
 });
+jobService.schedule('server.cleanup-stale-state', 60 * 60 * 1000, { perInstance: true });
 
 // Essential Routes Only
+// Local Zoom API simulator (development only): every Zoom call this server
+// makes is answered by it, and its webhooks are sent back to this server
+if (isSimulatorEnabled()) {
+  const { ZoomSimulator } = require('./utils/zoomSimulator');
+  const zoomSimulator = new ZoomSimulator({
+    webhookUrl: process.env.ZOOM_SIMULATOR_WEBHOOK_URL || `http://127.0.0.1:${process.env.PORT || 5000}/api/webhooks/zoom`,
+  });
+  app.use(SIMULATOR_PATH, zoomSimulator.router);
+  console.log(`🧪 Zoom simulator mounted at ${SIMULATOR_PATH} (scenario control at ${SIMULATOR_PATH}/_sim)`);
+}
+
 app.use('/api/auth', authRoutes);
 app.use('/api/token-test', tokenTestRoutes);
 app.use('/stu', StudentRoutes);
@@ -531,8 +570,36 @@ app.use('/api/attendance-unified', unifiedAttendanceRoutes);
 app.use('/api/qr-attendance', qrAttendanceRoutes);
 console.log('📱 QR Attendance routes mounted at /api/qr-attendance');
 
+// Attendance tracking, reports and QR scanner check-ins (/qr-location)
+app.use('/api/attendance', attendanceRoutes);
+console.log('📋 Attendance routes mounted at /api/attendance');
+
+// Venue geofences for QR attendance sessions
+app.use('/api/venues', venueRoutes);
+app.use('/api/attendance-policies', attendancePolicyRoutes);
+app.use('/api/courses', courseRoutes);
+app.use('/api/meeting-series', meetingSeriesRoutes);
+app.use('/api/transcripts', transcriptRoutes);
+app.use('/api/attendance-disputes', attendanceDisputeRoutes);
+app.use('/api/face', faceRoutes);
+app.use('/api/student-links', studentLinkRoutes);
+app.use('/api/identity-reviews', identityReviewRoutes);
+app.use('/api/departments', departmentRoutes);
+app.use('/api/student-fields', studentFieldRoutes);
+app.use('/api/jobs', jobRoutes);
+console.log('📍 Venue routes mounted at /api/venues');
+
 // Initialize unified attendance tracker with socket.io
-initializeUnifiedTracker(io);
+const unifiedTracker = initializeUnifiedTracker(io);
+
+// Auto-tracking of active meetings behind /api/attendance
+initializeAttendanceTracker();
+
+// Single verified Zoom webhook ingestion pipeline
+// (/api/zoom/webhook and /api/attendance-unified/zoom/webhook delegate here)
+initializeWebhookRoutes(io, globalState, { unifiedTracker });
+app.use('/api/webhooks', zoomWebhookRoutes);
+console.log('🔔 Zoom webhook ingestion mounted at /api/webhooks/zoom');
 
 // Initialize System Health Checker
 let systemHealthChecker = null;
@@ -577,7 +644,7 @@ app.get('/api/health', (req, res) => {
 });
 
 // Comprehensive health check endpoint
-app.get('/api/health/detailed', async (req, res) => {
+app.get('/api/health/detailed', auth, requirePermission('system:monitor'), async (req, res) => {
   try {
     if (systemHealthChecker) {
       const healthStatus = systemHealthChecker.getHealthStatus();
@@ -603,7 +670,7 @@ app.get('/api/health/detailed', async (req, res) => {
 });
 
 // User session system validation endpoint
-app.get('/api/health/validate-user-sessions', async (req, res) => {
+app.get('/api/health/validate-user-sessions', auth, requirePermission('system:monitor'), async (req, res) => {
   try {
     if (systemHealthChecker) {
       const validation = await systemHealthChecker.validateUserSessionSystem();
@@ -642,12 +709,13 @@ app.get('/api/health/validate-user-sessions', async (req, res) => {
 });
 
 // Rate limiter statistics endpoint
-app.get('/api/rate-limiter/stats', (req, res) => {
+app.get('/api/rate-limiter/stats', auth, requirePermission('system:monitor'), (req, res) => {
   try {
     const stats = rateLimiter.getStats();
     res.json({
       success: true,
       stats,
+      zoomClient: zoomClient.getStats(),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -660,12 +728,14 @@ app.get('/api/rate-limiter/stats', (req, res) => {
 });
 
 // Request queue statistics endpoint
-app.get('/api/request-queue/stats', (req, res) => {
+app.get('/api/request-queue/stats', auth, requirePermission('system:monitor'), async (req, res) => {
   try {
     const stats = zoomRequestQueue.getStats();
     res.json({
       success: true,
       stats,
+      queue: await zoomRequestQueue.getQueueStatus(),
+      queuedRequests: await zoomRequestQueue.getQueueItems(),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -678,12 +748,13 @@ app.get('/api/request-queue/stats', (req, res) => {
 });
 
 // Request queue control endpoints
-app.post('/api/request-queue/clear', (req, res) => {
+app.post('/api/request-queue/clear', auth, requirePermission('system:manage'), async (req, res) => {
   try {
-    zoomRequestQueue.clear();
+    const cancelled = await zoomRequestQueue.clear();
     res.json({
       success: true,
-      message: 'Request queue cleared',
+      message: `Request queue cleared (${cancelled} requests cancelled)`,
+      cancelled,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -696,7 +767,7 @@ app.post('/api/request-queue/clear', (req, res) => {
 });
 
 // Rate limiter control endpoints
-app.post('/api/rate-limiter/reset-stats', (req, res) => {
+app.post('/api/rate-limiter/reset-stats', auth, requirePermission('system:manage'), (req, res) => {
   try {
     rateLimiter.resetStats();
     res.json({
@@ -713,12 +784,13 @@ app.post('/api/rate-limiter/reset-stats', (req, res) => {
   }
 });
 
-app.post('/api/rate-limiter/clear-cache', (req, res) => {
+app.post('/api/rate-limiter/clear-cache', auth, requirePermission('system:manage'), async (req, res) => {
   try {
-    rateLimiter.clearCaches();
+    await rateLimiter.clearCaches();
+    await zoomClient.invalidateToken();
     res.json({
       success: true,
-      message: 'Rate limiter caches cleared',
+      message: 'Rate limiter caches and Zoom access token cleared',
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -806,6 +878,22 @@ server.listen(PORT, async () => {
     systemHealthChecker.startPeriodicChecks(60000); // 60 seconds
   }
   
+  // Keep the in-memory token revocation list in sync across instances
+  tokenService.startRevocationSync();
+  
+  // Compete for leadership of the shared Zoom request queue; the leader drains it
+  zoomRequestQueue.start();
+  
+  // Run background jobs (reconciliation, reports, cleanup) queued by any instance
+  jobService.start();
+  
+  // Departments used to be a fixed list; seed it on a fresh database
+  try {
+    await departmentService.ensureDefaults();
+  } catch (error) {
+    console.error('❌ Failed to create default departments:', error.message);
+  }
+  
   console.log('✅ Server startup complete - ready to handle requests');
 });
 
@@ -815,6 +903,9 @@ process.on('SIGTERM', async () => {
   server.close(async () => {
     console.log('🔚 HTTP server closed.');
     try {
+      // Hand the Zoom request queue to another instance right away
+      await zoomRequestQueue.stop();
+      jobService.stop();
       await mongoose.connection.close();
       console.log('🔒 MongoDB connection closed.');
     } catch (error) {
@@ -829,6 +920,9 @@ process.on('SIGINT', async () => {
   server.close(async () => {
     console.log('🔚 HTTP server closed.');
     try {
+      // Hand the Zoom request queue to another instance right away
+      await zoomRequestQueue.stop();
+      jobService.stop();
       await mongoose.connection.close();
       console.log('🔒 MongoDB connection closed.');
     } catch (error) {
@@ -0,0 +1,203 @@
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const QRSession = require('../models/QRSession');
+const Student = require('../models/Student');
+const ZoomMeeting = require('../models/ZoomMeeting');
+const departmentService = require('./departmentService');
+const studentLinkService = require('./studentLinkService');
+const permissions = require('../utils/permissions');
+
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+// With the "own" scope a student sees their enrolled courses' meetings, but
+// attendance and student data only for their own record, never meeting-wide
+function coversWholeMeetings(scope, permission) {
+  return scope !== 'own' || permission.startsWith('meetings:') || permission.startsWith('courses:');
+}
+
+/**
+ * Access Control Service
+ * Resolves what a permission scope (see utils/permissions) covers for a user:
+ * which courses, meetings and students. Routes use requirePermission() for
+ * single-record checks and meetingFilter()/accessibleStudentIds() to narrow
+ * list queries.
+ */
+class AccessControlService {
+  scopeOf(user, permission) {
+    return user ? permissions.scopeOf(user.role, permission) : null;
+  }
+
+  can(user, permission) {
+    return this.scopeOf(user, permission) !== null;
+  }
+
+  /**
+   * Courses covered by a (non-"all") scope
+   * @returns {Array} - Lean courses with _id, code, department, meetingIds
+   */
+  async coursesInScope(user, scope) {
+    const fields = '_id code department meetingIds';
+
+    if (scope === 'department') {
+      if (!user.department) return [];
+      // A faculty head's scope includes its departments and programmes
+      const departments = await departmentService.namesWithin(user.department);
+      return Course.find({ department: { $in: departments } }).select(fields).lean();
+    }
+
+    if (scope === 'own-courses') {
+      return Course.find({ $or: [{ instructors: user._id }, { teachingAssistants: user._id }] })
+        .select(fields)
+        .lean();
+    }
+
+    if (scope === 'own') {
+      const student = await studentLinkService.findStudentForUser(user);
+      if (!student) return [];
+      const courseIds = await Enrollment.distinct('course', { studentId: student.StudentID, status: 'active' });
+      return Course.find({ _id: { $in: courseIds } }).select(fields).lean();
+    }
+
+    return [];
+  }
+
+  /**
+   * ZoomMeeting filter for the meetings a user holds a permission on
+   * @returns {Object} - {} when every meeting is covered
+   */
+  async meetingFilter(user, permission) {
+    const scope = this.scopeOf(user, permission);
+    if (scope === 'all') return {};
+    if (!scope || !coversWholeMeetings(scope, permission)) return { _id: null };
+
+    const courses = await this.coursesInScope(user, scope);
+    const conditions = [
+      { meetingId: { $in: courses.flatMap(course => course.meetingIds || []) } },
+      { 'metadata.course': { $in: courses.map(course => course.code) } },
+    ];
+    if (scope === 'own-courses' || scope === 'department') {
+      conditions.push({ owner: user._id });
+    }
+    if (scope === 'department' && user.department) {
+      conditions.push({ 'metadata.department': { $in: await departmentService.namesWithin(user.department) } });
+    }
+
+    return { $or: conditions };
+  }
+
+  /**
+   * Zoom meeting IDs a user holds a permission on, for collections keyed by meetingId
+   * @returns {Array|null} - null when every meeting is covered
+   */
+  async accessibleMeetingIds(user, permission) {
+    const scope = this.scopeOf(user, permission);
+    if (scope === 'all') return null;
+    if (!scope || !coversWholeMeetings(scope, permission)) return [];
+
+    const [courses, stored] = await Promise.all([
+      this.coursesInScope(user, scope),
+      ZoomMeeting.distinct('meetingId', await this.meetingFilter(user, permission)),
+    ]);
+    // Courses may list meetings that have not been stored yet
+    return [...new Set([...stored, ...courses.flatMap(course => course.meetingIds || [])].map(String))];
+  }
+
+  /**
+   * @param {Object|string} meeting - ZoomMeeting, Mongo _id, meeting UUID or Zoom meeting ID
+   */
+  async canAccessMeeting(user, permission, meeting) {
+    const scope = this.scopeOf(user, permission);
+    if (scope === 'all') return true;
+    if (!scope || !meeting) return false;
+
+    let meetingId = typeof meeting === 'object' ? meeting.meetingId : null;
+    if (!meetingId) {
+      const key = meeting.toString();
+      const stored = OBJECT_ID_PATTERN.test(key)
+        ? await ZoomMeeting.findById(key).select('meetingId').lean()
+        : await ZoomMeeting.findOccurrence(key).select('meetingId').lean();
+      meetingId = stored ? stored.meetingId : key;
+    }
+
+    const meetingIds = await this.accessibleMeetingIds(user, permission);
+    return meetingIds.includes(meetingId.toString());
+  }
+
+  /**
+   * StudentIDs a user holds a permission on
+   * @returns {Array|null} - null when every student is covered
+   */
+  async accessibleStudentIds(user, permission) {
+    const scope = this.scopeOf(user, permission);
+    if (scope === 'all') return null;
+    if (!scope) return [];
+
+    if (scope === 'own') {
+      const student = await studentLinkService.findStudentForUser(user);
+      return student ? [Number(student.StudentID)] : [];
+    }
+
+    const courses = await this.coursesInScope(user, scope);
+    const enrolled = await Enrollment.distinct('studentId', {
+      course: { $in: courses.map(course => course._id) },
+      status: 'active',
+    });
+    const inDepartment = scope === 'department' && user.department
+      ? await Student.distinct('StudentID', { Department: { $in: await departmentService.namesWithin(user.department) } })
+      : [];
+
+    return [...new Set([...enrolled, ...inDepartment].map(Number))];
+  }
+
+  async canAccessStudent(user, permission, studentId) {
+    const scope = this.scopeOf(user, permission);
+    if (scope === 'all') return true;
+    if (!scope || isNaN(Number(studentId))) return false;
+
+    const studentIds = await this.accessibleStudentIds(user, permission);
+    return studentIds.includes(Number(studentId));
+  }
+
+  async canAccessCourse(user, permission, courseId) {
+    const scope = this.scopeOf(user, permission);
+    if (scope === 'all') return true;
+    if (!scope || !coversWholeMeetings(scope, permission) || !OBJECT_ID_PATTERN.test(String(courseId))) return false;
+
+    const courses = await this.coursesInScope(user, scope);
+    return courses.some(course => course._id.toString() === String(courseId));
+  }
+
+  /**
+   * QR sessions are not tied to a meeting; restricted scopes cover the ones the user created
+   */
+  async canAccessQRSession(user, permission, sessionId) {
+    const scope = this.scopeOf(user, permission);
+    if (scope === 'all') return true;
+    if (!scope) return false;
+
+    const session = await QRSession.findOne({ sessionId }).select('createdBy').lean();
+    // Unknown sessions fall through to the route's own 404
+    return !session || session.createdBy?.userId === user._id.toString();
+  }
+
+  /**
+   * Check a permission against the record a request targets
+   * @param {string} type - meeting | student | course | qrSession
+   */
+  async canAccess(user, permission, type, id) {
+    switch (type) {
+      case 'meeting':
+        return this.canAccessMeeting(user, permission, id);
+      case 'student':
+        return this.canAccessStudent(user, permission, id);
+      case 'course':
+        return this.canAccessCourse(user, permission, id);
+      case 'qrSession':
+        return this.canAccessQRSession(user, permission, id);
+      default:
+        throw new Error(`Unknown access target: ${type}`);
+    }
+  }
+}
+
+module.exports = new AccessControlService();
@@ -0,0 +1,183 @@
+const Attendance = require('../models/Attendance');
+const AttendanceDispute = require('../models/AttendanceDispute');
+const studentLinkService = require('./studentLinkService');
+
+/**
+ * Attendance Dispute Service
+ * Students submit excuses/disputes against an Attendance record; admins
+ * approve or reject them. Methods return { success, statusCode, error } on
+ * failure so routes can pass the result straight through.
+ */
+class AttendanceDisputeService {
+  /**
+   * Can this user act on behalf of the student who owns the dispute/record
+   */
+  async ownsStudentRecord(user, studentId) {
+    if (user.role === 'admin') return true;
+    return studentLinkService.isLinkedTo(user, studentId);
+  }
+
+  /**
+   * Submit an excuse or dispute
+   * @param {Object} request - { attendanceId, type, reason, requestedStatus, attachment, user }
+   * @returns {Object} - { success, dispute } or { success: false, statusCode, error }
+   */
+  async submit({ attendanceId, type, reason, requestedStatus, attachment = null, user }) {
+    if (!['excuse', 'dispute'].includes(type)) {
+      return { success: false, statusCode: 400, error: 'type must be excuse or dispute' };
+    }
+    if (!reason || !reason.trim()) {
+      return { success: false, statusCode: 400, error: 'reason is required' };
+    }
+
+    const attendance = await Attendance.findById(attendanceId);
+    if (!attendance) {
+      return { success: false, statusCode: 404, error: 'Attendance record not found' };
+    }
+
+    if (!await this.ownsStudentRecord(user, attendance.StudentID)) {
+      return { success: false, statusCode: 403, error: 'You can only dispute your own attendance' };
+    }
+
+    const targetStatus = type === 'excuse' ? 'Excused' : requestedStatus;
+    if (!AttendanceDispute.ATTENDANCE_STATUSES.includes(targetStatus)) {
+      return { success: false, statusCode: 400, error: 'requestedStatus is required for a dispute' };
+    }
+    if (targetStatus === attendance.Status) {
+      return { success: false, statusCode: 400, error: `Attendance is already ${attendance.Status}` };
+    }
+
+    const dispute = new AttendanceDispute({
+      attendance: attendance._id,
+      studentId: attendance.StudentID,
+      type,
+      reason: reason.trim(),
+      requestedStatus: targetStatus,
+      statusAtSubmission: attendance.Status,
+      verificationStatusAtSubmission: attendance.verificationStatus,
+      attachment: attachment || undefined,
+      submittedBy: user._id,
+      history: [{
+        action: 'submitted',
+        by: user._id,
+        note: reason.trim(),
+        fromStatus: attendance.Status,
+        toStatus: targetStatus,
+      }],
+    });
+
+    try {
+      await dispute.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        return { success: false, statusCode: 409, error: 'This attendance record already has a pending request' };
+      }
+      throw error;
+    }
+
+    attendance.verificationStatus = 'disputed';
+    await attendance.save();
+
+    return { success: true, dispute };
+  }
+
+  /**
+   * Approve or reject a pending request
+   * @param {string} disputeId - AttendanceDispute _id
+   * @param {Object} decision - { approve, note, status (optional override on approval), user }
+   * @returns {Object} - { success, dispute, attendance } or { success: false, statusCode, error }
+   */
+  async decide(disputeId, { approve, note, status = null, user }) {
+    if (!note || !note.trim()) {
+      return { success: false, statusCode: 400, error: 'A note explaining the decision is required' };
+    }
+
+    const dispute = await AttendanceDispute.findById(disputeId);
+    if (!dispute) {
+      return { success: false, statusCode: 404, error: 'Request not found' };
+    }
+    if (dispute.status !== 'pending') {
+      return { success: false, statusCode: 409, error: `Request is already ${dispute.status}` };
+    }
+
+    const appliedStatus = approve ? (status || dispute.requestedStatus) : null;
+    if (appliedStatus && !AttendanceDispute.ATTENDANCE_STATUSES.includes(appliedStatus)) {
+      return { success: false, statusCode: 400, error: `Invalid status: ${appliedStatus}` };
+    }
+
+    const attendance = await Attendance.findById(dispute.attendance);
+    if (!attendance) {
+      return { success: false, statusCode: 404, error: 'Attendance record no longer exists' };
+    }
+
+    const decidedAt = new Date();
+    const fromStatus = attendance.Status;
+
+    if (approve) {
+      // Keep the first calculated status even across several approved requests
+      if (!attendance.originalStatus && attendance.Status !== 'Excused') {
+        attendance.originalStatus = attendance.Status;
+      }
+      attendance.Status = appliedStatus;
+      attendance.verificationStatus = 'verified';
+      attendance.statusAdjustment = {
+        dispute: dispute._id,
+        adjustedBy: user._id,
+        adjustedAt: decidedAt,
+        reason: note.trim(),
+      };
+    } else if (attendance.verificationStatus === 'disputed') {
+      attendance.verificationStatus = dispute.verificationStatusAtSubmission || 'unverified';
+    }
+    await attendance.save();
+
+    dispute.status = approve ? 'approved' : 'rejected';
+    dispute.decision = {
+      decidedBy: user._id,
+      decidedAt,
+      note: note.trim(),
+      appliedStatus: appliedStatus || undefined,
+    };
+    dispute.history.push({
+      action: dispute.status,
+      by: user._id,
+      at: decidedAt,
+      note: note.trim(),
+      fromStatus,
+      toStatus: attendance.Status,
+    });
+    await dispute.save();
+
+    return { success: true, dispute, attendance };
+  }
+
+  /**
+   * Withdraw a pending request (submitter or admin)
+   */
+  async withdraw(disputeId, { note = '', user }) {
+    const dispute = await AttendanceDispute.findById(disputeId);
+    if (!dispute) {
+      return { success: false, statusCode: 404, error: 'Request not found' };
+    }
+    if (user.role !== 'admin' && String(dispute.submittedBy) !== String(user._id)) {
+      return { success: false, statusCode: 403, error: 'Only the submitter can withdraw this request' };
+    }
+    if (dispute.status !== 'pending') {
+      return { success: false, statusCode: 409, error: `Request is already ${dispute.status}` };
+    }
+
+    const attendance = await Attendance.findById(dispute.attendance);
+    if (attendance && attendance.verificationStatus === 'disputed') {
+      attendance.verificationStatus = dispute.verificationStatusAtSubmission || 'unverified';
+      await attendance.save();
+    }
+
+    dispute.status = 'withdrawn';
+    dispute.history.push({ action: 'withdrawn', by: user._id, note: note.trim() || undefined });
+    await dispute.save();
+
+    return { success: true, dispute };
+  }
+}
+
+module.exports = new AttendanceDisputeService();
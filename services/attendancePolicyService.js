@@ -0,0 +1,102 @@
+const AttendancePolicy = require('../models/AttendancePolicy');
+const ZoomMeeting = require('../models/ZoomMeeting');
+const Course = require('../models/Course');
+const {
+  DEFAULT_POLICY,
+  normalizePolicy,
+  evaluateAttendance
+} = require('../utils/attendancePolicyEngine');
+
+/**
+ * Attendance Policy Service
+ * Resolves which AttendancePolicy applies to a meeting. Calculators call
+ * this instead of hard-coding thresholds.
+ */
+class AttendancePolicyService {
+  constructor() {
+    this.cache = new Map(); // "course|department" -> { policy, expiresAt }
+    this.cacheTtlMs = 60000;
+  }
+
+  /**
+   * Resolve the policy for a course/department pair
+   * @param {Object} criteria - { course, department }
+   * @returns {Object} - Normalized policy (built-in default when nothing matches)
+   */
+  async resolve({ course = null, department = null } = {}) {
+    const cacheKey = `${course || ''}|${department || ''}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.policy;
+    }
+
+    let policy = DEFAULT_POLICY;
+    try {
+      const stored = await AttendancePolicy.findApplicable({ course, department });
+      if (stored) {
+        policy = normalizePolicy(stored);
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not load attendance policy, using default:', error.message);
+    }
+
+    this.cache.set(cacheKey, { policy, expiresAt: Date.now() + this.cacheTtlMs });
+    return policy;
+  }
+
+  /**
+   * Resolve the policy for a meeting via metadata.course / metadata.department
+   * @param {Object|string} meetingOrId - ZoomMeeting document, plain meeting object or meeting ID/UUID
+   * @returns {Object} - Normalized policy
+   */
+  async resolveForMeeting(meetingOrId) {
+    let meeting = meetingOrId;
+
+    if (!meeting || typeof meeting !== 'object') {
+      if (!meetingOrId) {
+        return DEFAULT_POLICY;
+      }
+      const meetingKey = meetingOrId.toString();
+      meeting = await ZoomMeeting.findOccurrence(meetingKey).select('meetingId metadata').lean();
+    }
+
+    let course = meeting?.metadata?.course || null;
+    let department = meeting?.metadata?.department || null;
+
+    // Meetings linked to a course by ID (e.g. recurring series) carry no metadata.course
+    if (!course) {
+      const linkedCourse = await Course.findForMeeting(meeting || meetingOrId.toString()).catch(() => null);
+      if (linkedCourse) {
+        course = linkedCourse.code;
+        department = department || linkedCourse.department || null;
+      }
+    }
+
+    if (!course && !department && !meeting) {
+      return DEFAULT_POLICY;
+    }
+
+    return this.resolve({ course, department });
+  }
+
+  /**
+   * Evaluate a participant in a meeting under that meeting's policy
+   * @param {Object|string} meetingOrId - Meeting or meeting ID
+   * @param {Object} input - See evaluateAttendance
+   * @returns {Object} - Evaluation result
+   */
+  async evaluateForMeeting(meetingOrId, input) {
+    const policy = await this.resolveForMeeting(meetingOrId);
+    return evaluateAttendance(policy, input);
+  }
+
+  /**
+   * Drop cached resolutions (call after policies or meeting courses change)
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+// Shared instance so every calculator sees the same cache
+module.exports = new AttendancePolicyService();
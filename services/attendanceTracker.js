@@ -1,4 +1,3 @@
-const axios = require('axios');
 const cron = require('node-cron');
 const moment = require('moment');
 const EventEmitter = require('events');
@@ -7,7 +6,10 @@ const Attendance = require('../models/Attendance');
 const Student = require('../models/Student');
 const ZoomMeeting = require('../models/ZoomMeeting');
 const rateLimiter = require('../utils/rateLimiter');
-const zoomRequestQueue = require('../utils/zoomRequestQueue');
+const attendancePolicyService = require('./attendancePolicyService');
+const { DEFAULT_POLICY, evaluateAttendance, getScheduledWindow } = require('../utils/attendancePolicyEngine');
+const zoomClient = require('./zoomClient');
+const { normalizeRole } = require('../utils/permissions');
 
 // Get user session manager instance when available
 let userSessionManager = null;
@@ -35,12 +37,6 @@ class AttendanceTracker extends EventEmitter {
       lastHealthCheck: null
     };
     
-    this.attendanceThresholds = {
-      present: 70,    // >= 70% of meeting duration
-      late: 30,       // 30-69% of meeting duration  
-      absent: 0       // < 30% of meeting duration
-    };
-    
     this.config = {
       pollInterval: 60000, // Poll every minute for active meetings
       maxRetryAttempts: 3,
@@ -82,52 +78,16 @@ class AttendanceTracker extends EventEmitter {
     }
   }
 
-  /**
-   * Get Zoom access token
-   */
-  async getZoomAccessToken() {
-    try {
-      const response = await axios.post(
-        `https://zoom.us/oauth/token?grant_type=account_credentials&account_id=${process.env.ZOOM_ACCOUNT_ID}`,
-        {},
-        {
-          headers: {
-            Authorization: `Basic ${Buffer.from(`${process.env.ZOOM_CLIENT_ID}:${process.env.ZOOM_CLIENT_SECRET}`).toString('base64')}`,
-            'Content-Type': 'application/x-www-form-urlencoded'
-          },
-          timeout: 10000
-        }
-      );
-      return response.data.access_token;
-    } catch (error) {
-      console.error('❌ Error getting Zoom access token:', error.message);
-      throw new Error(`Zoom token error: ${error.message}`);
-    }
-  }
-
   /**
    * Get live participants from Zoom API
    */
   async getLiveParticipants(meetingId) {
     try {
-      const token = await this.getZoomAccessToken();
-      
-      const response = await axios.get(
-        `https://api.zoom.us/v2/meetings/${meetingId}/participants`,
-        {
-          headers: {
-            Authorization: `Bearer ${token}`,
-            'Content-Type': 'application/json',
-          },
-          params: {
-            page_size: 300,
-            include_fields: 'registrant_id,status,join_time,leave_time,duration,failover,customer_key,in_waiting_room,role,participant_user_id'
-          },
-          timeout: 15000
-        }
-      );
+      const response = await zoomClient.getLiveParticipants(meetingId, {
+        include_fields: 'registrant_id,status,join_time,leave_time,duration,failover,customer_key,in_waiting_room,role,participant_user_id'
+      });
 
-      return response.data.participants || [];
+      return response.participants || [];
     } catch (error) {
       if (error.response?.status === 404) {
         console.log('ℹ️ Meeting not found or ended:', meetingId);
@@ -143,20 +103,7 @@ class AttendanceTracker extends EventEmitter {
    */
   async getMeetingDetails(meetingId) {
     try {
-      const token = await this.getZoomAccessToken();
-      
-      const response = await axios.get(
-        `https://api.zoom.us/v2/meetings/${meetingId}`,
-        {
-          headers: {
-            Authorization: `Bearer ${token}`,
-            'Content-Type': 'application/json',
-          },
-          timeout: 10000
-        }
-      );
-
-      return response.data;
+      return await zoomClient.getMeeting(meetingId);
     } catch (error) {
       if (error.response?.status === 404) {
         console.log('ℹ️ Meeting not found:', meetingId);
@@ -171,31 +118,18 @@ class AttendanceTracker extends EventEmitter {
    */
   async getMeetingParticipantsReport(meetingId) {
     try {
-      const token = await this.getZoomAccessToken();
-      
-      const response = await axios.get(
-        `https://api.zoom.us/v2/report/meetings/${meetingId}/participants`,
-        {
-          headers: {
-            Authorization: `Bearer ${token}`,
-            'Content-Type': 'application/json',
-          },
-          params: {
-            page_size: 300,
-            include_fields: 'registrant_id,status,join_time,leave_time,duration,failover,customer_key,in_waiting_room,role,participant_user_id'
-          },
-          timeout: 15000
-        }
-      );
+      const report = await zoomClient.getMeetingReportParticipants(meetingId, {
+        include_fields: 'registrant_id,status,join_time,leave_time,duration,failover,customer_key,in_waiting_room,role,participant_user_id'
+      });
 
       return {
-        participants: response.data.participants || [],
+        participants: report.participants || [],
         meeting: {
           id: meetingId,
-          topic: response.data.topic,
-          start_time: response.data.start_time,
-          end_time: response.data.end_time,
-          duration: response.data.duration
+          topic: report.topic,
+          start_time: report.start_time,
+          end_time: report.end_time,
+          duration: report.duration
         }
       };
     } catch (error) {
@@ -206,27 +140,22 @@ class AttendanceTracker extends EventEmitter {
 
   /**
    * Calculate attendance status based on participation
+   * @param {number} participantDuration - Attended minutes
+   * @param {number} meetingDuration - Meeting duration in minutes
+   * @param {boolean} isActive - Participant still in the meeting
+   * @param {Object|null} policy - Meeting's attendance policy (default policy when null)
+   * @param {Object} options - { joinTime, leaveTime, scheduledStart, scheduledEnd } for late/early detection
    */
-  calculateAttendanceStatus(participantDuration, meetingDuration, isActive = false) {
-    if (isActive) {
-      return 'In Progress';
-    }
-
-    if (!meetingDuration || meetingDuration === 0) {
-      return participantDuration > 0 ? 'Present' : 'Absent';
-    }
-
-    const attendancePercentage = (participantDuration / meetingDuration) * 100;
-
-    if (attendancePercentage >= this.attendanceThresholds.present) {
-      return 'Present';
-    } else if (attendancePercentage >= this.attendanceThresholds.late) {
-      return 'Late';
-    } else if (attendancePercentage > 0) {
-      return 'Partial';
-    } else {
-      return 'Absent';
-    }
+  calculateAttendanceStatus(participantDuration, meetingDuration, isActive = false, policy = null, options = {}) {
+    return evaluateAttendance(policy, {
+      attendedMinutes: participantDuration,
+      meetingDuration,
+      isActive,
+      joinTime: options.joinTime,
+      leaveTime: options.leaveTime,
+      scheduledStart: options.scheduledStart,
+      scheduledEnd: options.scheduledEnd
+    }).status;
   }
 
   /**
@@ -243,6 +172,7 @@ class AttendanceTracker extends EventEmitter {
       const meetingDuration = meetingDetails?.duration || 0;
       const meetingTopic = meetingDetails?.topic || 'Zoom Meeting';
       const meetingStartTime = this.safeParseDate(meetingDetails?.start_time, 'Invalid meeting start_time') || new Date();
+      const policy = await attendancePolicyService.resolveForMeeting(meetingId);
 
       for (const zoomParticipant of zoomParticipants) {
         try {
@@ -263,7 +193,9 @@ class AttendanceTracker extends EventEmitter {
           const attendanceStatus = this.calculateAttendanceStatus(
             currentDuration, 
             meetingDuration, 
-            isActive
+            isActive,
+            policy,
+            { joinTime, leaveTime, ...getScheduledWindow(meetingDetails) }
           );
 
           // Find existing participant record
@@ -622,7 +554,7 @@ class AttendanceTracker extends EventEmitter {
         totalAuthenticated: enrichedParticipants.filter(p => p.isAuthenticated).length,
         authenticatedStudents: enrichedParticipants.filter(p => p.isAuthenticated && p.isStudent).length,
         authenticatedAdmins: enrichedParticipants.filter(p => p.isAuthenticated && p.authenticatedUser?.role === 'admin').length,
-        authenticatedUsers: enrichedParticipants.filter(p => p.isAuthenticated && p.authenticatedUser?.role === 'user').length,
+        authenticatedUsers: enrichedParticipants.filter(p => p.isAuthenticated && normalizeRole(p.authenticatedUser?.role) === 'student').length,
         unauthenticatedParticipants: enrichedParticipants.filter(p => !p.isAuthenticated).length
       };
 
@@ -680,6 +612,8 @@ class AttendanceTracker extends EventEmitter {
         console.log('ℹ️ Could not fetch live data, using database records only');
       }
 
+      const policy = await attendancePolicyService.resolveForMeeting(meetingId);
+
       // Merge data
       const attendanceRecords = participants.map(participant => {
         const liveData = liveParticipants.find(lp => 
@@ -700,7 +634,7 @@ class AttendanceTracker extends EventEmitter {
             : Math.round((Date.now() - joinTime.getTime()) / (1000 * 60));
 
           const isActive = liveData.status === 'in_meeting';
-          currentStatus = this.calculateAttendanceStatus(currentDuration, 60, isActive); // Assume 60min meeting
+          currentStatus = this.calculateAttendanceStatus(currentDuration, 60, isActive, policy); // Assume 60min meeting
         }
 
         return {
@@ -767,6 +701,7 @@ class AttendanceTracker extends EventEmitter {
       // Get meeting report from Zoom
       const meetingReport = await this.getMeetingParticipantsReport(meetingId);
       const meetingDuration = meetingReport.meeting?.duration || 0;
+      const policy = await attendancePolicyService.resolveForMeeting(meetingId);
 
       // Update all participants with final data
       if (meetingReport.participants.length > 0) {
@@ -798,7 +733,11 @@ class AttendanceTracker extends EventEmitter {
       
       for (const participant of participants) {
         if (participant.studentId && participant.duration > 0) {
-          const finalStatus = this.calculateAttendanceStatus(participant.duration, meetingDuration, false);
+          const finalStatus = this.calculateAttendanceStatus(participant.duration, meetingDuration, false, policy, {
+            joinTime: participant.joinTime,
+            leaveTime: participant.leaveTime,
+            ...getScheduledWindow(meetingReport.meeting)
+          });
           
           // Update participant with final status
           participant.attendanceStatus = finalStatus;
@@ -1024,12 +963,12 @@ class AttendanceTracker extends EventEmitter {
     // Health check interval
     setInterval(() => {
       this.performHealthCheck();
-    }, this.config.healthCheckInterval);
+    }, this.config.healthCheckInterval).unref();
     
     // Clean up expired cache entries
     setInterval(() => {
       this.cleanupCache();
-    }, this.config.cacheTimeout);
+    }, this.config.cacheTimeout).unref();
   }
 
   /**
@@ -1501,7 +1440,7 @@ class AttendanceTracker extends EventEmitter {
       activeMeetings,
       totalTracked: activeMeetings.length,
       config: this.config,
-      thresholds: this.attendanceThresholds,
+      thresholds: DEFAULT_POLICY.thresholds,
       health: {
         successRate: healthMetrics.successRate,
         errorRate: healthMetrics.errorRate,
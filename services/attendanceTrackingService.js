@@ -2,6 +2,7 @@ const jwt = require('jsonwebtoken');
 const ZoomMeeting = require('../models/ZoomMeeting');
 const ZoomAttendance = require('../models/ZoomAttendance');
 const AttendanceSession = require('../models/AttendanceSession');
+const jobService = require('./jobService');
 
 class AttendanceTrackingService {
   constructor() {
@@ -496,12 +497,12 @@ class AttendanceTrackingService {
 
   // Initialize cleanup scheduler
   startCleanupScheduler() {
-    // Run cleanup every 5 minutes
-    setInterval(() => {
-      this.cleanupStaleSessions().catch(error => {
-        console.error('❌ Scheduled cleanup failed:', error);
-      });
-    }, 5 * 60 * 1000);
+    // Run cleanup every 5 minutes on each instance, since sessions are tracked in memory
+    jobService.define('attendance.cleanup-stale-sessions', () => this.cleanupStaleSessions(), {
+      description: 'End tracked attendance sessions that stopped sending heartbeats',
+      maxAttempts: 1
+    });
+    jobService.schedule('attendance.cleanup-stale-sessions', 5 * 60 * 1000, { perInstance: true });
 
     console.log('✅ Attendance tracking cleanup scheduler started');
   }
@@ -0,0 +1,237 @@
+const AttendancePolicy = require('../models/AttendancePolicy');
+const Course = require('../models/Course');
+const Department = require('../models/Department');
+const Student = require('../models/Student');
+const User = require('../models/User');
+
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? fallback : value;
+}
+
+const CACHE_TTL_MS = envNumber('DEPARTMENT_CACHE_SECONDS', 60) * 1000;
+
+// Values of the former Student.Department enum, created on first start
+const DEFAULT_DEPARTMENTS = ['R & I', 'Faculty', 'Consultancy', 'Corporate'];
+
+// Collections that refer to a department by name
+const NAME_REFERENCES = [
+  { model: Student, field: 'Department' },
+  { model: Course, field: 'department' },
+  { model: User, field: 'department' },
+  { model: AttendancePolicy, field: 'department' },
+];
+
+/**
+ * Department Service
+ * Maintains the department tree and answers the questions other code asks
+ * about it: is a name assignable, and which names sit under a unit (a
+ * faculty head's scope covers its departments and programmes). Active
+ * units are cached briefly since every student write validates against them.
+ * Methods return { success, statusCode, error } on failure.
+ */
+class DepartmentService {
+  constructor() {
+    this.cache = null; // { departments, expiresAt }
+  }
+
+  invalidate() {
+    this.cache = null;
+  }
+
+  async all() {
+    if (this.cache && this.cache.expiresAt > Date.now()) {
+      return this.cache.departments;
+    }
+
+    const departments = await Department.find({}).select('name code type parent ancestors isActive').lean();
+    this.cache = { departments, expiresAt: Date.now() + CACHE_TTL_MS };
+    return departments;
+  }
+
+  /**
+   * Can students/courses/staff be placed in this department
+   */
+  async isAssignable(name) {
+    if (!name) return false;
+    const departments = await this.all();
+    return departments.some(department => department.isActive && department.name === name);
+  }
+
+  /**
+   * A department's name plus the names of every unit below it
+   * @returns {Array} - [name] when the name is unknown
+   */
+  async namesWithin(name) {
+    const departments = await this.all();
+    const root = departments.find(department => department.name === name);
+    if (!root) return name ? [name] : [];
+
+    const rootId = root._id.toString();
+    return [
+      root.name,
+      ...departments
+        .filter(department => department.ancestors.some(ancestor => ancestor.toString() === rootId))
+        .map(department => department.name),
+    ];
+  }
+
+  /**
+   * Nest departments under their parents
+   */
+  buildTree(departments) {
+    const nodes = new Map(departments.map(department => [department._id.toString(), { ...department, children: [] }]));
+    const roots = [];
+
+    nodes.forEach(node => {
+      const parent = node.parent && nodes.get(node.parent.toString());
+      if (parent) {
+        parent.children.push(node);
+      } else {
+        roots.push(node);
+      }
+    });
+
+    return roots;
+  }
+
+  // Parent must exist and sit on a higher level of the hierarchy
+  async resolveParent(parentId, type, selfId = null) {
+    if (!parentId) return { success: true, parent: null };
+
+    const parent = await Department.findById(parentId).lean();
+    if (!parent) {
+      return { success: false, statusCode: 400, error: 'Parent department not found' };
+    }
+    if (selfId && (parent._id.equals(selfId) || parent.ancestors.some(ancestor => ancestor.equals(selfId)))) {
+      return { success: false, statusCode: 400, error: 'A department cannot be placed under itself' };
+    }
+    if (Department.TYPES.indexOf(parent.type) >= Department.TYPES.indexOf(type)) {
+      return { success: false, statusCode: 400, error: `A ${type} cannot be placed under a ${parent.type}` };
+    }
+
+    return { success: true, parent };
+  }
+
+  async create(fields) {
+    const type = fields.type || 'department';
+    const resolved = await this.resolveParent(fields.parent, type);
+    if (!resolved.success) return resolved;
+
+    const department = await Department.create({
+      ...fields,
+      type,
+      parent: resolved.parent?._id || null,
+      ancestors: resolved.parent ? [...resolved.parent.ancestors, resolved.parent._id] : [],
+    });
+
+    this.invalidate();
+    return { success: true, department };
+  }
+
+  /**
+   * Update a department; renames are carried over to every record that
+   * stores the name, and moves re-root the whole subtree
+   */
+  async update(departmentId, fields) {
+    const department = await Department.findById(departmentId);
+    if (!department) {
+      return { success: false, statusCode: 404, error: 'Department not found' };
+    }
+
+    const type = fields.type || department.type;
+    const moving = fields.parent !== undefined && String(fields.parent || '') !== String(department.parent || '');
+
+    if (fields.type && fields.type !== department.type) {
+      const children = await Department.find({ parent: department._id }).select('type').lean();
+      if (children.some(child => Department.TYPES.indexOf(child.type) <= Department.TYPES.indexOf(type))) {
+        return { success: false, statusCode: 400, error: `A ${type} cannot hold this department's current children` };
+      }
+    }
+
+    let ancestors = department.ancestors;
+    if (moving || fields.type) {
+      const resolved = await this.resolveParent(moving ? fields.parent : department.parent, type, department._id);
+      if (!resolved.success) return resolved;
+      ancestors = resolved.parent ? [...resolved.parent.ancestors, resolved.parent._id] : [];
+      department.parent = resolved.parent?._id || null;
+    }
+
+    const previousName = department.name;
+    ['name', 'code', 'type', 'description', 'isActive'].forEach(key => {
+      if (fields[key] !== undefined) department[key] = fields[key];
+    });
+    const previousAncestors = department.ancestors.map(String);
+    department.ancestors = ancestors;
+    await department.save();
+
+    if (moving) {
+      await this.reparentDescendants(department, previousAncestors);
+    }
+    if (department.name !== previousName) {
+      await Promise.all(NAME_REFERENCES.map(({ model, field }) =>
+        model.updateMany({ [field]: previousName }, { $set: { [field]: department.name } })));
+    }
+
+    this.invalidate();
+    return { success: true, department };
+  }
+
+  // Replace the old ancestor chain of every unit below a moved department
+  async reparentDescendants(department, previousAncestors) {
+    const descendants = await Department.find({ ancestors: department._id });
+
+    for (const descendant of descendants) {
+      const below = descendant.ancestors
+        .map(String)
+        .filter(ancestor => !previousAncestors.includes(ancestor));
+      descendant.ancestors = [...department.ancestors.map(String), ...below];
+      await descendant.save();
+    }
+  }
+
+  /**
+   * Delete a department with no sub-units and no records referring to it
+   */
+  async remove(departmentId) {
+    const department = await Department.findById(departmentId);
+    if (!department) {
+      return { success: false, statusCode: 404, error: 'Department not found' };
+    }
+
+    if (await Department.exists({ parent: department._id })) {
+      return { success: false, statusCode: 409, error: 'Move or delete the units under this department first' };
+    }
+
+    const inUse = await Promise.all(NAME_REFERENCES.map(({ model, field }) => model.countDocuments({ [field]: department.name })));
+    const total = inUse.reduce((sum, count) => sum + count, 0);
+    if (total > 0) {
+      return {
+        success: false,
+        statusCode: 409,
+        error: `Department is still used by ${total} record(s); deactivate it instead`,
+      };
+    }
+
+    await department.deleteOne();
+    this.invalidate();
+    return { success: true, department };
+  }
+
+  /**
+   * Create the former enum values when no departments exist yet
+   */
+  async ensureDefaults() {
+    if (await Department.estimatedDocumentCount() > 0) return;
+
+    await Department.insertMany(DEFAULT_DEPARTMENTS.map(name => ({ name, type: 'department' })), { ordered: false })
+      .catch(error => {
+        // Another instance seeded them first
+        if (error.code !== 11000) throw error;
+      });
+    this.invalidate();
+    console.log(`🏛️ Created default departments: ${DEFAULT_DEPARTMENTS.join(', ')}`);
+  }
+}
+
+module.exports = new DepartmentService();
@@ -1,5 +1,7 @@
 const ZoomAttendance = require('../models/ZoomAttendance');
 const ZoomMeeting = require('../models/ZoomMeeting');
+const attendancePolicyService = require('./attendancePolicyService');
+const { DEFAULT_POLICY, isAttendedStatus, getScheduledWindow } = require('../utils/attendancePolicyEngine');
 
 /**
  * Enhanced Attendance Calculator Service
@@ -9,13 +11,12 @@ const ZoomMeeting = require('../models/ZoomMeeting');
  * 2. Track Each User's Join/Leave Sessions
  * 3. Accumulate Time per User across multiple sessions
  * 4. Compute Attendance Percentage against total meeting duration
- * 5. Check Against 85% Threshold for Present/Absent determination
+ * 5. Resolve status through the meeting's attendance policy (course/department rules)
  * 6. Save Attendance Status in the database
  */
 class EnhancedAttendanceCalculator {
   constructor() {
     this.processingMeetings = new Set(); // Track meetings being processed
-    this.attendanceThreshold = 85; // 85% threshold for Present status
   }
 
   /**
@@ -58,6 +59,9 @@ class EnhancedAttendanceCalculator {
 
         console.log(`📊 Meeting duration: ${meetingDuration} minutes`);
 
+        const policy = await attendancePolicyService.resolveForMeeting(meeting);
+        console.log(`📐 Applying attendance policy: ${policy.name}`);
+
         // Get all unique participants in this meeting
         const uniqueParticipants = await this.getUniqueParticipants(meetingUuid);
         
@@ -72,7 +76,8 @@ class EnhancedAttendanceCalculator {
               meetingUuid,
               participant,
               meetingDuration,
-              meeting
+              meeting,
+              policy
             );
             
             attendanceResults.push(result);
@@ -96,9 +101,13 @@ class EnhancedAttendanceCalculator {
           meetingDuration: meetingDuration,
           totalParticipants: attendanceResults.length,
           present: attendanceResults.filter(r => r.status === 'Present').length,
+          late: attendanceResults.filter(r => r.status === 'Late').length,
+          partial: attendanceResults.filter(r => r.status === 'Partial').length,
           absent: attendanceResults.filter(r => r.status === 'Absent').length,
           attendanceRate: attendanceResults.length > 0 ? 
-            Math.round((attendanceResults.filter(r => r.status === 'Present').length / attendanceResults.length) * 100) : 0,
+            Math.round((attendanceResults.filter(r => isAttendedStatus(r.status)).length / attendanceResults.length) * 100) : 0,
+          policy: policy.name,
+          threshold: policy.thresholds.present,
           results: attendanceResults
         };
 
@@ -130,9 +139,9 @@ class EnhancedAttendanceCalculator {
    */
   async updateMeetingEndTime(meetingUuid, meetingId, meetingEndData) {
     try {
-      const meeting = await ZoomMeeting.findOne({
-        $or: [{ meetingUuid }, { meetingId }]
-      });
+      // The ended instance, falling back to the latest occurrence of the meeting ID
+      const meeting = await ZoomMeeting.findOne({ meetingUuid }) ||
+        await ZoomMeeting.findOccurrence(meetingId);
 
       if (meeting) {
         meeting.endTime = new Date(meetingEndData.object?.end_time || Date.now());
@@ -209,7 +218,7 @@ class EnhancedAttendanceCalculator {
   /**
    * Calculate attendance for a single participant across all their sessions
    */
-  async calculateParticipantAttendance(meetingUuid, participant, meetingDuration, meeting) {
+  async calculateParticipantAttendance(meetingUuid, participant, meetingDuration, meeting, policy = null) {
     try {
       console.log(`🧮 Calculating attendance for: ${participant.name} (${participant.email})`);
 
@@ -226,7 +235,7 @@ class EnhancedAttendanceCalculator {
       // If meeting duration is not available, calculate from participant data
       let effectiveMeetingDuration = meetingDuration;
       if (!effectiveMeetingDuration && sessions.length > 0) {
-        effectiveMeetingDuration = this.calculateMeetingDurationFromParticipants(meetingUuid);
+        effectiveMeetingDuration = await this.calculateMeetingDurationFromParticipants(meetingUuid);
       }
 
       if (!effectiveMeetingDuration || effectiveMeetingDuration <= 0) {
@@ -234,10 +243,13 @@ class EnhancedAttendanceCalculator {
         effectiveMeetingDuration = Math.round(totalAttendanceTimeSeconds / 60); // Convert to minutes
       }
 
-      // Calculate attendance percentage and status using 85% threshold
-      const { attendancePercentage, status } = ZoomAttendance.calculateAttendanceStatus(
+      // Calculate attendance percentage and status under the meeting's policy
+      const appliedPolicy = policy || await attendancePolicyService.resolveForMeeting(meeting);
+      const { attendancePercentage, status, minutesLate, minutesLeftEarly } = ZoomAttendance.calculateAttendanceStatus(
         totalAttendanceTimeSeconds,
-        effectiveMeetingDuration
+        effectiveMeetingDuration,
+        appliedPolicy,
+        { ...getScheduledWindow(meeting), sessions }
       );
 
       // Update all sessions for this participant with final calculations
@@ -247,7 +259,8 @@ class EnhancedAttendanceCalculator {
         attendancePercentage,
         status,
         totalAttendanceTimeSeconds,
-        effectiveMeetingDuration
+        effectiveMeetingDuration,
+        { minutesLate, minutesLeftEarly }
       );
 
       const result = {
@@ -264,7 +277,9 @@ class EnhancedAttendanceCalculator {
         meetingDuration: effectiveMeetingDuration,
         attendancePercentage,
         status,
-        thresholdMet: attendancePercentage >= this.attendanceThreshold
+        minutesLate,
+        minutesLeftEarly,
+        thresholdMet: attendancePercentage >= appliedPolicy.thresholds.present
       };
 
       console.log(`📊 ${participant.name}: ${attendancePercentage}% attendance → ${status}`);
@@ -315,7 +330,7 @@ class EnhancedAttendanceCalculator {
   /**
    * Update all sessions for a participant with final attendance calculations
    */
-  async updateParticipantSessions(meetingUuid, participant, attendancePercentage, status, totalTime, meetingDuration) {
+  async updateParticipantSessions(meetingUuid, participant, attendancePercentage, status, totalTime, meetingDuration, punctuality = {}) {
     try {
       const updateResult = await ZoomAttendance.updateMany(
         {
@@ -329,6 +344,8 @@ class EnhancedAttendanceCalculator {
           $set: {
             attendancePercentage,
             attendanceStatus: status,
+            minutesLate: punctuality.minutesLate ?? null,
+            minutesLeftEarly: punctuality.minutesLeftEarly ?? null,
             isValidAttendance: true,
             finalAttendanceCalculated: true,
             finalAttendanceCalculatedAt: new Date(),
@@ -355,7 +372,7 @@ class EnhancedAttendanceCalculator {
         present: attendanceResults.filter(r => r.status === 'Present').length,
         absent: attendanceResults.filter(r => r.status === 'Absent').length,
         attendanceRate: attendanceResults.length > 0 ? 
-          Math.round((attendanceResults.filter(r => r.status === 'Present').length / attendanceResults.length) * 100) : 0,
+          Math.round((attendanceResults.filter(r => isAttendedStatus(r.status)).length / attendanceResults.length) * 100) : 0,
         studentsPresent: attendanceResults.filter(r => r.status === 'Present' && r.participant.isMatched).length,
         studentsAbsent: attendanceResults.filter(r => r.status === 'Absent' && r.participant.isMatched).length
       };
@@ -377,14 +394,14 @@ class EnhancedAttendanceCalculator {
    */
   async getDetailedAttendanceReport(meetingId, format = 'json') {
     try {
-      const meeting = await ZoomMeeting.findOne({
-        $or: [{ meetingId }, { meetingUuid: meetingId }]
-      });
+      const meeting = await ZoomMeeting.findOccurrence(meetingId);
 
       if (!meeting) {
         throw new Error('Meeting not found');
       }
 
+      const policy = await attendancePolicyService.resolveForMeeting(meeting);
+
       // Get attendance summary with participant details
       const attendanceSummary = await ZoomAttendance.getAttendanceSummary(meeting.meetingId);
       
@@ -398,21 +415,30 @@ class EnhancedAttendanceCalculator {
           participant.email,
           'email'
         );
+        const meetingDuration = meeting.actualDuration || this.calculateMeetingDuration(meeting);
+        const evaluation = ZoomAttendance.calculateAttendanceStatus(
+          attendanceData.totalAttendanceTime,
+          meetingDuration,
+          policy,
+          { ...getScheduledWindow(meeting), sessions: attendanceData.sessions }
+        );
 
         detailedResults.push({
           meetingId: meeting.meetingId,
           meetingTopic: meeting.topic,
           meetingDate: meeting.startTime,
-          meetingDuration: meeting.actualDuration || this.calculateMeetingDuration(meeting),
+          meetingDuration,
           participantName: participant.name,
           participantEmail: participant.email,
           studentId: participant.studentId,
           isStudentMatched: participant.isMatched,
           sessionCount: attendanceData.sessionCount,
           totalAttendanceTime: Math.round(attendanceData.totalAttendanceTime / 60), // in minutes
-          attendancePercentage: attendanceData.attendancePercentage,
-          attendanceStatus: attendanceData.status,
-          thresholdMet: (attendanceData.attendancePercentage || 0) >= this.attendanceThreshold,
+          attendancePercentage: evaluation.attendancePercentage,
+          attendanceStatus: evaluation.status,
+          minutesLate: evaluation.minutesLate,
+          minutesLeftEarly: evaluation.minutesLeftEarly,
+          thresholdMet: (evaluation.attendancePercentage || 0) >= policy.thresholds.present,
           sessions: attendanceData.sessions
         });
       }
@@ -432,8 +458,9 @@ class EnhancedAttendanceCalculator {
           present: detailedResults.filter(r => r.attendanceStatus === 'Present').length,
           absent: detailedResults.filter(r => r.attendanceStatus === 'Absent').length,
           attendanceRate: detailedResults.length > 0 ? 
-            Math.round((detailedResults.filter(r => r.attendanceStatus === 'Present').length / detailedResults.length) * 100) : 0,
-          threshold: this.attendanceThreshold
+            Math.round((detailedResults.filter(r => isAttendedStatus(r.attendanceStatus)).length / detailedResults.length) * 100) : 0,
+          threshold: policy.thresholds.present,
+          policy: policy.name
         },
         participants: detailedResults,
         generatedAt: new Date()
@@ -466,7 +493,9 @@ class EnhancedAttendanceCalculator {
         'Total Attendance (min)',
         'Attendance %',
         'Status',
-        'Threshold Met (85%)',
+        'Minutes Late',
+        'Minutes Left Early',
+        'Threshold Met',
         'Join Times',
         'Leave Times'
       ].join(',') + '\n';
@@ -488,6 +517,8 @@ class EnhancedAttendanceCalculator {
           p.totalAttendanceTime,
           p.attendancePercentage || 0,
           p.attendanceStatus || 'Absent',
+          p.minutesLate ?? '',
+          p.minutesLeftEarly ?? '',
           p.thresholdMet ? 'Yes' : 'No',
           `"${joinTimes}"`,
           `"${leaveTimes}"`
@@ -580,7 +611,8 @@ class EnhancedAttendanceCalculator {
       return {
         overallStatistics: overallStats,
         meetings: meetings,
-        threshold: this.attendanceThreshold,
+        // Meetings may apply their own course policy; this is the organisation default
+        threshold: DEFAULT_POLICY.thresholds.present,
         dateRange: dateRange,
         generatedAt: new Date()
       };
@@ -456,7 +456,7 @@ class EnhancedZoomUserTracker {
     try {
       const meetingId = meetingData.id || meetingData.meetingId;
       
-      let meeting = await ZoomMeeting.findOne({ meetingId: meetingId.toString() });
+      let meeting = await ZoomMeeting.findOccurrence(meetingId.toString());
       
       if (!meeting) {
         meeting = new ZoomMeeting({
@@ -492,7 +492,7 @@ class EnhancedZoomUserTracker {
 
   async updateMeetingParticipant(meetingId, participantData, action) {
     try {
-      const meeting = await ZoomMeeting.findOne({ meetingId: meetingId.toString() });
+      const meeting = await ZoomMeeting.findOccurrence(meetingId.toString());
       if (!meeting) return;
 
       // Find or create participant in meeting record
@@ -542,7 +542,7 @@ class EnhancedZoomUserTracker {
 
   async finalizeMeetingRecord(meetingId, finalStats) {
     try {
-      const meeting = await ZoomMeeting.findOne({ meetingId: meetingId.toString() });
+      const meeting = await ZoomMeeting.findOccurrence(meetingId.toString());
       if (!meeting) return;
 
       meeting.status = 'ended';
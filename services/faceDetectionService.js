@@ -0,0 +1,177 @@
+const path = require('path');
+const sharp = require('sharp');
+
+// Numeric env setting, allowing an explicit 0
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? fallback : value;
+}
+
+// Weights shipped with @vladmandic/face-api (same format face-api.js loads)
+const MODEL_PATH = process.env.FACE_MODEL_PATH ||
+  path.join(path.dirname(require.resolve('@vladmandic/face-api/package.json')), 'model');
+const MAX_IMAGE_SIZE = envNumber('FACE_MAX_IMAGE_SIZE', 640);
+const MIN_DETECTION_SCORE = envNumber('FACE_MIN_DETECTION_SCORE', 0.5);
+const MIN_FACE_SIZE = envNumber('FACE_MIN_FACE_SIZE', 64);
+
+/**
+ * Face Detection Service
+ * Computes face descriptors on the server from uploaded photos: sharp
+ * normalises the image (EXIF rotation, size, RGB), face-api.js detects the
+ * faces and computes the 128-float descriptor of the single face found.
+ * Models load lazily on first use; detections run one at a time because
+ * the TensorFlow CPU backend saturates a core.
+ */
+class FaceDetectionService {
+  constructor() {
+    this.faceapi = null;
+    this.modelsLoading = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Load face-api.js and the detection/landmark/recognition models once
+   */
+  async ensureModels() {
+    if (!this.modelsLoading) {
+      this.modelsLoading = (async () => {
+        const faceapi = require('face-api.js');
+        await Promise.all([
+          faceapi.nets.ssdMobilenetv1.loadFromDisk(MODEL_PATH),
+          faceapi.nets.faceLandmark68Net.loadFromDisk(MODEL_PATH),
+          faceapi.nets.faceRecognitionNet.loadFromDisk(MODEL_PATH),
+        ]);
+        this.faceapi = faceapi;
+        console.log(`🙂 Face models loaded from ${MODEL_PATH}`);
+        return faceapi;
+      })().catch(error => {
+        // Allow a retry on the next request
+        this.modelsLoading = null;
+        throw error;
+      });
+    }
+    return this.modelsLoading;
+  }
+
+  /**
+   * Decode, rotate and downscale an image to raw RGB pixels
+   * @param {Buffer} buffer - Uploaded image
+   * @returns {Object} - { data, width, height }
+   */
+  async prepareImage(buffer) {
+    const { data, info } = await sharp(buffer)
+      .rotate()
+      .resize({ width: MAX_IMAGE_SIZE, height: MAX_IMAGE_SIZE, fit: 'inside', withoutEnlargement: true })
+      .removeAlpha()
+      .toColourspace('srgb')
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    return { data, width: info.width, height: info.height };
+  }
+
+  /**
+   * Detect exactly one face in an image and compute its descriptor
+   * @param {Buffer} buffer - Uploaded image
+   * @returns {Object} - { success, descriptor, detection: { score, box }, pose, image }
+   * or { success: false, statusCode, error, faces }
+   */
+  async computeDescriptor(buffer) {
+    let image;
+    try {
+      image = await this.prepareImage(buffer);
+    } catch (error) {
+      return { success: false, statusCode: 400, error: 'Image could not be read' };
+    }
+
+    const faceapi = await this.ensureModels();
+    const detections = await this.runExclusive(async () => {
+      const input = faceapi.tf.tensor3d(new Uint8Array(image.data), [image.height, image.width, 3], 'int32');
+      try {
+        return await faceapi
+          .detectAllFaces(input, new faceapi.SsdMobilenetv1Options({ minConfidence: MIN_DETECTION_SCORE }))
+          .withFaceLandmarks()
+          .withFaceDescriptors();
+      } finally {
+        input.dispose();
+      }
+    });
+
+    if (detections.length === 0) {
+      return { success: false, statusCode: 422, error: 'No face detected in the image', faces: 0 };
+    }
+    if (detections.length > 1) {
+      return {
+        success: false,
+        statusCode: 422,
+        error: `Expected exactly one face but found ${detections.length}`,
+        faces: detections.length,
+      };
+    }
+
+    const [{ detection, landmarks, descriptor }] = detections;
+    const box = {
+      x: Math.round(detection.box.x),
+      y: Math.round(detection.box.y),
+      width: Math.round(detection.box.width),
+      height: Math.round(detection.box.height),
+    };
+    if (Math.min(box.width, box.height) < MIN_FACE_SIZE) {
+      return {
+        success: false,
+        statusCode: 422,
+        error: 'Face is too small; move closer to the camera',
+        faces: 1,
+      };
+    }
+
+    return {
+      success: true,
+      descriptor: Array.from(descriptor),
+      detection: { score: Math.round(detection.score * 1000) / 1000, box },
+      pose: this.estimatePose(landmarks.positions),
+      image: { width: image.width, height: image.height },
+    };
+  }
+
+  /**
+   * Head yaw and eye openness from the 68 face landmarks
+   * yaw: nose tip offset from the eye midpoint in inter-ocular distances;
+   * positive when the nose points to the right of the image.
+   * eyeAspectRatio: mean eye height/width, drops sharply during a blink.
+   * @param {Array} points - 68 landmark points { x, y }
+   * @returns {Object} - { yaw, eyeAspectRatio }
+   */
+  estimatePose(points) {
+    const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    const centre = indexes => ({
+      x: indexes.reduce((sum, i) => sum + points[i].x, 0) / indexes.length,
+      y: indexes.reduce((sum, i) => sum + points[i].y, 0) / indexes.length,
+    });
+    // Eye landmarks: 36-41 (image left eye) and 42-47 (image right eye)
+    const eyeAspectRatio = ([p1, p2, p3, p4, p5, p6]) =>
+      (distance(points[p2], points[p6]) + distance(points[p3], points[p5])) /
+      (2 * distance(points[p1], points[p4]) || 1);
+
+    const leftEye = centre([36, 37, 38, 39, 40, 41]);
+    const rightEye = centre([42, 43, 44, 45, 46, 47]);
+    const interOcular = distance(leftEye, rightEye) || 1;
+    const noseTip = points[30];
+
+    return {
+      yaw: Math.round(((noseTip.x - (leftEye.x + rightEye.x) / 2) / interOcular) * 1000) / 1000,
+      eyeAspectRatio: Math.round(((
+        eyeAspectRatio([36, 37, 38, 39, 40, 41]) + eyeAspectRatio([42, 43, 44, 45, 46, 47])
+      ) / 2) * 1000) / 1000,
+    };
+  }
+
+  // Run detections one after another
+  runExclusive(task) {
+    const run = this.queue.then(task, task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
+
+module.exports = new FaceDetectionService();
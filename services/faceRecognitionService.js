@@ -0,0 +1,302 @@
+const Attendance = require('../models/Attendance');
+const FaceDescriptor = require('../models/FaceDescriptor');
+const Student = require('../models/Student');
+const ZoomMeeting = require('../models/ZoomMeeting');
+const attendancePolicyService = require('./attendancePolicyService');
+const hybridVerificationService = require('./hybridVerificationService');
+const { getScheduledWindow, calculatePunctuality } = require('../utils/attendancePolicyEngine');
+
+// Numeric env setting, allowing an explicit 0
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? fallback : value;
+}
+
+const MATCH_THRESHOLD = envNumber('FACE_MATCH_THRESHOLD', 0.6);
+// Best and runner-up students closer than this are treated as ambiguous
+const MATCH_MARGIN = envNumber('FACE_MATCH_MARGIN', 0.05);
+const MAX_DESCRIPTORS_PER_STUDENT = envNumber('FACE_MAX_DESCRIPTORS_PER_STUDENT', 10);
+
+function euclideanDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    const diff = a[i] - b[i];
+    sum += diff * diff;
+  }
+  return Math.sqrt(sum);
+}
+
+function startOfUtcDay(date) {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+}
+
+/**
+ * Face Recognition Service
+ * Enrols face descriptors per student, identifies the closest enrolled
+ * student for a descriptor and records face_recognition check-ins.
+ * Methods return { success: false, statusCode, error } on failure.
+ */
+class FaceRecognitionService {
+  /**
+   * Validate and normalise a descriptor (array or Float32Array-like object)
+   * @returns {Array|null} - Plain number array, or null when invalid
+   */
+  normalizeDescriptor(descriptor) {
+    if (!descriptor || typeof descriptor !== 'object') return null;
+    const values = Array.isArray(descriptor) ? descriptor : Object.values(descriptor);
+    const numbers = values.map(Number);
+    if (numbers.length !== FaceDescriptor.DESCRIPTOR_LENGTH || !numbers.every(Number.isFinite)) {
+      return null;
+    }
+    return numbers;
+  }
+
+  /**
+   * Store one or more descriptors for a student
+   * @param {number} studentId - Student.StudentID
+   * @param {Array} descriptors - Descriptor arrays
+   * @param {Object} options - { label, source, user }
+   * @returns {Object} - { success, student, enrolled, total }
+   */
+  async enroll(studentId, descriptors, { label = null, source = 'client', user = null } = {}) {
+    // Accept a single descriptor or a list of them
+    const list = Array.isArray(descriptors) && typeof descriptors[0] === 'object'
+      ? descriptors
+      : [descriptors];
+    const normalized = list.map(descriptor => this.normalizeDescriptor(descriptor));
+    if (normalized.length === 0 || normalized.some(descriptor => !descriptor)) {
+      return {
+        success: false,
+        statusCode: 400,
+        error: `Each descriptor must be an array of ${FaceDescriptor.DESCRIPTOR_LENGTH} numbers`,
+      };
+    }
+
+    const student = await Student.findOne({ StudentID: Number(studentId) })
+      .select('StudentID FirstName LastName Email')
+      .lean();
+    if (!student) {
+      return { success: false, statusCode: 404, error: 'Student not found' };
+    }
+
+    const existing = await FaceDescriptor.countDocuments({ studentId: student.StudentID, isActive: true });
+    if (existing + normalized.length > MAX_DESCRIPTORS_PER_STUDENT) {
+      return {
+        success: false,
+        statusCode: 409,
+        error: `A student can have at most ${MAX_DESCRIPTORS_PER_STUDENT} descriptors (${existing} enrolled)`,
+      };
+    }
+
+    const enrolled = await FaceDescriptor.insertMany(normalized.map(descriptor => ({
+      studentId: student.StudentID,
+      descriptor,
+      label: label || undefined,
+      source,
+      enrolledBy: user?._id,
+    })));
+
+    return {
+      success: true,
+      student,
+      enrolled: enrolled.map(doc => this.describeDescriptor(doc)),
+      total: existing + enrolled.length,
+    };
+  }
+
+  /**
+   * Enrolled descriptors of a student, without the vectors
+   */
+  async listForStudent(studentId) {
+    const descriptors = await FaceDescriptor.find({ studentId: Number(studentId), isActive: true })
+      .sort({ createdAt: 1 })
+      .lean();
+    return descriptors.map(doc => this.describeDescriptor(doc));
+  }
+
+  describeDescriptor(doc) {
+    return {
+      id: doc._id,
+      studentId: doc.studentId,
+      label: doc.label || null,
+      source: doc.source,
+      createdAt: doc.createdAt,
+    };
+  }
+
+  /**
+   * Find the enrolled student closest to a descriptor
+   * @param {Array} descriptor - Probe descriptor
+   * @param {Object} options - { threshold, candidates: number of runner-ups to return }
+   * @returns {Object} - { success, matched, ambiguous, match, candidates, threshold }
+   */
+  async identify(descriptor, { threshold = MATCH_THRESHOLD, candidates = 3 } = {}) {
+    const probe = this.normalizeDescriptor(descriptor);
+    if (!probe) {
+      return {
+        success: false,
+        statusCode: 400,
+        error: `descriptor must be an array of ${FaceDescriptor.DESCRIPTOR_LENGTH} numbers`,
+      };
+    }
+
+    const stored = await FaceDescriptor.find({ isActive: true }).select('studentId descriptor').lean();
+
+    // Closest descriptor per student
+    const bestByStudent = new Map();
+    stored.forEach(({ studentId, descriptor: enrolled }) => {
+      if (enrolled.length !== probe.length) return;
+      const distance = euclideanDistance(probe, enrolled);
+      const current = bestByStudent.get(studentId);
+      if (current === undefined || distance < current) {
+        bestByStudent.set(studentId, distance);
+      }
+    });
+
+    const ranked = [...bestByStudent.entries()]
+      .map(([studentId, distance]) => ({
+        studentId,
+        distance: Math.round(distance * 10000) / 10000,
+        confidence: Math.round(Math.max(0, 1 - distance) * 1000) / 1000,
+      }))
+      .sort((a, b) => a.distance - b.distance);
+
+    const best = ranked[0] || null;
+    const matched = !!best && best.distance <= threshold;
+    const ambiguous = matched && ranked.length > 1 && ranked[1].distance - best.distance < MATCH_MARGIN;
+
+    let match = null;
+    if (matched) {
+      const student = await Student.findOne({ StudentID: best.studentId })
+        .select('StudentID FirstName LastName Email Department')
+        .lean();
+      match = {
+        ...best,
+        name: student ? `${student.FirstName} ${student.LastName}` : null,
+        email: student?.Email || null,
+        department: student?.Department || null,
+      };
+    }
+
+    return {
+      success: true,
+      matched,
+      ambiguous,
+      match,
+      candidates: ranked.slice(0, candidates),
+      threshold,
+    };
+  }
+
+  /**
+   * Identify a face and record a face_recognition Attendance for a meeting
+   * @param {Object} request - { descriptor, meetingId, expectedStudentId, metadata, remarks, user }
+   * expectedStudentId limits the check-in to one student (self check-in);
+   * remarks are appended to the Attendance remarks (e.g. liveness result)
+   * @returns {Object} - { success, attendance, match } or { success: false, statusCode, error }
+   */
+  async checkIn({ descriptor, meetingId, expectedStudentId = null, metadata = {}, remarks = null, user = null }) {
+    if (!meetingId) {
+      return { success: false, statusCode: 400, error: 'meetingId is required' };
+    }
+
+    const meeting = await ZoomMeeting.findOccurrence(meetingId.toString()).lean();
+    if (!meeting) {
+      return { success: false, statusCode: 404, error: 'Meeting not found' };
+    }
+    if (meeting.status === 'ended') {
+      return { success: false, statusCode: 409, error: 'Meeting has already ended' };
+    }
+
+    const identification = await this.identify(descriptor);
+    if (!identification.success) return identification;
+
+    if (!identification.matched) {
+      return { success: false, statusCode: 404, error: 'Face not recognised', identification };
+    }
+    if (identification.ambiguous) {
+      return {
+        success: false,
+        statusCode: 409,
+        error: 'Face matches more than one student too closely; try again or check in manually',
+        identification,
+      };
+    }
+
+    const { match } = identification;
+    if (expectedStudentId !== null && Number(expectedStudentId) !== Number(match.studentId)) {
+      return { success: false, statusCode: 403, error: 'Face does not match your student record', match };
+    }
+
+    const now = new Date();
+    const policy = await attendancePolicyService.resolveForMeeting(meeting);
+    const { scheduledStart } = getScheduledWindow(meeting);
+    const { minutesLate } = calculatePunctuality({ joinTime: now, scheduledStart });
+    const isLate = minutesLate !== null &&
+      policy.lateGraceMinutes !== null &&
+      policy.lateGraceMinutes !== undefined &&
+      minutesLate > policy.lateGraceMinutes;
+    const remarkText = `Face recognition check-in (distance ${match.distance})` +
+      (isLate ? `, ${minutesLate} min late` : '') +
+      (remarks ? `, ${remarks}` : '');
+    const requestMetadata = {
+      ipAddress: metadata.ipAddress,
+      userAgent: metadata.userAgent,
+      deviceType: metadata.deviceType,
+    };
+
+    // Meetings with a verification policy collect the face match as one factor
+    const hybrid = await hybridVerificationService.collect({
+      meeting,
+      studentId: match.studentId,
+      factors: [{ factor: 'face_match', detail: `distance ${match.distance}` }],
+      user,
+      attendanceData: {
+        Status: isLate ? 'Late' : 'Present',
+        Remarks: remarkText,
+        autoGenerated: true,
+        metadata: requestMetadata,
+      },
+    });
+    if (hybrid) {
+      return { success: true, attendance: hybrid.attendance, verification: hybrid.verification, match, minutesLate };
+    }
+
+    const existing = await Attendance.findOne({
+      StudentID: match.studentId,
+      meetingId: meeting.meetingId,
+      attendanceType: 'face_recognition',
+      Date: { $gte: startOfUtcDay(now) },
+    });
+    if (existing) {
+      return {
+        success: false,
+        statusCode: 409,
+        error: 'Already checked in to this meeting',
+        attendance: existing,
+        match,
+      };
+    }
+
+    const attendance = await Attendance.create({
+      StudentID: match.studentId,
+      Date: now,
+      Status: isLate ? 'Late' : 'Present',
+      Remarks: remarkText,
+      meetingId: meeting.meetingId,
+      attendanceType: 'face_recognition',
+      autoGenerated: true,
+      verificationStatus: 'verified',
+      metadata: requestMetadata,
+    });
+
+    console.log(`🙂 Face check-in: student ${match.studentId} -> meeting ${meeting.meetingId}` +
+      (user ? ` (by ${user.email})` : ''));
+
+    return { success: true, attendance, match, minutesLate };
+  }
+}
+
+module.exports = new FaceRecognitionService();
@@ -0,0 +1,212 @@
+const Attendance = require('../models/Attendance');
+const ZoomAttendance = require('../models/ZoomAttendance');
+const ZoomMeeting = require('../models/ZoomMeeting');
+const studentLinkService = require('./studentLinkService');
+
+// Plain copies of the stored factor entries
+function satisfiedFactors(attendance) {
+  return (attendance.verificationFactors?.satisfied || [])
+    .map(({ factor, verifiedAt, detail }) => ({ factor, verifiedAt, detail }));
+}
+
+function startOfUtcDay(date) {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+}
+
+/**
+ * Hybrid Verification Service
+ * Meetings with a verificationPolicy combine independent factors (QR scan,
+ * geofence, face match, the student's own JWT session, Zoom presence) into
+ * one 'hybrid' Attendance per student and day. The record is verified once
+ * the policy's minimum number of configured factors is satisfied; until then
+ * it stays pending and lists the missing factors.
+ */
+class HybridVerificationService {
+  /**
+   * Normalised policy of a meeting, or null when hybrid verification is off
+   * @param {Object} meeting - ZoomMeeting document or plain object
+   * @returns {Object|null} - { factors, minimumFactors }
+   */
+  getPolicy(meeting) {
+    const factors = [...new Set(meeting?.verificationPolicy?.factors || [])]
+      .filter(factor => ZoomMeeting.VERIFICATION_FACTORS.includes(factor));
+    if (factors.length === 0) return null;
+
+    const minimumFactors = Math.min(
+      Math.max(parseInt(meeting.verificationPolicy.minimumFactors) || factors.length, 1),
+      factors.length
+    );
+    return { factors, minimumFactors };
+  }
+
+  /**
+   * Validate a policy sent by an admin
+   * @returns {Object} - { policy } or { error }
+   */
+  validatePolicy({ factors, minimumFactors } = {}) {
+    if (!Array.isArray(factors)) {
+      return { error: 'factors must be an array' };
+    }
+    const unknown = factors.filter(factor => !ZoomMeeting.VERIFICATION_FACTORS.includes(factor));
+    if (unknown.length > 0) {
+      return { error: `Unknown factors: ${unknown.join(', ')}. Allowed: ${ZoomMeeting.VERIFICATION_FACTORS.join(', ')}` };
+    }
+
+    const unique = [...new Set(factors)];
+    const minimum = minimumFactors === undefined ? unique.length : parseInt(minimumFactors);
+    if (unique.length > 0 && (!(minimum >= 1) || minimum > unique.length)) {
+      return { error: `minimumFactors must be between 1 and ${unique.length}` };
+    }
+
+    return { policy: { factors: unique, minimumFactors: unique.length > 0 ? minimum : undefined } };
+  }
+
+  /**
+   * Compare satisfied factors with a policy
+   * @returns {Object} - { verified, required, satisfied, missing }
+   */
+  evaluate(policy, satisfiedFactors) {
+    const satisfied = policy.factors.filter(factor => satisfiedFactors.includes(factor));
+    return {
+      verified: satisfied.length >= policy.minimumFactors,
+      required: policy.minimumFactors,
+      satisfied,
+      missing: policy.factors.filter(factor => !satisfiedFactors.includes(factor)),
+    };
+  }
+
+  /**
+   * Does the authenticated user's own session belong to this student
+   * (admins acting for a student do not count)
+   */
+  async isStudentSession(user, studentId) {
+    if (!user || user.role === 'admin') return false;
+    const student = await studentLinkService.findStudentForUser(user);
+    return !!student && Number(student.StudentID) === Number(studentId);
+  }
+
+  async hasZoomPresence(meeting, studentId) {
+    return !!await ZoomAttendance.exists({
+      meetingId: meeting.meetingId.toString(),
+      studentId: Number(studentId),
+      ...(meeting.meetingUuid && { meetingUuid: meeting.meetingUuid }),
+    });
+  }
+
+  /**
+   * Add factors to the student's hybrid record for a meeting (created on first use)
+   * @param {Object} request - { meeting, studentId, factors: [{ factor, detail }], user, attendanceData }
+   * attendanceData seeds a new record (Status, location fields, metadata...)
+   * @returns {Object|null} - { attendance, verification }, or null when the meeting has no policy
+   */
+  async collect({ meeting, studentId, factors = [], user = null, attendanceData = {} }) {
+    const policy = this.getPolicy(meeting);
+    if (!policy) return null;
+
+    const now = new Date();
+    let attendance = await Attendance.findOne({
+      StudentID: Number(studentId),
+      meetingId: meeting.meetingId.toString(),
+      attendanceType: 'hybrid',
+      Date: { $gte: startOfUtcDay(now) },
+    });
+
+    if (!attendance) {
+      attendance = new Attendance({
+        Status: 'Present',
+        ...attendanceData,
+        StudentID: Number(studentId),
+        Date: now,
+        meetingId: meeting.meetingId.toString(),
+        attendanceType: 'hybrid',
+      });
+    } else {
+      // Keep location evidence from whichever factor supplied it first
+      const evidence = {
+        qrScannerLocation: 'qrScannerLocation.coordinates.latitude',
+        locationVerification: 'locationVerification.verifiedAt',
+      };
+      Object.entries(evidence).forEach(([field, marker]) => {
+        if (attendanceData[field] && attendance.get(marker) === undefined) {
+          attendance.set(field, attendanceData[field]);
+        }
+      });
+    }
+
+    const collected = [...factors];
+    if (policy.factors.includes('jwt_session') && await this.isStudentSession(user, studentId)) {
+      collected.push({ factor: 'jwt_session', detail: user.email });
+    }
+    if (policy.factors.includes('zoom_presence') && await this.hasZoomPresence(meeting, studentId)) {
+      collected.push({ factor: 'zoom_presence', detail: meeting.meetingUuid || meeting.meetingId.toString() });
+    }
+
+    const satisfied = satisfiedFactors(attendance);
+    collected.forEach(({ factor, detail }) => {
+      if (!satisfied.some(entry => entry.factor === factor)) {
+        satisfied.push({ factor, verifiedAt: now, detail });
+      }
+    });
+
+    const verification = this.apply(attendance, policy, satisfied);
+    await attendance.save();
+
+    console.log(`🔐 Hybrid check-in for student ${studentId} (meeting ${meeting.meetingId}): ` +
+      `${verification.satisfied.length}/${verification.required} factors` +
+      (verification.missing.length ? `, missing ${verification.missing.join(', ')}` : ''));
+
+    return { attendance, verification };
+  }
+
+  /**
+   * Store the evaluation on the record and derive verificationStatus
+   */
+  apply(attendance, policy, satisfied) {
+    const verification = this.evaluate(policy, satisfied.map(entry => entry.factor));
+    attendance.verificationFactors = {
+      required: verification.required,
+      satisfied,
+      missing: verification.missing,
+    };
+    // An open dispute keeps its status until decided
+    if (attendance.verificationStatus !== 'disputed') {
+      attendance.verificationStatus = verification.verified ? 'verified' : 'pending';
+    }
+    return verification;
+  }
+
+  /**
+   * Credit Zoom presence to today's pending hybrid record of a student
+   * Called when a webhook matches a participant to a student.
+   */
+  async recordZoomPresence({ meetingId, meetingUuid = null, studentId }) {
+    if (!studentId) return null;
+
+    const meeting = await ZoomMeeting.findOccurrence((meetingUuid || meetingId).toString())
+      .select('meetingId meetingUuid verificationPolicy')
+      .lean();
+    const policy = this.getPolicy(meeting);
+    if (!policy || !policy.factors.includes('zoom_presence')) return null;
+
+    const attendance = await Attendance.findOne({
+      StudentID: Number(studentId),
+      meetingId: meeting.meetingId.toString(),
+      attendanceType: 'hybrid',
+      Date: { $gte: startOfUtcDay(new Date()) },
+    });
+    if (!attendance) return null;
+
+    const satisfied = satisfiedFactors(attendance);
+    if (satisfied.some(entry => entry.factor === 'zoom_presence')) return null;
+
+    satisfied.push({ factor: 'zoom_presence', verifiedAt: new Date(), detail: meetingUuid || meeting.meetingId });
+    const verification = this.apply(attendance, policy, satisfied);
+    await attendance.save();
+
+    return { attendance, verification };
+  }
+}
+
+module.exports = new HybridVerificationService();
@@ -0,0 +1,353 @@
+/**
+ * JobService - background jobs persisted in the queue store
+ *
+ * Modules define the jobs they own with define(name, handler, options) and
+ * either enqueue them (optionally delayed) or give them a recurring schedule.
+ * Every instance runs jobs: a job is claimed by one worker, a failed attempt
+ * is retried with backoff up to maxAttempts, and a job whose instance died
+ * mid-run is picked up again once its lock expires.
+ *
+ * Recurring schedules run once per period for the whole deployment (a lease
+ * per period decides which instance enqueues the run), or, with perInstance,
+ * on every instance for housekeeping of that process's memory.
+ *
+ * Handlers receive the job's data and the job, and resolve with a small,
+ * JSON-serializable result that is kept with the job history.
+ */
+
+const crypto = require('crypto');
+const LeaderElection = require('../utils/leaderElection');
+const { getQueueStore } = require('../utils/queueStore');
+
+// How often each instance looks for due jobs and schedules
+const POLL_INTERVAL_MS = 5000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+// How long finished jobs stay listed in the admin API
+const HISTORY_RETENTION_MS = (Number(process.env.JOB_HISTORY_DAYS) || 14) * 24 * 60 * 60 * 1000;
+
+const DEFAULT_DEFINITION = {
+  concurrency: 1,       // Jobs of this name running at once on one instance
+  maxAttempts: 3,
+  backoff: 'exponential', // or 'fixed'
+  backoffMs: 30000,     // Delay before the first retry
+  timeoutMs: 5 * 60 * 1000 // Lock held while running; a longer run may be picked up elsewhere
+};
+
+class JobService {
+  constructor(options = {}) {
+    this.store = options.store || null;
+    this.instanceId = options.instanceId || LeaderElection.INSTANCE_ID;
+    this.pollIntervalMs = options.pollIntervalMs || POLL_INTERVAL_MS;
+    this.definitions = new Map();
+    this.schedules = new Map();
+    this.running = new Map(); // name -> jobs running in this process
+    this.timer = null;
+    this.isPolling = false;
+    this.stats = {
+      completed: 0,
+      failed: 0,
+      retried: 0,
+      lastReset: new Date()
+    };
+  }
+
+  getStore() {
+    return this.store || getQueueStore();
+  }
+
+  /**
+   * Register the handler for a job name
+   * @param {string} name - Job name, e.g. 'meeting.reconcile'
+   * @param {Function} handler - async (data, job) => result
+   * @param {Object} options - { concurrency, maxAttempts, backoff, backoffMs, timeoutMs, description }
+   */
+  define(name, handler, options = {}) {
+    this.definitions.set(name, { ...DEFAULT_DEFINITION, ...options, name, handler });
+  }
+
+  /**
+   * Run a defined job every `every` milliseconds
+   * @param {string} name - Defined job name
+   * @param {number} every - Interval in milliseconds
+   * @param {Object} options - { data, perInstance }
+   */
+  schedule(name, every, { data = {}, perInstance = false } = {}) {
+    if (!this.definitions.has(name)) {
+      throw new Error(`Cannot schedule undefined job "${name}"`);
+    }
+    this.schedules.set(name, {
+      every,
+      data,
+      perInstance,
+      // Per-instance housekeeping waits a full period; shared schedules start when their lease is free
+      nextRunAt: perInstance ? Date.now() + every : 0
+    });
+  }
+
+  unschedule(name) {
+    this.schedules.delete(name);
+  }
+
+  /**
+   * Queue a job
+   * @param {string} name - Job name
+   * @param {Object} data - Plain JSON passed to the handler
+   * @param {Object} options - { delayMs, runAt, priority, uniqueKey, instance }
+   *   uniqueKey: while a job of this name with the key is queued or running, that job is returned instead
+   * @returns {Promise<Object>} - The job
+   */
+  async enqueue(name, data = {}, options = {}) {
+    const { delayMs = 0, runAt, priority, uniqueKey, instance, expiresAt } = options;
+    const availableAt = runAt ? new Date(runAt).getTime() : Date.now() + delayMs;
+
+    const job = await this.getStore().enqueueJob(name, data, { priority, availableAt, uniqueKey, instance, expiresAt });
+    if (job.availableAt <= Date.now()) {
+      setImmediate(() => this.poll());
+    }
+    return this.toView(job);
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+    this.timer.unref();
+    console.log(`⚙️ Job service started on ${this.instanceId} (${this.definitions.size} job types, ${this.schedules.size} schedules)`);
+    this.poll();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Queue due schedules, then claim jobs for every job type with a free slot
+   */
+  async poll() {
+    if (this.isPolling || !this.timer) return;
+    this.isPolling = true;
+
+    try {
+      await this.enqueueDueSchedules();
+
+      for (const definition of this.definitions.values()) {
+        while ((this.running.get(definition.name) || 0) < definition.concurrency) {
+          const job = await this.getStore().claimJob(definition.name, this.instanceId, definition.timeoutMs);
+          if (!job) break;
+          this.runJob(definition, job);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Job polling failed:', error.message);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  async enqueueDueSchedules() {
+    const now = Date.now();
+
+    for (const [name, schedule] of this.schedules) {
+      if (schedule.perInstance) {
+        if (now < schedule.nextRunAt) continue;
+        schedule.nextRunAt = now + schedule.every;
+        // Bound to this instance; dropped if the instance goes away before running it
+        await this.enqueue(name, schedule.data, {
+          uniqueKey: this.instanceId,
+          instance: this.instanceId,
+          expiresAt: now + schedule.every
+        });
+        continue;
+      }
+
+      // The lease lasts one period, so only one instance gets to enqueue each run.
+      // Every attempt is a new holder, so the winner can't renew it either
+      const holder = `${this.instanceId}:${crypto.randomUUID()}`;
+      const won = await this.getStore().acquireLease(`job-schedule:${name}`, holder, schedule.every);
+      if (won) {
+        await this.enqueue(name, schedule.data, { uniqueKey: 'scheduled' });
+      }
+    }
+  }
+
+  /**
+   * Run a claimed job and record the attempt
+   * @param {Object} definition - Job definition
+   * @param {Object} job - Job from the queue store
+   */
+  async runJob(definition, job) {
+    const { name } = definition;
+    const store = this.getStore();
+    const startedAt = new Date();
+    const record = (status, error) => ({
+      attempt: job.attempts,
+      status,
+      worker: this.instanceId,
+      startedAt,
+      finishedAt: new Date(),
+      ...(error && { error: error.message })
+    });
+
+    this.running.set(name, (this.running.get(name) || 0) + 1);
+
+    try {
+      // Claimed again after runs that never finished (the instance died each time)
+      if (job.attempts > definition.maxAttempts) {
+        throw Object.assign(new Error(`Gave up after ${job.attempts - 1} attempts that did not finish`), { final: true });
+      }
+
+      console.log(`⚙️ Running job ${name} (${job.id}), attempt ${job.attempts}/${definition.maxAttempts}`);
+      const result = await definition.handler(job.payload, this.toView(job));
+
+      this.stats.completed++;
+      await store.completeJob(job.id, result === undefined ? null : result, {
+        retainMs: HISTORY_RETENTION_MS,
+        record: record('completed')
+      });
+      console.log(`✅ Job ${name} (${job.id}) completed`);
+
+    } catch (error) {
+      try {
+        if (!error.final && job.attempts < definition.maxAttempts) {
+          const delay = this.getBackoffDelay(definition, job.attempts);
+          this.stats.retried++;
+          console.warn(`🔁 Job ${name} (${job.id}) failed on attempt ${job.attempts}, retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+          await store.rescheduleJob(job.id, Date.now() + delay, {
+            error: { message: error.message },
+            record: record('failed', error)
+          });
+        } else {
+          this.stats.failed++;
+          console.error(`❌ Job ${name} (${job.id}) failed after ${job.attempts} attempts: ${error.message}`);
+          await store.failJob(job.id, { message: error.message }, {
+            retainMs: HISTORY_RETENTION_MS,
+            record: record('failed', error)
+          });
+        }
+      } catch (storeError) {
+        console.error(`❌ Could not record failure of job ${name} (${job.id}):`, storeError.message);
+      }
+
+    } finally {
+      this.running.set(name, this.running.get(name) - 1);
+      setImmediate(() => this.poll());
+    }
+  }
+
+  /**
+   * Delay before retrying after a failed attempt
+   * @param {Object} definition - Job definition
+   * @param {number} attempt - The attempt that failed, from 1
+   * @returns {number} - Milliseconds
+   */
+  getBackoffDelay(definition, attempt) {
+    const delay = definition.backoff === 'fixed'
+      ? definition.backoffMs
+      : definition.backoffMs * Math.pow(2, attempt - 1);
+    return Math.min(delay, MAX_BACKOFF_MS);
+  }
+
+  // ==================== ADMIN ====================
+
+  /**
+   * Jobs of every defined type, newest first
+   * @param {Object} filters - { name, status, limit, skip }
+   */
+  async listJobs({ name, status, limit = 50, skip = 0 } = {}) {
+    const names = name ? [name] : [...this.definitions.keys()];
+    const jobs = await this.getStore().listJobs(names, { status, limit, skip, newestFirst: true });
+    return jobs.map(job => this.toView(job));
+  }
+
+  async getJob(id) {
+    const job = await this.getStore().getJob(id);
+    return job && this.definitions.has(job.queue) ? this.toView(job) : null;
+  }
+
+  /**
+   * Run a failed or cancelled job again, or a queued one now instead of later
+   * @returns {Promise<Object|null>} - The job, or null if it can't be retried
+   */
+  async retryJob(id) {
+    if (!(await this.getJob(id))) return null;
+    const job = await this.getStore().requeueJob(id);
+    if (!job) return null;
+    setImmediate(() => this.poll());
+    return this.toView(job);
+  }
+
+  /**
+   * Cancel a job that has not started
+   * @returns {Promise<boolean>}
+   */
+  async cancelJob(id) {
+    if (!(await this.getJob(id))) return false;
+    return this.getStore().cancelJob(id, { retainMs: HISTORY_RETENTION_MS });
+  }
+
+  /**
+   * Cancel the queued job of a name holding a unique key
+   * @returns {Promise<boolean>}
+   */
+  async cancelUnique(name, uniqueKey) {
+    const job = await this.getStore().getActiveJob(name, uniqueKey);
+    return job ? this.getStore().cancelJob(job.id, { retainMs: HISTORY_RETENTION_MS }) : false;
+  }
+
+  /**
+   * Job types with their schedules and job counts
+   */
+  async getStatus() {
+    const store = this.getStore();
+    const types = await Promise.all([...this.definitions.values()].map(async (definition) => {
+      const schedule = this.schedules.get(definition.name);
+      return {
+        name: definition.name,
+        description: definition.description || null,
+        concurrency: definition.concurrency,
+        maxAttempts: definition.maxAttempts,
+        schedule: schedule ? { everyMs: schedule.every, perInstance: schedule.perInstance } : null,
+        runningHere: this.running.get(definition.name) || 0,
+        jobs: await store.countJobs(definition.name)
+      };
+    }));
+
+    return {
+      instanceId: this.instanceId,
+      started: Boolean(this.timer),
+      stats: this.stats,
+      types
+    };
+  }
+
+  // The job as the admin API and handlers see it
+  toView(job) {
+    const definition = this.definitions.get(job.queue);
+    return {
+      id: job.id,
+      name: job.queue,
+      data: job.payload,
+      status: job.status,
+      priority: job.priority,
+      uniqueKey: job.uniqueKey || null,
+      instance: job.instance || null,
+      runAt: job.availableAt,
+      attempts: job.attempts,
+      maxAttempts: definition ? definition.maxAttempts : null,
+      lockedBy: job.status === 'running' ? job.lockedBy : null,
+      result: job.result === undefined ? null : job.result,
+      error: job.error || null,
+      history: job.history || [],
+      createdAt: job.createdAt,
+      startedAt: job.startedAt || null,
+      finishedAt: job.finishedAt || null
+    };
+  }
+}
+
+// Export singleton instance
+const jobService = new JobService();
+jobService.JobService = JobService;
+module.exports = jobService;
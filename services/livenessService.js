@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const LivenessChallenge = require('../models/LivenessChallenge');
+const faceDetectionService = require('./faceDetectionService');
+const faceRecognitionService = require('./faceRecognitionService');
+
+// Numeric env setting, allowing an explicit 0
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? fallback : value;
+}
+
+const CHALLENGE_TTL_SECONDS = envNumber('FACE_LIVENESS_TTL_SECONDS', 60);
+const CHALLENGE_STEPS = envNumber('FACE_LIVENESS_STEPS', 2);
+const MAX_FRAMES = envNumber('FACE_LIVENESS_MAX_FRAMES', 8);
+// Yaw is measured in inter-ocular distances (see faceDetectionService.estimatePose)
+const TURN_YAW = envNumber('FACE_LIVENESS_TURN_YAW', 0.25);
+const FRONTAL_YAW = envNumber('FACE_LIVENESS_FRONTAL_YAW', 0.12);
+const EYES_CLOSED_RATIO = envNumber('FACE_LIVENESS_EYES_CLOSED_RATIO', 0.2);
+const EYES_OPEN_RATIO = envNumber('FACE_LIVENESS_EYES_OPEN_RATIO', 0.25);
+// Every frame must stay this close to the frontal descriptor (same person throughout)
+const MAX_FRAME_DISTANCE = envNumber('FACE_LIVENESS_MAX_FRAME_DISTANCE', 0.5);
+
+const STEP_INSTRUCTIONS = {
+  turn_left: 'Turn your head to your left',
+  turn_right: 'Turn your head to your right',
+  blink: 'Blink',
+};
+
+function distance(a, b) {
+  return Math.sqrt(a.reduce((sum, value, i) => sum + (value - b[i]) ** 2, 0));
+}
+
+function meanDescriptor(descriptors) {
+  return descriptors[0].map((_, i) =>
+    descriptors.reduce((sum, descriptor) => sum + descriptor[i], 0) / descriptors.length);
+}
+
+/**
+ * Liveness Service
+ * Challenge-response check against printed photos and replayed stills: the
+ * server picks a random sequence of head turns/blinks, the client uploads a
+ * burst of frames performing it (un-mirrored camera images, in order) and
+ * the frames must show the same face performing each step in sequence
+ * before the face check-in is recorded.
+ */
+class LivenessService {
+  /**
+   * Issue a challenge for a meeting check-in
+   * @param {Object} request - { user, meetingId, expectedStudentId, metadata }
+   * @returns {Object} - { challengeId, steps, instructions, expiresAt }
+   */
+  async issueChallenge({ user, meetingId, expectedStudentId = null, metadata = {} }) {
+    const steps = [];
+    const pool = [...LivenessChallenge.LIVENESS_STEPS];
+    while (steps.length < CHALLENGE_STEPS && pool.length > 0) {
+      steps.push(pool.splice(crypto.randomInt(pool.length), 1)[0]);
+    }
+
+    const challenge = await LivenessChallenge.create({
+      challengeId: crypto.randomBytes(16).toString('hex'),
+      user: user._id,
+      meetingId: meetingId.toString(),
+      expectedStudentId,
+      steps,
+      expiresAt: new Date(Date.now() + CHALLENGE_TTL_SECONDS * 1000),
+      metadata: { ipAddress: metadata.ipAddress, userAgent: metadata.userAgent },
+    });
+
+    return {
+      challengeId: challenge.challengeId,
+      steps,
+      instructions: [
+        'Look straight at the camera',
+        ...steps.map(step => STEP_INSTRUCTIONS[step]),
+      ],
+      maxFrames: MAX_FRAMES,
+      expiresAt: challenge.expiresAt,
+    };
+  }
+
+  /**
+   * Verify the uploaded frames of a challenge and record the check-in
+   * @param {string} challengeId - Issued challenge
+   * @param {Array<Buffer>} frames - Images in capture order
+   * @param {Object} options - { user, metadata }
+   * @returns {Object} - { success, attendance, match, challenge } or { success: false, statusCode, error, challenge }
+   */
+  async verify(challengeId, frames, { user, metadata = {} }) {
+    // Claim the challenge so it can only be verified once
+    const challenge = await LivenessChallenge.findOneAndUpdate(
+      { challengeId, user: user._id, status: 'pending', verifiedAt: { $exists: false } },
+      { $set: { verifiedAt: new Date(), frameCount: frames.length } },
+      { new: true }
+    );
+    if (!challenge) {
+      return { success: false, statusCode: 404, error: 'Challenge not found or already used' };
+    }
+    if (challenge.expiresAt < new Date()) {
+      return this.fail(challenge, 410, 'Challenge expired; request a new one');
+    }
+    if (frames.length < challenge.steps.length + 1 || frames.length > MAX_FRAMES) {
+      return this.fail(challenge, 400, `Upload between ${challenge.steps.length + 1} and ${MAX_FRAMES} frames`);
+    }
+
+    const analyses = [];
+    for (const frame of frames) {
+      const analysis = await faceDetectionService.computeDescriptor(frame);
+      analyses.push(analysis);
+      if (!analysis.success) {
+        challenge.frames = analyses.map(entry => this.describeFrame(entry));
+        return this.fail(challenge, 422, `Frame ${analyses.length}: ${analysis.error}`);
+      }
+    }
+
+    const motion = this.checkMotion(challenge.steps, analyses);
+    challenge.frames = analyses.map(entry => this.describeFrame(entry, motion.reference));
+    if (!motion.passed) {
+      return this.fail(challenge, 422, motion.error);
+    }
+
+    const result = await faceRecognitionService.checkIn({
+      descriptor: motion.reference,
+      meetingId: challenge.meetingId,
+      expectedStudentId: challenge.expectedStudentId,
+      metadata,
+      remarks: `liveness verified (${challenge.steps.join(', ')})`,
+      user,
+    });
+
+    const match = result.match || result.identification?.match || null;
+    challenge.matchDistance = match?.distance;
+    if (!result.success) {
+      return this.fail(challenge, result.statusCode, result.error, match?.studentId);
+    }
+
+    challenge.status = 'passed';
+    challenge.studentId = match.studentId;
+    challenge.attendance = result.attendance._id;
+    await challenge.save();
+
+    return { ...result, challenge };
+  }
+
+  /**
+   * Check that all frames show one person performing the steps in order
+   * The mean descriptor of the frontal, eyes-open frames is the reference
+   * every frame is compared with; each step must appear after the previous one.
+   * @returns {Object} - { passed, error, reference }
+   */
+  checkMotion(steps, analyses) {
+    const isFrontal = ({ pose }) => Math.abs(pose.yaw) <= FRONTAL_YAW && pose.eyeAspectRatio >= EYES_OPEN_RATIO;
+    const frontal = analyses.filter(isFrontal);
+    if (frontal.length === 0) {
+      return { passed: false, error: 'No frame shows the face looking straight at the camera' };
+    }
+
+    const reference = meanDescriptor(frontal.map(analysis => analysis.descriptor));
+    const differentFace = analyses.findIndex(analysis => distance(analysis.descriptor, reference) > MAX_FRAME_DISTANCE);
+    if (differentFace !== -1) {
+      return { passed: false, error: `Frame ${differentFace + 1} shows a different face`, reference };
+    }
+
+    const performs = {
+      // Un-mirrored image: turning to the subject's left moves the nose to the image's right
+      turn_left: (pose) => pose.yaw >= TURN_YAW,
+      turn_right: (pose) => pose.yaw <= -TURN_YAW,
+      blink: (pose, index) => pose.eyeAspectRatio <= EYES_CLOSED_RATIO &&
+        analyses.slice(0, index).some(previous => previous.pose.eyeAspectRatio >= EYES_OPEN_RATIO),
+    };
+
+    let position = 0;
+    for (const step of steps) {
+      let found = -1;
+      for (let i = position; i < analyses.length; i++) {
+        if (performs[step](analyses[i].pose, i)) {
+          found = i;
+          break;
+        }
+      }
+      if (found === -1) {
+        return { passed: false, error: `Requested motion not detected: ${STEP_INSTRUCTIONS[step].toLowerCase()}`, reference };
+      }
+      position = found + 1;
+    }
+
+    return { passed: true, reference };
+  }
+
+  describeFrame(analysis, reference = null) {
+    if (!analysis.success) {
+      return { error: analysis.error };
+    }
+    return {
+      yaw: analysis.pose.yaw,
+      eyeAspectRatio: analysis.pose.eyeAspectRatio,
+      score: analysis.detection.score,
+      distanceToReference: reference ? Math.round(distance(analysis.descriptor, reference) * 10000) / 10000 : undefined,
+    };
+  }
+
+  /**
+   * Record a failed challenge against the student for review
+   */
+  async fail(challenge, statusCode, error, studentId = null) {
+    challenge.status = 'failed';
+    challenge.failureReason = error;
+    challenge.studentId = studentId ?? challenge.expectedStudentId ?? undefined;
+    await challenge.save();
+
+    console.warn(`⚠️ Liveness challenge failed for ${challenge.studentId ? `student ${challenge.studentId}` : `user ${challenge.user}`}: ${error}`);
+
+    return { success: false, statusCode, error, challenge };
+  }
+
+  /**
+   * Failed challenges for review
+   * @param {Object} filters - { studentId, from, to, limit }
+   */
+  async listFailures({ studentId = null, from = null, to = null, limit = 100 } = {}) {
+    const query = { status: 'failed' };
+    if (studentId !== null) query.studentId = Number(studentId);
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    return LivenessChallenge.find(query)
+      .populate('user', 'username email')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .select('-__v')
+      .lean();
+  }
+}
+
+module.exports = new LivenessService();
@@ -0,0 +1,212 @@
+const ZoomMeeting = require('../models/ZoomMeeting');
+const ZoomAttendance = require('../models/ZoomAttendance');
+const Student = require('../models/Student');
+const rosterService = require('./rosterService');
+const { isAttendedStatus, statusPriority } = require('../utils/attendancePolicyEngine');
+
+/**
+ * Meeting Series Service
+ * Every occurrence of a recurring meeting is its own ZoomMeeting document
+ * (keyed by instance UUID) with its own ZoomAttendance records; this service
+ * lists the occurrences of a meeting ID and aggregates attendance across them.
+ */
+class MeetingSeriesService {
+  /**
+   * Occurrences of a meeting with per-occurrence attendance counts
+   * @param {string} meetingId - Zoom meeting ID
+   * @returns {Array} - Occurrences, oldest first
+   */
+  async getOccurrences(meetingId) {
+    const occurrences = await ZoomMeeting.findSeries(meetingId)
+      .select('meetingId meetingUuid occurrenceId topic type status startTime actualStartTime actualEndTime duration actualDuration')
+      .lean();
+
+    const counts = await ZoomAttendance.aggregate([
+      { $match: { meetingUuid: { $in: occurrences.map(occurrence => occurrence.meetingUuid) } } },
+      { $group: { _id: { meetingUuid: '$meetingUuid', status: '$attendanceStatus' }, count: { $sum: 1 } } },
+    ]);
+
+    const statusCounts = new Map();
+    counts.forEach(({ _id, count }) => {
+      const byStatus = statusCounts.get(_id.meetingUuid) || {};
+      byStatus[_id.status] = count;
+      statusCounts.set(_id.meetingUuid, byStatus);
+    });
+
+    return occurrences.map(occurrence => {
+      const byStatus = statusCounts.get(occurrence.meetingUuid) || {};
+      return {
+        ...occurrence,
+        participantCount: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+        statusCounts: byStatus,
+      };
+    });
+  }
+
+  /**
+   * Attendance records of a single occurrence
+   * @param {string} meetingUuid - Occurrence UUID
+   * @returns {Object|null} - { occurrence, records } or null when unknown
+   */
+  async getOccurrenceAttendance(meetingUuid) {
+    const occurrence = await ZoomMeeting.findOne({ meetingUuid }).lean();
+    if (!occurrence) return null;
+
+    const records = await ZoomAttendance.find({ meetingUuid })
+      .select('-webhookEvents -__v')
+      .sort({ joinTime: 1 })
+      .lean();
+
+    return { occurrence, records };
+  }
+
+  /**
+   * A student's attendance across every occurrence of a meeting
+   * Occurrences that have not started are left out; enrolled students of the
+   * meeting's course with no record in an occurrence count as Absent for it.
+   * @param {string} meetingId - Zoom meeting ID
+   * @param {Object} options - { studentId } to limit the result to one student
+   * @returns {Object} - { meetingId, topic, course, occurrences, students }
+   */
+  async getSeriesAttendance(meetingId, { studentId = null } = {}) {
+    const occurrences = (await ZoomMeeting.findSeries(meetingId)
+      .select('meetingId meetingUuid occurrenceId topic status startTime actualStartTime metadata')
+      .lean())
+      .filter(occurrence => occurrence.actualStartTime || occurrence.status !== 'waiting');
+
+    const uuids = occurrences.map(occurrence => occurrence.meetingUuid);
+    const recordQuery = { meetingUuid: { $in: uuids } };
+    if (studentId !== null) recordQuery.studentId = Number(studentId);
+
+    const records = await ZoomAttendance.find(recordQuery)
+      .select('meetingUuid participantName participantEmail studentId attendanceStatus attendancePercentage duration minutesLate minutesLeftEarly')
+      .lean();
+
+    const { course, students: enrolled } = await rosterService.getRosterForMeeting(occurrences[occurrences.length - 1] || meetingId);
+    const roster = studentId !== null
+      ? enrolled.filter(student => Number(student.StudentID) === Number(studentId))
+      : enrolled;
+
+    const students = new Map();
+    const entryFor = (key, details) => {
+      if (!students.has(key)) {
+        students.set(key, { ...details, enrolled: false, byOccurrence: new Map() });
+      }
+      return students.get(key);
+    };
+
+    roster.forEach(student => {
+      entryFor(`student:${student.StudentID}`, {
+        studentId: student.StudentID,
+        name: `${student.FirstName || ''} ${student.LastName || ''}`.trim(),
+        email: student.Email,
+      }).enrolled = true;
+    });
+
+    records.forEach(record => {
+      const key = record.studentId
+        ? `student:${record.studentId}`
+        : `email:${(record.participantEmail || record.participantName || '').toLowerCase()}`;
+      const entry = entryFor(key, {
+        studentId: record.studentId || null,
+        name: record.participantName,
+        email: record.participantEmail || null,
+      });
+
+      const current = entry.byOccurrence.get(record.meetingUuid);
+      if (!current || this.compareRecords(record, current) < 0) {
+        entry.byOccurrence.set(record.meetingUuid, record);
+      }
+    });
+
+    await this.fillStudentNames([...students.values()]);
+
+    return {
+      meetingId: meetingId.toString(),
+      topic: occurrences[occurrences.length - 1]?.topic || null,
+      course: course ? { id: course._id, code: course.code, title: course.title } : null,
+      occurrences: occurrences.map(occurrence => ({
+        meetingUuid: occurrence.meetingUuid,
+        occurrenceId: occurrence.occurrenceId || null,
+        scheduledStart: occurrence.startTime || null,
+        actualStartTime: occurrence.actualStartTime || null,
+        status: occurrence.status,
+      })),
+      students: [...students.values()]
+        .map(entry => this.summarizeStudent(entry, occurrences))
+        .sort((a, b) => (a.name || '').localeCompare(b.name || '')),
+    };
+  }
+
+  /**
+   * Negative when record a should be preferred over record b
+   */
+  compareRecords(a, b) {
+    return statusPriority(a.attendanceStatus) - statusPriority(b.attendanceStatus) ||
+      (b.attendancePercentage || 0) - (a.attendancePercentage || 0);
+  }
+
+  /**
+   * Per-occurrence statuses and totals for one student
+   */
+  summarizeStudent(entry, occurrences) {
+    const statusCounts = {};
+    let totalSeconds = 0;
+
+    const perOccurrence = occurrences.map(occurrence => {
+      const record = entry.byOccurrence.get(occurrence.meetingUuid);
+      const status = record ? record.attendanceStatus : 'Absent';
+      statusCounts[status] = (statusCounts[status] || 0) + 1;
+      totalSeconds += record?.duration || 0;
+
+      return {
+        meetingUuid: occurrence.meetingUuid,
+        scheduledStart: occurrence.startTime || null,
+        status,
+        attendancePercentage: record?.attendancePercentage || 0,
+        durationMinutes: Math.round((record?.duration || 0) / 60),
+        minutesLate: record?.minutesLate ?? null,
+        minutesLeftEarly: record?.minutesLeftEarly ?? null,
+        joined: !!record,
+      };
+    });
+
+    // A non-enrolled attendee is only expected at occurrences they joined
+    const counted = entry.enrolled ? perOccurrence : perOccurrence.filter(occurrence => occurrence.joined);
+    const attended = counted.filter(occurrence => isAttendedStatus(occurrence.status)).length;
+
+    return {
+      studentId: entry.studentId,
+      name: entry.name,
+      email: entry.email,
+      enrolled: entry.enrolled,
+      occurrencesCounted: counted.length,
+      occurrencesAttended: attended,
+      attendanceRate: counted.length > 0 ? Math.round((attended / counted.length) * 100) : 0,
+      totalMinutes: Math.round(totalSeconds / 60),
+      statusCounts,
+      occurrences: perOccurrence,
+    };
+  }
+
+  /**
+   * Use Student names for matched attendees
+   */
+  async fillStudentNames(entries) {
+    const ids = entries.filter(entry => entry.studentId && !entry.enrolled).map(entry => entry.studentId);
+    if (ids.length === 0) return;
+
+    const students = await Student.find({ StudentID: { $in: ids } }).select('StudentID FirstName LastName Email').lean();
+    const byId = new Map(students.map(student => [student.StudentID, student]));
+
+    entries.forEach(entry => {
+      const student = byId.get(entry.studentId);
+      if (student) {
+        entry.name = `${student.FirstName || ''} ${student.LastName || ''}`.trim();
+        entry.email = student.Email;
+      }
+    });
+  }
+}
+
+module.exports = new MeetingSeriesService();
@@ -1,7 +1,6 @@
-const axios = require('axios');
-const cron = require('node-cron');
 const ZoomMeeting = require('../models/ZoomMeeting');
-const zoomRequestQueue = require('../utils/zoomRequestQueue');
+const zoomClient = require('./zoomClient');
+const jobService = require('./jobService');
 
 class MeetingTerminationService {
   constructor() {
@@ -12,20 +11,29 @@ class MeetingTerminationService {
 
   initializeService() {
     console.log('🕒 Meeting Termination Service initialized');
-    
-    // Check for meetings that should be terminated every minute
-    cron.schedule('*/1 * * * *', () => {
-      this.checkExpiredMeetings();
+
+    // Terminations are persisted jobs, so they still happen after a restart
+    jobService.define('meeting.terminate', async ({ meetingId, reason }) => {
+      if (!(await this.terminateMeeting(meetingId, reason))) {
+        throw new Error(`Meeting ${meetingId} could not be terminated`);
+      }
+      return { meetingId, reason };
+    }, {
+      description: 'End a Zoom meeting once its scheduled duration is over',
+      concurrency: 2,
+      backoffMs: 15000
     });
 
     // Clean up old terminated meetings data every hour
-    cron.schedule('0 * * * *', () => {
-      this.cleanupOldData();
+    jobService.define('meeting.termination-cleanup', async () => this.cleanupOldData(), {
+      description: 'Forget terminated meetings tracked in this instance\'s memory',
+      maxAttempts: 1
     });
+    jobService.schedule('meeting.termination-cleanup', 60 * 60 * 1000, { perInstance: true });
   }
 
   // Schedule automatic termination for a meeting
-  scheduleMeetingTermination(meetingId, duration) {
+  async scheduleMeetingTermination(meetingId, duration) {
     const terminationTime = Date.now() + (duration * 60 * 1000); // Convert minutes to milliseconds
     
     console.log(`⏰ Scheduling termination for meeting ${meetingId} in ${duration} minutes`);
@@ -38,62 +46,26 @@ class MeetingTerminationService {
       terminated: false
     });
 
-    // Schedule immediate termination using setTimeout as backup
-    const timeoutId = setTimeout(async () => {
-      await this.terminateMeeting(meetingId, 'timeout');
-    }, duration * 60 * 1000);
-
-    // Store timeout ID for potential cancellation
-    const scheduleData = this.scheduledTerminations.get(meetingId);
-    scheduleData.timeoutId = timeoutId;
-    this.scheduledTerminations.set(meetingId, scheduleData);
+    await jobService.enqueue('meeting.terminate', { meetingId, reason: 'scheduled_expiration' }, {
+      runAt: terminationTime,
+      uniqueKey: meetingId,
+      priority: 1
+    });
 
     return terminationTime;
   }
 
-  // Check for expired meetings and terminate them
-  async checkExpiredMeetings() {
-    const now = Date.now();
-    
-    for (const [meetingId, schedule] of this.scheduledTerminations) {
-      if (!schedule.terminated && now >= schedule.terminationTime) {
-        console.log(`⏰ Meeting ${meetingId} has expired, terminating...`);
-        await this.terminateMeeting(meetingId, 'scheduled_expiration');
-      }
-    }
-  }
-
   // Terminate a specific meeting
   async terminateMeeting(meetingId, reason = 'manual') {
     try {
       console.log(`🔚 Terminating meeting ${meetingId} (reason: ${reason})`);
 
-      // Get access token
-      const accessToken = await this.getZoomAccessToken();
+      // Fail early when Zoom cannot be reached at all
+      await zoomClient.getAccessToken();
       
       // End the meeting via Zoom API
       try {
-        await zoomRequestQueue.enqueue(
-          async () => {
-            return await axios.patch(
-              `https://api.zoom.us/v2/meetings/${meetingId}/status`,
-              { action: 'end' },
-              {
-                headers: {
-                  Authorization: `Bearer ${accessToken}`,
-                  'Content-Type': 'application/json',
-                },
-                timeout: 15000
-              }
-            );
-          },
-          {
-            category: 'meeting',
-            priority: 1,
-            identifier: `terminate-meeting-${meetingId}`,
-            retryCount: 2
-          }
-        );
+        await zoomClient.endMeeting(meetingId, { priority: 1 });
         console.log(`✅ Successfully ended meeting ${meetingId} via Zoom API`);
       } catch (apiError) {
         console.warn(`⚠️ Failed to end meeting via API (meeting may already be ended): ${apiError.message}`);
@@ -111,12 +83,6 @@ class MeetingTerminationService {
         schedule.terminated = true;
         schedule.terminationReason = reason;
         schedule.actualTerminationTime = Date.now();
-        
-        // Clear the timeout if it exists
-        if (schedule.timeoutId) {
-          clearTimeout(schedule.timeoutId);
-        }
-        
         this.scheduledTerminations.set(meetingId, schedule);
       }
 
@@ -142,8 +108,8 @@ class MeetingTerminationService {
         accessBlocked: true
       };
 
-      await ZoomMeeting.findOneAndUpdate(
-        { meetingId: meetingId.toString() },
+      await ZoomMeeting.updateOccurrence(
+        meetingId.toString(),
         { $set: updateData },
         { new: true }
       );
@@ -184,7 +150,7 @@ class MeetingTerminationService {
 
     // Check database for meeting status
     try {
-      const meeting = await ZoomMeeting.findOne({ meetingId: meetingId.toString() });
+      const meeting = await ZoomMeeting.findOccurrence(meetingId.toString());
       
       if (!meeting) {
         return {
@@ -234,29 +200,6 @@ class MeetingTerminationService {
     }
   }
 
-  // Get Zoom access token
-  async getZoomAccessToken() {
-    try {
-      const response = await axios.post(
-        `https://zoom.us/oauth/token?grant_type=account_credentials&account_id=${process.env.ZOOM_ACCOUNT_ID}`,
-        {},
-        {
-          headers: {
-            Authorization: `Basic ${Buffer.from(
-              `${process.env.ZOOM_CLIENT_ID}:${process.env.ZOOM_CLIENT_SECRET}`
-            ).toString('base64')}`,
-            'Content-Type': 'application/x-www-form-urlencoded'
-          },
-          timeout: 10000
-        }
-      );
-      return response.data.access_token;
-    } catch (error) {
-      console.error('❌ Error getting Zoom access token:', error);
-      throw error;
-    }
-  }
-
   // Send real-time notification about meeting termination
   async notifyMeetingTermination(meetingId, reason) {
     try {
@@ -304,15 +247,11 @@ class MeetingTerminationService {
   }
 
   // Cancel scheduled termination (if needed)
-  cancelMeetingTermination(meetingId) {
-    if (this.scheduledTerminations.has(meetingId)) {
-      const schedule = this.scheduledTerminations.get(meetingId);
-      
-      if (schedule.timeoutId) {
-        clearTimeout(schedule.timeoutId);
-      }
-      
-      this.scheduledTerminations.delete(meetingId);
+  async cancelMeetingTermination(meetingId) {
+    const cancelled = await jobService.cancelUnique('meeting.terminate', meetingId);
+    const tracked = this.scheduledTerminations.delete(meetingId);
+
+    if (cancelled || tracked) {
       console.log(`🚫 Cancelled termination for meeting ${meetingId}`);
       return true;
     }
@@ -333,6 +272,7 @@ class MeetingTerminationService {
     }
 
     console.log('🧹 Cleaned up old meeting termination data');
+    return { scheduledTerminations: this.scheduledTerminations.size };
   }
 
   // Get service status
@@ -0,0 +1,438 @@
+const IdentityReview = require('../models/IdentityReview');
+const ParticipantAlias = require('../models/ParticipantAlias');
+const Student = require('../models/Student');
+const ZoomAttendance = require('../models/ZoomAttendance');
+const rosterService = require('./rosterService');
+const studentLinkService = require('./studentLinkService');
+
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? fallback : value;
+}
+
+// A candidate is linked automatically when it scores at least the threshold
+// and beats the runner-up by the margin; anything else goes to review
+const AUTO_MATCH_THRESHOLD = envNumber('IDENTITY_AUTO_MATCH_THRESHOLD', 0.85);
+const AUTO_MATCH_MARGIN = envNumber('IDENTITY_AUTO_MATCH_MARGIN', 0.1);
+const MIN_CANDIDATE_SCORE = envNumber('IDENTITY_MIN_CANDIDATE_SCORE', 0.3);
+const MAX_CANDIDATES = 5;
+const MAX_RERESOLVE = 100;
+
+// Strength of each signal; a candidate's signals are combined as a noisy-or
+const SIGNAL_STRENGTH = {
+  email: 0.99,
+  'alias:email': 0.97,
+  'alias:name': 0.9,
+  'alias:device': 0.6,
+  enrolled: 0.2,
+};
+const NAME_WEIGHT = 0.85;
+const MIN_NAME_SIMILARITY = 0.6;
+
+const REASON_METHODS = {
+  email: 'email',
+  'alias:email': 'alias',
+  'alias:name': 'alias',
+  'alias:device': 'device',
+};
+
+// Display names that say nothing about who is behind them
+const DEVICE_NAMES = /^(iphone|ipad|android|samsung|galaxy|pixel|huawei|xiaomi|redmi|oppo|vivo|oneplus|nokia|motorola)\b/;
+const PLACEHOLDER_NAMES = /^(zoom user|zoom|guest|user|participant|unknown|anonymous)$/;
+
+/**
+ * Normalise a display name for comparison and alias keys:
+ * "Jöhn Smith (2)" -> "john smith", "John's iPhone" -> "john"
+ */
+function normalizeName(name) {
+  if (!name) return '';
+  return String(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\(\d+\)/g, ' ')
+    .replace(/['’]s\s+(iphone|ipad|android|galaxy|pixel|phone|laptop|macbook|computer|pc)\b.*$/, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function isGenericName(nameKey) {
+  return !nameKey || DEVICE_NAMES.test(nameKey) || PLACEHOLDER_NAMES.test(nameKey.replace(/\d+/g, '').trim());
+}
+
+// Sørensen–Dice coefficient over character bigrams
+function diceCoefficient(a, b) {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const bigrams = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const bigram = a.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+
+  let overlap = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const bigram = b.slice(i, i + 2);
+    if (bigrams.get(bigram) > 0) {
+      bigrams.set(bigram, bigrams.get(bigram) - 1);
+      overlap++;
+    }
+  }
+
+  return (2 * overlap) / (a.length + b.length - 2);
+}
+
+/**
+ * Similarity of two normalised names in [0, 1], ignoring word order
+ */
+function nameSimilarity(a, b) {
+  if (!a || !b) return 0;
+
+  const tokensA = a.split(' ');
+  const tokensB = b.split(' ');
+  const shared = tokensA.filter(token => tokensB.includes(token)).length;
+  const tokenScore = shared / Math.max(tokensA.length, tokensB.length);
+
+  return Math.max(tokenScore, diceCoefficient([...tokensA].sort().join(' '), [...tokensB].sort().join(' ')));
+}
+
+/**
+ * Device fingerprint of a participant; only a user agent is specific enough
+ */
+function deviceKey(attendance) {
+  const metadata = attendance.metadata || {};
+  if (!metadata.userAgent) return null;
+  return [metadata.deviceType, metadata.clientType, metadata.userAgent]
+    .filter(Boolean)
+    .join('|')
+    .toLowerCase();
+}
+
+function studentName(student) {
+  return normalizeName(`${student.FirstName || ''} ${student.LastName || ''}`);
+}
+
+/**
+ * Participant Identity Service
+ * Resolves Zoom participants (ZoomAttendance records) to students. Each
+ * candidate student is scored from the participant's email, confirmed
+ * aliases, device and display-name similarity; confident matches are
+ * linked, the rest are queued as IdentityReviews. Confirming a review can
+ * remember the participant's name/email/device as aliases so the same
+ * identity resolves on its own next time.
+ */
+class ParticipantIdentityService {
+  /**
+   * Score candidate students for a participant
+   * @param {Object} attendance - ZoomAttendance (or a plain object with the same fields)
+   * @param {Object} options - { roster } to avoid reloading the meeting roster
+   * @returns {Array} - [{ studentId, score, reasons, method }] best first
+   */
+  async scoreCandidates(attendance, options = {}) {
+    const nameKey = normalizeName(attendance.participantName);
+    const email = attendance.participantEmail ? attendance.participantEmail.trim().toLowerCase() : null;
+    const device = deviceKey(attendance);
+    const candidates = new Map();
+
+    const addSignal = (studentId, reason, strength) => {
+      const id = Number(studentId);
+      const candidate = candidates.get(id) || { studentId: id, reasons: [], signals: [] };
+      candidate.reasons.push(reason);
+      candidate.signals.push({ reason, strength });
+      candidates.set(id, candidate);
+    };
+
+    if (email) {
+      const student = await studentLinkService.findStudentForEmail(email);
+      if (student) addSignal(student.StudentID, 'email', SIGNAL_STRENGTH.email);
+    }
+
+    const aliasKeys = [
+      email && { kind: 'email', value: email },
+      nameKey && { kind: 'name', value: nameKey },
+      device && { kind: 'device', value: device },
+    ].filter(Boolean);
+
+    if (aliasKeys.length > 0) {
+      const aliases = await ParticipantAlias.find({ $or: aliasKeys }).select('kind value studentId').lean();
+
+      // An alias confirmed for several students only weakly suggests each
+      const holders = new Map();
+      aliases.forEach(alias => {
+        const key = `${alias.kind}:${alias.value}`;
+        holders.set(key, (holders.get(key) || 0) + 1);
+      });
+      aliases.forEach(alias => {
+        const strength = SIGNAL_STRENGTH[`alias:${alias.kind}`] / holders.get(`${alias.kind}:${alias.value}`);
+        addSignal(alias.studentId, `alias:${alias.kind}`, strength);
+      });
+    }
+
+    const roster = options.roster || await rosterService.getRosterForMeeting(attendance.meetingId)
+      .catch(() => ({ course: null, students: [] }));
+    const enrolled = new Set(roster.students.map(student => Number(student.StudentID)));
+
+    if (!isGenericName(nameKey)) {
+      // Compare against the meeting's roster when it has one
+      const pool = roster.students.length > 0
+        ? roster.students
+        : await Student.find({}).select('StudentID FirstName LastName').lean();
+
+      pool.forEach(student => {
+        const similarity = nameSimilarity(nameKey, studentName(student));
+        if (similarity >= MIN_NAME_SIMILARITY) {
+          addSignal(student.StudentID, `name:${Math.round(similarity * 100)}`, NAME_WEIGHT * similarity);
+        }
+      });
+    }
+
+    candidates.forEach(candidate => {
+      if (enrolled.has(candidate.studentId)) {
+        addSignal(candidate.studentId, 'enrolled', SIGNAL_STRENGTH.enrolled);
+      }
+    });
+
+    return [...candidates.values()]
+      .map(candidate => {
+        const miss = candidate.signals.reduce((product, signal) => product * (1 - signal.strength), 1);
+        const strongest = candidate.signals.reduce((best, signal) => (signal.strength > best.strength ? signal : best));
+        return {
+          studentId: candidate.studentId,
+          score: Math.round((1 - miss) * 1000) / 1000,
+          reasons: candidate.reasons,
+          method: REASON_METHODS[strongest.reason] || 'name',
+        };
+      })
+      .filter(candidate => candidate.score >= MIN_CANDIDATE_SCORE)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  applyMatch(attendance, studentId, { method, score, by = null }) {
+    attendance.studentId = Number(studentId);
+    attendance.isMatched = true;
+    attendance.identity = {
+      method,
+      score,
+      resolvedAt: new Date(),
+      resolvedBy: by || undefined,
+    };
+  }
+
+  /**
+   * Link a participant to a student, or queue it for review
+   * @param {Object} attendance - ZoomAttendance document (saved here)
+   * @param {Object} options - { roster }
+   * @returns {Object} - { status: matched|queued|unmatched, studentId?, score?, review? }
+   */
+  async resolve(attendance, options = {}) {
+    if (attendance.isMatched && attendance.studentId) {
+      return { status: 'matched', studentId: attendance.studentId };
+    }
+    if (!attendance.participantEmail && !attendance.participantName) {
+      return { status: 'unmatched' };
+    }
+
+    const candidates = await this.scoreCandidates(attendance, options);
+    const [best, runnerUp] = candidates;
+
+    if (best && best.score >= AUTO_MATCH_THRESHOLD && best.score - (runnerUp?.score || 0) >= AUTO_MATCH_MARGIN) {
+      this.applyMatch(attendance, best.studentId, { method: best.method, score: best.score });
+      await attendance.save();
+
+      await Promise.all([
+        this.touchAliases(attendance, best.studentId),
+        IdentityReview.updateMany(
+          { attendance: attendance._id, status: 'pending' },
+          { $set: { status: 'auto_resolved', decision: { studentId: best.studentId, decidedAt: new Date() } } }
+        ),
+      ]);
+
+      return { status: 'matched', studentId: best.studentId, score: best.score };
+    }
+
+    await attendance.save();
+    const review = await this.queue(attendance, candidates);
+    return { status: 'queued', review };
+  }
+
+  /**
+   * Open (or refresh) the review of an unresolved participant
+   */
+  async queue(attendance, candidates) {
+    const update = {
+      meetingId: attendance.meetingId,
+      meetingUuid: attendance.meetingUuid,
+      participantName: attendance.participantName,
+      participantEmail: attendance.participantEmail,
+      nameKey: normalizeName(attendance.participantName),
+      deviceKey: deviceKey(attendance),
+      candidates: candidates.slice(0, MAX_CANDIDATES).map(({ studentId, score, reasons }) => ({ studentId, score, reasons })),
+    };
+
+    try {
+      return await IdentityReview.findOneAndUpdate(
+        { attendance: attendance._id, status: 'pending' },
+        { $set: update },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      // A concurrent event opened the review first
+      if (error.code === 11000) {
+        return IdentityReview.findOneAndUpdate({ attendance: attendance._id, status: 'pending' }, { $set: update }, { new: true });
+      }
+      throw error;
+    }
+  }
+
+  async touchAliases(attendance, studentId) {
+    const keys = this.aliasKeys(attendance);
+    if (keys.length === 0) return;
+
+    await ParticipantAlias.updateMany(
+      { studentId: Number(studentId), $or: keys },
+      { $inc: { hits: 1 }, $set: { lastSeenAt: new Date() } }
+    );
+  }
+
+  aliasKeys(participant) {
+    const nameKey = participant.nameKey ?? normalizeName(participant.participantName);
+    const device = participant.deviceKey ?? deviceKey(participant);
+    return [
+      participant.participantEmail && { kind: 'email', value: participant.participantEmail.trim().toLowerCase() },
+      nameKey && { kind: 'name', value: nameKey },
+      device && { kind: 'device', value: device },
+    ].filter(Boolean);
+  }
+
+  /**
+   * Remember a confirmed participant's name, email and device for a student.
+   * Names and emails the student record already carries are skipped.
+   */
+  async rememberAliases(review, student, user) {
+    const ownName = studentName(student);
+    const ownEmail = (student.Email || '').toLowerCase();
+
+    const keys = this.aliasKeys(review).filter(({ kind, value }) =>
+      !(kind === 'name' && value === ownName) && !(kind === 'email' && value === ownEmail));
+
+    return Promise.all(keys.map(({ kind, value }) => ParticipantAlias.findOneAndUpdate(
+      { kind, value, studentId: student.StudentID },
+      {
+        $setOnInsert: {
+          example: kind === 'name' ? review.participantName : value,
+          confirmedBy: user._id,
+        },
+        $set: { lastSeenAt: new Date() },
+        $inc: { hits: 1 },
+      },
+      { upsert: true, new: true }
+    )));
+  }
+
+  /**
+   * Confirm which student a queued participant is
+   * @param {Object} decision - { studentId, remember, note, user }
+   * @returns {Object} - { success, review, attendance, aliases, autoResolved } or { success: false, statusCode, error }
+   */
+  async confirm(reviewId, { studentId, remember = true, note = '', user }) {
+    const review = await IdentityReview.findById(reviewId);
+    if (!review) {
+      return { success: false, statusCode: 404, error: 'Review not found' };
+    }
+    if (review.status !== 'pending') {
+      return { success: false, statusCode: 409, error: `Review is already ${review.status}` };
+    }
+
+    const student = await Student.findOne({ StudentID: Number(studentId) }).lean();
+    if (!student) {
+      return { success: false, statusCode: 404, error: 'Student not found' };
+    }
+
+    const attendance = await ZoomAttendance.findById(review.attendance);
+    if (!attendance) {
+      return { success: false, statusCode: 404, error: 'Attendance record not found' };
+    }
+
+    this.applyMatch(attendance, student.StudentID, { method: 'manual', score: 1, by: user._id });
+    await attendance.save();
+
+    review.status = 'confirmed';
+    review.decision = { studentId: student.StudentID, decidedBy: user._id, decidedAt: new Date(), note };
+    await review.save();
+
+    let aliases = [];
+    let autoResolved = 0;
+    if (remember) {
+      aliases = await this.rememberAliases(review, student, user);
+      autoResolved = await this.reresolvePending(review);
+    }
+
+    return { success: true, review, attendance, aliases, autoResolved };
+  }
+
+  /**
+   * Close a review without a student (e.g. a guest speaker)
+   */
+  async dismiss(reviewId, { note = '', user }) {
+    const review = await IdentityReview.findById(reviewId);
+    if (!review) {
+      return { success: false, statusCode: 404, error: 'Review not found' };
+    }
+    if (review.status !== 'pending') {
+      return { success: false, statusCode: 409, error: `Review is already ${review.status}` };
+    }
+
+    review.status = 'dismissed';
+    review.decision = { decidedBy: user._id, decidedAt: new Date(), note };
+    await review.save();
+
+    return { success: true, review };
+  }
+
+  /**
+   * Re-run resolution for other open reviews sharing the confirmed identity
+   * @returns {number} - Reviews resolved automatically
+   */
+  async reresolvePending(review) {
+    const keys = [
+      review.nameKey && { nameKey: review.nameKey },
+      review.participantEmail && { participantEmail: review.participantEmail },
+      review.deviceKey && { deviceKey: review.deviceKey },
+    ].filter(Boolean);
+    if (keys.length === 0) return 0;
+
+    const pending = await IdentityReview.find({ status: 'pending', _id: { $ne: review._id }, $or: keys })
+      .select('attendance')
+      .limit(MAX_RERESOLVE)
+      .lean();
+
+    let resolved = 0;
+    for (const { attendance: attendanceId } of pending) {
+      const attendance = await ZoomAttendance.findById(attendanceId);
+      if (attendance && (await this.resolve(attendance)).status === 'matched') {
+        resolved++;
+      }
+    }
+    return resolved;
+  }
+
+  /**
+   * Resolve every unmatched participant of a meeting
+   * @returns {Object} - { processed, matched, queued }
+   */
+  async resolveMeeting(meetingId) {
+    const roster = await rosterService.getRosterForMeeting(meetingId);
+    const unmatched = await ZoomAttendance.find({ meetingId: meetingId.toString(), isMatched: { $ne: true } });
+
+    const summary = { processed: unmatched.length, matched: 0, queued: 0 };
+    for (const attendance of unmatched) {
+      const result = await this.resolve(attendance, { roster });
+      if (result.status === 'matched') summary.matched++;
+      if (result.status === 'queued') summary.queued++;
+    }
+    return summary;
+  }
+}
+
+module.exports = new ParticipantIdentityService();
@@ -2,6 +2,8 @@ const mongoose = require('mongoose');
 const Participant = require('../models/Participant');
 const Student = require('../models/Student');
 const ZoomMeeting = require('../models/ZoomMeeting');
+const attendancePolicyService = require('./attendancePolicyService');
+const { evaluateAttendance, getScheduledWindow, withPresentThreshold } = require('../utils/attendancePolicyEngine');
 
 class RealTimeParticipantTracker {
   constructor(io) {
@@ -11,6 +13,37 @@ class RealTimeParticipantTracker {
     console.log('🎯 Real-Time Participant Tracker initialized');
   }
 
+  /**
+   * Handle a normalized event from the webhook ingestion pipeline
+   * Participant records are owned by UnifiedAttendanceTracker; this only
+   * pushes a fresh 85% snapshot to clients watching the meeting.
+   */
+  async handleWebhookEvent(event) {
+    const trackedEvents = ['meeting.participant_joined', 'meeting.participant_left', 'meeting.ended'];
+
+    if (!trackedEvents.includes(event.eventType) || !event.meetingId) {
+      return { success: true, skipped: true, message: `Event ${event.eventType} not tracked` };
+    }
+
+    const participantData = await this.getCurrentParticipants(event.meetingId);
+
+    if (!participantData.success) {
+      return { success: false, error: participantData.error };
+    }
+
+    if (this.io) {
+      this.io.to(`attendance_tracker_${event.meetingId}`).emit('attendance85Update', {
+        meetingId: event.meetingId,
+        data: participantData,
+        timestamp: new Date().toISOString(),
+        type: 'webhook_update',
+        eventType: event.eventType
+      });
+    }
+
+    return { success: true, message: `Broadcast snapshot of ${participantData.participants.length} participants` };
+  }
+
   /**
    * Handle participant joining a meeting
    */
@@ -105,8 +138,8 @@ class RealTimeParticipantTracker {
 
       // Update meeting participant count
       try {
-        await ZoomMeeting.findOneAndUpdate(
-          { meetingId: meetingId.toString() },
+        await ZoomMeeting.updateOccurrence(
+          meetingId.toString(),
           {
             $inc: { activeParticipants: 1 },
             $set: { lastActivity: new Date() }
@@ -206,8 +239,8 @@ class RealTimeParticipantTracker {
       if (updatedParticipant) {
         // Update meeting participant count
         try {
-          await ZoomMeeting.findOneAndUpdate(
-            { meetingId: meetingId.toString() },
+          await ZoomMeeting.updateOccurrence(
+            meetingId.toString(),
             {
               $inc: { activeParticipants: -1 },
               $set: { lastActivity: new Date() }
@@ -218,10 +251,17 @@ class RealTimeParticipantTracker {
         }
 
         // Calculate attendance data
-        const meetingInfo = await ZoomMeeting.findOne({ meetingId: meetingId.toString() });
+        const meetingInfo = await ZoomMeeting.findOccurrence(meetingId.toString());
         const meetingDuration = meetingInfo ? meetingInfo.duration || 60 : 60;
-        const attendancePercentage = Math.round((duration / meetingDuration) * 100);
-        const attendanceStatus = attendancePercentage >= 85 ? 'Present' : 'Absent';
+        const policy = await attendancePolicyService.resolveForMeeting(meetingInfo || meetingId);
+        const evaluation = evaluateAttendance(policy, {
+          attendedMinutes: duration,
+          meetingDuration,
+          joinTime: sessionData?.joinTime || updatedParticipant.joinTime,
+          leaveTime: leaveDateTime,
+          ...getScheduledWindow(meetingInfo)
+        });
+        const { attendancePercentage, status: attendanceStatus } = evaluation;
 
         // Remove from active sessions
         this.participantSessions.delete(participantId.toString());
@@ -236,7 +276,7 @@ class RealTimeParticipantTracker {
               duration,
               attendancePercentage,
               attendanceStatus,
-              meetsThreshold: attendancePercentage >= 85
+              meetsThreshold: evaluation.meetsThreshold
             },
             timestamp: new Date().toISOString()
           };
@@ -278,14 +318,21 @@ class RealTimeParticipantTracker {
   /**
    * Get current participants for a meeting (for real-time display)
    */
-  async getCurrentParticipants(meetingId, threshold = 85) {
+  async getCurrentParticipants(meetingId, presentThreshold = null) {
     try {
       const participants = await Participant.find({ meetingId: meetingId.toString() })
         .populate('userId', 'username email role')
         .sort({ joinTime: 1 });
 
-      const meetingInfo = await ZoomMeeting.findOne({ meetingId: meetingId.toString() });
+      const meetingInfo = await ZoomMeeting.findOccurrence(meetingId.toString());
       const meetingDuration = meetingInfo ? meetingInfo.duration || 60 : 60;
+      // An explicit threshold overrides the present band of the meeting's policy
+      const policy = withPresentThreshold(
+        await attendancePolicyService.resolveForMeeting(meetingInfo || meetingId),
+        presentThreshold
+      );
+      const threshold = policy.thresholds.present;
+      const scheduledWindow = getScheduledWindow(meetingInfo);
 
       const processedParticipants = participants.map(participant => {
         let duration = participant.duration || 0;
@@ -295,15 +342,18 @@ class RealTimeParticipantTracker {
           duration = Math.round((Date.now() - participant.joinTime.getTime()) / (1000 * 60));
         }
 
-        const attendancePercentage = Math.round((duration / meetingDuration) * 100);
-        const meetsThreshold = attendancePercentage >= threshold;
-        
-        let attendanceStatus = 'Absent';
-        if (participant.isActive) {
-          attendanceStatus = 'In Progress';
-        } else if (meetsThreshold) {
-          attendanceStatus = 'Present';
-        }
+        const {
+          attendancePercentage,
+          status: attendanceStatus,
+          meetsThreshold
+        } = evaluateAttendance(policy, {
+          attendedMinutes: duration,
+          meetingDuration,
+          joinTime: participant.joinTime,
+          leaveTime: participant.leaveTime,
+          isActive: participant.isActive,
+          ...scheduledWindow
+        });
 
         return {
           ...participant.toObject(),
@@ -8,12 +8,12 @@
  * 4. Intelligent meeting detection and activation tracking
  */
 
-const axios = require('axios');
 const EventEmitter = require('events');
 const cron = require('node-cron');
 const ZoomMeeting = require('../models/ZoomMeeting');
 const Student = require('../models/Student');
 const { trackParticipantJoin, trackParticipantLeave } = require('../utils/zoomSdkTracker');
+const zoomClient = require('./zoomClient');
 
 class RealTimeZoomTracker extends EventEmitter {
   constructor(io, globalState) {
@@ -45,13 +45,6 @@ class RealTimeZoomTracker extends EventEmitter {
     this.pendingUpdates = new Map();
     this.isInitialized = false;
     
-    // Zoom API credentials
-    this.zoomCredentials = {
-      accountId: process.env.ZOOM_ACCOUNT_ID,
-      clientId: process.env.ZOOM_CLIENT_ID,
-      clientSecret: process.env.ZOOM_CLIENT_SECRET
-    };
-    
     this.validateCredentials();
   }
   
@@ -59,8 +52,7 @@ class RealTimeZoomTracker extends EventEmitter {
    * Validate Zoom API credentials
    */
   validateCredentials() {
-    const { accountId, clientId, clientSecret } = this.zoomCredentials;
-    if (!accountId || !clientId || !clientSecret) {
+    if (!zoomClient.hasCredentials()) {
       throw new Error('Missing Zoom API credentials. Please check environment variables.');
     }
   }
@@ -78,7 +70,7 @@ class RealTimeZoomTracker extends EventEmitter {
       console.log('🚀 Initializing Real-Time Zoom Meeting Tracker...');
       
       // Get access token to verify credentials
-      await this.getAccessToken();
+      await zoomClient.getAccessToken();
       
       // Start meeting detection
       this.startMeetingDetection();
@@ -100,29 +92,6 @@ class RealTimeZoomTracker extends EventEmitter {
     }
   }
   
-  /**
-   * Get OAuth access token for Zoom API
-   */
-  async getAccessToken() {
-    try {
-      const response = await axios.post(
-        `https://zoom.us/oauth/token?grant_type=account_credentials&account_id=${this.zoomCredentials.accountId}`,
-        {},
-        {
-          headers: {
-            Authorization: `Basic ${Buffer.from(`${this.zoomCredentials.clientId}:${this.zoomCredentials.clientSecret}`).toString('base64')}`,
-            'Content-Type': 'application/x-www-form-urlencoded'
-          },
-          timeout: 10000
-        }
-      );
-      return response.data.access_token;
-    } catch (error) {
-      console.error('❌ Error getting Zoom access token:', error.response?.data || error.message);
-      throw new Error(`Zoom authentication failed: ${error.response?.data?.error || error.message}`);
-    }
-  }
-  
   /**
    * Start meeting detection - checks for new meetings every hour
    */
@@ -149,22 +118,10 @@ class RealTimeZoomTracker extends EventEmitter {
     try {
       console.log('🔍 Detecting active Zoom meetings...');
       
-      const token = await this.getAccessToken();
-      
-      // Get user's meetings - both live and scheduled
-      const response = await axios.get('https://api.zoom.us/v2/users/me/meetings', {
-        headers: {
-          Authorization: `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        params: {
-          type: 'live',  // Only get live meetings
-          page_size: 100
-        },
-        timeout: 15000
-      });
+      // Only live meetings
+      const response = await zoomClient.listMeetings({ type: 'live', page_size: 100 });
       
-      const liveMeetings = response.data.meetings || [];
+      const liveMeetings = response.meetings || [];
       
       for (const meeting of liveMeetings) {
         await this.handleMeetingDetected(meeting);
@@ -315,25 +272,12 @@ class RealTimeZoomTracker extends EventEmitter {
    */
   async pollMeetingParticipants(meetingId) {
     try {
-      const token = await this.getAccessToken();
-      
       // Get current participants
-      const response = await axios.get(
-        `https://api.zoom.us/v2/meetings/${meetingId}/participants`,
-        {
-          headers: {
-            Authorization: `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          },
-          params: {
-            page_size: 300,
-            include_fields: 'registrant_id,status,join_time,leave_time,duration,failover,customer_key,in_waiting_room,role,participant_user_id,audio_quality,video_quality,version,leave_reason'
-          },
-          timeout: 15000
-        }
-      );
+      const response = await zoomClient.getLiveParticipants(meetingId, {
+        include_fields: 'registrant_id,status,join_time,leave_time,duration,failover,customer_key,in_waiting_room,role,participant_user_id,audio_quality,video_quality,version,leave_reason'
+      });
       
-      const participants = response.data.participants || [];
+      const participants = response.participants || [];
       const meeting = this.activeMeetings.get(meetingId);
       
       if (meeting) {
@@ -500,7 +444,7 @@ class RealTimeZoomTracker extends EventEmitter {
    */
   async storeMeetingInDatabase(meeting) {
     try {
-      let dbMeeting = await ZoomMeeting.findOne({ meetingId: meeting.id.toString() });
+      let dbMeeting = await ZoomMeeting.findOccurrence(meeting.id.toString());
       
       if (!dbMeeting) {
         dbMeeting = new ZoomMeeting({
@@ -529,7 +473,7 @@ class RealTimeZoomTracker extends EventEmitter {
     try {
       console.log(`📊 Generating final attendance report for meeting ${meetingId}`);
       
-      const meeting = await ZoomMeeting.findOne({ meetingId });
+      const meeting = await ZoomMeeting.findOccurrence(meetingId);
       if (meeting && meeting.participants.length > 0) {
         // Generate attendance records for students
         for (const participant of meeting.participants) {
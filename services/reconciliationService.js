@@ -1,8 +1,8 @@
-const axios = require('axios');
 const ZoomAttendance = require('../models/ZoomAttendance');
 const ZoomMeeting = require('../models/ZoomMeeting');
-const rateLimiter = require('../utils/rateLimiter');
-const zoomRequestQueue = require('../utils/zoomRequestQueue');
+const zoomClient = require('./zoomClient');
+const attendancePolicyService = require('./attendancePolicyService');
+const { evaluateAttendance, getScheduledWindow } = require('../utils/attendancePolicyEngine');
 
 class ReconciliationService {
   constructor() {
@@ -11,37 +11,17 @@ class ReconciliationService {
     this.reconciliationInProgress = new Set(); // Track ongoing reconciliations
   }
 
-  /**
-   * Get Zoom OAuth access token with rate limiting
-   * @returns {String} - Access token
-   */
-  async getZoomAccessToken() {
-    return await rateLimiter.getAccessToken(async () => {
-      const response = await axios.post(
-        `https://zoom.us/oauth/token?grant_type=account_credentials&account_id=${process.env.ZOOM_ACCOUNT_ID}`,
-        {},
-        {
-          headers: {
-            Authorization: `Basic ${Buffer.from(`${process.env.ZOOM_CLIENT_ID}:${process.env.ZOOM_CLIENT_SECRET}`).toString('base64')}`,
-            'Content-Type': 'application/x-www-form-urlencoded'
-          },
-          timeout: 10000
-        }
-      );
-      return response.data.access_token;
-    });
-  }
-
   /**
    * Reconcile meeting attendance data using Zoom's past meetings API
    * @param {String} meetingId - Meeting ID (can be ID or UUID)
-   * @param {Object} options - Reconciliation options
+   * @param {Object} options - Reconciliation options; meetingUuid picks the occurrence
    * @returns {Object} - Reconciliation result
    */
   async reconcileMeetingAttendance(meetingId, options = {}) {
+    const key = options.meetingUuid || meetingId;
     try {
       // Prevent concurrent reconciliation of the same meeting
-      if (this.reconciliationInProgress.has(meetingId)) {
+      if (this.reconciliationInProgress.has(key)) {
         console.log(`⚠️ Reconciliation already in progress for meeting ${meetingId}`);
         return {
           success: false,
@@ -50,20 +30,16 @@ class ReconciliationService {
         };
       }
 
-      this.reconciliationInProgress.add(meetingId);
-      console.log(`🔄 Starting reconciliation for meeting: ${meetingId}`);
+      this.reconciliationInProgress.add(key);
+      console.log(`🔄 Starting reconciliation for meeting: ${key}`);
 
-      // Get meeting data from database
-      let meeting = await ZoomMeeting.findOne({
-        $or: [
-          { meetingId: meetingId },
-          { meetingUuid: meetingId }
-        ]
-      });
+      // The occurrence named by its UUID, else the latest occurrence of the meeting ID
+      const meeting = (options.meetingUuid && await ZoomMeeting.findOne({ meetingUuid: options.meetingUuid })) ||
+        await ZoomMeeting.findOccurrence(meetingId);
 
       if (!meeting) {
-        console.error(`❌ Meeting not found in database: ${meetingId}`);
-        this.reconciliationInProgress.delete(meetingId);
+        console.error(`❌ Meeting not found in database: ${key}`);
+        this.reconciliationInProgress.delete(key);
         return {
           success: false,
           error: 'Meeting not found in database',
@@ -71,9 +47,6 @@ class ReconciliationService {
         };
       }
 
-      // Use UUID for API calls (handle double-encoding issue)
-      const meetingUuidForApi = this.encodeMeetingUuid(meeting.meetingUuid);
-      
       const result = {
         meetingId: meeting.meetingId,
         meetingUuid: meeting.meetingUuid,
@@ -106,18 +79,21 @@ class ReconciliationService {
         result.webhook.matched = webhookAttendance.filter(a => a.isMatched).length;
 
         // Get participant data from Zoom API with rate limiting and queue
-        const apiParticipants = await this.getParticipantsFromAPI(meetingUuidForApi);
+        const apiParticipants = await this.getParticipantsFromAPI(meeting.meetingUuid);
         result.api.participants = apiParticipants.length;
 
         console.log(`📊 Found ${webhookAttendance.length} webhook records and ${apiParticipants.length} API records`);
 
+        const policy = await attendancePolicyService.resolveForMeeting(meeting);
+
         // Process each API participant
         for (const apiParticipant of apiParticipants) {
           try {
             const reconcileResult = await this.reconcileParticipant(
               meeting,
               apiParticipant,
-              webhookAttendance
+              webhookAttendance,
+              policy
             );
 
             if (reconcileResult.created) result.reconciliation.created++;
@@ -162,12 +138,12 @@ class ReconciliationService {
         await meeting.save();
       }
 
-      this.reconciliationInProgress.delete(meetingId);
+      this.reconciliationInProgress.delete(key);
       return result;
 
     } catch (error) {
       console.error(`❌ Critical error in reconciliation:`, error);
-      this.reconciliationInProgress.delete(meetingId);
+      this.reconciliationInProgress.delete(key);
       return {
         success: false,
         error: error.message,
@@ -179,54 +155,20 @@ class ReconciliationService {
 
   /**
    * Get participants from Zoom API with proper error handling and rate limiting
-   * @param {String} meetingUuid - Encoded meeting UUID
+   * @param {String} meetingUuid - Meeting UUID as Zoom sent it (the client encodes it)
    * @returns {Array} - Participant data from API
    */
   async getParticipantsFromAPI(meetingUuid) {
     try {
-      const accessToken = await this.getZoomAccessToken();
-
-      // Use the request queue for API calls
-      const response = await zoomRequestQueue.enqueue(
-        async () => {
-          return await rateLimiter.executeApiCall(
-            async () => {
-              return await axios.get(
-                `https://api.zoom.us/v2/past_meetings/${meetingUuid}/participants`,
-                {
-                  headers: {
-                    Authorization: `Bearer ${accessToken}`,
-                    'Content-Type': 'application/json'
-                  },
-                  params: {
-                    page_size: 300,
-                    page_number: 1
-                  },
-                  timeout: 15000
-                }
-              );
-            },
-            `past-meetings-participants-${meetingUuid}`,
-            {
-              isReportsCall: true,
-              cacheKey: `participants-${meetingUuid}`,
-              cacheTTL: 300, // 5 minutes cache
-              retryCount: this.maxRetries
-            }
-          );
-        },
-        {
-          category: 'reconciliation',
-          priority: 3,
-          identifier: `reconcile-participants-${meetingUuid}`,
-          cacheKey: `reconcile_participants_${meetingUuid}`,
-          cacheTTL: 300,
-          enableCache: true,
-          retryCount: this.maxRetries
-        }
-      );
+      const participants = await zoomClient.getPastMeetingParticipants(meetingUuid, { priority: 3 });
 
-      return response.data.participants || [];
+      // Past meeting participants are reported as name/user_email; the
+      // reconciliation below reads the live-participant field names
+      return participants.map(participant => ({
+        ...participant,
+        user_name: participant.user_name || participant.name,
+        email: participant.email || participant.user_email,
+      }));
 
     } catch (error) {
       if (error.response?.status === 404) {
@@ -249,9 +191,10 @@ class ReconciliationService {
    * @param {Object} meeting - Meeting document
    * @param {Object} apiParticipant - Participant data from API
    * @param {Array} webhookAttendance - Existing webhook attendance records
+   * @param {Object} policy - Attendance policy resolved for the meeting
    * @returns {Object} - Reconciliation result for participant
    */
-  async reconcileParticipant(meeting, apiParticipant, webhookAttendance) {
+  async reconcileParticipant(meeting, apiParticipant, webhookAttendance, policy) {
     const result = {
       created: false,
       updated: false,
@@ -287,19 +230,20 @@ class ReconciliationService {
         }
       };
 
-      // Calculate attendance status based on meeting duration
+      // Calculate attendance status under the meeting's policy
       if (meeting.actualDuration) {
-        participantData.attendancePercentage = Math.round((apiParticipant.duration / (meeting.actualDuration * 60)) * 100);
-        
-        if (participantData.attendancePercentage >= 75) {
-          participantData.attendanceStatus = 'Present';
-        } else if (participantData.attendancePercentage >= 30) {
-          participantData.attendanceStatus = 'Partial';
-        } else if (participantData.attendancePercentage > 0) {
-          participantData.attendanceStatus = 'Late';
-        } else {
-          participantData.attendanceStatus = 'Absent';
-        }
+        const evaluation = evaluateAttendance(policy, {
+          attendedMinutes: (apiParticipant.duration || 0) / 60,
+          meetingDuration: meeting.actualDuration,
+          joinTime: participantData.joinTime,
+          leaveTime: participantData.leaveTime,
+          ...getScheduledWindow(meeting)
+        });
+
+        participantData.attendancePercentage = evaluation.attendancePercentage;
+        participantData.attendanceStatus = evaluation.status;
+        participantData.minutesLate = evaluation.minutesLate;
+        participantData.minutesLeftEarly = evaluation.minutesLeftEarly;
       }
 
       if (attendance) {
@@ -391,71 +335,6 @@ class ReconciliationService {
     return null;
   }
 
-  /**
-   * Encode meeting UUID for API calls (handle // issue)
-   * @param {String} uuid - Raw meeting UUID
-   * @returns {String} - Encoded UUID
-   */
-  encodeMeetingUuid(uuid) {
-    if (!uuid) return uuid;
-    
-    // Double URL encode if UUID contains / or //
-    if (uuid.includes('/')) {
-      return encodeURIComponent(encodeURIComponent(uuid));
-    }
-    
-    return encodeURIComponent(uuid);
-  }
-
-  /**
-   * Process reconciliation queue from webhook event handler
-   * @param {Array} queuedMeetings - Meetings queued for reconciliation
-   * @returns {Array} - Processing results
-   */
-  async processReconciliationQueue(queuedMeetings) {
-    const results = [];
-    
-    console.log(`🔄 Processing reconciliation queue: ${queuedMeetings.length} meetings`);
-
-    for (const queuedMeeting of queuedMeetings) {
-      try {
-        // Add delay between reconciliations to respect rate limits
-        if (results.length > 0) {
-          await this.sleep(2000); // 2 second delay
-        }
-
-        const result = await this.reconcileMeetingAttendance(queuedMeeting.meetingId, {
-          source: 'queue',
-          priority: queuedMeeting.priority,
-          attempts: queuedMeeting.attempts || 0
-        });
-
-        results.push({
-          meetingId: queuedMeeting.meetingId,
-          success: result.success,
-          error: result.error,
-          summary: result.success ? {
-            webhook: result.webhook,
-            api: result.api,
-            reconciliation: result.reconciliation
-          } : null
-        });
-
-        console.log(`${result.success ? '✅' : '❌'} Reconciliation ${result.success ? 'completed' : 'failed'} for meeting ${queuedMeeting.meetingId}`);
-
-      } catch (error) {
-        console.error(`❌ Error processing queued meeting ${queuedMeeting.meetingId}:`, error.message);
-        results.push({
-          meetingId: queuedMeeting.meetingId,
-          success: false,
-          error: error.message
-        });
-      }
-    }
-
-    return results;
-  }
-
   /**
    * Get reconciliation statistics
    * @returns {Object} - Statistics
@@ -496,14 +375,6 @@ class ReconciliationService {
     }
   }
 
-  /**
-   * Sleep utility for rate limiting
-   * @param {Number} ms - Milliseconds to sleep
-   */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
   /**
    * Clear reconciliation progress tracking (for cleanup)
    */
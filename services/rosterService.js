@@ -0,0 +1,125 @@
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Student = require('../models/Student');
+const ZoomMeeting = require('../models/ZoomMeeting');
+
+/**
+ * Roster Service
+ * Works out which students are expected at a meeting (active enrolments in
+ * the meeting's course) and which of them never joined.
+ */
+class RosterService {
+  /**
+   * Load the meeting document when only an ID/UUID is given
+   * @param {Object|string} meetingOrId - Meeting or meeting ID/UUID
+   * @returns {Object|null} - Meeting or null
+   */
+  async loadMeeting(meetingOrId) {
+    if (!meetingOrId) return null;
+    if (typeof meetingOrId === 'object') return meetingOrId;
+
+    const meetingKey = meetingOrId.toString();
+    const meeting = await ZoomMeeting.findOccurrence(meetingKey).select('meetingId meetingUuid topic metadata').lean();
+
+    // Occurrences of a linked series may not be stored yet
+    return meeting || { meetingId: meetingKey };
+  }
+
+  /**
+   * Course and enrolled students expected at a meeting
+   * @param {Object|string} meetingOrId - Meeting or meeting ID/UUID
+   * @returns {Object} - { course, students } (course null when the meeting has no course)
+   */
+  async getRosterForMeeting(meetingOrId) {
+    const meeting = await this.loadMeeting(meetingOrId);
+    const course = await Course.findForMeeting(meeting);
+
+    if (!course) {
+      return { course: null, students: [] };
+    }
+
+    return { course, students: await this.getEnrolledStudents(course._id) };
+  }
+
+  /**
+   * Students with an active enrolment in a course
+   * @param {ObjectId} courseId - Course _id
+   * @returns {Array} - Student documents
+   */
+  async getEnrolledStudents(courseId) {
+    const enrollments = await Enrollment.find({ course: courseId, status: 'active' }).select('studentId').lean();
+    if (enrollments.length === 0) return [];
+
+    return Student.find({ StudentID: { $in: enrollments.map(enrollment => enrollment.studentId) } })
+      .sort({ LastName: 1, FirstName: 1 })
+      .lean();
+  }
+
+  /**
+   * Enrolled students who do not appear among the meeting's participants
+   * Participants are matched on student ID or email.
+   * @param {Array} students - Enrolled Student documents
+   * @param {Array} participants - Participant-like objects
+   * @returns {Array} - Students who never joined
+   */
+  findAbsentees(students, participants = []) {
+    const joinedIds = new Set();
+    const joinedEmails = new Set();
+
+    participants.forEach(participant => {
+      const studentId = participant.studentId ?? participant.studentInfo?.studentId;
+      if (studentId !== undefined && studentId !== null) joinedIds.add(Number(studentId));
+
+      [
+        participant.email,
+        participant.studentEmail,
+        participant.participantEmail,
+        participant.studentInfo?.email,
+        participant.authenticatedUser?.email
+      ]
+        .filter(Boolean)
+        .forEach(email => joinedEmails.add(email.toLowerCase()));
+    });
+
+    return students.filter(student =>
+      !joinedIds.has(Number(student.StudentID)) &&
+      !joinedEmails.has((student.Email || '').toLowerCase())
+    );
+  }
+
+  /**
+   * Student details in the shape attendance reports use for studentInfo
+   * @param {Object} student - Student document
+   * @returns {Object} - Student info
+   */
+  describeStudent(student) {
+    return {
+      studentId: student.StudentID,
+      firstName: student.FirstName,
+      lastName: student.LastName,
+      fullName: `${student.FirstName || ''} ${student.LastName || ''}`.trim(),
+      department: student.Department,
+      email: student.Email,
+      isMatched: true
+    };
+  }
+
+  /**
+   * Roster plus the enrolled students who never joined
+   * @param {Object|string} meetingOrId - Meeting or meeting ID/UUID
+   * @param {Array} participants - Participant-like objects already in the meeting data
+   * @returns {Object} - { course, enrolledCount, absentees }
+   */
+  async getAbsentees(meetingOrId, participants = []) {
+    const { course, students } = await this.getRosterForMeeting(meetingOrId);
+
+    return {
+      course: course ? { id: course._id, code: course.code, title: course.title } : null,
+      enrolledCount: students.length,
+      absentees: this.findAbsentees(students, participants)
+    };
+  }
+}
+
+// Shared instance
+module.exports = new RosterService();
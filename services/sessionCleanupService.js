@@ -1,5 +1,8 @@
 const Participant = require('../models/Participant');
 const ZoomMeeting = require('../models/ZoomMeeting');
+const attendancePolicyService = require('./attendancePolicyService');
+const { evaluateAttendance, getScheduledWindow } = require('../utils/attendancePolicyEngine');
+const jobService = require('./jobService');
 
 /**
  * Session Cleanup Service
@@ -8,7 +11,6 @@ const ZoomMeeting = require('../models/ZoomMeeting');
 class SessionCleanupService {
   constructor(io = null) {
     this.io = io;
-    this.cleanupInterval = null;
     this.isRunning = false;
     this.stats = {
       totalCleanups: 0,
@@ -21,6 +23,7 @@ class SessionCleanupService {
 
   /**
    * Start automatic cleanup service
+   * Runs as the scheduled 'sessions.cleanup-stuck' job, once per interval across all instances
    * @param {number} intervalMinutes - How often to run cleanup (default: 30 minutes)
    * @param {number} stuckThresholdHours - Hours after which a session is considered stuck (default: 3 hours)
    */
@@ -38,29 +41,25 @@ class SessionCleanupService {
     console.log(`   - Cleanup interval: ${intervalMinutes} minutes`);
     console.log(`   - Stuck threshold: ${stuckThresholdHours} hours`);
 
-    // Run initial cleanup
-    this.runCleanup();
-
-    // Set up recurring cleanup
-    this.cleanupInterval = setInterval(() => {
-      this.runCleanup();
-    }, intervalMinutes * 60 * 1000);
+    jobService.define('sessions.cleanup-stuck', () => this.runCleanup(), {
+      description: 'Close participant sessions left open past the stuck threshold',
+      maxAttempts: 2
+    });
+    jobService.schedule('sessions.cleanup-stuck', intervalMinutes * 60 * 1000);
   }
 
   /**
    * Stop automatic cleanup service
    */
   stop() {
-    if (this.cleanupInterval) {
-      clearInterval(this.cleanupInterval);
-      this.cleanupInterval = null;
-    }
+    jobService.unschedule('sessions.cleanup-stuck');
     this.isRunning = false;
     console.log('🛑 Session cleanup service stopped');
   }
 
   /**
    * Run cleanup process
+   * @returns {Object} - Counts for the job history; throws so the job is retried
    */
   async runCleanup() {
     try {
@@ -86,6 +85,8 @@ class SessionCleanupService {
       } else {
         console.log('✅ Cleanup completed: No stuck sessions found');
       }
+
+      return { cleanedCount: result.cleanedCount };
     } catch (error) {
       console.error('❌ Error during session cleanup:', error.message);
       
@@ -96,6 +97,7 @@ class SessionCleanupService {
           timestamp: new Date().toISOString()
         });
       }
+      throw error;
     }
   }
 
@@ -115,11 +117,13 @@ class SessionCleanupService {
 
     const details = [];
     let cleanedCount = 0;
+    const meetingContexts = new Map();
 
     for (const participant of stuckParticipants) {
       const joinTime = new Date(participant.joinTime);
       const estimatedDuration = Math.round((now - joinTime) / (1000 * 60)); // minutes
       const hoursStuck = Math.round(estimatedDuration / 60 * 10) / 10;
+      const meetingContext = await this.getMeetingContext(participant.meetingId, meetingContexts);
 
       // Update participant status
       await Participant.findByIdAndUpdate(participant._id, {
@@ -129,7 +133,7 @@ class SessionCleanupService {
           duration: estimatedDuration,
           connectionStatus: 'auto_cleanup',
           lastActivity: now,
-          attendanceStatus: this.determineAttendanceStatus(estimatedDuration)
+          attendanceStatus: this.determineAttendanceStatus(estimatedDuration, meetingContext, joinTime, now)
         }
       });
 
@@ -145,8 +149,8 @@ class SessionCleanupService {
 
       // Also update meeting participant count if applicable
       try {
-        await ZoomMeeting.findOneAndUpdate(
-          { meetingId: participant.meetingId.toString() },
+        await ZoomMeeting.updateOccurrence(
+          participant.meetingId.toString(),
           { 
             $inc: { activeParticipants: -1 },
             $set: { lastActivity: now }
@@ -166,15 +170,47 @@ class SessionCleanupService {
   }
 
   /**
-   * Determine appropriate attendance status based on duration
+   * Load the policy and duration of a meeting, memoized per cleanup run
+   * @param {string} meetingId - Meeting ID
+   * @param {Map} cache - Per-run cache
+   * @returns {Object} - { policy, meetingDuration, scheduledStart, scheduledEnd }
+   */
+  async getMeetingContext(meetingId, cache = new Map()) {
+    const key = meetingId.toString();
+    if (cache.has(key)) {
+      return cache.get(key);
+    }
+
+    const meeting = await ZoomMeeting.findOccurrence(key)
+      .select('metadata duration actualDuration startTime')
+      .lean();
+    const context = {
+      policy: await attendancePolicyService.resolveForMeeting(meeting || key),
+      meetingDuration: meeting ? (meeting.actualDuration || meeting.duration || 0) : 0,
+      ...getScheduledWindow(meeting)
+    };
+
+    cache.set(key, context);
+    return context;
+  }
+
+  /**
+   * Determine appropriate attendance status under the meeting's attendance policy
    * @param {number} durationMinutes - Duration in minutes
+   * @param {Object} meetingContext - { policy, meetingDuration, scheduledStart, scheduledEnd } from getMeetingContext
+   * @param {Date} joinTime - Participant join time
+   * @param {Date} leaveTime - Participant leave time
    * @returns {string} - Attendance status
    */
-  determineAttendanceStatus(durationMinutes) {
-    if (durationMinutes >= 60) return 'Present'; // 1+ hour
-    if (durationMinutes >= 30) return 'Partial'; // 30+ minutes
-    if (durationMinutes >= 5) return 'Left Early'; // 5+ minutes
-    return 'Absent'; // Less than 5 minutes
+  determineAttendanceStatus(durationMinutes, meetingContext = {}, joinTime = null, leaveTime = null) {
+    return evaluateAttendance(meetingContext.policy, {
+      attendedMinutes: durationMinutes,
+      meetingDuration: meetingContext.meetingDuration,
+      scheduledStart: meetingContext.scheduledStart,
+      scheduledEnd: meetingContext.scheduledEnd,
+      joinTime,
+      leaveTime
+    }).status;
   }
 
   /**
@@ -256,10 +292,12 @@ class SessionCleanupService {
 
     let cleanedCount = 0;
     const details = [];
+    const meetingContext = await this.getMeetingContext(meetingId);
 
     for (const participant of activeParticipants) {
       const joinTime = new Date(participant.joinTime);
       const duration = Math.round((now - joinTime) / (1000 * 60));
+      const finalStatus = this.determineAttendanceStatus(duration, meetingContext, joinTime, now);
 
       await Participant.findByIdAndUpdate(participant._id, {
         $set: {
@@ -268,14 +306,14 @@ class SessionCleanupService {
           duration: duration,
           connectionStatus: 'meeting_cleanup',
           lastActivity: now,
-          attendanceStatus: this.determineAttendanceStatus(duration)
+          attendanceStatus: finalStatus
         }
       });
 
       details.push({
         participantName: participant.participantName,
         duration: duration,
-        finalStatus: this.determineAttendanceStatus(duration)
+        finalStatus
       });
 
       cleanedCount++;
@@ -1,54 +1,7 @@
-const axios = require('axios');
 const jwt = require('jsonwebtoken');
+const zoomClient = require('./zoomClient');
 
 class SimpleZoomService {
-  constructor() {
-    this.baseURL = 'https://api.zoom.us/v2';
-    this.tokenCache = null;
-    this.tokenExpiry = null;
-  }
-
-  // Get OAuth access token
-  async getAccessToken() {
-    // Check if we have a valid cached token
-    if (this.tokenCache && this.tokenExpiry && Date.now() < this.tokenExpiry - 300000) {
-      return this.tokenCache;
-    }
-
-    try {
-      const { ZOOM_ACCOUNT_ID, ZOOM_CLIENT_ID, ZOOM_CLIENT_SECRET } = process.env;
-
-      if (!ZOOM_ACCOUNT_ID || !ZOOM_CLIENT_ID || !ZOOM_CLIENT_SECRET) {
-        throw new Error('Missing Zoom credentials in environment variables');
-      }
-
-      const response = await axios.post(
-        `https://zoom.us/oauth/token?grant_type=account_credentials&account_id=${ZOOM_ACCOUNT_ID}`,
-        {},
-        {
-          headers: {
-            Authorization: `Basic ${Buffer.from(`${ZOOM_CLIENT_ID}:${ZOOM_CLIENT_SECRET}`).toString('base64')}`,
-            'Content-Type': 'application/x-www-form-urlencoded'
-          },
-          timeout: 10000
-        }
-      );
-
-      if (response.data && response.data.access_token) {
-        this.tokenCache = response.data.access_token;
-        this.tokenExpiry = Date.now() + (response.data.expires_in * 1000 || 3600000);
-        console.log('✅ Zoom access token obtained');
-        return this.tokenCache;
-      } else {
-        throw new Error('Invalid token response');
-      }
-
-    } catch (error) {
-      console.error('❌ Failed to get Zoom access token:', error.response?.data || error.message);
-      throw new Error(`Zoom authentication failed: ${error.response?.data?.error || error.message}`);
-    }
-  }
-
   // Generate JWT signature for SDK
   generateSignature(meetingNumber, role = 0) {
     const { ZOOM_CLIENT_ID, ZOOM_CLIENT_SECRET } = process.env;
@@ -91,8 +44,6 @@ class SimpleZoomService {
   // Create a meeting
   async createMeeting(meetingData) {
     try {
-      const token = await this.getAccessToken();
-
       const defaultMeetingData = {
         topic: 'New Meeting',
         type: 1, // Instant meeting
@@ -118,20 +69,10 @@ class SimpleZoomService {
         }
       };
 
-      const response = await axios.post(
-        `${this.baseURL}/users/me/meetings`,
-        finalMeetingData,
-        {
-          headers: {
-            Authorization: `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: 15000
-        }
-      );
+      const meeting = await zoomClient.createMeeting(finalMeetingData);
 
-      console.log('✅ Meeting created successfully:', response.data.id);
-      return response.data;
+      console.log('✅ Meeting created successfully:', meeting.id);
+      return meeting;
 
     } catch (error) {
       console.error('❌ Failed to create meeting:', error.response?.data || error.message);
@@ -147,19 +88,7 @@ class SimpleZoomService {
   // Get meeting details
   async getMeetingDetails(meetingId) {
     try {
-      const token = await this.getAccessToken();
-
-      const response = await axios.get(
-        `${this.baseURL}/meetings/${meetingId}`,
-        {
-          headers: {
-            Authorization: `Bearer ${token}`
-          },
-          timeout: 10000
-        }
-      );
-
-      return response.data;
+      return await zoomClient.getMeeting(meetingId);
     } catch (error) {
       console.error('❌ Failed to get meeting details:', error.response?.data || error.message);
       throw new Error(`Failed to get meeting details: ${error.response?.data?.message || error.message}`);
@@ -169,19 +98,7 @@ class SimpleZoomService {
   // Get user info (for testing)
   async getUserInfo() {
     try {
-      const token = await this.getAccessToken();
-
-      const response = await axios.get(
-        `${this.baseURL}/users/me`,
-        {
-          headers: {
-            Authorization: `Bearer ${token}`
-          },
-          timeout: 10000
-        }
-      );
-
-      return response.data;
+      return await zoomClient.getUser();
     } catch (error) {
       console.error('❌ Failed to get user info:', error.response?.data || error.message);
       throw new Error(`Failed to get user info: ${error.response?.data?.message || error.message}`);
@@ -0,0 +1,118 @@
+const StudentField = require('../models/StudentField');
+
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? fallback : value;
+}
+
+const CACHE_TTL_MS = envNumber('STUDENT_FIELD_CACHE_SECONDS', 60) * 1000;
+
+/**
+ * Student Field Service
+ * Validates Student.customFields against the admin-defined StudentField
+ * definitions and converts submitted values (often strings from forms or
+ * spreadsheets) to the field's type.
+ */
+class StudentFieldService {
+  constructor() {
+    this.cache = null; // { fields, expiresAt }
+  }
+
+  invalidate() {
+    this.cache = null;
+  }
+
+  /**
+   * Active field definitions, in display order
+   */
+  async activeFields() {
+    if (this.cache && this.cache.expiresAt > Date.now()) {
+      return this.cache.fields;
+    }
+
+    const fields = await StudentField.find({ isActive: true }).sort({ order: 1, key: 1 }).lean();
+    this.cache = { fields, expiresAt: Date.now() + CACHE_TTL_MS };
+    return fields;
+  }
+
+  appliesTo(field, department) {
+    return field.departments.length === 0 || field.departments.includes(department);
+  }
+
+  /**
+   * Convert one submitted value to the field's type
+   * @returns {Object} - { value } or { error }
+   */
+  coerce(field, raw) {
+    switch (field.type) {
+      case 'number': {
+        const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+        return isNaN(value) ? { error: `${field.label} must be a number` } : { value };
+      }
+      case 'boolean': {
+        if (typeof raw === 'boolean') return { value: raw };
+        const text = String(raw).trim().toLowerCase();
+        if (['true', 'yes', '1'].includes(text)) return { value: true };
+        if (['false', 'no', '0'].includes(text)) return { value: false };
+        return { error: `${field.label} must be yes or no` };
+      }
+      case 'date': {
+        const value = raw instanceof Date ? raw : new Date(String(raw).trim());
+        return isNaN(value.getTime()) ? { error: `${field.label} must be a date` } : { value };
+      }
+      case 'select': {
+        const value = String(raw).trim();
+        return field.options.includes(value)
+          ? { value }
+          : { error: `${field.label} must be one of: ${field.options.join(', ')}` };
+      }
+      default:
+        return { value: String(raw).trim() };
+    }
+  }
+
+  /**
+   * Validate custom field values for a student in a department
+   * @param {Object} values - { key: value }; unknown keys are rejected
+   * @param {string} department - Student.Department
+   * @returns {Object} - { errors: [message], values: coerced values }
+   */
+  async validate(values = {}, department = null) {
+    const fields = await this.activeFields();
+    const byKey = new Map(fields.map(field => [field.key, field]));
+    const errors = [];
+    const coerced = {};
+
+    if (values === null || typeof values !== 'object' || Array.isArray(values)) {
+      return { errors: ['customFields must be an object'], values: coerced };
+    }
+
+    Object.entries(values).forEach(([key, raw]) => {
+      const field = byKey.get(key);
+      if (!field || !this.appliesTo(field, department)) {
+        errors.push(`Unknown field: ${key}`);
+        return;
+      }
+      if (raw === null || raw === undefined || raw === '') return;
+
+      const result = this.coerce(field, raw);
+      if (result.error) {
+        errors.push(result.error);
+      } else {
+        coerced[key] = result.value;
+      }
+    });
+
+    fields
+      .filter(field => field.required && this.appliesTo(field, department) && coerced[field.key] === undefined)
+      .forEach(field => {
+        if (!errors.some(error => error.startsWith(field.label))) {
+          errors.push(`${field.label} is required`);
+        }
+      });
+
+    return { errors, values: coerced };
+  }
+}
+
+module.exports = new StudentFieldService();
@@ -0,0 +1,351 @@
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const Student = require('../models/Student');
+const studentFieldService = require('./studentFieldService');
+const { validateStudentRow, toStudentFields, formatSchedule } = require('../utils/studentValidation');
+
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? fallback : value;
+}
+
+const MAX_ROWS = envNumber('STUDENT_IMPORT_MAX_ROWS', 5000);
+
+const FORMATS = ['csv', 'xlsx'];
+
+// Column order of exports (followed by one column per custom field, headed
+// by its key); imports accept the same headers
+const COLUMNS = [
+  'StudentID',
+  'FirstName',
+  'LastName',
+  'Email',
+  'PhoneNumber',
+  'DateOfBirth',
+  'Gender',
+  'Department',
+  'Schedule',
+];
+const OPTIONAL_COLUMNS = ['Schedule', 'TimeIn', 'TimeOut'];
+
+// Header spellings accepted on import, compared lower-case without spaces/punctuation
+const HEADER_ALIASES = {
+  studentid: 'StudentID',
+  id: 'StudentID',
+  firstname: 'FirstName',
+  lastname: 'LastName',
+  surname: 'LastName',
+  email: 'Email',
+  emailaddress: 'Email',
+  phonenumber: 'PhoneNumber',
+  phone: 'PhoneNumber',
+  dateofbirth: 'DateOfBirth',
+  dob: 'DateOfBirth',
+  birthdate: 'DateOfBirth',
+  gender: 'Gender',
+  department: 'Department',
+  schedule: 'Schedule',
+  shifts: 'Schedule',
+  // Legacy single shift
+  timein: 'TimeIn',
+  timeout: 'TimeOut',
+};
+
+const headerKey = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Header -> Student field, or "customFields.<key>" for a custom field's key or label
+function headerField(header, customFields = []) {
+  const key = headerKey(header);
+  if (HEADER_ALIASES[key]) return HEADER_ALIASES[key];
+
+  const custom = customFields.find(field => headerKey(field.key) === key || headerKey(field.label) === key);
+  return custom ? `customFields.${custom.key}` : null;
+}
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Spreadsheet cell value -> the string a form would have sent
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) {
+    return `${value.getUTCFullYear()}-${pad(value.getUTCMonth() + 1)}-${pad(value.getUTCDate())}`;
+  }
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('').trim();
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    return '';
+  }
+  return String(value).trim();
+}
+
+// Excel stores times as fractions of a day and shows them as dates from 1899
+function timeText(value) {
+  if (value instanceof Date) {
+    return `${pad(value.getUTCHours())}:${pad(value.getUTCMinutes())}`;
+  }
+  if (typeof value === 'number' && value >= 0 && value < 1) {
+    const minutes = Math.round(value * 24 * 60);
+    return `${pad(Math.floor(minutes / 60) % 24)}:${pad(minutes % 60)}`;
+  }
+  return cellText(value);
+}
+
+/**
+ * Student Import Service
+ * Bulk import/export of the student table as CSV or XLSX. Every row is
+ * validated with the same rules as POST /createstudents and failures are
+ * reported per row (numbered as in the spreadsheet, header = row 1).
+ */
+class StudentImportService {
+  formatOf(file) {
+    const name = (file.originalname || '').toLowerCase();
+    if (name.endsWith('.xlsx') || file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+      return 'xlsx';
+    }
+    if (name.endsWith('.csv') || ['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(file.mimetype)) {
+      return 'csv';
+    }
+    return null;
+  }
+
+  /**
+   * Read an uploaded spreadsheet into rows keyed by Student field
+   * @param {Object} file - multer file held in memory
+   * @returns {Object} - { success, rows: [{ row, values }] } or { success: false, statusCode, error }
+   */
+  async parse(file) {
+    const format = this.formatOf(file);
+    if (!format) {
+      return { success: false, statusCode: 400, error: `File must be one of: ${FORMATS.join(', ')}` };
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    let worksheet;
+    try {
+      if (format === 'xlsx') {
+        await workbook.xlsx.load(file.buffer);
+        worksheet = workbook.worksheets[0];
+      } else {
+        // Keep every value as text: phone numbers must not lose leading zeros
+        worksheet = await workbook.csv.read(Readable.from(file.buffer), { map: value => value });
+      }
+    } catch (error) {
+      return { success: false, statusCode: 400, error: `Could not read the ${format.toUpperCase()} file: ${error.message}` };
+    }
+
+    if (!worksheet || worksheet.rowCount < 2) {
+      return { success: false, statusCode: 400, error: 'The file has no data rows' };
+    }
+
+    const customFields = await studentFieldService.activeFields();
+    const fields = [];
+    worksheet.getRow(1).eachCell((cell, column) => {
+      fields[column] = headerField(cellText(cell.value), customFields);
+    });
+
+    const missing = COLUMNS.filter(column => !OPTIONAL_COLUMNS.includes(column) && !fields.includes(column));
+    if (missing.length > 0) {
+      return { success: false, statusCode: 400, error: `Missing columns: ${missing.join(', ')}` };
+    }
+
+    const rows = [];
+    worksheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return;
+
+      const values = {};
+      row.eachCell((cell, column) => {
+        const field = fields[column];
+        if (!field) return;
+        const text = field === 'TimeIn' || field === 'TimeOut' ? timeText(cell.value) : cellText(cell.value);
+        if (text === '') return;
+
+        if (field.startsWith('customFields.')) {
+          values.customFields = { ...values.customFields, [field.slice('customFields.'.length)]: text };
+        } else if (field === 'Schedule') {
+          values.schedule = text;
+        } else {
+          values[field] = text;
+        }
+      });
+
+      // Skip rows that are blank apart from formatting
+      if (Object.keys(values).length > 0) {
+        rows.push({ row: rowNumber, values });
+      }
+    });
+
+    if (rows.length > MAX_ROWS) {
+      return { success: false, statusCode: 413, error: `At most ${MAX_ROWS} rows can be imported at once` };
+    }
+
+    return { success: true, rows };
+  }
+
+  /**
+   * Validate and write imported rows
+   * @param {Array} rows - From parse()
+   * @param {Object} options - { mode: create|upsert, dryRun }
+   * @returns {Object} - Summary with per-row errors
+   */
+  async import(rows, { mode = 'create', dryRun = false } = {}) {
+    const summary = {
+      mode,
+      dryRun,
+      totalRows: rows.length,
+      created: 0,
+      updated: 0,
+      failed: 0,
+      errors: [],
+    };
+    const fail = (row, studentId, errors) => {
+      summary.failed++;
+      summary.errors.push({ row, studentId: Number(studentId) || null, errors });
+    };
+
+    // Rule checks, and duplicates within the file itself
+    const seenIds = new Map();
+    const seenEmails = new Map();
+    const valid = [];
+
+    for (const { row, values } of rows) {
+      const errors = await validateStudentRow(values);
+      const studentId = Number(values.StudentID);
+      const email = (values.Email || '').toLowerCase();
+
+      if (errors.length === 0 && seenIds.has(studentId)) {
+        errors.push({ field: 'StudentID', message: `StudentID also appears on row ${seenIds.get(studentId)}` });
+      }
+      if (errors.length === 0 && seenEmails.has(email)) {
+        errors.push({ field: 'Email', message: `Email also appears on row ${seenEmails.get(email)}` });
+      }
+
+      if (errors.length > 0) {
+        fail(row, values.StudentID, errors);
+        continue;
+      }
+
+      seenIds.set(studentId, row);
+      seenEmails.set(email, row);
+      valid.push({ row, studentId, values });
+    }
+
+    // Conflicts with students already stored
+    const existing = await Student.find({
+      $or: [
+        { StudentID: { $in: valid.map(entry => entry.studentId) } },
+        { Email: { $in: valid.map(entry => entry.values.Email) } },
+      ],
+    }).select('StudentID Email').lean();
+    const existingIds = new Set(existing.map(student => student.StudentID));
+    const emailOwners = new Map(existing.map(student => [student.Email.toLowerCase(), student.StudentID]));
+
+    const writes = [];
+    for (const entry of valid) {
+      const { row, studentId, values } = entry;
+      const exists = existingIds.has(studentId);
+      const emailOwner = emailOwners.get(values.Email.toLowerCase());
+
+      if (exists && mode !== 'upsert') {
+        fail(row, studentId, [{ field: 'StudentID', message: 'A student with this StudentID already exists' }]);
+        continue;
+      }
+      if (emailOwner !== undefined && emailOwner !== studentId) {
+        fail(row, studentId, [{ field: 'Email', message: `Email already belongs to student ${emailOwner}` }]);
+        continue;
+      }
+
+      writes.push({ ...entry, exists });
+    }
+
+    if (dryRun) {
+      writes.forEach(entry => (entry.exists ? summary.updated++ : summary.created++));
+      summary.errors.sort((a, b) => a.row - b.row);
+      return summary;
+    }
+
+    const documents = await Promise.all(writes.map(({ studentId, values }) => toStudentFields({ ...values, StudentID: studentId })));
+
+    let writeErrors = [];
+    if (writes.length > 0) {
+      try {
+        await Student.bulkWrite(
+          documents.map((document, index) => (writes[index].exists
+            ? { updateOne: { filter: { StudentID: document.StudentID }, update: { $set: document } } }
+            : { insertOne: { document } })),
+          { ordered: false }
+        );
+      } catch (error) {
+        // Unordered: the other rows were still written
+        if (!error.writeErrors) throw error;
+        writeErrors = error.writeErrors;
+      }
+    }
+
+    const failedIndexes = new Map(writeErrors.map(writeError => [writeError.index, writeError]));
+    writes.forEach((entry, index) => {
+      const writeError = failedIndexes.get(index);
+      if (writeError) {
+        const message = writeError.code === 11000
+          ? 'StudentID or Email is already taken'
+          : writeError.errmsg || 'Could not be saved';
+        fail(entry.row, entry.studentId, [{ field: null, message }]);
+      } else if (entry.exists) {
+        summary.updated++;
+      } else {
+        summary.created++;
+      }
+    });
+
+    summary.errors.sort((a, b) => a.row - b.row);
+    return summary;
+  }
+
+  /**
+   * Spreadsheet of students in import format
+   * @param {Object} query - Student filter (the caller's scope)
+   * @param {string} format - csv | xlsx
+   * @returns {Buffer}
+   */
+  async export(query, format = 'csv') {
+    const [students, customFields] = await Promise.all([
+      Student.find(query).sort({ StudentID: 1 }).lean(),
+      studentFieldService.activeFields(),
+    ]);
+
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Students');
+    worksheet.columns = [
+      ...COLUMNS.map(column => ({ header: column, key: column, width: ['Email', 'Schedule'].includes(column) ? 30 : 15 })),
+      ...customFields.map(field => ({ header: field.key, key: `customFields.${field.key}`, width: 15 })),
+    ];
+
+    const dateText = (date) => (date ? new Date(date).toISOString().split('T')[0] : '');
+
+    students.forEach(student => {
+      const schedule = student.schedule && student.schedule.length > 0
+        ? student.schedule
+        : Student.scheduleFromLegacy(student.TimeIn, student.TimeOut);
+      const row = {
+        ...student,
+        DateOfBirth: dateText(student.DateOfBirth),
+        Schedule: formatSchedule(schedule),
+      };
+
+      customFields.forEach(field => {
+        const value = student.customFields?.[field.key];
+        row[`customFields.${field.key}`] = value instanceof Date ? dateText(value) : value ?? '';
+      });
+
+      worksheet.addRow(row);
+    });
+
+    if (format === 'xlsx') {
+      worksheet.getRow(1).font = { bold: true };
+      return workbook.xlsx.writeBuffer();
+    }
+    return workbook.csv.writeBuffer();
+  }
+}
+
+module.exports = new StudentImportService();
@@ -0,0 +1,367 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const Student = require('../models/Student');
+const StudentLinkRequest = require('../models/StudentLinkRequest');
+const User = require('../models/User');
+
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? fallback : value;
+}
+
+const CODE_TTL_MINUTES = envNumber('STUDENT_LINK_CODE_TTL_MINUTES', 15);
+const MAX_CODE_ATTEMPTS = envNumber('STUDENT_LINK_MAX_ATTEMPTS', 5);
+// Claims per hour, per user and per student record (which caps the codes sent to one inbox)
+const MAX_REQUESTS_PER_HOUR = envNumber('STUDENT_LINK_MAX_REQUESTS_PER_HOUR', 5);
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function hashCode(code) {
+  return crypto.createHash('sha256').update(String(code)).digest('hex');
+}
+
+function maskEmail(email) {
+  const [local, domain] = String(email).split('@');
+  if (!domain) return '***';
+  return `${local.slice(0, 2)}${'*'.repeat(Math.max(local.length - 2, 1))}@${domain}`;
+}
+
+// Exact, case-insensitive email match
+function emailQuery(email) {
+  return new RegExp(`^${escapeRegex(String(email).trim())}$`, 'i');
+}
+
+/**
+ * Student Link Service
+ * Owns the explicit User -> Student link (User.studentId). A user claims a
+ * student record by proving access to its email on file or through admin
+ * approval; every other service resolves "the student behind this user"
+ * here instead of matching names or emails on its own. Methods return
+ * { success, statusCode, error } on failure so routes can pass the result
+ * straight through.
+ */
+class StudentLinkService {
+  // While existing accounts are being linked, STUDENT_LINK_EMAIL_FALLBACK=true
+  // lets unlinked users fall back to an exact match on their account email
+  emailFallbackEnabled() {
+    return process.env.STUDENT_LINK_EMAIL_FALLBACK === 'true';
+  }
+
+  /**
+   * Student record of an authenticated user
+   * @param {Object} user - User document (or lean object) with studentId/email
+   * @returns {Object|null} - Lean Student document
+   */
+  async findStudentForUser(user) {
+    if (!user) return null;
+
+    if (user.studentId !== undefined && user.studentId !== null) {
+      return Student.findOne({ StudentID: Number(user.studentId) }).lean();
+    }
+    if (!user.email || !this.emailFallbackEnabled()) return null;
+
+    return Student.findOne({ Email: emailQuery(user.email) }).lean();
+  }
+
+  /**
+   * Is this StudentID the user's own linked student record
+   */
+  async isLinkedTo(user, studentId) {
+    const student = await this.findStudentForUser(user);
+    return !!student && Number(student.StudentID) === Number(studentId);
+  }
+
+  /**
+   * Student record of a user known only by id (e.g. from a meeting token)
+   */
+  async findStudentForUserId(userId) {
+    if (!userId) return null;
+    const user = await User.findById(userId).select('email studentId').lean().catch(() => null);
+    return this.findStudentForUser(user);
+  }
+
+  /**
+   * Student behind an email reported by Zoom: the account linked under that
+   * email first, then a student whose own email matches exactly
+   */
+  async findStudentForEmail(email) {
+    if (!email) return null;
+
+    const user = await User.findOne({ email: String(email).trim().toLowerCase(), studentId: { $ne: null } })
+      .select('studentId')
+      .lean();
+    if (user) {
+      return Student.findOne({ StudentID: user.studentId }).lean();
+    }
+
+    return Student.findOne({ Email: emailQuery(email) }).lean();
+  }
+
+  async linkedUserFor(studentId) {
+    return User.findOne({ studentId: Number(studentId) }).select('_id username email').lean();
+  }
+
+  /**
+   * Current link and open claim of a user
+   */
+  async status(user) {
+    const [student, pending] = await Promise.all([
+      user.studentId !== undefined && user.studentId !== null
+        ? Student.findOne({ StudentID: user.studentId }).select('StudentID FirstName LastName Email Department').lean()
+        : null,
+      StudentLinkRequest.findOne({ user: user._id, status: 'pending' }).select('-codeHash').lean(),
+    ]);
+
+    return {
+      linked: !!student,
+      student,
+      link: student ? user.studentLink : null,
+      pendingRequest: pending,
+    };
+  }
+
+  /**
+   * Claim a student record
+   * @param {Object} request - { user, studentId, method, message }
+   * @returns {Object} - { success, request } or { success: false, statusCode, error }
+   */
+  async requestLink({ user, studentId, method = 'email_code', message = '' }) {
+    if (!StudentLinkRequest.METHODS.includes(method)) {
+      return { success: false, statusCode: 400, error: `method must be one of: ${StudentLinkRequest.METHODS.join(', ')}` };
+    }
+    if (isNaN(Number(studentId))) {
+      return { success: false, statusCode: 400, error: 'studentId must be a number' };
+    }
+    if (user.studentId !== undefined && user.studentId !== null) {
+      return { success: false, statusCode: 409, error: 'Your account is already linked to a student record' };
+    }
+
+    const student = await Student.findOne({ StudentID: Number(studentId) }).lean();
+    if (!student) {
+      return { success: false, statusCode: 404, error: 'Student not found' };
+    }
+    if (await this.linkedUserFor(student.StudentID)) {
+      return { success: false, statusCode: 409, error: 'This student record is already linked to another account' };
+    }
+    if (method === 'email_code' && !student.Email) {
+      return { success: false, statusCode: 400, error: 'The student record has no email on file; request admin approval' };
+    }
+    if (method === 'email_code' && !this.canDeliverCodes()) {
+      return { success: false, statusCode: 503, error: 'Email verification is not configured; request admin approval' };
+    }
+
+    const since = new Date(Date.now() - 60 * 60 * 1000);
+    const [byUser, forStudent] = await Promise.all([
+      StudentLinkRequest.countDocuments({ user: user._id, createdAt: { $gte: since } }),
+      StudentLinkRequest.countDocuments({ studentId: student.StudentID, createdAt: { $gte: since } }),
+    ]);
+    if (byUser >= MAX_REQUESTS_PER_HOUR || forStudent >= MAX_REQUESTS_PER_HOUR) {
+      return { success: false, statusCode: 429, error: 'Too many link requests; try again later' };
+    }
+
+    // A new claim replaces any open one
+    await StudentLinkRequest.updateMany({ user: user._id, status: 'pending' }, { $set: { status: 'cancelled' } });
+
+    const linkRequest = new StudentLinkRequest({
+      user: user._id,
+      studentId: student.StudentID,
+      method,
+      message,
+    });
+
+    let code = null;
+    if (method === 'email_code') {
+      code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+      linkRequest.codeHash = hashCode(code);
+      linkRequest.codeExpiresAt = new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000);
+      linkRequest.sentTo = maskEmail(student.Email);
+    }
+
+    await linkRequest.save();
+
+    if (code) {
+      try {
+        await this.deliverCode(student, code);
+      } catch (error) {
+        console.error('Error delivering student link code:', error.message);
+        linkRequest.status = 'cancelled';
+        await linkRequest.save();
+        return { success: false, statusCode: 502, error: 'Could not send the verification code' };
+      }
+    }
+
+    return { success: true, request: this.toPublic(linkRequest) };
+  }
+
+  /**
+   * Confirm an email_code claim
+   */
+  async verifyCode({ user, requestId, code }) {
+    const linkRequest = await StudentLinkRequest.findOne({ _id: requestId, user: user._id });
+    if (!linkRequest || linkRequest.method !== 'email_code') {
+      return { success: false, statusCode: 404, error: 'Link request not found' };
+    }
+    if (linkRequest.status !== 'pending') {
+      return { success: false, statusCode: 409, error: `Link request is already ${linkRequest.status}` };
+    }
+    if (linkRequest.codeExpiresAt < new Date()) {
+      linkRequest.status = 'expired';
+      await linkRequest.save();
+      return { success: false, statusCode: 410, error: 'Verification code has expired; request a new one' };
+    }
+
+    const expected = Buffer.from(linkRequest.codeHash, 'hex');
+    const given = Buffer.from(hashCode(String(code || '').trim()), 'hex');
+    if (!crypto.timingSafeEqual(expected, given)) {
+      linkRequest.attempts += 1;
+      if (linkRequest.attempts >= MAX_CODE_ATTEMPTS) {
+        linkRequest.status = 'expired';
+      }
+      await linkRequest.save();
+      return {
+        success: false,
+        statusCode: 400,
+        error: linkRequest.status === 'expired'
+          ? 'Too many incorrect codes; request a new one'
+          : 'Incorrect verification code',
+      };
+    }
+
+    const result = await this.link(user._id, linkRequest.studentId, { method: 'email_code' });
+    if (!result.success) return result;
+
+    linkRequest.status = 'verified';
+    linkRequest.codeHash = undefined;
+    await linkRequest.save();
+
+    return { success: true, request: this.toPublic(linkRequest), user: result.user };
+  }
+
+  /**
+   * Approve or reject a pending claim (admins)
+   */
+  async decide(requestId, { approve, note = '', user }) {
+    const linkRequest = await StudentLinkRequest.findById(requestId);
+    if (!linkRequest) {
+      return { success: false, statusCode: 404, error: 'Link request not found' };
+    }
+    if (linkRequest.status !== 'pending') {
+      return { success: false, statusCode: 409, error: `Link request is already ${linkRequest.status}` };
+    }
+
+    if (approve) {
+      const result = await this.link(linkRequest.user, linkRequest.studentId, { method: 'admin_approval', by: user._id });
+      if (!result.success) return result;
+    }
+
+    linkRequest.status = approve ? 'approved' : 'rejected';
+    linkRequest.codeHash = undefined;
+    linkRequest.decision = { decidedBy: user._id, decidedAt: new Date(), note };
+    await linkRequest.save();
+
+    return { success: true, request: this.toPublic(linkRequest) };
+  }
+
+  async cancel({ user, requestId }) {
+    const linkRequest = await StudentLinkRequest.findOneAndUpdate(
+      { _id: requestId, user: user._id, status: 'pending' },
+      { $set: { status: 'cancelled' }, $unset: { codeHash: '' } },
+      { new: true }
+    );
+    if (!linkRequest) {
+      return { success: false, statusCode: 404, error: 'No pending link request found' };
+    }
+    return { success: true, request: this.toPublic(linkRequest) };
+  }
+
+  /**
+   * Set User.studentId once a claim is proven (or directly by an admin)
+   * @param {Object} options - { method, by }
+   */
+  async link(userId, studentId, { method, by = null }) {
+    const student = await Student.findOne({ StudentID: Number(studentId) }).select('StudentID').lean();
+    if (!student) {
+      return { success: false, statusCode: 404, error: 'Student not found' };
+    }
+
+    const holder = await this.linkedUserFor(student.StudentID);
+    if (holder && holder._id.toString() !== userId.toString()) {
+      return { success: false, statusCode: 409, error: 'This student record is already linked to another account' };
+    }
+
+    try {
+      const user = await User.findByIdAndUpdate(
+        userId,
+        {
+          $set: {
+            studentId: student.StudentID,
+            studentLink: { method, verifiedAt: new Date(), verifiedBy: by },
+          },
+        },
+        { new: true }
+      ).select('-password');
+
+      if (!user) {
+        return { success: false, statusCode: 404, error: 'User not found' };
+      }
+
+      // Other open claims on the same record can no longer succeed
+      await StudentLinkRequest.updateMany(
+        { studentId: student.StudentID, status: 'pending', user: { $ne: user._id } },
+        { $set: { status: 'cancelled' }, $unset: { codeHash: '' } }
+      );
+
+      return { success: true, user };
+    } catch (error) {
+      if (error.code === 11000) {
+        return { success: false, statusCode: 409, error: 'This student record is already linked to another account' };
+      }
+      throw error;
+    }
+  }
+
+  async unlink(userId) {
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $unset: { studentId: '', studentLink: '' } },
+      { new: true }
+    ).select('-password');
+
+    if (!user) {
+      return { success: false, statusCode: 404, error: 'User not found' };
+    }
+    return { success: true, user };
+  }
+
+  // Codes go to STUDENT_LINK_CODE_WEBHOOK_URL (an email relay); outside
+  // production they may be written to the server log instead
+  canDeliverCodes() {
+    return !!process.env.STUDENT_LINK_CODE_WEBHOOK_URL || process.env.NODE_ENV !== 'production';
+  }
+
+  async deliverCode(student, code) {
+    const message = {
+      to: student.Email,
+      subject: 'Confirm your student record',
+      text: `Your verification code is ${code}. It expires in ${CODE_TTL_MINUTES} minutes.`,
+    };
+
+    if (!process.env.STUDENT_LINK_CODE_WEBHOOK_URL) {
+      console.log(`📧 Student link code for ${student.StudentID} (${maskEmail(student.Email)}): ${code}`);
+      return;
+    }
+
+    await axios.post(process.env.STUDENT_LINK_CODE_WEBHOOK_URL, message, { timeout: 10000 });
+  }
+
+  toPublic(linkRequest) {
+    const data = typeof linkRequest.toObject === 'function' ? linkRequest.toObject() : { ...linkRequest };
+    delete data.codeHash;
+    delete data.__v;
+    return data;
+  }
+}
+
+module.exports = new StudentLinkService();
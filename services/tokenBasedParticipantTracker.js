@@ -1,8 +1,15 @@
 const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
 const Participant = require('../models/Participant');
-const Student = require('../models/Student');
 const ZoomMeeting = require('../models/ZoomMeeting');
+const attendancePolicyService = require('./attendancePolicyService');
+const studentLinkService = require('./studentLinkService');
+const {
+  DEFAULT_POLICY,
+  evaluateAttendance,
+  withPresentThreshold,
+  getScheduledWindow
+} = require('../utils/attendancePolicyEngine');
 const { safeCreateDate, safeDateFormat, safeDateDuration, getCurrentTimestamp, sanitizeDateFields } = require('../utils/dateUtils');
 
 class TokenBasedParticipantTracker {
@@ -80,20 +87,15 @@ class TokenBasedParticipantTracker {
         }
       };
 
-      // Try to match with student database using email or studentId
-      if (userInfo.email || userInfo.studentId) {
+      // Match the student linked to the token's account (claimed student IDs are not trusted)
+      if (userInfo.userId || userInfo.email) {
         try {
-          let student = null;
-          
-          if (userInfo.studentId) {
-            student = await Student.findOne({ StudentID: userInfo.studentId });
-          } else if (userInfo.email) {
-            student = await Student.findOne({
-              $or: [
-                { Email: { $regex: new RegExp(userInfo.email, 'i') } },
-                { Email: userInfo.email }
-              ]
-            });
+          let student = await studentLinkService.findStudentForUserId(userInfo.userId);
+          let matchedBy = 'account';
+
+          if (!student && userInfo.email) {
+            student = await studentLinkService.findStudentForEmail(userInfo.email);
+            matchedBy = 'email';
           }
           
           if (student) {
@@ -103,7 +105,7 @@ class TokenBasedParticipantTracker {
               lastName: student.LastName,
               department: student.Department,
               email: student.Email,
-              matchedBy: userInfo.studentId ? 'studentId' : 'email'
+              matchedBy
             };
             participantData.isStudent = true;
             console.log('📚 Matched participant to student:', student.StudentID);
@@ -164,8 +166,8 @@ class TokenBasedParticipantTracker {
 
       // Update meeting participant count
       try {
-        await ZoomMeeting.findOneAndUpdate(
-          { meetingId: meetingId.toString() },
+        await ZoomMeeting.updateOccurrence(
+          meetingId.toString(),
           {
             $inc: { activeParticipants: 1 },
             $set: { lastActivity: new Date() }
@@ -284,8 +286,8 @@ class TokenBasedParticipantTracker {
 
       // Update meeting participant count
       try {
-        await ZoomMeeting.findOneAndUpdate(
-          { meetingId: meetingId.toString() },
+        await ZoomMeeting.updateOccurrence(
+          meetingId.toString(),
           { $inc: { activeParticipants: -1 }, $set: { lastActivity: getCurrentTimestamp() } }
         );
       } catch (meetingError) {
@@ -327,13 +329,17 @@ class TokenBasedParticipantTracker {
 
   /**
    * Calculate attendance data for a participant with safe date handling
+   * options.meeting and options.policy avoid re-resolving them per participant.
    */
-  async calculateAttendanceData(participant, meetingId) {
+  async calculateAttendanceData(participant, meetingId, options = {}) {
     try {
-      const meetingInfo = await ZoomMeeting.findOne({ meetingId: meetingId.toString() });
+      const meetingInfo = options.meeting !== undefined
+        ? options.meeting
+        : await ZoomMeeting.findOccurrence(meetingId.toString());
       const meetingDuration = meetingInfo ? meetingInfo.duration || 60 : 60;
+      const policy = options.policy || await attendancePolicyService.resolveForMeeting(meetingInfo || meetingId);
 
-      let duration = participant.duration || 0;
+      let duration = options.overrideDuration || participant.duration || 0;
       
       // Calculate real-time duration for active participants using safe date handling
       if (participant.isActive && participant.joinTime) {
@@ -347,22 +353,24 @@ class TokenBasedParticipantTracker {
       }
 
       const attendancePercentage = meetingDuration > 0 ? Math.round((duration / meetingDuration) * 100) : 0;
-      const meetsThreshold = attendancePercentage >= 85;
-      
-      let attendanceStatus = 'Absent';
-      if (participant.isActive) {
-        attendanceStatus = 'In Progress';
-      } else if (meetsThreshold) {
-        attendanceStatus = 'Present';
-      }
+      const evaluation = evaluateAttendance(policy, {
+        attendedMinutes: duration,
+        attendancePercentage,
+        isActive: participant.isActive,
+        joinTime: participant.joinTime,
+        leaveTime: participant.leaveTime,
+        ...getScheduledWindow(meetingInfo)
+      });
 
       return {
         duration,
         attendancePercentage,
-        attendanceStatus,
-        meetsThreshold,
+        attendanceStatus: evaluation.status,
+        meetsThreshold: evaluation.meetsThreshold,
+        minutesLate: evaluation.minutesLate,
+        minutesLeftEarly: evaluation.minutesLeftEarly,
         meetingDuration,
-        thresholdDuration: Math.round(meetingDuration * 0.85),
+        thresholdDuration: Math.round(meetingDuration * (policy.thresholds.present / 100)),
         joinTime: safeDateFormat(participant.joinTime, 'N/A', { format: 'datetime' }),
         leaveTime: participant.leaveTime ? safeDateFormat(participant.leaveTime, 'N/A', { format: 'datetime' }) : null
       };
@@ -375,7 +383,7 @@ class TokenBasedParticipantTracker {
         attendanceStatus: 'Unknown',
         meetsThreshold: false,
         meetingDuration: 60,
-        thresholdDuration: 51,
+        thresholdDuration: Math.round(60 * (DEFAULT_POLICY.thresholds.present / 100)),
         joinTime: 'N/A',
         leaveTime: null
       };
@@ -384,9 +392,18 @@ class TokenBasedParticipantTracker {
 
   /**
    * Get current participants for a meeting with token-based data
+   * @param {string} meetingId - Meeting ID
+   * @param {number|null} presentThreshold - Overrides the policy's present percentage
    */
-  async getCurrentTokenBasedParticipants(meetingId, threshold = 85) {
+  async getCurrentTokenBasedParticipants(meetingId, presentThreshold = null) {
     try {
+      const meeting = await ZoomMeeting.findOccurrence(meetingId.toString());
+      const policy = withPresentThreshold(
+        await attendancePolicyService.resolveForMeeting(meeting || meetingId),
+        presentThreshold || undefined
+      );
+      const threshold = policy.thresholds.present;
+
       const participants = await Participant.find({ 
         meetingId: meetingId.toString(),
         tokenBased: true 
@@ -395,7 +412,7 @@ class TokenBasedParticipantTracker {
 
       const processedParticipants = await Promise.all(
         participants.map(async (participant) => {
-          const attendanceData = await this.calculateAttendanceData(participant, meetingId);
+          const attendanceData = await this.calculateAttendanceData(participant, meetingId, { meeting, policy });
           
           return {
             ...participant.toObject(),
@@ -0,0 +1,283 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+
+// Numeric env setting, allowing an explicit 0
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? fallback : value;
+}
+
+const ACCESS_TOKEN_TTL_SECONDS = envNumber('ACCESS_TOKEN_TTL_SECONDS', 15 * 60);
+const REFRESH_TOKEN_TTL_DAYS = envNumber('REFRESH_TOKEN_TTL_DAYS', 7);
+const REVOCATION_SYNC_MS = envNumber('REVOCATION_SYNC_SECONDS', 30) * 1000;
+// Tokens issued before this change had no jti/sid and lived 7 days
+const LEGACY_TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Token Service
+ * Issues short-lived access JWTs and rotating refresh tokens, and keeps the
+ * revocation list. Access tokens carry jti (token id) and sid (login session
+ * = refresh token family). isRevoked() checks the database; the synchronous
+ * isRevokedCached() uses an in-memory copy refreshed every few seconds for
+ * callers that cannot await (UserSessionManager.verifyToken).
+ */
+class TokenService {
+  constructor() {
+    this.revokedJtis = new Map(); // jti -> expiresAt ms
+    this.revokedFamilies = new Map(); // family -> expiresAt ms
+    this.userCutoffs = new Map(); // userId -> issuedBefore ms
+    this.syncTimer = null;
+  }
+
+  /**
+   * Sign an access token for a user and login session
+   * @returns {Object} - { token, jti, expiresAt }
+   */
+  signAccessToken(user, family) {
+    const jti = crypto.randomUUID();
+    const token = jwt.sign(
+      {
+        userId: user._id,
+        username: user.username,
+        role: user.role,
+        email: user.email,
+        sid: family,
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL_SECONDS, jwtid: jti }
+    );
+    return { token, jti, expiresAt: new Date(Date.now() + ACCESS_TOKEN_TTL_SECONDS * 1000) };
+  }
+
+  async createRefreshToken(user, family, { ipAddress, userAgent } = {}) {
+    const token = crypto.randomBytes(48).toString('base64url');
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+    await RefreshToken.create({
+      tokenHash: hashToken(token),
+      user: user._id,
+      family,
+      expiresAt,
+      createdByIp: ipAddress,
+      userAgent,
+    });
+    return { token, expiresAt };
+  }
+
+  /**
+   * Start a new login session
+   * @param {Object} user - User document
+   * @param {Object} metadata - { ipAddress, userAgent }
+   * @returns {Object} - { accessToken, accessTokenExpiresAt, refreshToken, refreshTokenExpiresAt, family }
+   */
+  async issueSession(user, metadata = {}) {
+    const family = crypto.randomUUID();
+    const access = this.signAccessToken(user, family);
+    const refresh = await this.createRefreshToken(user, family, metadata);
+    return {
+      accessToken: access.token,
+      accessTokenExpiresAt: access.expiresAt,
+      refreshToken: refresh.token,
+      refreshTokenExpiresAt: refresh.expiresAt,
+      family,
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new access/refresh token pair
+   * A token that was already exchanged or revoked means it leaked: the whole
+   * family is revoked so neither the thief nor the owner can keep using it.
+   * @param {string} refreshToken - Raw refresh token
+   * @param {Object} metadata - { ipAddress, userAgent }
+   * @param {Function} loadUser - async userId => User document
+   * @returns {Object} - { success, user, ...session } or { success: false, statusCode, error, reuseDetected }
+   */
+  async rotate(refreshToken, metadata, loadUser) {
+    if (!refreshToken) {
+      return { success: false, statusCode: 401, error: 'Refresh token required' };
+    }
+
+    const now = new Date();
+    // Atomically claim the token so two concurrent refreshes cannot both succeed
+    const stored = await RefreshToken.findOneAndUpdate(
+      { tokenHash: hashToken(refreshToken), replacedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+      { $set: { replacedAt: now } },
+      { new: true }
+    );
+
+    if (!stored) {
+      const known = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+      if (known && (known.replacedAt || known.revokedAt) && known.expiresAt > now) {
+        console.warn(`🚨 Refresh token reuse detected for user ${known.user} (session ${known.family}); revoking session`);
+        await this.revokeFamily(known.family, known.user, 'refresh token reuse');
+        return { success: false, statusCode: 401, error: 'Refresh token reuse detected; please log in again', reuseDetected: true };
+      }
+      return { success: false, statusCode: 401, error: 'Invalid or expired refresh token' };
+    }
+
+    const user = await loadUser(stored.user);
+    if (!user) {
+      await this.revokeFamily(stored.family, stored.user, 'user not found');
+      return { success: false, statusCode: 401, error: 'User not found' };
+    }
+
+    const access = this.signAccessToken(user, stored.family);
+    const refresh = await this.createRefreshToken(user, stored.family, metadata);
+
+    return {
+      success: true,
+      user,
+      accessToken: access.token,
+      accessTokenExpiresAt: access.expiresAt,
+      refreshToken: refresh.token,
+      refreshTokenExpiresAt: refresh.expiresAt,
+      family: stored.family,
+    };
+  }
+
+  // ==================== REVOCATION ====================
+
+  /**
+   * Revoke a single access token (e.g. on logout)
+   * @param {Object} decoded - Verified JWT payload
+   */
+  async revokeAccessToken(decoded, reason = 'logout') {
+    if (!decoded?.jti) return;
+    const expiresAt = decoded.exp ? new Date(decoded.exp * 1000) : new Date(Date.now() + ACCESS_TOKEN_TTL_SECONDS * 1000);
+    await RevokedToken.create({ type: 'token', jti: decoded.jti, user: decoded.userId, reason, expiresAt });
+    this.revokedJtis.set(decoded.jti, expiresAt.getTime());
+  }
+
+  /**
+   * Revoke a login session: its refresh tokens and every access token it issued
+   */
+  async revokeFamily(family, userId = null, reason = 'logout') {
+    if (!family) return;
+    const now = new Date();
+    await RefreshToken.updateMany(
+      { family, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: reason } }
+    );
+
+    const expiresAt = new Date(now.getTime() + ACCESS_TOKEN_TTL_SECONDS * 1000);
+    await RevokedToken.create({ type: 'family', family, user: userId || undefined, reason, expiresAt });
+    this.revokedFamilies.set(family, expiresAt.getTime());
+  }
+
+  /**
+   * Log a user out everywhere: revoke all sessions and every token issued so far
+   * @returns {number} - Sessions revoked
+   */
+  async revokeAllForUser(userId, reason = 'logout all devices') {
+    const now = new Date();
+    const families = await RefreshToken.distinct('family', { user: userId, revokedAt: null, expiresAt: { $gt: now } });
+    await RefreshToken.updateMany(
+      { user: userId, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: reason } }
+    );
+
+    // The JWT iat claim is in whole seconds: cut off at the start of the next
+    // second so tokens issued earlier in the revocation second are covered too
+    const issuedBefore = new Date((Math.floor(now.getTime() / 1000) + 1) * 1000);
+    // Covers legacy tokens without a session id too
+    const expiresAt = new Date(now.getTime() + Math.max(ACCESS_TOKEN_TTL_SECONDS, LEGACY_TOKEN_TTL_SECONDS) * 1000);
+    await RevokedToken.create({ type: 'user', user: userId, issuedBefore, reason, expiresAt });
+    this.userCutoffs.set(String(userId), Math.max(this.userCutoffs.get(String(userId)) || 0, issuedBefore.getTime()));
+
+    return families.length;
+  }
+
+  /**
+   * Is an access token revoked (database check)
+   * @param {Object} decoded - Verified JWT payload
+   */
+  async isRevoked(decoded) {
+    const filter = RevokedToken.filterFor(decoded);
+    if (filter.$or.length === 0) return false;
+    return !!await RevokedToken.exists(filter);
+  }
+
+  /**
+   * Is an access token revoked (in-memory copy, may lag by REVOCATION_SYNC_SECONDS
+   * for revocations made by other instances)
+   */
+  isRevokedCached(decoded) {
+    const now = Date.now();
+    if (decoded.jti && (this.revokedJtis.get(decoded.jti) || 0) > now) return true;
+    if (decoded.sid && (this.revokedFamilies.get(decoded.sid) || 0) > now) return true;
+    const cutoff = decoded.userId && this.userCutoffs.get(String(decoded.userId));
+    return !!cutoff && !!decoded.iat && decoded.iat * 1000 < cutoff;
+  }
+
+  /**
+   * Reload the in-memory revocation list from the database
+   */
+  async syncRevocations() {
+    const entries = await RevokedToken.find({ expiresAt: { $gt: new Date() } })
+      .select('type jti family user issuedBefore expiresAt')
+      .lean();
+
+    const jtis = new Map();
+    const families = new Map();
+    const cutoffs = new Map();
+    entries.forEach(entry => {
+      if (entry.type === 'token') jtis.set(entry.jti, entry.expiresAt.getTime());
+      if (entry.type === 'family') families.set(entry.family, entry.expiresAt.getTime());
+      if (entry.type === 'user') {
+        const key = String(entry.user);
+        cutoffs.set(key, Math.max(cutoffs.get(key) || 0, entry.issuedBefore.getTime()));
+      }
+    });
+
+    this.revokedJtis = jtis;
+    this.revokedFamilies = families;
+    this.userCutoffs = cutoffs;
+  }
+
+  startRevocationSync() {
+    if (this.syncTimer) return;
+    const sync = () => this.syncRevocations().catch(error => {
+      console.warn('⚠️ Could not sync token revocation list:', error.message);
+    });
+    sync();
+    this.syncTimer = setInterval(sync, REVOCATION_SYNC_MS);
+    this.syncTimer.unref();
+  }
+
+  // ==================== SESSIONS ====================
+
+  /**
+   * Active login sessions of a user (one per refresh token family)
+   */
+  async listSessions(userId) {
+    const tokens = await RefreshToken.find({
+      user: userId,
+      replacedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return tokens.map(token => ({
+      sessionId: token.family,
+      lastRefreshedAt: token.createdAt,
+      expiresAt: token.expiresAt,
+      ipAddress: token.createdByIp || null,
+      userAgent: token.userAgent || null,
+    }));
+  }
+
+  async findFamily(refreshToken) {
+    if (!refreshToken) return null;
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) }).select('family user').lean();
+    return stored || null;
+  }
+}
+
+module.exports = new TokenService();
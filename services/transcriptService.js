@@ -0,0 +1,500 @@
+const PDFDocument = require('pdfkit');
+const Attendance = require('../models/Attendance');
+const ZoomAttendance = require('../models/ZoomAttendance');
+const Participant = require('../models/Participant');
+const QRAttendance = require('../models/QRAttendance');
+const Student = require('../models/Student');
+const ZoomMeeting = require('../models/ZoomMeeting');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const { isAttendedStatus, statusPriority } = require('../utils/attendancePolicyEngine');
+
+const UNASSIGNED_COURSE = 'Unassigned';
+
+// QRAttendance stores lowercase statuses
+const QR_STATUS = {
+  present: 'Present',
+  late: 'Late',
+  verified: 'Present',
+};
+
+// Calendar day (UTC) used to line up the same session seen by different channels
+function dayKey(date) {
+  return date ? new Date(date).toISOString().slice(0, 10) : 'unknown';
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Transcript Service
+ * Merges a student's attendance from Attendance (manual/QR), ZoomAttendance
+ * (webhooks), Participant (token/SDK tracking) and QRAttendance (public QR
+ * sessions) into one list of sessions with per-course totals.
+ */
+class TranscriptService {
+  /**
+   * Build a student's transcript
+   * @param {number} studentId - Student.StudentID
+   * @param {Object} options - { from, to } date range (inclusive)
+   * @returns {Object|null} - Transcript, or null when the student does not exist
+   */
+  async buildTranscript(studentId, { from = null, to = null } = {}) {
+    const student = await Student.findOne({ StudentID: Number(studentId) }).lean();
+    if (!student) return null;
+
+    const range = {};
+    if (from) range.$gte = new Date(from);
+    if (to) range.$lte = new Date(to);
+    const hasRange = Object.keys(range).length > 0;
+    const emailMatch = new RegExp(`^${escapeRegex(student.Email || '')}$`, 'i');
+
+    const [attendance, zoomAttendance, participants, qrAttendance] = await Promise.all([
+      Attendance.find({ StudentID: student.StudentID, ...(hasRange && { Date: range }) }).lean(),
+      ZoomAttendance.find({
+        $or: [{ studentId: student.StudentID }, { participantEmail: emailMatch }],
+        ...(hasRange && { joinTime: range }),
+      }).select('-webhookEvents').lean(),
+      Participant.find({
+        $or: [{ studentId: student.StudentID }, { email: emailMatch }, { studentEmail: emailMatch }],
+        ...(hasRange && { joinTime: range }),
+      }).lean(),
+      QRAttendance.find({ email: (student.Email || '').toLowerCase(), ...(hasRange && { scannedAt: range }) }).lean(),
+    ]);
+
+    const entries = [
+      ...attendance.map(record => this.fromAttendance(record)),
+      ...zoomAttendance.map(record => this.fromZoomAttendance(record)),
+      ...participants.map(record => this.fromParticipant(record)),
+      ...qrAttendance.map(record => this.fromQRAttendance(record)),
+    ];
+
+    const sessions = this.mergeSessions(entries);
+    const courses = await this.assignCourses(sessions);
+    sessions.push(...await this.findMissedSessions(student, sessions, courses, range));
+    sessions.sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    return {
+      student: {
+        studentId: student.StudentID,
+        name: `${student.FirstName || ''} ${student.LastName || ''}`.trim(),
+        email: student.Email,
+        department: student.Department,
+      },
+      range: { from: from || null, to: to || null },
+      totals: this.summarize(sessions),
+      courses: this.summarizeByCourse(sessions),
+      sessions,
+      sourceCounts: {
+        attendance: attendance.length,
+        zoomAttendance: zoomAttendance.length,
+        participant: participants.length,
+        qrAttendance: qrAttendance.length,
+      },
+      generatedAt: new Date(),
+    };
+  }
+
+  // ==================== SOURCE NORMALIZATION ====================
+
+  fromAttendance(record) {
+    const joinTime = record.zoomData?.joinTime || record.Date;
+    return {
+      key: record.meetingId
+        ? `meeting:${record.meetingId}:${dayKey(joinTime)}`
+        : `${record.attendanceType}:${dayKey(record.Date)}`,
+      source: 'attendance',
+      channel: record.attendanceType,
+      // Admin-set statuses (manual entry or an approved excuse/dispute) win the merge
+      manual: record.attendanceType === 'manual' || !!record.originalStatus,
+      meetingId: record.meetingId || null,
+      title: null,
+      date: record.Date,
+      joinTime,
+      leaveTime: record.zoomData?.leaveTime || null,
+      durationMinutes: record.zoomData?.duration ? Math.round(record.zoomData.duration / 60) : null,
+      status: record.Status,
+      attendancePercentage: record.attendancePercentage ?? null,
+    };
+  }
+
+  fromZoomAttendance(record) {
+    return {
+      key: `meeting:${record.meetingId}:${dayKey(record.joinTime)}`,
+      source: 'zoomAttendance',
+      channel: 'zoom_webhook',
+      meetingId: record.meetingId,
+      meetingUuid: record.meetingUuid,
+      title: record.meetingTopic,
+      date: record.joinTime,
+      joinTime: record.joinTime,
+      leaveTime: record.leaveTime || null,
+      durationMinutes: record.duration ? Math.round(record.duration / 60) : null,
+      status: record.attendanceStatus,
+      attendancePercentage: record.attendancePercentage ?? null,
+      minutesLate: record.minutesLate ?? null,
+      minutesLeftEarly: record.minutesLeftEarly ?? null,
+    };
+  }
+
+  fromParticipant(record) {
+    return {
+      key: `meeting:${record.meetingId}:${dayKey(record.joinTime)}`,
+      source: 'participant',
+      channel: record.authenticatedUser?.joinedViaAuth ? 'token' : 'tracker',
+      meetingId: record.meetingId,
+      meetingUuid: record.meetingUuid || null,
+      title: record.meetingTopic || null,
+      date: record.joinTime,
+      joinTime: record.joinTime,
+      leaveTime: record.leaveTime || null,
+      durationMinutes: record.duration ?? null,
+      // Unknown means the tracker never finalized the record
+      status: record.attendanceStatus === 'Unknown' ? null : record.attendanceStatus,
+      attendancePercentage: null,
+    };
+  }
+
+  fromQRAttendance(record) {
+    return {
+      key: `qr:${record.sessionId}`,
+      source: 'qrAttendance',
+      channel: 'qr_session',
+      qrSessionId: record.sessionId,
+      title: record.sessionTitle,
+      date: record.scannedAt,
+      joinTime: record.scannedAt,
+      leaveTime: null,
+      durationMinutes: null,
+      status: QR_STATUS[record.status] || 'Present',
+      attendancePercentage: null,
+    };
+  }
+
+  // ==================== MERGING ====================
+
+  /**
+   * Collapse entries describing the same session
+   * Durations are not summed across channels (they saw the same time); a
+   * manual Attendance record decides the status, otherwise the best status wins.
+   */
+  mergeSessions(entries) {
+    const sessions = new Map();
+
+    entries.forEach(entry => {
+      const session = sessions.get(entry.key);
+      if (!session) {
+        sessions.set(entry.key, {
+          key: entry.key,
+          meetingId: entry.meetingId || null,
+          meetingUuid: entry.meetingUuid || null,
+          qrSessionId: entry.qrSessionId || null,
+          title: entry.title || null,
+          date: entry.date,
+          joinTime: entry.joinTime || null,
+          leaveTime: entry.leaveTime || null,
+          durationMinutes: entry.durationMinutes,
+          status: entry.status,
+          statusSource: entry.status ? entry.source : null,
+          manualStatus: !!entry.manual,
+          attendancePercentage: entry.attendancePercentage,
+          minutesLate: entry.minutesLate ?? null,
+          minutesLeftEarly: entry.minutesLeftEarly ?? null,
+          sources: [entry.source],
+          channels: [entry.channel],
+        });
+        return;
+      }
+
+      if (!session.sources.includes(entry.source)) session.sources.push(entry.source);
+      if (!session.channels.includes(entry.channel)) session.channels.push(entry.channel);
+      session.meetingUuid = session.meetingUuid || entry.meetingUuid || null;
+      session.title = session.title || entry.title || null;
+
+      if (entry.joinTime && (!session.joinTime || new Date(entry.joinTime) < new Date(session.joinTime))) {
+        session.joinTime = entry.joinTime;
+        session.date = entry.date;
+      }
+      if (entry.leaveTime && (!session.leaveTime || new Date(entry.leaveTime) > new Date(session.leaveTime))) {
+        session.leaveTime = entry.leaveTime;
+      }
+      if (entry.durationMinutes !== null && entry.durationMinutes !== undefined) {
+        session.durationMinutes = Math.max(session.durationMinutes || 0, entry.durationMinutes);
+      }
+      if (entry.attendancePercentage !== null && entry.attendancePercentage !== undefined) {
+        session.attendancePercentage = Math.max(session.attendancePercentage || 0, entry.attendancePercentage);
+      }
+      if (entry.minutesLate !== null && entry.minutesLate !== undefined) session.minutesLate = entry.minutesLate;
+      if (entry.minutesLeftEarly !== null && entry.minutesLeftEarly !== undefined) session.minutesLeftEarly = entry.minutesLeftEarly;
+
+      if (entry.status && !session.manualStatus &&
+          (entry.manual || !session.status || statusPriority(entry.status) < statusPriority(session.status))) {
+        session.status = entry.status;
+        session.statusSource = entry.source;
+        session.manualStatus = !!entry.manual;
+      }
+    });
+
+    return [...sessions.values()].map(session => ({
+      ...session,
+      status: session.status || 'In Progress',
+    }));
+  }
+
+  /**
+   * Attach course code/title to meeting sessions
+   * @returns {Map} - Course code -> Course for every course seen
+   */
+  async assignCourses(sessions) {
+    const meetingIds = [...new Set(sessions.map(session => session.meetingId).filter(Boolean))];
+    const meetings = meetingIds.length > 0
+      ? await ZoomMeeting.find({ meetingId: { $in: meetingIds } }).select('meetingId topic metadata').lean()
+      : [];
+    const linkedCourses = meetingIds.length > 0
+      ? await Course.find({ meetingIds: { $in: meetingIds } }).lean()
+      : [];
+
+    const codes = [...new Set(meetings.map(meeting => meeting.metadata?.course).filter(Boolean))]
+      .map(code => code.toUpperCase());
+    const codedCourses = codes.length > 0 ? await Course.find({ code: { $in: codes } }).lean() : [];
+
+    const courses = new Map([...linkedCourses, ...codedCourses].map(course => [course.code, course]));
+    const courseByMeeting = new Map();
+    linkedCourses.forEach(course => course.meetingIds.forEach(id => courseByMeeting.set(id, course.code)));
+    meetings.forEach(meeting => {
+      if (meeting.metadata?.course) courseByMeeting.set(meeting.meetingId, meeting.metadata.course.toUpperCase());
+    });
+    const topicByMeeting = new Map(meetings.map(meeting => [meeting.meetingId, meeting.topic]));
+
+    sessions.forEach(session => {
+      const code = session.meetingId ? courseByMeeting.get(session.meetingId) : null;
+      session.course = code || UNASSIGNED_COURSE;
+      session.courseTitle = courses.get(code)?.title || null;
+      session.title = session.title || topicByMeeting.get(session.meetingId) || null;
+    });
+
+    return courses;
+  }
+
+  /**
+   * Occurrences of the student's enrolled courses with no session, as Absent
+   */
+  async findMissedSessions(student, sessions, courses, range) {
+    const enrollments = await Enrollment.find({ studentId: student.StudentID, status: { $in: ['active', 'completed'] } })
+      .populate('course')
+      .lean();
+    const enrolledCourses = enrollments.map(enrollment => enrollment.course).filter(Boolean);
+    if (enrolledCourses.length === 0) return [];
+
+    const meetingFilter = {
+      status: 'ended',
+      $or: [
+        { meetingId: { $in: enrolledCourses.flatMap(course => course.meetingIds || []) } },
+        { 'metadata.course': { $in: enrolledCourses.map(course => course.code) } },
+      ],
+    };
+    if (Object.keys(range).length > 0) meetingFilter.startTime = range;
+
+    const occurrences = await ZoomMeeting.find(meetingFilter)
+      .select('meetingId meetingUuid topic startTime actualStartTime metadata')
+      .lean();
+
+    const seen = new Set(sessions.map(session => session.key));
+    const seenUuids = new Set(sessions.map(session => session.meetingUuid).filter(Boolean));
+
+    return occurrences
+      .filter(occurrence => {
+        const start = occurrence.actualStartTime || occurrence.startTime;
+        return !seenUuids.has(occurrence.meetingUuid) &&
+          !seen.has(`meeting:${occurrence.meetingId}:${dayKey(start)}`);
+      })
+      .map(occurrence => {
+        const course = enrolledCourses.find(candidate =>
+          (candidate.meetingIds || []).includes(occurrence.meetingId) ||
+          candidate.code === (occurrence.metadata?.course || '').toUpperCase()
+        );
+        courses.set(course.code, course);
+
+        return {
+          key: `meeting:${occurrence.meetingId}:${dayKey(occurrence.actualStartTime || occurrence.startTime)}`,
+          meetingId: occurrence.meetingId,
+          meetingUuid: occurrence.meetingUuid,
+          qrSessionId: null,
+          title: occurrence.topic,
+          date: occurrence.actualStartTime || occurrence.startTime,
+          joinTime: null,
+          leaveTime: null,
+          durationMinutes: 0,
+          status: 'Absent',
+          statusSource: 'roster',
+          manualStatus: false,
+          attendancePercentage: 0,
+          minutesLate: null,
+          minutesLeftEarly: null,
+          sources: ['roster'],
+          channels: [],
+          course: course.code,
+          courseTitle: course.title,
+          neverJoined: true,
+        };
+      });
+  }
+
+  // ==================== TOTALS ====================
+
+  summarize(sessions) {
+    const statusCounts = {};
+    sessions.forEach(session => {
+      statusCounts[session.status] = (statusCounts[session.status] || 0) + 1;
+    });
+
+    // Sessions still in progress or excused are not counted either way
+    const counted = sessions.filter(session => session.status !== 'In Progress' && session.status !== 'Excused');
+    const attended = counted.filter(session => isAttendedStatus(session.status)).length;
+
+    return {
+      sessions: sessions.length,
+      attended,
+      missed: counted.length - attended,
+      attendanceRate: counted.length > 0 ? Math.round((attended / counted.length) * 100) : 0,
+      totalMinutes: sessions.reduce((sum, session) => sum + (session.durationMinutes || 0), 0),
+      statusCounts,
+    };
+  }
+
+  summarizeByCourse(sessions) {
+    const byCourse = new Map();
+    sessions.forEach(session => {
+      if (!byCourse.has(session.course)) {
+        byCourse.set(session.course, { course: session.course, title: session.courseTitle, sessions: [] });
+      }
+      byCourse.get(session.course).sessions.push(session);
+    });
+
+    return [...byCourse.values()]
+      .map(({ course, title, sessions: courseSessions }) => ({
+        course,
+        title,
+        ...this.summarize(courseSessions),
+      }))
+      .sort((a, b) => (a.course === UNASSIGNED_COURSE) - (b.course === UNASSIGNED_COURSE) || a.course.localeCompare(b.course));
+  }
+
+  // ==================== EXPORTS ====================
+
+  /**
+   * Transcript as CSV: one row per session, then the per-course totals
+   */
+  toCSV(transcript) {
+    const rows = [
+      ['Student ID', transcript.student.studentId],
+      ['Name', transcript.student.name],
+      ['Email', transcript.student.email],
+      [],
+      ['Date', 'Course', 'Session', 'Status', 'Duration (Minutes)', 'Percentage', 'Minutes Late', 'Minutes Left Early', 'Join Time', 'Leave Time', 'Sources'],
+      ...transcript.sessions.map(session => [
+        session.date ? new Date(session.date).toLocaleDateString() : '',
+        session.course,
+        session.title || session.meetingId || session.qrSessionId || '',
+        session.status,
+        session.durationMinutes ?? '',
+        session.attendancePercentage !== null && session.attendancePercentage !== undefined ? `${session.attendancePercentage}%` : '',
+        session.minutesLate ?? '',
+        session.minutesLeftEarly ?? '',
+        session.joinTime ? new Date(session.joinTime).toLocaleString() : '',
+        session.leaveTime ? new Date(session.leaveTime).toLocaleString() : '',
+        session.sources.join(' + '),
+      ]),
+      [],
+      ['Course', 'Title', 'Sessions', 'Attended', 'Missed', 'Attendance Rate', 'Total Minutes'],
+      ...transcript.courses.map(course => [
+        course.course,
+        course.title || '',
+        course.sessions,
+        course.attended,
+        course.missed,
+        `${course.attendanceRate}%`,
+        course.totalMinutes,
+      ]),
+      ['Overall', '', transcript.totals.sessions, transcript.totals.attended, transcript.totals.missed,
+        `${transcript.totals.attendanceRate}%`, transcript.totals.totalMinutes],
+    ];
+
+    return rows
+      .map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+      .join('\n');
+  }
+
+  /**
+   * Stream the transcript as a printable PDF
+   * @param {Object} transcript - Result of buildTranscript
+   * @param {Stream} output - Writable stream (e.g. the response)
+   */
+  writePDF(transcript, output) {
+    const doc = new PDFDocument({ size: 'A4', margin: 40 });
+    doc.pipe(output);
+
+    doc.fontSize(18).text('Attendance Transcript', { align: 'center' });
+    doc.moveDown(0.5);
+    doc.fontSize(10)
+      .text(`${transcript.student.name} (ID ${transcript.student.studentId})`)
+      .text(`${transcript.student.email} · ${transcript.student.department || ''}`)
+      .text(`Period: ${transcript.range.from ? new Date(transcript.range.from).toLocaleDateString() : 'all'} – ${transcript.range.to ? new Date(transcript.range.to).toLocaleDateString() : 'today'}`)
+      .text(`Generated: ${new Date(transcript.generatedAt).toLocaleString()}`);
+    doc.moveDown();
+
+    doc.fontSize(13).text('Summary by course');
+    doc.moveDown(0.3);
+    this.writePDFTable(doc, [110, 170, 55, 55, 55, 60], [
+      ['Course', 'Title', 'Sessions', 'Attended', 'Missed', 'Rate'],
+      ...transcript.courses.map(course => [
+        course.course, course.title || '', course.sessions, course.attended, course.missed, `${course.attendanceRate}%`,
+      ]),
+      ['Overall', '', transcript.totals.sessions, transcript.totals.attended, transcript.totals.missed, `${transcript.totals.attendanceRate}%`],
+    ]);
+    doc.moveDown();
+
+    doc.fontSize(13).text('Sessions');
+    doc.moveDown(0.3);
+    this.writePDFTable(doc, [70, 80, 185, 70, 55, 55], [
+      ['Date', 'Course', 'Session', 'Status', 'Minutes', 'Late'],
+      ...transcript.sessions.map(session => [
+        session.date ? new Date(session.date).toLocaleDateString() : '',
+        session.course,
+        session.title || session.meetingId || session.qrSessionId || '',
+        session.status,
+        session.durationMinutes ?? '',
+        session.minutesLate ?? '',
+      ]),
+    ]);
+
+    doc.end();
+  }
+
+  // Simple fixed-width table; the first row is the header
+  writePDFTable(doc, widths, rows) {
+    const left = doc.page.margins.left;
+    const rowHeight = 16;
+
+    rows.forEach((row, index) => {
+      if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+      }
+      const y = doc.y;
+      doc.font(index === 0 ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+
+      let x = left;
+      row.forEach((cell, column) => {
+        doc.text(String(cell), x, y, { width: widths[column] - 4, height: rowHeight, ellipsis: true, lineBreak: false });
+        x += widths[column];
+      });
+      doc.x = left;
+      doc.y = y + rowHeight;
+    });
+
+    doc.font('Helvetica');
+  }
+}
+
+module.exports = new TranscriptService();
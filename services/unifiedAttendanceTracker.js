@@ -1,8 +1,17 @@
 const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
 const Participant = require('../models/Participant');
-const Student = require('../models/Student');
 const ZoomMeeting = require('../models/ZoomMeeting');
+const attendancePolicyService = require('./attendancePolicyService');
+const rosterService = require('./rosterService');
+const studentLinkService = require('./studentLinkService');
+const {
+  DEFAULT_POLICY,
+  evaluateAttendance,
+  withPresentThreshold,
+  getScheduledWindow,
+  isAttendedStatus
+} = require('../utils/attendancePolicyEngine');
 const { safeCreateDate, safeDateFormat, safeDateDuration, getCurrentTimestamp, sanitizeDateFields } = require('../utils/dateUtils');
 
 /**
@@ -20,19 +29,80 @@ class UnifiedAttendanceTracker {
 
   // ==================== WEBHOOK-BASED TRACKING ====================
 
+  /**
+   * Handle a normalized event from the webhook ingestion pipeline
+   */
+  async handleWebhookEvent(event) {
+    const participant = event.participant;
+
+    if (!participant || !event.meetingId) {
+      return { success: true, skipped: true, message: `Event ${event.eventType} not tracked` };
+    }
+
+    // Map Zoom's participant payload to the fields this tracker stores
+    const participantData = {
+      participant_id: participant.participant_uuid || participant.id || participant.user_id,
+      participant_user_id: participant.participant_user_id,
+      participant_name: participant.user_name,
+      email: participant.email
+    };
+
+    switch (event.eventType) {
+      case 'meeting.participant_joined':
+        return this.handleWebhookJoin(participantData, event.meetingId, event.meetingUuid);
+
+      case 'meeting.participant_left':
+        return this.handleWebhookLeave(participantData, event.meetingId, event.meetingUuid);
+
+      default:
+        return { success: true, skipped: true, message: `Event ${event.eventType} not tracked` };
+    }
+  }
+
+  /**
+   * Query matching the stored record of a webhook participant, or null without any identity
+   * Every connection gets a new participant_uuid, so a rejoin is recognised by the
+   * signed-in Zoom account (participant_user_id) or email of the first connection.
+   */
+  webhookIdentityQuery(participantData) {
+    const identities = [
+      participantData.participant_id && { participantId: participantData.participant_id },
+      participantData.participant_user_id && { zoomUserId: participantData.participant_user_id },
+      participantData.email && { email: participantData.email }
+    ].filter(Boolean);
+    return identities.length > 0 ? { $or: identities } : null;
+  }
+
   /**
    * Handle participant joining via Zoom webhook
+   * meetingUuid identifies the occurrence, so a recurring meeting's weeks stay separate.
    */
-  async handleWebhookJoin(participantData, meetingId) {
+  async handleWebhookJoin(participantData, meetingId, meetingUuid = null) {
     try {
       console.log(`👋 [WEBHOOK JOIN] Processing webhook participant: ${participantData.participant_name}`);
 
       const joinDateTime = getCurrentTimestamp();
+
+      // Reuse the existing record on duplicate deliveries and reconnects
+      const identityQuery = this.webhookIdentityQuery(participantData);
+      if (identityQuery) {
+        const existingParticipant = await Participant.findOne({
+          meetingId: meetingId.toString(),
+          ...identityQuery,
+          ...(meetingUuid && { meetingUuid })
+        });
+
+        if (existingParticipant) {
+          return this.handleWebhookRejoin(existingParticipant, meetingId, joinDateTime);
+        }
+      }
       
       const participantRecord = {
         meetingId: meetingId.toString(),
+        meetingUuid,
         participantId: participantData.participant_id || `webhook_${Date.now()}`,
         participantName: participantData.participant_name || 'Unknown User',
+        zoomUserId: participantData.participant_user_id || undefined,
         email: participantData.email || '',
         joinTime: joinDateTime,
         leaveTime: null,
@@ -89,19 +159,62 @@ class UnifiedAttendanceTracker {
     }
   }
 
+  /**
+   * Reactivate a known webhook participant instead of creating a second record
+   */
+  async handleWebhookRejoin(participantRecord, meetingId, joinDateTime) {
+    if (participantRecord.isActive) {
+      console.log(`ℹ️ [WEBHOOK JOIN] ${participantRecord.participantName} already active, ignoring duplicate join`);
+      return { success: true, participant: participantRecord, source: 'webhook', message: 'Participant already active' };
+    }
+
+    // Keep the previous session so total duration covers every connection
+    if (participantRecord.joinTime && participantRecord.leaveTime) {
+      participantRecord.sessions.push({
+        joinTime: participantRecord.joinTime,
+        leaveTime: participantRecord.leaveTime,
+        duration: participantRecord.duration,
+        reason: 'left'
+      });
+    }
+
+    participantRecord.joinTime = joinDateTime;
+    participantRecord.leaveTime = null;
+    participantRecord.duration = null;
+    participantRecord.isActive = true;
+    participantRecord.connectionStatus = 'reconnected';
+    const savedParticipant = await participantRecord.save();
+
+    this.activeSessions.set(savedParticipant.participantId, {
+      meetingId: meetingId.toString(),
+      joinTime: joinDateTime,
+      participantData: savedParticipant,
+      source: 'webhook'
+    });
+    this.webhookSessions.set(savedParticipant.participantId, savedParticipant);
+
+    await this.updateMeetingParticipantCount(meetingId, 1);
+    await this.emitParticipantUpdate('joined', savedParticipant, meetingId, 'webhook');
+
+    console.log(`✅ [WEBHOOK JOIN] ${savedParticipant.participantName} rejoined`);
+    return { success: true, participant: savedParticipant, source: 'webhook', message: 'Participant rejoined' };
+  }
+
   /**
    * Handle participant leaving via Zoom webhook
    */
-  async handleWebhookLeave(participantData, meetingId) {
+  async handleWebhookLeave(participantData, meetingId, meetingUuid = null) {
     try {
       console.log(`👋 [WEBHOOK LEAVE] Processing webhook participant leave: ${participantData.participant_name}`);
 
       const leaveDateTime = getCurrentTimestamp();
-      const participantId = participantData.participant_id;
+      const identityQuery = this.webhookIdentityQuery(participantData);
 
-      const participantRecord = await Participant.findOne({
+      const participantRecord = identityQuery && await Participant.findOne({
         meetingId: meetingId.toString(),
-        participantId: participantId
+        ...identityQuery,
+        isActive: true,
+        ...(meetingUuid && { meetingUuid })
       });
 
       if (!participantRecord) {
@@ -125,9 +238,9 @@ class UnifiedAttendanceTracker {
 
       const updatedParticipant = await participantRecord.save();
 
-      // Remove from active sessions
-      this.activeSessions.delete(participantId);
-      this.webhookSessions.delete(participantId);
+      // Remove from active sessions (keyed by the record's first participant ID)
+      this.activeSessions.delete(participantRecord.participantId);
+      this.webhookSessions.delete(participantRecord.participantId);
 
       // Update meeting count
       await this.updateMeetingParticipantCount(meetingId, -1);
@@ -155,9 +268,12 @@ class UnifiedAttendanceTracker {
       console.log(`👋 [TOKEN JOIN] Processing token participant: ${userInfo.name}`);
 
       const joinDateTime = getCurrentTimestamp();
+      // Token joins carry no instance UUID; they belong to the current occurrence
+      const occurrence = await ZoomMeeting.findOccurrence(meetingId).select('meetingId meetingUuid').lean();
       
       const participantRecord = {
         meetingId: meetingId.toString(),
+        meetingUuid: occurrence?.meetingUuid || null,
         participantId: userInfo.userId || `token_${Date.now()}`,
         participantName: userInfo.name || 'Anonymous User',
         email: userInfo.email || '',
@@ -181,16 +297,17 @@ class UnifiedAttendanceTracker {
       };
 
       // Try to match with student database
-      if (userInfo.email || userInfo.studentId) {
-        const student = await this.findStudentByEmailOrId(userInfo.email, userInfo.studentId);
-        if (student) {
+      if (userInfo.userId || userInfo.email) {
+        const match = await this.findStudentForTokenUser(userInfo);
+        if (match) {
+          const { student } = match;
           participantRecord.studentInfo = {
             studentId: student.StudentID,
             firstName: student.FirstName,
             lastName: student.LastName,
             department: student.Department,
             email: student.Email,
-            matchedBy: userInfo.studentId ? 'studentId' : 'email'
+            matchedBy: match.matchedBy
           };
           participantRecord.isStudent = true;
         }
@@ -198,7 +315,7 @@ class UnifiedAttendanceTracker {
 
       // Check for existing participant (rejoin case)
       const existingParticipant = await Participant.findOne({
-        meetingId: meetingId.toString(),
+        ...Participant.occurrenceQuery(occurrence, meetingId),
         $or: [
           { participantId: participantRecord.participantId },
           { email: participantRecord.email }
@@ -307,18 +424,25 @@ class UnifiedAttendanceTracker {
 
   /**
    * Get all participants for a meeting (both webhook and token-based)
+   * Enrolled students of the meeting's course who never joined are appended as Absent.
+   * @param {string} meetingId - Meeting ID
+   * @param {number|null} threshold - Overrides the policy's present percentage
    */
-  async getUnifiedAttendanceData(meetingId, threshold = 85) {
+  async getUnifiedAttendanceData(meetingId, threshold = null) {
     try {
       console.log(`📊 [UNIFIED] Getting attendance data for meeting: ${meetingId}`);
 
-      const participants = await Participant.find({ 
-        meetingId: meetingId.toString()
-      }).sort({ joinTime: 1 });
+      const meeting = await ZoomMeeting.findOccurrence(meetingId);
+      const policy = withPresentThreshold(
+        await attendancePolicyService.resolveForMeeting(meeting || meetingId),
+        threshold || undefined
+      );
+
+      const participants = await Participant.find(Participant.occurrenceQuery(meeting, meetingId)).sort({ joinTime: 1 });
 
       const processedParticipants = await Promise.all(
         participants.map(async (participant) => {
-          const attendanceData = await this.calculateAttendanceData(participant, meetingId);
+          const attendanceData = await this.calculateAttendanceData(participant, meetingId, { meeting, policy });
           
           return {
             ...participant.toObject(),
@@ -332,13 +456,22 @@ class UnifiedAttendanceTracker {
         })
       );
 
+      const roster = await rosterService.getAbsentees(meeting || meetingId, participants);
+      const meetingDuration = meeting ? meeting.duration || 60 : 60;
+      const absentees = roster.absentees.map(student => this.buildRosterAbsentee(student, meetingDuration, policy));
+
       // Calculate comprehensive statistics
-      const statistics = this.calculateComprehensiveStatistics(processedParticipants, threshold);
+      const statistics = {
+        ...this.calculateComprehensiveStatistics([...processedParticipants, ...absentees], policy.thresholds.present),
+        course: roster.course,
+        enrolledCount: roster.enrolledCount,
+        neverJoinedCount: absentees.length
+      };
 
-      console.log(`✅ [UNIFIED] Retrieved ${processedParticipants.length} participants`);
+      console.log(`✅ [UNIFIED] Retrieved ${processedParticipants.length} participants, ${absentees.length} enrolled students never joined`);
       return {
         success: true,
-        participants: processedParticipants,
+        participants: [...processedParticipants, ...absentees],
         statistics,
         method: 'unified',
         timestamp: new Date().toISOString()
@@ -350,6 +483,41 @@ class UnifiedAttendanceTracker {
     }
   }
 
+  /**
+   * Attendance entry for an enrolled student with no participant record
+   */
+  buildRosterAbsentee(student, meetingDuration, policy) {
+    const studentInfo = rosterService.describeStudent(student);
+
+    return {
+      participantId: null,
+      participantName: studentInfo.fullName,
+      email: student.Email,
+      studentId: student.StudentID,
+      studentFirstName: student.FirstName,
+      studentLastName: student.LastName,
+      studentDepartment: student.Department,
+      studentEmail: student.Email,
+      studentInfo,
+      meetingId: null,
+      isActive: false,
+      duration: 0,
+      attendancePercentage: 0,
+      attendanceStatus: 'Absent',
+      meetsThreshold: false,
+      meetingDuration,
+      thresholdDuration: Math.round(meetingDuration * (policy.thresholds.present / 100)),
+      joinTime: 'N/A',
+      leaveTime: null,
+      displayName: studentInfo.fullName,
+      displayEmail: student.Email,
+      source: 'roster',
+      isAuthenticated: false,
+      authenticationStatus: 'not_joined',
+      neverJoined: true
+    };
+  }
+
   /**
    * Get individual participant attendance by token
    */
@@ -415,11 +583,15 @@ class UnifiedAttendanceTracker {
 
   /**
    * Calculate attendance data for a participant
+   * options.meeting and options.policy avoid re-resolving them per participant.
    */
   async calculateAttendanceData(participant, meetingId, options = {}) {
     try {
-      const meetingInfo = await ZoomMeeting.findOne({ meetingId: meetingId.toString() });
+      const meetingInfo = options.meeting !== undefined
+        ? options.meeting
+        : await ZoomMeeting.findOccurrence(meetingId);
       const meetingDuration = meetingInfo ? meetingInfo.duration || 60 : 60;
+      const policy = options.policy || await attendancePolicyService.resolveForMeeting(meetingInfo || meetingId);
 
       let duration = options.overrideDuration || participant.duration || 0;
       
@@ -432,22 +604,24 @@ class UnifiedAttendanceTracker {
       }
 
       const attendancePercentage = meetingDuration > 0 ? Math.round((duration / meetingDuration) * 100) : 0;
-      const meetsThreshold = attendancePercentage >= 85;
-      
-      let attendanceStatus = 'Absent';
-      if (participant.isActive) {
-        attendanceStatus = 'In Progress';
-      } else if (meetsThreshold) {
-        attendanceStatus = 'Present';
-      }
+      const evaluation = evaluateAttendance(policy, {
+        attendedMinutes: duration,
+        attendancePercentage,
+        isActive: participant.isActive,
+        joinTime: participant.joinTime,
+        leaveTime: participant.leaveTime,
+        ...getScheduledWindow(meetingInfo)
+      });
 
       return {
         duration,
         attendancePercentage,
-        attendanceStatus,
-        meetsThreshold,
+        attendanceStatus: evaluation.status,
+        meetsThreshold: evaluation.meetsThreshold,
+        minutesLate: evaluation.minutesLate,
+        minutesLeftEarly: evaluation.minutesLeftEarly,
         meetingDuration,
-        thresholdDuration: Math.round(meetingDuration * 0.85),
+        thresholdDuration: Math.round(meetingDuration * (policy.thresholds.present / 100)),
         joinTime: safeDateFormat(participant.joinTime, 'N/A', { format: 'datetime' }),
         leaveTime: participant.leaveTime ? safeDateFormat(participant.leaveTime, 'N/A', { format: 'datetime' }) : null
       };
@@ -460,7 +634,7 @@ class UnifiedAttendanceTracker {
         attendanceStatus: 'Unknown',
         meetsThreshold: false,
         meetingDuration: 60,
-        thresholdDuration: 51,
+        thresholdDuration: Math.round(60 * (DEFAULT_POLICY.thresholds.present / 100)),
         joinTime: 'N/A',
         leaveTime: null
       };
@@ -470,11 +644,13 @@ class UnifiedAttendanceTracker {
   /**
    * Calculate comprehensive statistics
    */
-  calculateComprehensiveStatistics(participants, threshold = 85) {
+  calculateComprehensiveStatistics(participants, threshold = DEFAULT_POLICY.thresholds.present) {
     const totalParticipants = participants.length;
     const presentCount = participants.filter(p => p.attendanceStatus === 'Present').length;
     const absentCount = participants.filter(p => p.attendanceStatus === 'Absent').length;
     const inProgressCount = participants.filter(p => p.attendanceStatus === 'In Progress').length;
+    const lateCount = participants.filter(p => p.attendanceStatus === 'Late').length;
+    const leftEarlyCount = participants.filter(p => p.attendanceStatus === 'Left Early').length;
     
     const durations = participants.map(p => p.duration).filter(d => d > 0);
     const averageDuration = durations.length > 0 ? 
@@ -488,7 +664,7 @@ class UnifiedAttendanceTracker {
       Math.round(participants.reduce((sum, p) => sum + p.attendancePercentage, 0) / totalParticipants) : 0;
     
     const attendanceRate = totalParticipants > 0 ?
-      Math.round((presentCount / totalParticipants) * 100) : 0;
+      Math.round((participants.filter(p => isAttendedStatus(p.attendanceStatus)).length / totalParticipants) * 100) : 0;
 
     const meetingDuration = participants[0]?.meetingDuration || 60;
     const authenticatedCount = participants.filter(p => p.isAuthenticated).length;
@@ -500,6 +676,8 @@ class UnifiedAttendanceTracker {
       presentCount,
       absentCount,
       inProgressCount,
+      lateCount,
+      leftEarlyCount,
       averageAttendance,
       meetingDuration,
       attendanceRate,
@@ -532,16 +710,11 @@ class UnifiedAttendanceTracker {
   }
 
   /**
-   * Find student by email
+   * Find student by email reported by Zoom
    */
   async findStudentByEmail(email) {
     try {
-      return await Student.findOne({
-        $or: [
-          { Email: { $regex: new RegExp(email, 'i') } },
-          { Email: email }
-        ]
-      });
+      return await studentLinkService.findStudentForEmail(email);
     } catch (error) {
       console.warn('Warning: Error matching student by email:', error.message);
       return null;
@@ -549,16 +722,18 @@ class UnifiedAttendanceTracker {
   }
 
   /**
-   * Find student by email or student ID
+   * Find the student linked to the account a meeting token was issued to.
+   * Student IDs claimed inside the token are not trusted.
    */
-  async findStudentByEmailOrId(email, studentId) {
+  async findStudentForTokenUser(userInfo) {
     try {
-      if (studentId) {
-        const student = await Student.findOne({ StudentID: studentId });
-        if (student) return student;
+      if (userInfo.userId) {
+        const student = await studentLinkService.findStudentForUserId(userInfo.userId);
+        if (student) return { student, matchedBy: 'account' };
       }
-      if (email) {
-        return await this.findStudentByEmail(email);
+      if (userInfo.email) {
+        const student = await studentLinkService.findStudentForEmail(userInfo.email);
+        if (student) return { student, matchedBy: 'email' };
       }
       return null;
     } catch (error) {
@@ -585,8 +760,8 @@ class UnifiedAttendanceTracker {
    */
   async updateMeetingParticipantCount(meetingId, increment) {
     try {
-      await ZoomMeeting.findOneAndUpdate(
-        { meetingId: meetingId.toString() },
+      await ZoomMeeting.updateOccurrence(
+        meetingId.toString(),
         {
           $inc: { activeParticipants: increment },
           $set: { lastActivity: getCurrentTimestamp() }
@@ -1,8 +1,9 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const Student = require('../models/Student');
 const Participant = require('../models/Participant');
 const TokenDebugger = require('../utils/tokenDebugger');
+const studentLinkService = require('./studentLinkService');
+const tokenService = require('./tokenService');
 
 class UserSessionManager {
   constructor() {
@@ -42,6 +43,10 @@ class UserSessionManager {
       }
       
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (tokenService.isRevokedCached(decoded)) {
+        console.warn('🔒 Token has been revoked');
+        return null;
+      }
       return decoded;
     } catch (error) {
       console.warn('🔒 Token verification failed:', error.message);
@@ -168,10 +173,10 @@ class UserSessionManager {
       
       console.log('✅ Role consistency check passed');
 
-      // Try to find associated student record
+      // Student record linked to this account
       let studentInfo = null;
       try {
-        studentInfo = await Student.findOne({ Email: user.email });
+        studentInfo = await studentLinkService.findStudentForUser(user);
       } catch (studentError) {
         console.warn('Student lookup failed:', studentError.message);
       }
@@ -11,14 +11,17 @@ const ZoomAttendance = require('../models/ZoomAttendance');
 const ZoomMeeting = require('../models/ZoomMeeting');
 const Student = require('../models/Student');
 const EnhancedAttendanceCalculator = require('./enhancedAttendanceCalculator');
+const hybridVerificationService = require('./hybridVerificationService');
+const jobService = require('./jobService');
 const moment = require('moment');
 
+// Zoom's past-meeting reports fill in a few minutes after the meeting ends
+const RECONCILIATION_DELAY_MINUTES = Number(process.env.RECONCILIATION_DELAY_MINUTES) || 10;
+
 class WebhookEventHandler {
   constructor(io = null, globalState = null) {
     this.io = io;
     this.globalState = globalState;
-    this.processedEvents = new Map(); // Prevent duplicate processing
-    this.reconciliationQueue = []; // Queue meetings for reconciliation
     this.attendanceCalculator = new EnhancedAttendanceCalculator(); // Enhanced attendance calculations
     this.meetingStartTimes = new Map(); // Track meeting start times from meeting.started events
   }
@@ -35,24 +38,8 @@ class WebhookEventHandler {
       }
       console.log(`🎯 Processing webhook event: ${event.eventType}`);
       
-      // Prevent duplicate processing using event timestamp + meeting + participant
-      const timestamp = event.timestamp || new Date();
-      const eventKey = `${event.eventType}_${event.meetingId}_${event.participant?.participant_uuid || 'no_participant'}_${timestamp.getTime()}`;
-      
-      if (this.processedEvents.has(eventKey)) {
-        console.log('⚠️ Duplicate event detected, skipping processing');
-        return { success: true, message: 'Duplicate event skipped', eventKey };
-      }
-      
-      this.processedEvents.set(eventKey, true);
-      
-      // Clean up old processed events (keep last 1000)
-      if (this.processedEvents.size > 1000) {
-        const keys = Array.from(this.processedEvents.keys());
-        for (let i = 0; i < 100; i++) {
-          this.processedEvents.delete(keys[i]);
-        }
-      }
+      // Duplicate deliveries are dropped by the ingestion pipeline's idempotency key,
+      // so every event reaching this point is processed
 
       // Process based on event type
       let result;
@@ -76,11 +63,11 @@ class WebhookEventHandler {
           
         default:
           console.log(`ℹ️ Unhandled event type: ${event.eventType}`);
-          result = { success: false, message: 'Unhandled event type' };
+          result = { success: true, skipped: true, message: 'Unhandled event type' };
       }
 
       // Broadcast real-time update if Socket.IO available
-      if (this.io && result.success) {
+      if (this.io && result.success && !result.skipped) {
         this.broadcastAttendanceUpdate(event, result);
       }
 
@@ -153,6 +140,19 @@ class WebhookEventHandler {
       // Update meeting record
       await this.updateMeetingRecord(event, 'participant_joined', participant);
 
+      // Zoom presence can complete a hybrid check-in made before joining
+      if (attendance.studentId) {
+        try {
+          await hybridVerificationService.recordZoomPresence({
+            meetingId: event.meetingId,
+            meetingUuid: event.meetingUuid,
+            studentId: attendance.studentId,
+          });
+        } catch (hybridError) {
+          console.warn('⚠️ Could not record Zoom presence for hybrid check-in:', hybridError.message);
+        }
+      }
+
       console.log(`✅ Successfully processed participant joined event`);
 
       return {
@@ -266,6 +266,19 @@ class WebhookEventHandler {
       
       // Update meeting record with start time
       await this.updateMeetingRecord(event, 'meeting_started', null, null, startTime);
+
+      // Keep the dashboard's live meeting list in sync
+      if (this.globalState) {
+        this.globalState.activeMeetings.set(event.meetingId, {
+          id: event.meetingId,
+          uuid: event.meetingUuid,
+          topic: event.meetingTopic,
+          startTime: startTime,
+          status: 'started',
+          participants: []
+        });
+        this.globalState.meetingAnalytics.activeNow = this.globalState.activeMeetings.size;
+      }
       
       console.log(`✅ Successfully processed meeting started event`);
       
@@ -322,6 +335,11 @@ class WebhookEventHandler {
       // Update meeting record with end time
       await this.updateMeetingRecord(event, 'meeting_ended', null, endTime);
 
+      if (this.globalState) {
+        this.globalState.activeMeetings.delete(event.meetingId);
+        this.globalState.meetingAnalytics.activeNow = this.globalState.activeMeetings.size;
+      }
+
       // Trigger enhanced attendance calculation
       console.log(`🧮 Starting enhanced attendance calculation for meeting: ${event.meetingId}`);
       const calculationResult = await this.attendanceCalculator.processMeetingEnd(event.payload);
@@ -339,10 +357,11 @@ class WebhookEventHandler {
         }
       } else {
         console.error(`❌ Enhanced attendance calculation failed: ${calculationResult.error}`);
-        // Fallback to basic reconciliation queue
-        this.queueMeetingForReconciliation(event.meetingId, event.meetingUuid);
       }
 
+      // Check the webhook data against Zoom's report once it is available
+      await this.queueMeetingForReconciliation(event.meetingId, event.meetingUuid);
+
       // Clean up meeting start time cache
       this.meetingStartTimes.delete(event.meetingUuid);
 
@@ -378,13 +397,16 @@ class WebhookEventHandler {
    */
   async updateMeetingRecord(event, action, participant = null, endTime = null, startTime = null) {
     try {
-      let meeting = await ZoomMeeting.findOne({ meetingId: event.meetingId });
-
-      if (!meeting) {
-        // Create meeting record if it doesn't exist
-        meeting = new ZoomMeeting({
+      // Each instance (UUID) of a recurring meeting gets its own occurrence record;
+      // a meeting ID seen for the first time is created from the payload
+      const meeting = await ZoomMeeting.resolveOccurrence(
+        {
           meetingId: event.meetingId,
           meetingUuid: event.meetingUuid,
+          startTime: startTime || event.payload.object?.start_time || null,
+          occurrenceId: event.payload.object?.occurrence_id || null
+        },
+        {
           topic: event.meetingTopic,
           hostId: event.payload.object?.host_id || 'unknown',
           hostEmail: event.payload.object?.host_email || 'unknown@example.com',
@@ -395,8 +417,8 @@ class WebhookEventHandler {
           duration: event.payload.object?.duration || 60,
           joinUrl: event.payload.object?.join_url || '',
           startUrl: event.payload.object?.start_url || '',
-        });
-      }
+        }
+      );
 
       // Update meeting status and times
       if (action === 'meeting_ended') {
@@ -413,10 +435,10 @@ class WebhookEventHandler {
         meeting.actualStartTime = new Date();
       }
 
-      // Add webhook event to history
-      meeting.webhookEvents.push({
+      // Add webhook event summary to history (payload is kept in the event log)
+      meeting.recordWebhookEvent({
         eventType: event.eventType,
-        eventData: event.payload,
+        eventLogId: event.eventLogId || null,
         timestamp: event.timestamp,
         processed: true,
         source: 'webhook'
@@ -431,43 +453,46 @@ class WebhookEventHandler {
 
   /**
    * Queue meeting for reconciliation
+   * Runs as a delayed 'meeting.reconcile' job; an occurrence already waiting keeps its job
    * @param {String} meetingId - Meeting ID
    * @param {String} meetingUuid - Meeting UUID
+   * @param {Object} options - { delayMs } (default: RECONCILIATION_DELAY_MINUTES)
+   * @returns {Object|null} - The job, or null if it could not be queued
    */
-  queueMeetingForReconciliation(meetingId, meetingUuid) {
-    const reconciliationItem = {
-      meetingId,
-      meetingUuid,
-      queuedAt: new Date(),
-      priority: 'high', // Meeting ended events have high priority
-      attempts: 0
-    };
-
-    // Add to queue if not already queued
-    if (!this.reconciliationQueue.find(item => item.meetingId === meetingId)) {
-      this.reconciliationQueue.push(reconciliationItem);
-      console.log(`📋 Queued meeting ${meetingId} for reconciliation`);
+  async queueMeetingForReconciliation(meetingId, meetingUuid, { delayMs = RECONCILIATION_DELAY_MINUTES * 60 * 1000 } = {}) {
+    try {
+      const job = await jobService.enqueue('meeting.reconcile', { meetingId, meetingUuid }, {
+        delayMs,
+        uniqueKey: String(meetingUuid || meetingId),
+        priority: 3 // Meeting ended events have high priority
+      });
+      console.log(`📋 Queued meeting ${meetingId} for reconciliation at ${new Date(job.runAt).toISOString()}`);
+      return job;
+    } catch (error) {
+      console.error(`❌ Failed to queue reconciliation for meeting ${meetingId}:`, error.message);
+      return null;
     }
   }
 
   /**
    * Get queued meetings for reconciliation
-   * @returns {Array} - Queued meetings
+   * @returns {Promise<Array>} - Reconciliation jobs waiting to run
    */
-  getReconciliationQueue() {
-    return [...this.reconciliationQueue];
+  async getReconciliationQueue() {
+    return jobService.listJobs({ name: 'meeting.reconcile', status: 'queued', limit: 500 });
   }
 
   /**
    * Remove meeting from reconciliation queue
-   * @param {String} meetingId - Meeting ID
+   * @param {String} meetingUuid - Meeting UUID (the meeting ID if it was queued without one)
+   * @returns {Promise<boolean>} - Whether a queued job was cancelled
    */
-  removeFromReconciliationQueue(meetingId) {
-    const index = this.reconciliationQueue.findIndex(item => item.meetingId === meetingId);
-    if (index !== -1) {
-      this.reconciliationQueue.splice(index, 1);
-      console.log(`🗑️ Removed meeting ${meetingId} from reconciliation queue`);
+  async removeFromReconciliationQueue(meetingUuid) {
+    const removed = await jobService.cancelUnique('meeting.reconcile', String(meetingUuid));
+    if (removed) {
+      console.log(`🗑️ Removed meeting ${meetingUuid} from reconciliation queue`);
     }
+    return removed;
   }
 
   /**
@@ -521,7 +546,7 @@ class WebhookEventHandler {
         action: 'attendance_calculated',
         success: calculationResult.success,
         summary: calculationResult.summary,
-        attendanceThreshold: 85,
+        attendanceThreshold: calculationResult.summary?.threshold,
         timestamp: new Date().toISOString()
       };
 
@@ -550,28 +575,23 @@ class WebhookEventHandler {
 
   /**
    * Get processing statistics
-   * @returns {Object} - Processing stats
+   * @returns {Promise<Object>} - Processing stats
    */
-  getProcessingStats() {
+  async getProcessingStats() {
+    const queue = await this.getReconciliationQueue();
     return {
-      processedEventsCount: this.processedEvents.size,
-      reconciliationQueueLength: this.reconciliationQueue.length,
-      queuedMeetings: this.reconciliationQueue.map(item => ({
-        meetingId: item.meetingId,
-        queuedAt: item.queuedAt,
-        attempts: item.attempts
+      reconciliationQueueLength: queue.length,
+      queuedMeetings: queue.map(job => ({
+        meetingId: job.data.meetingId,
+        meetingUuid: job.data.meetingUuid || null,
+        jobId: job.id,
+        queuedAt: job.createdAt,
+        runAt: job.runAt,
+        attempts: job.attempts
       })),
       timestamp: new Date().toISOString()
     };
   }
-
-  /**
-   * Clear processed events cache (for memory management)
-   */
-  clearProcessedEventsCache() {
-    this.processedEvents.clear();
-    console.log('🧹 Cleared processed events cache');
-  }
 }
 
 module.exports = WebhookEventHandler;
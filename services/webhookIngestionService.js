@@ -0,0 +1,351 @@
+const WebhookEvent = require('../models/WebhookEvent');
+const ZoomAttendance = require('../models/ZoomAttendance');
+const WebhookValidator = require('./webhookValidator');
+
+/**
+ * Webhook Ingestion Service
+ * Single entry point for Zoom webhooks: verifies the signature, answers the
+ * URL validation challenge, persists every event to the WebhookEvent log and
+ * dispatches it once to each registered subscriber.
+ */
+class WebhookIngestionService {
+  constructor(io = null, validator = new WebhookValidator()) {
+    this.io = io;
+    this.validator = validator;
+    this.subscribers = []; // { name, handler }
+    this.stats = {
+      received: 0,
+      duplicates: 0,
+      rejected: 0,
+      processed: 0,
+      failed: 0,
+      replayed: 0
+    };
+  }
+
+  /**
+   * Register a subscriber
+   * @param {String} name - Subscriber name recorded on each delivery
+   * @param {Function} handler - async (event) => { success, message, error }
+   */
+  subscribe(name, handler) {
+    if (this.subscribers.find(subscriber => subscriber.name === name)) {
+      throw new Error(`Webhook subscriber '${name}' is already registered`);
+    }
+    this.subscribers.push({ name, handler });
+    console.log(`📬 Webhook subscriber registered: ${name}`);
+  }
+
+  /**
+   * Express handler shared by every webhook URL
+   * @returns {Function} - Express route handler
+   */
+  handleRequest() {
+    return async (req, res) => {
+      try {
+        console.log(`🔔 Webhook received on ${req.originalUrl}: ${req.body?.event || 'unknown event'}`);
+
+        // Handle URL validation challenge
+        if (this.validator.validateChallenge(req, res)) {
+          return; // Response already sent
+        }
+
+        const skipVerification = this.validator.isVerificationSkipped();
+        if (!skipVerification && !this.validator.verifyWebhookSignature(req)) {
+          this.stats.rejected++;
+          return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'Invalid webhook signature'
+          });
+        }
+
+        const event = this.validator.normalizeEventData(req.body);
+        if (!event) {
+          this.stats.rejected++;
+          return res.status(400).json({
+            error: 'Bad Request',
+            message: 'Invalid event data'
+          });
+        }
+
+        const { eventRecord, duplicate } = await this.persist(req.body, event, {
+          endpoint: req.originalUrl,
+          signatureVerified: !skipVerification
+        });
+
+        if (duplicate) {
+          return res.status(200).json({
+            message: 'Duplicate webhook ignored',
+            eventId: eventRecord._id,
+            eventType: event.eventType,
+            meetingId: event.meetingId,
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        // Acknowledge quickly; the event is durable so processing can continue after the response
+        res.status(200).json({
+          message: 'Webhook received',
+          eventId: eventRecord._id,
+          eventType: event.eventType,
+          meetingId: event.meetingId,
+          timestamp: new Date().toISOString()
+        });
+
+        this.dispatch(event, eventRecord).catch(error => {
+          console.error('❌ Error dispatching webhook event:', error);
+        });
+
+      } catch (error) {
+        console.error('❌ Error ingesting webhook:', error);
+        if (!res.headersSent) {
+          res.status(500).json({
+            error: 'Internal server error',
+            message: error.message,
+            timestamp: new Date().toISOString()
+          });
+        }
+      }
+    };
+  }
+
+  /**
+   * Persist a normalized event to the event log
+   * A redelivery of an already logged event only bumps its duplicate counter.
+   * @param {Object} body - Raw webhook body
+   * @param {Object} event - Normalized webhook event
+   * @param {Object} meta - { endpoint, signatureVerified }
+   * @returns {Object} - { eventRecord, duplicate }
+   */
+  async persist(body, event, meta = {}) {
+    const idempotencyKey = WebhookEvent.buildIdempotencyKey(body);
+
+    try {
+      const eventRecord = await WebhookEvent.create({
+        idempotencyKey,
+        eventType: event.eventType,
+        eventTime: event.timestamp,
+        meetingId: event.meetingId,
+        meetingUuid: event.meetingUuid,
+        participantUuid: event.participant?.participant_uuid || null,
+        payload: event.payload,
+        endpoint: meta.endpoint,
+        signatureVerified: !!meta.signatureVerified
+      });
+
+      this.stats.received++;
+      return { eventRecord, duplicate: false };
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      this.stats.duplicates++;
+      const eventRecord = await WebhookEvent.findOneAndUpdate(
+        { idempotencyKey },
+        { $inc: { duplicateCount: 1 } },
+        { new: true }
+      );
+      console.log(`⚠️ Duplicate webhook ${event.eventType} ignored (event ${eventRecord._id})`);
+      return { eventRecord, duplicate: true };
+    }
+  }
+
+  /**
+   * Deliver an event to every subscriber and record the outcome
+   * A failing subscriber does not stop delivery to the others.
+   * @param {Object} event - Normalized webhook event
+   * @param {Object} eventRecord - WebhookEvent document
+   * @param {Object} options - { replay, subscribers } subscriber names to limit delivery to
+   * @returns {Object} - { status, deliveries }
+   */
+  async dispatch(event, eventRecord, options = {}) {
+    const attempt = (eventRecord.attempts || 0) + 1;
+    const subscribers = options.subscribers
+      ? this.subscribers.filter(subscriber => options.subscribers.includes(subscriber.name))
+      : this.subscribers;
+    const deliveries = [];
+
+    // Lets subscribers link what they store back to the log entry
+    event.eventLogId = eventRecord._id;
+
+    for (const { name, handler } of subscribers) {
+      const startedAt = Date.now();
+      try {
+        const result = (await handler(event)) || { success: true };
+        deliveries.push({
+          attempt,
+          replay: !!options.replay,
+          subscriber: name,
+          success: result.success !== false,
+          message: result.message,
+          error: result.error,
+          durationMs: Date.now() - startedAt
+        });
+      } catch (error) {
+        console.error(`❌ Webhook subscriber ${name} failed:`, error);
+        deliveries.push({
+          attempt,
+          replay: !!options.replay,
+          subscriber: name,
+          success: false,
+          error: error.message,
+          durationMs: Date.now() - startedAt
+        });
+      }
+    }
+
+    const failed = deliveries.filter(delivery => !delivery.success);
+    let status = 'processed';
+    if (failed.length > 0) {
+      status = failed.length === deliveries.length ? 'failed' : 'partially_failed';
+    }
+
+    if (status === 'processed') {
+      this.stats.processed++;
+    } else {
+      this.stats.failed++;
+    }
+
+    eventRecord.deliveries.push(...deliveries);
+    eventRecord.attempts = attempt;
+    eventRecord.status = status;
+    eventRecord.lastError = failed.length > 0
+      ? failed.map(delivery => `${delivery.subscriber}: ${delivery.error || delivery.message || 'failed'}`).join('; ')
+      : undefined;
+    eventRecord.processedAt = new Date();
+    await eventRecord.save();
+
+    if (this.io && !options.replay) {
+      this.io.emit('zoomWebhook', {
+        event: event.eventType,
+        payload: event.payload,
+        status,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    return { status, deliveries };
+  }
+
+  /**
+   * Replay logged events through the subscribers in event-time order
+   * With rebuild, the occurrence's ZoomAttendance records are deleted first so
+   * they are recreated from the log (e.g. after a calculation bug fix). A
+   * recurring meeting ID covers several occurrences, so rebuilding one of
+   * those needs its meetingUuid.
+   * @param {Object} criteria - { meetingId, meetingUuid, from, to, status }
+   * @param {Object} options - { rebuild, subscribers }
+   * @returns {Object} - Replay summary
+   */
+  async replay(criteria = {}, options = {}) {
+    const { meetingId, meetingUuid, from, to, status } = criteria;
+
+    if (!meetingId && !meetingUuid && !from && !to && !status) {
+      throw new Error('Replay requires a meetingId, a meetingUuid, a time range or a status');
+    }
+
+    if (options.rebuild && !meetingId && !meetingUuid) {
+      throw new Error('Rebuild is only supported for a single meeting');
+    }
+
+    const query = {};
+    if (meetingId) query.meetingId = meetingId.toString();
+    if (meetingUuid) query.meetingUuid = meetingUuid;
+    if (status) query.status = Array.isArray(status) ? { $in: status } : status;
+    if (from || to) {
+      query.eventTime = {};
+      if (from) query.eventTime.$gte = new Date(from);
+      if (to) query.eventTime.$lte = new Date(to);
+    }
+
+    const events = await WebhookEvent.find(query).sort({ eventTime: 1, receivedAt: 1 });
+
+    let removedAttendance = 0;
+    if (options.rebuild) {
+      const attendanceQuery = meetingUuid ? { meetingUuid } : { meetingId: meetingId.toString() };
+
+      if (!meetingUuid) {
+        const occurrences = new Set([
+          ...await ZoomAttendance.distinct('meetingUuid', attendanceQuery),
+          ...events.map(eventRecord => eventRecord.meetingUuid)
+        ].filter(Boolean));
+        if (occurrences.size > 1) {
+          throw Object.assign(
+            new Error(`Meeting ${meetingId} has ${occurrences.size} occurrences; pass the meetingUuid of the one to rebuild`),
+            { statusCode: 409 }
+          );
+        }
+      }
+
+      const result = await ZoomAttendance.deleteMany(attendanceQuery);
+      removedAttendance = result.deletedCount;
+      console.log(`🧹 Removed ${removedAttendance} ZoomAttendance records for meeting ${meetingUuid || meetingId} before replay`);
+    }
+
+    const summary = {
+      matched: events.length,
+      processed: 0,
+      failed: 0,
+      removedAttendance,
+      failures: []
+    };
+
+    for (const eventRecord of events) {
+      const event = this.validator.normalizeEventData(eventRecord.toWebhookBody());
+      const { status: replayStatus } = await this.dispatch(event, eventRecord, {
+        replay: true,
+        subscribers: options.subscribers
+      });
+
+      this.stats.replayed++;
+      if (replayStatus === 'processed') {
+        summary.processed++;
+      } else {
+        summary.failed++;
+        summary.failures.push({ eventId: eventRecord._id, eventType: eventRecord.eventType, error: eventRecord.lastError });
+      }
+    }
+
+    console.log(`🔁 Replayed ${summary.matched} webhook events (${summary.processed} processed, ${summary.failed} failed)`);
+    return summary;
+  }
+
+  /**
+   * Dispatch events that were logged but never processed (e.g. the server
+   * stopped between persisting and dispatching)
+   * @param {Number} olderThanMs - Only pick up events received at least this long ago
+   * @returns {Object} - Replay summary
+   */
+  async resumePending(olderThanMs = 60000) {
+    const pending = await WebhookEvent.find({
+      status: 'received',
+      receivedAt: { $lte: new Date(Date.now() - olderThanMs) }
+    }).sort({ eventTime: 1 });
+
+    for (const eventRecord of pending) {
+      const event = this.validator.normalizeEventData(eventRecord.toWebhookBody());
+      await this.dispatch(event, eventRecord);
+    }
+
+    if (pending.length > 0) {
+      console.log(`🔁 Resumed ${pending.length} unprocessed webhook events`);
+    }
+
+    return { resumed: pending.length };
+  }
+
+  /**
+   * Get ingestion statistics
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      subscribers: this.subscribers.map(subscriber => subscriber.name),
+      signatureVerification: this.validator.isVerificationSkipped() ? 'skipped' : 'enforced'
+    };
+  }
+}
+
+module.exports = WebhookIngestionService;
@@ -41,7 +41,8 @@ class WebhookValidator {
     try {
       const signature = req.headers['x-zm-signature'];
       const timestamp = req.headers['x-zm-request-timestamp'];
-      const body = JSON.stringify(req.body);
+      // Zoom signs the raw request body; re-serialising is only a fallback
+      const body = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body);
       
       if (!signature || !timestamp) {
         console.error('❌ Missing required headers for webhook verification');
@@ -109,6 +110,39 @@ class WebhookValidator {
     return result === 0;
   }
 
+  /**
+   * Whether signature verification is switched off for local development
+   * @returns {Boolean}
+   */
+  isVerificationSkipped() {
+    return process.env.NODE_ENV !== 'production' && process.env.ZOOM_WEBHOOK_SKIP_VERIFICATION === 'true';
+  }
+
+  /**
+   * Normalize any webhook body into the event shape used by subscribers
+   * Unlike processEventData this does not filter by event type.
+   * @param {Object} eventData - Raw webhook event data
+   * @returns {Object} - Normalized event or null if the body is malformed
+   */
+  normalizeEventData(eventData) {
+    if (!eventData?.event || !eventData?.payload) {
+      return null;
+    }
+
+    const payload = eventData.payload;
+
+    return {
+      eventType: eventData.event,
+      timestamp: new Date(eventData.event_ts || Date.now()),
+      payload: payload,
+      meetingId: payload.object?.id?.toString(),
+      meetingUuid: payload.object?.uuid,
+      meetingTopic: payload.object?.topic,
+      participant: payload.object?.participant || null,
+      isValid: true
+    };
+  }
+
   /**
    * Extract and validate event data
    * @param {Object} eventData - Raw webhook event data
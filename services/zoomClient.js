@@ -0,0 +1,347 @@
+/**
+ * ZoomClient - the one way this backend talks to the Zoom REST API
+ *
+ * Owns the server-to-server OAuth token (cached, refreshed shortly before it
+ * expires, and fetched once even when many calls need it at the same time;
+ * the queue store shares it with the other instances) and sends every call
+ * through zoomRequestQueue under Zoom's rate limit category for that
+ * endpoint, so 429 Retry-After handling applies everywhere. Calls are queued
+ * as plain request descriptions that the queue hands back to send().
+ *
+ * Methods resolve with the response body and reject with the original axios
+ * error, so callers can still inspect error.response.status and .data.
+ */
+
+const axios = require('axios');
+const zoomRequestQueue = require('../utils/zoomRequestQueue');
+const { getQueueStore } = require('../utils/queueStore');
+const { zoomApiBaseUrl, zoomTokenUrl } = require('../config/zoom');
+
+// Refresh the token this long before Zoom says it expires
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 15000;
+// Queue store cache entry holding the token for every instance
+const TOKEN_CACHE_KEY = 'zoom:access-token';
+
+// Zoom's rate limit categories (https://developers.zoom.us/docs/api/rate-limits/)
+const CATEGORY = {
+  LIGHT: 'light',
+  MEDIUM: 'medium',
+  HEAVY: 'heavy',
+  RESOURCE_INTENSIVE: 'resource_intensive'
+};
+
+/**
+ * Encode a meeting ID or UUID for use in a path. Zoom requires UUIDs that
+ * start with "/" or contain "//" to be encoded twice.
+ */
+function encodeMeetingId(meetingId) {
+  const value = String(meetingId);
+  const encoded = encodeURIComponent(value);
+  return value.startsWith('/') || value.includes('//') ? encodeURIComponent(encoded) : encoded;
+}
+
+class ZoomClient {
+  constructor() {
+    this.token = null; // { accessToken, expiresAt }
+    this.pendingToken = null;
+    this.stats = {
+      tokenRequests: 0,
+      tokenRefreshesOn401: 0,
+      requests: 0,
+      errors: 0
+    };
+
+    zoomRequestQueue.setExecutor(request => this.send(request));
+  }
+
+  hasCredentials() {
+    return Boolean(process.env.ZOOM_ACCOUNT_ID && process.env.ZOOM_CLIENT_ID && process.env.ZOOM_CLIENT_SECRET);
+  }
+
+  /**
+   * Get a valid access token, requesting a new one when needed
+   * @param {Object} options - { forceRefresh }
+   * @returns {Promise<string>} - Bearer token
+   */
+  async getAccessToken({ forceRefresh = false } = {}) {
+    if (!forceRefresh && this.token && Date.now() < this.token.expiresAt - TOKEN_REFRESH_MARGIN_MS) {
+      return this.token.accessToken;
+    }
+
+    // Concurrent callers share one token request
+    if (!this.pendingToken) {
+      this.pendingToken = this.loadToken(forceRefresh).finally(() => {
+        this.pendingToken = null;
+      });
+    }
+    return this.pendingToken;
+  }
+
+  // Use a token another instance already obtained, or request one
+  async loadToken(forceRefresh) {
+    if (!forceRefresh) {
+      try {
+        const shared = await getQueueStore().getCached(TOKEN_CACHE_KEY);
+        if (shared && Date.now() < shared.expiresAt - TOKEN_REFRESH_MARGIN_MS) {
+          this.token = shared;
+          return shared.accessToken;
+        }
+      } catch (error) {
+        console.warn('⚠️ Could not read shared Zoom access token:', error.message);
+      }
+    }
+    return this.requestToken();
+  }
+
+  async requestToken() {
+    const { ZOOM_ACCOUNT_ID, ZOOM_CLIENT_ID, ZOOM_CLIENT_SECRET } = process.env;
+    if (!this.hasCredentials()) {
+      throw new Error('Missing Zoom credentials. Set ZOOM_ACCOUNT_ID, ZOOM_CLIENT_ID and ZOOM_CLIENT_SECRET.');
+    }
+
+    this.stats.tokenRequests++;
+    try {
+      const response = await axios.post(zoomTokenUrl(ZOOM_ACCOUNT_ID), null, {
+        headers: {
+          Authorization: `Basic ${Buffer.from(`${ZOOM_CLIENT_ID}:${ZOOM_CLIENT_SECRET}`).toString('base64')}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        timeout: REQUEST_TIMEOUT_MS
+      });
+
+      const { access_token: accessToken, expires_in: expiresIn = 3600 } = response.data;
+      this.token = { accessToken, expiresAt: Date.now() + expiresIn * 1000 };
+      console.log(`🔑 Zoom access token obtained, expires in ${Math.round(expiresIn / 60)} minutes`);
+      await this.shareToken(expiresIn);
+      return accessToken;
+    } catch (error) {
+      this.token = null;
+      const reason = error.response?.data?.reason || error.response?.data?.message || error.message;
+      const authError = new Error(`Zoom authentication failed: ${reason}`);
+      authError.response = error.response;
+      throw authError;
+    }
+  }
+
+  async shareToken(expiresIn) {
+    try {
+      await getQueueStore().setCached(TOKEN_CACHE_KEY, this.token, expiresIn);
+    } catch (error) {
+      console.warn('⚠️ Could not share Zoom access token:', error.message);
+    }
+  }
+
+  // Drop the cached token, on every instance, so the next call requests a fresh one
+  async invalidateToken() {
+    this.token = null;
+    await getQueueStore().deleteCached(TOKEN_CACHE_KEY);
+  }
+
+  /**
+   * Call the Zoom API
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the API base URL, e.g. /users/me
+   * @param {Object} options - { params, data, category, priority, cacheKey, cacheTTL, timeout }
+   * @returns {Promise<Object>} - Response body
+   */
+  async request(method, path, options = {}) {
+    const {
+      params,
+      data,
+      category = CATEGORY.LIGHT,
+      priority,
+      cacheKey = null,
+      cacheTTL,
+      timeout = REQUEST_TIMEOUT_MS
+    } = options;
+
+    this.stats.requests++;
+    try {
+      return await zoomRequestQueue.enqueue({ method, path, params, data, timeout }, {
+        category,
+        priority,
+        cacheKey,
+        cacheTTL
+      });
+    } catch (error) {
+      this.stats.errors++;
+      throw error;
+    }
+  }
+
+  /**
+   * Send a request described by request() to Zoom; zoomRequestQueue calls
+   * this once the request's turn has come
+   * @param {Object} request - { method, path, params, data, timeout }
+   * @returns {Promise<Object>} - Response body
+   */
+  async send(request) {
+    const call = async (forceRefresh) => {
+      const token = await this.getAccessToken({ forceRefresh });
+      const response = await axios({
+        method: request.method,
+        url: `${zoomApiBaseUrl()}${request.path}`,
+        params: request.params,
+        data: request.data,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: request.timeout || REQUEST_TIMEOUT_MS
+      });
+      return response.data;
+    };
+
+    try {
+      return await call(false);
+    } catch (error) {
+      // A token revoked or rotated on Zoom's side: retry once with a fresh one
+      if (error.response?.status !== 401) throw error;
+      this.stats.tokenRefreshesOn401++;
+      return call(true);
+    }
+  }
+
+  /**
+   * Collect every page of a list endpoint
+   * @param {string} path - List endpoint
+   * @param {string} key - Array property in each page, e.g. 'participants'
+   * @param {Object} options - request() options; params.page_size defaults to 300
+   * @returns {Promise<Array>} - Items from all pages
+   */
+  async paginate(path, key, options = {}) {
+    const items = [];
+    let nextPageToken = '';
+
+    do {
+      const page = await this.request('get', path, {
+        ...options,
+        params: { page_size: 300, ...options.params, ...(nextPageToken && { next_page_token: nextPageToken }) }
+      });
+      items.push(...(page[key] || []));
+      nextPageToken = page.next_page_token;
+    } while (nextPageToken);
+
+    return items;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Users
+  // ---------------------------------------------------------------------------
+
+  getUser(userId = 'me', options = {}) {
+    return this.request('get', `/users/${encodeURIComponent(userId)}`, { category: CATEGORY.LIGHT, ...options });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Meetings
+  // ---------------------------------------------------------------------------
+
+  /**
+   * List a user's meetings (one page, as Zoom returns it)
+   * @param {Object} params - e.g. { type: 'live' | 'scheduled' | 'upcoming', page_size }
+   */
+  listMeetings(params = {}, userId = 'me', options = {}) {
+    return this.request('get', `/users/${encodeURIComponent(userId)}/meetings`, {
+      category: CATEGORY.MEDIUM,
+      params,
+      ...options
+    });
+  }
+
+  createMeeting(meetingData, userId = 'me', options = {}) {
+    return this.request('post', `/users/${encodeURIComponent(userId)}/meetings`, {
+      category: CATEGORY.MEDIUM,
+      data: meetingData,
+      ...options
+    });
+  }
+
+  getMeeting(meetingId, options = {}) {
+    return this.request('get', `/meetings/${encodeMeetingId(meetingId)}`, { category: CATEGORY.LIGHT, ...options });
+  }
+
+  updateMeeting(meetingId, updates, options = {}) {
+    return this.request('patch', `/meetings/${encodeMeetingId(meetingId)}`, {
+      category: CATEGORY.LIGHT,
+      data: updates,
+      ...options
+    });
+  }
+
+  deleteMeeting(meetingId, options = {}) {
+    return this.request('delete', `/meetings/${encodeMeetingId(meetingId)}`, { category: CATEGORY.LIGHT, ...options });
+  }
+
+  // End a meeting that is in progress
+  endMeeting(meetingId, options = {}) {
+    return this.request('put', `/meetings/${encodeMeetingId(meetingId)}/status`, {
+      category: CATEGORY.LIGHT,
+      data: { action: 'end' },
+      ...options
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Participants
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Participants of a meeting in progress (Dashboard API), one page
+   * @param {Object} params - e.g. { page_size, include_fields, next_page_token }
+   */
+  getLiveParticipants(meetingId, params = {}, options = {}) {
+    return this.request('get', `/metrics/meetings/${encodeMeetingId(meetingId)}/participants`, {
+      category: CATEGORY.HEAVY,
+      params: { type: 'live', page_size: 300, ...params },
+      ...options
+    });
+  }
+
+  getPastMeeting(meetingUuid, options = {}) {
+    return this.request('get', `/past_meetings/${encodeMeetingId(meetingUuid)}`, { category: CATEGORY.LIGHT, ...options });
+  }
+
+  // Every participant of an ended meeting instance
+  getPastMeetingParticipants(meetingUuid, options = {}) {
+    return this.paginate(`/past_meetings/${encodeMeetingId(meetingUuid)}/participants`, 'participants', {
+      category: CATEGORY.MEDIUM,
+      ...options
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Reports
+  // ---------------------------------------------------------------------------
+
+  getMeetingReport(meetingId, options = {}) {
+    return this.request('get', `/report/meetings/${encodeMeetingId(meetingId)}`, { category: CATEGORY.HEAVY, ...options });
+  }
+
+  /**
+   * Participant report of an ended meeting, one page
+   * @param {Object} params - e.g. { page_size, next_page_token }
+   */
+  getMeetingReportParticipants(meetingId, params = {}, options = {}) {
+    return this.request('get', `/report/meetings/${encodeMeetingId(meetingId)}/participants`, {
+      category: CATEGORY.HEAVY,
+      params: { page_size: 300, ...params },
+      ...options
+    });
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      hasToken: Boolean(this.token),
+      tokenExpiresAt: this.token ? new Date(this.token.expiresAt).toISOString() : null
+    };
+  }
+}
+
+const zoomClient = new ZoomClient();
+zoomClient.CATEGORY = CATEGORY;
+zoomClient.encodeMeetingId = encodeMeetingId;
+
+module.exports = zoomClient;
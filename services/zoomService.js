@@ -1,69 +1,17 @@
-const axios = require('axios');
 const jwt = require('jsonwebtoken');
 const ZoomMeeting = require('../models/ZoomMeeting');
 const Attendance = require('../models/Attendance');
 const Student = require('../models/Student');
 const moment = require('moment');
-const zoomRequestQueue = require('../utils/zoomRequestQueue');
+const zoomClient = require('./zoomClient');
+const attendancePolicyService = require('./attendancePolicyService');
+const { evaluateAttendance, getScheduledWindow } = require('../utils/attendancePolicyEngine');
 
 class ZoomService {
   constructor() {
-    this.baseURL = 'https://api.zoom.us/v2';
-    this.tokenCache = new Map();
     this.rateLimiter = new Map();
   }
 
-  // Enhanced token management with caching
-  async getAccessToken() {
-    const now = Date.now();
-    const cached = this.tokenCache.get('access_token');
-    
-    if (cached && cached.expires > now + 300000) { // 5 minutes buffer
-      return cached.token;
-    }
-
-    try {
-      const response = await zoomRequestQueue.enqueue(
-        async () => {
-          return await axios.post(
-            `https://zoom.us/oauth/token?grant_type=account_credentials&account_id=${process.env.ZOOM_ACCOUNT_ID}`,
-            {},
-            {
-              headers: {
-                Authorization: `Basic ${Buffer.from(
-                  `${process.env.ZOOM_CLIENT_ID}:${process.env.ZOOM_CLIENT_SECRET}`
-                ).toString('base64')}`,
-                'Content-Type': 'application/x-www-form-urlencoded'
-              },
-              timeout: 15000
-            }
-          );
-        },
-        {
-          category: 'user',
-          priority: 2,
-          identifier: 'zoom-service-access-token',
-          cacheKey: 'zoom_service_access_token',
-          cacheTTL: 3300,
-          enableCache: true
-        }
-      );
-
-      const token = response.data.access_token;
-      const expiresIn = response.data.expires_in || 3600; // Default 1 hour
-      
-      this.tokenCache.set('access_token', {
-        token,
-        expires: now + (expiresIn * 1000)
-      });
-
-      return token;
-    } catch (error) {
-      console.error('🚨 Zoom token error:', error.response?.data || error.message);
-      throw new Error(`Zoom authentication failed: ${error.response?.data?.error || error.message}`);
-    }
-  }
-
   // Enhanced signature generation
   generateSignature(meetingNumber, role = 0) {
     const iat = Math.round(Date.now() / 1000) - 30;
@@ -97,8 +45,6 @@ class ZoomService {
 
   // Create meeting with enhanced options
   async createMeeting(meetingData) {
-    const token = await this.getAccessToken();
-    
     const defaultSettings = {
       topic: 'New Meeting',
       type: 1, // Instant meeting
@@ -134,29 +80,7 @@ class ZoomService {
     };
 
     try {
-      const response = await zoomRequestQueue.enqueue(
-        async () => {
-          return await axios.post(
-            `${this.baseURL}/users/me/meetings`,
-            finalMeetingData,
-            {
-              headers: {
-                Authorization: `Bearer ${token}`,
-                'Content-Type': 'application/json'
-              },
-              timeout: 30000
-            }
-          );
-        },
-        {
-          category: 'meeting',
-          priority: 3,
-          identifier: `zoom-service-create-meeting-${Date.now()}`,
-          retryCount: 3
-        }
-      );
-
-      const meeting = response.data;
+      const meeting = await zoomClient.createMeeting(finalMeetingData, 'me', { priority: 3, timeout: 30000 });
       
       // Store in database
       const zoomMeeting = new ZoomMeeting({
@@ -169,6 +93,13 @@ class ZoomService {
         startTime: meeting.start_time ? new Date(meeting.start_time) : null,
         duration: meeting.duration,
         timezone: meeting.timezone,
+        recurrence: meeting.recurrence,
+        occurrences: (meeting.occurrences || []).map(occurrence => ({
+          occurrenceId: occurrence.occurrence_id,
+          startTime: new Date(occurrence.start_time),
+          duration: occurrence.duration,
+          status: occurrence.status
+        })),
         password: meeting.password,
         joinUrl: meeting.join_url,
         startUrl: meeting.start_url,
@@ -203,32 +134,12 @@ class ZoomService {
 
   // Get meeting details
   async getMeetingDetails(meetingId) {
-    const token = await this.getAccessToken();
-    
     try {
-      const response = await zoomRequestQueue.enqueue(
-        async () => {
-          return await axios.get(
-            `${this.baseURL}/meetings/${meetingId}`,
-            {
-              headers: {
-                Authorization: `Bearer ${token}`
-              },
-              timeout: 15000
-            }
-          );
-        },
-        {
-          category: 'meeting',
-          priority: 2,
-          identifier: `zoom-service-get-meeting-${meetingId}`,
-          cacheKey: `zoom_service_meeting_${meetingId}`,
-          cacheTTL: 300,
-          enableCache: true
-        }
-      );
-      
-      return response.data;
+      return await zoomClient.getMeeting(meetingId, {
+        priority: 2,
+        cacheKey: `zoom_service_meeting_${meetingId}`,
+        cacheTTL: 300
+      });
     } catch (error) {
       console.error('🚨 Get meeting details error:', error.response?.data || error.message);
       throw new Error(`Failed to get meeting details: ${error.response?.data?.message || error.message}`);
@@ -237,35 +148,12 @@ class ZoomService {
 
   // Get meeting participants
   async getMeetingParticipants(meetingId) {
-    const token = await this.getAccessToken();
-    
     try {
-      const response = await zoomRequestQueue.enqueue(
-        async () => {
-          return await axios.get(
-            `${this.baseURL}/meetings/${meetingId}/participants`,
-            {
-              headers: {
-                Authorization: `Bearer ${token}`
-              },
-              params: {
-                page_size: 300
-              },
-              timeout: 15000
-            }
-          );
-        },
-        {
-          category: 'meeting',
-          priority: 2,
-          identifier: `zoom-service-get-participants-${meetingId}`,
-          cacheKey: `zoom_service_participants_${meetingId}`,
-          cacheTTL: 60,
-          enableCache: true
-        }
-      );
-      
-      return response.data;
+      return await zoomClient.getLiveParticipants(meetingId, {}, {
+        priority: 2,
+        cacheKey: `zoom_service_participants_${meetingId}`,
+        cacheTTL: 60
+      });
     } catch (error) {
       console.error('🚨 Get participants error:', error.response?.data || error.message);
       throw new Error(`Failed to get participants: ${error.response?.data?.message || error.message}`);
@@ -274,29 +162,17 @@ class ZoomService {
 
   // Update meeting
   async updateMeeting(meetingId, updateData) {
-    const token = await this.getAccessToken();
-    
     try {
-      const response = await axios.patch(
-        `${this.baseURL}/meetings/${meetingId}`,
-        updateData,
-        {
-          headers: {
-            Authorization: `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: 15000
-        }
-      );
+      const updated = await zoomClient.updateMeeting(meetingId, updateData);
       
       // Update database record
-      await ZoomMeeting.findOneAndUpdate(
-        { meetingId: meetingId.toString() },
+      await ZoomMeeting.updateOccurrence(
+        meetingId.toString(),
         { $set: updateData },
         { new: true }
       );
       
-      return response.data;
+      return updated;
     } catch (error) {
       console.error('🚨 Update meeting error:', error.response?.data || error.message);
       throw new Error(`Failed to update meeting: ${error.response?.data?.message || error.message}`);
@@ -305,22 +181,12 @@ class ZoomService {
 
   // Delete meeting
   async deleteMeeting(meetingId) {
-    const token = await this.getAccessToken();
-    
     try {
-      await axios.delete(
-        `${this.baseURL}/meetings/${meetingId}`,
-        {
-          headers: {
-            Authorization: `Bearer ${token}`
-          },
-          timeout: 15000
-        }
-      );
+      await zoomClient.deleteMeeting(meetingId);
       
       // Update database record
-      await ZoomMeeting.findOneAndUpdate(
-        { meetingId: meetingId.toString() },
+      await ZoomMeeting.updateOccurrence(
+        meetingId.toString(),
         { $set: { status: 'ended', actualEndTime: new Date() } },
         { new: true }
       );
@@ -335,7 +201,7 @@ class ZoomService {
   // Track participant join
   async trackParticipantJoin(meetingId, participantData) {
     try {
-      const meeting = await ZoomMeeting.findOne({ meetingId: meetingId.toString() });
+      const meeting = await ZoomMeeting.findOccurrence(meetingId.toString());
       if (!meeting) {
         throw new Error('Meeting not found');
       }
@@ -385,7 +251,7 @@ class ZoomService {
   // Track participant leave
   async trackParticipantLeave(meetingId, participantData) {
     try {
-      const meeting = await ZoomMeeting.findOne({ meetingId: meetingId.toString() });
+      const meeting = await ZoomMeeting.findOccurrence(meetingId.toString());
       if (!meeting) {
         throw new Error('Meeting not found');
       }
@@ -427,9 +293,15 @@ class ZoomService {
   // Generate attendance record
   async generateAttendanceRecord(meeting, participant, duration) {
     try {
-      const attendanceThreshold = parseInt(process.env.ATTENDANCE_THRESHOLD) || 75; // 75% minimum
-      const requiredDuration = (meeting.duration * 60 * attendanceThreshold) / 100; // in seconds
-      
+      const policy = await attendancePolicyService.resolveForMeeting(meeting);
+      const evaluation = evaluateAttendance(policy, {
+        attendedMinutes: duration / 60,
+        meetingDuration: meeting.duration,
+        joinTime: participant.joinTime,
+        leaveTime: participant.leaveTime,
+        ...getScheduledWindow(meeting)
+      });
+
       const attendanceRecord = new Attendance({
         StudentID: participant.studentId,
         FirstName: participant.studentFirstName,
@@ -442,10 +314,10 @@ class ZoomService {
         TimeIn: participant.joinTime,
         TimeOut: participant.leaveTime,
         Duration: Math.round(duration / 60), // minutes
-        AttendanceStatus: duration >= requiredDuration ? 'Present' : 'Partial',
+        AttendanceStatus: evaluation.status,
         MeetingID: meeting.meetingId,
         MeetingTopic: meeting.topic,
-        AttendancePercentage: Math.round((duration / (meeting.duration * 60)) * 100)
+        AttendancePercentage: evaluation.attendancePercentage
       });
 
       await attendanceRecord.save();
@@ -469,7 +341,7 @@ class ZoomService {
         return;
       }
 
-      const meeting = await ZoomMeeting.findOne({ meetingId });
+      const meeting = await ZoomMeeting.findOccurrence(meetingId);
       if (!meeting) {
         console.warn(`Meeting ${meetingId} not found in database`);
         return;
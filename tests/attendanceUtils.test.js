@@ -0,0 +1,210 @@
+const {
+  calculateSessionDuration,
+  calculateTotalSessionDuration,
+  calculateMeetingDurationFromInfo,
+  calculateSessionBasedAttendancePercentage,
+  determineSessionBasedAttendanceStatus,
+  calculateSessionBasedParticipantAttendance,
+  calculateMeetingAttendanceStats,
+  validateSessionData,
+} = require('../utils/attendanceUtils');
+const {
+  buildTestMeeting,
+  buildTestParticipants,
+  buildTestSessions,
+} = require('../utils/testDataGenerator');
+
+const MINUTE = 60 * 1000;
+const T0 = new Date('2026-03-02T09:00:00Z').getTime();
+const at = (minutes) => new Date(T0 + minutes * MINUTE);
+
+// One participant with a session per [joinMinute, leaveMinute] pair (null leave: still in the meeting)
+const participantWith = (...spans) => ({
+  participantName: 'Test Student',
+  sessions: spans.map(([join, leave]) => ({ joinTime: at(join), leaveTime: leave === null ? null : at(leave) })),
+});
+
+const scheduled = (duration) => ({ startTime: at(0), duration });
+
+describe('session durations', () => {
+  test('rounds a session to whole minutes', () => {
+    expect(calculateSessionDuration(at(0), new Date(T0 + 50.6 * MINUTE))).toBe(51);
+  });
+
+  test('treats invalid or reversed times as zero', () => {
+    expect(calculateSessionDuration('not a date', at(10))).toBe(0);
+    expect(calculateSessionDuration(at(10), at(0))).toBe(0);
+  });
+
+  test('sums every join/leave session', () => {
+    expect(calculateTotalSessionDuration([
+      { joinTime: at(0), leaveTime: at(20) },
+      { join_time: at(30), leave_time: at(45) },
+    ])).toBe(35);
+  });
+
+  test('prefers the explicit meeting duration', () => {
+    expect(calculateMeetingDurationFromInfo({ duration: 60, startTime: at(0), endTime: at(90) })).toBe(60);
+    expect(calculateMeetingDurationFromInfo({ startTime: at(0), endTime: at(90) })).toBe(90);
+    expect(calculateMeetingDurationFromInfo({})).toBe(0);
+  });
+});
+
+describe('attendance percentage', () => {
+  test('is capped at 100', () => {
+    expect(calculateSessionBasedAttendancePercentage(75, 60)).toBe(100);
+  });
+
+  test('counts an active participant without recorded time as fully present', () => {
+    expect(calculateSessionBasedAttendancePercentage(0, 60, true)).toBe(100);
+  });
+
+  test('is zero without attended time', () => {
+    expect(calculateSessionBasedAttendancePercentage(0, 60)).toBe(0);
+  });
+});
+
+describe('85% threshold', () => {
+  test('85% is Present and 84% is Absent', () => {
+    expect(determineSessionBasedAttendanceStatus(85, false, 51)).toBe('Present');
+    expect(determineSessionBasedAttendanceStatus(84, false, 50)).toBe('Absent');
+  });
+
+  test('51 of 60 minutes is Present', () => {
+    const result = calculateSessionBasedParticipantAttendance(participantWith([0, 51]), scheduled(60));
+
+    expect(result.attendancePercentage).toBe(85);
+    expect(result.attendanceStatus).toBe('Present');
+  });
+
+  test('50 of 60 minutes is Absent', () => {
+    const result = calculateSessionBasedParticipantAttendance(participantWith([0, 50]), scheduled(60));
+
+    expect(result.attendancePercentage).toBe(83);
+    expect(result.attendanceStatus).toBe('Absent');
+  });
+
+  test('a legacy threshold number replaces the default', () => {
+    const result = calculateSessionBasedParticipantAttendance(participantWith([0, 50]), scheduled(60), 75);
+
+    expect(result.attendanceStatus).toBe('Present');
+  });
+
+  test('an open session is In Progress whatever the percentage', () => {
+    const result = calculateSessionBasedParticipantAttendance(participantWith([55, null]), scheduled(60));
+
+    expect(result.isActive).toBe(true);
+    expect(result.attendanceStatus).toBe('In Progress');
+  });
+});
+
+describe('punctuality', () => {
+  test('joining after the late grace is Late', () => {
+    const result = calculateSessionBasedParticipantAttendance(participantWith([11, 100]), scheduled(100));
+
+    expect(result.minutesLate).toBe(11);
+    expect(result.attendanceStatus).toBe('Late');
+  });
+
+  test('joining within the late grace is Present', () => {
+    const result = calculateSessionBasedParticipantAttendance(participantWith([10, 100]), scheduled(100));
+
+    expect(result.attendanceStatus).toBe('Present');
+  });
+
+  test('leaving before the early-leave grace is Left Early', () => {
+    const result = calculateSessionBasedParticipantAttendance(participantWith([0, 88]), scheduled(100));
+
+    expect(result.minutesLeftEarly).toBe(12);
+    expect(result.attendanceStatus).toBe('Left Early');
+  });
+});
+
+describe('reconnects', () => {
+  const reconnected = participantWith([0, 10], [15, 30]);
+
+  test('sessions are summed across reconnects', () => {
+    const result = calculateSessionBasedParticipantAttendance(reconnected, scheduled(30));
+
+    expect(result.sessionCount).toBe(2);
+    expect(result.totalSessionDuration).toBe(25);
+    expect(result.attendanceStatus).toBe('Absent');
+  });
+
+  test('short gaps count when the policy says so', () => {
+    const policy = { name: 'Lenient reconnects', countReconnectGaps: true, maxReconnectGapMinutes: 5 };
+    const result = calculateSessionBasedParticipantAttendance(reconnected, scheduled(30), policy);
+
+    expect(result.totalSessionDuration).toBe(30);
+    expect(result.attendanceStatus).toBe('Present');
+  });
+
+  test('gaps longer than the policy allows never count', () => {
+    const policy = { name: 'Lenient reconnects', countReconnectGaps: true, maxReconnectGapMinutes: 4 };
+    const result = calculateSessionBasedParticipantAttendance(reconnected, scheduled(30), policy);
+
+    expect(result.totalSessionDuration).toBe(25);
+  });
+});
+
+describe('generated test data', () => {
+  const now = T0;
+  const meeting = buildTestMeeting(now);
+  const participants = buildTestParticipants(meeting.meetingId, now);
+  const ids = participants.map(participant => participant.participantId);
+  const sessions = buildTestSessions(ids, meeting.meetingId, now);
+
+  // Measured against the meeting as it actually ran
+  const meetingInfo = { startTime: meeting.actualStartTime, duration: meeting.actualDuration };
+  const results = participants.map(participant => calculateSessionBasedParticipantAttendance(
+    { ...participant, sessions: sessions.filter(session => session.participantId === participant.participantId) },
+    meetingInfo
+  ));
+  const byName = Object.fromEntries(results.map(result => [result.participantName, result]));
+
+  test('a single long session is Present', () => {
+    expect(byName['John Doe'].totalSessionDuration).toBe(70);
+    expect(byName['John Doe'].attendanceStatus).toBe('Present');
+  });
+
+  test('two sessions with a long gap fall below the threshold', () => {
+    expect(byName['Jane Smith'].sessionCount).toBe(2);
+    expect(byName['Jane Smith'].totalSessionDuration).toBe(50);
+    expect(byName['Jane Smith'].attendanceStatus).toBe('Absent');
+  });
+
+  test('a five minute visit is Absent', () => {
+    expect(byName['Bob Wilson'].attendanceStatus).toBe('Absent');
+  });
+
+  test('a participant still in the meeting is In Progress', () => {
+    expect(byName['Alice Johnson'].attendanceStatus).toBe('In Progress');
+  });
+
+  test('meeting statistics count each status', () => {
+    expect(calculateMeetingAttendanceStats(results)).toMatchObject({
+      total: 4,
+      present: 1,
+      absent: 2,
+      inProgress: 1,
+    });
+  });
+});
+
+describe('validateSessionData', () => {
+  test('accepts a complete session', () => {
+    expect(validateSessionData({ participantId: 'p1', meetingId: 'm1', joinTime: at(0), leaveTime: at(10) }))
+      .toEqual({ isValid: true, errors: [] });
+  });
+
+  test('reports missing fields and a leave before the join', () => {
+    const { isValid, errors } = validateSessionData({ joinTime: at(10), leaveTime: at(0) });
+
+    expect(isValid).toBe(false);
+    expect(errors).toEqual([
+      'participantId is required',
+      'meetingId is required',
+      'leaveTime must be after joinTime',
+    ]);
+  });
+});
@@ -0,0 +1,214 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const tokenService = require('../services/tokenService');
+const { auth, checkRole, requirePermission } = require('../middleware/auth');
+const { useTestDatabase } = require('./helpers/db');
+
+useTestDatabase();
+
+// Minimal Express request/response doubles
+function mockRequest({ token, cookieToken, user } = {}) {
+  const headers = token ? { authorization: `Bearer ${token}` } : {};
+  return {
+    originalUrl: '/api/test',
+    method: 'GET',
+    params: {},
+    cookies: cookieToken ? { authToken: cookieToken } : {},
+    header: (name) => headers[name.toLowerCase()],
+    user,
+  };
+}
+
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+// Run a middleware and report whether it called next()
+async function run(middleware, req) {
+  const res = mockResponse();
+  const next = jest.fn();
+  await middleware(req, res, next);
+  return { res, next, passed: next.mock.calls.length === 1 };
+}
+
+function createUser(fields = {}) {
+  return User.create({
+    username: 'instructor1',
+    email: 'instructor1@example.com',
+    password: 'secret-password',
+    role: 'instructor',
+    ...fields,
+  });
+}
+
+describe('auth', () => {
+  test('accepts a valid bearer token and attaches the user', async () => {
+    const user = await createUser();
+    const { token } = tokenService.signAccessToken(user, 'family-1');
+    const req = mockRequest({ token });
+
+    const { passed } = await run(auth, req);
+
+    expect(passed).toBe(true);
+    expect(req.user._id.toString()).toBe(user._id.toString());
+    expect(req.token).toBe(token);
+    expect(req.tokenPayload.sid).toBe('family-1');
+  });
+
+  test('reads the token from the auth cookie', async () => {
+    const user = await createUser();
+    const { token } = tokenService.signAccessToken(user, 'family-1');
+
+    const { passed } = await run(auth, mockRequest({ cookieToken: token }));
+
+    expect(passed).toBe(true);
+  });
+
+  test('rejects a request without a token', async () => {
+    const { res, passed } = await run(auth, mockRequest());
+
+    expect(passed).toBe(false);
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Authentication required' });
+  });
+
+  test('rejects a token signed with another secret', async () => {
+    const user = await createUser();
+    const token = jwt.sign({ userId: user._id, role: user.role }, 'not-the-secret');
+
+    const { res, passed } = await run(auth, mockRequest({ token }));
+
+    expect(passed).toBe(false);
+    expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Invalid token' });
+  });
+
+  test('rejects an expired token', async () => {
+    const user = await createUser();
+    const token = jwt.sign({ userId: user._id, role: user.role }, process.env.JWT_SECRET, { expiresIn: -10 });
+
+    const { res } = await run(auth, mockRequest({ token }));
+
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  test('rejects a revoked token', async () => {
+    const user = await createUser();
+    const { token } = tokenService.signAccessToken(user, 'family-1');
+    await tokenService.revokeAccessToken(jwt.decode(token));
+
+    const { res, passed } = await run(auth, mockRequest({ token }));
+
+    expect(passed).toBe(false);
+    expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Token has been revoked' });
+  });
+
+  test('logging out everywhere revokes a token issued in the same second', async () => {
+    // Only Date is faked, frozen mid-second so the token and the revocation share it
+    jest.useFakeTimers({
+      now: Math.floor(Date.now() / 1000) * 1000 + 500,
+      doNotFake: ['hrtime', 'nextTick', 'performance', 'queueMicrotask', 'setImmediate', 'clearImmediate',
+        'setInterval', 'clearInterval', 'setTimeout', 'clearTimeout'],
+    });
+    try {
+      const user = await createUser();
+      const { token } = tokenService.signAccessToken(user, 'family-1');
+      await tokenService.revokeAllForUser(user._id);
+
+      expect(tokenService.isRevokedCached(jwt.decode(token))).toBe(true);
+      expect(await tokenService.isRevoked(jwt.decode(token))).toBe(true);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('rejects a token whose role no longer matches the user', async () => {
+    const user = await createUser();
+    const { token } = tokenService.signAccessToken(user, 'family-1');
+    await User.updateOne({ _id: user._id }, { role: 'admin' });
+
+    const { res, passed } = await run(auth, mockRequest({ token }));
+
+    expect(passed).toBe(false);
+    expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Invalid token' });
+  });
+
+  test('rejects a token for a deleted user', async () => {
+    const user = await createUser();
+    const { token } = tokenService.signAccessToken(user, 'family-1');
+    await User.deleteOne({ _id: user._id });
+
+    const { res } = await run(auth, mockRequest({ token }));
+
+    expect(res.json).toHaveBeenCalledWith({ success: false, message: 'User not found' });
+  });
+});
+
+describe('checkRole', () => {
+  test('lets allowed roles through', async () => {
+    const { passed } = await run(checkRole(['admin']), mockRequest({ user: { role: 'admin' } }));
+
+    expect(passed).toBe(true);
+  });
+
+  test('forbids other roles', async () => {
+    const { res, passed } = await run(checkRole(['admin']), mockRequest({ user: { role: 'student' } }));
+
+    expect(passed).toBe(false);
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  test('needs an authenticated user', async () => {
+    const { res } = await run(checkRole(['admin']), mockRequest());
+
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
+
+describe('requirePermission', () => {
+  test('admins hold every permission', async () => {
+    const req = mockRequest({ user: { role: 'admin' } });
+    const { passed } = await run(requirePermission('policies:manage'), req);
+
+    expect(passed).toBe(true);
+    expect(req.permissionScope).toBe('all');
+  });
+
+  test('forbids a permission the role does not have', async () => {
+    const { res, passed } = await run(requirePermission('policies:manage'), mockRequest({ user: { role: 'student' } }));
+
+    expect(passed).toBe(false);
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  test.each(['faces:manage', 'venues:manage', 'system:manage'])('%s is admin-only', async (permission) => {
+    const { res, passed } = await run(requirePermission(permission), mockRequest({ user: { role: 'department_head' } }));
+
+    expect(passed).toBe(false);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect((await run(requirePermission(permission), mockRequest({ user: { role: 'admin' } }))).passed).toBe(true);
+  });
+
+  test('restricted scopes are checked against the target record', async () => {
+    const user = await createUser();
+    const otherInstructor = await createUser({ username: 'instructor2', email: 'instructor2@example.com' });
+    const ownCourse = await Course.create({ code: 'MATH101', title: 'Algebra', instructors: [user._id] });
+    const otherCourse = await Course.create({ code: 'PHYS101', title: 'Mechanics', instructors: [otherInstructor._id] });
+    const middleware = requirePermission('attendance:write', { course: req => req.params.courseId });
+
+    const own = mockRequest({ user });
+    own.params.courseId = ownCourse._id.toString();
+    const other = mockRequest({ user });
+    other.params.courseId = otherCourse._id.toString();
+
+    expect((await run(middleware, own)).passed).toBe(true);
+    expect(own.permissionScope).toBe('own-courses');
+
+    const { res, passed } = await run(middleware, other);
+    expect(passed).toBe(false);
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
@@ -0,0 +1,154 @@
+const ZoomMeeting = require('../models/ZoomMeeting');
+const ZoomAttendance = require('../models/ZoomAttendance');
+const AttendancePolicy = require('../models/AttendancePolicy');
+const EnhancedAttendanceCalculator = require('../services/enhancedAttendanceCalculator');
+const attendancePolicyService = require('../services/attendancePolicyService');
+const { useTestDatabase } = require('./helpers/db');
+
+useTestDatabase();
+
+const MINUTE = 60 * 1000;
+const T0 = new Date('2026-03-02T09:00:00Z').getTime();
+const at = (minutes) => new Date(T0 + minutes * MINUTE);
+
+const MEETING_ID = '81000000001';
+const MEETING_UUID = 'calc-test-uuid==';
+
+function seedMeeting(fields = {}) {
+  return ZoomMeeting.create({
+    meetingId: MEETING_ID,
+    meetingUuid: MEETING_UUID,
+    topic: 'Algebra 101',
+    hostId: 'host-1',
+    hostEmail: 'host@example.com',
+    type: 2,
+    status: 'started',
+    startTime: at(0),
+    duration: 60,
+    joinUrl: `https://zoom.us/j/${MEETING_ID}`,
+    startUrl: `https://zoom.us/s/${MEETING_ID}`,
+    ...fields,
+  });
+}
+
+let nextSession = 1;
+
+// One webhook session record per [joinMinute, leaveMinute] pair
+function seedSessions(name, email, ...spans) {
+  return ZoomAttendance.insertMany(spans.map(([join, leave]) => ({
+    meetingId: MEETING_ID,
+    meetingUuid: MEETING_UUID,
+    meetingTopic: 'Algebra 101',
+    participantUuid: `participant-${nextSession++}`,
+    participantName: name,
+    participantEmail: email,
+    joinTime: at(join),
+    leaveTime: at(leave),
+    duration: (leave - join) * 60,
+    connectionStatus: 'left',
+    source: 'webhook',
+  })));
+}
+
+const meetingEnded = (endMinute = 60) => ({
+  object: { id: MEETING_ID, uuid: MEETING_UUID, end_time: at(endMinute).toISOString() },
+});
+
+let calculator;
+
+beforeEach(() => {
+  calculator = new EnhancedAttendanceCalculator();
+  attendancePolicyService.clearCache();
+});
+
+const statusOf = async (email) => {
+  const records = await ZoomAttendance.find({ meetingUuid: MEETING_UUID, participantEmail: email }).lean();
+  return [...new Set(records.map(record => record.attendanceStatus))];
+};
+
+describe('processMeetingEnd', () => {
+  test('51 of 60 minutes is Present and 50 of 60 is Absent', async () => {
+    await seedMeeting();
+    await seedSessions('Ann Lee', 'ann@example.com', [0, 51]);
+    await seedSessions('Ben Ode', 'ben@example.com', [0, 50]);
+
+    const result = await calculator.processMeetingEnd(meetingEnded());
+
+    expect(result.success).toBe(true);
+    expect(result.summary).toMatchObject({
+      meetingDuration: 60,
+      totalParticipants: 2,
+      present: 1,
+      absent: 1,
+      attendanceRate: 50,
+      policy: 'Default',
+    });
+    expect(await statusOf('ann@example.com')).toEqual(['Present']);
+    expect(await statusOf('ben@example.com')).toEqual(['Absent']);
+  });
+
+  test('time is summed across reconnect sessions', async () => {
+    await seedMeeting();
+    await seedSessions('Ann Lee', 'ann@example.com', [0, 30], [32, 60]);
+
+    const { summary } = await calculator.processMeetingEnd(meetingEnded());
+    const [ann] = summary.results;
+
+    expect(ann.sessionCount).toBe(2);
+    expect(ann.totalAttendanceMinutes).toBe(58);
+    expect(ann.status).toBe('Present');
+    expect(await statusOf('ann@example.com')).toEqual(['Present']);
+  });
+
+  test('a late join over the grace period is Late', async () => {
+    await seedMeeting({ duration: 100 });
+    await seedSessions('Ann Lee', 'ann@example.com', [11, 100]);
+
+    const { summary } = await calculator.processMeetingEnd(meetingEnded(100));
+
+    expect(summary.late).toBe(1);
+    expect(summary.results[0].minutesLate).toBe(11);
+  });
+
+  test('duration runs from the recorded start to the meeting end', async () => {
+    await seedMeeting();
+    await seedSessions('Ann Lee', 'ann@example.com', [0, 51]);
+
+    const { summary } = await calculator.processMeetingEnd(meetingEnded(102));
+    const meeting = await ZoomMeeting.findOne({ meetingUuid: MEETING_UUID }).lean();
+
+    expect(summary.meetingDuration).toBe(102);
+    expect(summary.absent).toBe(1);
+    expect(meeting.status).toBe('ended');
+    expect(meeting.attendanceSummary).toMatchObject({ totalParticipants: 1, absent: 1 });
+  });
+
+  test('a department policy replaces the 85% default', async () => {
+    await AttendancePolicy.create({
+      name: 'Mathematics',
+      department: 'Mathematics',
+      thresholds: { present: 75, late: 75, partial: 50 },
+    });
+    await seedMeeting({ metadata: { department: 'Mathematics' } });
+    await seedSessions('Ben Ode', 'ben@example.com', [0, 50]);
+
+    const { summary } = await calculator.processMeetingEnd(meetingEnded());
+
+    expect(summary.policy).toBe('Mathematics');
+    expect(summary.present).toBe(1);
+  });
+
+  test('fails without a meeting UUID', async () => {
+    const result = await calculator.processMeetingEnd({ object: { id: MEETING_ID } });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Missing meeting UUID or ID in meeting end data');
+  });
+
+  test('fails for a meeting that was never recorded', async () => {
+    const result = await calculator.processMeetingEnd(meetingEnded());
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Meeting not found in database');
+  });
+});
@@ -0,0 +1,83 @@
+const express = require('express');
+const User = require('../models/User');
+const LivenessChallenge = require('../models/LivenessChallenge');
+const faceRoutes = require('../routes/FaceDescriptor');
+const faceDetectionService = require('../services/faceDetectionService');
+const livenessService = require('../services/livenessService');
+const tokenService = require('../services/tokenService');
+const { useTestDatabase } = require('./helpers/db');
+
+useTestDatabase();
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/face', faceRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/face`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+// Upload a burst of frames the way the check-in page does
+function postFrames(challengeId, token, count) {
+  const form = new FormData();
+  for (let i = 0; i < count; i++) {
+    form.append('frames', new Blob([Buffer.from(`frame-${i}`)], { type: 'image/jpeg' }), `frame-${i}.jpg`);
+  }
+  return fetch(`${baseUrl}/liveness/challenges/${challengeId}/verify`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}` },
+    body: form,
+  });
+}
+
+async function studentWithChallenge() {
+  const user = await User.create({
+    username: 'student1',
+    email: 'student1@example.com',
+    password: 'secret-password',
+    role: 'student',
+  });
+  const { token } = tokenService.signAccessToken(user, 'family-1');
+  const challenge = await livenessService.issueChallenge({ user, meetingId: '123456789' });
+  return { token, challenge };
+}
+
+describe('liveness frame upload', () => {
+  test('a burst of frames reaches the liveness check', async () => {
+    const analysed = [];
+    jest.spyOn(faceDetectionService, 'computeDescriptor').mockImplementation(async (buffer) => {
+      analysed.push(buffer.toString());
+      return { success: false, statusCode: 422, error: 'No face detected' };
+    });
+    const { token, challenge } = await studentWithChallenge();
+    const count = challenge.steps.length + 1;
+
+    const response = await postFrames(challenge.challengeId, token, count);
+    const body = await response.json();
+
+    // Past the upload and the frame count; stopped by the (mocked) face detection
+    expect(response.status).toBe(422);
+    expect(body.error).toBe('Frame 1: No face detected');
+    expect(analysed).toEqual(['frame-0']);
+    expect(await LivenessChallenge.findOne({ challengeId: challenge.challengeId }))
+      .toMatchObject({ frameCount: count, status: 'failed' });
+  });
+
+  test('more frames than allowed are refused before any analysis', async () => {
+    const computeDescriptor = jest.spyOn(faceDetectionService, 'computeDescriptor');
+    const { token, challenge } = await studentWithChallenge();
+
+    const response = await postFrames(challenge.challengeId, token, challenge.maxFrames + 1);
+
+    expect(response.status).toBe(400);
+    expect(computeDescriptor).not.toHaveBeenCalled();
+  });
+});
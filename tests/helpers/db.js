@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+/**
+ * In-memory MongoDB for tests that go through Mongoose models.
+ * Each test file gets its own server; collections are emptied after every test.
+ *
+ * Offline, mongodb-memory-server cannot download its mongod: point
+ * MONGOMS_SYSTEM_BINARY at an installed mongod, or set TEST_MONGODB_URI to a
+ * running server (each test file then uses a database of its own there).
+ */
+
+let server = null;
+
+async function startServer() {
+  try {
+    return await MongoMemoryServer.create();
+  } catch (error) {
+    throw new Error(`Could not start mongodb-memory-server (${error.message}). ` +
+      'Set MONGOMS_SYSTEM_BINARY to an installed mongod or TEST_MONGODB_URI to a running server.');
+  }
+}
+
+async function connect() {
+  if (process.env.TEST_MONGODB_URI) {
+    await mongoose.connect(process.env.TEST_MONGODB_URI, { dbName: `test_${process.pid}_${process.env.JEST_WORKER_ID || 0}` });
+  } else {
+    server = await startServer();
+    await mongoose.connect(server.getUri());
+  }
+  // Unique indexes (e.g. ZoomAttendance meetingUuid + participantUuid) must exist before the tests run
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+}
+
+async function clear() {
+  if (!mongoose.connection.db) return;
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+}
+
+async function disconnect() {
+  if (process.env.TEST_MONGODB_URI && mongoose.connection.db) {
+    await mongoose.connection.db.dropDatabase();
+  }
+  await mongoose.disconnect();
+  if (server) {
+    await server.stop();
+    server = null;
+  }
+}
+
+// Register connect/clear/disconnect hooks for the calling test file
+function useTestDatabase() {
+  beforeAll(connect);
+  afterEach(clear);
+  afterAll(disconnect);
+}
+
+module.exports = {
+  connect,
+  clear,
+  disconnect,
+  useTestDatabase,
+};
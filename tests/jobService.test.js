@@ -0,0 +1,164 @@
+const { MemoryQueueStore } = require('../utils/queueStore');
+const { JobService } = require('../services/jobService');
+
+let store;
+let services;
+
+// A job service as one instance of the backend would run it, sharing `store`
+function startInstance(instanceId, define) {
+  const service = new JobService({ store, instanceId, pollIntervalMs: 20 });
+  define(service);
+  service.start();
+  services.push(service);
+  return service;
+}
+
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) throw new Error('Timed out');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+const finished = (service, id) => async () => {
+  const job = await service.getJob(id);
+  return ['completed', 'failed', 'cancelled'].includes(job.status);
+};
+
+beforeEach(() => {
+  store = new MemoryQueueStore();
+  services = [];
+});
+
+afterEach(() => {
+  services.forEach(service => service.stop());
+});
+
+describe('running jobs', () => {
+  test('a failing job is retried with backoff and its attempts are kept', async () => {
+    let calls = 0;
+    const service = startInstance('a', (jobs) => {
+      jobs.define('meeting.reconcile', async ({ meetingId }) => {
+        calls++;
+        if (calls < 3) throw new Error('Report not ready');
+        return { meetingId };
+      }, { maxAttempts: 3, backoffMs: 10 });
+    });
+
+    const job = await service.enqueue('meeting.reconcile', { meetingId: '123' });
+    await waitFor(finished(service, job.id));
+
+    const result = await service.getJob(job.id);
+    expect(result).toMatchObject({ status: 'completed', attempts: 3, result: { meetingId: '123' } });
+    expect(result.history.map(entry => entry.status)).toEqual(['failed', 'failed', 'completed']);
+    expect(result.history[0].error).toBe('Report not ready');
+  });
+
+  test('a job that keeps failing stops after maxAttempts', async () => {
+    const service = startInstance('a', (jobs) => {
+      jobs.define('attendance.generate-report', async () => {
+        throw new Error('Zoom is down');
+      }, { maxAttempts: 2, backoffMs: 10 });
+    });
+
+    const job = await service.enqueue('attendance.generate-report', { meetingId: '123' });
+    await waitFor(finished(service, job.id));
+
+    expect(await service.getJob(job.id)).toMatchObject({
+      status: 'failed',
+      attempts: 2,
+      error: { message: 'Zoom is down' }
+    });
+  });
+
+  test('no more jobs of a type run at once than its concurrency', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const service = startInstance('a', (jobs) => {
+      jobs.define('attendance.generate-report', async () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => setTimeout(resolve, 30));
+        running--;
+      }, { concurrency: 2 });
+    });
+
+    for (let i = 0; i < 5; i++) {
+      await service.enqueue('attendance.generate-report', { meetingId: String(i) });
+    }
+    await waitFor(async () => (await store.countJobs('attendance.generate-report')).completed === 5);
+
+    expect(maxRunning).toBe(2);
+  });
+
+  test('a delayed job waits for its time, and a meeting is queued only once', async () => {
+    const ran = [];
+    const service = startInstance('a', (jobs) => {
+      jobs.define('meeting.reconcile', async ({ meetingId }) => {
+        ran.push(meetingId);
+      });
+    });
+
+    const first = await service.enqueue('meeting.reconcile', { meetingId: '123' }, { delayMs: 200, uniqueKey: '123' });
+    const again = await service.enqueue('meeting.reconcile', { meetingId: '123' }, { delayMs: 200, uniqueKey: '123' });
+    expect(again.id).toBe(first.id);
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(ran).toEqual([]);
+
+    await waitFor(finished(service, first.id));
+    expect(ran).toEqual(['123']);
+  });
+});
+
+describe('schedules', () => {
+  test('a shared schedule runs once per period across instances', async () => {
+    const ran = [];
+    const define = (instanceId) => (jobs) => {
+      jobs.define('sessions.cleanup-stuck', async () => {
+        ran.push(instanceId);
+      });
+      jobs.schedule('sessions.cleanup-stuck', 60 * 1000);
+    };
+    startInstance('a', define('a'));
+    startInstance('b', define('b'));
+
+    await waitFor(async () => (await store.countJobs('sessions.cleanup-stuck')).completed === 1);
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    expect(ran).toHaveLength(1);
+  });
+});
+
+describe('admin', () => {
+  test('queued jobs can be cancelled and failed jobs retried', async () => {
+    let fail = true;
+    const service = startInstance('a', (jobs) => {
+      jobs.define('meeting.reconcile', async () => {
+        if (fail) throw new Error('Meeting not found in database');
+        return { reconciled: true };
+      }, { maxAttempts: 1 });
+    });
+
+    const later = await service.enqueue('meeting.reconcile', { meetingId: '1' }, { delayMs: 60 * 1000 });
+    expect(await service.cancelJob(later.id)).toBe(true);
+    expect((await service.getJob(later.id)).status).toBe('cancelled');
+
+    const job = await service.enqueue('meeting.reconcile', { meetingId: '2' });
+    await waitFor(finished(service, job.id));
+    expect((await service.getJob(job.id)).status).toBe('failed');
+    expect(await service.cancelJob(job.id)).toBe(false);
+
+    fail = false;
+    await service.retryJob(job.id);
+    await waitFor(finished(service, job.id));
+
+    const retried = await service.getJob(job.id);
+    expect(retried).toMatchObject({ status: 'completed', result: { reconciled: true } });
+    expect(retried.history.map(entry => entry.status)).toEqual(['failed', 'completed']);
+
+    const cancelled = await service.listJobs({ name: 'meeting.reconcile', status: 'cancelled' });
+    expect(cancelled.map(entry => entry.id)).toEqual([later.id]);
+  });
+});
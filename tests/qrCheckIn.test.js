@@ -0,0 +1,259 @@
+const express = require('express');
+const Attendance = require('../models/Attendance');
+const QRSession = require('../models/QRSession');
+const Student = require('../models/Student');
+const User = require('../models/User');
+const Venue = require('../models/Venue');
+const ZoomMeeting = require('../models/ZoomMeeting');
+const { router: attendanceRoutes } = require('../routes/Attendance');
+const qrAttendanceRoutes = require('../routes/qrAttendance');
+const tokenService = require('../services/tokenService');
+const { createSignedQRPayload } = require('../utils/qrCodeValidator');
+const { useTestDatabase } = require('./helpers/db');
+
+useTestDatabase();
+
+const VENUE_CENTER = { latitude: -26.1929, longitude: 28.0305 };
+const INSIDE = { latitude: -26.1929, longitude: 28.0306, accuracy: 5 };
+const FAR_AWAY = { latitude: -26.2041, longitude: 28.0473, accuracy: 5 };
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/attendance', attendanceRoutes);
+  app.use('/api/qr-attendance', qrAttendanceRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+async function post(path, body, token) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` }),
+    },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// An open session at the venue and the code it currently displays
+async function openSession(fields = {}) {
+  const venue = await Venue.create({ name: 'Lecture Hall A', center: VENUE_CENTER, radiusMeters: 50 });
+  const session = await QRSession.create({
+    sessionId: 'session-1',
+    qrCodeId: 'code-1',
+    sessionTitle: 'Algebra 101',
+    validUntil: new Date(Date.now() + 60 * 60 * 1000),
+    venue: venue._id,
+    ...fields,
+  });
+  const { payload } = createSignedQRPayload(session);
+  return { session, qrCodeString: JSON.stringify(payload) };
+}
+
+// Student 1001 and an access token for the user linked to it
+async function signedInStudent() {
+  await Student.create({
+    StudentID: 1001,
+    FirstName: 'Ada',
+    LastName: 'Lovelace',
+    Email: 'ada@example.com',
+    PhoneNumber: '0110000000',
+    DateOfBirth: new Date('2004-01-01'),
+    Gender: 'Female',
+    Department: 'Mathematics',
+  });
+  const user = await User.create({
+    username: 'ada',
+    email: 'ada@example.com',
+    password: 'secret-password',
+    role: 'student',
+    studentId: 1001,
+  });
+  return tokenService.signAccessToken(user, 'family-1').token;
+}
+
+describe('POST /api/attendance/qr-location', () => {
+  test('a scan outside the venue is rejected without using up the code', async () => {
+    const token = await signedInStudent();
+    const { qrCodeString } = await openSession();
+
+    const outside = await post('/attendance/qr-location', {
+      qrCodeString,
+      studentId: 1001,
+      scannerLocation: { coordinates: FAR_AWAY, accuracy: FAR_AWAY.accuracy },
+    }, token);
+    expect(outside.status).toBe(403);
+    expect(outside.body.geofence).toMatchObject({ action: 'rejected' });
+    expect(await Attendance.countDocuments()).toBe(0);
+
+    const inside = await post('/attendance/qr-location', {
+      qrCodeString,
+      studentId: 1001,
+      scannerLocation: { coordinates: INSIDE, accuracy: INSIDE.accuracy },
+    }, token);
+    expect(inside.status).toBe(200);
+    const attendance = await Attendance.findById(inside.body.attendanceId);
+    expect(attendance.locationVerification.geofence).toMatchObject({ action: 'accepted', venueName: 'Lecture Hall A' });
+
+    const replay = await post('/attendance/qr-location', {
+      qrCodeString,
+      studentId: 1001,
+      scannerLocation: { coordinates: INSIDE, accuracy: INSIDE.accuracy },
+    }, token);
+    expect(replay.status).toBe(409);
+  });
+
+  test('concurrent scans of one code record attendance once', async () => {
+    const token = await signedInStudent();
+    const { qrCodeString } = await openSession();
+    const scan = () => post('/attendance/qr-location', {
+      qrCodeString,
+      scannerLocation: { coordinates: INSIDE, accuracy: INSIDE.accuracy },
+    }, token);
+
+    const results = await Promise.all([scan(), scan(), scan()]);
+
+    expect(results.map(result => result.status).sort()).toEqual([200, 409, 409]);
+    expect(await Attendance.countDocuments()).toBe(1);
+  });
+
+  test('codes of a closed session are refused', async () => {
+    const token = await signedInStudent();
+    const { qrCodeString } = await openSession({ isActive: false });
+
+    const result = await post('/attendance/qr-location', {
+      qrCodeString,
+      studentId: 1001,
+      scannerLocation: { coordinates: INSIDE, accuracy: INSIDE.accuracy },
+    }, token);
+
+    expect(result.status).toBe(410);
+    expect(await Attendance.countDocuments()).toBe(0);
+  });
+
+  test('a scan needs a signed-in student', async () => {
+    const { qrCodeString } = await openSession();
+
+    const result = await post('/attendance/qr-location', {
+      qrCodeString,
+      studentId: 1001,
+      scannerLocation: { coordinates: INSIDE, accuracy: INSIDE.accuracy },
+    });
+
+    expect(result.status).toBe(401);
+    expect(await Attendance.countDocuments()).toBe(0);
+  });
+
+  test('a student cannot record attendance for another student ID', async () => {
+    const token = await signedInStudent();
+    const { qrCodeString } = await openSession();
+
+    const result = await post('/attendance/qr-location', {
+      qrCodeString,
+      studentId: 2002,
+      scannerLocation: { coordinates: INSIDE, accuracy: INSIDE.accuracy },
+    }, token);
+
+    expect(result.status).toBe(403);
+    expect(await Attendance.countDocuments()).toBe(0);
+  });
+
+  test('the scan is recorded for the linked student when no ID is sent', async () => {
+    const token = await signedInStudent();
+    const { qrCodeString } = await openSession();
+
+    const result = await post('/attendance/qr-location', {
+      qrCodeString,
+      scannerLocation: { coordinates: INSIDE, accuracy: INSIDE.accuracy },
+    }, token);
+
+    expect(result.status).toBe(200);
+    expect(await Attendance.findById(result.body.attendanceId)).toMatchObject({ StudentID: 1001 });
+  });
+});
+
+describe('POST /api/qr-attendance/record', () => {
+  const MEETING_ID = '123456789';
+
+  // A signed-in student and a meeting verified by any two of QR, geofence and face match
+  async function studentAndMeeting() {
+    const token = await signedInStudent();
+    await ZoomMeeting.create({
+      meetingId: MEETING_ID,
+      meetingUuid: 'uuid-1',
+      topic: 'Algebra 101',
+      hostId: 'host-1',
+      hostEmail: 'host@example.com',
+      type: 2,
+      duration: 60,
+      joinUrl: `https://zoom.us/j/${MEETING_ID}`,
+      startUrl: `https://zoom.us/s/${MEETING_ID}`,
+      verificationPolicy: { factors: ['qr_scan', 'geofence', 'face_match'], minimumFactors: 2 },
+    });
+    return token;
+  }
+
+  function scan(qrCodeString, token, location = INSIDE) {
+    return post('/qr-attendance/record', {
+      qrData: qrCodeString,
+      name: 'Ada Lovelace',
+      email: 'ada@example.com',
+      location,
+    }, token);
+  }
+
+  test('a signed scan inside the venue satisfies two of three factors', async () => {
+    const token = await studentAndMeeting();
+    const { qrCodeString } = await openSession({ meetingId: MEETING_ID });
+
+    const result = await scan(qrCodeString, token);
+
+    expect(result.status).toBe(201);
+    expect(result.body.verification).toMatchObject({
+      verified: true,
+      required: 2,
+      satisfied: ['qr_scan', 'geofence'],
+      missing: ['face_match'],
+    });
+    const hybrid = await Attendance.findOne({ StudentID: 1001, attendanceType: 'hybrid' });
+    expect(hybrid).toMatchObject({ meetingId: MEETING_ID, verificationStatus: 'verified' });
+  });
+
+  test('a scan without a venue is one factor and stays pending', async () => {
+    const token = await studentAndMeeting();
+    const { qrCodeString } = await openSession({ meetingId: MEETING_ID, venue: undefined });
+
+    const result = await scan(qrCodeString, token, undefined);
+
+    expect(result.status).toBe(201);
+    expect(result.body.verification).toMatchObject({
+      verified: false,
+      satisfied: ['qr_scan'],
+      missing: ['geofence', 'face_match'],
+    });
+    const hybrid = await Attendance.findOne({ StudentID: 1001, attendanceType: 'hybrid' });
+    expect(hybrid.verificationStatus).toBe('pending');
+  });
+
+  test('guest scans are recorded without a hybrid record', async () => {
+    await studentAndMeeting();
+    const { qrCodeString } = await openSession({ meetingId: MEETING_ID });
+
+    const result = await scan(qrCodeString);
+
+    expect(result.status).toBe(201);
+    expect(result.body.verification).toBeUndefined();
+    expect(await Attendance.countDocuments()).toBe(0);
+  });
+});
@@ -0,0 +1,202 @@
+const {
+  getRotationWindow,
+  createSignedQRPayload,
+  validateQRCode,
+  parseAndValidateQR,
+  extractAttendanceMetadata,
+  buildTokenUse,
+} = require('../utils/qrCodeValidator');
+
+const NOW = new Date('2026-03-02T09:00:10Z').getTime();
+const ROTATION_SECONDS = 30;
+
+const session = {
+  sessionId: 'QR-SESSION-1',
+  qrCodeId: 'QR-CODE-1',
+  sessionTitle: 'Algebra 101',
+  validUntil: new Date(NOW + 60 * 60 * 1000),
+  rotationSeconds: ROTATION_SECONDS,
+  issuedBy: { userId: 'admin-1', username: 'admin' },
+};
+
+// A legacy (unsigned) code as the old generator produced it
+function legacyCode(overrides = {}) {
+  const timestamp = new Date(NOW).toISOString();
+  return {
+    id: 'LEGACY-1',
+    type: 'attendance_check',
+    timestamp,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+    checksum: Buffer.from(`LEGACY-1_${timestamp}`, 'utf8').toString('base64'),
+    user: { studentId: 1001, firstName: 'John', lastName: 'Doe', userId: 'admin-1', username: 'admin' },
+    ...overrides,
+  };
+}
+
+afterEach(() => {
+  delete process.env.QR_WINDOW_TOLERANCE;
+});
+
+describe('signed QR codes', () => {
+  test('a freshly signed code is valid', () => {
+    const { payload, refreshAt } = createSignedQRPayload(session, NOW);
+    const result = validateQRCode(payload, { now: NOW });
+
+    expect(result.isValid).toBe(true);
+    expect(result.extractedData).toMatchObject({
+      qrCodeId: 'QR-CODE-1',
+      sessionId: 'QR-SESSION-1',
+      window: getRotationWindow(NOW, ROTATION_SECONDS),
+      isSigned: true,
+    });
+    expect(new Date(refreshAt).getTime()).toBe((payload.window + 1) * ROTATION_SECONDS * 1000);
+  });
+
+  test('survives a round trip through the QR string', () => {
+    const { payload } = createSignedQRPayload(session, NOW);
+
+    expect(parseAndValidateQR(JSON.stringify(payload), { now: NOW }).isValid).toBe(true);
+  });
+
+  test.each([
+    ['sessionId', 'QR-SESSION-2'],
+    ['validUntil', new Date(NOW + 24 * 60 * 60 * 1000).toISOString()],
+    ['window', 1],
+  ])('rejects a code whose %s was changed', (field, value) => {
+    const { payload } = createSignedQRPayload(session, NOW);
+    const result = validateQRCode({ ...payload, [field]: value }, { now: NOW });
+
+    expect(result.isValid).toBe(false);
+    expect(result.message).toBe('Invalid QR code: signature verification failed');
+  });
+
+  test('rejects a code signed with another secret', () => {
+    const { payload } = createSignedQRPayload(session, NOW);
+    process.env.QR_SIGNING_SECRET = 'another-secret';
+    try {
+      expect(validateQRCode(payload, { now: NOW }).isValid).toBe(false);
+    } finally {
+      process.env.QR_SIGNING_SECRET = 'test-qr-signing-secret';
+    }
+  });
+
+  test('accepts the previous window and rejects older ones', () => {
+    const { payload } = createSignedQRPayload(session, NOW);
+    const rotation = ROTATION_SECONDS * 1000;
+
+    expect(validateQRCode(payload, { now: NOW + rotation }).isValid).toBe(true);
+
+    const rotated = validateQRCode(payload, { now: NOW + 2 * rotation });
+    expect(rotated.isValid).toBe(false);
+    expect(rotated.message).toBe('QR code has rotated, please scan the code currently displayed');
+  });
+
+  test('QR_WINDOW_TOLERANCE widens the accepted windows', () => {
+    process.env.QR_WINDOW_TOLERANCE = '2';
+    const { payload } = createSignedQRPayload(session, NOW);
+
+    expect(validateQRCode(payload, { now: NOW + 2 * ROTATION_SECONDS * 1000 }).isValid).toBe(true);
+  });
+
+  test('rejects a code from a future window', () => {
+    const { payload } = createSignedQRPayload(session, NOW + ROTATION_SECONDS * 1000);
+
+    expect(validateQRCode(payload, { now: NOW }).isValid).toBe(false);
+  });
+
+  test('rejects a code once the session has ended', () => {
+    const { payload } = createSignedQRPayload({ ...session, validUntil: new Date(NOW + 5000) }, NOW);
+    const result = validateQRCode(payload, { now: NOW + 10000 });
+
+    expect(result.isValid).toBe(false);
+    expect(result.message).toMatch(/^QR session has expired/);
+  });
+
+  test('a code never outlives its session', () => {
+    const { payload } = createSignedQRPayload({ ...session, validUntil: new Date(NOW + 5000) }, NOW);
+    const { extractedData } = validateQRCode(payload, { now: NOW });
+
+    expect(extractedData.expiresAt).toEqual(new Date(NOW + 5000));
+  });
+});
+
+describe('legacy QR codes', () => {
+  test('are refused unless allowed', () => {
+    const result = validateQRCode(legacyCode(), { allowLegacy: false });
+
+    expect(result.isValid).toBe(false);
+    expect(result.message).toBe('Invalid QR code: unsigned QR codes are no longer accepted');
+  });
+
+  test('are accepted with a matching checksum when allowed', () => {
+    const result = validateQRCode(legacyCode(), { allowLegacy: true });
+
+    expect(result.isValid).toBe(true);
+    expect(result.extractedData.isSigned).toBe(false);
+    expect(result.extractedData.studentInfo).toMatchObject({ studentId: 1001, fullName: 'John Doe' });
+  });
+
+  test('are rejected with a wrong checksum', () => {
+    const result = validateQRCode(legacyCode({ id: 'LEGACY-2' }), { allowLegacy: true });
+
+    expect(result.message).toBe('Invalid QR code: checksum verification failed');
+  });
+
+  test('need a student identity', () => {
+    const result = validateQRCode(legacyCode({ user: { firstName: 'John' } }), { allowLegacy: true });
+
+    expect(result.message).toBe('Invalid QR code: no student ID found in user identity');
+  });
+});
+
+describe('malformed input', () => {
+  test('reports unparseable JSON', () => {
+    const result = parseAndValidateQR('{not json');
+
+    expect(result.isValid).toBe(false);
+    expect(result.message).toMatch(/^Failed to parse QR code JSON/);
+  });
+
+  test('reports a non-object payload', () => {
+    expect(validateQRCode(null).message).toBe('Invalid QR code format: not a valid object');
+  });
+
+  test('reports the first missing signed field', () => {
+    const { payload } = createSignedQRPayload(session, NOW);
+    delete payload.qrCodeId;
+
+    expect(validateQRCode(payload, { now: NOW }).message).toBe("Invalid QR code: missing required field 'qrCodeId'");
+  });
+});
+
+describe('replay protection and metadata', () => {
+  test('signed codes are keyed by rotation window', () => {
+    const { payload } = createSignedQRPayload(session, NOW);
+    const validated = validateQRCode(payload, { now: NOW });
+
+    expect(buildTokenUse(validated, 1001)).toMatchObject({
+      qrCodeId: 'QR-CODE-1',
+      window: payload.window,
+      consumerKey: 1001,
+      sessionId: 'QR-SESSION-1',
+    });
+  });
+
+  test('legacy codes are keyed by generation time', () => {
+    const validated = validateQRCode(legacyCode(), { allowLegacy: true });
+
+    expect(buildTokenUse(validated, 1001).window).toBe(NOW);
+  });
+
+  test('metadata names the issuer and the student', () => {
+    const metadata = extractAttendanceMetadata(validateQRCode(legacyCode(), { allowLegacy: true }));
+
+    expect(metadata).toMatchObject({
+      qrCodeId: 'LEGACY-1',
+      generatedBy: 'admin',
+      studentId: 1001,
+      attendanceMethod: 'qr_scan',
+      isSigned: false,
+    });
+  });
+});
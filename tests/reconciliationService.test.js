@@ -0,0 +1,70 @@
+const ReconciliationService = require('../services/reconciliationService');
+const { DEFAULT_POLICY } = require('../utils/attendancePolicyEngine');
+
+const MINUTE = 60 * 1000;
+const T0 = new Date('2026-03-02T09:00:00Z').getTime();
+const at = (minutes) => new Date(T0 + minutes * MINUTE);
+
+const meeting = {
+  meetingId: '82000000001',
+  meetingUuid: 'reconcile-test-uuid==',
+  topic: 'Algebra 101',
+  startTime: at(0),
+  duration: 60,
+  actualDuration: 60
+};
+
+const seminarPolicy = {
+  name: 'Seminar',
+  thresholds: { present: 90, late: 60, partial: 40 }
+};
+
+// A webhook record the API participant matches by ID, saved in place
+function webhookRecord() {
+  return {
+    participantId: 'p-1',
+    isMatched: true,
+    save: jest.fn().mockResolvedValue(),
+    matchWithStudent: jest.fn().mockResolvedValue()
+  };
+}
+
+const apiParticipant = (join, leave) => ({
+  id: 'p-1',
+  user_name: 'Ann Lee',
+  email: 'ann@example.com',
+  join_time: at(join).toISOString(),
+  leave_time: at(leave).toISOString(),
+  duration: (leave - join) * 60
+});
+
+describe('reconcileParticipant', () => {
+  const reconciliationService = new ReconciliationService();
+
+  it('grades the API participant under the policy it is given', async () => {
+    const record = webhookRecord();
+
+    await reconciliationService.reconcileParticipant(meeting, apiParticipant(5, 53), [record], seminarPolicy);
+
+    expect(record.attendancePercentage).toBe(80);
+    expect(record.attendanceStatus).toBe('Partial');
+    expect(record.save).toHaveBeenCalled();
+  });
+
+  it('gives a different status for the same attendance under the default policy', async () => {
+    const record = webhookRecord();
+
+    await reconciliationService.reconcileParticipant(meeting, apiParticipant(5, 53), [record], DEFAULT_POLICY);
+
+    expect(record.attendanceStatus).toBe('Absent');
+  });
+
+  it('records lateness against the scheduled start', async () => {
+    const record = webhookRecord();
+
+    await reconciliationService.reconcileParticipant(meeting, apiParticipant(20, 60), [record], seminarPolicy);
+
+    expect(record.attendanceStatus).toBe('Late');
+    expect(record.minutesLate).toBe(20);
+  });
+});
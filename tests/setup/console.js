@@ -0,0 +1,14 @@
+/**
+ * The services log every step to the console; keep test output readable.
+ * console.error is left alone so unexpected failures still show up.
+ */
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'info').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
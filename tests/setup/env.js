@@ -0,0 +1,16 @@
+/**
+ * Environment for the test run: fixed secrets so signatures and tokens are
+ * reproducible, and nothing read from a developer's .env.
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.QR_SIGNING_SECRET = 'test-qr-signing-secret';
+process.env.ZOOM_WEBHOOK_SECRET_TOKEN = 'test-webhook-secret';
+process.env.ZOOM_ACCOUNT_ID = 'test-account';
+process.env.ZOOM_CLIENT_ID = 'test-client-id';
+process.env.ZOOM_CLIENT_SECRET = 'test-client-secret';
+// Queues, rate limit buckets and caches stay in the test process
+process.env.QUEUE_STORE = 'memory';
+delete process.env.MONGODB_URI;
+delete process.env.QR_ALLOW_LEGACY_CHECKSUM;
@@ -0,0 +1,91 @@
+const Participant = require('../models/Participant');
+const ZoomMeeting = require('../models/ZoomMeeting');
+const UnifiedAttendanceTracker = require('../services/unifiedAttendanceTracker');
+const webhookValidator = require('../services/webhookValidator');
+const { ZoomSimulator } = require('../utils/zoomSimulator');
+const { useTestDatabase } = require('./helpers/db');
+
+useTestDatabase();
+
+let simulator;
+let tracker;
+let meeting;
+
+// Hand every webhook emitted since the last call to the tracker, as the ingestion pipeline would
+let delivered = 0;
+async function deliverEvents() {
+  const results = [];
+  for (const body of simulator.events.slice(delivered)) {
+    results.push(await tracker.handleWebhookEvent(webhookValidator.normalizeEventData(body)));
+  }
+  delivered = simulator.events.length;
+  return results;
+}
+
+const ann = { name: 'Ann Lee', email: 'ann@example.com' };
+const ben = { name: 'Ben Ode', email: 'ben@example.com' };
+
+beforeEach(async () => {
+  delivered = 0;
+  simulator = new ZoomSimulator();
+  tracker = new UnifiedAttendanceTracker(null);
+
+  meeting = simulator.createMeeting({ topic: 'Algebra 101', duration: 60 });
+  await ZoomMeeting.create({
+    meetingId: String(meeting.id),
+    meetingUuid: meeting.uuid,
+    topic: meeting.topic,
+    hostId: meeting.host_id,
+    hostEmail: meeting.host_email,
+    type: meeting.type,
+    duration: meeting.duration,
+    joinUrl: meeting.join_url,
+    startUrl: meeting.start_url,
+  });
+});
+
+describe('webhook rejoins', () => {
+  test('a reconnect with a new participant_uuid reuses the first record', async () => {
+    await simulator.join(meeting.id, ann);
+    await simulator.reconnect(meeting.id, ann);
+    await deliverEvents();
+
+    const joins = simulator.events.filter(body => body.event === 'meeting.participant_joined');
+    const [first, second] = joins.map(body => body.payload.object.participant);
+    expect(second.participant_uuid).not.toBe(first.participant_uuid);
+    expect(second.participant_user_id).toBe(first.participant_user_id);
+
+    const records = await Participant.find({ meetingId: String(meeting.id) });
+    expect(records).toHaveLength(1);
+    expect(records[0]).toMatchObject({
+      participantId: first.participant_uuid,
+      isActive: true,
+      connectionStatus: 'reconnected',
+    });
+    expect(records[0].sessions).toHaveLength(1);
+
+    // The leave of the second connection closes the same record
+    await simulator.leave(meeting.id, ann);
+    const [left] = await deliverEvents();
+    expect(left).toMatchObject({ success: true });
+    expect(await Participant.findById(records[0]._id)).toMatchObject({ isActive: false, connectionStatus: 'left' });
+  });
+
+  test('different people get their own records', async () => {
+    await simulator.join(meeting.id, ann);
+    await simulator.join(meeting.id, ben);
+    await deliverEvents();
+
+    const records = await Participant.find({ meetingId: String(meeting.id) }).sort({ email: 1 });
+    expect(records.map(record => record.email)).toEqual(['ann@example.com', 'ben@example.com']);
+  });
+
+  test('a duplicate join delivery is ignored', async () => {
+    await simulator.join(meeting.id, ann);
+    simulator.events.push(simulator.events[simulator.events.length - 1]);
+    const results = await deliverEvents();
+
+    expect(results[results.length - 1]).toMatchObject({ success: true, message: 'Participant already active' });
+    expect(await Participant.countDocuments({ meetingId: String(meeting.id) })).toBe(1);
+  });
+});
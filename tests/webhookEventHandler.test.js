@@ -0,0 +1,163 @@
+const ZoomMeeting = require('../models/ZoomMeeting');
+const ZoomAttendance = require('../models/ZoomAttendance');
+const WebhookEventHandler = require('../services/webhookEventHandler');
+const webhookValidator = require('../services/webhookValidator');
+const attendancePolicyService = require('../services/attendancePolicyService');
+const { ZoomSimulator } = require('../utils/zoomSimulator');
+const { useTestDatabase } = require('./helpers/db');
+
+useTestDatabase();
+
+const MINUTE = 60 * 1000;
+const T0 = new Date('2026-03-02T09:00:00Z').getTime();
+
+let clock;
+let simulator;
+let handler;
+let meeting;
+
+// Advance the simulated clock to a minute of the meeting
+const minute = (value) => {
+  clock = T0 + value * MINUTE;
+};
+
+// Replay every webhook the simulator has emitted since the last call, as the ingestion pipeline would
+let delivered = 0;
+async function deliverEvents() {
+  const results = [];
+  for (const body of simulator.events.slice(delivered)) {
+    results.push(await handler.processWebhookEvent(webhookValidator.normalizeEventData(body)));
+  }
+  delivered = simulator.events.length;
+  return results;
+}
+
+const ann = { name: 'Ann Lee', email: 'ann@example.com' };
+const ben = { name: 'Ben Ode', email: 'ben@example.com' };
+
+beforeEach(async () => {
+  minute(0);
+  delivered = 0;
+  attendancePolicyService.clearCache();
+  simulator = new ZoomSimulator({ now: () => new Date(clock) });
+  handler = new WebhookEventHandler(null, null);
+
+  // The meeting as it was scheduled through the API
+  meeting = simulator.createMeeting({ topic: 'Algebra 101', duration: 60, start_time: new Date(T0).toISOString() });
+  await ZoomMeeting.create({
+    meetingId: String(meeting.id),
+    meetingUuid: meeting.uuid,
+    topic: meeting.topic,
+    hostId: meeting.host_id,
+    hostEmail: meeting.host_email,
+    type: meeting.type,
+    status: 'waiting',
+    startTime: new Date(T0),
+    duration: meeting.duration,
+    joinUrl: meeting.join_url,
+    startUrl: meeting.start_url,
+  });
+});
+
+async function statusOf(person) {
+  const records = await ZoomAttendance.find({ meetingUuid: meeting.uuid, participantEmail: person.email }).lean();
+  return [...new Set(records.map(record => record.attendanceStatus))];
+}
+
+describe('webhook flow', () => {
+  test('a join opens an In Progress record and starts the meeting', async () => {
+    await simulator.join(meeting.id, ann);
+    const results = await deliverEvents();
+
+    expect(results.map(result => result.action)).toEqual(['meeting_started', 'participant_joined']);
+    expect(results.every(result => result.success)).toBe(true);
+
+    const record = await ZoomAttendance.findOne({ meetingUuid: meeting.uuid }).lean();
+    expect(record).toMatchObject({
+      participantName: 'Ann Lee',
+      participantEmail: 'ann@example.com',
+      connectionStatus: 'joined',
+      attendanceStatus: 'In Progress',
+    });
+
+    const stored = await ZoomMeeting.findOne({ meetingUuid: meeting.uuid }).lean();
+    expect(stored.status).toBe('started');
+  });
+
+  test('a leave records the session duration', async () => {
+    await simulator.join(meeting.id, ann);
+    minute(20);
+    await simulator.leave(meeting.id, ann);
+    const results = await deliverEvents();
+
+    expect(results[2]).toMatchObject({ success: true, action: 'participant_left', duration: 20 * 60 });
+  });
+
+  test('meeting end applies the 85% threshold to everyone', async () => {
+    await simulator.join(meeting.id, ann);
+    await simulator.join(meeting.id, ben);
+    minute(50);
+    await simulator.leave(meeting.id, ben);
+    minute(60);
+    await simulator.endMeeting(meeting.id);
+    await deliverEvents();
+
+    expect(await statusOf(ann)).toEqual(['Present']);
+    expect(await statusOf(ben)).toEqual(['Absent']);
+
+    const stored = await ZoomMeeting.findOne({ meetingUuid: meeting.uuid }).lean();
+    expect(stored.status).toBe('ended');
+    expect(stored.attendanceSummary).toMatchObject({ totalParticipants: 2, present: 1, absent: 1 });
+  });
+
+  test('a reconnect adds a session instead of overwriting the first', async () => {
+    await simulator.join(meeting.id, ann);
+    minute(30);
+    await simulator.leave(meeting.id, ann, 'reconnect');
+    minute(32);
+    await simulator.join(meeting.id, ann);
+    minute(60);
+    await simulator.endMeeting(meeting.id);
+    await deliverEvents();
+
+    const sessions = await ZoomAttendance.find({ meetingUuid: meeting.uuid }).sort({ joinTime: 1 }).lean();
+    expect(sessions).toHaveLength(2);
+    expect(sessions.map(session => session.duration)).toEqual([30 * 60, 28 * 60]);
+    expect(sessions.every(session => session.attendanceStatus === 'Present')).toBe(true);
+  });
+
+  test('participants still in the meeting are closed at meeting end', async () => {
+    minute(5);
+    await simulator.join(meeting.id, ann);
+    minute(60);
+    await simulator.endMeeting(meeting.id);
+    // Drop the simulator's own leave events to mimic Zoom only sending meeting.ended
+    simulator.events = simulator.events.filter(body => body.event !== 'meeting.participant_left');
+    await deliverEvents();
+
+    const record = await ZoomAttendance.findOne({ meetingUuid: meeting.uuid }).lean();
+    expect(record.connectionStatus).toBe('left');
+    expect(record.leaveTime).toEqual(new Date(T0 + 60 * MINUTE));
+    expect(record.attendanceStatus).toBe('Present');
+  });
+
+  test('a leave without a join still creates the record', async () => {
+    await simulator.join(meeting.id, ann);
+    minute(55);
+    await simulator.leave(meeting.id, ann);
+    simulator.events = simulator.events.filter(body => body.event !== 'meeting.participant_joined');
+    const results = await deliverEvents();
+
+    expect(results.find(result => result.action === 'participant_left')).toMatchObject({ success: true });
+
+    const record = await ZoomAttendance.findOne({ meetingUuid: meeting.uuid }).lean();
+    expect(record).toMatchObject({ participantName: 'Ann Lee', connectionStatus: 'left' });
+    expect(record.leaveTime).toEqual(new Date(T0 + 55 * MINUTE));
+  });
+
+  test('unknown events are skipped', async () => {
+    const result = await handler.processWebhookEvent({ eventType: 'meeting.sharing_started', payload: { object: {} } });
+
+    expect(result).toMatchObject({ success: true, skipped: true });
+  });
+});
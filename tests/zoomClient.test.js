@@ -0,0 +1,141 @@
+const express = require('express');
+const zoomClient = require('../services/zoomClient');
+const { ZoomSimulator } = require('../utils/zoomSimulator');
+const { getQueueStore } = require('../utils/queueStore');
+
+let simulator;
+let simulatorUrls;
+
+const useApi = ({ apiBaseUrl, oauthUrl }) => {
+  process.env.ZOOM_API_BASE_URL = apiBaseUrl;
+  process.env.ZOOM_OAUTH_URL = oauthUrl;
+};
+
+beforeAll(async () => {
+  simulator = new ZoomSimulator();
+  simulatorUrls = await simulator.listen();
+  useApi(simulatorUrls);
+});
+
+afterAll(async () => {
+  await simulator.close();
+  delete process.env.ZOOM_API_BASE_URL;
+  delete process.env.ZOOM_OAUTH_URL;
+});
+
+beforeEach(async () => {
+  simulator.reset();
+  await zoomClient.invalidateToken();
+});
+
+describe('access token', () => {
+  test('concurrent calls share one token request', async () => {
+    const before = zoomClient.getStats().tokenRequests;
+
+    await Promise.all([zoomClient.getUser(), zoomClient.getUser(), zoomClient.listMeetings()]);
+
+    expect(zoomClient.getStats().tokenRequests - before).toBe(1);
+  });
+
+  test('a token revoked by Zoom is replaced and the call retried', async () => {
+    await zoomClient.getUser();
+    simulator.tokens.clear();
+
+    await expect(zoomClient.getUser()).resolves.toHaveProperty('id');
+  });
+
+  test('missing credentials fail with a clear error', async () => {
+    const clientId = process.env.ZOOM_CLIENT_ID;
+    delete process.env.ZOOM_CLIENT_ID;
+    try {
+      await expect(zoomClient.getAccessToken()).rejects.toThrow(/Missing Zoom credentials/);
+    } finally {
+      process.env.ZOOM_CLIENT_ID = clientId;
+    }
+  });
+});
+
+describe('meetings and participants', () => {
+  test('a meeting round trip', async () => {
+    const created = await zoomClient.createMeeting({ topic: 'Algebra 101', type: 2, duration: 60 });
+    await zoomClient.updateMeeting(created.id, { topic: 'Algebra 102' });
+
+    expect((await zoomClient.getMeeting(created.id)).topic).toBe('Algebra 102');
+
+    await zoomClient.deleteMeeting(created.id);
+    await expect(zoomClient.getMeeting(created.id)).rejects.toMatchObject({ response: { status: 404 } });
+  });
+
+  test('live and past participants', async () => {
+    const meeting = simulator.createMeeting({ topic: 'Algebra 101', duration: 60 });
+    await simulator.join(meeting.id, { name: 'Ann Lee', email: 'ann@example.com' });
+
+    const live = await zoomClient.getLiveParticipants(meeting.id);
+    expect(live.participants).toHaveLength(1);
+
+    const { uuid } = await zoomClient.getMeeting(meeting.id);
+    await zoomClient.endMeeting(meeting.id);
+
+    const past = await zoomClient.getPastMeetingParticipants(uuid);
+    expect(past.map(participant => participant.name)).toEqual(['Ann Lee']);
+  });
+
+  test('UUIDs with a slash are encoded twice', () => {
+    expect(zoomClient.encodeMeetingId('/abc==')).toBe('%252Fabc%253D%253D');
+    expect(zoomClient.encodeMeetingId('ab//c==')).toBe('ab%252F%252Fc%253D%253D');
+    expect(zoomClient.encodeMeetingId('ab/c==')).toBe('ab%2Fc%3D%3D');
+    expect(zoomClient.encodeMeetingId(81000000001)).toBe('81000000001');
+  });
+});
+
+describe('429 handling', () => {
+  let server;
+  let hits;
+
+  beforeAll(async () => {
+    const app = express();
+    app.post('/oauth/token', (req, res) => res.json({ access_token: 'token', expires_in: 3600 }));
+    app.get('/v2/users/me', (req, res) => {
+      hits++;
+      if (hits === 1) return res.set('Retry-After', '1').status(429).json({ code: 429 });
+      res.json({ id: 'me' });
+    });
+    // Daily limits answer with the time the quota resets
+    app.get('/v2/users/daily', (req, res) => {
+      res.set('Retry-After', new Date(Date.now() + 60 * 60 * 1000).toUTCString()).status(429).json({ code: 429 });
+    });
+
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const url = `http://127.0.0.1:${server.address().port}`;
+    useApi({ apiBaseUrl: `${url}/v2`, oauthUrl: `${url}/oauth/token` });
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    useApi(simulatorUrls);
+  });
+
+  beforeEach(() => {
+    hits = 0;
+  });
+
+  test('waits for Retry-After and holds back the category', async () => {
+    const start = Date.now();
+
+    await expect(zoomClient.getUser()).resolves.toEqual({ id: 'me' });
+
+    expect(hits).toBe(2);
+    expect(Date.now() - start).toBeGreaterThanOrEqual(900);
+    expect((await getQueueStore().getRateLimitBucket('zoom:light')).blockedUntil).toBeGreaterThan(start);
+  });
+
+  test('does not wait out a daily limit', async () => {
+    const start = Date.now();
+
+    await expect(zoomClient.getUser('daily')).rejects.toMatchObject({ response: { status: 429 } });
+
+    expect(Date.now() - start).toBeLessThan(5000);
+  });
+});
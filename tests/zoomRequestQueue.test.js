@@ -0,0 +1,124 @@
+const LeaderElection = require('../utils/leaderElection');
+const { MemoryQueueStore } = require('../utils/queueStore');
+const { ZoomRequestQueue } = require('../utils/zoomRequestQueue');
+
+let store;
+let queues;
+
+// A queue as one instance of the backend would run it, sharing `store`
+async function startInstance(instanceId, executor) {
+  const queue = new ZoomRequestQueue({ store, instanceId });
+  queue.setExecutor(executor);
+  queue.start();
+  await queue.election.renew();
+  queues.push(queue);
+  return queue;
+}
+
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) throw new Error('Timed out');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+beforeEach(() => {
+  store = new MemoryQueueStore();
+  queues = [];
+});
+
+afterEach(async () => {
+  await Promise.all(queues.map(queue => queue.stop()));
+});
+
+describe('leader election', () => {
+  test('one instance leads until it steps down', async () => {
+    const first = new LeaderElection('drain', { store, instanceId: 'a' });
+    const second = new LeaderElection('drain', { store, instanceId: 'b' });
+
+    expect(await first.start()).toBe(true);
+    expect(await second.start()).toBe(false);
+
+    await first.stop();
+    expect(await second.renew()).toBe(true);
+    expect((await second.getStatus()).leader).toBe('b');
+
+    await second.stop();
+  });
+});
+
+describe('rate limit buckets', () => {
+  test('slots are spaced by the interval and held back by a block', async () => {
+    const waits = [];
+    for (let i = 0; i < 3; i++) waits.push(await store.takeRateLimitSlot('zoom:heavy', 100));
+
+    expect(waits[0]).toBe(0);
+    expect(waits[1]).toBeGreaterThan(50);
+    expect(waits[2]).toBeGreaterThan(150);
+
+    await store.blockRateLimit('zoom:light', Date.now() + 1000);
+    expect(await store.takeRateLimitSlot('zoom:light', 34)).toBeGreaterThan(900);
+  });
+});
+
+describe('shared queue', () => {
+  test('only the leader calls Zoom; other instances get the result', async () => {
+    const leaderCalls = [];
+    const followerCalls = [];
+    await startInstance('a', async (request) => {
+      leaderCalls.push(request.path);
+      return { id: 'me' };
+    });
+    const follower = await startInstance('b', async (request) => {
+      followerCalls.push(request.path);
+      return { id: 'me' };
+    });
+
+    await expect(follower.enqueue({ method: 'get', path: '/users/me' }, { category: 'light' }))
+      .resolves.toEqual({ id: 'me' });
+
+    expect(leaderCalls).toEqual(['/users/me']);
+    expect(followerCalls).toEqual([]);
+  });
+
+  test('failures reach the caller with the Zoom status', async () => {
+    await startInstance('a', async () => {
+      const error = new Error('Request failed with status code 404');
+      error.response = { status: 404, data: { code: 3001, message: 'Meeting does not exist' } };
+      throw error;
+    });
+    const follower = await startInstance('b', async () => ({}));
+
+    await expect(follower.enqueue({ method: 'get', path: '/meetings/1' }, { category: 'light' }))
+      .rejects.toMatchObject({ response: { status: 404, data: { code: 3001 } } });
+  });
+
+  test('work queued before a restart is picked up, but an interrupted POST is not repeated', async () => {
+    const queued = await store.enqueueJob('zoom-api', {
+      request: { method: 'get', path: '/users/me' },
+      category: 'light',
+      identifier: 'GET /users/me'
+    });
+    const interrupted = await store.enqueueJob('zoom-api', {
+      request: { method: 'post', path: '/users/me/meetings', data: { topic: 'Algebra 101' } },
+      category: 'medium',
+      identifier: 'POST /users/me/meetings'
+    }, { priority: 1 });
+    // Claimed by an instance that died; its lock has already run out
+    await store.claimJob('zoom-api', 'gone', 0);
+
+    const calls = [];
+    await startInstance('a', async (request) => {
+      calls.push(`${request.method} ${request.path}`);
+      return { id: 'me' };
+    });
+
+    await waitFor(async () => (await store.countJobs('zoom-api')).running === 0 &&
+      (await store.countJobs('zoom-api')).queued === 0);
+
+    expect(calls).toEqual(['get /users/me']);
+    expect(await store.getJob(queued.id)).toMatchObject({ status: 'completed', result: { id: 'me' } });
+    expect(await store.getJob(interrupted.id)).toMatchObject({ status: 'failed' });
+  });
+});
@@ -0,0 +1,320 @@
+/**
+ * Attendance policy engine
+ * Single place where attended time is turned into an attendance status.
+ * Policies come from the AttendancePolicy collection; DEFAULT_POLICY applies
+ * when a meeting has no course/department policy.
+ */
+
+/**
+ * Whole minutes between two times; an open end means now
+ * Kept local so attendanceUtils can depend on this module.
+ */
+function minutesBetween(start, end = null) {
+  const startTime = new Date(start).getTime();
+  const endTime = end ? new Date(end).getTime() : Date.now();
+  if (isNaN(startTime) || isNaN(endTime)) return 0;
+  return Math.max(Math.round((endTime - startTime) / (1000 * 60)), 0);
+}
+
+// Numeric env setting, allowing an explicit 0
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? fallback : value;
+}
+
+// Organisation-wide fallback: 85% of the meeting counts as present
+const DEFAULT_POLICY = Object.freeze({
+  name: 'Default',
+  thresholds: Object.freeze({
+    present: envNumber('DEFAULT_ATTENDANCE_THRESHOLD', 85),
+    late: envNumber('DEFAULT_ATTENDANCE_THRESHOLD', 85),
+    partial: envNumber('DEFAULT_ATTENDANCE_THRESHOLD', 85),
+  }),
+  lateGraceMinutes: envNumber('DEFAULT_LATE_GRACE_MINUTES', 10),
+  earlyLeaveGraceMinutes: envNumber('DEFAULT_EARLY_LEAVE_GRACE_MINUTES', 10),
+  minimumMinutes: 0,
+  countReconnectGaps: false,
+  maxReconnectGapMinutes: 5,
+  countWaitingRoom: false,
+});
+
+/**
+ * Merge a stored policy (or a bare present threshold) over the defaults
+ * @param {Object|number|null} policy - Policy document, plain object or legacy threshold percentage
+ * @returns {Object} - Complete policy
+ */
+function normalizePolicy(policy) {
+  if (policy === null || policy === undefined) {
+    return DEFAULT_POLICY;
+  }
+
+  // Legacy callers pass a single "present" percentage
+  if (typeof policy === 'number') {
+    return {
+      ...DEFAULT_POLICY,
+      name: `${policy}% threshold`,
+      thresholds: { present: policy, late: policy, partial: policy },
+    };
+  }
+
+  const source = typeof policy.toObject === 'function' ? policy.toObject() : policy;
+  const thresholds = { ...DEFAULT_POLICY.thresholds, ...(source.thresholds || {}) };
+
+  return {
+    ...DEFAULT_POLICY,
+    ...source,
+    thresholds,
+  };
+}
+
+/**
+ * Return a copy of the policy with the present threshold overridden
+ * Lower bands are clamped so they never exceed the present threshold.
+ * @param {Object} policy - Policy
+ * @param {number} presentThreshold - Present percentage
+ * @returns {Object} - Policy with override applied
+ */
+function withPresentThreshold(policy, presentThreshold) {
+  const base = normalizePolicy(policy);
+  if (typeof presentThreshold !== 'number' || isNaN(presentThreshold)) {
+    return base;
+  }
+
+  return {
+    ...base,
+    thresholds: {
+      present: presentThreshold,
+      late: Math.min(base.thresholds.late, presentThreshold),
+      partial: Math.min(base.thresholds.partial, presentThreshold),
+    },
+  };
+}
+
+/**
+ * Sum attended minutes across sessions according to the policy
+ * @param {Array} sessions - [{ joinTime, leaveTime, inWaitingRoom }]
+ * @param {Object} policy - Policy
+ * @returns {Object} - { attendedMinutes, sessionMinutes, gapMinutes, waitingRoomMinutes }
+ */
+function calculateAttendedMinutes(sessions = [], policy) {
+  const rules = normalizePolicy(policy);
+  const ordered = (Array.isArray(sessions) ? sessions : [])
+    .map(session => ({
+      joinTime: session.joinTime || session.join_time,
+      leaveTime: session.leaveTime || session.leave_time || null,
+      inWaitingRoom: !!(session.inWaitingRoom || session.in_waiting_room || session.status === 'in_waiting_room'),
+    }))
+    .filter(session => session.joinTime)
+    .sort((a, b) => new Date(a.joinTime) - new Date(b.joinTime));
+
+  let sessionMinutes = 0;
+  let waitingRoomMinutes = 0;
+  let gapMinutes = 0;
+
+  ordered.forEach((session, index) => {
+    const minutes = minutesBetween(session.joinTime, session.leaveTime);
+    if (session.inWaitingRoom) {
+      waitingRoomMinutes += minutes;
+    } else {
+      sessionMinutes += minutes;
+    }
+
+    const previous = ordered[index - 1];
+    if (previous && previous.leaveTime) {
+      const gap = minutesBetween(previous.leaveTime, session.joinTime);
+      if (gap > 0 && gap <= rules.maxReconnectGapMinutes) {
+        gapMinutes += gap;
+      }
+    }
+  });
+
+  let attendedMinutes = sessionMinutes;
+  if (rules.countWaitingRoom) attendedMinutes += waitingRoomMinutes;
+  if (rules.countReconnectGaps) attendedMinutes += gapMinutes;
+
+  return { attendedMinutes, sessionMinutes, gapMinutes, waitingRoomMinutes };
+}
+
+/**
+ * Percentage of the meeting attended, capped at 100
+ * @param {number} attendedMinutes - Attended minutes
+ * @param {number} meetingDuration - Meeting duration in minutes
+ * @returns {number} - Percentage (0-100)
+ */
+function calculateAttendancePercentage(attendedMinutes, meetingDuration) {
+  if (!attendedMinutes || attendedMinutes <= 0) return 0;
+  if (!meetingDuration || meetingDuration <= 0) return 100;
+  return Math.max(Math.min(Math.round((attendedMinutes / meetingDuration) * 100), 100), 0);
+}
+
+/**
+ * Scheduled start/end of a meeting
+ * The scheduled end is the scheduled start plus the scheduled duration.
+ * @param {Object} meeting - ZoomMeeting document or plain object
+ * @returns {Object} - { scheduledStart, scheduledEnd } (null when unknown)
+ */
+function getScheduledWindow(meeting) {
+  const startValue = meeting?.startTime || meeting?.start_time;
+  const scheduledStart = startValue ? new Date(startValue) : null;
+  if (!scheduledStart || isNaN(scheduledStart.getTime())) {
+    return { scheduledStart: null, scheduledEnd: null };
+  }
+
+  const duration = meeting.duration;
+  const scheduledEnd = duration > 0
+    ? new Date(scheduledStart.getTime() + duration * 60 * 1000)
+    : null;
+
+  return { scheduledStart, scheduledEnd };
+}
+
+/**
+ * Minutes late against the scheduled start and minutes left early against the scheduled end
+ * @param {Object} times - { joinTime, leaveTime, scheduledStart, scheduledEnd }
+ * @returns {Object} - { minutesLate, minutesLeftEarly } (null when not measurable)
+ */
+function calculatePunctuality({ joinTime, leaveTime, scheduledStart, scheduledEnd } = {}) {
+  const minutesLate = scheduledStart && joinTime
+    ? Math.max(Math.round((new Date(joinTime) - new Date(scheduledStart)) / (1000 * 60)), 0)
+    : null;
+  const minutesLeftEarly = scheduledEnd && leaveTime
+    ? Math.max(Math.round((new Date(scheduledEnd) - new Date(leaveTime)) / (1000 * 60)), 0)
+    : null;
+
+  return {
+    minutesLate: Number.isNaN(minutesLate) ? null : minutesLate,
+    minutesLeftEarly: Number.isNaN(minutesLeftEarly) ? null : minutesLeftEarly,
+  };
+}
+
+// A grace of null/undefined disables that check
+function exceedsGrace(minutes, graceMinutes) {
+  return graceMinutes !== null &&
+    graceMinutes !== undefined &&
+    minutes !== null &&
+    minutes > graceMinutes;
+}
+
+/**
+ * Evaluate one participant against a policy
+ * Pass either sessions or a pre-computed attendedMinutes; a pre-computed
+ * attendancePercentage takes precedence over meetingDuration. First join is
+ * compared with scheduledStart and last leave with scheduledEnd.
+ * @param {Object|number|null} policy - Policy, legacy threshold or null for the default
+ * @param {Object} input - { sessions, attendedMinutes, attendancePercentage, meetingDuration, scheduledStart, scheduledEnd, joinTime, leaveTime, isActive }
+ * @returns {Object} - { status, attendancePercentage, attendedMinutes, minutesLate, minutesLeftEarly, lateJoin, leftEarly, meetsThreshold, policyName }
+ */
+function evaluateAttendance(policy, input = {}) {
+  const rules = normalizePolicy(policy);
+  const { meetingDuration = 0, scheduledStart = null, scheduledEnd = null, isActive = false } = input;
+
+  let attendedMinutes = input.attendedMinutes;
+  let joinTime = input.joinTime || null;
+  let leaveTime = input.leaveTime || null;
+  if (Array.isArray(input.sessions) && input.sessions.length > 0) {
+    attendedMinutes = calculateAttendedMinutes(input.sessions, rules).attendedMinutes;
+
+    const joins = input.sessions
+      .map(session => session.joinTime || session.join_time)
+      .filter(Boolean)
+      .sort((a, b) => new Date(a) - new Date(b));
+    const leaves = input.sessions.map(session => session.leaveTime || session.leave_time || null);
+
+    if (!joinTime) joinTime = joins[0] || null;
+    // An open session means the participant has not left yet
+    if (!leaveTime && leaves.length > 0 && leaves.every(Boolean)) {
+      leaveTime = leaves.sort((a, b) => new Date(b) - new Date(a))[0];
+    }
+  }
+  attendedMinutes = Math.max(attendedMinutes || 0, 0);
+
+  const attendancePercentage = typeof input.attendancePercentage === 'number'
+    ? input.attendancePercentage
+    : calculateAttendancePercentage(attendedMinutes, meetingDuration);
+
+  const { minutesLate, minutesLeftEarly } = calculatePunctuality({
+    joinTime,
+    leaveTime: isActive ? null : leaveTime,
+    scheduledStart,
+    scheduledEnd,
+  });
+  const lateJoin = exceedsGrace(minutesLate, rules.lateGraceMinutes);
+  const leftEarly = exceedsGrace(minutesLeftEarly, rules.earlyLeaveGraceMinutes);
+
+  // Late/Left Early describe punctuality; the "late" threshold is the share of
+  // the meeting a late arrival or early leaver still needs to avoid Partial
+  let status;
+  if (isActive) {
+    status = 'In Progress';
+  } else if (attendedMinutes <= 0 || attendedMinutes < (rules.minimumMinutes || 0)) {
+    status = 'Absent';
+  } else if (attendancePercentage >= rules.thresholds.present && !lateJoin && !leftEarly) {
+    status = 'Present';
+  } else if (attendancePercentage >= rules.thresholds.late && lateJoin) {
+    status = 'Late';
+  } else if (attendancePercentage >= rules.thresholds.late && leftEarly) {
+    status = 'Left Early';
+  } else if (attendancePercentage >= rules.thresholds.partial) {
+    status = 'Partial';
+  } else {
+    status = 'Absent';
+  }
+
+  return {
+    status,
+    attendancePercentage,
+    attendedMinutes,
+    minutesLate,
+    minutesLeftEarly,
+    lateJoin,
+    leftEarly,
+    meetsThreshold: attendancePercentage >= rules.thresholds.present,
+    policyName: rules.name,
+  };
+}
+
+/**
+ * Shorthand returning only the status
+ * @param {Object|number|null} policy - Policy
+ * @param {Object} input - See evaluateAttendance
+ * @returns {string} - Attendance status
+ */
+function determineAttendanceStatus(policy, input = {}) {
+  return evaluateAttendance(policy, input).status;
+}
+
+/**
+ * Does a status count towards the attendance rate
+ * @param {string} status - Attendance status
+ * @returns {boolean}
+ */
+function isAttendedStatus(status) {
+  return status === 'Present' || status === 'Late' || status === 'Left Early';
+}
+
+// Best status first; used when one session has several records
+const STATUS_PRIORITY = ['Present', 'Late', 'Left Early', 'Partial', 'In Progress', 'Absent'];
+
+/**
+ * Position of a status in STATUS_PRIORITY (unknown statuses sort last)
+ * @param {string} status - Attendance status
+ * @returns {number} - Lower is better
+ */
+function statusPriority(status) {
+  const index = STATUS_PRIORITY.indexOf(status);
+  return index === -1 ? STATUS_PRIORITY.length : index;
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  normalizePolicy,
+  withPresentThreshold,
+  getScheduledWindow,
+  calculatePunctuality,
+  calculateAttendedMinutes,
+  calculateAttendancePercentage,
+  evaluateAttendance,
+  determineAttendanceStatus,
+  isAttendedStatus,
+  statusPriority,
+};
@@ -3,6 +3,8 @@
  * Mirrors frontend utilities for consistent calculations
  */
 
+const { evaluateAttendance, calculateAttendedMinutes, getScheduledWindow } = require('./attendancePolicyEngine');
+
 /**
  * Calculate session duration from join and leave times
  * @param {string|Date} joinTime - Session start time
@@ -122,40 +124,29 @@ const calculateSessionBasedAttendancePercentage = (totalSessionDuration, meeting
 };
 
 /**
- * Determine attendance status based on session-based percentage and threshold
+ * Determine attendance status based on session-based percentage and the attendance policy
  * @param {number} attendancePercentage - Session-based attendance percentage (0-100)
  * @param {boolean} hasActiveSessions - Whether participant has any active sessions
  * @param {number} totalDuration - Total session duration in minutes
- * @param {number} threshold - Attendance threshold percentage (default 85%)
- * @returns {string} Status: 'Present', 'In Progress', 'Absent'
+ * @param {Object|number|null} policy - Attendance policy, legacy threshold percentage, or null for the default policy
+ * @returns {string} Status: 'Present', 'Late', 'Partial', 'In Progress', 'Absent'
  */
-const determineSessionBasedAttendanceStatus = (attendancePercentage, hasActiveSessions = false, totalDuration = 0, threshold = 85) => {
-  // If currently active (in meeting)
-  if (hasActiveSessions) {
-    return 'In Progress';
-  }
-  
-  // If no duration recorded, consider absent
-  if (!totalDuration || totalDuration <= 0) {
-    return 'Absent';
-  }
-  
-  // Apply threshold-based determination
-  if (attendancePercentage >= threshold) {
-    return 'Present';
-  } else {
-    return 'Absent';
-  }
+const determineSessionBasedAttendanceStatus = (attendancePercentage, hasActiveSessions = false, totalDuration = 0, policy = null) => {
+  return evaluateAttendance(policy, {
+    attendedMinutes: totalDuration,
+    attendancePercentage,
+    isActive: hasActiveSessions
+  }).status;
 };
 
 /**
  * Process participant sessions and calculate comprehensive attendance data
  * @param {Object} participant - Participant data with sessions
  * @param {Object} meetingInfo - Meeting information
- * @param {number} attendanceThreshold - Attendance threshold percentage (default 85%)
+ * @param {Object|number|null} policy - Attendance policy, legacy threshold percentage, or null for the default policy
  * @returns {Object} Enhanced participant data with session-based calculations
  */
-const calculateSessionBasedParticipantAttendance = (participant, meetingInfo = {}, attendanceThreshold = 85) => {
+const calculateSessionBasedParticipantAttendance = (participant, meetingInfo = {}, policy = null) => {
   try {
     // Extract sessions from participant data
     let sessions = [];
@@ -172,8 +163,8 @@ const calculateSessionBasedParticipantAttendance = (participant, meetingInfo = {
       }];
     }
     
-    // Calculate total session duration
-    const totalSessionDuration = calculateTotalSessionDuration(sessions);
+    // Calculate total session duration (waiting room and reconnect gaps per policy)
+    const totalSessionDuration = calculateAttendedMinutes(sessions, policy).attendedMinutes;
     
     // Calculate meeting duration
     const meetingDuration = calculateMeetingDurationFromInfo(meetingInfo);
@@ -191,12 +182,14 @@ const calculateSessionBasedParticipantAttendance = (participant, meetingInfo = {
     );
     
     // Determine attendance status
-    const attendanceStatus = determineSessionBasedAttendanceStatus(
-      attendancePercentage, 
-      hasActiveSessions, 
-      totalSessionDuration,
-      attendanceThreshold
-    );
+    const evaluation = evaluateAttendance(policy, {
+      sessions,
+      attendedMinutes: totalSessionDuration,
+      attendancePercentage,
+      ...getScheduledWindow(meetingInfo),
+      isActive: hasActiveSessions
+    });
+    const attendanceStatus = evaluation.status;
     
     return {
       ...participant,
@@ -205,6 +198,8 @@ const calculateSessionBasedParticipantAttendance = (participant, meetingInfo = {
       duration: totalSessionDuration, // Backward compatibility
       attendancePercentage,
       attendanceStatus,
+      minutesLate: evaluation.minutesLate,
+      minutesLeftEarly: evaluation.minutesLeftEarly,
       isActive: hasActiveSessions,
       meetingDuration,
       sessionCount: sessions.length
@@ -0,0 +1,104 @@
+/**
+ * LeaderElection - picks one instance of the backend to do work that must
+ * only happen once, such as draining a shared queue
+ *
+ * Every instance tries to take the same named lease in the queue store and
+ * renews it at a third of its lifetime. The holder is the leader; when it
+ * stops or dies, the lease lapses and another instance takes over.
+ * Emits 'elected' and 'revoked' as this instance gains or loses leadership.
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const EventEmitter = require('events');
+const { getQueueStore } = require('./queueStore');
+
+const DEFAULT_LEASE_TTL_MS = 30000;
+
+// Identifies this process in leases and job locks
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+class LeaderElection extends EventEmitter {
+  /**
+   * @param {string} name - Lease name, the same on every instance
+   * @param {Object} options - { ttlMs, store, instanceId }
+   */
+  constructor(name, options = {}) {
+    super();
+    this.name = name;
+    this.ttlMs = options.ttlMs || DEFAULT_LEASE_TTL_MS;
+    this.store = options.store || null;
+    this.instanceId = options.instanceId || INSTANCE_ID;
+    this.isLeader = false;
+    this.timer = null;
+  }
+
+  getStore() {
+    return this.store || getQueueStore();
+  }
+
+  /**
+   * Start competing for the lease
+   * @returns {Promise<boolean>} - Whether this instance leads after the first attempt
+   */
+  async start() {
+    if (this.timer) return this.isLeader;
+    this.timer = setInterval(() => this.renew(), Math.floor(this.ttlMs / 3));
+    this.timer.unref();
+    return this.renew();
+  }
+
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.isLeader) {
+      this.setLeader(false);
+      try {
+        // Let another instance take over now instead of when the lease lapses
+        await this.getStore().releaseLease(this.name, this.instanceId);
+      } catch (error) {
+        console.warn(`⚠️ Could not release ${this.name} lease:`, error.message);
+      }
+    }
+  }
+
+  async renew() {
+    try {
+      this.setLeader(await this.getStore().acquireLease(this.name, this.instanceId, this.ttlMs));
+    } catch (error) {
+      // Without the store we can't tell whether another instance took over
+      console.warn(`⚠️ Could not renew ${this.name} lease:`, error.message);
+      this.setLeader(false);
+    }
+    return this.isLeader;
+  }
+
+  setLeader(isLeader) {
+    if (isLeader === this.isLeader) return;
+    this.isLeader = isLeader;
+    console.log(isLeader
+      ? `👑 ${this.instanceId} is now leader for ${this.name}`
+      : `👋 ${this.instanceId} is no longer leader for ${this.name}`);
+    this.emit(isLeader ? 'elected' : 'revoked');
+  }
+
+  /**
+   * @returns {Promise<Object>} - { name, instanceId, isLeader, leader }
+   */
+  async getStatus() {
+    const lease = await this.getStore().getLease(this.name);
+    return {
+      name: this.name,
+      instanceId: this.instanceId,
+      isLeader: this.isLeader,
+      leader: lease ? lease.holder : null,
+      leaseExpiresAt: lease ? new Date(lease.expiresAt).toISOString() : null
+    };
+  }
+}
+
+LeaderElection.INSTANCE_ID = INSTANCE_ID;
+
+module.exports = LeaderElection;
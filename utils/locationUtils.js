@@ -1,8 +1,11 @@
 /**
  * Location utilities for QR scanner coordinate handling
- * Handles GPS coordinates, distance calculations, and location validation
+ * Handles GPS coordinates, distance calculations, location validation and venue geofences
  */
 
+// Fallback radius when no venue geofence applies
+const DEFAULT_MAX_DISTANCE = parseFloat(process.env.DEFAULT_GEOFENCE_RADIUS_METERS) || 50;
+
 /**
  * Convert coordinates from string format to decimal degrees
  * @param {string} coordinate - Coordinate in format like "5.29836N" or "2.00042W"
@@ -108,7 +111,7 @@ function formatCoordinates(latitude, longitude) {
  * @param {number} maxDistance - Maximum allowed distance in meters
  * @returns {object} - Validation result with distance and isWithinRange
  */
-function validateLocationProximity(scannerLocation, userLocation, maxDistance = 50) {
+function validateLocationProximity(scannerLocation, userLocation, maxDistance = DEFAULT_MAX_DISTANCE) {
   const distance = calculateDistance(
     scannerLocation.lat,
     scannerLocation.lng,
@@ -126,13 +129,161 @@ function validateLocationProximity(scannerLocation, userLocation, maxDistance =
   };
 }
 
+/**
+ * Check whether a point lies inside a polygon (ray casting on lat/lng)
+ * @param {object} point - {lat, lng}
+ * @param {Array} polygon - Vertices as [{latitude, longitude}]
+ * @returns {boolean}
+ */
+function isPointInPolygon(point, polygon) {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const yi = polygon[i].latitude;
+    const xi = polygon[i].longitude;
+    const yj = polygon[j].latitude;
+    const xj = polygon[j].longitude;
+
+    const intersects = ((yi > point.lat) !== (yj > point.lat)) &&
+      (point.lng < (xj - xi) * (point.lat - yi) / (yj - yi) + xi);
+
+    if (intersects) inside = !inside;
+  }
+
+  return inside;
+}
+
+/**
+ * Distance from a point to the nearest polygon edge
+ * Uses a local equirectangular projection, accurate at building scale
+ * @param {object} point - {lat, lng}
+ * @param {Array} polygon - Vertices as [{latitude, longitude}]
+ * @returns {number} - Distance in meters
+ */
+function distanceToPolygonEdge(point, polygon) {
+  const metersPerDegLat = 111320;
+  const metersPerDegLng = 111320 * Math.cos(point.lat * Math.PI / 180);
+  const project = (lat, lng) => ({
+    x: (lng - point.lng) * metersPerDegLng,
+    y: (lat - point.lat) * metersPerDegLat
+  });
+
+  let minDistance = Infinity;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = project(polygon[j].latitude, polygon[j].longitude);
+    const b = project(polygon[i].latitude, polygon[i].longitude);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0
+      ? 0
+      : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+    const distance = Math.hypot(a.x + t * dx, a.y + t * dy);
+
+    minDistance = Math.min(minDistance, distance);
+  }
+
+  return minDistance;
+}
+
+/**
+ * Evaluate a location against a venue geofence, taking GPS accuracy into account
+ * A scan is only 'inside' when its whole accuracy circle is within the fence and
+ * only 'outside' when its whole accuracy circle is beyond it; anything else is 'uncertain'.
+ * @param {object} venue - Venue with fenceType, center, radiusMeters, polygon, maxAccuracyMeters, outsideAction
+ * @param {object} location - {lat, lng, accuracy}
+ * @returns {object} - Geofence decision
+ */
+function evaluateGeofence(venue, location) {
+  const accuracy = typeof location.accuracy === 'number' && location.accuracy >= 0 ? location.accuracy : null;
+  const effectiveAccuracy = accuracy || 0;
+
+  let decision;
+  let distance;
+
+  if (venue.fenceType === 'polygon') {
+    const inside = isPointInPolygon(location, venue.polygon);
+    const edgeDistance = distanceToPolygonEdge(location, venue.polygon);
+
+    distance = inside ? 0 : edgeDistance;
+    if (inside) {
+      decision = edgeDistance >= effectiveAccuracy ? 'inside' : 'uncertain';
+    } else {
+      decision = edgeDistance > effectiveAccuracy ? 'outside' : 'uncertain';
+    }
+  } else {
+    const centerDistance = calculateDistance(
+      venue.center.latitude,
+      venue.center.longitude,
+      location.lat,
+      location.lng
+    );
+
+    distance = Math.max(0, centerDistance - venue.radiusMeters);
+    if (centerDistance + effectiveAccuracy <= venue.radiusMeters) {
+      decision = 'inside';
+    } else if (centerDistance - effectiveAccuracy > venue.radiusMeters) {
+      decision = 'outside';
+    } else {
+      decision = 'uncertain';
+    }
+  }
+
+  // A fix too coarse for this venue can never prove presence
+  const lowAccuracy = accuracy !== null && venue.maxAccuracyMeters && accuracy > venue.maxAccuracyMeters;
+  if (lowAccuracy && decision === 'inside') {
+    decision = 'uncertain';
+  }
+
+  let action = 'accepted';
+  if (decision === 'outside') {
+    action = venue.outsideAction === 'flag' ? 'flagged' : 'rejected';
+  } else if (decision === 'uncertain') {
+    action = 'flagged';
+  }
+
+  const statusByDecision = {
+    inside: 'verified',
+    uncertain: 'pending',
+    outside: 'location_mismatch'
+  };
+
+  const roundedDistance = Math.round(distance * 100) / 100;
+  let message;
+  if (decision === 'inside') {
+    message = `Location verified - inside ${venue.name}`;
+  } else if (decision === 'outside') {
+    message = `Location outside ${venue.name} - ${roundedDistance}m beyond the geofence`;
+  } else {
+    message = lowAccuracy
+      ? `GPS accuracy ${accuracy}m is too low to confirm presence at ${venue.name} (max: ${venue.maxAccuracyMeters}m)`
+      : `Location near the edge of ${venue.name} - cannot confirm presence within GPS accuracy`;
+  }
+
+  return {
+    venueId: venue._id || null,
+    venueName: venue.name,
+    fenceType: venue.fenceType,
+    decision,
+    action,
+    status: statusByDecision[decision],
+    distanceOutside: roundedDistance,
+    accuracy,
+    radius: venue.fenceType === 'polygon' ? null : venue.radiusMeters,
+    message,
+    evaluatedAt: new Date()
+  };
+}
+
 /**
  * Create location metadata for attendance record
  * @param {object} qrScannerData - QR scanner data with coordinates and distance
  * @param {object} userLocation - User's location data (optional)
+ * @param {object} venue - Venue geofence bound to the session (optional)
  * @returns {object} - Location metadata object
  */
-function createLocationMetadata(qrScannerData, userLocation = null) {
+function createLocationMetadata(qrScannerData, userLocation = null, venue = null) {
   const metadata = {
     qrScanner: {
       coordinates: {
@@ -178,14 +329,34 @@ function createLocationMetadata(qrScannerData, userLocation = null) {
     }
   }
 
+  // A venue geofence takes precedence over scanner/user proximity
+  if (venue && qrScannerData.latitude !== undefined && qrScannerData.longitude !== undefined) {
+    const geofence = evaluateGeofence(venue, {
+      lat: qrScannerData.latitude,
+      lng: qrScannerData.longitude,
+      accuracy: userLocation?.accuracy ?? qrScannerData.accuracy
+    });
+
+    metadata.verification = {
+      ...metadata.verification,
+      method: 'geofence',
+      geofence,
+      status: geofence.status
+    };
+  }
+
   return metadata;
 }
 
 module.exports = {
+  DEFAULT_MAX_DISTANCE,
   parseCoordinate,
   calculateDistance,
   validateCoordinates,
   formatCoordinates,
   validateLocationProximity,
+  isPointInPolygon,
+  distanceToPolygonEdge,
+  evaluateGeofence,
   createLocationMetadata
 };
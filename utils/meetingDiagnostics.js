@@ -3,7 +3,7 @@
  * Provides debugging and diagnostic tools for real-time tracking issues
  */
 
-const axios = require('axios');
+const zoomClient = require('../services/zoomClient');
 
 class MeetingDiagnostics {
   constructor() {
@@ -49,7 +49,7 @@ class MeetingDiagnostics {
       // Step 3: Test basic API call
       if (tokenResponse.success) {
         test.steps.push('Testing basic API call...');
-        const apiResponse = await this.testBasicApiCall(tokenResponse.token);
+        const apiResponse = await this.testBasicApiCall();
         if (apiResponse.success) {
           test.steps.push('✅ Basic API call successful');
           test.apiResponse = apiResponse.data;
@@ -109,7 +109,7 @@ class MeetingDiagnostics {
 
       // Step 3: Test meeting details API
       diagnostic.steps.push('Testing meeting details API...');
-      const detailsResponse = await this.getMeetingDetails(meetingId, tokenResponse.token);
+      const detailsResponse = await this.getMeetingDetails(meetingId);
       if (detailsResponse.success) {
         diagnostic.steps.push('✅ Meeting details retrieved');
         diagnostic.meetingDetails = detailsResponse.data;
@@ -122,7 +122,7 @@ class MeetingDiagnostics {
 
       // Step 4: Test participants API
       diagnostic.steps.push('Testing participants API...');
-      const participantsResponse = await this.getMeetingParticipants(meetingId, tokenResponse.token);
+      const participantsResponse = await this.getMeetingParticipants(meetingId);
       if (participantsResponse.success) {
         diagnostic.steps.push(`✅ Participants retrieved (${participantsResponse.data.length} found)`);
         diagnostic.participantCount = participantsResponse.data.length;
@@ -152,26 +152,15 @@ class MeetingDiagnostics {
   }
 
   /**
-   * Get OAuth access token for testing
+   * Request a fresh OAuth access token, so the credentials are really exercised
    */
   async getZoomAccessToken() {
     try {
-      const response = await axios.post(
-        `https://zoom.us/oauth/token?grant_type=account_credentials&account_id=${process.env.ZOOM_ACCOUNT_ID}`,
-        {},
-        {
-          headers: {
-            Authorization: `Basic ${Buffer.from(`${process.env.ZOOM_CLIENT_ID}:${process.env.ZOOM_CLIENT_SECRET}`).toString('base64')}`,
-            'Content-Type': 'application/x-www-form-urlencoded'
-          },
-          timeout: 10000
-        }
-      );
+      const token = await zoomClient.getAccessToken({ forceRefresh: true });
       
       return {
         success: true,
-        token: response.data.access_token,
-        expiresIn: response.data.expires_in
+        token
       };
     } catch (error) {
       return {
@@ -185,26 +174,17 @@ class MeetingDiagnostics {
   /**
    * Test basic API call
    */
-  async testBasicApiCall(token) {
+  async testBasicApiCall() {
     try {
-      const response = await axios.get(
-        'https://api.zoom.us/v2/users/me',
-        {
-          headers: {
-            Authorization: `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: 10000
-        }
-      );
+      const user = await zoomClient.getUser();
       
       return {
         success: true,
         data: {
-          id: response.data.id,
-          email: response.data.email,
-          type: response.data.type,
-          status: response.data.status
+          id: user.id,
+          email: user.email,
+          type: user.type,
+          status: user.status
         }
       };
     } catch (error) {
@@ -219,30 +199,21 @@ class MeetingDiagnostics {
   /**
    * Get meeting details for diagnosis
    */
-  async getMeetingDetails(meetingId, token) {
+  async getMeetingDetails(meetingId) {
     try {
-      const response = await axios.get(
-        `https://api.zoom.us/v2/meetings/${meetingId}`,
-        {
-          headers: {
-            Authorization: `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: 10000
-        }
-      );
+      const meeting = await zoomClient.getMeeting(meetingId);
       
       return {
         success: true,
         data: {
-          id: response.data.id,
-          topic: response.data.topic,
-          type: response.data.type,
-          status: response.data.status,
-          start_time: response.data.start_time,
-          duration: response.data.duration,
-          timezone: response.data.timezone,
-          created_at: response.data.created_at
+          id: meeting.id,
+          topic: meeting.topic,
+          type: meeting.type,
+          status: meeting.status,
+          start_time: meeting.start_time,
+          duration: meeting.duration,
+          timezone: meeting.timezone,
+          created_at: meeting.created_at
         }
       };
     } catch (error) {
@@ -257,25 +228,13 @@ class MeetingDiagnostics {
   /**
    * Get meeting participants for diagnosis
    */
-  async getMeetingParticipants(meetingId, token) {
+  async getMeetingParticipants(meetingId) {
     try {
-      const response = await axios.get(
-        `https://api.zoom.us/v2/meetings/${meetingId}/participants`,
-        {
-          headers: {
-            Authorization: `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          },
-          params: {
-            page_size: 300
-          },
-          timeout: 15000
-        }
-      );
+      const response = await zoomClient.getLiveParticipants(meetingId);
       
       return {
         success: true,
-        data: response.data.participants || []
+        data: response.participants || []
       };
     } catch (error) {
       return {
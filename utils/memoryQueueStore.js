@@ -0,0 +1,333 @@
+/**
+ * MemoryQueueStore - queue store kept in this process
+ *
+ * For a single instance and for tests: nothing is shared with other
+ * instances and nothing survives a restart. It also documents the contract
+ * every queue store implements (see utils/queueStore.js). Times passed in
+ * and returned are milliseconds since the epoch; jobs carry Dates, shaped
+ * like the QueueJob model.
+ */
+
+const crypto = require('crypto');
+
+// How long finished jobs stay readable
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000;
+
+const copy = (job) => (job ? { ...job } : null);
+
+class MemoryQueueStore {
+  constructor() {
+    this.jobs = new Map();
+    this.buckets = new Map();
+    this.cache = new Map();
+    this.leases = new Map();
+  }
+
+  // ==================== JOBS ====================
+
+  /**
+   * Add a job to a queue
+   * @param {string} queue - Queue name
+   * @param {Object} payload - Plain JSON the worker needs to run the job
+   * @param {Object} options - { priority (1 highest), availableAt, uniqueKey, instance, expiresAt }
+   *   uniqueKey: while a queued or running job of the queue has this key, that job is returned instead
+   *   instance: only the worker with this id may claim the job
+   *   expiresAt: drop the job if it has not finished by then
+   * @returns {Promise<Object>} - The stored job ({ id, queue, payload, status, ... })
+   */
+  async enqueueJob(queue, payload, { priority = 5, availableAt = Date.now(), uniqueKey, instance, expiresAt } = {}) {
+    this.removeExpiredJobs();
+    const activeKey = uniqueKey ? `${queue}:${uniqueKey}` : undefined;
+    if (activeKey) {
+      const existing = this.findActive(activeKey);
+      if (existing) return copy(existing);
+    }
+
+    const now = new Date();
+    const job = {
+      id: crypto.randomUUID(),
+      queue,
+      payload,
+      uniqueKey,
+      activeKey,
+      instance,
+      priority,
+      status: 'queued',
+      availableAt: new Date(availableAt),
+      attempts: 0,
+      history: [],
+      expiresAt: expiresAt ? new Date(expiresAt) : undefined,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.jobs.set(job.id, job);
+    return copy(job);
+  }
+
+  findActive(activeKey) {
+    return [...this.jobs.values()].find(job => job.activeKey === activeKey) || null;
+  }
+
+  /**
+   * The queued or running job of a queue holding a unique key
+   * @returns {Promise<Object|null>}
+   */
+  async getActiveJob(queue, uniqueKey) {
+    this.removeExpiredJobs();
+    return copy(this.findActive(`${queue}:${uniqueKey}`));
+  }
+
+  /**
+   * Lock the next runnable job of a queue for a worker: the highest priority,
+   * oldest queued job, or a running job whose lock has expired
+   * @returns {Promise<Object|null>} - The claimed job, attempts already counted
+   */
+  async claimJob(queue, workerId, lockMs) {
+    this.removeExpiredJobs();
+    const now = Date.now();
+    const runnable = [...this.jobs.values()]
+      .filter(job => job.queue === queue && job.availableAt <= now && (!job.instance || job.instance === workerId) && (
+        job.status === 'queued' || (job.status === 'running' && job.lockedUntil <= now)
+      ))
+      .sort((a, b) => a.priority - b.priority || a.createdAt - b.createdAt);
+
+    const job = runnable[0];
+    if (!job) return null;
+
+    Object.assign(job, {
+      status: 'running',
+      lockedBy: workerId,
+      lockedUntil: new Date(now + lockMs),
+      startedAt: new Date(now),
+      attempts: job.attempts + 1,
+      updatedAt: new Date(now)
+    });
+    return copy(job);
+  }
+
+  /**
+   * @param {Object} options - { retainMs (default an hour), record (appended to the job's history) }
+   */
+  async completeJob(id, result, options = {}) {
+    this.finishJob(id, { status: 'completed', result }, options);
+  }
+
+  /**
+   * @param {Object} error - { message, code, status, data }
+   * @param {Object} options - As for completeJob
+   */
+  async failJob(id, error, options = {}) {
+    this.finishJob(id, { status: 'failed', error }, options);
+  }
+
+  finishJob(id, fields, { retainMs = FINISHED_JOB_TTL_MS, record } = {}) {
+    const job = this.jobs.get(id);
+    if (!job) return;
+    const now = Date.now();
+    Object.assign(job, fields, {
+      activeKey: undefined,
+      lockedUntil: null,
+      finishedAt: new Date(now),
+      expiresAt: new Date(now + retainMs),
+      updatedAt: new Date(now)
+    });
+    if (record) job.history.push(record);
+  }
+
+  /**
+   * Put a running job back in the queue to run again later (a retry after a failure)
+   * @param {Object} options - { error, record } as for failJob
+   */
+  async rescheduleJob(id, availableAt, { error, record } = {}) {
+    const job = this.jobs.get(id);
+    if (!job || job.status !== 'running') return;
+    Object.assign(job, {
+      status: 'queued',
+      availableAt: new Date(availableAt),
+      lockedUntil: null,
+      error,
+      updatedAt: new Date()
+    });
+    if (record) job.history.push(record);
+  }
+
+  /**
+   * Run a queued, failed or cancelled job again from its first attempt
+   * @param {Object} options - { availableAt }
+   * @returns {Promise<Object|null>} - The requeued job, or null if it can't be requeued
+   */
+  async requeueJob(id, { availableAt = Date.now() } = {}) {
+    const job = this.jobs.get(id);
+    if (!job || !['queued', 'failed', 'cancelled'].includes(job.status)) return null;
+
+    const activeKey = job.uniqueKey ? `${job.queue}:${job.uniqueKey}` : undefined;
+    const other = activeKey && this.findActive(activeKey);
+    if (other && other.id !== job.id) {
+      throw new Error(`Job ${other.id} with the same key is already queued or running`);
+    }
+
+    Object.assign(job, {
+      status: 'queued',
+      activeKey,
+      availableAt: new Date(availableAt),
+      attempts: 0,
+      error: undefined,
+      finishedAt: undefined,
+      expiresAt: undefined,
+      updatedAt: new Date()
+    });
+    return copy(job);
+  }
+
+  /**
+   * Cancel a job that has not started
+   * @returns {Promise<boolean>} - Whether the job was cancelled
+   */
+  async cancelJob(id, { retainMs } = {}) {
+    const job = this.jobs.get(id);
+    if (!job || job.status !== 'queued') return false;
+    this.finishJob(id, { status: 'cancelled' }, { retainMs });
+    return true;
+  }
+
+  async getJob(id) {
+    this.removeExpiredJobs();
+    return copy(this.jobs.get(id));
+  }
+
+  /**
+   * Jobs of one or more queues, oldest first unless newestFirst
+   * @param {string|Array} queue - Queue name(s)
+   * @param {Object} options - { status, limit, skip, newestFirst }
+   */
+  async listJobs(queue, { status, limit = 50, skip = 0, newestFirst = false } = {}) {
+    this.removeExpiredJobs();
+    const queues = [].concat(queue);
+    return [...this.jobs.values()]
+      .filter(job => queues.includes(job.queue) && (!status || job.status === status))
+      .sort((a, b) => (newestFirst ? b.createdAt - a.createdAt : a.createdAt - b.createdAt))
+      .slice(skip, skip + limit)
+      .map(copy);
+  }
+
+  /**
+   * @param {string|Array} queue - Queue name(s)
+   * @returns {Promise<Object>} - Job count by status
+   */
+  async countJobs(queue) {
+    this.removeExpiredJobs();
+    const queues = [].concat(queue);
+    const counts = { queued: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+    for (const job of this.jobs.values()) {
+      if (queues.includes(job.queue)) counts[job.status]++;
+    }
+    return counts;
+  }
+
+  /**
+   * Cancel every job of a queue that has not started
+   * @returns {Promise<number>} - Jobs cancelled
+   */
+  async clearJobs(queue) {
+    let cancelled = 0;
+    for (const job of this.jobs.values()) {
+      if (job.queue === queue && job.status === 'queued') {
+        this.finishJob(job.id, { status: 'cancelled' });
+        cancelled++;
+      }
+    }
+    return cancelled;
+  }
+
+  removeExpiredJobs() {
+    const now = Date.now();
+    for (const [id, job] of this.jobs) {
+      if (job.expiresAt && job.expiresAt <= now) this.jobs.delete(id);
+    }
+  }
+
+  // ==================== RATE LIMIT BUCKETS ====================
+
+  /**
+   * Reserve the next call slot of a bucket; slots are at least intervalMs apart
+   * @returns {Promise<number>} - Milliseconds to wait before making the call
+   */
+  async takeRateLimitSlot(key, intervalMs) {
+    const now = Date.now();
+    const bucket = this.buckets.get(key) || { nextSlotAt: 0, blockedUntil: 0 };
+    const slotAt = Math.max(now, bucket.nextSlotAt, bucket.blockedUntil);
+    bucket.nextSlotAt = slotAt + intervalMs;
+    this.buckets.set(key, bucket);
+    return slotAt - now;
+  }
+
+  /**
+   * Hold back every call of a bucket until a time (never shortens a block)
+   */
+  async blockRateLimit(key, until) {
+    const bucket = this.buckets.get(key) || { nextSlotAt: 0, blockedUntil: 0 };
+    bucket.blockedUntil = Math.max(bucket.blockedUntil, until);
+    this.buckets.set(key, bucket);
+  }
+
+  /**
+   * @returns {Promise<Object|null>} - { nextSlotAt, blockedUntil }
+   */
+  async getRateLimitBucket(key) {
+    const bucket = this.buckets.get(key);
+    return bucket ? { ...bucket } : null;
+  }
+
+  // ==================== RESPONSE CACHE ====================
+
+  async getCached(key) {
+    const entry = this.cache.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.cache.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async setCached(key, value, ttlSeconds) {
+    this.cache.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+  }
+
+  async deleteCached(key) {
+    this.cache.delete(key);
+  }
+
+  async clearCache() {
+    this.cache.clear();
+  }
+
+  // ==================== LEASES ====================
+
+  /**
+   * Take or renew a named lease
+   * @returns {Promise<boolean>} - Whether holder now holds the lease
+   */
+  async acquireLease(name, holder, ttlMs) {
+    const now = Date.now();
+    const lease = this.leases.get(name);
+    if (lease && lease.holder !== holder && lease.expiresAt > now) return false;
+    this.leases.set(name, { holder, expiresAt: now + ttlMs });
+    return true;
+  }
+
+  async releaseLease(name, holder) {
+    const lease = this.leases.get(name);
+    if (lease && lease.holder === holder) this.leases.delete(name);
+  }
+
+  /**
+   * @returns {Promise<Object|null>} - { holder, expiresAt } of a current lease
+   */
+  async getLease(name) {
+    const lease = this.leases.get(name);
+    return lease && lease.expiresAt > Date.now() ? { ...lease } : null;
+  }
+}
+
+module.exports = MemoryQueueStore;
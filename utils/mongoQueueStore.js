@@ -0,0 +1,253 @@
+/**
+ * MongoQueueStore - queue store shared by every instance through MongoDB
+ *
+ * Same contract as MemoryQueueStore. Each operation is a single atomic
+ * update, so instances never claim the same job or the same rate limit slot.
+ */
+
+const mongoose = require('mongoose');
+const QueueJob = require('../models/QueueJob');
+const RateLimitBucket = require('../models/RateLimitBucket');
+const CachedResponse = require('../models/CachedResponse');
+const Lease = require('../models/Lease');
+
+// How long finished jobs stay readable
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000;
+
+const toJob = (doc) => (doc ? { ...doc, id: String(doc._id) } : null);
+const toMs = (date) => (date ? new Date(date).getTime() : 0);
+
+class MongoQueueStore {
+  // ==================== JOBS ====================
+
+  async enqueueJob(queue, payload, { priority = 5, availableAt = Date.now(), uniqueKey, instance, expiresAt } = {}) {
+    const activeKey = uniqueKey ? `${queue}:${uniqueKey}` : undefined;
+    try {
+      const job = await QueueJob.create({
+        queue,
+        payload,
+        uniqueKey,
+        activeKey,
+        instance,
+        priority,
+        availableAt: new Date(availableAt),
+        expiresAt: expiresAt ? new Date(expiresAt) : undefined
+      });
+      return toJob(job.toObject());
+    } catch (error) {
+      // A job with this key is already queued or running
+      if (error.code !== 11000 || !activeKey) throw error;
+      const existing = await QueueJob.findOne({ activeKey }).lean();
+      if (!existing) throw error;
+      return toJob(existing);
+    }
+  }
+
+  async getActiveJob(queue, uniqueKey) {
+    return toJob(await QueueJob.findOne({ activeKey: `${queue}:${uniqueKey}` }).lean());
+  }
+
+  async claimJob(queue, workerId, lockMs) {
+    const now = new Date();
+    const job = await QueueJob.findOneAndUpdate(
+      {
+        queue,
+        availableAt: { $lte: now },
+        instance: { $in: [null, workerId] },
+        $or: [
+          { status: 'queued' },
+          { status: 'running', lockedUntil: { $lte: now } }
+        ]
+      },
+      {
+        $set: {
+          status: 'running',
+          lockedBy: workerId,
+          lockedUntil: new Date(now.getTime() + lockMs),
+          startedAt: now
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { priority: 1, createdAt: 1 }, new: true, lean: true }
+    );
+    return toJob(job);
+  }
+
+  async completeJob(id, result, options = {}) {
+    await this.finishJob({ _id: id }, { status: 'completed', result }, options);
+  }
+
+  async failJob(id, error, options = {}) {
+    await this.finishJob({ _id: id }, { status: 'failed', error }, options);
+  }
+
+  finishJob(filter, fields, { retainMs = FINISHED_JOB_TTL_MS, record } = {}) {
+    const now = Date.now();
+    return QueueJob.updateMany(filter, {
+      $set: { ...fields, lockedUntil: null, finishedAt: new Date(now), expiresAt: new Date(now + retainMs) },
+      $unset: { activeKey: 1 },
+      ...(record && { $push: { history: record } })
+    });
+  }
+
+  async rescheduleJob(id, availableAt, { error, record } = {}) {
+    await QueueJob.updateOne(
+      { _id: id, status: 'running' },
+      {
+        $set: { status: 'queued', availableAt: new Date(availableAt), lockedUntil: null, error },
+        ...(record && { $push: { history: record } })
+      }
+    );
+  }
+
+  async requeueJob(id, { availableAt = Date.now() } = {}) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    const current = await QueueJob.findById(id).select('queue uniqueKey').lean();
+    if (!current) return null;
+
+    try {
+      const job = await QueueJob.findOneAndUpdate(
+        { _id: id, status: { $in: ['queued', 'failed', 'cancelled'] } },
+        {
+          $set: {
+            status: 'queued',
+            availableAt: new Date(availableAt),
+            attempts: 0,
+            ...(current.uniqueKey && { activeKey: `${current.queue}:${current.uniqueKey}` })
+          },
+          $unset: { error: 1, finishedAt: 1, expiresAt: 1 }
+        },
+        { new: true, lean: true }
+      );
+      return toJob(job);
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error('A job with the same key is already queued or running');
+      }
+      throw error;
+    }
+  }
+
+  async cancelJob(id, { retainMs } = {}) {
+    if (!mongoose.isValidObjectId(id)) return false;
+    const result = await this.finishJob({ _id: id, status: 'queued' }, { status: 'cancelled' }, { retainMs });
+    return result.modifiedCount > 0;
+  }
+
+  async getJob(id) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return toJob(await QueueJob.findById(id).lean());
+  }
+
+  async listJobs(queue, { status, limit = 50, skip = 0, newestFirst = false } = {}) {
+    const jobs = await QueueJob.find({ queue: { $in: [].concat(queue) }, ...(status && { status }) })
+      .sort({ createdAt: newestFirst ? -1 : 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+    return jobs.map(toJob);
+  }
+
+  async countJobs(queue) {
+    const counts = { queued: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+    const groups = await QueueJob.aggregate([
+      { $match: { queue: { $in: [].concat(queue) } } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    groups.forEach(group => {
+      counts[group._id] = group.count;
+    });
+    return counts;
+  }
+
+  async clearJobs(queue) {
+    const result = await this.finishJob({ queue, status: 'queued' }, { status: 'cancelled' });
+    return result.modifiedCount;
+  }
+
+  // ==================== RATE LIMIT BUCKETS ====================
+
+  async takeRateLimitSlot(key, intervalMs) {
+    // An update pipeline reads and moves the bucket in one step, timed by the
+    // database clock so instances with drifting clocks still agree. It goes
+    // through the driver because Mongoose would cast $$NOW to a Date.
+    const bucket = await RateLimitBucket.collection.findOneAndUpdate(
+      { _id: key },
+      [
+        {
+          $set: {
+            takenAt: '$$NOW',
+            slotAt: {
+              $max: ['$$NOW', { $ifNull: ['$nextSlotAt', '$$NOW'] }, { $ifNull: ['$blockedUntil', '$$NOW'] }]
+            }
+          }
+        },
+        { $set: { nextSlotAt: { $add: ['$slotAt', intervalMs] } } }
+      ],
+      { upsert: true, returnDocument: 'after' }
+    );
+    return Math.max(toMs(bucket.slotAt) - toMs(bucket.takenAt), 0);
+  }
+
+  async blockRateLimit(key, until) {
+    await RateLimitBucket.updateOne({ _id: key }, { $max: { blockedUntil: new Date(until) } }, { upsert: true });
+  }
+
+  async getRateLimitBucket(key) {
+    const bucket = await RateLimitBucket.findById(key).lean();
+    return bucket ? { nextSlotAt: toMs(bucket.nextSlotAt), blockedUntil: toMs(bucket.blockedUntil) } : null;
+  }
+
+  // ==================== RESPONSE CACHE ====================
+
+  async getCached(key) {
+    // Expired entries linger until MongoDB's TTL monitor runs
+    const entry = await CachedResponse.findOne({ _id: key, expiresAt: { $gt: new Date() } }).lean();
+    return entry ? entry.value : null;
+  }
+
+  async setCached(key, value, ttlSeconds) {
+    await CachedResponse.updateOne(
+      { _id: key },
+      { $set: { value, expiresAt: new Date(Date.now() + ttlSeconds * 1000) } },
+      { upsert: true }
+    );
+  }
+
+  async deleteCached(key) {
+    await CachedResponse.deleteOne({ _id: key });
+  }
+
+  async clearCache() {
+    await CachedResponse.deleteMany({});
+  }
+
+  // ==================== LEASES ====================
+
+  async acquireLease(name, holder, ttlMs) {
+    const now = Date.now();
+    try {
+      await Lease.findOneAndUpdate(
+        { _id: name, $or: [{ holder }, { expiresAt: { $lte: new Date(now) } }] },
+        { $set: { holder, expiresAt: new Date(now + ttlMs) } },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      // The lease exists and someone else holds it: the upsert collides on _id
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  }
+
+  async releaseLease(name, holder) {
+    await Lease.deleteOne({ _id: name, holder });
+  }
+
+  async getLease(name) {
+    const lease = await Lease.findOne({ _id: name, expiresAt: { $gt: new Date() } }).lean();
+    return lease ? { holder: lease.holder, expiresAt: toMs(lease.expiresAt) } : null;
+  }
+}
+
+module.exports = MongoQueueStore;
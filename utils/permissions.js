@@ -0,0 +1,124 @@
+/**
+ * Roles and permission scopes
+ *
+ * A permission is "resource:action" optionally followed by the scope it is
+ * granted at, e.g. "attendance:write:own-courses". Without a scope the
+ * permission covers everything. Scopes from broadest to narrowest:
+ *   all          - every record
+ *   department   - courses of the user's department and the units below it
+ *                  (and their meetings/students)
+ *   own-courses  - courses the user instructs or assists, and meetings they host
+ *   own          - the user's own student record and enrolled courses
+ * Admins hold every permission; ones no other role lists (users:manage,
+ * students:write, students:delete, departments:manage, venues:manage,
+ * faces:manage, system:monitor, system:manage) are admin-only. faces:manage covers every
+ * student's face data: enrolment, identification, kiosk check-in and
+ * liveness review.
+ */
+
+const ROLES = ['student', 'teaching_assistant', 'instructor', 'department_head', 'admin'];
+
+// Accounts created before roles were introduced
+const ROLE_ALIASES = { user: 'student' };
+
+const SCOPES = ['all', 'department', 'own-courses', 'own'];
+
+const STUDENT_PERMISSIONS = [
+  'meetings:read:own',
+  'meetings:join',
+  'attendance:read:own',
+  'attendance:checkin',
+  'students:read:own',
+  'courses:read',
+];
+
+const TEACHING_ASSISTANT_PERMISSIONS = [
+  'meetings:read:own-courses',
+  'meetings:join',
+  'attendance:read:own-courses',
+  'attendance:write:own-courses',
+  'attendance:export:own-courses',
+  'attendance:checkin',
+  'students:read:own-courses',
+  'courses:read',
+];
+
+const INSTRUCTOR_PERMISSIONS = [
+  ...TEACHING_ASSISTANT_PERMISSIONS,
+  'meetings:write:own-courses',
+  'meetings:delete:own-courses',
+  'attendance:delete:own-courses',
+  'disputes:decide:own-courses',
+];
+
+const DEPARTMENT_HEAD_PERMISSIONS = [
+  'meetings:read:department',
+  'meetings:join',
+  'meetings:write:department',
+  'meetings:delete:department',
+  'attendance:read:department',
+  'attendance:write:department',
+  'attendance:export:department',
+  'attendance:delete:department',
+  'attendance:checkin',
+  'students:read:department',
+  'courses:read',
+  'courses:manage:department',
+  'disputes:decide:department',
+  'policies:manage',
+];
+
+const ROLE_PERMISSIONS = Object.freeze({
+  student: STUDENT_PERMISSIONS,
+  teaching_assistant: TEACHING_ASSISTANT_PERMISSIONS,
+  instructor: INSTRUCTOR_PERMISSIONS,
+  department_head: DEPARTMENT_HEAD_PERMISSIONS,
+  admin: ['*'],
+});
+
+function normalizeRole(role) {
+  return ROLE_ALIASES[role] || role;
+}
+
+function permissionsFor(role) {
+  return ROLE_PERMISSIONS[normalizeRole(role)] || [];
+}
+
+/**
+ * Broadest scope a role holds a permission at
+ * @param {string} role - User role
+ * @param {string} permission - "resource:action"
+ * @returns {string|null} - One of SCOPES, or null when not granted
+ */
+function scopeOf(role, permission) {
+  let best = null;
+
+  permissionsFor(role).forEach(granted => {
+    let scope = null;
+    if (granted === '*' || granted === permission) {
+      scope = 'all';
+    } else if (granted.startsWith(`${permission}:`)) {
+      scope = granted.slice(permission.length + 1);
+    }
+
+    if (scope && (best === null || SCOPES.indexOf(scope) < SCOPES.indexOf(best))) {
+      best = scope;
+    }
+  });
+
+  return best;
+}
+
+function hasPermission(role, permission) {
+  return scopeOf(role, permission) !== null;
+}
+
+module.exports = {
+  ROLES,
+  SCOPES,
+  ROLE_PERMISSIONS,
+  normalizeRole,
+  permissionsFor,
+  scopeOf,
+  hasPermission,
+};
@@ -1,14 +1,261 @@
 /**
  * QR Code Validation Utility
- * Validates QR codes generated by AdminQRGenerator for attendance tracking
+ * Signs and validates rotating attendance QR codes. Signed codes carry an
+ * HMAC over their content and a short rotation window; the base64 checksum
+ * codes produced by AdminQRGenerator are only accepted while the legacy
+ * compatibility flag is enabled.
  */
 
+const crypto = require('crypto');
+
+const SIGNED_QR_VERSION = 2;
+const SIGNED_QR_TYPES = ['attendance', 'attendance_check'];
+const DEFAULT_ROTATION_SECONDS = 30;
+
+/**
+ * Get the configured rotation period for signed codes
+ * @returns {number} - Rotation period in seconds
+ */
+function getRotationSeconds() {
+  const configured = parseInt(process.env.QR_ROTATION_SECONDS, 10);
+  return configured > 0 ? configured : DEFAULT_ROTATION_SECONDS;
+}
+
+/**
+ * Get how many previous rotation windows are still accepted (scan latency)
+ * @returns {number} - Number of past windows tolerated
+ */
+function getWindowTolerance() {
+  const configured = parseInt(process.env.QR_WINDOW_TOLERANCE, 10);
+  return configured >= 0 ? configured : 1;
+}
+
+/**
+ * Whether legacy base64-checksum QR codes are still accepted
+ * @returns {boolean}
+ */
+function isLegacyQRAllowed() {
+  return process.env.QR_ALLOW_LEGACY_CHECKSUM === 'true';
+}
+
+/**
+ * Get the server secret used to sign QR codes
+ * @returns {string} - Signing secret
+ */
+function getSigningSecret() {
+  const secret = process.env.QR_SIGNING_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('QR_SIGNING_SECRET is not configured');
+  }
+  return secret;
+}
+
+/**
+ * Get the rotation window index a point in time falls into
+ * @param {number} timeMs - Time in milliseconds
+ * @param {number} rotationSeconds - Rotation period in seconds
+ * @returns {number} - Window index
+ */
+function getRotationWindow(timeMs = Date.now(), rotationSeconds = getRotationSeconds()) {
+  return Math.floor(timeMs / (rotationSeconds * 1000));
+}
+
+/**
+ * Build the canonical string covered by the signature
+ * @param {Object} qrData - Signed QR payload
+ * @returns {string}
+ */
+function canonicalizeSignedPayload(qrData) {
+  return JSON.stringify([
+    qrData.v,
+    qrData.type,
+    qrData.sessionId,
+    qrData.qrCodeId,
+    qrData.sessionTitle || null,
+    qrData.timestamp,
+    qrData.validUntil,
+    qrData.rotationSeconds,
+    qrData.window,
+    qrData.issuedBy?.userId || null,
+    qrData.issuedBy?.username || null
+  ]);
+}
+
+/**
+ * Compute the HMAC signature for a QR payload
+ * @param {Object} qrData - QR payload without signature
+ * @returns {string} - base64url signature
+ */
+function computeSignature(qrData) {
+  return crypto
+    .createHmac('sha256', getSigningSecret())
+    .update(canonicalizeSignedPayload(qrData))
+    .digest('base64url');
+}
+
+/**
+ * Create a signed QR payload for the current rotation window
+ * @param {Object} session - { sessionId, qrCodeId, sessionTitle, validUntil, rotationSeconds, issuedBy, type }
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} - Signed payload ready to be embedded in a QR code
+ */
+function createSignedQRPayload(session, now = Date.now()) {
+  const rotationSeconds = session.rotationSeconds || getRotationSeconds();
+  const window = getRotationWindow(now, rotationSeconds);
+
+  const payload = {
+    v: SIGNED_QR_VERSION,
+    type: session.type || 'attendance',
+    sessionId: session.sessionId,
+    qrCodeId: session.qrCodeId,
+    sessionTitle: session.sessionTitle,
+    timestamp: new Date(now).toISOString(),
+    validUntil: new Date(session.validUntil).toISOString(),
+    rotationSeconds,
+    window,
+    ...(session.issuedBy && {
+      issuedBy: {
+        userId: session.issuedBy.userId || null,
+        username: session.issuedBy.username || null
+      }
+    })
+  };
+
+  payload.signature = computeSignature(payload);
+
+  return {
+    payload,
+    refreshAt: new Date((window + 1) * rotationSeconds * 1000).toISOString()
+  };
+}
+
+/**
+ * Validate a signed, rotating QR code
+ * @param {Object} qrData - Parsed QR code data
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} - Validation result with isValid, message, and extractedData
+ */
+function validateSignedQRCode(qrData, now = Date.now()) {
+  const requiredFields = ['type', 'sessionId', 'qrCodeId', 'timestamp', 'validUntil', 'rotationSeconds', 'window', 'signature'];
+  for (const field of requiredFields) {
+    if (qrData[field] === undefined || qrData[field] === null || qrData[field] === '') {
+      return {
+        isValid: false,
+        message: `Invalid QR code: missing required field '${field}'`,
+        extractedData: null
+      };
+    }
+  }
+
+  if (qrData.v !== SIGNED_QR_VERSION) {
+    return {
+      isValid: false,
+      message: `Invalid QR code: unsupported version '${qrData.v}'`,
+      extractedData: null
+    };
+  }
+
+  if (!SIGNED_QR_TYPES.includes(qrData.type)) {
+    return {
+      isValid: false,
+      message: `Invalid QR code type: expected one of ${SIGNED_QR_TYPES.join(', ')}, got '${qrData.type}'`,
+      extractedData: null
+    };
+  }
+
+  if (typeof qrData.signature !== 'string') {
+    return {
+      isValid: false,
+      message: 'Invalid QR code: signature verification failed',
+      extractedData: null
+    };
+  }
+
+  // Verify signature before trusting any other field
+  const expected = Buffer.from(computeSignature(qrData));
+  const provided = Buffer.from(qrData.signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return {
+      isValid: false,
+      message: 'Invalid QR code: signature verification failed',
+      extractedData: null
+    };
+  }
+
+  const validUntil = new Date(qrData.validUntil);
+  if (isNaN(validUntil.getTime())) {
+    return {
+      isValid: false,
+      message: 'Invalid QR code: invalid expiration date format',
+      extractedData: null
+    };
+  }
+
+  if (validUntil.getTime() < now) {
+    const expiredMinutes = Math.round((now - validUntil.getTime()) / (1000 * 60));
+    return {
+      isValid: false,
+      message: `QR session has expired ${expiredMinutes} minute(s) ago`,
+      extractedData: null
+    };
+  }
+
+  const rotationSeconds = Number(qrData.rotationSeconds);
+  const window = Number(qrData.window);
+  if (!(rotationSeconds > 0) || !Number.isInteger(window)) {
+    return {
+      isValid: false,
+      message: 'Invalid QR code: invalid rotation window',
+      extractedData: null
+    };
+  }
+
+  const currentWindow = getRotationWindow(now, rotationSeconds);
+  if (window > currentWindow || currentWindow - window > getWindowTolerance()) {
+    return {
+      isValid: false,
+      message: 'QR code has rotated, please scan the code currently displayed',
+      extractedData: null
+    };
+  }
+
+  const codeExpiresAt = new Date((window + 1 + getWindowTolerance()) * rotationSeconds * 1000);
+
+  const extractedData = {
+    qrCodeId: qrData.qrCodeId,
+    sessionId: qrData.sessionId,
+    sessionTitle: qrData.sessionTitle || null,
+    window,
+    rotationSeconds,
+    generatedAt: new Date(qrData.timestamp),
+    expiresAt: codeExpiresAt < validUntil ? codeExpiresAt : validUntil,
+    sessionValidUntil: validUntil,
+    location: qrData.location || 'unknown',
+    generatedBy: {
+      userId: qrData.issuedBy?.userId || null,
+      username: qrData.issuedBy?.username || 'system',
+      email: null,
+      role: 'admin'
+    },
+    studentInfo: null,
+    isSigned: true,
+    checksum: qrData.signature
+  };
+
+  return {
+    isValid: true,
+    message: 'QR code is valid',
+    extractedData
+  };
+}
+
 /**
  * Validate QR code structure and content
  * @param {Object} qrData - Parsed QR code data
+ * @param {Object} options - { allowLegacy, now }
  * @returns {Object} - Validation result with isValid, message, and extractedData
  */
-function validateQRCode(qrData) {
+function validateQRCode(qrData, options = {}) {
   try {
     // Check basic structure
     if (!qrData || typeof qrData !== 'object') {
@@ -19,6 +266,19 @@ function validateQRCode(qrData) {
       };
     }
 
+    if (qrData.signature !== undefined) {
+      return validateSignedQRCode(qrData, options.now || Date.now());
+    }
+
+    const allowLegacy = options.allowLegacy !== undefined ? options.allowLegacy : isLegacyQRAllowed();
+    if (!allowLegacy) {
+      return {
+        isValid: false,
+        message: 'Invalid QR code: unsigned QR codes are no longer accepted',
+        extractedData: null
+      };
+    }
+
     // Check required fields
     const requiredFields = ['id', 'type', 'timestamp', 'expiresAt', 'checksum'];
     for (const field of requiredFields) {
@@ -111,6 +371,7 @@ function validateQRCode(qrData) {
         hasStudentRecord: qrData.user.hasStudentRecord
       },
       adminId: qrData.adminId, // For backward compatibility
+      isSigned: false,
       checksum: qrData.checksum
     };
 
@@ -132,12 +393,13 @@ function validateQRCode(qrData) {
 /**
  * Parse QR code string and validate
  * @param {string} qrString - Raw QR code string
+ * @param {Object} options - Passed through to validateQRCode
  * @returns {Object} - Validation result
  */
-function parseAndValidateQR(qrString) {
+function parseAndValidateQR(qrString, options = {}) {
   try {
     const qrData = JSON.parse(qrString);
-    return validateQRCode(qrData);
+    return validateQRCode(qrData, options);
   } catch (error) {
     return {
       isValid: false,
@@ -189,22 +451,50 @@ function extractAttendanceMetadata(validatedData) {
   
   return {
     qrCodeId: data.qrCodeId,
+    sessionId: data.sessionId || null,
+    window: data.window !== undefined ? data.window : null,
     generatedAt: data.generatedAt,
     generatedBy: data.generatedBy.username,
     generatedByUserId: data.generatedBy.userId,
     scannedAt: new Date(),
-    studentId: data.studentInfo.studentId,
-    studentName: data.studentInfo.fullName,
-    department: data.studentInfo.department,
+    studentId: data.studentInfo?.studentId || null,
+    studentName: data.studentInfo?.fullName || null,
+    department: data.studentInfo?.department || null,
     location: data.location,
     attendanceMethod: 'qr_scan',
+    isSigned: data.isSigned,
     checksum: data.checksum
   };
 }
 
+/**
+ * Build the replay-protection entry for a validated code
+ * @param {Object} validatedData - Validated QR code data
+ * @param {string|number} consumerKey - StudentID or email of the scanner
+ * @returns {Object} - Fields for QRTokenUse.consume
+ */
+function buildTokenUse(validatedData, consumerKey) {
+  const data = validatedData.extractedData;
+
+  return {
+    qrCodeId: data.qrCodeId,
+    // Legacy codes do not rotate, so the generation time identifies them
+    window: data.isSigned ? data.window : data.generatedAt.getTime(),
+    consumerKey,
+    sessionId: data.sessionId || null,
+    expiresAt: data.expiresAt
+  };
+}
+
 module.exports = {
+  getRotationSeconds,
+  getRotationWindow,
+  isLegacyQRAllowed,
+  createSignedQRPayload,
+  validateSignedQRCode,
   validateQRCode,
   parseAndValidateQR,
   checkExpirationWarning,
-  extractAttendanceMetadata
+  extractAttendanceMetadata,
+  buildTokenUse
 };
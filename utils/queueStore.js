@@ -0,0 +1,46 @@
+/**
+ * Backing store for state that has to be shared by every instance of the
+ * backend: persisted job queues, rate limit buckets, cached API responses
+ * and leader leases.
+ *
+ * QUEUE_STORE selects the store: "mongodb" (default) keeps it in MongoDB
+ * collections, "memory" keeps it in this process (a single instance, tests).
+ * setQueueStore() plugs in any other implementation of the contract
+ * documented in utils/memoryQueueStore.js, e.g. one backed by Redis.
+ */
+
+const MemoryQueueStore = require('./memoryQueueStore');
+const MongoQueueStore = require('./mongoQueueStore');
+
+const STORES = {
+  mongodb: () => new MongoQueueStore(),
+  memory: () => new MemoryQueueStore()
+};
+
+let store = null;
+
+function createQueueStore(type = process.env.QUEUE_STORE || 'mongodb') {
+  const create = STORES[type];
+  if (!create) {
+    throw new Error(`Unknown QUEUE_STORE "${type}". Use one of: ${Object.keys(STORES).join(', ')}`);
+  }
+  return create();
+}
+
+// The store in use, created on first use
+function getQueueStore() {
+  if (!store) store = createQueueStore();
+  return store;
+}
+
+function setQueueStore(nextStore) {
+  store = nextStore;
+}
+
+module.exports = {
+  MemoryQueueStore,
+  MongoQueueStore,
+  createQueueStore,
+  getQueueStore,
+  setQueueStore,
+};
@@ -1,10 +1,12 @@
+const { getQueueStore } = require('./queueStore');
+
+// Longest Retry-After worth waiting for; beyond this (e.g. Zoom's daily quota) the call fails
+const MAX_RETRY_AFTER_MS = 60000;
+
 // Simple Rate Limiter without external dependencies for temporary use
+// Cached responses live in the shared queue store (utils/queueStore.js)
 class ZoomApiRateLimiter {
   constructor() {
-    // Simple cache implementation
-    this.tokenCache = new Map();
-    this.responseCache = new Map();
-    this.lastTokenRequest = 0;
     this.lastApiCall = 0;
     
     // Track API call statistics
@@ -15,32 +17,13 @@ class ZoomApiRateLimiter {
       errors: 0,
       lastReset: new Date()
     };
-    
-    // Clean up cache periodically
-    setInterval(() => this.cleanupCache(), 300000); // Clean every 5 minutes
-  }
-  
-  cleanupCache() {
-    const now = Date.now();
-    // Remove expired token cache entries (older than 55 minutes)
-    for (const [key, value] of this.tokenCache.entries()) {
-      if (now - value.timestamp > 3300000) {
-        this.tokenCache.delete(key);
-      }
-    }
-    // Remove expired response cache entries (older than 5 minutes)
-    for (const [key, value] of this.responseCache.entries()) {
-      if (now - value.timestamp > 300000) {
-        this.responseCache.delete(key);
-      }
-    }
   }
 
   /**
    * Execute an API call with rate limiting
    * @param {Function} apiCall - The API call function
    * @param {string} endpoint - The endpoint being called (for caching)
-   * @param {Object} options - Options for the request
+   * @param {Object} options - Options for the request; onRateLimited(delayMs) is called on each 429
    * @returns {Promise} - The API response
    */
   async executeApiCall(apiCall, endpoint, options = {}) {
@@ -49,16 +32,17 @@ class ZoomApiRateLimiter {
       cacheTTL = 300, 
       isReportsCall = false, 
       retryCount = 3,
-      enableCache = true 
+      enableCache = true,
+      onRateLimited = null
     } = options;
     
     // Check cache first
     if (enableCache && cacheKey) {
-      const cachedResponse = this.responseCache.get(cacheKey);
-      if (cachedResponse && (Date.now() - cachedResponse.timestamp < cacheTTL * 1000)) {
+      const cachedResponse = await getQueueStore().getCached(cacheKey);
+      if (cachedResponse) {
         this.stats.cachedResponses++;
         console.log(`📦 Cache hit for ${endpoint}`);
-        return cachedResponse.data;
+        return cachedResponse;
       }
     }
     
@@ -74,11 +58,11 @@ class ZoomApiRateLimiter {
     this.lastApiCall = Date.now();
     
     try {
-      const result = await this.executeWithRetry(apiCall, retryCount, endpoint);
+      const result = await this.executeWithRetry(apiCall, retryCount, endpoint, onRateLimited);
       
       // Cache successful responses
       if (enableCache && cacheKey && result) {
-        this.responseCache.set(cacheKey, { data: result, timestamp: Date.now() });
+        await getQueueStore().setCached(cacheKey, result, cacheTTL);
         console.log(`💾 Cached response for ${endpoint}`);
       }
       
@@ -97,9 +81,10 @@ class ZoomApiRateLimiter {
    * @param {Function} apiCall - The API call function
    * @param {number} maxRetries - Maximum number of retries
    * @param {string} endpoint - Endpoint name for logging
+   * @param {Function} onRateLimited - Called with the wait before retrying a 429
    * @returns {Promise} - The API response
    */
-  async executeWithRetry(apiCall, maxRetries, endpoint) {
+  async executeWithRetry(apiCall, maxRetries, endpoint, onRateLimited = null) {
     let lastError;
     
     for (let attempt = 0; attempt <= maxRetries; attempt++) {
@@ -119,17 +104,24 @@ class ZoomApiRateLimiter {
         if (error.response?.status === 429) {
           this.stats.rateLimitedCalls++;
           
-          const retryAfter = error.response.headers['retry-after'];
-          const backoffDelay = retryAfter 
-            ? parseInt(retryAfter) * 1000 
+          const retryAfter = this.getRetryAfterMs(error);
+          const backoffDelay = retryAfter !== null
+            ? retryAfter
             : Math.min(1000 * Math.pow(2, attempt), 30000); // Exponential backoff, max 30s
+
+          if (backoffDelay > MAX_RETRY_AFTER_MS) {
+            console.warn(`🚦 Rate limited on ${endpoint} until ${new Date(Date.now() + backoffDelay).toISOString()}, not retrying`);
+            break;
+          }
           
           console.warn(`🚦 Rate limited on ${endpoint}, attempt ${attempt + 1}/${maxRetries + 1}. Waiting ${backoffDelay}ms`);
+          if (onRateLimited) onRateLimited(backoffDelay);
           
           if (attempt < maxRetries) {
             await this.sleep(backoffDelay);
             continue;
           }
+          break;
         }
         
         // For non-rate-limit errors, only retry network errors
@@ -149,42 +141,20 @@ class ZoomApiRateLimiter {
   }
 
   /**
-   * Get or cache access token with rate limiting
-   * @param {Function} tokenGenerator - Function to generate new token
-   * @returns {Promise<string>} - Access token
+   * Wait requested by a 429 response's Retry-After header
+   * Zoom sends either seconds or, for daily limits, the time the limit resets.
+   * @param {Error} error - Axios error
+   * @returns {number|null} - Milliseconds to wait, or null without a usable header
    */
-  async getAccessToken(tokenGenerator) {
-    // Check cache first
-    const cachedToken = this.tokenCache.get('zoom_access_token');
-    if (cachedToken && (Date.now() - cachedToken.timestamp < 3300000)) {
-      console.log('🎟️ Using cached access token');
-      return cachedToken.token;
-    }
-    
-    // Simple rate limiting for token requests (minimum 1 minute between requests)
-    const now = Date.now();
-    const timeSinceLastToken = now - this.lastTokenRequest;
-    if (timeSinceLastToken < 60000) {
-      await this.sleep(60000 - timeSinceLastToken);
-    }
-    
-    this.lastTokenRequest = Date.now();
-    
-    // Generate new token
-    try {
-      console.log('🔄 Generating new access token...');
-      const token = await tokenGenerator();
-      
-      // Cache the token
-      this.tokenCache.set('zoom_access_token', { token, timestamp: Date.now() });
-      console.log('✅ New access token generated and cached');
-      
-      return token;
-      
-    } catch (error) {
-      console.error('❌ Failed to generate access token:', error.message);
-      throw error;
-    }
+  getRetryAfterMs(error) {
+    const retryAfter = error.response?.headers?.['retry-after'];
+    if (retryAfter === undefined || retryAfter === null || retryAfter === '') return null;
+
+    const seconds = Number(retryAfter);
+    if (!isNaN(seconds)) return Math.max(seconds * 1000, 0);
+
+    const resetAt = Date.parse(retryAfter);
+    return isNaN(resetAt) ? null : Math.max(resetAt - Date.now(), 0);
   }
 
   /**
@@ -224,13 +194,7 @@ class ZoomApiRateLimiter {
    * @returns {Object} - Rate limiter statistics
    */
   getStats() {
-    return {
-      ...this.stats,
-      cacheStats: {
-        tokens: this.tokenCache.size,
-        responses: this.responseCache.size
-      }
-    };
+    return { ...this.stats };
   }
 
   /**
@@ -247,11 +211,10 @@ class ZoomApiRateLimiter {
   }
 
   /**
-   * Clear all caches
+   * Clear the cached responses of every instance
    */
-  clearCaches() {
-    this.tokenCache.clear();
-    this.responseCache.clear();
+  async clearCaches() {
+    await getQueueStore().clearCache();
     console.log('🧹 All caches cleared');
   }
 }
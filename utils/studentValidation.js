@@ -0,0 +1,184 @@
+const { body, validationResult } = require('express-validator');
+const Student = require('../models/Student');
+const departmentService = require('../services/departmentService');
+const studentFieldService = require('../services/studentFieldService');
+
+/**
+ * Student field rules shared by POST /createstudents and the bulk import,
+ * so a row in a spreadsheet is held to exactly the same rules as a form.
+ */
+
+const isValidTime = (value) => /^([01]?[0-9]|2[0-3]):([0-5]?[0-9])$/.test(value);
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const dayName = (dayOfWeek) => DAYS[dayOfWeek][0].toUpperCase() + DAYS[dayOfWeek].slice(1);
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// "9:5" -> "09:05"
+const normalizeTime = (time) => {
+  const [hours, minutes] = String(time).trim().split(':');
+  return `${pad(Number(hours))}:${pad(Number(minutes))}`;
+};
+
+/**
+ * Parse a schedule given as shifts or as text ("Mon 09:00-17:00; Tue 10:00-14:00")
+ * @returns {Object} - { shifts } or { error }
+ */
+function parseSchedule(value) {
+  if (value === undefined || value === null || value === '') return { shifts: [] };
+
+  let entries = value;
+  if (typeof value === 'string') {
+    entries = [];
+    for (const part of value.split(/[;,\n]/).map(text => text.trim()).filter(Boolean)) {
+      const match = part.match(/^([a-z]{3})[a-z]*\.?\s+(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/i);
+      if (!match || !DAYS.includes(match[1].toLowerCase())) {
+        return { error: `Invalid shift "${part}" (expected e.g. "Mon 09:00-17:00")` };
+      }
+      entries.push({ dayOfWeek: DAYS.indexOf(match[1].toLowerCase()), start: match[2], end: match[3] });
+    }
+  }
+
+  if (!Array.isArray(entries)) {
+    return { error: 'schedule must be a list of shifts' };
+  }
+
+  const shifts = [];
+  for (const entry of entries) {
+    const dayOfWeek = Number(entry?.dayOfWeek);
+    if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+      return { error: 'dayOfWeek must be 0 (Sunday) to 6 (Saturday)' };
+    }
+    if (!isValidTime(entry.start) || !isValidTime(entry.end)) {
+      return { error: 'Shift start and end must be HH:mm' };
+    }
+
+    const shift = { dayOfWeek, start: normalizeTime(entry.start), end: normalizeTime(entry.end) };
+    if (shift.end <= shift.start) {
+      return { error: `Shift on ${dayName(dayOfWeek)} must end after it starts` };
+    }
+    if (shifts.some(other => other.dayOfWeek === dayOfWeek && other.start < shift.end && shift.start < other.end)) {
+      return { error: `Shifts on ${dayName(dayOfWeek)} overlap` };
+    }
+    shifts.push(shift);
+  }
+
+  return { shifts: shifts.sort((a, b) => a.dayOfWeek - b.dayOfWeek || a.start.localeCompare(b.start)) };
+}
+
+// Shifts -> "Mon 09:00-17:00; Tue 09:00-17:00"
+function formatSchedule(shifts = []) {
+  return shifts.map(shift => `${dayName(shift.dayOfWeek)} ${shift.start}-${shift.end}`).join('; ');
+}
+
+const assertDepartment = async (value) => {
+  if (!await departmentService.isAssignable(value)) {
+    throw new Error('Invalid Department');
+  }
+  return true;
+};
+
+const assertSchedule = (value) => {
+  const { error } = parseSchedule(value);
+  if (error) throw new Error(error);
+  return true;
+};
+
+const assertCustomFields = async (value, { req }) => {
+  const { errors } = await studentFieldService.validate(value || {}, req.body.Department);
+  if (errors.length > 0) throw new Error(errors.join('; '));
+  return true;
+};
+
+const studentRules = [
+  body('FirstName').notEmpty().withMessage('FirstName is required'),
+  body('LastName').notEmpty().withMessage('LastName is required'),
+  body('Email').isEmail().withMessage('Invalid Email format').notEmpty().withMessage('Email is required'),
+  body('PhoneNumber').matches(/^\d{10,15}$/).withMessage('Phone number must be 10-15 digits'),
+  body('DateOfBirth').isISO8601().withMessage('DateOfBirth must be in YYYY-MM-DD format'),
+  body('Gender').isIn(['Male', 'Female', 'Other']).withMessage('Invalid Gender'),
+  body('Department').notEmpty().withMessage('Department is required').bail().custom(assertDepartment),
+  body('schedule').optional().custom(assertSchedule),
+  // Legacy single shift, converted to a weekday schedule when no schedule is given
+  body('TimeIn').optional({ values: 'falsy' }).custom(isValidTime).withMessage('Invalid TimeIn format'),
+  body('TimeOut').optional({ values: 'falsy' }).custom(isValidTime).withMessage('Invalid TimeOut format'),
+  body('customFields').custom(assertCustomFields),
+];
+
+// Partial updates: only the fields present are checked (customFields are
+// checked by the route against the stored department)
+const studentUpdateRules = [
+  body('Email').optional().isEmail().withMessage('Invalid Email format'),
+  body('PhoneNumber').optional().matches(/^\d{10,15}$/).withMessage('Phone number must be 10-15 digits'),
+  body('DateOfBirth').optional().isISO8601().withMessage('DateOfBirth must be in YYYY-MM-DD format'),
+  body('Gender').optional().isIn(['Male', 'Female', 'Other']).withMessage('Invalid Gender'),
+  body('Department').optional().custom(assertDepartment),
+  body('schedule').optional().custom(assertSchedule),
+  body('TimeIn').optional({ values: 'falsy' }).custom(isValidTime).withMessage('Invalid TimeIn format'),
+  body('TimeOut').optional({ values: 'falsy' }).custom(isValidTime).withMessage('Invalid TimeOut format'),
+];
+
+// Imported rows are matched on StudentID, so it is required there
+const importRules = [
+  body('StudentID').isInt({ min: 1 }).withMessage('StudentID must be a positive whole number'),
+  ...studentRules,
+];
+
+// "HH:mm" -> today's date at that time
+const parseTime = (time) => {
+  if (time) {
+    const today = new Date().toISOString().split('T')[0];
+    return new Date(`${today}T${normalizeTime(time)}:00`);
+  }
+  return undefined;
+};
+
+/**
+ * Turn validated input into stored Student fields: the schedule is parsed
+ * (or derived from a legacy TimeIn/TimeOut) and custom fields are typed
+ * @param {Object} input - Validated request body / import row
+ * @param {string} department - Department the custom fields are checked against
+ */
+async function toStudentFields(input, department = input.Department) {
+  const { TimeIn, TimeOut, schedule, customFields, ...fields } = input;
+
+  if (schedule !== undefined) {
+    fields.schedule = parseSchedule(schedule).shifts;
+  } else if (TimeIn) {
+    fields.schedule = Student.scheduleFromLegacy(parseTime(TimeIn), parseTime(TimeOut));
+  }
+  if (TimeIn) fields.TimeIn = parseTime(TimeIn);
+  if (TimeOut) fields.TimeOut = parseTime(TimeOut);
+
+  if (customFields !== undefined) {
+    fields.customFields = (await studentFieldService.validate(customFields || {}, department)).values;
+  }
+
+  return fields;
+}
+
+/**
+ * Run the import rules against one row outside of a request
+ * @param {Object} row - Field values keyed by Student field name
+ * @returns {Array} - [{ field, message }], empty when the row is valid
+ */
+async function validateStudentRow(row) {
+  const req = { body: row };
+  await Promise.all(importRules.map(rule => rule.run(req)));
+
+  return validationResult(req).array().map(error => ({ field: error.path, message: error.msg }));
+}
+
+module.exports = {
+  isValidTime,
+  studentRules,
+  studentUpdateRules,
+  importRules,
+  parseTime,
+  parseSchedule,
+  formatSchedule,
+  toStudentFields,
+  validateStudentRow,
+};
@@ -2,167 +2,187 @@ const ZoomMeeting = require('../models/ZoomMeeting');
 const Participant = require('../models/Participant');
 const AttendanceSession = require('../models/AttendanceSession');
 
+const MINUTE = 60 * 1000;
+
+/**
+ * Fields of the debug test meeting: 90 minutes scheduled, 80 attended
+ * @param {number} now - Time the data is generated for, in milliseconds
+ */
+const buildTestMeeting = (now = Date.now()) => ({
+  meetingId: 'TEST-MEETING-12345',
+  meetingUuid: 'TEST-UUID-12345-ABCDEF',
+  topic: 'Test Meeting for Attendance Debug',
+  hostId: 'test-host-id',
+  hostEmail: 'host@test.com',
+  type: 2,
+  status: 'ended',
+  startTime: new Date(now - 90 * MINUTE), // 90 minutes ago
+  actualStartTime: new Date(now - 85 * MINUTE), // 85 minutes ago
+  endTime: new Date(now - 5 * MINUTE), // 5 minutes ago
+  actualEndTime: new Date(now - 5 * MINUTE),
+  duration: 90, // 90 minutes scheduled
+  actualDuration: 80, // 80 minutes actual
+  joinUrl: 'https://zoom.us/j/test-meeting-12345',
+  startUrl: 'https://zoom.us/s/test-meeting-12345',
+  attendanceGenerated: true,
+  attendanceGeneratedAt: new Date(now),
+  reportGenerated: true,
+  reportGeneratedAt: new Date(now)
+});
+
+/**
+ * Test participants with varying attendance patterns
+ * @param {string} meetingId - Meeting the participants belong to
+ * @param {number} now - Time the data is generated for, in milliseconds
+ */
+const buildTestParticipants = (meetingId, now = Date.now()) => [
+  {
+    participantName: 'John Doe',
+    participantId: 'participant-001',
+    email: 'john.doe@test.com',
+    meetingId,
+    joinTime: new Date(now - 80 * MINUTE), // Joined 80 min ago
+    leaveTime: new Date(now - 10 * MINUTE), // Left 10 min ago
+    duration: 70, // 70 minutes = 87.5% attendance
+    attendanceStatus: 'Present',
+    isActive: false,
+    studentFirstName: 'John',
+    studentLastName: 'Doe',
+    studentId: 1001,
+    studentEmail: 'john.doe@student.edu',
+    studentDepartment: 'Computer Science'
+  },
+  {
+    participantName: 'Jane Smith',
+    participantId: 'participant-002',
+    email: 'jane.smith@test.com',
+    meetingId,
+    joinTime: new Date(now - 75 * MINUTE), // Joined 75 min ago
+    leaveTime: new Date(now - 15 * MINUTE), // Left 15 min ago
+    duration: 60, // 60 minutes = 75% attendance
+    attendanceStatus: 'Partial',
+    isActive: false,
+    studentFirstName: 'Jane',
+    studentLastName: 'Smith',
+    studentId: 1002,
+    studentEmail: 'jane.smith@student.edu',
+    studentDepartment: 'Mathematics'
+  },
+  {
+    participantName: 'Bob Wilson',
+    participantId: 'participant-003',
+    email: 'bob.wilson@test.com',
+    meetingId,
+    joinTime: new Date(now - 25 * MINUTE), // Joined 25 min ago
+    leaveTime: new Date(now - 20 * MINUTE), // Left 20 min ago
+    duration: 5, // 5 minutes = 6.25% attendance
+    attendanceStatus: 'Absent',
+    isActive: false,
+    studentFirstName: 'Bob',
+    studentLastName: 'Wilson',
+    studentId: 1003,
+    studentEmail: 'bob.wilson@student.edu',
+    studentDepartment: 'Physics'
+  },
+  {
+    participantName: 'Alice Johnson',
+    participantId: 'participant-004',
+    email: 'alice.johnson@test.com',
+    meetingId,
+    joinTime: new Date(now - 78 * MINUTE), // Joined 78 min ago
+    leaveTime: null, // Still in meeting
+    duration: 73, // 73+ minutes = 91%+ attendance
+    attendanceStatus: 'In Progress',
+    isActive: true,
+    studentFirstName: 'Alice',
+    studentLastName: 'Johnson',
+    studentId: 1004,
+    studentEmail: 'alice.johnson@student.edu',
+    studentDepartment: 'Biology'
+  }
+];
+
+/**
+ * Attendance sessions for the participants of buildTestParticipants, in the
+ * same order, including join/leave cycles
+ * @param {Array} participantIds - Saved participant _ids
+ * @param {string} meetingId - Meeting the sessions belong to
+ * @param {number} now - Time the data is generated for, in milliseconds
+ */
+const buildTestSessions = (participantIds, meetingId, now = Date.now()) => [
+  // John Doe - single session (good attendance)
+  {
+    participantId: participantIds[0],
+    meetingId,
+    joinTime: new Date(now - 80 * MINUTE),
+    leaveTime: new Date(now - 10 * MINUTE),
+    duration: 70,
+    isActive: false,
+    sessionType: 'regular'
+  },
+  // Jane Smith - two sessions (moderate attendance)
+  {
+    participantId: participantIds[1],
+    meetingId,
+    joinTime: new Date(now - 75 * MINUTE),
+    leaveTime: new Date(now - 50 * MINUTE),
+    duration: 25,
+    isActive: false,
+    sessionType: 'regular'
+  },
+  {
+    participantId: participantIds[1],
+    meetingId,
+    joinTime: new Date(now - 40 * MINUTE),
+    leaveTime: new Date(now - 15 * MINUTE),
+    duration: 25,
+    isActive: false,
+    sessionType: 'reconnection'
+  },
+  // Bob Wilson - single short session (poor attendance)
+  {
+    participantId: participantIds[2],
+    meetingId,
+    joinTime: new Date(now - 25 * MINUTE),
+    leaveTime: new Date(now - 20 * MINUTE),
+    duration: 5,
+    isActive: false,
+    sessionType: 'regular'
+  },
+  // Alice Johnson - ongoing session (excellent attendance)
+  {
+    participantId: participantIds[3],
+    meetingId,
+    joinTime: new Date(now - 78 * MINUTE),
+    leaveTime: null,
+    duration: null, // Will be calculated
+    isActive: true,
+    sessionType: 'regular'
+  }
+];
+
 /**
  * Generate test data for Zoom attendance debugging
  */
 const generateTestData = async () => {
   try {
     console.log('🧪 Generating test data for Zoom attendance...');
+    const now = Date.now();
 
     // Create a test meeting
-    const testMeeting = new ZoomMeeting({
-      meetingId: 'TEST-MEETING-12345',
-      meetingUuid: 'TEST-UUID-12345-ABCDEF',
-      topic: 'Test Meeting for Attendance Debug',
-      hostId: 'test-host-id',
-      hostEmail: 'host@test.com',
-      type: 2,
-      status: 'ended',
-      startTime: new Date(Date.now() - 90 * 60 * 1000), // 90 minutes ago
-      actualStartTime: new Date(Date.now() - 85 * 60 * 1000), // 85 minutes ago
-      endTime: new Date(Date.now() - 5 * 60 * 1000), // 5 minutes ago
-      actualEndTime: new Date(Date.now() - 5 * 60 * 1000),
-      duration: 90, // 90 minutes scheduled
-      actualDuration: 80, // 80 minutes actual
-      joinUrl: 'https://zoom.us/j/test-meeting-12345',
-      startUrl: 'https://zoom.us/s/test-meeting-12345',
-      attendanceGenerated: true,
-      attendanceGeneratedAt: new Date(),
-      reportGenerated: true,
-      reportGeneratedAt: new Date()
-    });
+    const testMeeting = new ZoomMeeting(buildTestMeeting(now));
 
     await testMeeting.save();
     console.log('✅ Created test meeting:', testMeeting.meetingId);
 
     // Create test participants with varying attendance patterns
-    const testParticipants = [
-      {
-        participantName: 'John Doe',
-        participantId: 'participant-001',
-        email: 'john.doe@test.com',
-        meetingId: testMeeting.meetingId,
-        joinTime: new Date(Date.now() - 80 * 60 * 1000), // Joined 80 min ago
-        leaveTime: new Date(Date.now() - 10 * 60 * 1000), // Left 10 min ago
-        duration: 70, // 70 minutes = 87.5% attendance
-        attendanceStatus: 'Present',
-        isActive: false,
-        studentFirstName: 'John',
-        studentLastName: 'Doe',
-        studentId: 1001,
-        studentEmail: 'john.doe@student.edu',
-        studentDepartment: 'Computer Science'
-      },
-      {
-        participantName: 'Jane Smith',
-        participantId: 'participant-002',
-        email: 'jane.smith@test.com',
-        meetingId: testMeeting.meetingId,
-        joinTime: new Date(Date.now() - 75 * 60 * 1000), // Joined 75 min ago
-        leaveTime: new Date(Date.now() - 15 * 60 * 1000), // Left 15 min ago
-        duration: 60, // 60 minutes = 75% attendance
-        attendanceStatus: 'Partial',
-        isActive: false,
-        studentFirstName: 'Jane',
-        studentLastName: 'Smith',
-        studentId: 1002,
-        studentEmail: 'jane.smith@student.edu',
-        studentDepartment: 'Mathematics'
-      },
-      {
-        participantName: 'Bob Wilson',
-        participantId: 'participant-003',
-        email: 'bob.wilson@test.com',
-        meetingId: testMeeting.meetingId,
-        joinTime: new Date(Date.now() - 25 * 60 * 1000), // Joined 25 min ago
-        leaveTime: new Date(Date.now() - 20 * 60 * 1000), // Left 20 min ago
-        duration: 5, // 5 minutes = 6.25% attendance
-        attendanceStatus: 'Absent',
-        isActive: false,
-        studentFirstName: 'Bob',
-        studentLastName: 'Wilson',
-        studentId: 1003,
-        studentEmail: 'bob.wilson@student.edu',
-        studentDepartment: 'Physics'
-      },
-      {
-        participantName: 'Alice Johnson',
-        participantId: 'participant-004',
-        email: 'alice.johnson@test.com',
-        meetingId: testMeeting.meetingId,
-        joinTime: new Date(Date.now() - 78 * 60 * 1000), // Joined 78 min ago
-        leaveTime: null, // Still in meeting
-        duration: 73, // 73+ minutes = 91%+ attendance
-        attendanceStatus: 'In Progress',
-        isActive: true,
-        studentFirstName: 'Alice',
-        studentLastName: 'Johnson',
-        studentId: 1004,
-        studentEmail: 'alice.johnson@student.edu',
-        studentDepartment: 'Biology'
-      }
-    ];
-
-    const participants = await Participant.insertMany(testParticipants);
+    const participants = await Participant.insertMany(buildTestParticipants(testMeeting.meetingId, now));
     console.log(`✅ Created ${participants.length} test participants`);
 
     // Create attendance sessions for participants with multiple join/leave cycles
-    const attendanceSessions = [];
-
-    // John Doe - single session (good attendance)
-    attendanceSessions.push({
-      participantId: participants[0]._id,
-      meetingId: testMeeting.meetingId,
-      joinTime: new Date(Date.now() - 80 * 60 * 1000),
-      leaveTime: new Date(Date.now() - 10 * 60 * 1000),
-      duration: 70,
-      isActive: false,
-      sessionType: 'regular'
-    });
-
-    // Jane Smith - two sessions (moderate attendance)
-    attendanceSessions.push({
-      participantId: participants[1]._id,
-      meetingId: testMeeting.meetingId,
-      joinTime: new Date(Date.now() - 75 * 60 * 1000),
-      leaveTime: new Date(Date.now() - 50 * 60 * 1000),
-      duration: 25,
-      isActive: false,
-      sessionType: 'regular'
-    });
-    attendanceSessions.push({
-      participantId: participants[1]._id,
-      meetingId: testMeeting.meetingId,
-      joinTime: new Date(Date.now() - 40 * 60 * 1000),
-      leaveTime: new Date(Date.now() - 15 * 60 * 1000),
-      duration: 25,
-      isActive: false,
-      sessionType: 'reconnection'
-    });
-
-    // Bob Wilson - single short session (poor attendance)
-    attendanceSessions.push({
-      participantId: participants[2]._id,
-      meetingId: testMeeting.meetingId,
-      joinTime: new Date(Date.now() - 25 * 60 * 1000),
-      leaveTime: new Date(Date.now() - 20 * 60 * 1000),
-      duration: 5,
-      isActive: false,
-      sessionType: 'regular'
-    });
-
-    // Alice Johnson - ongoing session (excellent attendance)
-    attendanceSessions.push({
-      participantId: participants[3]._id,
-      meetingId: testMeeting.meetingId,
-      joinTime: new Date(Date.now() - 78 * 60 * 1000),
-      leaveTime: null,
-      duration: null, // Will be calculated
-      isActive: true,
-      sessionType: 'regular'
-    });
-
-    const sessions = await AttendanceSession.insertMany(attendanceSessions);
+    const sessions = await AttendanceSession.insertMany(
+      buildTestSessions(participants.map(participant => participant._id), testMeeting.meetingId, now)
+    );
     console.log(`✅ Created ${sessions.length} attendance sessions`);
 
     console.log('🎉 Test data generation completed!');
@@ -317,6 +337,9 @@ const cleanupTestData = async () => {
 };
 
 module.exports = {
+  buildTestMeeting,
+  buildTestParticipants,
+  buildTestSessions,
   generateTestData,
   generateTestDataForMeeting,
   cleanupTestData
@@ -1,115 +1,168 @@
 /**
  * ZoomRequestQueue - Manages a queue of Zoom API requests to prevent rate limiting
- * 
- * This class provides a queue-based approach to handling Zoom API requests,
- * ensuring that requests are processed in a controlled manner to avoid hitting rate limits.
+ *
+ * Requests are described as plain data ({ method, path, params, data }) and
+ * kept in the shared queue store (utils/queueStore.js), so queued work
+ * survives a restart and every instance feeds the same queue. Only the
+ * instance elected leader drains it; callers on other instances wait for the
+ * stored result. Rate limit spacing per Zoom category and cached responses
+ * live in the store as well, so the limits hold for all instances together.
+ *
+ * The code that actually calls Zoom registers itself with setExecutor()
+ * (services/zoomClient.js).
  */
 
 const rateLimiter = require('./rateLimiter');
+const LeaderElection = require('./leaderElection');
+const { getQueueStore } = require('./queueStore');
+
+const QUEUE_NAME = 'zoom-api';
+// How often the leader looks for work queued by other instances, and waiting callers check for results
+const POLL_INTERVAL_MS = 1000;
+// A claimed request not finished within this time is handed to the next leader
+const JOB_LOCK_MS = 5 * 60 * 1000;
+// Longest a caller waits for a queued request
+const RESULT_WAIT_MS = 5 * 60 * 1000;
+
+// The part of an error a caller on another instance needs
+function serializeError(error) {
+  return {
+    message: error.message,
+    code: error.code,
+    status: error.response?.status,
+    data: error.response?.data
+  };
+}
+
+// Rebuild a stored error shaped like the axios error the leader saw
+function deserializeError(stored = {}) {
+  const error = new Error(stored.message || 'Queued Zoom request failed');
+  if (stored.code) error.code = stored.code;
+  if (stored.status) {
+    error.response = { status: stored.status, data: stored.data, headers: {} };
+  }
+  return error;
+}
 
 class ZoomRequestQueue {
   constructor(options = {}) {
-    this.queue = [];
-    this.isProcessing = false;
     this.concurrentLimit = options.concurrentLimit || 1;
     this.activeRequests = 0;
-    this.defaultTimeout = options.defaultTimeout || 15000;
+    this.isDraining = false;
     this.defaultRetryCount = options.defaultRetryCount || 3;
     this.defaultPriority = 5; // Medium priority (1-10 scale, 1 being highest)
-    
-    // Categories for different rate limits
+    this.store = options.store || null;
+    this.executor = null;
+
+    // Callers in this process waiting for a queued request, by job id
+    this.waiters = new Map();
+
+    // Zoom's rate limit categories (Pro plan), as minimum spacing between requests
     this.categoryIntervals = {
-      // Per-user limits
-      meeting: 1000,      // 1 request per second
-      report: 2000,       // 1 request per 2 seconds
-      webinar: 1000,      // 1 request per second
-      user: 1000,         // 1 request per second
-      default: 500        // Default interval between requests
-    };
-    
-    // Track last request time by category
-    this.lastRequestTime = {
-      meeting: 0,
-      report: 0,
-      webinar: 0,
-      user: 0,
-      default: 0
+      light: 34,                  // 30 requests per second
+      medium: 50,                 // 20 requests per second
+      heavy: 100,                 // 10 requests per second
+      resource_intensive: 6000,   // 10 requests per minute
+      default: 500                // Default interval between requests
     };
-    
+
+    this.election = new LeaderElection('zoom-request-queue', {
+      store: this.store,
+      instanceId: options.instanceId
+    });
+    this.election.on('elected', () => this.drain());
+    this.pollTimer = null;
+
     this.stats = {
       totalQueued: 0,
       totalProcessed: 0,
       totalErrors: 0,
       avgWaitTime: 0,
       totalWaitTime: 0,
-      maxQueueLength: 0,
       rateLimitedRequests: 0,
       lastReset: new Date()
     };
-    
-    // Process queue periodically
-    setInterval(() => {
-      if (this.queue.length > 0 && !this.isProcessing) {
-        this.processQueue();
-      }
-    }, 200);
   }
-  
+
+  getStore() {
+    return this.store || getQueueStore();
+  }
+
+  /**
+   * Register the function that sends a request to Zoom
+   * @param {Function} executor - (request) => Promise resolving with the response body
+   */
+  setExecutor(executor) {
+    this.executor = executor;
+  }
+
+  /**
+   * Join the leader election and, while leader, drain the queue.
+   * Called at server start so work queued before a restart is picked up;
+   * enqueue() also starts it on first use.
+   */
+  start() {
+    if (this.pollTimer) return;
+    this.pollTimer = setInterval(() => this.drain(), POLL_INTERVAL_MS);
+    this.pollTimer.unref();
+    this.election.start();
+  }
+
+  async stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    await this.election.stop();
+  }
+
   /**
    * Add a request to the queue
-   * @param {Function} requestFn - Function that returns a promise (the API call)
+   * @param {Object} request - { method, path, params, data, timeout }, plain JSON
    * @param {Object} options - Request options
    * @returns {Promise} - Promise that resolves with the API response
    */
-  async enqueue(requestFn, options = {}) {
+  async enqueue(request, options = {}) {
     const {
       category = 'default',
       priority = this.defaultPriority,
-      timeout = this.defaultTimeout,
       retryCount = this.defaultRetryCount,
       skipQueue = false,
       cacheKey = null,
       cacheTTL = 300, // 5 minutes
-      isReportsCall = category === 'report',
-      enableCache = true,
-      identifier = `req-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`
+      isReportsCall = category === 'resource_intensive',
+      identifier = `${request.method.toUpperCase()} ${request.path}`
     } = options;
-    
-    // Update stats
+
     this.stats.totalQueued++;
-    this.stats.maxQueueLength = Math.max(this.stats.maxQueueLength, this.queue.length + 1);
-    
-    // If cache is enabled and we have a cache key, check the cache first
-    if (enableCache && cacheKey) {
-      try {
-        // Use the rateLimiter's cache
-        const cachedResult = await this.checkCache(cacheKey, cacheTTL);
-        if (cachedResult) {
-          return cachedResult;
-        }
-      } catch (error) {
-        console.warn(`Cache check failed for ${identifier}:`, error.message);
+
+    // Check the shared cache first
+    if (cacheKey) {
+      const cachedResult = await this.checkCache(cacheKey);
+      if (cachedResult) {
+        return cachedResult;
       }
     }
-    
+
+    const job = {
+      request,
+      category,
+      retryCount,
+      cacheKey,
+      cacheTTL,
+      isReportsCall,
+      identifier
+    };
+
     // Skip queue for high priority or if requested
     if (skipQueue || priority === 1) {
       try {
         // Still respect rate limits
         await this.waitForRateLimit(category);
-        
+
         // Execute directly
-        const result = await this.executeRequest(requestFn, {
-          category,
-          timeout,
-          retryCount,
-          cacheKey,
-          cacheTTL,
-          isReportsCall,
-          enableCache,
-          identifier
-        });
-        
+        const result = await this.executeRequest(job);
+
         this.stats.totalProcessed++;
         return result;
       } catch (error) {
@@ -117,277 +170,298 @@ class ZoomRequestQueue {
         throw error;
       }
     }
-    
-    // Create promise to return to caller
+
+    this.start();
+    const queued = await this.getStore().enqueueJob(QUEUE_NAME, job, { priority });
+    console.log(`📋 Request queued (${identifier}): job ${queued.id}`);
+
+    const result = this.waitForResult(queued.id);
+    this.drain();
+    return result;
+  }
+
+  /**
+   * Wait for a queued request to finish. The leader settles waiters in its own
+   * process directly; on other instances the stored job is polled.
+   * @param {string} jobId - Queued job id
+   * @returns {Promise} - Promise that resolves with the API response
+   */
+  waitForResult(jobId) {
     return new Promise((resolve, reject) => {
-      // Queue time tracking
-      const queuedAt = Date.now();
-      
-      // Add to queue
-      this.queue.push({
-        requestFn,
-        category,
-        priority,
-        timeout,
-        retryCount,
-        cacheKey,
-        cacheTTL,
-        isReportsCall,
-        enableCache,
-        identifier,
-        queuedAt,
-        resolve,
-        reject
-      });
-      
-      // Sort queue by priority
-      this.queue.sort((a, b) => a.priority - b.priority);
-      
-      // Start processing if not already processing
-      if (!this.isProcessing && this.activeRequests < this.concurrentLimit) {
-        this.processQueue();
-      }
-      
-      // Log queue status
-      console.log(`📋 Request queued (${identifier}): ${this.queue.length} items in queue, ${this.activeRequests} active`);
+      const waiter = {};
+
+      waiter.settle = (error, result) => {
+        clearInterval(waiter.pollTimer);
+        clearTimeout(waiter.deadline);
+        this.waiters.delete(jobId);
+        if (error) reject(error);
+        else resolve(result);
+      };
+
+      waiter.pollTimer = setInterval(async () => {
+        try {
+          const job = await this.getStore().getJob(jobId);
+          if (!job) {
+            waiter.settle(new Error(`Queued Zoom request ${jobId} no longer exists`));
+          } else if (job.status === 'completed') {
+            waiter.settle(null, job.result);
+          } else if (job.status === 'failed') {
+            waiter.settle(deserializeError(job.error));
+          } else if (job.status === 'cancelled') {
+            waiter.settle(new Error(`Queued Zoom request ${jobId} was cancelled`));
+          }
+        } catch (error) {
+          console.warn(`Could not check queued Zoom request ${jobId}:`, error.message);
+        }
+      }, POLL_INTERVAL_MS);
+
+      waiter.deadline = setTimeout(async () => {
+        try {
+          await this.getStore().cancelJob(jobId);
+        } catch (error) {
+          console.warn(`Could not cancel queued Zoom request ${jobId}:`, error.message);
+        }
+        waiter.settle(new Error(`Timed out waiting for queued Zoom request ${jobId}`));
+      }, RESULT_WAIT_MS);
+
+      this.waiters.set(jobId, waiter);
     });
   }
-  
+
   /**
-   * Process the next items in the queue
+   * Claim and run queued requests while this instance is leader
    */
-  async processQueue() {
-    // If already processing or queue empty, do nothing
-    if (this.isProcessing || this.queue.length === 0 || this.activeRequests >= this.concurrentLimit) {
+  async drain() {
+    if (this.isDraining || !this.election.isLeader || !this.executor) {
       return;
     }
-    
-    this.isProcessing = true;
-    
+
+    this.isDraining = true;
+
     try {
-      // Process up to concurrentLimit requests at once
-      const availableSlots = this.concurrentLimit - this.activeRequests;
-      const itemsToProcess = Math.min(availableSlots, this.queue.length);
-      
-      if (itemsToProcess <= 0) {
-        this.isProcessing = false;
-        return;
-      }
-      
-      // Process multiple items concurrently
-      const processingItems = [];
-      
-      for (let i = 0; i < itemsToProcess; i++) {
-        const item = this.queue.shift();
-        if (item) {
-          processingItems.push(this.processItem(item));
-        }
+      while (this.election.isLeader && this.activeRequests < this.concurrentLimit) {
+        const job = await this.getStore().claimJob(QUEUE_NAME, this.election.instanceId, JOB_LOCK_MS);
+        if (!job) break;
+        this.processJob(job);
       }
-      
-      // Wait for all to complete
-      await Promise.all(processingItems);
-      
     } catch (error) {
-      console.error('Queue processing error:', error);
+      console.error('Queue processing error:', error.message);
     } finally {
-      this.isProcessing = false;
-      
-      // If there are more items and slots available, continue processing
-      if (this.queue.length > 0 && this.activeRequests < this.concurrentLimit) {
-        setImmediate(() => this.processQueue());
-      }
+      this.isDraining = false;
     }
   }
-  
+
   /**
-   * Process a single queue item
-   * @param {Object} item - Queue item
+   * Run a claimed job and store its outcome
+   * @param {Object} job - Job from the queue store
    */
-  async processItem(item) {
-    const {
-      requestFn,
-      category,
-      timeout,
-      retryCount,
-      cacheKey,
-      cacheTTL,
-      isReportsCall,
-      enableCache,
-      identifier,
-      queuedAt,
-      resolve,
-      reject
-    } = item;
-    
+  async processJob(job) {
+    const { request, category, identifier } = job.payload;
+
     this.activeRequests++;
-    
+
     try {
       // Calculate wait time
-      const waitTime = Date.now() - queuedAt;
+      const waitTime = Date.now() - new Date(job.createdAt).getTime();
       this.stats.totalWaitTime += waitTime;
-      this.stats.avgWaitTime = this.stats.totalWaitTime / this.stats.totalProcessed;
-      
+      this.stats.avgWaitTime = this.stats.totalWaitTime / Math.max(this.stats.totalProcessed, 1);
+
       console.log(`⏳ Processing queued request (${identifier}): waited ${waitTime}ms`);
-      
+
+      // A claim taken over from an instance that died mid-request: the request
+      // may already have reached Zoom, so only repeat it when that is harmless
+      if (job.attempts > 1 && request.method.toLowerCase() === 'post') {
+        throw new Error(`${identifier} was interrupted and is not retried because it is not idempotent`);
+      }
+
       // Wait for rate limit
       await this.waitForRateLimit(category);
-      
+
       // Execute the request
-      const result = await this.executeRequest(requestFn, {
-        category,
-        timeout,
-        retryCount,
-        cacheKey,
-        cacheTTL,
-        isReportsCall,
-        enableCache,
-        identifier
-      });
-      
+      const result = await this.executeRequest(job.payload);
+
       // Update stats
       this.stats.totalProcessed++;
-      
-      // Resolve the promise
-      resolve(result);
-      
+
+      this.settle(job.id, null, result);
+      await this.getStore().completeJob(job.id, result).catch(error => {
+        console.warn(`Could not store result of ${identifier}:`, error.message);
+      });
+
     } catch (error) {
       // Update stats
       this.stats.totalErrors++;
-      
+
       if (error.response?.status === 429) {
         this.stats.rateLimitedRequests++;
       }
-      
-      // Reject the promise
-      reject(error);
-      
+
+      this.settle(job.id, error);
+      await this.getStore().failJob(job.id, serializeError(error)).catch(storeError => {
+        console.warn(`Could not store failure of ${identifier}:`, storeError.message);
+      });
+
     } finally {
       this.activeRequests--;
-      
+
       // Try to process more from queue
-      if (this.queue.length > 0 && !this.isProcessing && this.activeRequests < this.concurrentLimit) {
-        setImmediate(() => this.processQueue());
-      }
+      setImmediate(() => this.drain());
     }
   }
-  
+
+  // Hand the outcome to a caller in this process first, keeping the original error
+  settle(jobId, error, result) {
+    const waiter = this.waiters.get(jobId);
+    if (waiter) waiter.settle(error, result);
+  }
+
   /**
    * Wait for rate limit to expire
    * @param {string} category - API category
    * @returns {Promise} - Promise that resolves when it's safe to make the request
    */
   async waitForRateLimit(category) {
-    const now = Date.now();
     const interval = this.categoryIntervals[category] || this.categoryIntervals.default;
-    const lastRequest = this.lastRequestTime[category] || 0;
-    const timeSinceLastRequest = now - lastRequest;
-    
-    if (timeSinceLastRequest < interval) {
-      const delay = interval - timeSinceLastRequest;
+    const delay = await this.getStore().takeRateLimitSlot(`zoom:${category}`, interval);
+
+    if (delay > 0) {
       console.log(`⏱️ Rate limit wait for ${category}: ${delay}ms`);
       await new Promise(resolve => setTimeout(resolve, delay));
     }
-    
-    this.lastRequestTime[category] = Date.now();
   }
-  
+
   /**
-   * Execute the API request with timeout and retries
-   * @param {Function} requestFn - Function that returns a promise (the API call)
-   * @param {Object} options - Request options
+   * Hold back every request in a category, e.g. after Zoom answered 429 with Retry-After
+   * @param {string} category - API category
+   * @param {number} delayMs - How long to hold requests back
+   */
+  async deferCategory(category, delayMs) {
+    try {
+      await this.getStore().blockRateLimit(`zoom:${category}`, Date.now() + delayMs);
+    } catch (error) {
+      console.warn(`Could not hold back ${category} requests:`, error.message);
+    }
+  }
+
+  /**
+   * Execute the API request with retries
+   * @param {Object} job - { request, category, retryCount, cacheKey, cacheTTL, isReportsCall, identifier }
    * @returns {Promise} - Promise that resolves with the API response
    */
-  async executeRequest(requestFn, options) {
+  async executeRequest(job) {
     const {
+      request,
       category,
-      timeout,
       retryCount,
       cacheKey,
       cacheTTL,
       isReportsCall,
-      enableCache,
       identifier
-    } = options;
-    
+    } = job;
+
+    if (!this.executor) {
+      throw new Error('No Zoom request executor registered');
+    }
+
     // Execute with rateLimiter to get additional retries and backoff
     try {
       const result = await rateLimiter.executeApiCall(
-        requestFn,
+        () => this.executor(request),
         `${category}-${identifier}`,
         {
-          cacheKey,
-          cacheTTL,
           isReportsCall,
           retryCount,
-          enableCache
+          enableCache: false,
+          onRateLimited: (delayMs) => this.deferCategory(category, delayMs)
         }
       );
-      
+
       // Store in cache if enabled
-      if (enableCache && cacheKey && result) {
-        this.cacheResult(cacheKey, result, cacheTTL);
+      if (cacheKey && result) {
+        await this.cacheResult(cacheKey, result, cacheTTL);
       }
-      
+
       return result;
     } catch (error) {
       console.error(`❌ Request failed (${identifier}):`, error.message);
       throw error;
     }
   }
-  
+
   /**
-   * Check the cache for a result
+   * Check the shared cache for a result
    * @param {string} key - Cache key
-   * @param {number} ttl - Time to live in seconds
    * @returns {Promise} - Promise that resolves with the cached result or null
    */
-  async checkCache(key, ttl) {
-    // This method uses the rateLimiter's cache
+  async checkCache(key) {
     try {
-      const cachedResponse = rateLimiter.responseCache.get(key);
-      if (cachedResponse && (Date.now() - cachedResponse.timestamp < ttl * 1000)) {
+      const cachedResponse = await this.getStore().getCached(key);
+      if (cachedResponse) {
         console.log(`📦 Cache hit for ${key}`);
-        return cachedResponse.data;
+        return cachedResponse;
       }
     } catch (error) {
-      console.warn(`Cache check error for ${key}:`, error);
+      console.warn(`Cache check error for ${key}:`, error.message);
     }
     return null;
   }
-  
+
   /**
-   * Cache a result
+   * Cache a result for every instance
    * @param {string} key - Cache key
    * @param {*} result - Result to cache
    * @param {number} ttl - Time to live in seconds
    */
-  cacheResult(key, result, ttl) {
-    // This method uses the rateLimiter's cache
+  async cacheResult(key, result, ttl) {
     try {
-      rateLimiter.responseCache.set(key, {
-        data: result,
-        timestamp: Date.now(),
-        ttl
-      });
+      await this.getStore().setCached(key, result, ttl);
       console.log(`💾 Cached result for ${key} (${ttl}s)`);
     } catch (error) {
-      console.warn(`Cache set error for ${key}:`, error);
+      console.warn(`Cache set error for ${key}:`, error.message);
     }
   }
-  
+
   /**
-   * Get queue statistics
+   * Get queue statistics of this instance
    * @returns {Object} - Queue statistics
    */
   getStats() {
     return {
       ...this.stats,
-      currentQueueLength: this.queue.length,
+      instanceId: this.election.instanceId,
+      isLeader: this.election.isLeader,
       activeRequests: this.activeRequests,
+      waitingCallers: this.waiters.size,
       timestamp: new Date().toISOString()
     };
   }
-  
+
+  /**
+   * Shared queue state: job counts, leader and rate limit buckets
+   * @returns {Promise<Object>}
+   */
+  async getQueueStatus() {
+    const store = this.getStore();
+    const categories = Object.keys(this.categoryIntervals);
+    const [jobs, leader, buckets] = await Promise.all([
+      store.countJobs(QUEUE_NAME),
+      this.election.getStatus(),
+      Promise.all(categories.map(category => store.getRateLimitBucket(`zoom:${category}`)))
+    ]);
+
+    const now = Date.now();
+    const rateLimits = {};
+    categories.forEach((category, index) => {
+      const bucket = buckets[index];
+      rateLimits[category] = {
+        intervalMs: this.categoryIntervals[category],
+        blockedForMs: bucket ? Math.max(bucket.blockedUntil - now, 0) : 0
+      };
+    });
+
+    return { jobs, leader, rateLimits };
+  }
+
   /**
    * Reset queue statistics
    */
@@ -398,27 +472,39 @@ class ZoomRequestQueue {
       totalErrors: 0,
       avgWaitTime: 0,
       totalWaitTime: 0,
-      maxQueueLength: 0,
       rateLimitedRequests: 0,
       lastReset: new Date()
     };
   }
-  
+
+  /**
+   * Cancel every queued request that has not started, on all instances
+   * @returns {Promise<number>} - Requests cancelled
+   */
+  async clear() {
+    const cancelled = await this.getStore().clearJobs(QUEUE_NAME);
+    console.log(`🧹 Cancelled ${cancelled} queued Zoom requests`);
+    return cancelled;
+  }
+
   /**
-   * Get current queue items
-   * @returns {Array} - Array of queue items
+   * Get queued requests that have not started
+   * @returns {Promise<Array>} - Array of queue items
    */
-  getQueueItems() {
-    return this.queue.map(item => ({
-      category: item.category,
-      priority: item.priority,
-      identifier: item.identifier,
-      queuedAt: item.queuedAt,
-      waitTime: Date.now() - item.queuedAt
+  async getQueueItems() {
+    const jobs = await this.getStore().listJobs(QUEUE_NAME, { status: 'queued' });
+    return jobs.map(job => ({
+      id: job.id,
+      category: job.payload.category,
+      priority: job.priority,
+      identifier: job.payload.identifier,
+      queuedAt: job.createdAt,
+      waitTime: Date.now() - new Date(job.createdAt).getTime()
     }));
   }
 }
 
 // Export singleton instance
 const zoomRequestQueue = new ZoomRequestQueue();
+zoomRequestQueue.ZoomRequestQueue = ZoomRequestQueue;
 module.exports = zoomRequestQueue;
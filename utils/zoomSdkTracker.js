@@ -27,7 +27,7 @@ const trackParticipantJoin = async (participantData) => {
     }
     
     // Find the meeting in our database
-    let meeting = await ZoomMeeting.findOne({ meetingId: meetingId.toString() });
+    let meeting = await ZoomMeeting.findOccurrence(meetingId.toString());
     
     if (!meeting) {
       console.warn(`Meeting ${meetingId} not found in database, cannot track participant`);
@@ -95,9 +95,7 @@ const trackParticipantJoin = async (participantData) => {
               PhoneNumber: '0000000000', // Default phone number
               DateOfBirth: new Date('2000-01-01'), // Default date of birth
               Gender: 'Other', // Default gender
-              Department: 'Faculty', // Default department
-              TimeIn: new Date(), // Current time as TimeIn
-              TimeOut: null // No TimeOut initially
+              Department: 'Faculty' // Default department; no shift schedule yet
             });
             
             await newStudent.save();
@@ -154,7 +152,7 @@ const trackParticipantLeave = async (participantData) => {
     }
     
     // Find the meeting in our database
-    let meeting = await ZoomMeeting.findOne({ meetingId: meetingId.toString() });
+    let meeting = await ZoomMeeting.findOccurrence(meetingId.toString());
     
     if (!meeting) {
       console.warn(`Meeting ${meetingId} not found in database, cannot track participant leave`);
@@ -218,11 +216,12 @@ const storeZoomMeetingDetails = async (meetingData) => {
       join_url: joinUrl,
       start_url: startUrl,
       settings,
-      metadata
+      metadata,
+      owner
     } = meetingData;
     
     // Check if meeting already exists
-    let meeting = await ZoomMeeting.findOne({ meetingId: meetingId.toString() });
+    let meeting = await ZoomMeeting.findOccurrence(meetingId.toString());
     
     if (meeting) {
       // Update existing meeting
@@ -235,6 +234,9 @@ const storeZoomMeetingDetails = async (meetingData) => {
       meeting.password = password;
       meeting.joinUrl = joinUrl;
       meeting.startUrl = startUrl;
+      if (owner && !meeting.owner) {
+        meeting.owner = owner;
+      }
       
       if (settings) {
         meeting.settings = {
@@ -273,6 +275,7 @@ const storeZoomMeetingDetails = async (meetingData) => {
         joinUrl: joinUrl,
         startUrl: startUrl,
         status: 'waiting',
+        owner: owner,
         settings: {
           hostVideo: settings?.host_video,
           participantVideo: settings?.participant_video,
@@ -0,0 +1,771 @@
+const express = require('express');
+const axios = require('axios');
+const crypto = require('crypto');
+const http = require('http');
+
+/**
+ * Zoom API Simulator
+ * An in-memory stand-in for the parts of Zoom this backend talks to, so
+ * meeting and attendance code can run without a Zoom account:
+ *  - Server-to-server OAuth (POST /oauth/token)
+ *  - Meeting CRUD (/v2/users/me/meetings, /v2/meetings/:id, .../status)
+ *  - Live participants (/v2/metrics/meetings/:id/participants)
+ *  - Past meeting and report endpoints (/v2/past_meetings, /v2/report/meetings)
+ * Scripted scenarios (joins, leaves, reconnects, meeting end) change that
+ * state and are delivered as signed webhooks, exactly as Zoom signs them.
+ *
+ * Use it in-process (tests):
+ *   const simulator = new ZoomSimulator({ webhookUrl });
+ *   const { apiBaseUrl, oauthUrl } = await simulator.listen();
+ * mounted in the server (ZOOM_SIMULATOR=true), or standalone:
+ *   node utils/zoomSimulator.js
+ * Scenarios can also be driven over HTTP under /_sim (see buildControlRouter).
+ */
+
+const DEFAULT_HOST_ID = 'sim-host-0001';
+const DEFAULT_HOST_EMAIL = 'host@zoom-simulator.local';
+
+const LEAVE_REASONS = {
+  left: 'left the meeting',
+  reconnect: 'left the meeting because of network connection error',
+  ended: 'Host ended the meeting',
+};
+
+// Error carrying the HTTP status the API/control routes answer with
+class SimulatorError extends Error {
+  constructor(statusCode, code, message) {
+    super(message);
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+const meetingNotFound = (meetingId) => new SimulatorError(404, 3001, `Meeting does not exist: ${meetingId}.`);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Zoom double-encodes instance UUIDs that start with "/" or contain "//"
+const decodeMeetingKey = (key) => decodeURIComponent(decodeURIComponent(String(key)));
+
+class ZoomSimulator {
+  /**
+   * @param {Object} options
+   * @param {string} options.accountId / clientId / clientSecret - Accepted OAuth
+   *   credentials; defaults to the ZOOM_* env values, any credentials when unset
+   * @param {string} options.webhookUrl - Where events are POSTed (none: only recorded)
+   * @param {string} options.webhookSecret - Secret token used to sign events
+   * @param {number} options.tokenTtlSeconds - Lifetime of issued access tokens
+   * @param {Function} options.now - Clock, for scenarios with fixed times
+   */
+  constructor(options = {}) {
+    this.credentials = {
+      accountId: options.accountId ?? process.env.ZOOM_ACCOUNT_ID,
+      clientId: options.clientId ?? process.env.ZOOM_CLIENT_ID,
+      clientSecret: options.clientSecret ?? process.env.ZOOM_CLIENT_SECRET,
+    };
+    this.webhookUrl = options.webhookUrl || process.env.ZOOM_SIMULATOR_WEBHOOK_URL || null;
+    this.webhookSecret = options.webhookSecret || process.env.ZOOM_WEBHOOK_SECRET_TOKEN || 'default_secret_token';
+    this.tokenTtlSeconds = options.tokenTtlSeconds || 3600;
+    this.now = options.now || (() => new Date());
+    this.server = null;
+
+    this.reset();
+    this.router = this.buildRouter();
+  }
+
+  /**
+   * Forget all meetings, tokens and recorded events
+   */
+  reset() {
+    this.meetings = new Map(); // meetingId -> meeting
+    this.tokens = new Map(); // access token -> expiresAt
+    this.events = []; // every emitted webhook body
+    this.deliveries = []; // { event, status, error } per webhook POST
+    this.nextMeetingId = 81000000001;
+    this.nextUserId = 16778240;
+  }
+
+  // ---------------------------------------------------------------------------
+  // State and scenario actions
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Schedule a meeting
+   * @param {Object} fields - Zoom meeting create body (topic, type, start_time, duration, ...)
+   */
+  createMeeting(fields = {}) {
+    const id = this.nextMeetingId++;
+    const now = this.now();
+    const password = fields.password || crypto.randomBytes(3).toString('hex');
+
+    const meeting = {
+      id,
+      uuid: this.newInstanceUuid(),
+      host_id: DEFAULT_HOST_ID,
+      host_email: DEFAULT_HOST_EMAIL,
+      topic: fields.topic || 'Simulated Meeting',
+      type: fields.type || 2,
+      status: 'waiting',
+      start_time: fields.start_time || now.toISOString(),
+      duration: fields.duration || 60,
+      timezone: fields.timezone || 'UTC',
+      agenda: fields.agenda || '',
+      created_at: now.toISOString(),
+      password,
+      join_url: `https://zoom.us/j/${id}?pwd=${password}`,
+      start_url: `https://zoom.us/s/${id}?zak=simulated`,
+      settings: fields.settings || {},
+      // Simulator bookkeeping, not part of the API shape
+      startedAt: null,
+      endedAt: null,
+      participants: [], // one record per join, as in Zoom reports
+      pastInstances: [],
+    };
+
+    this.meetings.set(String(id), meeting);
+    return this.toMeetingJson(meeting);
+  }
+
+  /**
+   * Find a meeting by ID, or a past instance by UUID
+   */
+  findMeeting(key) {
+    const decoded = decodeMeetingKey(key);
+    const meeting = this.meetings.get(decoded);
+    if (meeting) return meeting;
+
+    for (const candidate of this.meetings.values()) {
+      if (candidate.uuid === decoded) return candidate;
+      const instance = candidate.pastInstances.find(past => past.uuid === decoded);
+      if (instance) return instance;
+    }
+    return null;
+  }
+
+  requireMeeting(key) {
+    const meeting = this.findMeeting(key);
+    if (!meeting) throw meetingNotFound(key);
+    return meeting;
+  }
+
+  updateMeeting(meetingId, fields = {}) {
+    const meeting = this.requireMeeting(meetingId);
+    ['topic', 'type', 'start_time', 'duration', 'timezone', 'agenda', 'password'].forEach(key => {
+      if (fields[key] !== undefined) meeting[key] = fields[key];
+    });
+    if (fields.settings) meeting.settings = { ...meeting.settings, ...fields.settings };
+    return this.toMeetingJson(meeting);
+  }
+
+  deleteMeeting(meetingId) {
+    const meeting = this.requireMeeting(meetingId);
+    this.meetings.delete(String(meeting.id));
+  }
+
+  /**
+   * Start the meeting (the host joined)
+   */
+  async startMeeting(meetingId) {
+    const meeting = this.requireMeeting(meetingId);
+    if (meeting.status === 'started') return this.toMeetingJson(meeting);
+
+    if (meeting.status === 'finished') {
+      // A recurring/reused meeting ID gets a new instance UUID per occurrence
+      meeting.uuid = this.newInstanceUuid();
+      meeting.participants = [];
+      meeting.endedAt = null;
+    }
+    meeting.status = 'started';
+    meeting.startedAt = this.now();
+
+    await this.emit('meeting.started', meeting, { start_time: meeting.startedAt.toISOString() });
+    return this.toMeetingJson(meeting);
+  }
+
+  /**
+   * A participant joins; starts the meeting if the host has not yet
+   * @param {Object} person - { name, email?, participantUserId? }; a signed-in
+   *   user (email given) keeps the same participant_user_id across joins, while
+   *   participant_uuid is new for every join
+   */
+  async join(meetingId, person = {}) {
+    const meeting = this.requireMeeting(meetingId);
+    if (meeting.status !== 'started') await this.startMeeting(meetingId);
+
+    const name = person.name || person.user_name || 'Zoom User';
+    const email = person.email || '';
+    if (this.activeRecord(meeting, person)) {
+      throw new SimulatorError(409, 3000, `${name} is already in meeting ${meeting.id}`);
+    }
+
+    const previous = [...meeting.participants].reverse().find(record => this.isSamePerson(record, person));
+    const record = {
+      id: previous?.id || crypto.randomBytes(8).toString('hex'),
+      participant_uuid: crypto.randomUUID().toUpperCase(),
+      participant_user_id: person.participantUserId || previous?.participant_user_id || (email ? crypto.randomBytes(8).toString('hex') : ''),
+      user_id: String(this.nextUserId++), // new per join, as in Zoom
+      user_name: name,
+      email,
+      registrant_id: person.registrantId || '',
+      join_time: this.now().toISOString(),
+      leave_time: null,
+      leave_reason: null,
+    };
+    meeting.participants.push(record);
+
+    await this.emit('meeting.participant_joined', meeting, {
+      participant: this.toWebhookParticipant(record, ['leave_time', 'leave_reason']),
+    });
+    return this.toLiveParticipant(record);
+  }
+
+  /**
+   * A participant leaves
+   * @param {Object} person - Matched on participantId, email or name
+   * @param {string} reason - One of LEAVE_REASONS or free text
+   */
+  async leave(meetingId, person = {}, reason = 'left') {
+    const meeting = this.requireMeeting(meetingId);
+    const record = this.activeRecord(meeting, person);
+    if (!record) {
+      throw new SimulatorError(404, 3000, `No such participant in meeting ${meeting.id}`);
+    }
+
+    record.leave_time = this.now().toISOString();
+    record.leave_reason = LEAVE_REASONS[reason] || reason;
+
+    await this.emit('meeting.participant_left', meeting, {
+      participant: this.toWebhookParticipant(record, ['join_time']),
+    });
+    return this.toLiveParticipant(record);
+  }
+
+  /**
+   * Drop a participant for a network error and bring them back
+   * @param {number} gapMs - Time spent disconnected
+   */
+  async reconnect(meetingId, person = {}, gapMs = 0) {
+    const record = await this.leave(meetingId, person, 'reconnect');
+    if (gapMs > 0) await sleep(gapMs);
+    return this.join(meetingId, { name: record.user_name, email: record.email, participantUserId: record.participant_user_id });
+  }
+
+  /**
+   * End the meeting: everyone still in it leaves, then meeting.ended
+   */
+  async endMeeting(meetingId) {
+    const meeting = this.requireMeeting(meetingId);
+    if (meeting.status !== 'started') {
+      throw new SimulatorError(400, 3000, `Meeting ${meeting.id} is not in progress`);
+    }
+
+    for (const record of meeting.participants.filter(participant => !participant.leave_time)) {
+      await this.leave(meetingId, { participantId: record.id }, 'ended');
+    }
+
+    meeting.status = 'finished';
+    meeting.endedAt = this.now();
+    meeting.pastInstances.push({
+      ...meeting,
+      participants: [...meeting.participants],
+      pastInstances: [],
+    });
+
+    await this.emit('meeting.ended', meeting, {
+      start_time: meeting.startedAt.toISOString(),
+      end_time: meeting.endedAt.toISOString(),
+    });
+    return this.toMeetingJson(meeting);
+  }
+
+  /**
+   * Run scripted steps in order
+   * @param {Array} steps - [{ action: create|start|join|leave|reconnect|end,
+   *   meetingId?, name?, email?, participantId?, reason?, gapMs?, delayMs?, ...createFields }]
+   *   Steps without a meetingId use the meeting of the last create step.
+   * @returns {Array} - Result of each step
+   */
+  async runScenario(steps = []) {
+    const results = [];
+    let currentMeetingId = null;
+
+    for (const step of steps) {
+      if (step.delayMs) await sleep(step.delayMs);
+      const meetingId = step.meetingId || currentMeetingId;
+
+      switch (step.action) {
+        case 'create': {
+          const { action, delayMs, ...fields } = step;
+          const meeting = this.createMeeting(fields);
+          currentMeetingId = meeting.id;
+          results.push(meeting);
+          break;
+        }
+        case 'start':
+          results.push(await this.startMeeting(meetingId));
+          break;
+        case 'join':
+          results.push(await this.join(meetingId, step));
+          break;
+        case 'leave':
+          results.push(await this.leave(meetingId, step, step.reason));
+          break;
+        case 'reconnect':
+          results.push(await this.reconnect(meetingId, step, step.gapMs));
+          break;
+        case 'end':
+          results.push(await this.endMeeting(meetingId));
+          break;
+        default:
+          throw new SimulatorError(400, 300, `Unknown scenario action: ${step.action}`);
+      }
+    }
+
+    return results;
+  }
+
+  isSamePerson(record, person) {
+    if (person.participantId) return record.id === person.participantId;
+    if (person.email) return record.email.toLowerCase() === person.email.toLowerCase();
+    return record.user_name === (person.name || person.user_name);
+  }
+
+  activeRecord(meeting, person) {
+    return meeting.participants.find(record => !record.leave_time && this.isSamePerson(record, person));
+  }
+
+  newInstanceUuid() {
+    return crypto.randomBytes(16).toString('base64');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Webhooks
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Zoom's signature headers for a raw body
+   */
+  signatureHeaders(rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto
+      .createHmac('sha256', this.webhookSecret)
+      .update(`v0:${timestamp}:${rawBody}`)
+      .digest('hex');
+
+    return {
+      'x-zm-request-timestamp': String(timestamp),
+      'x-zm-signature': `v0=${signature}`,
+    };
+  }
+
+  /**
+   * Record an event and deliver it to the webhook URL, if any
+   */
+  async emit(event, meeting, objectFields = {}) {
+    const body = {
+      event,
+      event_ts: Date.now(),
+      payload: {
+        account_id: this.credentials.accountId || 'sim-account',
+        object: {
+          id: String(meeting.id),
+          uuid: meeting.uuid,
+          host_id: meeting.host_id,
+          topic: meeting.topic,
+          type: meeting.type,
+          start_time: meeting.start_time,
+          timezone: meeting.timezone,
+          duration: meeting.duration,
+          ...objectFields,
+        },
+      },
+    };
+    this.events.push(body);
+
+    if (!this.webhookUrl) return body;
+
+    const rawBody = JSON.stringify(body);
+    try {
+      const response = await axios.post(this.webhookUrl, rawBody, {
+        headers: { 'Content-Type': 'application/json', ...this.signatureHeaders(rawBody) },
+        timeout: 10000,
+        validateStatus: () => true,
+      });
+      this.deliveries.push({ event, status: response.status, error: null });
+    } catch (error) {
+      this.deliveries.push({ event, status: null, error: error.message });
+    }
+    return body;
+  }
+
+  // ---------------------------------------------------------------------------
+  // API shapes
+  // ---------------------------------------------------------------------------
+
+  toMeetingJson(meeting) {
+    const { startedAt, endedAt, participants, pastInstances, ...json } = meeting;
+    return json;
+  }
+
+  secondsIn(record, until = this.now()) {
+    const end = record.leave_time ? new Date(record.leave_time) : until;
+    return Math.max(0, Math.round((end - new Date(record.join_time)) / 1000));
+  }
+
+  toWebhookParticipant(record, omit = []) {
+    const participant = {
+      user_id: record.user_id,
+      user_name: record.user_name,
+      id: record.id,
+      participant_uuid: record.participant_uuid,
+      participant_user_id: record.participant_user_id,
+      email: record.email,
+      registrant_id: record.registrant_id,
+      join_time: record.join_time,
+      leave_time: record.leave_time,
+      leave_reason: record.leave_reason,
+    };
+    omit.forEach(key => delete participant[key]);
+    return participant;
+  }
+
+  // GET /metrics/meetings/:id/participants
+  toLiveParticipant(record) {
+    return {
+      id: record.id,
+      user_id: record.user_id,
+      participant_user_id: record.participant_user_id,
+      user_name: record.user_name,
+      email: record.email,
+      registrant_id: record.registrant_id,
+      join_time: record.join_time,
+      ...(record.leave_time && { leave_time: record.leave_time, leave_reason: record.leave_reason }),
+      duration: this.secondsIn(record),
+      status: record.leave_time ? 'left' : 'in_meeting',
+      device: 'Windows',
+      network_type: 'Wifi',
+    };
+  }
+
+  // GET /report/meetings/:id/participants and /past_meetings/:uuid/participants
+  toReportParticipant(record) {
+    return {
+      id: record.id,
+      user_id: record.user_id,
+      participant_user_id: record.participant_user_id,
+      name: record.user_name,
+      user_email: record.email,
+      registrant_id: record.registrant_id,
+      join_time: record.join_time,
+      leave_time: record.leave_time,
+      duration: this.secondsIn(record),
+      status: 'in_meeting',
+      failover: false,
+    };
+  }
+
+  toPastMeeting(instance) {
+    const participants = instance.participants;
+    return {
+      id: instance.id,
+      uuid: instance.uuid,
+      host_id: instance.host_id,
+      type: instance.type,
+      topic: instance.topic,
+      user_email: instance.host_email,
+      start_time: instance.startedAt.toISOString(),
+      end_time: instance.endedAt.toISOString(),
+      duration: Math.round((instance.endedAt - instance.startedAt) / 60000),
+      total_minutes: Math.round(participants.reduce((sum, record) => sum + this.secondsIn(record), 0) / 60),
+      participants_count: participants.length,
+    };
+  }
+
+  // Latest ended instance of a meeting ID (or the instance itself for a UUID)
+  pastInstance(key) {
+    const meeting = this.requireMeeting(key);
+    // Past instances are snapshots with no instances of their own
+    const instance = meeting.pastInstances.length > 0
+      ? meeting.pastInstances[meeting.pastInstances.length - 1]
+      : meeting.endedAt && meeting;
+    if (!instance) throw meetingNotFound(key);
+    return instance;
+  }
+
+  // Zoom's page_size / next_page_token pagination
+  paginate(items, query, key) {
+    const pageSize = Math.min(Math.max(parseInt(query.page_size) || 30, 1), 300);
+    const offset = query.next_page_token ? parseInt(Buffer.from(query.next_page_token, 'base64').toString()) || 0 : 0;
+    const page = items.slice(offset, offset + pageSize);
+    const next = offset + pageSize < items.length ? Buffer.from(String(offset + pageSize)).toString('base64') : '';
+
+    return {
+      page_size: pageSize,
+      total_records: items.length,
+      next_page_token: next,
+      [key]: page,
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // HTTP
+  // ---------------------------------------------------------------------------
+
+  buildRouter() {
+    const router = express.Router();
+    router.use(express.json());
+    router.use(express.urlencoded({ extended: true }));
+
+    router.post('/oauth/token', (req, res) => this.issueToken(req, res));
+    router.use('/v2', (req, res, next) => this.authenticate(req, res, next), this.buildApiRouter());
+    router.use('/_sim', this.buildControlRouter());
+
+    return router;
+  }
+
+  issueToken(req, res) {
+    const grantType = req.query.grant_type || req.body?.grant_type;
+    if (grantType !== 'account_credentials') {
+      return res.status(400).json({ reason: 'Unsupported grant type', error: 'unsupported_grant_type' });
+    }
+
+    const [clientId, clientSecret] = Buffer.from((req.headers.authorization || '').replace(/^Basic\s+/i, ''), 'base64')
+      .toString()
+      .split(':');
+    const { credentials } = this;
+    if (credentials.clientId && (clientId !== credentials.clientId || clientSecret !== credentials.clientSecret)) {
+      return res.status(401).json({ reason: 'Invalid client_id or client_secret', error: 'invalid_client' });
+    }
+
+    const accountId = req.query.account_id || req.body?.account_id;
+    if (credentials.accountId && accountId !== credentials.accountId) {
+      return res.status(400).json({ reason: 'Invalid account_id', error: 'invalid_request' });
+    }
+
+    const token = crypto.randomBytes(24).toString('hex');
+    this.tokens.set(token, Date.now() + this.tokenTtlSeconds * 1000);
+
+    res.json({
+      access_token: token,
+      token_type: 'bearer',
+      expires_in: this.tokenTtlSeconds,
+      scope: 'meeting:read:admin meeting:write:admin report:read:admin dashboard:read:admin user:read:admin',
+      api_url: 'https://api.zoom.us',
+    });
+  }
+
+  authenticate(req, res, next) {
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const expiresAt = this.tokens.get(token);
+
+    if (!expiresAt || expiresAt < Date.now()) {
+      return res.status(401).json({ code: 124, message: expiresAt ? 'Access token is expired.' : 'Invalid access token.' });
+    }
+    next();
+  }
+
+  // Wrap a handler so SimulatorErrors become Zoom-style error bodies
+  handle(handler) {
+    return async (req, res) => {
+      try {
+        await handler(req, res);
+      } catch (error) {
+        res.status(error.statusCode || 500).json({ code: error.code || 500, message: error.message });
+      }
+    };
+  }
+
+  buildApiRouter() {
+    const router = express.Router();
+
+    router.get('/users/me', this.handle((req, res) => {
+      res.json({
+        id: DEFAULT_HOST_ID,
+        first_name: 'Simulated',
+        last_name: 'Host',
+        email: DEFAULT_HOST_EMAIL,
+        type: 2,
+        account_id: this.credentials.accountId || 'sim-account',
+        status: 'active',
+        timezone: 'UTC',
+      });
+    }));
+
+    router.get('/users/me/meetings', this.handle((req, res) => {
+      const statusByType = { live: ['started'], scheduled: ['waiting'], upcoming: ['waiting'] };
+      const statuses = statusByType[req.query.type] || ['waiting', 'started'];
+      const meetings = [...this.meetings.values()]
+        .filter(meeting => statuses.includes(meeting.status))
+        .map(meeting => this.toMeetingJson(meeting));
+
+      res.json(this.paginate(meetings, req.query, 'meetings'));
+    }));
+
+    router.post('/users/me/meetings', this.handle((req, res) => {
+      res.status(201).json(this.createMeeting(req.body));
+    }));
+
+    router.get('/meetings/:meetingId', this.handle((req, res) => {
+      res.json(this.toMeetingJson(this.requireMeeting(req.params.meetingId)));
+    }));
+
+    router.patch('/meetings/:meetingId', this.handle((req, res) => {
+      this.updateMeeting(req.params.meetingId, req.body);
+      res.status(204).end();
+    }));
+
+    router.delete('/meetings/:meetingId', this.handle((req, res) => {
+      this.deleteMeeting(req.params.meetingId);
+      res.status(204).end();
+    }));
+
+    router.put('/meetings/:meetingId/status', this.handle(async (req, res) => {
+      if (req.body?.action !== 'end') {
+        throw new SimulatorError(400, 300, 'Only action "end" is supported');
+      }
+      await this.endMeeting(req.params.meetingId);
+      res.status(204).end();
+    }));
+
+    router.get('/metrics/meetings/:meetingId/participants', this.handle((req, res) => {
+      const type = req.query.type || 'live';
+      const meeting = type === 'past' ? this.pastInstance(req.params.meetingId) : this.requireMeeting(req.params.meetingId);
+      if (type === 'live' && meeting.status !== 'started') {
+        throw meetingNotFound(req.params.meetingId);
+      }
+
+      res.json(this.paginate(meeting.participants.map(record => this.toLiveParticipant(record)), req.query, 'participants'));
+    }));
+
+    router.get('/past_meetings/:meetingId', this.handle((req, res) => {
+      res.json(this.toPastMeeting(this.pastInstance(req.params.meetingId)));
+    }));
+
+    router.get('/past_meetings/:meetingId/participants', this.handle((req, res) => {
+      const instance = this.pastInstance(req.params.meetingId);
+      const participants = instance.participants.map(record => {
+        const { id, name, user_email, ...rest } = this.toReportParticipant(record);
+        return { id, name, user_email, join_time: rest.join_time, leave_time: rest.leave_time, duration: rest.duration };
+      });
+      res.json(this.paginate(participants, req.query, 'participants'));
+    }));
+
+    router.get('/report/meetings/:meetingId', this.handle((req, res) => {
+      res.json(this.toPastMeeting(this.pastInstance(req.params.meetingId)));
+    }));
+
+    router.get('/report/meetings/:meetingId/participants', this.handle((req, res) => {
+      const instance = this.pastInstance(req.params.meetingId);
+      res.json(this.paginate(instance.participants.map(record => this.toReportParticipant(record)), req.query, 'participants'));
+    }));
+
+    router.use((req, res) => {
+      res.status(404).json({ code: 404, message: `Not implemented by the Zoom simulator: ${req.method} ${req.path}` });
+    });
+
+    return router;
+  }
+
+  /**
+   * Scenario control over HTTP, for scripts running outside this process
+   *   GET  /_sim/state                        meetings, participants and events
+   *   POST /_sim/reset
+   *   PUT  /_sim/webhook                      { url, secret? }
+   *   POST /_sim/meetings                     create (Zoom meeting body)
+   *   POST /_sim/meetings/:id/start|end
+   *   POST /_sim/meetings/:id/join|leave|reconnect   { name, email?, participantId?, reason?, gapMs? }
+   *   POST /_sim/scenario                     { steps: [...] } (see runScenario)
+   */
+  buildControlRouter() {
+    const router = express.Router();
+
+    router.get('/state', this.handle((req, res) => {
+      res.json({
+        meetings: [...this.meetings.values()].map(meeting => ({
+          ...this.toMeetingJson(meeting),
+          participants: meeting.participants.map(record => this.toLiveParticipant(record)),
+        })),
+        events: this.events,
+        deliveries: this.deliveries,
+      });
+    }));
+
+    router.post('/reset', this.handle((req, res) => {
+      this.reset();
+      res.status(204).end();
+    }));
+
+    router.put('/webhook', this.handle((req, res) => {
+      this.webhookUrl = req.body.url || null;
+      if (req.body.secret) this.webhookSecret = req.body.secret;
+      res.json({ url: this.webhookUrl });
+    }));
+
+    router.post('/meetings', this.handle((req, res) => {
+      res.status(201).json(this.createMeeting(req.body));
+    }));
+
+    router.post('/meetings/:meetingId/start', this.handle(async (req, res) => {
+      res.json(await this.startMeeting(req.params.meetingId));
+    }));
+
+    router.post('/meetings/:meetingId/end', this.handle(async (req, res) => {
+      res.json(await this.endMeeting(req.params.meetingId));
+    }));
+
+    router.post('/meetings/:meetingId/join', this.handle(async (req, res) => {
+      res.status(201).json(await this.join(req.params.meetingId, req.body));
+    }));
+
+    router.post('/meetings/:meetingId/leave', this.handle(async (req, res) => {
+      res.json(await this.leave(req.params.meetingId, req.body, req.body.reason));
+    }));
+
+    router.post('/meetings/:meetingId/reconnect', this.handle(async (req, res) => {
+      res.json(await this.reconnect(req.params.meetingId, req.body, req.body.gapMs));
+    }));
+
+    router.post('/scenario', this.handle(async (req, res) => {
+      res.json({ results: await this.runScenario(req.body.steps) });
+    }));
+
+    return router;
+  }
+
+  /**
+   * Serve the simulator on its own port
+   * @param {number} port - 0 picks a free port
+   * @returns {Object} - { url, apiBaseUrl, oauthUrl }
+   */
+  async listen(port = 0, host = '127.0.0.1') {
+    const app = express();
+    app.use(this.router);
+    this.server = http.createServer(app);
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+
+    const url = `http://${host}:${this.server.address().port}`;
+    return { url, apiBaseUrl: `${url}/v2`, oauthUrl: `${url}/oauth/token` };
+  }
+
+  async close() {
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+}
+
+module.exports = { ZoomSimulator, SimulatorError };
+
+if (require.main === module) {
+  require('dotenv').config();
+  const simulator = new ZoomSimulator();
+  simulator.listen(parseInt(process.env.ZOOM_SIMULATOR_PORT) || 4010).then(({ url, apiBaseUrl, oauthUrl }) => {
+    console.log(`🧪 Zoom simulator listening on ${url}`);
+    console.log(`   ZOOM_API_BASE_URL=${apiBaseUrl}`);
+    console.log(`   ZOOM_OAUTH_URL=${oauthUrl}`);
+    console.log(`   Webhooks: ${simulator.webhookUrl || 'recorded only (set ZOOM_SIMULATOR_WEBHOOK_URL)'}`);
+  });
+}